@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Valuation backtest — how far off would our estimates have been?
+ *
+ * Usage:
+ *   npm run backtest                          # Last 12 months, all districts
+ *   npm run backtest -- --months 24           # Longer replay
+ *   npm run backtest -- --to 2025-12          # Replay ending at a given month
+ *   npm run backtest -- --district D9,D10     # Score only these districts
+ *   npm run backtest -- --json report.json    # Also write the full report
+ *
+ * Every sale is estimated from earlier sales only, by the hedonic model (avm)
+ * and by the Price Estimator tiers (tier). Uses the disk cache when there is
+ * one (run `npm run sync` first), otherwise fetches from URA.
+ * Same report as GET /api/v1/backtest.
+ */
+
+import { initDashboard, getBacktest } from './src/services/uraService.ts';
+import { writeFileSync } from 'fs';
+
+function arg(args, name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+const fmt = (s) => s
+  ? `${String(s.n).padStart(7)}  ${s.mape.toFixed(1).padStart(6)}%  ${s.medianApe.toFixed(1).padStart(6)}%  ${s.within5.toFixed(1).padStart(6)}%  ${(s.bias > 0 ? '+' : '') + s.bias.toFixed(1)}%`.padEnd(48)
+  : '      —'.padEnd(48);
+
+function table(title, rows) {
+  console.log(`  ${title}`);
+  console.log(`  ${''.padEnd(10)}  ${'AVM: n      MAPE    MdAPE     ±5%  bias'.padEnd(48)}TIER: n      MAPE    MdAPE     ±5%  bias`);
+  for (const r of rows) console.log(`  ${r.key.padEnd(10)}  ${fmt(r.avm)}${fmt(r.tier)}`);
+  console.log('');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const opts = {
+    months: arg(args, '--months') ? parseInt(arg(args, '--months')) : 12,
+    to: arg(args, '--to'),
+    district: arg(args, '--district'),
+  };
+  const jsonPath = arg(args, '--json');
+
+  console.log('');
+  console.log('═══════════════════════════════════════');
+  console.log('  VALUATION BACKTEST');
+  console.log('═══════════════════════════════════════');
+  console.log('');
+
+  try {
+    await initDashboard();
+    const report = await getBacktest(opts);
+
+    console.log(`  Replayed:      ${report.from} → ${report.to} (${report.months} months)`);
+    console.log(`  Sales scored:  ${report.sales.toLocaleString()} (no estimate: avm ${report.skipped.avm}, tier ${report.skipped.tier})`);
+    if (report.overall.avm?.coverage != null) console.log(`  AVM 90% band:  ${report.overall.avm.coverage.toFixed(1)}% of sales inside`);
+    console.log(`  Time:          ${Math.round(report.elapsedMs / 1000)}s`);
+    console.log('');
+    table('OVERALL', [{ key: 'all', ...report.overall }]);
+    table('BY SEGMENT', report.bySegment);
+    table('BY SIZE (sqft)', report.bySize);
+    table('BY DISTRICT', report.byDistrict);
+
+    if (jsonPath) {
+      writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+      console.log(`  Report:        ${jsonPath}`);
+      console.log('');
+    }
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Backtest failed:', err.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -5,6 +5,11 @@
  */
 import { z } from 'zod';
 
+// z.coerce.boolean() treats any non-empty string as true, so "false" would enable a flag
+const flag = (def: boolean) => z.enum(['true', 'false', '1', '0'])
+  .transform(v => v === 'true' || v === '1')
+  .default(def ? 'true' : 'false');
+
 const envSchema = z.object({
   // ── Server ──
   NODE_ENV: z.enum(['development', 'production', 'test']).default('development'),
@@ -15,7 +20,7 @@ const envSchema = z.object({
   DATABASE_URL: z.string().url().startsWith('postgres').describe('PostgreSQL connection string'),
   DB_POOL_MIN: z.coerce.number().int().min(0).default(2),
   DB_POOL_MAX: z.coerce.number().int().min(1).default(10),
-  DB_SSL: z.coerce.boolean().default(false),
+  DB_SSL: flag(false),
 
   // ── Redis ──
   REDIS_URL: z.string().default('redis://localhost:6379'),
@@ -40,8 +45,10 @@ const envSchema = z.object({
   CACHE_SEARCH_TTL: z.coerce.number().int().min(10).default(300),          // 5 min
 
   // ── BullMQ ──
-  INGESTION_CRON: z.string().default('0 3 * * *'),  // 3am daily
   INGESTION_CONCURRENCY: z.coerce.number().int().min(1).default(1),
+  WORKER_METRICS_PORT: z.coerce.number().int().min(0).max(65535).default(9464), // 0 = the worker serves no /metrics
+  AUTO_REFRESH_HOURS: z.coerce.number().min(0).default(0),         // 0 = no scheduled refresh
+  AUTO_REFRESH_MODE: z.enum(['incremental', 'full']).catch('incremental'), // 'full' refetches everything
 
   // ── Logging ──
   LOG_LEVEL: z.enum(['fatal', 'error', 'warn', 'info', 'debug', 'trace']).default('info'),
@@ -50,9 +57,10 @@ const envSchema = z.object({
   SENTRY_DSN: z.string().url().optional(),
 
   // ── Feature flags ──
-  ENABLE_AUTH: z.coerce.boolean().default(false),       // Gradual rollout
-  ENABLE_REDIS_CACHE: z.coerce.boolean().default(true),
-  ENABLE_DB: z.coerce.boolean().default(false),         // false = in-memory fallback
+  ENABLE_AUTH: flag(false),       // Gradual rollout
+  ENABLE_REDIS_CACHE: flag(true),
+  ENABLE_DB: flag(false),         // false = in-memory fallback
+  ENABLE_WORKER: flag(false),     // true = refresh jobs go to BullMQ for `npm run worker`; false = run in the API process
 });
 
 export type Env = z.infer<typeof envSchema>;
@@ -0,0 +1,63 @@
+-- Migration 0002: Repository layer
+-- Projects table, per-user JSON documents and lossless transaction round-trips.
+-- Run: psql $DATABASE_URL < 0002_repository.sql (after 0001)
+
+-- ══════════════════════════════════════════════════════
+-- TRANSACTIONS: keep URA's repeated rows, store every record field
+-- ══════════════════════════════════════════════════════
+
+-- Tenure is parsed into three buckets (aggregator.ts), not two
+ALTER TYPE tenure_type ADD VALUE IF NOT EXISTS '999-yr';
+
+-- Floor midpoints are halves for odd bands ("01 to 04" → 2.5)
+ALTER TABLE sales_transactions ALTER COLUMN floor_mid TYPE NUMERIC(5,1);
+
+-- URA occasionally lists the same unit/price/date twice; the old dedup index
+-- silently dropped the repeat. dup_seq numbers identical rows 0, 1, 2...
+ALTER TABLE sales_transactions ADD COLUMN IF NOT EXISTS dup_seq SMALLINT NOT NULL DEFAULT 0;
+DROP INDEX IF EXISTS idx_sales_dedup;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_dedup
+  ON sales_transactions(project, contract_date, price, area_sqft, floor_range, dup_seq);
+
+ALTER TABLE rental_transactions ADD COLUMN IF NOT EXISTS dup_seq SMALLINT NOT NULL DEFAULT 0;
+ALTER TABLE rental_transactions ADD COLUMN IF NOT EXISTS area_band VARCHAR(20);
+ALTER TABLE rental_transactions ADD COLUMN IF NOT EXISTS lease_commencement VARCHAR(10);
+DROP INDEX IF EXISTS idx_rental_dedup;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rental_dedup
+  ON rental_transactions(project, lease_date, area_sqft, rent, bedrooms, dup_seq);
+
+-- ══════════════════════════════════════════════════════
+-- PROJECTS (rebuilt from sales_transactions after each sync)
+-- ══════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS projects (
+  name            TEXT PRIMARY KEY,
+  street          TEXT NOT NULL,
+  district        VARCHAR(5) NOT NULL,
+  market_segment  market_segment NOT NULL,
+  property_type   TEXT NOT NULL,
+  tenure          tenure_type NOT NULL,
+  tx_count        INTEGER NOT NULL DEFAULT 0,
+  avg_psf         NUMERIC(10,2),
+  first_date      VARCHAR(7),
+  last_date       VARCHAR(7),
+  rental_count    INTEGER NOT NULL DEFAULT 0,
+  updated_at      TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_projects_district ON projects(district);
+
+-- ══════════════════════════════════════════════════════
+-- USER DATA (one document per anonymous id or account id)
+-- ══════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS user_data (
+  user_id         VARCHAR(64) PRIMARY KEY,
+  portfolio       JSONB NOT NULL DEFAULT '[]'::jsonb,
+  saved_searches  JSONB NOT NULL DEFAULT '[]'::jsonb,
+  client_reports  JSONB NOT NULL DEFAULT '[]'::jsonb,
+  watchlist       JSONB NOT NULL DEFAULT '[]'::jsonb,
+  alerts          JSONB NOT NULL DEFAULT '[]'::jsonb,
+  webhook_url     TEXT,
+  updated_at      TIMESTAMPTZ DEFAULT NOW()
+);
@@ -0,0 +1,7 @@
+-- Migration 0003: Lease commencement
+-- URA's tenure string ("99 yrs lease commencing from 2012") is parsed into
+-- the lease length and start year, so remaining lease can be computed per sale.
+-- Run: psql $DATABASE_URL < 0003_lease.sql (after 0002)
+
+ALTER TABLE sales_transactions ADD COLUMN IF NOT EXISTS lease_years SMALLINT;
+ALTER TABLE sales_transactions ADD COLUMN IF NOT EXISTS lease_start SMALLINT;
@@ -0,0 +1,7 @@
+-- Migration 0004: Claim tokens
+-- The first save under a user id returns a random claim token; its sha256 is
+-- kept here. POST /api/auth/claim needs the token to move the id's data into
+-- an account, so knowing an id alone no longer moves its data.
+-- Run: psql $DATABASE_URL < 0004_claim_token.sql (after 0003)
+
+ALTER TABLE user_data ADD COLUMN IF NOT EXISTS claim_hash VARCHAR(64);
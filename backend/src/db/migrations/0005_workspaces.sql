@@ -0,0 +1,18 @@
+-- Migration 0005: Team workspaces
+-- With ENABLE_DB=true, workspaces live here instead of CACHE_DIR/workspaces/<id>.json:
+-- one row per workspace, members and shared lists kept whole as JSONB.
+-- Run: psql $DATABASE_URL < 0005_workspaces.sql (after 0004)
+
+CREATE TABLE IF NOT EXISTS workspaces (
+  id              VARCHAR(64) PRIMARY KEY,
+  name            TEXT NOT NULL,
+  members         JSONB NOT NULL DEFAULT '[]'::jsonb,
+  portfolio       JSONB NOT NULL DEFAULT '[]'::jsonb,
+  saved_searches  JSONB NOT NULL DEFAULT '[]'::jsonb,
+  client_reports  JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- "Workspaces I belong to": members @> '[{"userId": "<id>"}]'
+CREATE INDEX IF NOT EXISTS idx_workspaces_members ON workspaces USING GIN (members);
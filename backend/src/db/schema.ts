@@ -7,10 +7,13 @@
  * Tables:
  *   sales_transactions   — URA private residential sales
  *   rental_transactions  — URA rental contracts
+ *   projects             — One row per project, rebuilt from sales on each sync
  *   users                — Authentication accounts
  *   portfolio_holdings   — User property holdings
  *   saved_searches       — User saved filter sets
  *   client_reports       — Generated client reports
+ *   user_data            — Per-user JSON document (anonymous ids + accounts)
+ *   workspaces           — Team workspace document (members + shared lists)
  *   ingestion_batches    — URA data refresh tracking
  *   refresh_tokens       — JWT refresh token storage
  */
@@ -25,7 +28,7 @@ import { sql } from 'drizzle-orm';
 
 export const marketSegmentEnum = pgEnum('market_segment', ['CCR', 'RCR', 'OCR']);
 export const saleTypeEnum = pgEnum('sale_type', ['New Sale', 'Sub Sale', 'Resale']);
-export const tenureTypeEnum = pgEnum('tenure_type', ['Freehold', 'Leasehold']);
+export const tenureTypeEnum = pgEnum('tenure_type', ['Freehold', 'Leasehold', '999-yr']);
 export const planEnum = pgEnum('user_plan', ['free', 'pro', 'enterprise']);
 export const ingestionStatusEnum = pgEnum('ingestion_status', ['running', 'completed', 'failed']);
 
@@ -41,11 +44,13 @@ export const salesTransactions = pgTable('sales_transactions', {
   marketSegment: marketSegmentEnum('market_segment').notNull(),
   propertyType: text('property_type').notNull(),                   // "Condominium", "Apartment", etc
   tenure: tenureTypeEnum('tenure').notNull(),
+  leaseYears: smallint('lease_years'),                             // 99, 999... null for freehold
+  leaseStart: smallint('lease_start'),                             // lease commencement year
   areaSqft: numeric('area_sqft', { precision: 10, scale: 2 }).notNull(),
   price: bigint('price', { mode: 'number' }).notNull(),
   psf: numeric('psf', { precision: 10, scale: 2 }).notNull(),
   floorRange: varchar('floor_range', { length: 20 }),              // "06-10"
-  floorMid: smallint('floor_mid'),
+  floorMid: numeric('floor_mid', { precision: 5, scale: 1 }),
   saleType: saleTypeEnum('sale_type'),
   contractDate: varchar('contract_date', { length: 7 }).notNull(), // "2024-01"
   year: smallint('year').notNull(),
@@ -53,6 +58,7 @@ export const salesTransactions = pgTable('sales_transactions', {
   bedrooms: varchar('bedrooms', { length: 5 }),                    // "3" or "3/4"
   batchNum: smallint('batch_num'),                                 // URA batch 1-4
   batchId: uuid('batch_id'),                                       // Links to ingestion_batches
+  dupSeq: smallint('dup_seq').notNull().default(0),                // Nth identical row (URA repeats some)
   createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
 }, (table) => ({
   projectIdx: index('idx_sales_project').on(table.project),
@@ -67,9 +73,10 @@ export const salesTransactions = pgTable('sales_transactions', {
   filtersIdx: index('idx_sales_filters').on(
     table.district, table.marketSegment, table.year, table.propertyType, table.tenure
   ),
-  // Dedup constraint: same project+date+price+area+floor = same transaction
+  // Dedup constraint: same project+date+price+area+floor = same transaction,
+  // unless URA lists it more than once (dup_seq counts the repeats)
   dedupIdx: uniqueIndex('idx_sales_dedup').on(
-    table.project, table.contractDate, table.price, table.areaSqft, table.floorRange
+    table.project, table.contractDate, table.price, table.areaSqft, table.floorRange, table.dupSeq
   ),
 }));
 
@@ -83,20 +90,40 @@ export const rentalTransactions = pgTable('rental_transactions', {
   rent: numeric('rent', { precision: 10, scale: 2 }).notNull(),
   rentPsf: numeric('rent_psf', { precision: 10, scale: 4 }).notNull(),
   bedrooms: varchar('bedrooms', { length: 5 }),
+  areaBand: varchar('area_band', { length: 20 }),                  // "800 - 900"
   leaseDate: varchar('lease_date', { length: 7 }).notNull(),       // "2024-01"
+  leaseCommencement: varchar('lease_commencement', { length: 10 }), // raw URA leaseDate
   quarter: varchar('quarter', { length: 7 }).notNull(),
   noOfContracts: smallint('no_of_contracts').default(1),
   batchId: uuid('batch_id'),
+  dupSeq: smallint('dup_seq').notNull().default(0),
   createdAt: timestamp('created_at', { withTimezone: true }).defaultNow(),
 }, (table) => ({
   projectIdx: index('idx_rental_project').on(table.project),
   districtIdx: index('idx_rental_district').on(table.district),
   quarterIdx: index('idx_rental_quarter').on(table.quarter),
   dedupIdx: uniqueIndex('idx_rental_dedup').on(
-    table.project, table.leaseDate, table.areaSqft, table.rent, table.bedrooms
+    table.project, table.leaseDate, table.areaSqft, table.rent, table.bedrooms, table.dupSeq
   ),
 }));
 
+export const projects = pgTable('projects', {
+  name: text('name').primaryKey(),
+  street: text('street').notNull(),
+  district: varchar('district', { length: 5 }).notNull(),
+  marketSegment: marketSegmentEnum('market_segment').notNull(),
+  propertyType: text('property_type').notNull(),
+  tenure: tenureTypeEnum('tenure').notNull(),
+  txCount: integer('tx_count').notNull().default(0),
+  avgPsf: numeric('avg_psf', { precision: 10, scale: 2 }),
+  firstDate: varchar('first_date', { length: 7 }),
+  lastDate: varchar('last_date', { length: 7 }),
+  rentalCount: integer('rental_count').notNull().default(0),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+}, (table) => ({
+  districtIdx: index('idx_projects_district').on(table.district),
+}));
+
 // ══════════════════════════════════════════════════════
 // USER TABLES
 // ══════════════════════════════════════════════════════
@@ -166,6 +193,39 @@ export const clientReports = pgTable('client_reports', {
   userIdx: index('idx_reports_user').on(table.userId),
 }));
 
+/**
+ * Whole UserData document per id. Anonymous ids (no users row) keep data here
+ * too, so there is no FK; item shapes are whatever the client saved.
+ */
+export const userData = pgTable('user_data', {
+  userId: varchar('user_id', { length: 64 }).primaryKey(),
+  portfolio: jsonb('portfolio').notNull().default(sql`'[]'::jsonb`),
+  savedSearches: jsonb('saved_searches').notNull().default(sql`'[]'::jsonb`),
+  clientReports: jsonb('client_reports').notNull().default(sql`'[]'::jsonb`),
+  watchlist: jsonb('watchlist').notNull().default(sql`'[]'::jsonb`),
+  alerts: jsonb('alerts').notNull().default(sql`'[]'::jsonb`),
+  webhookUrl: text('webhook_url'),
+  claimHash: varchar('claim_hash', { length: 64 }),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).defaultNow(),
+});
+
+/**
+ * One team workspace per row, stored whole like user_data. Members are looked
+ * up by JSONB containment (members @> '[{"userId": …}]'), hence the GIN index.
+ */
+export const workspaces = pgTable('workspaces', {
+  id: varchar('id', { length: 64 }).primaryKey(),
+  name: text('name').notNull(),
+  members: jsonb('members').notNull().default(sql`'[]'::jsonb`),
+  portfolio: jsonb('portfolio').notNull().default(sql`'[]'::jsonb`),
+  savedSearches: jsonb('saved_searches').notNull().default(sql`'[]'::jsonb`),
+  clientReports: jsonb('client_reports').notNull().default(sql`'[]'::jsonb`),
+  createdAt: timestamp('created_at', { withTimezone: true }).notNull().defaultNow(),
+  updatedAt: timestamp('updated_at', { withTimezone: true }).notNull().defaultNow(),
+}, (table) => ({
+  membersIdx: index('idx_workspaces_members').using('gin', table.members),
+}));
+
 // ══════════════════════════════════════════════════════
 // INGESTION TRACKING
 // ══════════════════════════════════════════════════════
@@ -210,3 +270,6 @@ export type NewUser = typeof users.$inferInsert;
 export type PortfolioHolding = typeof portfolioHoldings.$inferSelect;
 export type NewPortfolioHolding = typeof portfolioHoldings.$inferInsert;
 export type IngestionBatch = typeof ingestionBatches.$inferSelect;
+export type Project = typeof projects.$inferSelect;
+export type UserDataRow = typeof userData.$inferSelect;
+export type WorkspaceRow = typeof workspaces.$inferSelect;
@@ -7,13 +7,15 @@
  * Usage: npx tsx src/db/seed.ts
  *
  * Safe to run multiple times — uses ON CONFLICT DO NOTHING for dedup.
+ * The server does the same on its own when ENABLE_DB=true and the tables are
+ * empty; this script is for seeding ahead of the switch.
  */
 import { readFileSync, existsSync } from 'fs';
 import { gunzipSync } from 'zlib';
 import { join } from 'path';
 import { getDb } from '../config/database.ts';
 import { salesTransactions, rentalTransactions } from './schema.ts';
-import type { NewSalesTransaction, NewRentalTransaction } from './schema.ts';
+import { toSalesRows, toRentalRows } from '../services/dal.ts';
 import type { SalesRecord, RentalRecord } from '../types.ts';
 
 const CACHE_DIR = join(process.cwd(), 'data');
@@ -40,26 +42,8 @@ async function seedSales(): Promise<number> {
   const db = getDb();
   let inserted = 0;
 
-  // Transform SalesRecord → NewSalesTransaction
-  const rows: NewSalesTransaction[] = records.map(r => ({
-    project: r.p,
-    street: r.st,
-    district: r.di,
-    marketSegment: r.sg as 'CCR' | 'RCR' | 'OCR',
-    propertyType: r.pt,
-    tenure: r.tn as 'Freehold' | 'Leasehold',
-    areaSqft: String(r.a),
-    price: r.pr,
-    psf: String(r.ps),
-    floorRange: r.fl || null,
-    floorMid: r.fm || null,
-    saleType: r.tp as 'New Sale' | 'Sub Sale' | 'Resale',
-    contractDate: r.d,
-    year: parseInt(r.yr),
-    quarter: r.q,
-    bedrooms: null,  // Not stored in SalesRecord (inferred at runtime)
-    batchNum: r.bn,
-  }));
+  // Transform SalesRecord → NewSalesTransaction (same mapping as runtime persistence)
+  const rows = toSalesRows(records);
 
   // Batch insert with dedup
   for (let i = 0; i < rows.length; i += BATCH_SIZE) {
@@ -91,19 +75,7 @@ async function seedRentals(): Promise<number> {
   const db = getDb();
   let inserted = 0;
 
-  const rows: NewRentalTransaction[] = records.map(r => ({
-    project: r.p,
-    street: r.st,
-    district: r.di,
-    marketSegment: (r.sg || null) as 'CCR' | 'RCR' | 'OCR' | null,
-    areaSqft: String(r.a),
-    rent: String(r.rn),
-    rentPsf: String(r.rp),
-    bedrooms: r.br || null,
-    leaseDate: r.d,
-    quarter: r.lc || r.d.slice(0, 4) + 'Q' + Math.ceil(parseInt(r.d.slice(5, 7)) / 3),
-    noOfContracts: r.nc || 1,
-  }));
+  const rows = toRentalRows(records);
 
   for (let i = 0; i < rows.length; i += BATCH_SIZE) {
     const batch = rows.slice(i, i + BATCH_SIZE);
@@ -6,13 +6,20 @@
  * POST /api/auth/refresh    — Rotate tokens
  * POST /api/auth/logout     — Revoke all tokens
  * GET  /api/auth/me         — Get profile
+ * POST /api/auth/claim      — Move an anonymous user id's data into this account
+ *                             (needs the claim token its first save or read returned;
+ *                             only with ENABLE_AUTH, when there is an account to move it to)
  */
 import { Router, type Request, type Response } from 'express';
 import { z } from 'zod';
 import {
-  register, login, refresh, revokeAllTokens, getUserProfile, AuthError,
+  register, login, refresh, revokeAllTokens, getUserProfile, isAccountId, AuthError,
 } from '../services/auth/auth.service.ts';
+import { env } from '../config/env.ts';
 import { requireAuth } from '../services/auth/auth.middleware.ts';
+import { claimUser, ClaimError } from '../services/userStore.ts';
+import { zodDetails } from '../shared/api.ts';
+import { apiDoc } from '../shared/openapi.ts';
 
 const router = Router();
 
@@ -33,80 +40,116 @@ const RefreshSchema = z.object({
   refreshToken: z.string().min(1),
 });
 
+const ClaimSchema = z.object({
+  anonymousId: z.string().regex(/^[a-zA-Z0-9-]{1,64}$/, 'Invalid user ID'),
+  claimToken: z.string().min(1).max(128),
+});
+
 // ── Routes ──
 
-router.post('/register', async (req: Request, res: Response) => {
+router.post('/register', apiDoc({ summary: 'Create an account', tags: ['auth'], status: 201, body: RegisterSchema, errors: { 409: 'Email already registered (EMAIL_EXISTS)' } }), async (req: Request, res: Response) => {
   try {
     const body = RegisterSchema.parse(req.body);
     const tokens = await register(body.email, body.password, body.displayName);
     res.status(201).json({ success: true, data: tokens });
   } catch (err) {
     if (err instanceof z.ZodError) {
-      res.status(400).json({ success: false, error: 'Validation failed', details: err.errors });
+      res.status(400).json({ success: false, error: 'Validation failed', code: 'VALIDATION_FAILED', details: zodDetails(err) });
     } else if (err instanceof AuthError) {
       res.status(err.status).json({ success: false, error: err.message, code: err.code });
     } else {
       console.error('[Auth] Register error:', err);
-      res.status(500).json({ success: false, error: 'Registration failed' });
+      res.status(500).json({ success: false, error: 'Registration failed', code: 'INTERNAL_ERROR' });
     }
   }
 });
 
-router.post('/login', async (req: Request, res: Response) => {
+router.post('/login', apiDoc({ summary: 'Exchange email + password for tokens', tags: ['auth'], body: LoginSchema, errors: { 401: 'Wrong email or password (INVALID_CREDENTIALS)' } }), async (req: Request, res: Response) => {
   try {
     const body = LoginSchema.parse(req.body);
     const tokens = await login(body.email, body.password);
     res.json({ success: true, data: tokens });
   } catch (err) {
     if (err instanceof z.ZodError) {
-      res.status(400).json({ success: false, error: 'Validation failed', details: err.errors });
+      res.status(400).json({ success: false, error: 'Validation failed', code: 'VALIDATION_FAILED', details: zodDetails(err) });
     } else if (err instanceof AuthError) {
       res.status(err.status).json({ success: false, error: err.message, code: err.code });
     } else {
       console.error('[Auth] Login error:', err);
-      res.status(500).json({ success: false, error: 'Login failed' });
+      res.status(500).json({ success: false, error: 'Login failed', code: 'INTERNAL_ERROR' });
     }
   }
 });
 
-router.post('/refresh', async (req: Request, res: Response) => {
+router.post('/refresh', apiDoc({ summary: 'Rotate the refresh token', tags: ['auth'], body: RefreshSchema, errors: { 401: 'Invalid or revoked refresh token (INVALID_REFRESH)' } }), async (req: Request, res: Response) => {
   try {
     const body = RefreshSchema.parse(req.body);
     const tokens = await refresh(body.refreshToken);
     res.json({ success: true, data: tokens });
   } catch (err) {
     if (err instanceof z.ZodError) {
-      res.status(400).json({ success: false, error: 'Validation failed', details: err.errors });
+      res.status(400).json({ success: false, error: 'Validation failed', code: 'VALIDATION_FAILED', details: zodDetails(err) });
     } else if (err instanceof AuthError) {
       res.status(err.status).json({ success: false, error: err.message, code: err.code });
     } else {
       console.error('[Auth] Refresh error:', err);
-      res.status(500).json({ success: false, error: 'Token refresh failed' });
+      res.status(500).json({ success: false, error: 'Token refresh failed', code: 'INTERNAL_ERROR' });
     }
   }
 });
 
-router.post('/logout', requireAuth, async (req: Request, res: Response) => {
+router.post('/logout', apiDoc({ summary: 'Revoke all sessions', tags: ['auth'] }), requireAuth, async (req: Request, res: Response) => {
   try {
     await revokeAllTokens(req.userId!);
     res.json({ success: true, message: 'All sessions revoked' });
   } catch (err) {
     console.error('[Auth] Logout error:', err);
-    res.status(500).json({ success: false, error: 'Logout failed' });
+    res.status(500).json({ success: false, error: 'Logout failed', code: 'INTERNAL_ERROR' });
   }
 });
 
-router.get('/me', requireAuth, async (req: Request, res: Response) => {
+router.get('/me', apiDoc({ summary: 'Current account profile', tags: ['auth'] }), requireAuth, async (req: Request, res: Response) => {
   try {
     const profile = await getUserProfile(req.userId!);
     if (!profile) {
-      res.status(404).json({ success: false, error: 'User not found' });
+      res.status(404).json({ success: false, error: 'User not found', code: 'NOT_FOUND' });
       return;
     }
     res.json({ success: true, data: profile });
   } catch (err) {
     console.error('[Auth] Profile error:', err);
-    res.status(500).json({ success: false, error: 'Failed to load profile' });
+    res.status(500).json({ success: false, error: 'Failed to load profile', code: 'INTERNAL_ERROR' });
+  }
+});
+
+router.post('/claim', apiDoc({ summary: 'Move an anonymous user id\'s data into this account', tags: ['auth'], body: ClaimSchema, errors: { 403: 'The id is an account, or the claim token is wrong (CLAIM_FORBIDDEN)', 404: 'Nothing stored under that id (NOTHING_TO_CLAIM)', 409: 'Accounts are not enabled (AUTH_DISABLED)' } }), requireAuth, async (req: Request, res: Response) => {
+  try {
+    // Without ENABLE_AUTH every caller is 'dev-user'; the data stays under its own id
+    if (!env.ENABLE_AUTH) {
+      res.status(409).json({ success: false, error: 'Accounts are not enabled', code: 'AUTH_DISABLED' });
+      return;
+    }
+    const body = ClaimSchema.parse(req.body);
+    // An account's data only ever moves by signing in to it
+    if (await isAccountId(body.anonymousId)) {
+      res.status(403).json({ success: false, error: 'That id belongs to an account', code: 'CLAIM_FORBIDDEN' });
+      return;
+    }
+    const data = await claimUser(body.anonymousId, body.claimToken, req.userId!);
+    if (!data) {
+      res.status(404).json({ success: false, error: 'Nothing to claim for that id', code: 'NOTHING_TO_CLAIM' });
+      return;
+    }
+    res.json({ success: true, data });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ success: false, error: 'Validation failed', code: 'VALIDATION_FAILED', details: zodDetails(err) });
+    } else if (err instanceof ClaimError) {
+      res.status(err.status).json({ success: false, error: err.message, code: err.code });
+    } else {
+      console.error('[Auth] Claim error:', err);
+      res.status(500).json({ success: false, error: 'Claim failed', code: 'INTERNAL_ERROR' });
+    }
   }
 });
 
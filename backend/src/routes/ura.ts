@@ -1,49 +1,90 @@
 import express, { type Request, type Response, type NextFunction } from 'express';
-import { z } from 'zod';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import {
   buildDashboardData, buildFilteredDashboard, getProjectData,
   getTokenInfo, getCacheInfo, getFullCacheInfo, refreshToken,
-  searchSales, searchRental, getFilterOptions,
+  searchSales, searchRental, getFilterOptions, getDataSource,
+  listSnapshots, findSnapshot, loadArchivedDashboard, getChanges,
+  getNearbyProjects, getMapData, getPriceIndex, getValuation, getBacktest, getAcquisitionCost, getPortfolioCashflow,
 } from '../services/uraService.ts';
 import { getUser, saveUser } from '../services/userStore.ts';
+import { markAlertsRead } from '../services/alerts.ts';
+import { enqueueRefresh, getRefreshJob } from '../services/ingestion.ts';
 import {
-  FilteredDashboardSchema, SalesSearchSchema, RentalSearchSchema,
-  ProjectParamSchema, UserIdSchema, UserBodySchema, AdminAuthSchema,
+  exportRows, exportRowLimit, encodeExport, exportFilename, EXPORT_FORMATS, type ExportDataset,
+} from '../services/export/index.ts';
+import { requireAuth } from '../services/auth/auth.middleware.ts';
+import { rateLimitRejections } from '../shared/metrics.ts';
+import { validate, sendData } from '../shared/api.ts';
+import { apiDoc } from '../shared/openapi.ts';
+import { env } from '../config/env.ts';
+import {
+  DashboardQuerySchema, ChangesQuerySchema, FilteredDashboardSchema, SalesSearchSchema, RentalSearchSchema,
+  SalesExportSchema, RentalExportSchema,
+  ProjectParamSchema, NearbyQuerySchema, PriceIndexQuerySchema, ValuationRequestSchema, AcquisitionCostRequestSchema, PortfolioCashflowRequestSchema, UserIdSchema, UserBodySchema, AdminAuthSchema, AlertsReadSchema,
+  RefreshQuerySchema, RefreshJobParamsSchema, BacktestQuerySchema,
+  MarketDataSchema, ProjectDataSchema, NearbyProjectsSchema, MapDataSchema, PriceIndexSchema, ValuationSchema, AcquisitionCostSchema, PortfolioCashflowSchema, BacktestSchema, SalesSearchResultsSchema, RentalSearchResultsSchema, FilterOptionsSchema,
 } from '../schemas.ts';
 
 const router = express.Router();
 
-// ── Zod validation middleware ──
+/**
+ * GET /api/dashboard — ALL chart data in one call (~50KB)
+ * ?asOf=2026-06-30 serves the archived generation that was live at that time
+ */
+router.get('/dashboard',
+  apiDoc({ summary: 'All dashboard chart data in one call', tags: ['market'], response: MarketDataSchema, errors: { 404: 'No archived snapshot on or before asOf (SNAPSHOT_NOT_FOUND)', 503: 'Data is still loading (DATA_LOADING)' } }),
+  validate(DashboardQuerySchema),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const { asOf } = (req as any).validated;
+      if (asOf) {
+        const snapshot = findSnapshot(asOf);
+        const data = snapshot && loadArchivedDashboard(snapshot.id);
+        if (!data) return res.status(404).json({ success: false, error: `No snapshot on or before ${asOf}`, code: 'SNAPSHOT_NOT_FOUND' });
+        return sendData(res, MarketDataSchema, data, { snapshot });
+      }
+      const data = await buildDashboardData();
+      sendData(res, MarketDataSchema, data);
+    } catch (err) { next(err); }
+  });
 
-function validate<T extends z.ZodType>(schema: T, source: 'query' | 'params' | 'body' = 'query') {
-  return (req: Request, res: Response, next: NextFunction): void => {
-    const result = schema.safeParse(req[source]);
-    if (!result.success) {
-      const errors = result.error.issues.map(i => `${i.path.join('.')}: ${i.message}`);
-      res.status(400).json({ success: false, error: 'Validation failed', details: errors });
-      return;
-    }
-    // Attach parsed data
-    (req as any).validated = result.data;
-    next();
-  };
-}
+/**
+ * GET /api/snapshots — Archived dashboard generations, newest first
+ */
+router.get('/snapshots',
+  apiDoc({ summary: 'Archived dashboard generations, newest first', tags: ['snapshots'] }),
+  (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const snapshots = listSnapshots();
+      res.json({ success: true, count: snapshots.length, snapshots });
+    } catch (err) { next(err); }
+  });
 
 /**
- * GET /api/dashboard — ALL chart data in one call (~50KB)
+ * GET /api/changes — What changed between two archived generations
+ * Defaults: to = newest generation, from = the one before it
+ * Zod-validated: from, to, threshold (avg PSF % move), limit (sample size)
  */
-router.get('/dashboard', async (req: Request, res: Response, next: NextFunction) => {
-  try {
-    const data = await buildDashboardData();
-    res.json({ success: true, data });
-  } catch (err) { next(err); }
-});
+router.get('/changes',
+  apiDoc({ summary: 'What changed between two archived generations', tags: ['snapshots'], errors: { 404: 'Fewer than two generations to compare (SNAPSHOT_NOT_FOUND)' } }),
+  validate(ChangesQuerySchema),
+  (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const { from, to, threshold, limit } = (req as any).validated;
+      const data = getChanges(from, to, { thresholdPct: threshold, limit });
+      if (!data) return res.status(404).json({ success: false, error: 'Need two distinct archived generations to compare', code: 'SNAPSHOT_NOT_FOUND' });
+      res.json({ success: true, data });
+    } catch (err) { next(err); }
+  });
 
 /**
  * GET /api/dashboard/filtered — Filtered dashboard data
  * Zod-validated: district, year, segment, propertyType, tenure
  */
 router.get('/dashboard/filtered',
+  apiDoc({ summary: 'Dashboard data for a district / year / segment / type / tenure slice', tags: ['market'], response: MarketDataSchema, errors: { 404: 'Nothing matches the filters (NO_MATCHING_DATA)' } }),
   validate(FilteredDashboardSchema),
   async (req: Request, res: Response, next: NextFunction) => {
     try {
@@ -57,14 +98,14 @@ router.get('/dashboard/filtered',
 
       if (Object.keys(filters).length === 0) {
         const data = await buildDashboardData();
-        return res.json({ success: true, data });
+        return sendData(res, MarketDataSchema, data);
       }
 
       const data = buildFilteredDashboard(filters);
       if (!data) {
-        return res.status(404).json({ success: false, error: 'No data matches filters. Try broadening your selection.' });
+        return res.status(404).json({ success: false, error: 'No data matches filters. Try broadening your selection.', code: 'NO_MATCHING_DATA' });
       }
-      res.json({ success: true, data });
+      sendData(res, MarketDataSchema, data);
     } catch (err) { next(err); }
   });
 
@@ -73,12 +114,13 @@ router.get('/dashboard/filtered',
  * Zod-validated: q, district, segment, type, tenure, page, limit, sort
  */
 router.get('/sales/search',
+  apiDoc({ summary: 'Search sale transactions (paginated)', tags: ['search'], response: SalesSearchResultsSchema }),
   validate(SalesSearchSchema),
   async (req: Request, res: Response, next: NextFunction) => {
     try {
       const opts = (req as any).validated;
       const data = await searchSales(opts);
-      res.json({ success: true, data });
+      sendData(res, SalesSearchResultsSchema, data);
     } catch (err) { next(err); }
   });
 
@@ -87,136 +129,335 @@ router.get('/sales/search',
  * Zod-validated: q, district, segment, bedrooms, areaSqft, page, limit, sort
  */
 router.get('/rental/search',
+  apiDoc({ summary: 'Search rental contracts (paginated)', tags: ['search'], response: RentalSearchResultsSchema }),
   validate(RentalSearchSchema),
   async (req: Request, res: Response, next: NextFunction) => {
     try {
       const opts = (req as any).validated;
       const data = await searchRental(opts);
-      res.json({ success: true, data });
+      sendData(res, RentalSearchResultsSchema, data);
     } catch (err) { next(err); }
   });
 
 /**
- * GET /api/filters — Available filter options
+ * GET /api/sales/export, /api/rental/export — Every matching row as a file download
+ * Same filters and sort as the search endpoints; ?format=csv|xlsx|parquet.
+ * The body is streamed as it's encoded (see services/export), so X-Total-Count
+ * is sent up front but there's no Content-Length.
  */
-router.get('/filters', async (req: Request, res: Response, next: NextFunction) => {
+async function sendExport(dataset: ExportDataset, req: Request, res: Response, next: NextFunction) {
   try {
-    await buildDashboardData();
-    res.json({ success: true, data: getFilterOptions() });
-  } catch (err) { next(err); }
-});
+    const { format, ...opts } = (req as any).validated;
+    const source = await exportRows(dataset, opts);
+    const limit = exportRowLimit(format);
+    if (limit !== null && source.total > limit) {
+      return res.status(400).json({
+        success: false, code: 'EXPORT_TOO_LARGE',
+        error: `${source.total.toLocaleString()} rows exceed the ${format.toUpperCase()} limit of ${limit.toLocaleString()} — narrow the filters or export CSV / Parquet`,
+      });
+    }
+    res.setHeader('Content-Type', EXPORT_FORMATS[format as keyof typeof EXPORT_FORMATS].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(dataset, format, opts)}"`);
+    res.setHeader('X-Total-Count', String(source.total));
+    await pipeline(Readable.from(encodeExport(format, source, dataset === 'sales' ? 'Sales' : 'Rental')), res);
+  } catch (err) {
+    // Once the download has started the status is gone; a client abort lands here too
+    if (res.headersSent) {
+      if ((err as NodeJS.ErrnoException).code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error(`❌ ${dataset} export failed mid-stream:`, err);
+      res.destroy();
+      return;
+    }
+    next(err);
+  }
+}
+
+const EXPORT_DOC = {
+  tags: ['search'],
+  produces: Object.values(EXPORT_FORMATS).map(f => f.contentType),
+  errors: { 400: 'Too many rows for XLSX (EXPORT_TOO_LARGE)' },
+};
+
+router.get('/sales/export',
+  apiDoc({ ...EXPORT_DOC, summary: 'Export every matching sale (CSV, XLSX or Parquet)' }),
+  validate(SalesExportSchema),
+  (req: Request, res: Response, next: NextFunction) => sendExport('sales', req, res, next));
+
+router.get('/rental/export',
+  apiDoc({ ...EXPORT_DOC, summary: 'Export every matching rental contract (CSV, XLSX or Parquet)' }),
+  validate(RentalExportSchema),
+  (req: Request, res: Response, next: NextFunction) => sendExport('rental', req, res, next));
+
+/**
+ * GET /api/index — Repeat-sales price index (quarterly) for the market, segments and districts
+ */
+router.get('/index',
+  apiDoc({ summary: 'Quarterly repeat-sales price index per segment and district', tags: ['market'], response: PriceIndexSchema }),
+  validate(PriceIndexQuerySchema),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      sendData(res, PriceIndexSchema, await getPriceIndex((req as any).validated));
+    } catch (err) { next(err); }
+  });
+
+/**
+ * GET /api/filters — Available filter options
+ */
+router.get('/filters',
+  apiDoc({ summary: 'Values available for each search filter', tags: ['search'], response: FilterOptionsSchema }),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      await buildDashboardData();
+      sendData(res, FilterOptionsSchema, getFilterOptions());
+    } catch (err) { next(err); }
+  });
 
 /**
  * GET /api/project/:name — Project-level detail
  * Zod-validated: name param
  */
 router.get('/project/:name',
+  apiDoc({ summary: 'Project detail: transactions, trends, floor premiums, nearby projects', tags: ['projects'], response: ProjectDataSchema, errors: { 404: 'Unknown project (PROJECT_NOT_FOUND)' } }),
   validate(ProjectParamSchema, 'params'),
   async (req: Request, res: Response, next: NextFunction) => {
     try {
       const data = await getProjectData(decodeURIComponent(req.params.name!));
-      if (!data) return res.status(404).json({ success: false, error: 'Project not found' });
-      res.json({ success: true, data });
+      if (!data) return res.status(404).json({ success: false, error: 'Project not found', code: 'PROJECT_NOT_FOUND' });
+      sendData(res, ProjectDataSchema, data);
     } catch (err) { next(err); }
   });
 
 /**
- * GET /api/stats — Health check
+ * GET /api/project/:name/nearby — Projects within ?radiusM= metres, across district lines
  */
-router.get('/stats', (req: Request, res: Response) => {
-  const mem = process.memoryUsage();
-  const cacheInfo = getFullCacheInfo();
-  res.json({
-    token: getTokenInfo(),
-    cache: cacheInfo,
-    memory: { heapMB: Math.round(mem.heapUsed / 1e6), rssMB: Math.round(mem.rss / 1e6) },
-    uptime: Math.round(process.uptime()) + 's',
+router.get('/project/:name/nearby',
+  apiDoc({ summary: 'Projects within a radius of a project, nearest first', tags: ['projects'], response: NearbyProjectsSchema, errors: { 404: 'Unknown project (PROJECT_NOT_FOUND)' } }),
+  validate(ProjectParamSchema, 'params'),
+  validate(NearbyQuerySchema),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const { radiusM, limit } = (req as any).validated;
+      const data = await getNearbyProjects(decodeURIComponent(String(req.params.name)), radiusM, limit);
+      if (!data) return res.status(404).json({ success: false, error: 'Project not found', code: 'PROJECT_NOT_FOUND' });
+      sendData(res, NearbyProjectsSchema, data);
+    } catch (err) { next(err); }
   });
-});
 
 /**
- * POST /api/refresh — Force rebuild (protected)
+ * GET /api/map — Located projects and district areas (GeoJSON) for the map views
  */
-let lastRefreshTime = 0;
-let refreshInProgress = false;
-const REFRESH_COOLDOWN_MS = 5 * 60 * 1000;
+router.get('/map',
+  apiDoc({ summary: 'Project locations and district areas for the map views', tags: ['projects'], response: MapDataSchema }),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      sendData(res, MapDataSchema, await getMapData());
+    } catch (err) { next(err); }
+  });
 
-router.post('/refresh', async (req: Request, res: Response, next: NextFunction) => {
+/**
+ * POST /api/valuation — Hedonic model estimate for one unit, with its interval and comparables
+ * Zod-validated: body
+ */
+router.post('/valuation',
+  apiDoc({ summary: 'Estimate a unit\'s value: point estimate, 90% interval and the comparables behind it', tags: ['projects'], response: ValuationSchema, errors: { 404: 'Unknown project (PROJECT_NOT_FOUND)' } }),
+  validate(ValuationRequestSchema, 'body'),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const data = await getValuation((req as any).validated);
+      if (!data) return res.status(404).json({ success: false, error: 'Project not found', code: 'PROJECT_NOT_FOUND' });
+      sendData(res, ValuationSchema, data);
+    } catch (err) { next(err); }
+  });
+
+/**
+ * POST /api/acquisition-cost — Stamp duties, loan and cost of ownership for a purchase
+ * Zod-validated: body
+ */
+router.post('/acquisition-cost',
+  apiDoc({ summary: 'Cost a purchase: BSD, ABSD, SSD on early resale, loan limits (LTV / TDSR) and amortisation', tags: ['projects'], response: AcquisitionCostSchema }),
+  validate(AcquisitionCostRequestSchema, 'body'),
+  (req: Request, res: Response, next: NextFunction) => {
+    try {
+      sendData(res, AcquisitionCostSchema, getAcquisitionCost((req as any).validated));
+    } catch (err) { next(err); }
+  });
+
+/**
+ * POST /api/portfolio/cashflow — Cash flows, IRR and equity multiple for a set of holdings
+ * Zod-validated: body
+ */
+router.post('/portfolio/cashflow',
+  apiDoc({ summary: 'Project holdings to an exit year: rent, tax, maintenance, mortgage and sale, with IRR and equity multiple under bear / base / bull growth', tags: ['user'], response: PortfolioCashflowSchema }),
+  validate(PortfolioCashflowRequestSchema, 'body'),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      sendData(res, PortfolioCashflowSchema, await getPortfolioCashflow((req as any).validated));
+    } catch (err) { next(err); }
+  });
+
+/**
+ * GET /api/stats — Health check
+ */
+router.get('/stats',
+  apiDoc({ summary: 'Token, data source, cache and memory status', tags: ['admin'] }),
+  (req: Request, res: Response) => {
+    const mem = process.memoryUsage();
+    const cacheInfo = getFullCacheInfo();
+    res.json({
+      token: getTokenInfo(),
+      source: getDataSource().name,
+      cache: cacheInfo,
+      memory: { heapMB: Math.round(mem.heapUsed / 1e6), rssMB: Math.round(mem.rss / 1e6) },
+      uptime: Math.round(process.uptime()) + 's',
+    });
+  });
+
+// ── Admin key (ADMIN_KEY via ?key= or Bearer) ──
+
+function requireAdminKey(req: Request, res: Response, next: NextFunction): void {
   const adminKey = process.env.ADMIN_KEY;
   if (!adminKey) {
-    return res.status(403).json({ success: false, error: 'ADMIN_KEY not configured', code: 'NO_ADMIN_KEY' });
+    res.status(403).json({ success: false, error: 'ADMIN_KEY not configured', code: 'NO_ADMIN_KEY' });
+    return;
   }
   const provided = (req.query.key as string) || req.headers.authorization?.replace('Bearer ', '');
   if (provided !== adminKey) {
-    return res.status(403).json({ success: false, error: 'Invalid admin key', code: 'AUTH_FAILED' });
-  }
-  if (refreshInProgress) {
-    return res.status(409).json({ success: false, error: 'Refresh already in progress', code: 'REFRESH_IN_PROGRESS' });
+    res.status(403).json({ success: false, error: 'Invalid admin key', code: 'AUTH_FAILED' });
+    return;
   }
-  const now = Date.now();
-  if (now - lastRefreshTime < REFRESH_COOLDOWN_MS) {
-    const waitSec = Math.ceil((REFRESH_COOLDOWN_MS - (now - lastRefreshTime)) / 1000);
-    return res.status(429).json({ success: false, error: `Rate limited — try again in ${waitSec}s`, code: 'RATE_LIMITED', retryAfter: waitSec });
-  }
-  lastRefreshTime = now;
-  refreshInProgress = true;
-  const t0 = Date.now();
-  try {
-    await buildDashboardData(true);
-    res.json({ success: true, message: 'Cache rebuilt', durationMs: Date.now() - t0 });
-  } catch (err) { next(err); }
-  finally { refreshInProgress = false; }
-});
+  next();
+}
+
+/**
+ * POST /api/refresh — Start a rebuild in the background (protected)
+ * ?mode=incremental swaps in each refetched batch and reaggregates only what changed.
+ * Responds 202 with the job; poll GET /api/refresh/:jobId for progress.
+ */
+let lastRefreshTime = 0;
+const REFRESH_COOLDOWN_MS = 5 * 60 * 1000;
+
+router.post('/refresh',
+  apiDoc({ summary: 'Start a background data refresh', description: 'Responds 202 with the job and a Location header; poll GET /refresh/{jobId}.', tags: ['admin'], status: 202, errors: { 409: 'A refresh is already queued or running (REFRESH_IN_PROGRESS)', 429: 'Refresh cooldown (RATE_LIMITED)' } }),
+  requireAdminKey,
+  validate(RefreshQuerySchema),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const now = Date.now();
+      if (now - lastRefreshTime < REFRESH_COOLDOWN_MS) {
+        const waitSec = Math.ceil((REFRESH_COOLDOWN_MS - (now - lastRefreshTime)) / 1000);
+        rateLimitRejections.inc({ limiter: 'refresh' });
+        return res.status(429).json({ success: false, error: `Rate limited — try again in ${waitSec}s`, code: 'RATE_LIMITED', retryAfter: waitSec });
+      }
+      const { job, created } = await enqueueRefresh((req as any).validated.mode);
+      if (!created) {
+        return res.status(409).json({ success: false, error: 'Refresh already in progress', code: 'REFRESH_IN_PROGRESS', data: job });
+      }
+      lastRefreshTime = now;
+      res.status(202).location(`${req.baseUrl}/refresh/${job.id}`).json({ success: true, data: job });
+    } catch (err) { next(err); }
+  });
+
+/**
+ * GET /api/refresh/:jobId — Refresh job state + progress (protected)
+ */
+router.get('/refresh/:jobId',
+  apiDoc({ summary: 'Refresh job state and progress', tags: ['admin'], errors: { 404: 'Unknown job (JOB_NOT_FOUND)' } }),
+  requireAdminKey,
+  validate(RefreshJobParamsSchema, 'params'),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const job = await getRefreshJob((req as any).validated.jobId);
+      if (!job) return res.status(404).json({ success: false, error: 'Refresh job not found', code: 'JOB_NOT_FOUND' });
+      res.json({ success: true, data: job });
+    } catch (err) { next(err); }
+  });
+
+/**
+ * GET /api/backtest — Valuation accuracy replayed over recent months (protected)
+ * Slow on a cold store (it refits the models month by month); cached until the next refresh.
+ */
+router.get('/backtest',
+  apiDoc({ summary: 'Backtest the valuation methods: error by district, segment and size band', tags: ['admin'], response: BacktestSchema }),
+  requireAdminKey,
+  validate(BacktestQuerySchema),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      sendData(res, BacktestSchema, await getBacktest((req as any).validated));
+    } catch (err) { next(err); }
+  });
 
 /**
  * POST /api/refresh-token — Force URA token refresh (protected)
  */
-router.post('/refresh-token', async (req: Request, res: Response, next: NextFunction) => {
-  const adminKey = process.env.ADMIN_KEY;
-  if (!adminKey) return res.status(403).json({ success: false, error: 'ADMIN_KEY not configured', code: 'NO_ADMIN_KEY' });
-  const provided = (req.query.key as string) || req.headers.authorization?.replace('Bearer ', '');
-  if (provided !== adminKey) return res.status(403).json({ success: false, error: 'Invalid admin key', code: 'AUTH_FAILED' });
-  try {
-    await refreshToken();
-    res.json({ success: true, token: getTokenInfo() });
-  } catch (err) { next(err); }
-});
+router.post('/refresh-token',
+  apiDoc({ summary: 'Force a URA token refresh', tags: ['admin'] }),
+  requireAdminKey,
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      await refreshToken();
+      res.json({ success: true, token: getTokenInfo() });
+    } catch (err) { next(err); }
+  });
 
 // Legacy endpoints
-router.get('/transactions', async (req: Request, res: Response, next: NextFunction) => {
-  try {
-    const data = await buildDashboardData();
-    res.json({ success: true, data: (data as any).mktSaleTx });
-  } catch (err) { next(err); }
-});
+router.get('/transactions',
+  apiDoc({ summary: 'Recent market sale transactions', tags: ['market'], deprecated: true }),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const data = await buildDashboardData();
+      res.json({ success: true, data: (data as any).mktSaleTx });
+    } catch (err) { next(err); }
+  });
 
-router.get('/districts/summary', async (req: Request, res: Response, next: NextFunction) => {
-  try {
-    const data = await buildDashboardData();
-    res.json({ success: true, data: (data as any).sDistBar });
-  } catch (err) { next(err); }
-});
+router.get('/districts/summary',
+  apiDoc({ summary: 'Per-district sales summary', tags: ['market'], deprecated: true }),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const data = await buildDashboardData();
+      res.json({ success: true, data: (data as any).sDistBar });
+    } catch (err) { next(err); }
+  });
 
-router.get('/property-types/summary', async (req: Request, res: Response, next: NextFunction) => {
-  try {
-    const data = await buildDashboardData();
-    res.json({ success: true, data: (data as any).sType });
-  } catch (err) { next(err); }
-});
+router.get('/property-types/summary',
+  apiDoc({ summary: 'Per-property-type sales summary', tags: ['market'], deprecated: true }),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const data = await buildDashboardData();
+      res.json({ success: true, data: (data as any).sType });
+    } catch (err) { next(err); }
+  });
 
 // ═══ USER DATA (portfolio + saved searches) ═══
 const userWriteHits = new Map<string, number>();
-setInterval(() => userWriteHits.clear(), 60_000);
+setInterval(() => userWriteHits.clear(), 60_000).unref();  // the listening server keeps the process up, not this
+
+/**
+ * With ENABLE_AUTH the :id must be the caller's own account id. Without it,
+ * anonymous ids are trusted as before (dev / pre-rollout).
+ */
+function ownUser(req: Request, res: Response, next: NextFunction): void {
+  if (!env.ENABLE_AUTH) return next();
+  requireAuth(req, res, () => {
+    if (req.params.id !== req.userId) {
+      res.status(403).json({ success: false, error: 'Not your user data', code: 'FORBIDDEN' });
+      return;
+    }
+    next();
+  });
+}
 
 /**
  * GET /api/user/:id — load user data
- * Zod-validated: id param
+ * Zod-validated: id param; must be the caller's account when ENABLE_AUTH
  */
 router.get('/user/:id',
+  apiDoc({ summary: 'Load portfolio, saved searches, client reports and watchlist', tags: ['user'] }),
   validate(UserIdSchema, 'params'),
-  (req: Request, res: Response, next: NextFunction) => {
+  ownUser,
+  async (req: Request, res: Response, next: NextFunction) => {
     try {
-      const data = getUser(req.params.id!);
+      // Until accounts are enforced the id alone opens its data, so that is when
+      // ids saved before claim tokens existed can be given one
+      const data = await getUser(req.params.id!, { issueClaim: !env.ENABLE_AUTH });
       res.json({ success: true, data });
     } catch (err) { next(err); }
   });
@@ -226,18 +467,53 @@ router.get('/user/:id',
  * Zod-validated: id param + body
  */
 router.put('/user/:id',
+  apiDoc({ summary: 'Save user data', tags: ['user'], errors: { 429: 'Too many writes (RATE_LIMITED)' } }),
   validate(UserIdSchema, 'params'),
+  ownUser,
   validate(UserBodySchema, 'body'),
-  (req: Request, res: Response, next: NextFunction) => {
+  async (req: Request, res: Response, next: NextFunction) => {
     try {
       const ip = req.ip || (req as any).connection?.remoteAddress || 'unknown';
       const hits = (userWriteHits.get(ip) || 0) + 1;
       userWriteHits.set(ip, hits);
-      if (hits > 30) return res.status(429).json({ success: false, error: 'Write rate limited', code: 'RATE_LIMITED' });
+      if (hits > 30) {
+        rateLimitRejections.inc({ limiter: 'user_write' });
+        return res.status(429).json({ success: false, error: 'Write rate limited', code: 'RATE_LIMITED' });
+      }
 
-      const saved = saveUser(req.params.id!, (req as any).validated);
+      const saved = await saveUser(req.params.id!, (req as any).validated);
       res.json({ success: true, data: saved });
     } catch (err) { next(err); }
   });
 
+/**
+ * GET /api/user/:id/alerts — triggered watchlist alerts, newest first
+ */
+router.get('/user/:id/alerts',
+  apiDoc({ summary: 'Triggered watchlist alerts, newest first', tags: ['user'] }),
+  validate(UserIdSchema, 'params'),
+  ownUser,
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const alerts = (await getUser((req as any).validated.id)).alerts || [];
+      res.json({ success: true, data: alerts, unread: alerts.filter(a => !a.read).length });
+    } catch (err) { next(err); }
+  });
+
+/**
+ * POST /api/user/:id/alerts/read — mark alerts read (all when no ids given)
+ * Zod-validated: id param + { ids? }
+ */
+router.post('/user/:id/alerts/read',
+  apiDoc({ summary: 'Mark alerts read (all when no ids are given)', tags: ['user'] }),
+  validate(UserIdSchema, 'params'),
+  ownUser,
+  validate(AlertsReadSchema, 'body'),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const alerts = await markAlertsRead(String(req.params.id), (req as any).validated.ids);
+      res.json({ success: true, data: alerts, unread: alerts.filter(a => !a.read).length });
+    } catch (err) { next(err); }
+  });
+
 export default router;
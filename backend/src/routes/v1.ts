@@ -0,0 +1,70 @@
+/**
+ * routes/v1.ts — The /api/v1 router and its OpenAPI document
+ *
+ * V1_MOUNTS is the single list of sub-routers: server.ts mounts it and
+ * getOpenApiSpec() documents exactly the same routes.
+ *
+ * Export the spec for client generation:
+ *   npm run openapi            (writes openapi.json)
+ */
+import { Router } from 'express';
+import { writeFileSync } from 'fs';
+import { pathToFileURL } from 'url';
+import uraRoutes from './ura.ts';
+import authRoutes from './auth.ts';
+import workspaceRoutes from './workspaces.ts';
+import { apiNotFound, API_VERSION } from '../shared/api.ts';
+import { buildOpenApiSpec, type RouterMount } from '../shared/openapi.ts';
+import {
+  ApiErrorSchema, MarketDataSchema, ProjectDataSchema, SalesSearchResultsSchema,
+  RentalSearchResultsSchema, FilterOptionsSchema,
+} from '../schemas.ts';
+
+export const V1_MOUNTS: RouterMount[] = [
+  { prefix: '/auth', router: authRoutes },
+  { prefix: '/workspaces', router: workspaceRoutes },
+  { prefix: '', router: uraRoutes },
+];
+
+export function createV1Router(): Router {
+  const v1 = Router();
+  for (const { prefix, router } of V1_MOUNTS) {
+    if (prefix) v1.use(prefix, router);
+    else v1.use(router);
+  }
+  v1.use(apiNotFound);
+  return v1;
+}
+
+let _spec: Record<string, any> | null = null;
+
+/** OpenAPI 3.0 document for /api/v1 (built once — routes don't change at runtime) */
+export function getOpenApiSpec(): Record<string, any> {
+  _spec ??= buildOpenApiSpec({
+    title: 'URA Property Analytics API',
+    version: process.env.npm_package_version || '3.0.0',
+    description: 'Singapore private residential sales and rental transactions (URA), aggregated. '
+      + 'Every response is { success, data } or { success: false, error, code }. '
+      + 'The unversioned /api/* paths are a deprecated alias of these routes.',
+    serverUrl: `/api/${API_VERSION}`,
+    components: {
+      ApiError: ApiErrorSchema,
+      MarketData: MarketDataSchema,
+      ProjectData: ProjectDataSchema,
+      SalesSearchResults: SalesSearchResultsSchema,
+      RentalSearchResults: RentalSearchResultsSchema,
+      FilterOptions: FilterOptionsSchema,
+    },
+  }, V1_MOUNTS);
+  return _spec;
+}
+
+// ── CLI: tsx src/routes/v1.ts [out.json] ──
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const out = process.argv[2] || 'openapi.json';
+  const spec = getOpenApiSpec();
+  writeFileSync(out, JSON.stringify(spec, null, 2) + '\n');
+  console.log(`📄 OpenAPI spec written to ${out} (${Object.keys(spec.paths).length} paths)`);
+  process.exit(0);
+}
@@ -0,0 +1,141 @@
+/**
+ * routes/workspaces.ts — Team workspaces (all routes require a signed-in account)
+ *
+ * GET    /api/workspaces                        — Workspaces I belong to (+ my role)
+ * POST   /api/workspaces                        — Create (caller becomes owner)
+ * GET    /api/workspaces/:wsId                  — Shared lists + members (viewer+)
+ * PATCH  /api/workspaces/:wsId                  — Rename (owner)
+ * DELETE /api/workspaces/:wsId                  — Delete (owner)
+ * PUT    /api/workspaces/:wsId/data             — Save shared lists (editor+)
+ * POST   /api/workspaces/:wsId/members          — Add member by account email (owner)
+ * PATCH  /api/workspaces/:wsId/members/:userId  — Change role (owner)
+ * DELETE /api/workspaces/:wsId/members/:userId  — Remove member (owner) or leave (self)
+ *
+ * Members carry their account `userId` only in what owners get back; everyone
+ * else sees email, name, role and a `self` flag (services/workspaces viewOf).
+ */
+import { Router, type Request, type Response } from 'express';
+import { z } from 'zod';
+import { requireAuth } from '../services/auth/auth.middleware.ts';
+import { getUserProfile, findUserByEmail } from '../services/auth/auth.service.ts';
+import {
+  listWorkspaces, createWorkspace, requireRole, renameWorkspace, deleteWorkspace,
+  saveWorkspaceData, addMember, setMemberRole, removeMember, viewOf, membersOf, WorkspaceError,
+} from '../services/workspaces.ts';
+import {
+  WorkspaceIdSchema, WorkspaceMemberParamsSchema, WorkspaceNameSchema,
+  WorkspaceDataSchema, WorkspaceMemberSchema, WorkspaceRoleBodySchema,
+} from '../schemas.ts';
+import { zodDetails } from '../shared/api.ts';
+import { apiDoc } from '../shared/openapi.ts';
+
+const router = Router();
+
+router.use(requireAuth);
+
+function fail(res: Response, err: unknown, label: string): void {
+  if (err instanceof z.ZodError) {
+    res.status(400).json({ success: false, error: 'Validation failed', code: 'VALIDATION_FAILED', details: zodDetails(err) });
+  } else if (err instanceof WorkspaceError) {
+    res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  } else {
+    console.error(`[Workspaces] ${label} error:`, err);
+    res.status(500).json({ success: false, error: `${label} failed`, code: 'INTERNAL_ERROR' });
+  }
+}
+
+// ── Workspaces ──
+
+router.get('/', apiDoc({ summary: 'Workspaces I belong to, with my role', tags: ['workspaces'] }), async (req: Request, res: Response) => {
+  try {
+    res.json({ success: true, data: await listWorkspaces(req.userId!) });
+  } catch (err) { fail(res, err, 'List'); }
+});
+
+router.post('/', apiDoc({ summary: 'Create a workspace (caller becomes owner)', tags: ['workspaces'], status: 201, body: WorkspaceNameSchema }), async (req: Request, res: Response) => {
+  try {
+    const { name } = WorkspaceNameSchema.parse(req.body);
+    const profile = await getUserProfile(req.userId!);
+    const owner = profile || { id: req.userId!, email: req.user?.email || '', displayName: null };
+    const ws = await createWorkspace(name, owner);
+    res.status(201).json({ success: true, data: viewOf(ws, req.userId!) });
+  } catch (err) { fail(res, err, 'Create'); }
+});
+
+router.get('/:wsId', apiDoc({ summary: 'Shared lists and members (viewer+)', tags: ['workspaces'], params: WorkspaceIdSchema }), async (req: Request, res: Response) => {
+  try {
+    const { wsId } = WorkspaceIdSchema.parse(req.params);
+    const { ws } = await requireRole(wsId, req.userId!, 'viewer');
+    res.json({ success: true, data: viewOf(ws, req.userId!) });
+  } catch (err) { fail(res, err, 'Load'); }
+});
+
+router.patch('/:wsId', apiDoc({ summary: 'Rename (owner)', tags: ['workspaces'], params: WorkspaceIdSchema, body: WorkspaceNameSchema }), async (req: Request, res: Response) => {
+  try {
+    const { wsId } = WorkspaceIdSchema.parse(req.params);
+    const { name } = WorkspaceNameSchema.parse(req.body);
+    res.json({ success: true, data: viewOf(await renameWorkspace(wsId, req.userId!, name), req.userId!) });
+  } catch (err) { fail(res, err, 'Rename'); }
+});
+
+router.delete('/:wsId', apiDoc({ summary: 'Delete (owner)', tags: ['workspaces'], params: WorkspaceIdSchema }), async (req: Request, res: Response) => {
+  try {
+    const { wsId } = WorkspaceIdSchema.parse(req.params);
+    await deleteWorkspace(wsId, req.userId!);
+    res.json({ success: true });
+  } catch (err) { fail(res, err, 'Delete'); }
+});
+
+// ── Shared lists ──
+
+router.put('/:wsId/data', apiDoc({ summary: 'Save shared lists (editor+)', tags: ['workspaces'], params: WorkspaceIdSchema, body: WorkspaceDataSchema, errors: { 409: 'Changed since baseUpdatedAt — body carries the current copy (WORKSPACE_CONFLICT)' } }), async (req: Request, res: Response) => {
+  try {
+    const { wsId } = WorkspaceIdSchema.parse(req.params);
+    const { baseUpdatedAt, ...lists } = WorkspaceDataSchema.parse(req.body);
+    const ws = await saveWorkspaceData(wsId, req.userId!, lists, baseUpdatedAt);
+    res.json({ success: true, data: viewOf(ws, req.userId!) });
+  } catch (err) {
+    // Hand back the current copy so the client can reload instead of refetching
+    if (err instanceof WorkspaceError && err.code === 'WORKSPACE_CONFLICT') {
+      const current = await requireRole(String(req.params.wsId), req.userId!, 'viewer').catch(() => null);
+      if (current) {
+        res.status(409).json({ success: false, error: err.message, code: err.code, data: viewOf(current.ws, req.userId!) });
+        return;
+      }
+    }
+    fail(res, err, 'Save');
+  }
+});
+
+// ── Members ──
+
+router.post('/:wsId/members', apiDoc({ summary: 'Add a member by account email (owner)', tags: ['workspaces'], status: 201, params: WorkspaceIdSchema, body: WorkspaceMemberSchema, errors: { 404: 'No account with that email (ACCOUNT_NOT_FOUND)' } }), async (req: Request, res: Response) => {
+  try {
+    const { wsId } = WorkspaceIdSchema.parse(req.params);
+    const { email, role } = WorkspaceMemberSchema.parse(req.body);
+    await requireRole(wsId, req.userId!, 'owner');
+    const account = await findUserByEmail(email);
+    if (!account) {
+      res.status(404).json({ success: false, error: 'No account with that email', code: 'ACCOUNT_NOT_FOUND' });
+      return;
+    }
+    res.status(201).json({ success: true, data: membersOf(await addMember(wsId, req.userId!, account, role), req.userId!) });
+  } catch (err) { fail(res, err, 'Add member'); }
+});
+
+router.patch('/:wsId/members/:userId', apiDoc({ summary: 'Change a member\'s role (owner)', tags: ['workspaces'], params: WorkspaceMemberParamsSchema, body: WorkspaceRoleBodySchema }), async (req: Request, res: Response) => {
+  try {
+    const { wsId, userId } = WorkspaceMemberParamsSchema.parse(req.params);
+    const { role } = WorkspaceRoleBodySchema.parse(req.body);
+    res.json({ success: true, data: membersOf(await setMemberRole(wsId, req.userId!, userId, role), req.userId!) });
+  } catch (err) { fail(res, err, 'Change role'); }
+});
+
+router.delete('/:wsId/members/:userId', apiDoc({ summary: 'Remove a member (owner) or leave (self)', tags: ['workspaces'], params: WorkspaceMemberParamsSchema }), async (req: Request, res: Response) => {
+  try {
+    const { wsId, userId } = WorkspaceMemberParamsSchema.parse(req.params);
+    res.json({ success: true, data: membersOf(await removeMember(wsId, req.userId!, userId), req.userId!) });
+  } catch (err) { fail(res, err, 'Remove member'); }
+});
+
+export default router;
@@ -2,6 +2,7 @@
 // Zod Schemas — Input validation for every API endpoint
 // ═══════════════════════════════════════════════════════
 import { z } from 'zod';
+import { MAX_HOLDINGS, MAX_LEDGER_EVENTS, ledgerError } from './shared/ledger-rules.ts';
 
 // ── Shared enums ──
 
@@ -12,6 +13,26 @@ export const SortOrderEnum = z.enum([
   'rent_desc', 'rent_asc',
 ]);
 
+// ── GET /api/dashboard ──
+
+export const DashboardQuerySchema = z.object({
+  asOf: z.string().regex(/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/, 'Expected YYYY-MM-DD or ISO timestamp').optional()
+    .describe('Serve the archived generation live at this time: YYYY-MM-DD (end of day, SGT) or ISO timestamp'),
+});
+
+export type DashboardQueryInput = z.infer<typeof DashboardQuerySchema>;
+
+// ── GET /api/changes ──
+
+export const ChangesQuerySchema = z.object({
+  from: z.string().max(40).optional().describe('Generation id (20260630T021500Z), YYYY-MM-DD or ISO timestamp; default: the one before `to`'),
+  to: z.string().max(40).optional().describe('Same formats as `from`; default: newest generation'),
+  threshold: z.coerce.number().min(0).max(100).optional().describe('Minimum avg PSF % move to report a project or district'),
+  limit: z.coerce.number().int().min(0).max(500).default(50).describe('Sample size per change list'),
+});
+
+export type ChangesQueryInput = z.infer<typeof ChangesQuerySchema>;
+
 // ── GET /api/dashboard/filtered ──
 
 export const FilteredDashboardSchema = z.object({
@@ -26,15 +47,33 @@ export type FilteredDashboardInput = z.infer<typeof FilteredDashboardSchema>;
 
 // ── GET /api/sales/search ──
 
+const districtList = z.string().regex(/^D\d{1,2}(,D\d{1,2}){0,29}$/).optional()
+  .describe('Postal district, or several comma-separated, e.g. D9,D10');
+const month = z.string().regex(/^\d{4}-(0[1-9]|1[0-2])$/);
+const bound = z.coerce.number().min(0).optional();
+
 export const SalesSearchSchema = z.object({
-  q: z.string().max(200).optional(),
-  district: z.string().regex(/^D\d{1,2}$/).optional(),
-  segment: MarketSegmentEnum.optional(),
-  type: z.string().max(20).optional(),
-  tenure: z.string().max(20).optional(),
+  q: z.string().max(200).optional().describe('Substring of project name or street (case-insensitive)'),
+  project: z.string().max(200).optional().describe('Exact project name'),
+  district: districtList,
+  segment: MarketSegmentEnum.optional().describe('CCR (core central), RCR (rest of central), OCR (outside central)'),
+  type: z.string().max(20).optional().describe('Sale type: New Sale, Sub Sale or Resale'),
+  tenure: z.string().max(20).optional().describe('Freehold or Leasehold'),
+  propertyType: z.string().max(200).optional().describe('Property type, or several comma-separated, e.g. Condominium,Apartment'),
+  bedrooms: z.string().regex(/^[1-6]$/).optional().describe('Bedrooms (1-6) inferred from unit size and the rental bedroom model; sizes on the boundary between two counts match both'),
+  from: month.optional().describe('Earliest contract month, inclusive (YYYY-MM)'),
+  to: month.optional().describe('Latest contract month, inclusive (YYYY-MM)'),
+  psfMin: bound.describe('Minimum PSF ($)'),
+  psfMax: bound.describe('Maximum PSF ($)'),
+  priceMin: bound.describe('Minimum price ($)'),
+  priceMax: bound.describe('Maximum price ($)'),
+  areaMin: bound.describe('Minimum area (sqft)'),
+  areaMax: bound.describe('Maximum area (sqft)'),
+  floorMin: bound.describe('Lowest floor; matched against the middle of the floor band (sales without a band are excluded)'),
+  floorMax: bound.describe('Highest floor; matched against the middle of the floor band (sales without a band are excluded)'),
   page: z.coerce.number().int().min(1).max(1000).default(1),
-  limit: z.coerce.number().int().min(1).max(200).default(50),
-  sort: SortOrderEnum.default('date_desc'),
+  limit: z.coerce.number().int().min(1).max(200).default(50).describe('Results per page'),
+  sort: SortOrderEnum.default('date_desc').describe('<field>_<asc|desc>; rent_* sorts are rental-only'),
 });
 
 export type SalesSearchInput = z.infer<typeof SalesSearchSchema>;
@@ -42,38 +81,149 @@ export type SalesSearchInput = z.infer<typeof SalesSearchSchema>;
 // ── GET /api/rental/search ──
 
 export const RentalSearchSchema = z.object({
-  q: z.string().max(200).optional(),
-  district: z.string().regex(/^D\d{1,2}$/).optional(),
-  segment: MarketSegmentEnum.optional(),
-  bedrooms: z.string().regex(/^[1-6]$/).optional(),
-  areaSqft: z.string().max(20).optional(),
+  q: z.string().max(200).optional().describe('Substring of project name or street (case-insensitive)'),
+  project: z.string().max(200).optional().describe('Exact project name'),
+  district: districtList,
+  segment: MarketSegmentEnum.optional().describe('CCR (core central), RCR (rest of central), OCR (outside central)'),
+  bedrooms: z.string().regex(/^[1-6]$/).optional().describe('Number of bedrooms (1-6)'),
+  areaSqft: z.string().max(20).optional().describe('Floor area band "lo-hi" in sqft, lo inclusive, e.g. 500-1000 (see /filters areaSqftRanges)'),
   page: z.coerce.number().int().min(1).max(1000).default(1),
-  limit: z.coerce.number().int().min(1).max(200).default(50),
-  sort: SortOrderEnum.default('date_desc'),
+  limit: z.coerce.number().int().min(1).max(200).default(50).describe('Results per page'),
+  sort: SortOrderEnum.default('date_desc').describe('<field>_<asc|desc>; price_* sorts are sales-only'),
 });
 
 export type RentalSearchInput = z.infer<typeof RentalSearchSchema>;
 
+// ── GET /api/sales/export, /api/rental/export ──
+
+export const ExportFormatEnum = z.enum(['csv', 'xlsx', 'parquet']);
+
+const exportFormat = { format: ExportFormatEnum.default('csv').describe('File format of the download') };
+
+/** Same filters and sort as the search endpoints, without paging: every matching row is streamed */
+export const SalesExportSchema = SalesSearchSchema.omit({ page: true, limit: true }).extend(exportFormat);
+export const RentalExportSchema = RentalSearchSchema.omit({ page: true, limit: true }).extend(exportFormat);
+
+// ── GET /api/index ──
+
+export const PriceIndexQuerySchema = z.object({
+  district: districtList.describe('District series to include (default all); the market and segment series are always returned'),
+  segment: MarketSegmentEnum.optional().describe('Only this segment series'),
+  base: z.string().regex(/^\d{4}Q[1-4]$/).optional().describe('Quarter set to 100, e.g. 2019Q1 (default: each series\' first quarter)'),
+});
+
 // ── GET /api/project/:name ──
 
 export const ProjectParamSchema = z.object({
   name: z.string().min(1).max(200),
 });
 
+// ── GET /api/project/:name/nearby ──
+
+export const NearbyQuerySchema = z.object({
+  radiusM: z.coerce.number().int().min(100).max(5000).default(1000).describe('Straight-line radius in metres'),
+  limit: z.coerce.number().int().min(1).max(200).default(50).describe('Most projects returned, nearest first'),
+});
+
+// ── POST /api/valuation ──
+
+export const ValuationRequestSchema = z.object({
+  project: z.string().min(1).max(200),
+  area: z.number().positive().max(50000).describe('Strata area in sqft'),
+  floor: z.string().regex(/^\d{1,3}(-\d{1,3})?$/, 'Expected a floor band (06-10) or floor number').optional()
+    .describe('Floor band "06-10" or a floor number; default: the project\'s median floor'),
+  saleType: z.enum(['New Sale', 'Sub Sale', 'Resale']).default('Resale'),
+  date: month.optional().describe('Valuation month YYYY-MM (default: the latest month with sales)'),
+});
+
+export type ValuationRequestInput = z.infer<typeof ValuationRequestSchema>;
+
+// ── POST /api/acquisition-cost ──
+
+export const AcquisitionCostRequestSchema = z.object({
+  price: z.number().positive().max(1e9),
+  date: z.string().regex(/^\d{4}-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?$/, 'Expected YYYY-MM-DD or YYYY-MM').optional()
+    .describe('Purchase date; stamp duty and loan rules in force then apply (default: today)'),
+  profile: z.enum(['citizen', 'pr', 'foreigner', 'entity']).default('citizen'),
+  propertyCount: z.number().int().min(1).max(20).default(1).describe('Residential properties owned after this purchase'),
+  existingLoans: z.number().int().min(0).max(20).optional().describe('Outstanding housing loans besides this one (default: propertyCount − 1)'),
+  ltv: z.number().min(0).max(0.75).optional().describe('Loan as a share of price (default: the LTV limit; 0 for cash)'),
+  rate: z.number().min(0).max(20).default(3).describe('Loan interest, % a year'),
+  years: z.number().int().min(1).max(35).default(25).describe('Loan tenure in years'),
+  age: z.number().int().min(18).max(100).optional(),
+  income: z.number().positive().max(1e7).optional().describe('Gross monthly income, for TDSR'),
+  otherDebt: z.number().min(0).max(1e7).optional().describe('Other monthly debt repayments, for TDSR'),
+  holdYears: z.number().int().min(1).max(50).default(5).describe('Years held, for the cost of ownership and SSD on sale'),
+  maintenance: z.number().min(0).max(1e5).optional().describe('Monthly maintenance fees'),
+  fees: z.number().min(0).max(1e6).optional().describe('Legal and valuation fees (default: 3,000)'),
+});
+
+export type AcquisitionCostRequestInput = z.infer<typeof AcquisitionCostRequestSchema>;
+
+// ── POST /api/portfolio/cashflow ──
+
+const scenarioRate = z.number().min(-20).max(30);
+
+export const PortfolioCashflowRequestSchema = z.object({
+  holdings: z.array(z.object({
+    id: z.union([z.string().max(64), z.number()]).optional(),
+    project: z.string().min(1).max(200),
+    size: z.number().positive().max(50000).describe('Strata area in sqft'),
+    psf: z.number().positive().max(100000).describe('Purchase PSF'),
+    year: z.number().int().min(1990).max(new Date().getFullYear() + 1).describe('Purchase year'),
+    loanAmount: z.number().min(0).max(1e9).optional(),
+    loanRate: z.number().min(0).max(20).optional().describe('% a year (default 3)'),
+    loanYears: z.number().int().min(1).max(35).optional().describe('Loan tenure (default 25)'),
+    rent: z.number().min(0).max(1e6).optional().describe('Actual monthly rent; default: the market yield on value'),
+  })).min(1).max(50),
+  horizon: z.number().int().min(1).max(30).default(10).describe('Exit this many years from now'),
+  profile: z.enum(['citizen', 'pr', 'foreigner', 'entity']).default('citizen').describe('Buyer profile, for ABSD'),
+  vacancyMonths: z.number().min(0).max(12).default(1).describe('Months a year without a tenant'),
+  maintenancePsf: z.number().min(0).max(10).default(0.35).describe('Monthly maintenance, $ per sqft'),
+  growth: z.object({ bear: scenarioRate.optional(), base: scenarioRate.optional(), bull: scenarioRate.optional() }).optional()
+    .describe('Capital growth, % a year, for every holding (default: from district CAGR)'),
+});
+
+export type PortfolioCashflowRequestInput = z.infer<typeof PortfolioCashflowRequestSchema>;
+
 // ── PUT /api/user/:id ──
 
 export const UserIdSchema = z.object({
   id: z.string().regex(/^[a-zA-Z0-9-]{1,64}$/, 'Invalid user ID'),
 });
 
+const LedgerEventSchema = z.object({
+  id: z.string().min(1).max(64),
+  type: z.enum(['purchase', 'capex', 'rent', 'refinance', 'partial_sale', 'sale']),
+  date: z.string().regex(/^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/, 'Expected YYYY-MM-DD'),
+  amount: z.number().min(0).max(1e9).describe('Price paid or received, capex, rent; the new loan on a refinance'),
+  share: z.number().gt(0).lt(1).optional().describe('Share of the whole unit sold (partial_sale)'),
+  rate: z.number().min(0).max(20).optional().describe('New loan rate, % a year (refinance; kept for reference, returns are unlevered)'),
+  years: z.number().int().min(1).max(35).optional().describe('New loan tenure in years (refinance; kept for reference)'),
+  note: z.string().max(200).optional(),
+}).refine(e => e.type !== 'partial_sale' || e.share !== undefined, { message: 'A partial sale needs the share sold', path: ['share'] });
+
+/** Holdings as the portfolio page keeps them; `events` is the ledger, psf / year its first purchase */
 const PortfolioItemSchema = z.object({
-  projectName: z.string().max(200),
-  purchaseDate: z.string().max(20),
-  purchasePsf: z.number().positive().max(100000),
-  area: z.number().positive().max(50000),
-  floorRange: z.string().max(20).optional(),
-  notes: z.string().max(500).optional(),
-}).passthrough();
+  id: z.union([z.string().max(64), z.number()]),
+  project: z.string().min(1).max(200),
+  size: z.number().positive().max(50000).describe('sqft'),
+  psf: z.number().positive().max(100000).describe('Purchase PSF'),
+  year: z.number().int().min(1960).max(2100).describe('Purchase year'),
+  floor: z.string().max(20).optional(),
+  label: z.string().max(100).optional(),
+  loanAmount: z.number().min(0).max(1e9).optional(),
+  loanRate: z.number().min(0).max(20).optional(),
+  loanYears: z.number().int().min(1).max(35).optional(),
+  rent: z.number().min(0).max(1e6).optional().describe('Actual monthly rent received'),
+  events: z.array(LedgerEventSchema).max(MAX_LEDGER_EVENTS, `Over ${MAX_LEDGER_EVENTS} events`).optional()
+    .describe(`Dated ledger, at most ${MAX_LEDGER_EVENTS} events; absent on holdings saved before it`),
+}).passthrough().superRefine((h, ctx) => {
+  // An over-long ledger is already refused by the array's max, with the same message
+  if (!h.events?.length || h.events.length > MAX_LEDGER_EVENTS) return;
+  const message = ledgerError(h.events);
+  if (message) ctx.addIssue({ code: z.ZodIssueCode.custom, message, path: ['events'] });
+});
 
 const SavedSearchSchema = z.object({
   id: z.string().max(50),
@@ -88,16 +238,484 @@ const ClientReportSchema = z.object({
   projectName: z.string().max(200),
 }).passthrough();
 
+const AlertRuleSchema = z.object({
+  id: z.string().max(50),
+  kind: z.enum(['district_psf', 'project_tx']),
+  target: z.string().min(1).max(200),
+  thresholdPct: z.number().positive().max(100).optional(),
+  minPsf: z.number().nonnegative().max(100000).optional(),
+  createdAt: z.string().max(40),
+});
+
 export const UserBodySchema = z.object({
-  portfolio: z.array(PortfolioItemSchema).max(50).default([]),
+  portfolio: z.array(PortfolioItemSchema).max(MAX_HOLDINGS).default([]),
   savedSearches: z.array(SavedSearchSchema).max(20).default([]),
   clientReports: z.array(ClientReportSchema).max(100).default([]),
+  watchlist: z.array(AlertRuleSchema).max(50).optional(),
+  webhookUrl: z.union([z.string().url().max(500).regex(/^https?:\/\//, 'Webhook must be http(s)'), z.literal('')]).optional(),
 }).passthrough();
 
 export type UserBodyInput = z.infer<typeof UserBodySchema>;
 
+// ── POST /api/user/:id/alerts/read ──
+
+export const AlertsReadSchema = z.object({
+  ids: z.array(z.string().max(50)).max(100).optional(),
+});
+
+// ── /api/workspaces ──
+
+const WorkspaceRoleSchema = z.enum(['owner', 'editor', 'viewer']);
+
+export const WorkspaceIdSchema = z.object({
+  wsId: z.string().regex(/^[a-zA-Z0-9-]{1,64}$/, 'Invalid workspace ID'),
+});
+
+export const WorkspaceMemberParamsSchema = WorkspaceIdSchema.extend({
+  userId: z.string().regex(/^[a-zA-Z0-9-]{1,64}$/, 'Invalid user ID'),
+});
+
+export const WorkspaceNameSchema = z.object({
+  name: z.string().trim().min(1).max(80),
+});
+
+/** Shared items keep whatever shape the client uses; only the id is checked */
+const SharedItemSchema = z.object({
+  id: z.union([z.string().max(64), z.number()]).optional(),
+}).passthrough();
+
+export const WorkspaceDataSchema = z.object({
+  portfolio: z.array(PortfolioItemSchema).max(50).optional(),
+  savedSearches: z.array(SharedItemSchema).max(20).optional(),
+  clientReports: z.array(SharedItemSchema).max(100).optional(),
+  baseUpdatedAt: z.string().min(1).max(40).describe('The workspace `updatedAt` these lists were edited from; 409 if it has moved on'),
+});
+
+export const WorkspaceMemberSchema = z.object({
+  email: z.string().email().max(255),
+  role: WorkspaceRoleSchema.default('editor'),
+});
+
+export const WorkspaceRoleBodySchema = z.object({
+  role: WorkspaceRoleSchema,
+});
+
 // ── POST /api/refresh ──
 
 export const AdminAuthSchema = z.object({
   key: z.string().min(1).optional(),
 });
+
+export const RefreshQuerySchema = AdminAuthSchema.extend({
+  mode: z.enum(['full', 'incremental']).default('full').describe('incremental replaces each refetched batch and reaggregates only what changed'),
+});
+
+// ── GET /api/backtest ──
+
+export const BacktestQuerySchema = AdminAuthSchema.extend({
+  months: z.coerce.number().int().min(1).max(60).default(12).describe('Months replayed, ending at `to`'),
+  to: month.optional().describe('Last month replayed, YYYY-MM (default: the latest month with sales)'),
+  district: districtList.describe('Only score sales in these districts; models still learn from every earlier sale'),
+  maxPerMonth: z.coerce.number().int().min(10).max(20000).default(2000).describe('Most sales scored per month'),
+});
+
+// ── GET /api/refresh/:jobId ──
+
+export const RefreshJobParamsSchema = z.object({
+  // BullMQ ids are numeric strings; in-process jobs use UUIDs
+  jobId: z.string().regex(/^[a-zA-Z0-9:-]{1,64}$/, 'Invalid job ID'),
+});
+
+// ═══════════════════════════════════════════════════════
+// Response contracts — mirrored by frontend/src/types.ts
+// Checked by sendData() outside production. Large payloads are
+// passthrough: only the fields the frontend relies on are pinned.
+// ═══════════════════════════════════════════════════════
+
+export const ApiErrorSchema = z.object({
+  success: z.literal(false),
+  error: z.string(),
+  code: z.string(),
+  details: z.unknown().optional(),
+  requestId: z.string().optional(),
+});
+
+export type ApiErrorBody = z.infer<typeof ApiErrorSchema>;
+
+// ── MarketData: GET /api/v1/dashboard, /dashboard/filtered ──
+
+export const MarketDataSchema = z.object({
+  totalTx: z.number(),
+  avgPsf: z.number(),
+  medPsf: z.number(),
+  projList: z.array(z.string()),
+  projIndex: z.record(z.object({}).passthrough()),
+  cmpPool: z.array(z.unknown()),
+  hasRealRental: z.boolean().optional(),
+  lastUpdated: z.string().optional(),
+}).passthrough();
+
+export type MarketData = z.infer<typeof MarketDataSchema>;
+
+// ── ProjectData: GET /api/v1/project/:name ──
+
+const YieldSourceSchema = z.enum(['project', 'district', 'segment'])
+  .describe("Where the rent came from: the project's own contracts, the district's or the segment's");
+
+const UnitYieldSchema = z.object({
+  project: z.string(),
+  district: z.string(),
+  segment: z.string(),
+  types: z.array(z.object({
+    beds: z.string(),
+    areaMin: z.number(),
+    areaMax: z.number(),
+    salePsf: z.number(),
+    rent: z.number().describe('Monthly rent at the median size'),
+    rentPsf: z.number(),
+    yield: z.number().describe('Gross yield, %'),
+    sales: z.number().int(),
+    rentals: z.number().int().describe('Size-matched contracts; 0 when it is the segment average yield'),
+    source: YieldSourceSchema,
+    rentalPeriod: z.string(),
+  })),
+  blended: z.number().nullable().describe("Types' yields weighted by sales, %"),
+  fallback: z.boolean().describe('Some type fell back to district or segment rents'),
+  ambiguous: z.number().int().describe('Sales between two bedroom counts, left out'),
+});
+
+export const ProjectDataSchema = z.object({
+  projInfo: z.object({
+    name: z.string(),
+    district: z.string(),
+    segment: z.string(),
+    avgPsf: z.number(),
+    totalTx: z.number(),
+    leaseStart: z.number().int().nullable().optional(),
+    leaseLeft: z.number().nullable().optional().describe('Years of lease left today; null for freehold and 999-year leases'),
+    bala: z.number().optional().describe("Bala's-curve value vs freehold at leaseLeft"),
+  }).passthrough(),
+  txs: z.array(z.object({}).passthrough()),
+  unitYield: UnitYieldSchema.nullable().optional().describe('Gross yield per bedroom count, rents matched to sales by size'),
+}).passthrough();
+
+export type ProjectData = z.infer<typeof ProjectDataSchema>;
+
+// ── PriceIndex: GET /api/v1/index ──
+
+export const PriceIndexSchema = z.object({
+  method: z.literal('repeat-sales'),
+  cagrYears: z.number().int(),
+  pairs: z.number().int(),
+  series: z.array(z.object({
+    key: z.string(),
+    kind: z.enum(['market', 'segment', 'district']),
+    pairs: z.number().int(),
+    base: z.string(),
+    cagr: z.number().nullable(),
+    points: z.array(z.object({
+      q: z.string(),
+      index: z.number(),
+      pairs: z.number().int(),
+      thin: z.boolean().optional(),
+    })),
+  })),
+});
+
+export type PriceIndex = z.infer<typeof PriceIndexSchema>;
+
+// ── Valuation: POST /api/v1/valuation ──
+
+export const ValuationSchema = z.object({
+  project: z.string(),
+  district: z.string(),
+  segment: z.string(),
+  date: z.string(),
+  subject: z.object({
+    area: z.number(),
+    floorMid: z.number(),
+    tenure: z.string(),
+    saleType: z.string(),
+    age: z.number(),
+    leaseStart: z.number().int().nullable(),
+    leaseLeft: z.number().nullable(),
+    bala: z.number().describe("Bala's-curve value vs freehold at leaseLeft"),
+  }),
+  psf: z.number(),
+  price: z.number(),
+  lo: z.number().describe('Lower end of the prediction interval, PSF'),
+  hi: z.number().describe('Upper end of the prediction interval, PSF'),
+  level: z.number().describe('Coverage of lo–hi, e.g. 0.9'),
+  confidence: z.number().int().min(0).max(100),
+  model: z.object({
+    scope: z.enum(['district', 'segment', 'market']),
+    key: z.string(),
+    n: z.number().int(),
+    r2: z.number(),
+    rmse: z.number(),
+    index: z.string().nullable(),
+    effects: z.array(z.object({ term: z.string(), pct: z.number() })),
+  }),
+  projectSales: z.number().int(),
+  comparables: z.array(z.object({
+    date: z.string(),
+    project: z.string(),
+    floor: z.string(),
+    area: z.number(),
+    price: z.number(),
+    psf: z.number(),
+    adjPsf: z.number(),
+    saleType: z.string(),
+    similarity: z.number(),
+  })),
+  leaseDecay: z.array(z.object({
+    years: z.number().int(),
+    leaseLeft: z.number(),
+    factor: z.number(),
+    psf: z.number(),
+  })).describe('Value after `years` from lease decay alone; empty for freehold'),
+});
+
+export type Valuation = z.infer<typeof ValuationSchema>;
+
+// ── AcquisitionCost: POST /api/v1/acquisition-cost ──
+
+export const AcquisitionCostSchema = z.object({
+  price: z.number(),
+  date: z.string(),
+  profile: z.string(),
+  propertyCount: z.number().int(),
+  stampDuty: z.object({ bsd: z.number(), absd: z.number(), absdRate: z.number(), total: z.number() }),
+  fees: z.number(),
+  loan: z.object({
+    amount: z.number(),
+    ltv: z.number(),
+    maxLtv: z.number(),
+    limitedBy: z.enum(['ltv', 'tdsr', 'requested']),
+    rate: z.number(),
+    years: z.number().int(),
+    monthly: z.number(),
+    totalInterest: z.number(),
+    tdsr: z.object({
+      income: z.number(),
+      stressRate: z.number(),
+      ratio: z.number(),
+      limit: z.number(),
+      maxLoan: z.number(),
+    }).nullable(),
+    schedule: z.array(z.object({
+      year: z.number().int(),
+      payment: z.number(),
+      interest: z.number(),
+      principal: z.number(),
+      balance: z.number(),
+    })),
+  }),
+  cash: z.object({
+    downpayment: z.number(),
+    minCash: z.number().describe('Part of the downpayment that must be cash'),
+    upfront: z.number().describe('Downpayment, stamp duty and fees'),
+  }),
+  ssd: z.array(z.object({ year: z.number().int(), rate: z.number(), amount: z.number() }))
+    .describe('SSD if resold at the purchase price within `year` years'),
+  tco: z.object({
+    years: z.number().int(),
+    stampDuty: z.number(),
+    fees: z.number(),
+    interest: z.number(),
+    maintenance: z.number(),
+    ssd: z.number(),
+    total: z.number(),
+  }).describe('Costs of owning for holdYears that are not recovered on sale'),
+});
+
+export type AcquisitionCostData = z.infer<typeof AcquisitionCostSchema>;
+
+// ── PortfolioCashflow: POST /api/v1/portfolio/cashflow ──
+
+const CashflowScenarioSchema = z.object({
+  growth: z.number().describe('Capital growth, % a year, after today'),
+  irr: z.number().nullable().describe('Annual %, null when the flows never change sign'),
+  equityMultiple: z.number().nullable(),
+  profit: z.number(),
+  exitValue: z.number(),
+  projection: z.array(z.object({
+    year: z.number().int(),
+    value: z.number(),
+    rent: z.number().describe('Net of vacancy'),
+    propertyTax: z.number(),
+    maintenance: z.number(),
+    interest: z.number(),
+    principal: z.number(),
+    balance: z.number(),
+    cashFlow: z.number().describe('Equity cash flow; negative is money in'),
+  })),
+});
+
+const CashflowTotalSchema = z.object({
+  irr: z.number().nullable(),
+  equityMultiple: z.number().nullable(),
+  profit: z.number(),
+  flows: z.array(z.object({ year: z.number().int(), cashFlow: z.number() })),
+});
+
+export const PortfolioCashflowSchema = z.object({
+  asOf: z.number().int(),
+  exitYear: z.number().int(),
+  holdings: z.array(z.object({
+    id: z.union([z.string(), z.number()]).optional(),
+    project: z.string(),
+    found: z.boolean().describe('false when the project has no current PSF; left out of the totals'),
+    district: z.string(),
+    purchase: z.object({ price: z.number(), stampDuty: z.number(), fees: z.number(), loan: z.number(), equity: z.number() }),
+    rentSource: z.enum(['actual', 'market']),
+    market: z.object({ beds: z.string(), yield: z.number(), source: YieldSourceSchema }).optional()
+      .describe("Market yield of the holding's unit type, when rent isn't given"),
+    scenarios: z.object({ bear: CashflowScenarioSchema, base: CashflowScenarioSchema, bull: CashflowScenarioSchema }).nullable(),
+  })),
+  total: z.object({ bear: CashflowTotalSchema, base: CashflowTotalSchema, bull: CashflowTotalSchema })
+    .describe('Found holdings combined, flows summed by calendar year'),
+});
+
+export type PortfolioCashflowData = z.infer<typeof PortfolioCashflowSchema>;
+
+// ── Backtest: GET /api/v1/backtest ──
+
+const BacktestStatsSchema = z.object({
+  n: z.number().int(),
+  mape: z.number(),
+  medianApe: z.number(),
+  within5: z.number(),
+  within10: z.number(),
+  bias: z.number(),
+  coverage: z.number().optional(),
+}).nullable();
+
+const BacktestGroupSchema = z.object({
+  key: z.string(),
+  n: z.number().int(),
+  avm: BacktestStatsSchema,
+  tier: BacktestStatsSchema,
+});
+
+export const BacktestSchema = z.object({
+  from: z.string(),
+  to: z.string(),
+  months: z.number().int(),
+  sales: z.number().int(),
+  skipped: z.object({ avm: z.number().int(), tier: z.number().int() }),
+  overall: z.object({ avm: BacktestStatsSchema, tier: BacktestStatsSchema }),
+  byDistrict: z.array(BacktestGroupSchema),
+  bySegment: z.array(BacktestGroupSchema),
+  bySize: z.array(BacktestGroupSchema),
+  elapsedMs: z.number(),
+}).describe('Error figures are percentages; avm = hedonic model, tier = Price Estimator');
+
+export type Backtest = z.infer<typeof BacktestSchema>;
+
+// ── Nearby: GET /api/v1/project/:name/nearby ──
+
+export const NearbyProjectsSchema = z.object({
+  project: z.string(),
+  location: z.object({ lat: z.number(), lng: z.number() }).nullable(),
+  radiusM: z.number(),
+  projects: z.array(z.object({
+    name: z.string(),
+    district: z.string(),
+    street: z.string(),
+    segment: z.string(),
+    psf: z.number(),
+    n: z.number().int(),
+    lat: z.number(),
+    lng: z.number(),
+    distanceM: z.number(),
+    sameDistrict: z.boolean(),
+  }).passthrough()),
+});
+
+export type NearbyProjects = z.infer<typeof NearbyProjectsSchema>;
+
+// ── MapData: GET /api/v1/map ──
+
+export const MapDataSchema = z.object({
+  projects: z.array(z.object({
+    name: z.string(),
+    district: z.string(),
+    segment: z.string(),
+    psf: z.number().nullable(),
+    n: z.number().int(),
+    lat: z.number(),
+    lng: z.number(),
+  })),
+  districts: z.object({
+    type: z.literal('FeatureCollection'),
+    features: z.array(z.object({
+      type: z.literal('Feature'),
+      properties: z.object({ district: z.string() }).passthrough(),
+      geometry: z.object({ type: z.literal('MultiPolygon'), coordinates: z.array(z.array(z.array(z.array(z.number())))) }),
+    })),
+  }).describe('GeoJSON; district areas are approximated from project locations, not official boundaries'),
+});
+
+export type MapData = z.infer<typeof MapDataSchema>;
+
+// ── SearchResults<T>: GET /api/v1/sales/search, /rental/search ──
+
+export function searchResultsSchema<T extends z.ZodTypeAny>(item: T) {
+  return z.object({
+    results: z.array(item),
+    total: z.number().int(),
+    page: z.number().int(),
+    pages: z.number().int(),
+    limit: z.number().int(),
+  });
+}
+
+export const SalesSearchRowSchema = z.object({
+  date: z.string(),
+  project: z.string(),
+  street: z.string(),
+  district: z.string(),
+  segment: z.string(),
+  area: z.number(),
+  price: z.number(),
+  psf: z.number(),
+  floor: z.string(),
+  type: z.string(),
+  propertyType: z.string(),
+  tenure: z.string(),
+});
+
+export const RentalSearchRowSchema = z.object({
+  period: z.string(),
+  project: z.string(),
+  street: z.string(),
+  district: z.string(),
+  segment: z.string(),
+  area: z.string(),
+  bedrooms: z.string(),
+  rent: z.number(),
+  rentPsf: z.number(),
+  contracts: z.number().optional(),
+  leaseDate: z.string().optional(),
+});
+
+export const SalesSearchResultsSchema = searchResultsSchema(SalesSearchRowSchema);
+export const RentalSearchResultsSchema = searchResultsSchema(RentalSearchRowSchema);
+
+export type SalesSearchRow = z.infer<typeof SalesSearchRowSchema>;
+export type RentalSearchRow = z.infer<typeof RentalSearchRowSchema>;
+export type SearchResults<T> = { results: T[]; total: number; page: number; pages: number; limit: number };
+
+// ── FilterOptions: GET /api/v1/filters ──
+
+export const FilterOptionsSchema = z.object({
+  districts: z.array(z.string()),
+  segments: z.array(z.string()),
+  types: z.array(z.string()),
+  tenures: z.array(z.string()),
+  propertyTypes: z.array(z.string()),
+  years: z.array(z.string()),
+  bedrooms: z.array(z.string()),
+  areaSqftRanges: z.array(z.object({ label: z.string(), value: z.string() })),
+});
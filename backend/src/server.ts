@@ -5,6 +5,7 @@
  *   ENABLE_DB=true    → PostgreSQL via Drizzle ORM
  *   ENABLE_REDIS_CACHE=true → Redis caching + BullMQ
  *   ENABLE_AUTH=true  → JWT authentication
+ *   ENABLE_WORKER=true → URA refresh runs in `npm run worker` (BullMQ), not here
  *
  * All features work with flags disabled (in-memory fallback).
  */
@@ -20,17 +21,18 @@ dotenv.config();
 import { env } from './config/env.ts';
 
 // Routes
-import uraRoutes from './routes/ura.ts';
-import authRoutes from './routes/auth.ts';
 import healthRoutes from './routes/health.ts';
+import { createV1Router, getOpenApiSpec } from './routes/v1.ts';
 
 // Phase 3: Logging, Metrics, Error tracking
 import { logger, requestLogger } from './shared/logger.ts';
-import { metricsMiddleware, metricsEndpoint } from './shared/metrics.ts';
+import { metricsMiddleware, metricsEndpoint, registerStateMetrics, rateLimitRejections } from './shared/metrics.ts';
 import { initSentry, sentryErrorHandler, flushSentry, captureException } from './config/sentry.ts';
+import { deprecatedAlias, codeForStatus, ApiError } from './shared/api.ts';
 
 // Services
-import { initDashboard, buildDashboardData, getFullCacheInfo } from './services/uraService.ts';
+import { getFullCacheInfo, getTokenInfo, getLastSync } from './services/uraService.ts';
+import { initData, startRefreshJobs, stopRefreshJobs } from './services/ingestion.ts';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const BOOT_TIME = Date.now();
@@ -50,7 +52,8 @@ app.use(cors({
 }));
 
 app.use(compression({ threshold: 1024 }));
-app.use(express.json({ limit: '100kb' }));
+// User and workspace saves carry the whole portfolio, ledgers included
+app.use(express.json({ limit: '512kb' }));
 
 // ─── Prometheus metrics (early — measures everything) ───
 
@@ -78,7 +81,7 @@ app.use((_req, res, next) => {
 const ipHits = new Map<string, number>();
 setInterval(() => ipHits.clear(), env.RATE_LIMIT_WINDOW_MS);
 
-app.use('/api/v1', (req, res, next) => {
+function rateLimit(req: express.Request, res: express.Response, next: express.NextFunction) {
   if (req.method !== 'GET') return next();
   const ip = req.ip || req.socket.remoteAddress || 'unknown';
   const hits = (ipHits.get(ip) || 0) + 1;
@@ -86,18 +89,36 @@ app.use('/api/v1', (req, res, next) => {
   res.setHeader('X-RateLimit-Limit', String(env.RATE_LIMIT_MAX));
   res.setHeader('X-RateLimit-Remaining', String(Math.max(0, env.RATE_LIMIT_MAX - hits)));
   if (hits > env.RATE_LIMIT_MAX) {
-    return res.status(429).json({ error: 'Rate limited', retryAfter: 60 });
+    rateLimitRejections.inc({ limiter: 'api' });
+    return res.status(429).json({ success: false, error: 'Rate limited', code: 'RATE_LIMITED', retryAfter: 60 });
   }
   next();
-});
+}
 
 // ─── API Routes ───
 
+registerStateMetrics({ cacheInfo: getFullCacheInfo, tokenInfo: getTokenInfo, lastSync: getLastSync });
 app.get('/api/metrics', metricsEndpoint);
-app.use('/api/v1', uraRoutes);
-app.use('/api/v1/auth', authRoutes);
 app.use('/api/health', healthRoutes);
 
+// OpenAPI document generated from the v1 routers + a self-hosted explorer for it
+app.get('/api/openapi.json', (_req, res) => { res.json(getOpenApiSpec()); });
+app.get('/api/docs', (_req, res) => { res.sendFile(join(__dirname, 'docs', 'explorer.html')); });
+
+const v1 = express.Router();
+v1.use(rateLimit);
+v1.use(createV1Router());
+
+app.use('/api/v1', v1);
+
+// Unversioned /api/* — same handlers, flagged deprecated (removal after the sunset date)
+const API_DEPRECATED_SINCE = new Date('2026-10-01T00:00:00Z');
+const API_SUNSET = new Date('2027-04-01T00:00:00Z');
+const legacy = express.Router();
+legacy.use(deprecatedAlias(API_DEPRECATED_SINCE, API_SUNSET));
+legacy.use(v1);
+app.use('/api', legacy);
+
 // ─── Legacy health endpoints (backward compatible) ───
 
 app.get('/health/live', (_req, res) => {
@@ -155,36 +176,25 @@ app.use(sentryErrorHandler());
 
 app.use((err: any, req: any, res: any, _next: any) => {
   const errId = req.id || randomUUID().slice(0, 8);
-  logger.error({ err, reqId: errId, method: req.method, url: req.url }, `Unhandled error [${errId}]`);
-  captureException(err, { requestId: errId, url: req.url });
-  res.status(err.status || 500).json({
+  const status = err.status || err.statusCode || 500;
+  // ApiErrors and 4xx are expected outcomes (503 while loading, bad JSON...) — no need to page anyone
+  if (err instanceof ApiError || status < 500) {
+    logger.warn({ code: err.code, reqId: errId, url: req.url }, err.message);
+  } else {
+    logger.error({ err, reqId: errId, method: req.method, url: req.url }, `Unhandled error [${errId}]`);
+    captureException(err, { requestId: errId, url: req.url });
+  }
+  const exposeMessage = err instanceof ApiError || status < 500 || env.NODE_ENV !== 'production';
+  res.status(status).json({
     success: false,
-    error: env.NODE_ENV === 'production' ? 'Internal server error' : err.message,
+    error: exposeMessage ? err.message : 'Internal server error',
+    // Only our own codes — a 500's err.code is usually a Node one (ECONNREFUSED...)
+    code: (err instanceof ApiError || status < 500) && typeof err.code === 'string' ? err.code : codeForStatus(status),
+    ...(err.details ? { details: err.details } : {}),
     requestId: errId,
   });
 });
 
-// ─── Auto-refresh cron ───
-
-const AUTO_REFRESH_HOURS = parseFloat(process.env.AUTO_REFRESH_HOURS || '0');
-let autoRefreshTimer: ReturnType<typeof setInterval> | null = null;
-
-function scheduleAutoRefresh(): void {
-  if (AUTO_REFRESH_HOURS <= 0) return;
-  const ms = AUTO_REFRESH_HOURS * 3600000;
-  logger.info({ intervalHours: AUTO_REFRESH_HOURS }, 'Auto-refresh scheduled');
-  autoRefreshTimer = setInterval(async () => {
-    try {
-      await buildDashboardData(true);
-      logger.info('Auto-refresh complete');
-    } catch (err) {
-      logger.error({ err }, 'Auto-refresh failed');
-      captureException(err as Error, { context: 'auto-refresh' });
-    }
-  }, ms);
-  if (autoRefreshTimer.unref) autoRefreshTimer.unref();
-}
-
 // ─── Infrastructure init ───
 
 async function initInfrastructure(): Promise<void> {
@@ -227,12 +237,12 @@ let server: ReturnType<typeof app.listen>;
 
 async function gracefulShutdown(signal: string): Promise<void> {
   logger.info({ signal }, 'Shutting down...');
-  if (autoRefreshTimer) clearInterval(autoRefreshTimer);
 
   if (server) server.close(() => logger.info('HTTP server closed'));
 
   try {
     await flushSentry(2000);
+    await stopRefreshJobs();
     if (env.ENABLE_DB) { const { closeDb } = await import('./config/database.ts'); await closeDb(); }
     if (env.ENABLE_REDIS_CACHE) { const { closeRedis } = await import('./config/redis.ts'); await closeRedis(); }
   } catch (err) { logger.warn({ err }, 'Cleanup error'); }
@@ -261,12 +271,21 @@ server = app.listen(env.PORT, async () => {
 
   try {
     const t0 = Date.now();
-    await initDashboard();
+    await initData();
     logger.info({ initMs: Date.now() - t0, totalMs: Date.now() - BOOT_TIME }, 'Data ready');
-    scheduleAutoRefresh();
   } catch (err) {
     logger.error({ err }, 'Data init failed');
     captureException(err as Error, { context: 'init-dashboard' });
-    scheduleAutoRefresh();
+  }
+
+  // Refresh jobs: AUTO_REFRESH_HOURS schedule + (ENABLE_WORKER) reload when the worker publishes
+  try {
+    await startRefreshJobs();
+    if (env.AUTO_REFRESH_HOURS > 0) {
+      logger.info({ intervalHours: env.AUTO_REFRESH_HOURS, mode: env.AUTO_REFRESH_MODE, worker: env.ENABLE_WORKER }, 'Auto-refresh scheduled');
+    }
+  } catch (err) {
+    logger.error({ err }, 'Refresh job setup failed');
+    captureException(err as Error, { context: 'refresh-jobs' });
   }
 });
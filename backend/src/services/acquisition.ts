@@ -0,0 +1,240 @@
+/**
+ * acquisition.ts — Cost of buying a private home in Singapore
+ *
+ *   BSD    Buyer's Stamp Duty, marginal bands on the price
+ *   ABSD   Additional Buyer's Stamp Duty, a flat rate by buyer profile and
+ *          how many residential properties the buyer will own (this one included)
+ *   SSD    Seller's Stamp Duty on resale within the holding period, by year sold
+ *   loan   MAS loan-to-value limit by the borrower's outstanding housing loans
+ *          (lower when the tenure runs past 30 years or age 65), capped by TDSR:
+ *          debt repayments at the stress rate within 55% of gross income
+ *
+ * Rates are the schedules in force on the purchase date (IRAS / MAS), so a
+ * holding bought years ago is costed on the rules it was bought under. Loans
+ * are monthly annuities at a fixed rate; the schedule is summed by year.
+ *
+ * Pure: everything comes from the request, nothing from the sales store.
+ */
+import { ApiError } from '../shared/api.ts';
+
+export const BUYER_PROFILES = ['citizen', 'pr', 'foreigner', 'entity'] as const;
+export type BuyerProfile = typeof BUYER_PROFILES[number];
+
+/** Marginal BSD bands, [band width, rate], newest schedule first */
+const BSD_SCHEDULES: Array<{ from: string; bands: Array<[number, number]> }> = [
+  { from: '2023-02-15', bands: [[180_000, 0.01], [180_000, 0.02], [640_000, 0.03], [500_000, 0.04], [1_500_000, 0.05], [Infinity, 0.06]] },
+  { from: '2018-02-20', bands: [[180_000, 0.01], [180_000, 0.02], [640_000, 0.03], [Infinity, 0.04]] },
+  { from: '1998-02-27', bands: [[180_000, 0.01], [180_000, 0.02], [Infinity, 0.03]] },
+];
+
+/** ABSD by profile for the 1st, 2nd and 3rd-or-later property, newest first; none before the first */
+const ABSD_SCHEDULES: Array<{ from: string; rates: Record<BuyerProfile, [number, number, number]> }> = [
+  { from: '2023-04-27', rates: { citizen: [0, 0.2, 0.3], pr: [0.05, 0.3, 0.35], foreigner: [0.6, 0.6, 0.6], entity: [0.65, 0.65, 0.65] } },
+  { from: '2021-12-16', rates: { citizen: [0, 0.17, 0.25], pr: [0.05, 0.25, 0.3], foreigner: [0.3, 0.3, 0.3], entity: [0.35, 0.35, 0.35] } },
+  { from: '2018-07-06', rates: { citizen: [0, 0.12, 0.15], pr: [0.05, 0.15, 0.15], foreigner: [0.2, 0.2, 0.2], entity: [0.25, 0.25, 0.25] } },
+  { from: '2013-01-12', rates: { citizen: [0, 0.07, 0.1], pr: [0.05, 0.1, 0.1], foreigner: [0.15, 0.15, 0.15], entity: [0.15, 0.15, 0.15] } },
+  { from: '2011-12-08', rates: { citizen: [0, 0, 0.03], pr: [0, 0.03, 0.03], foreigner: [0.1, 0.1, 0.1], entity: [0.1, 0.1, 0.1] } },
+];
+
+/** SSD rate by year of resale (1st year first), newest first; none before the first */
+const SSD_SCHEDULES: Array<{ from: string; rates: number[] }> = [
+  { from: '2025-07-04', rates: [0.16, 0.12, 0.08, 0.04] },
+  { from: '2017-03-11', rates: [0.12, 0.08, 0.04] },
+  { from: '2011-01-14', rates: [0.16, 0.12, 0.08, 0.04] },
+];
+
+/** MAS LTV limits by outstanding housing loans (0, 1, 2+): [normal, tenure past 30 years or age 65] */
+const LTV_LIMITS: Array<[number, number]> = [[0.75, 0.55], [0.45, 0.25], [0.35, 0.15]];
+const ENTITY_LTV = 0.15;
+/** Minimum cash downpayment, as a share of price, by outstanding housing loans (0, 1+) */
+const MIN_CASH = [0.05, 0.25];
+const LONG_TENURE_YEARS = 30;
+const LONG_TENURE_AGE = 65;
+export const MAX_LOAN_YEARS = 35;
+const TDSR_LIMIT = 0.55;
+/** Floor on the rate TDSR is tested at for residential loans */
+const TDSR_STRESS_RATE = 4;
+/** Conveyancing and valuation, when the caller doesn't give fees */
+export const DEFAULT_FEES = 3_000;
+
+export interface AcquisitionInput {
+  price: number;
+  /** Purchase date YYYY-MM-DD or YYYY-MM (the 1st); default today */
+  date?: string;
+  profile?: BuyerProfile;
+  /** Residential properties the buyer will own, this one included */
+  propertyCount?: number;
+  /** Housing loans outstanding besides this one; default propertyCount − 1 */
+  existingLoans?: number;
+  /** Loan as a share of price; default the LTV limit, 0 for a cash purchase */
+  ltv?: number;
+  /** % a year */
+  rate?: number;
+  years?: number;
+  /** Borrower's age, for the tenure-past-65 LTV limit */
+  age?: number;
+  /** Gross monthly income, for TDSR */
+  income?: number;
+  /** Other monthly debt repayments, for TDSR */
+  otherDebt?: number;
+  /** Years held, for the cost of ownership and whether SSD applies on sale */
+  holdYears?: number;
+  /** Monthly maintenance fees */
+  maintenance?: number;
+  fees?: number;
+}
+
+export interface LoanYear { year: number; payment: number; interest: number; principal: number; balance: number }
+
+export interface AcquisitionCost {
+  price: number;
+  date: string;
+  profile: BuyerProfile;
+  propertyCount: number;
+  stampDuty: { bsd: number; absd: number; absdRate: number; total: number };
+  fees: number;
+  loan: {
+    amount: number;
+    ltv: number;
+    maxLtv: number;
+    /** What set the amount: the LTV limit, TDSR, or the requested LTV */
+    limitedBy: 'ltv' | 'tdsr' | 'requested';
+    rate: number;
+    years: number;
+    monthly: number;
+    totalInterest: number;
+    tdsr: { income: number; stressRate: number; ratio: number; limit: number; maxLoan: number } | null;
+    schedule: LoanYear[];
+  };
+  cash: {
+    downpayment: number;
+    /** Part of the downpayment that must be cash (the rest may be CPF) */
+    minCash: number;
+    /** Downpayment, stamp duty and fees */
+    upfront: number;
+  };
+  /** SSD if resold at the purchase price within `year` years; empty when none applies */
+  ssd: Array<{ year: number; rate: number; amount: number }>;
+  /** Cost of owning for holdYears, on top of the price: nothing here is recovered on sale */
+  tco: { years: number; stampDuty: number; fees: number; interest: number; maintenance: number; ssd: number; total: number };
+}
+
+const inForce = <T extends { from: string }>(schedules: T[], date: string): T | undefined =>
+  schedules.find(s => date >= s.from);
+
+export function bsd(price: number, date: string): number {
+  const s = inForce(BSD_SCHEDULES, date);
+  if (!s) return 0;
+  let left = price, duty = 0;
+  for (const [width, rate] of s.bands) {
+    const slice = Math.min(left, width);
+    duty += slice * rate;
+    left -= slice;
+    if (left <= 0) break;
+  }
+  return Math.round(duty);
+}
+
+export function absdRate(profile: BuyerProfile, propertyCount: number, date: string): number {
+  const s = inForce(ABSD_SCHEDULES, date);
+  return s ? s.rates[profile][Math.min(Math.max(propertyCount, 1), 3) - 1]! : 0;
+}
+
+export function ssdRates(date: string): number[] {
+  return inForce(SSD_SCHEDULES, date)?.rates || [];
+}
+
+/** Monthly payment on `amount` over `years` at `rate` % a year */
+export function monthlyPayment(amount: number, rate: number, years: number): number {
+  const n = years * 12, r = rate / 100 / 12;
+  if (amount <= 0 || n <= 0) return 0;
+  return r > 0 ? amount * r / (1 - Math.pow(1 + r, -n)) : amount / n;
+}
+
+/** Largest loan a monthly payment of `payment` services */
+const loanFor = (payment: number, rate: number, years: number) => {
+  const n = years * 12, r = rate / 100 / 12;
+  if (payment <= 0) return 0;
+  return r > 0 ? payment * (1 - Math.pow(1 + r, -n)) / r : payment * n;
+};
+
+export function amortise(amount: number, rate: number, years: number): LoanYear[] {
+  const pay = monthlyPayment(amount, rate, years);
+  const r = rate / 100 / 12;
+  const out: LoanYear[] = [];
+  let balance = amount;
+  for (let y = 1; y <= years && balance > 0.5; y++) {
+    let interest = 0, principal = 0;
+    for (let m = 0; m < 12 && balance > 0.5; m++) {
+      const i = balance * r;
+      const p = Math.min(pay - i, balance);
+      interest += i; principal += p; balance -= p;
+    }
+    out.push({ year: y, payment: Math.round(interest + principal), interest: Math.round(interest), principal: Math.round(principal), balance: Math.max(0, Math.round(balance)) });
+  }
+  return out;
+}
+
+export function getAcquisitionCost(input: AcquisitionInput): AcquisitionCost {
+  const price = input.price;
+  const date = !input.date ? new Date().toISOString().slice(0, 10) : input.date.length === 7 ? `${input.date}-01` : input.date;
+  const profile = input.profile || 'citizen';
+  const propertyCount = input.propertyCount || 1;
+  const existingLoans = input.existingLoans ?? propertyCount - 1;
+  const rate = input.rate ?? 0;
+  const years = Math.min(input.years || 25, MAX_LOAN_YEARS);
+  const holdYears = input.holdYears ?? 5;
+  if (!Number.isInteger(holdYears) || holdYears <= 0) {
+    throw new ApiError('holdYears must be a whole number of years, 1 or more', 'BAD_REQUEST', 400);
+  }
+  const fees = input.fees ?? DEFAULT_FEES;
+
+  const b = bsd(price, date);
+  const aRate = absdRate(profile, propertyCount, date);
+  const absd = Math.round(price * aRate);
+
+  // Loan: the LTV limit, then TDSR, then what was asked for
+  const longTenure = years > LONG_TENURE_YEARS || (input.age !== undefined && input.age + years > LONG_TENURE_AGE);
+  const maxLtv = profile === 'entity' ? ENTITY_LTV : LTV_LIMITS[Math.min(existingLoans, 2)]![longTenure ? 1 : 0];
+  let amount = price * maxLtv;
+  let limitedBy: AcquisitionCost['loan']['limitedBy'] = 'ltv';
+  let tdsr: AcquisitionCost['loan']['tdsr'] = null;
+  if (input.income) {
+    const stressRate = Math.max(rate, TDSR_STRESS_RATE);
+    const maxLoan = loanFor(input.income * TDSR_LIMIT - (input.otherDebt || 0), stressRate, years);
+    if (maxLoan < amount) { amount = maxLoan; limitedBy = 'tdsr'; }
+    tdsr = { income: input.income, stressRate, ratio: 0, limit: TDSR_LIMIT, maxLoan: Math.round(maxLoan) };
+  }
+  if (input.ltv !== undefined && price * input.ltv < amount) { amount = price * input.ltv; limitedBy = 'requested'; }
+  amount = Math.round(amount);
+  if (tdsr) tdsr.ratio = +((monthlyPayment(amount, tdsr.stressRate, years) + (input.otherDebt || 0)) / tdsr.income).toFixed(3);
+
+  const schedule = amortise(amount, rate, years);
+  const totalInterest = schedule.reduce((s, y) => s + y.interest, 0);
+  const downpayment = price - amount;
+
+  const ssdSchedule = ssdRates(date).map((r, i) => ({ year: i + 1, rate: r, amount: Math.round(price * r) }));
+  const ssdOnSale = ssdSchedule.find(s => holdYears <= s.year)?.amount || 0;
+  const interest = schedule.slice(0, holdYears).reduce((s, y) => s + y.interest, 0);
+  const maintenance = Math.round((input.maintenance || 0) * 12 * holdYears);
+
+  return {
+    price, date, profile, propertyCount,
+    stampDuty: { bsd: b, absd, absdRate: aRate, total: b + absd },
+    fees,
+    loan: {
+      amount, ltv: price > 0 ? +(amount / price).toFixed(4) : 0, maxLtv, limitedBy, rate, years,
+      monthly: Math.round(monthlyPayment(amount, rate, years)), totalInterest, tdsr, schedule,
+    },
+    cash: {
+      downpayment,
+      minCash: Math.min(downpayment, Math.round(price * MIN_CASH[Math.min(existingLoans, 1)]!)),
+      upfront: downpayment + b + absd + fees,
+    },
+    ssd: ssdSchedule,
+    tco: {
+      years: holdYears, stampDuty: b + absd, fees, interest, maintenance, ssd: ssdOnSale,
+      total: b + absd + fees + interest + maintenance + ssdOnSale,
+    },
+  };
+}
@@ -4,10 +4,11 @@
  * The Agg class processes raw URA transaction data into dashboard metrics.
  * All calculation formulas preserved exactly as-is.
  */
-import { parseDate, parseFloor, distSort, avg, med, getYield, estRent, domSeg, TopN } from './helpers.ts';
+import { parseDate, parseFloor, parseTenure, tenureLabel, distSort, avg, med, getYield, estRent, domSeg, TopN } from './helpers.ts';
+import { parseLocation } from './geo.ts';
 import { salesStore, rentalStore, projectBatchMap, computedYield, setComputedYield } from './state.ts';
 
-import type { UraProject, RentalAggData, MarketSegment, SaleType, TenureType } from '../types.ts';
+import type { UraProject, UraTransaction, SalesRecord, RentalAggData, MarketSegment, SaleType, ProjectLocation } from '../types.ts';
 
 // Internal bucket types for aggregation
 interface YearBucket { s: number; n: number; v: number; p: number[] }
@@ -20,6 +21,38 @@ interface ProjBucket { name: string; street: string; seg: string; dist: string;
 interface Sample { psf: number; area: number; seg: string; dist: string; year: string }
 interface TopTxEntry { date: string; project: string; district: string; segment: string; type: string; unit: string; area: number; floor: number; psf: number; price: number }
 
+/**
+ * Parse one raw URA transaction into a compact SalesRecord.
+ * Returns null for rows the aggregator skips (bad date, zero area/price, PSF outliers).
+ */
+export function toSalesRecord(proj: UraProject, tx: UraTransaction): SalesRecord | null {
+  const d = parseDate(tx.contractDate);
+  if (!d) return null;
+  const sqm = parseFloat(tx.area) || 0;
+  const area = Math.round(sqm * 10.7639);
+  const price = parseFloat(tx.price) || 0;
+  if (area <= 0 || price <= 0) return null;
+  const psf = Math.round(price / area);
+  if (psf <= 0 || psf > 50000) return null;
+
+  const fl = parseFloor(tx.floorRange);
+  const ten = parseTenure(tx.tenure);
+
+  const r = {
+    d: `${d.year}-${String(d.month).padStart(2, '0')}`,
+    p: proj.project || 'Unknown', st: proj.street || '',
+    di: `D${parseInt(tx.district) || 0}`,
+    sg: (proj.marketSegment || 'RCR').toUpperCase() as MarketSegment,
+    a: area, pr: price, ps: psf, fl: fl.band || '-', fm: fl.mid,
+    tp: tx.typeOfSale === '1' ? 'New Sale' : tx.typeOfSale === '2' ? 'Sub Sale' : 'Resale',
+    pt: tx.propertyType || 'Unknown', tn: ten.tenure,
+  } as SalesRecord;
+  // Only when URA gives them, so freehold records stay as compact as before
+  if (ten.leaseYears !== null) r.ly = ten.leaseYears;
+  if (ten.leaseStart !== null) r.ls = ten.leaseStart;
+  return r;
+}
+
 export class Agg {
   total: number;
   vol: number;
@@ -33,6 +66,10 @@ export class Agg {
   byProj: Record<string, ProjBucket>;
   byFloor: Record<string, { s: number; n: number }>;
   topTx: TopN<TopTxEntry>;
+  /** Records parsed by add(), in payload order — becomes salesStore once the build completes */
+  records: SalesRecord[];
+  /** Project locations from the payload's x / y — becomes projectLocations with the store */
+  locations: Record<string, ProjectLocation>;
 
   constructor() {
     this.total = 0; this.vol = 0;
@@ -43,109 +80,97 @@ export class Agg {
     this.byProj = {}; this.byFloor = {};
     // FIX #1: Bounded top-500 latest tx — no unbounded array
     this.topTx = new TopN(500, (a, b) => b.date.localeCompare(a.date));
+    this.records = [];
+    this.locations = {};
   }
 
   add(proj: UraProject, batchNum: number): void {
     const txs = proj.transaction || [];
     const name = proj.project || 'Unknown';
-    const street = proj.street || '';
-    const seg = (proj.marketSegment || 'RCR').toUpperCase();
     projectBatchMap[name] = batchNum;
+    const loc = parseLocation(proj.x, proj.y);
+    if (loc) this.locations[name] = loc;
 
     for (const tx of txs) {
-      const d = parseDate(tx.contractDate);
-      if (!d) continue;
-      const sqm = parseFloat(tx.area) || 0;
-      const area = Math.round(sqm * 10.7639);
-      const price = parseFloat(tx.price) || 0;
-      if (area <= 0 || price <= 0) continue;
-      const psf = Math.round(price / area);
-      if (psf <= 0 || psf > 50000) continue;
-
-      const fl = parseFloor(tx.floorRange);
-      const dist = `D${parseInt(tx.district) || 0}`;
-      const pType = tx.propertyType || 'Unknown';
-      let tenure = 'Leasehold';
-      if (tx.tenure) {
-        const t = tx.tenure.toLowerCase();
-        if (t.includes('freehold')) tenure = 'Freehold';
-        else if (t.includes('999')) tenure = '999-yr';
-      }
-
-      this.total++;
-      this.vol += price;
-
-      const y = String(d.year);
+      const r = toSalesRecord(proj, tx);
+      if (!r) continue;
+      this.addRecord(r);
+      this.records.push(r);
+    }
+  }
 
-      // Reservoir sampling
-      if (this.samples.length < 2000) {
-        this.samples.push({ psf, area, seg, dist, year: y });
-      } else {
-        const j = Math.floor(Math.random() * this.total);
-        if (j < 2000) this.samples[j] = { psf, area, seg, dist, year: y };
-      }
+  /**
+   * Fold one parsed sales record into every bucket.
+   * Buckets are additive, so calling this for new records only updates
+   * the affected project, district, quarter, etc. without a full rebuild.
+   */
+  addRecord(r: SalesRecord): void {
+    const { p: name, st: street, sg: seg, di: dist, a: area, pr: price, ps: psf, pt: pType, tn: tenure } = r;
+    const y = r.d.slice(0, 4);
+    const month = parseInt(r.d.slice(5, 7));
+    const q = `${y.slice(-2)}Q${Math.ceil(month / 3)}`;
+    const band = r.fl !== '-' ? r.fl : null;
+
+    this.total++;
+    this.vol += price;
+
+    // Reservoir sampling
+    if (this.samples.length < 2000) {
+      this.samples.push({ psf, area, seg, dist, year: y });
+    } else {
+      const j = Math.floor(Math.random() * this.total);
+      if (j < 2000) this.samples[j] = { psf, area, seg, dist, year: y };
+    }
 
-      if (!this.byYear[y]) this.byYear[y] = { s: 0, n: 0, v: 0, p: [] };
-      const yb = this.byYear[y];
-      yb.s += psf; yb.n++; yb.v += price;
-      if (yb.p.length < 500) { yb.p.push(psf); }
-      else { const j = Math.floor(Math.random() * yb.n); if (j < 500) yb.p[j] = psf; }
+    if (!this.byYear[y]) this.byYear[y] = { s: 0, n: 0, v: 0, p: [] };
+    const yb = this.byYear[y];
+    yb.s += psf; yb.n++; yb.v += price;
+    if (yb.p.length < 500) { yb.p.push(psf); }
+    else { const j = Math.floor(Math.random() * yb.n); if (j < 500) yb.p[j] = psf; }
 
-      const q = d.quarter;
-      if (!this.byQtr[q]) this.byQtr[q] = { s: 0, n: 0, v: 0, bySeg: {} };
-      const qb = this.byQtr[q];
-      qb.s += psf; qb.n++; qb.v += price;
-      if (!qb.bySeg[seg]) qb.bySeg[seg] = { s: 0, n: 0 };
-      qb.bySeg[seg].s += psf; qb.bySeg[seg].n++;
-
-      if (!this.bySeg[seg]) this.bySeg[seg] = { s: 0, n: 0, byY: {} };
-      this.bySeg[seg].s += psf; this.bySeg[seg].n++;
-      if (!this.bySeg[seg].byY[y]) this.bySeg[seg].byY[y] = { s: 0, n: 0 };
-      this.bySeg[seg].byY[y].s += psf; this.bySeg[seg].byY[y].n++;
-
-      if (!this.byDist[dist]) this.byDist[dist] = { s: 0, n: 0, v: 0, byY: {}, byQ: {}, segCounts: {} };
-      const dd = this.byDist[dist];
-      dd.s += psf; dd.n++; dd.v += price;
-      dd.segCounts[seg] = (dd.segCounts[seg] || 0) + 1;
-      if (!dd.byY[y]) dd.byY[y] = { s: 0, n: 0 }; dd.byY[y].s += psf; dd.byY[y].n++;
-      if (!dd.byQ[q]) dd.byQ[q] = { s: 0, n: 0 }; dd.byQ[q].s += psf; dd.byQ[q].n++;
-
-      if (!this.byType[pType]) this.byType[pType] = { s: 0, n: 0, segCounts: {}, byY: {} };
-      this.byType[pType].s += psf; this.byType[pType].n++;
-      this.byType[pType].segCounts[seg] = (this.byType[pType].segCounts[seg] || 0) + 1;
-      if (!this.byType[pType].byY[y]) this.byType[pType].byY[y] = { s: 0, n: 0 };
-      this.byType[pType].byY[y].s += psf; this.byType[pType].byY[y].n++;
-
-      if (!this.byTenure[tenure]) this.byTenure[tenure] = { s: 0, n: 0, byY: {} };
-      this.byTenure[tenure].s += psf; this.byTenure[tenure].n++;
-      if (!this.byTenure[tenure].byY[y]) this.byTenure[tenure].byY[y] = { s: 0, n: 0 };
-      this.byTenure[tenure].byY[y].s += psf; this.byTenure[tenure].byY[y].n++;
-
-      if (!this.byProj[name]) this.byProj[name] = { name, street, seg, dist, tenure: tx.tenure || '', pType, s: 0, n: 0, areas: [], prices: [], byY: {}, byFl: {}, latest: '' };
-      const bp = this.byProj[name];
-      bp.s += psf; bp.n++;
-      if (bp.areas.length < 50) bp.areas.push(area);
-      if (bp.prices.length < 50) { bp.prices.push(psf); }
-      else { const j = Math.floor(Math.random() * bp.n); if (j < 50) bp.prices[j] = psf; }
-      if (!bp.byY[y]) bp.byY[y] = { s: 0, n: 0, ps: 0 }; bp.byY[y].s += psf; bp.byY[y].n++; bp.byY[y].ps += price;
-      if (fl.band) { if (!bp.byFl[fl.band]) bp.byFl[fl.band] = { s: 0, n: 0 }; bp.byFl[fl.band].s += psf; bp.byFl[fl.band].n++; }
-      const ds = `${d.year}-${String(d.month).padStart(2, '0')}`;
-      if (ds > bp.latest) bp.latest = ds;
-
-      if (fl.band) { if (!this.byFloor[fl.band]) this.byFloor[fl.band] = { s: 0, n: 0 }; this.byFloor[fl.band].s += psf; this.byFloor[fl.band].n++; }
-
-      // FIX #1: Bounded insert — only keeps top 500 by date
-      const txDate = `${d.year}-${String(d.month).padStart(2, '0')}`;
-      this.topTx.add({ date: txDate, project: name, district: dist, segment: seg, type: pType, unit: fl.band || '-', area, floor: fl.mid, psf, price });
-
-      // Store ALL transactions for full browsing/search
-      salesStore.push({
-        d: txDate, p: name, st: street, di: dist, sg: seg,
-        a: area, pr: price, ps: psf, fl: fl.band || '-', fm: fl.mid,
-        tp: tx.typeOfSale === '1' ? 'New Sale' : tx.typeOfSale === '2' ? 'Sub Sale' : 'Resale',
-        pt: pType, tn: tenure,
-      });
-    }
+    if (!this.byQtr[q]) this.byQtr[q] = { s: 0, n: 0, v: 0, bySeg: {} };
+    const qb = this.byQtr[q];
+    qb.s += psf; qb.n++; qb.v += price;
+    if (!qb.bySeg[seg]) qb.bySeg[seg] = { s: 0, n: 0 };
+    qb.bySeg[seg].s += psf; qb.bySeg[seg].n++;
+
+    if (!this.bySeg[seg]) this.bySeg[seg] = { s: 0, n: 0, byY: {} };
+    this.bySeg[seg].s += psf; this.bySeg[seg].n++;
+    if (!this.bySeg[seg].byY[y]) this.bySeg[seg].byY[y] = { s: 0, n: 0 };
+    this.bySeg[seg].byY[y].s += psf; this.bySeg[seg].byY[y].n++;
+
+    if (!this.byDist[dist]) this.byDist[dist] = { s: 0, n: 0, v: 0, byY: {}, byQ: {}, segCounts: {} };
+    const dd = this.byDist[dist];
+    dd.s += psf; dd.n++; dd.v += price;
+    dd.segCounts[seg] = (dd.segCounts[seg] || 0) + 1;
+    if (!dd.byY[y]) dd.byY[y] = { s: 0, n: 0 }; dd.byY[y].s += psf; dd.byY[y].n++;
+    if (!dd.byQ[q]) dd.byQ[q] = { s: 0, n: 0 }; dd.byQ[q].s += psf; dd.byQ[q].n++;
+
+    if (!this.byType[pType]) this.byType[pType] = { s: 0, n: 0, segCounts: {}, byY: {} };
+    this.byType[pType].s += psf; this.byType[pType].n++;
+    this.byType[pType].segCounts[seg] = (this.byType[pType].segCounts[seg] || 0) + 1;
+    if (!this.byType[pType].byY[y]) this.byType[pType].byY[y] = { s: 0, n: 0 };
+    this.byType[pType].byY[y].s += psf; this.byType[pType].byY[y].n++;
+
+    if (!this.byTenure[tenure]) this.byTenure[tenure] = { s: 0, n: 0, byY: {} };
+    this.byTenure[tenure].s += psf; this.byTenure[tenure].n++;
+    if (!this.byTenure[tenure].byY[y]) this.byTenure[tenure].byY[y] = { s: 0, n: 0 };
+    this.byTenure[tenure].byY[y].s += psf; this.byTenure[tenure].byY[y].n++;
+
+    if (!this.byProj[name]) this.byProj[name] = { name, street, seg, dist, tenure: tenureLabel(r), pType, s: 0, n: 0, areas: [], prices: [], byY: {}, byFl: {}, latest: '' };
+    const bp = this.byProj[name];
+    bp.s += psf; bp.n++;
+    if (bp.areas.length < 50) bp.areas.push(area);
+    if (bp.prices.length < 50) { bp.prices.push(psf); }
+    else { const j = Math.floor(Math.random() * bp.n); if (j < 50) bp.prices[j] = psf; }
+    if (!bp.byY[y]) bp.byY[y] = { s: 0, n: 0, ps: 0 }; bp.byY[y].s += psf; bp.byY[y].n++; bp.byY[y].ps += price;
+    if (band) { if (!bp.byFl[band]) bp.byFl[band] = { s: 0, n: 0 }; bp.byFl[band].s += psf; bp.byFl[band].n++; }
+    if (r.d > bp.latest) bp.latest = r.d;
+
+    if (band) { if (!this.byFloor[band]) this.byFloor[band] = { s: 0, n: 0 }; this.byFloor[band].s += psf; this.byFloor[band].n++; }
+
+    // FIX #1: Bounded insert — only keeps top 500 by date
+    this.topTx.add({ date: r.d, project: name, district: dist, segment: seg, type: pType, unit: band || '-', area, floor: r.fm, psf, price });
   }
 
   _qtrYield(q: string): number {
@@ -430,6 +455,15 @@ export class Agg {
       return { d, cagr, y: yld, seg: domSeg(b.segCounts), bp: eA, total: +(cagr + yld).toFixed(2), cagrYears: CAGR_WINDOW, lowConf };
     }).filter(Boolean).sort((a, b) => b.total - a.total).slice(0, 8);
 
+    // Latest year vs the one before, per district (choropleth YoY layer)
+    const distYoy = dNames.map(d => {
+      const b = this.byDist[d];
+      const l = latY ? b?.byY[latY] : null;
+      const p = prevY ? b?.byY[prevY] : null;
+      if (!l || !p || !p.n) return null;
+      return { d, yoy: +((avg(l.s, l.n) / avg(p.s, p.n) - 1) * 100).toFixed(1), n: l.n };
+    }).filter(Boolean);
+
     // District performance table
     const distPerf = dNames.map(d => {
       const b = this.byDist[d];
@@ -477,7 +511,8 @@ export class Agg {
       };
     }).filter(Boolean).sort((a, b) => b.cagr - a.cagr);
 
-    const mktSaleTx = this.topTx.result();
+    // Copy: the same Agg is reused (and its top-N mutated) by incremental builds
+    const mktSaleTx = [...this.topTx.result()];
     const mktRentTx = rentalStore.length > 0
       ? [...rentalStore].sort((a, b) => b.d.localeCompare(a.d)).slice(0, 500).map(r => ({
           date: r.d, project: r.p, district: r.di, segment: r.sg, unit: '-',
@@ -502,7 +537,7 @@ export class Agg {
         name: p.name, psf: ap, rent, yield: yld, dist: p.dist,
         street: p.street || '',
         age: Object.keys(p.byY).sort()[0] || '',
-        type: p.pType, units: p.n, segment: p.seg,
+        type: p.pType, units: p.n, segment: p.seg, tenure: p.tenure,
         yearPsf, yearPrice, avgArea: aa,
       };
     });
@@ -522,7 +557,7 @@ export class Agg {
       const yearPrice = {};
       for (const [y, yData] of Object.entries(p.byY)) { yearPsf[y] = avg(yData.s, yData.n); yearPrice[y] = yData.ps > 0 ? Math.round(yData.ps / yData.n) : 0; }
       const pAvgArea = p.areas?.length > 0 ? Math.round(p.areas.reduce((s, a) => s + a, 0) / p.areas.length) : avgArea;
-      projIndex[p.name] = { dist: p.dist, seg: p.seg, psf: psfVal, n: p.n, yield: yld, street: p.street, type: p.pType, yearPsf, yearPrice, avgArea: pAvgArea };
+      projIndex[p.name] = { dist: p.dist, seg: p.seg, tenure: p.tenure, psf: psfVal, n: p.n, yield: yld, street: p.street, type: p.pType, yearPsf, yearPrice, avgArea: pAvgArea };
       projYearDataLocal[p.name] = { street: p.street, dist: p.dist, seg: p.seg, n: p.n, type: p.pType, psf: psfVal, yield: yld, yearPsf, yearPrice, avgArea: pAvgArea };
     }
 
@@ -566,7 +601,7 @@ export class Agg {
       sDistLine, rDistLine, sDistBar, rDistBar,
       sType, rType, sTenure,
       sHist, rHist, sScat, rScat, sCum, rCum,
-      yd, cagrData, distPerf, projPerf,
+      yd, cagrData, distPerf, distYoy, projPerf,
       avgCagr: distPerf.length > 0 ? +(distPerf.reduce((s, d) => s + d.cagr, 0) / distPerf.length).toFixed(1) : 0,
       avgYield: yd.length > 0 ? +(yd.reduce((s, d) => s + d.y, 0) / yd.length).toFixed(2) : 0,
       mktSaleTx, mktRentTx, cmpPool, projList, projIndex, distTopPsf,
@@ -0,0 +1,221 @@
+/**
+ * alerts.ts — Watchlist rules evaluated after every dashboard build
+ *
+ * Each user's `watchlist` (userStore) holds rules; evaluateAlerts() runs once the
+ * new stores are published, appends triggered alerts to the user's inbox and,
+ * if the user set a webhookUrl, POSTs them there (fire-and-forget). Webhooks only
+ * go to public addresses: the host is resolved at connect time and loopback,
+ * private, link-local and other internal ranges are refused, and redirects are
+ * not followed, so a webhook can't be pointed at the server's own network.
+ *
+ * Rules fire at most once per trigger key (lastFiredKey) so repeated refreshes
+ * within the same quarter don't spam the inbox.
+ */
+import axios from 'axios';
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import { isIP, BlockList, type LookupFunction } from 'net';
+import { randomUUID } from 'crypto';
+import { listUserIds, getUser, updateUser } from './userStore.ts';
+import { salesKey, keyCounts, consumeKey } from './helpers.ts';
+import type { SalesRecord, AlertRule, TriggeredAlert } from '../types.ts';
+
+export const DEFAULT_ALERT_THRESHOLD_PCT = 3;
+const MIN_QUARTER_TX = 3;
+const MAX_TX_PER_ALERT = 20;
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+export interface AlertContext {
+  prevSales: SalesRecord[];
+  sales: SalesRecord[];
+}
+
+/** "2026-08" → "26Q3" (same labels as the dashboard quarter series) */
+const quarterOf = (d: string): string => `${d.slice(2, 4)}Q${Math.ceil(parseInt(d.slice(5, 7)) / 3)}`;
+
+// ── Shared, lazily computed inputs (one pass per build, not per user) ──
+
+class AlertInputs {
+  private _quarters: Map<string, Map<string, { s: number; n: number }>> | null = null;
+  private _newByProject: Map<string, SalesRecord[]> | null = null;
+  constructor(private ctx: AlertContext) {}
+
+  /** district → quarter → PSF sum/count */
+  get quarters(): Map<string, Map<string, { s: number; n: number }>> {
+    if (this._quarters) return this._quarters;
+    const out = new Map<string, Map<string, { s: number; n: number }>>();
+    for (const r of this.ctx.sales) {
+      if (!r.di || !(r.ps > 0)) continue;
+      const q = quarterOf(r.d);
+      const dist = out.get(r.di) || new Map();
+      const cur = dist.get(q) || { s: 0, n: 0 };
+      cur.s += r.ps; cur.n++;
+      dist.set(q, cur);
+      out.set(r.di, dist);
+    }
+    return (this._quarters = out);
+  }
+
+  /** Transactions not present before this build, grouped by project */
+  get newByProject(): Map<string, SalesRecord[]> {
+    if (this._newByProject) return this._newByProject;
+    const out = new Map<string, SalesRecord[]>();
+    // First build after a cold start has nothing to diff against — everything would be "new"
+    if (this.ctx.prevSales.length > 0) {
+      const seen = keyCounts(this.ctx.prevSales, salesKey);
+      for (const r of this.ctx.sales) {
+        if (consumeKey(seen, salesKey(r))) continue;
+        const list = out.get(r.p) || [];
+        list.push(r);
+        out.set(r.p, list);
+      }
+    }
+    return (this._newByProject = out);
+  }
+}
+
+// ── Rule evaluators: return an alert (minus bookkeeping) + trigger key, or null ──
+
+type Hit = { key: string; message: string; data: Record<string, unknown> };
+
+function evalDistrictPsf(rule: AlertRule, inputs: AlertInputs): Hit | null {
+  const byQ = inputs.quarters.get(rule.target);
+  if (!byQ || byQ.size < 2) return null;
+  const [latest, prior] = [...byQ.keys()].sort().slice(-2).reverse();
+  const a = byQ.get(latest!)!, b = byQ.get(prior!)!;
+  if (a.n < MIN_QUARTER_TX || b.n < MIN_QUARTER_TX) return null;
+
+  const fromPsf = Math.round(b.s / b.n), toPsf = Math.round(a.s / a.n);
+  const changePct = +(((toPsf - fromPsf) / fromPsf) * 100).toFixed(2);
+  const threshold = rule.thresholdPct ?? DEFAULT_ALERT_THRESHOLD_PCT;
+  if (Math.abs(changePct) <= threshold) return null;
+
+  return {
+    key: latest!,
+    message: `${rule.target} avg PSF ${changePct > 0 ? 'up' : 'down'} ${Math.abs(changePct)}% in ${latest} ($${fromPsf.toLocaleString()} → $${toPsf.toLocaleString()})`,
+    data: { quarter: latest, priorQuarter: prior, fromPsf, toPsf, changePct, tx: a.n },
+  };
+}
+
+function evalProjectTx(rule: AlertRule, inputs: AlertInputs): Hit | null {
+  const minPsf = rule.minPsf || 0;
+  const txs = (inputs.newByProject.get(rule.target) || []).filter(r => r.ps >= minPsf);
+  if (txs.length === 0) return null;
+  txs.sort((a, b) => b.ps - a.ps);
+  const top = txs[0]!;
+  return {
+    // New records are already deduplicated by the diff, so every batch is its own trigger
+    key: `${salesKey(top)}#${txs.length}`,
+    message: `${txs.length} new transaction${txs.length > 1 ? 's' : ''} in ${rule.target}${minPsf ? ` at ≥ $${minPsf.toLocaleString()} psf` : ''} (top $${top.ps.toLocaleString()} psf)`,
+    data: { count: txs.length, transactions: txs.slice(0, MAX_TX_PER_ALERT) },
+  };
+}
+
+const EVALUATORS: Record<AlertRule['kind'], (rule: AlertRule, inputs: AlertInputs) => Hit | null> = {
+  district_psf: evalDistrictPsf,
+  project_tx: evalProjectTx,
+};
+
+// ── Delivery ──
+
+// Loopback, private, link-local, shared (CGNAT), unspecified, benchmarking, multicast and reserved
+const INTERNAL = new BlockList();
+for (const [net, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+] as const) INTERNAL.addSubnet(net, bits, 'ipv4');
+for (const [net, bits] of [
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96],
+] as const) INTERNAL.addSubnet(net, bits, 'ipv6');
+
+/** Whether a webhook may not connect to `ip` (IPv4-mapped IPv6 is checked as IPv4) */
+export function isInternalAddress(ip: string): boolean {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  const addr = mapped ? mapped[1]! : ip;
+  const family = isIP(addr);
+  if (!family) return true;
+  return INTERNAL.check(addr, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/** dns.lookup that fails on internal addresses; runs at connect time, so a re-pointed name is caught too */
+const publicLookup: LookupFunction = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err, '', 4);
+    const list = addresses as dns.LookupAddress[];
+    const bad = list.find(a => isInternalAddress(a.address));
+    if (bad || !list.length) return callback(new Error(`Webhook host ${hostname} resolves to an internal address`), '', 4);
+    if ((options as dns.LookupOptions).all) return (callback as any)(null, list);
+    callback(null, list[0]!.address, list[0]!.family);
+  });
+};
+
+const webhookAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+/** POST alerts to a user's webhook; failures and refused hosts are logged, never thrown */
+export async function deliverWebhook(url: string, userId: string, alerts: TriggeredAlert[]): Promise<void> {
+  try {
+    // A literal IP never goes through lookup
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (isIP(host) && isInternalAddress(host)) throw new Error(`internal address ${host}`);
+    await axios.post(url, { event: 'propintel.alerts', userId, alerts }, {
+      timeout: WEBHOOK_TIMEOUT_MS, maxRedirects: 0, ...webhookAgents,
+    });
+  } catch (err) {
+    console.warn(`  🔔 Webhook delivery failed for ${userId}: ${(err as Error).message}`);
+  }
+}
+
+/**
+ * Evaluate every user's watchlist against the freshly published stores.
+ * @returns number of alerts triggered
+ */
+export async function evaluateAlerts(ctx: AlertContext): Promise<number> {
+  const inputs = new AlertInputs(ctx);
+  let total = 0;
+
+  for (const userId of await listUserIds()) {
+    const { watchlist } = await getUser(userId);
+    if (!watchlist?.length) continue;
+
+    const fired: TriggeredAlert[] = [];
+    const firedKeys = new Map<string, string>();
+    for (const rule of watchlist) {
+      const hit = EVALUATORS[rule.kind]?.(rule, inputs);
+      if (!hit || hit.key === rule.lastFiredKey) continue;
+      firedKeys.set(rule.id, hit.key);
+      fired.push({
+        id: randomUUID(), ruleId: rule.id, kind: rule.kind, target: rule.target,
+        message: hit.message, data: hit.data, createdAt: new Date().toISOString(), read: false,
+      });
+    }
+    if (fired.length === 0) continue;
+
+    const saved = await updateUser(userId, u => ({
+      ...u,
+      watchlist: (u.watchlist || []).map(r => firedKeys.has(r.id) ? { ...r, lastFiredKey: firedKeys.get(r.id) } : r),
+      alerts: [...fired, ...(u.alerts || [])],
+    }));
+    // Fire-and-forget: delivery never holds up or fails the build
+    if (saved.webhookUrl) {
+      deliverWebhook(saved.webhookUrl, userId, fired).catch(err => console.warn(`  🔔 Webhook delivery failed for ${userId}: ${(err as Error).message}`));
+    }
+    total += fired.length;
+  }
+
+  if (total > 0) console.log(`🔔 ${total} alert(s) triggered`);
+  return total;
+}
+
+/** Mark alerts read (all when `ids` is omitted). Returns the updated inbox. */
+export async function markAlertsRead(userId: string, ids?: string[]): Promise<TriggeredAlert[]> {
+  const wanted = ids ? new Set(ids) : null;
+  const saved = await updateUser(userId, u => ({
+    ...u,
+    alerts: (u.alerts || []).map(a => (!wanted || wanted.has(a.id)) ? { ...a, read: true } : a),
+  }));
+  return saved.alerts || [];
+}
@@ -0,0 +1,114 @@
+/**
+ * services/auth/account-store.ts — File-backed accounts (ENABLE_DB=false fallback)
+ *
+ * Mirrors the users / refresh_tokens tables in db/schema.ts so auth works on a
+ * single-node deploy without PostgreSQL. Everything lives in CACHE_DIR/accounts.json
+ * (same volume as userStore); writes are synchronous and rewrite the whole file.
+ */
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CACHE_DIR = process.env.CACHE_DIR || join(__dirname, '../../../cache');
+const ACCOUNTS_FILE = join(CACHE_DIR, 'accounts.json');
+
+export interface StoredAccount {
+  id: string;
+  email: string;
+  passwordHash: string;
+  displayName: string | null;
+  plan: string | null;
+  createdAt: string;
+  lastLoginAt: string | null;
+}
+
+interface StoredRefreshToken {
+  id: string;
+  userId: string;
+  tokenHash: string;
+  expiresAt: number;
+  revokedAt: number | null;
+}
+
+interface AccountsFile {
+  users: StoredAccount[];
+  refreshTokens: StoredRefreshToken[];
+}
+
+let data: AccountsFile | null = null;
+
+function load(): AccountsFile {
+  if (data) return data;
+  try {
+    data = existsSync(ACCOUNTS_FILE)
+      ? JSON.parse(readFileSync(ACCOUNTS_FILE, 'utf-8'))
+      : { users: [], refreshTokens: [] };
+  } catch (err) {
+    // Refuse to start from an empty file — that would silently drop every account
+    throw new Error(`accounts.json unreadable: ${(err as Error).message}`);
+  }
+  return data!;
+}
+
+function persist(): void {
+  const d = load();
+  // Drop dead refresh tokens so the file doesn't grow forever
+  const now = Date.now();
+  d.refreshTokens = d.refreshTokens.filter(t => !t.revokedAt && t.expiresAt > now);
+  if (!existsSync(CACHE_DIR)) mkdirSync(CACHE_DIR, { recursive: true });
+  const tmp = `${ACCOUNTS_FILE}.tmp`;
+  writeFileSync(tmp, JSON.stringify(d, null, 2));
+  renameSync(tmp, ACCOUNTS_FILE);
+}
+
+// ── Users ──
+
+export function findAccountByEmail(email: string): StoredAccount | null {
+  return load().users.find(u => u.email === email) || null;
+}
+
+export function findAccountById(id: string): StoredAccount | null {
+  return load().users.find(u => u.id === id) || null;
+}
+
+export function createAccount(email: string, passwordHash: string, displayName: string | null): StoredAccount {
+  const account: StoredAccount = {
+    id: randomUUID(), email, passwordHash, displayName, plan: 'free',
+    createdAt: new Date().toISOString(), lastLoginAt: null,
+  };
+  load().users.push(account);
+  persist();
+  return account;
+}
+
+export function touchLogin(id: string): void {
+  const account = findAccountById(id);
+  if (!account) return;
+  account.lastLoginAt = new Date().toISOString();
+  persist();
+}
+
+// ── Refresh tokens ──
+
+export function insertRefreshToken(userId: string, tokenHash: string, expiresAt: Date): void {
+  load().refreshTokens.push({ id: randomUUID(), userId, tokenHash, expiresAt: expiresAt.getTime(), revokedAt: null });
+  persist();
+}
+
+/** Revoke a valid refresh token (rotation) and return its user id, or null. */
+export function consumeRefreshToken(tokenHash: string): string | null {
+  const token = load().refreshTokens.find(t => t.tokenHash === tokenHash && !t.revokedAt && t.expiresAt > Date.now());
+  if (!token) return null;
+  token.revokedAt = Date.now();
+  persist();
+  return token.userId;
+}
+
+export function revokeRefreshTokens(userId: string): void {
+  for (const t of load().refreshTokens) {
+    if (t.userId === userId && !t.revokedAt) t.revokedAt = Date.now();
+  }
+  persist();
+}
@@ -4,6 +4,7 @@
  * Provides: register, login, refresh, verify.
  * Uses bcrypt for password hashing, JWT for tokens.
  * Refresh tokens stored in DB for revocation support.
+ * ENABLE_DB=false keeps accounts in a JSON file instead (account-store.ts).
  */
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
@@ -12,6 +13,7 @@ import { eq, and, isNull, gt } from 'drizzle-orm';
 import { env } from '../../config/env.ts';
 import { getDb } from '../../config/database.ts';
 import { users, refreshTokens, type User } from '../../db/schema.ts';
+import * as fileStore from './account-store.ts';
 
 const SALT_ROUNDS = 12;
 
@@ -40,9 +42,18 @@ export interface AuthUser {
  * Register a new user. Throws if email already exists.
  */
 export async function register(email: string, password: string, displayName?: string): Promise<AuthTokens> {
-  const db = getDb();
   const normalized = email.toLowerCase().trim();
 
+  if (!env.ENABLE_DB) {
+    if (fileStore.findAccountByEmail(normalized)) {
+      throw new AuthError('Email already registered', 'EMAIL_EXISTS', 409);
+    }
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+    return issueTokens(fileStore.createAccount(normalized, passwordHash, displayName || null));
+  }
+
+  const db = getDb();
+
   // Check for existing user
   const existing = await db.select({ id: users.id })
     .from(users)
@@ -70,13 +81,11 @@ export async function register(email: string, password: string, displayName?: st
  * Login with email + password. Returns tokens or throws.
  */
 export async function login(email: string, password: string): Promise<AuthTokens> {
-  const db = getDb();
   const normalized = email.toLowerCase().trim();
 
-  const [user] = await db.select()
-    .from(users)
-    .where(eq(users.email, normalized))
-    .limit(1);
+  const user = env.ENABLE_DB
+    ? (await getDb().select().from(users).where(eq(users.email, normalized)).limit(1))[0]
+    : fileStore.findAccountByEmail(normalized);
 
   if (!user) {
     throw new AuthError('Invalid email or password', 'INVALID_CREDENTIALS', 401);
@@ -88,9 +97,13 @@ export async function login(email: string, password: string): Promise<AuthTokens
   }
 
   // Update last login
-  await db.update(users)
-    .set({ lastLoginAt: new Date() })
-    .where(eq(users.id, user.id));
+  if (env.ENABLE_DB) {
+    await getDb().update(users)
+      .set({ lastLoginAt: new Date() })
+      .where(eq(users.id, user.id));
+  } else {
+    fileStore.touchLogin(user.id);
+  }
 
   return issueTokens({ id: user.id, email: user.email, plan: user.plan });
 }
@@ -99,9 +112,18 @@ export async function login(email: string, password: string): Promise<AuthTokens
  * Refresh tokens using a valid refresh token.
  */
 export async function refresh(token: string): Promise<AuthTokens> {
-  const db = getDb();
   const hash = hashToken(token);
 
+  if (!env.ENABLE_DB) {
+    const userId = fileStore.consumeRefreshToken(hash);
+    if (!userId) throw new AuthError('Invalid or expired refresh token', 'INVALID_REFRESH', 401);
+    const user = fileStore.findAccountById(userId);
+    if (!user) throw new AuthError('User not found', 'USER_NOT_FOUND', 401);
+    return issueTokens(user);
+  }
+
+  const db = getDb();
+
   // Find non-revoked, non-expired refresh token
   const [stored] = await db.select({
     id: refreshTokens.id,
@@ -155,6 +177,7 @@ export function verifyAccessToken(token: string): JwtPayload {
  * Revoke all refresh tokens for a user (logout everywhere).
  */
 export async function revokeAllTokens(userId: string): Promise<void> {
+  if (!env.ENABLE_DB) return fileStore.revokeRefreshTokens(userId);
   const db = getDb();
   await db.update(refreshTokens)
     .set({ revokedAt: new Date() })
@@ -168,6 +191,10 @@ export async function revokeAllTokens(userId: string): Promise<void> {
  * Get user profile by ID.
  */
 export async function getUserProfile(userId: string): Promise<AuthUser | null> {
+  if (!env.ENABLE_DB) {
+    const account = fileStore.findAccountById(userId);
+    return account ? { id: account.id, email: account.email, displayName: account.displayName, plan: account.plan } : null;
+  }
   const db = getDb();
   const [user] = await db.select({
     id: users.id,
@@ -182,6 +209,35 @@ export async function getUserProfile(userId: string): Promise<AuthUser | null> {
   return user || null;
 }
 
+/** Whether `id` is an account's (accounts' ids are UUIDs; anonymous ids may be anything) */
+export async function isAccountId(id: string): Promise<boolean> {
+  if (!env.ENABLE_DB) return !!fileStore.findAccountById(id);
+  if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) return false;
+  const [user] = await getDb().select({ id: users.id }).from(users).where(eq(users.id, id)).limit(1);
+  return !!user;
+}
+
+/** Profile by email (adding workspace members) */
+export async function findUserByEmail(email: string): Promise<AuthUser | null> {
+  const normalized = email.toLowerCase().trim();
+  if (!env.ENABLE_DB) {
+    const account = fileStore.findAccountByEmail(normalized);
+    return account ? { id: account.id, email: account.email, displayName: account.displayName, plan: account.plan } : null;
+  }
+  const db = getDb();
+  const [user] = await db.select({
+    id: users.id,
+    email: users.email,
+    displayName: users.displayName,
+    plan: users.plan,
+  })
+    .from(users)
+    .where(eq(users.email, normalized))
+    .limit(1);
+
+  return user || null;
+}
+
 // ── Internal helpers ──
 
 async function issueTokens(user: { id: string; email: string; plan: string | null }): Promise<AuthTokens> {
@@ -204,12 +260,15 @@ async function issueTokens(user: { id: string; email: string; plan: string | nul
   const expiresAt = new Date(Date.now() + refreshMs);
 
   // Store refresh token in DB
-  const db = getDb();
-  await db.insert(refreshTokens).values({
-    userId: user.id,
-    tokenHash: hash,
-    expiresAt,
-  } as any);
+  if (env.ENABLE_DB) {
+    await getDb().insert(refreshTokens).values({
+      userId: user.id,
+      tokenHash: hash,
+      expiresAt,
+    } as any);
+  } else {
+    fileStore.insertRefreshToken(user.id, hash, expiresAt);
+  }
 
   return {
     accessToken,
@@ -0,0 +1,224 @@
+/**
+ * backtest.ts — Valuation accuracy, replayed over sales history
+ *
+ * Walks forward month by month through the sales store. Every sale in month M
+ * is estimated from the sales before M only, by each method:
+ *
+ *   avm    the hedonic model (valuation.ts), refitted on the earlier sales,
+ *          repeat-sales index included
+ *   tier   the Valuation tab's Price Estimator: average PSF of the project's
+ *          most specific tier with sales (same size ±50 sf and floor band, then
+ *          floor band, then size, then the whole project), taking the 3M, then
+ *          6M, then 12M window before M
+ *
+ * Errors are (estimate − price) / price on PSF. Reported overall and by
+ * district, segment and size band: MAPE, median APE, share within ±5% and
+ * ±10%, bias (median signed error) and, for the AVM, how often the sale
+ * landed inside its 90% interval.
+ *
+ * A run refits every district once per month, so it yields to the event loop
+ * between months and the report is cached per published store.
+ */
+import { buildDashboardData } from './dashboard.ts';
+import { dashboardCache } from './state.ts';
+import { allSales } from './dal.ts';
+import { distSort } from './helpers.ts';
+import { estimatePsf } from './valuation.ts';
+import type { SalesRecord } from '../types.ts';
+
+export const BACKTEST_METHODS = ['avm', 'tier'] as const;
+export type BacktestMethod = typeof BACKTEST_METHODS[number];
+
+/** Same bands as the search filter's areaSqftRanges */
+const SIZE_BANDS: Array<[string, number, number]> = [
+  ['0-500', 0, 500], ['500-1000', 500, 1000], ['1000-1500', 1000, 1500],
+  ['1500-2000', 1500, 2000], ['2000-3000', 2000, 3000], ['3000+', 3000, Infinity],
+];
+const TIER_WINDOWS = [3, 6, 12];
+const SIZE_MATCH_SF = 50;
+
+export interface BacktestOpts {
+  /** Months replayed, ending at `to` */
+  months?: number;
+  /** Last month replayed, YYYY-MM (default: the latest month with sales) */
+  to?: string;
+  /** Only score sales in these districts (comma-separated); models still see every earlier sale */
+  district?: string;
+  /** Most sales scored per month, spread evenly through it */
+  maxPerMonth?: number;
+}
+
+export interface ErrorStats {
+  n: number;
+  /** Mean absolute % error */
+  mape: number;
+  medianApe: number;
+  /** % of estimates within ±5% / ±10% of the price */
+  within5: number;
+  within10: number;
+  /** Median signed % error; positive = estimates run high */
+  bias: number;
+  /** % of sales inside the estimate's 90% interval (AVM only) */
+  coverage?: number;
+}
+
+export interface BacktestGroup {
+  key: string;
+  n: number;
+  avm: ErrorStats | null;
+  tier: ErrorStats | null;
+}
+
+export interface BacktestReport {
+  from: string;
+  to: string;
+  months: number;
+  /** Sales scored; a method with no estimate for a sale (no earlier data) skips it */
+  sales: number;
+  skipped: Record<BacktestMethod, number>;
+  overall: Record<BacktestMethod, ErrorStats | null>;
+  byDistrict: BacktestGroup[];
+  bySegment: BacktestGroup[];
+  bySize: BacktestGroup[];
+  elapsedMs: number;
+}
+
+interface Scored { r: SalesRecord; avm: { err: number; inside: boolean } | null; tier: number | null }
+
+const addMonths = (ym: string, k: number) => {
+  const t = parseInt(ym.slice(0, 4)) * 12 + parseInt(ym.slice(5, 7)) - 1 + k;
+  return `${Math.floor(t / 12)}-${String((t % 12) + 1).padStart(2, '0')}`;
+};
+
+const sizeBand = (a: number) => SIZE_BANDS.find(([, lo, hi]) => a >= lo && a < hi)![0];
+
+const median = (xs: number[]) => {
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = s.length >> 1;
+  return s.length % 2 ? s[mid]! : (s[mid - 1]! + s[mid]!) / 2;
+};
+
+const pct = (x: number) => +(x * 100).toFixed(2);
+
+function stats(errs: number[], inside?: boolean[]): ErrorStats | null {
+  if (!errs.length) return null;
+  const abs = errs.map(Math.abs);
+  const out: ErrorStats = {
+    n: errs.length,
+    mape: pct(abs.reduce((s, e) => s + e, 0) / abs.length),
+    medianApe: pct(median(abs)),
+    within5: pct(abs.filter(e => e <= 0.05).length / abs.length),
+    within10: pct(abs.filter(e => e <= 0.1).length / abs.length),
+    bias: pct(median(errs)),
+  };
+  if (inside) out.coverage = pct(inside.filter(Boolean).length / inside.length);
+  return out;
+}
+
+function group(rows: Scored[], keyOf: (r: SalesRecord) => string, order: (a: string, b: string) => number): BacktestGroup[] {
+  const by = new Map<string, Scored[]>();
+  for (const s of rows) {
+    const k = keyOf(s.r);
+    (by.get(k) || by.set(k, []).get(k)!).push(s);
+  }
+  return [...by.keys()].sort(order).map(key => {
+    const g = by.get(key)!;
+    const avm = g.flatMap(s => (s.avm ? [s.avm] : []));
+    return {
+      key, n: g.length,
+      avm: stats(avm.map(a => a.err), avm.map(a => a.inside)),
+      tier: stats(g.flatMap(s => (s.tier !== null ? [s.tier] : []))),
+    };
+  });
+}
+
+/** Price Estimator PSF for `r` from the sales of its project (sorted by date) before its month, or null */
+function tierPsf(r: SalesRecord, project: SalesRecord[]): number | null {
+  const size = (t: SalesRecord) => Math.abs(t.a - r.a) < SIZE_MATCH_SF;
+  const floor = (t: SalesRecord) => t.fl === r.fl && r.fl !== '-';
+  const tiers = [(t: SalesRecord) => size(t) && floor(t), floor, size, () => true];
+  for (const match of tiers) {
+    for (const w of TIER_WINDOWS) {
+      const from = addMonths(r.d, -w);
+      let s = 0, n = 0;
+      for (let i = project.length - 1; i >= 0 && project[i]!.d >= from; i--) {
+        const t = project[i]!;
+        if (t.d < r.d && match(t)) { s += t.ps; n++; }
+      }
+      if (n) return s / n;
+    }
+  }
+  return null;
+}
+
+async function run(sales: SalesRecord[], opts: BacktestOpts): Promise<BacktestReport> {
+  const t0 = Date.now();
+  const sorted = [...sales].sort((a, b) => (a.d < b.d ? -1 : a.d > b.d ? 1 : 0));
+  const to = opts.to || sorted[sorted.length - 1]?.d || '';
+  const months = opts.months || 12;
+  const from = addMonths(to, -(months - 1));
+  const districts = opts.district ? new Set(opts.district.split(',')) : null;
+  const maxPerMonth = opts.maxPerMonth || 2000;
+
+  const byProject = new Map<string, SalesRecord[]>();
+  for (const r of sorted) (byProject.get(r.p) || byProject.set(r.p, []).get(r.p)!).push(r);
+
+  const scored: Scored[] = [];
+  const skipped: Record<BacktestMethod, number> = { avm: 0, tier: 0 };
+  let start = sorted.findIndex(r => r.d >= from);
+  if (start < 0) start = sorted.length;
+  for (let month = from; month <= to; month = addMonths(month, 1)) {
+    let end = start;
+    while (end < sorted.length && sorted[end]!.d === month) end++;
+    const prior = sorted.slice(0, start);
+    const due = sorted.slice(start, end).filter(r => r.a > 0 && r.ps > 0 && (!districts || districts.has(r.di)));
+    const stride = Math.max(1, due.length / maxPerMonth);
+    for (let i = 0; i < due.length; i += stride) {
+      const r = due[Math.floor(i)]!;
+      const est = prior.length ? estimatePsf(prior, {
+        project: r.p, district: r.di, segment: r.sg, tenure: r.tn,
+        area: r.a, floorMid: r.fm, saleType: r.tp, date: r.d, leaseYears: r.ly, leaseStart: r.ls,
+      }) : null;
+      const tier = tierPsf(r, byProject.get(r.p)!);
+      if (!est) skipped.avm++;
+      if (tier === null) skipped.tier++;
+      scored.push({
+        r,
+        avm: est && { err: (est.psf - r.ps) / r.ps, inside: r.ps >= est.lo && r.ps <= est.hi },
+        tier: tier === null ? null : (tier - r.ps) / r.ps,
+      });
+    }
+    start = end;
+    // Each month refits every district; let requests through in between
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  const [overall] = group(scored, () => 'all', () => 0);
+  return {
+    from, to, months, sales: scored.length, skipped,
+    overall: { avm: overall?.avm ?? null, tier: overall?.tier ?? null },
+    byDistrict: group(scored, r => r.di, distSort),
+    bySegment: group(scored, r => r.sg, (a, b) => a.localeCompare(b)),
+    bySize: group(scored, r => sizeBand(r.a), (a, b) => SIZE_BANDS.findIndex(s => s[0] === a) - SIZE_BANDS.findIndex(s => s[0] === b)),
+    elapsedMs: Date.now() - t0,
+  };
+}
+
+const reports = new WeakMap<object, Map<string, Promise<BacktestReport>>>();
+
+/** Backtest the valuation methods over the last `months` months of the published store */
+export async function getBacktest(opts: BacktestOpts = {}): Promise<BacktestReport> {
+  if (!dashboardCache) await buildDashboardData();
+  const sales = allSales();
+  const key = JSON.stringify([opts.months, opts.to, opts.district, opts.maxPerMonth]);
+  let forStore = reports.get(sales);
+  if (!forStore) reports.set(sales, forStore = new Map());
+  let report = forStore.get(key);
+  if (!report) {
+    report = run(sales, opts);
+    forStore.set(key, report);
+    // A failed run shouldn't be served from cache
+    report.catch(() => forStore!.delete(key));
+  }
+  return report;
+}
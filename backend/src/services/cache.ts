@@ -1,4 +1,4 @@
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, copyFileSync, readdirSync, rmSync, renameSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { gzipSync, gunzipSync } from 'zlib';
@@ -11,6 +11,12 @@ const DASH_FILE = join(CACHE_DIR, 'dashboard.json.gz');
 const SALES_FILE = join(CACHE_DIR, 'sales.json.gz');
 const RENTAL_FILE = join(CACHE_DIR, 'rental.json.gz');
 const BATCH_FILE = join(CACHE_DIR, 'batchmap.json.gz');
+const LOCATIONS_FILE = join(CACHE_DIR, 'locations.json.gz');
+
+// Snapshot archive — one dated generation per successful build (see archiveGeneration)
+const ARCHIVE_DIR = join(CACHE_DIR, 'archive');
+const ARCHIVE_KEEP_DAYS = Number(process.env.ARCHIVE_KEEP_DAYS) || 35;     // keep every generation this recent
+const ARCHIVE_KEEP_MONTHS = Number(process.env.ARCHIVE_KEEP_MONTHS) || 24; // then the last one per month
 
 // Static snapshot — lives in frontend/public/, committed to git, ships with every build
 // Updated by: node sync.js (run locally before deploying)
@@ -42,7 +48,7 @@ function readGz(file) {
  * Save all data to disk cache
  * @returns {{ dashKB: number, salesKB: number, rentalKB: number }}
  */
-export function saveToDisk(dashboardData: any, salesStoreData: any[], rentalStoreData: any[], batchMapData: Record<string, any>): { dashKB: number; salesKB: number; rentalKB: number } {
+export function saveToDisk(dashboardData: any, salesStoreData: any[], rentalStoreData: any[], batchMapData: Record<string, any>, locationsData: Record<string, any> = {}): { dashKB: number; salesKB: number; rentalKB: number } {
   ensureDir();
   const t0 = Date.now();
 
@@ -50,6 +56,7 @@ export function saveToDisk(dashboardData: any, salesStoreData: any[], rentalStor
   const salesSz = writeGz(SALES_FILE, salesStoreData);
   const rentalSz = writeGz(RENTAL_FILE, rentalStoreData);
   const batchSz = writeGz(BATCH_FILE, batchMapData);
+  const locationsSz = writeGz(LOCATIONS_FILE, locationsData);
 
   const meta = {
     savedAt: new Date().toISOString(),
@@ -62,6 +69,7 @@ export function saveToDisk(dashboardData: any, salesStoreData: any[], rentalStor
       sales: salesSz,
       rental: rentalSz,
       batchMap: batchSz,
+      locations: locationsSz,
     },
   };
   writeFileSync(META_FILE, JSON.stringify(meta, null, 2));
@@ -76,9 +84,9 @@ export function saveToDisk(dashboardData: any, salesStoreData: any[], rentalStor
 
 /**
  * Load all data from disk cache
- * @returns {{ dashboard, salesStore, rentalStore, batchMap, meta } | null}
+ * @returns {{ dashboard, salesStore, rentalStore, batchMap, locations, meta } | null}
  */
-export function loadFromDisk(): { dashboard: any; salesStore: any[]; rentalStore: any[]; batchMap: any; meta: any; isStale: boolean; ageMinutes: number } | null {
+export function loadFromDisk(): { dashboard: any; salesStore: any[]; rentalStore: any[]; batchMap: any; locations: Record<string, any>; meta: any; isStale: boolean; ageMinutes: number } | null {
   if (!existsSync(META_FILE) || !existsSync(DASH_FILE) || !existsSync(SALES_FILE)) {
     console.log('💾 No disk cache found');
     return null;
@@ -95,6 +103,7 @@ export function loadFromDisk(): { dashboard: any; salesStore: any[]; rentalStore
     const salesStore = readGz(SALES_FILE);
     const rentalStore = existsSync(RENTAL_FILE) ? readGz(RENTAL_FILE) : [];
     const batchMap = existsSync(BATCH_FILE) ? readGz(BATCH_FILE) : {};
+    const locations = loadProjectLocations();
 
     const elapsed = Date.now() - t0;
     console.log(`💾 Cache loaded: ${meta.salesCount} sales, ${meta.rentalCount} rentals (${elapsed}ms)`);
@@ -104,6 +113,7 @@ export function loadFromDisk(): { dashboard: any; salesStore: any[]; rentalStore
       salesStore,
       rentalStore,
       batchMap,
+      locations,
       meta,
       isStale: age > CACHE_MAX_AGE,
       ageMinutes: Math.round(age / 60000),
@@ -114,6 +124,19 @@ export function loadFromDisk(): { dashboard: any; salesStore: any[]; rentalStore
   }
 }
 
+/**
+ * Project locations saved with the last build. PostgreSQL holds transactions
+ * only, so a database boot reads these from the disk cache too.
+ */
+export function loadProjectLocations(): Record<string, any> {
+  try {
+    return existsSync(LOCATIONS_FILE) ? readGz(LOCATIONS_FILE) : {};
+  } catch (err) {
+    console.error('💾 Project locations load failed:', (err as Error).message);
+    return {};
+  }
+}
+
 /**
  * Get cache status without loading data
  */
@@ -161,3 +184,144 @@ export function writeSnapshot(dashboardData: any): number {
 export function hasSnapshot(): boolean {
   return existsSync(SNAPSHOT_FILE);
 }
+
+// ═══ SNAPSHOT ARCHIVE ═══
+// cache/archive/<id>/ holds dashboard.json.gz, sales.json.gz, rental.json.gz and meta.json
+// as they were right after a build. <id> is the UTC build time, e.g. 20260630T021500Z,
+// so a plain string sort is chronological.
+
+export interface ArchivedGeneration {
+  id: string;
+  savedAt: string;
+  savedAtMs: number;
+  mode?: string;
+  salesCount: number;
+  rentalCount: number;
+  totalTx?: number;
+  sizeKB: number;
+}
+
+const generationId = (d: Date): string => d.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+function readGenerationMeta(id: string): ArchivedGeneration | null {
+  try {
+    return JSON.parse(readFileSync(join(ARCHIVE_DIR, id, 'meta.json'), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Copy the just-saved cache files into a new dated generation, then apply retention.
+ * Call after saveToDisk() — copying the gzip files avoids serialising the stores twice.
+ */
+export function archiveGeneration(info: { mode?: string; totalTx?: number } = {}): ArchivedGeneration | null {
+  if (!existsSync(META_FILE) || !existsSync(DASH_FILE) || !existsSync(SALES_FILE)) return null;
+  try {
+    const meta = JSON.parse(readFileSync(META_FILE, 'utf-8'));
+    const id = generationId(new Date(meta.savedAtMs));
+    const dir = join(ARCHIVE_DIR, id);
+    const tmp = `${dir}.tmp`;
+    mkdirSync(tmp, { recursive: true });
+    copyFileSync(DASH_FILE, join(tmp, 'dashboard.json.gz'));
+    copyFileSync(SALES_FILE, join(tmp, 'sales.json.gz'));
+    if (existsSync(RENTAL_FILE)) copyFileSync(RENTAL_FILE, join(tmp, 'rental.json.gz'));
+
+    const gen: ArchivedGeneration = {
+      id,
+      savedAt: meta.savedAt,
+      savedAtMs: meta.savedAtMs,
+      mode: info.mode,
+      salesCount: meta.salesCount,
+      rentalCount: meta.rentalCount,
+      totalTx: info.totalTx,
+      sizeKB: Math.round(((meta.sizes?.dashboard || 0) + (meta.sizes?.sales || 0) + (meta.sizes?.rental || 0)) / 1024),
+    };
+    writeFileSync(join(tmp, 'meta.json'), JSON.stringify(gen, null, 2));
+    // Rename last so a half-written generation is never listed
+    if (existsSync(dir)) rmSync(dir, { recursive: true, force: true });
+    renameSync(tmp, dir);
+    console.log(`🗄️  Archived generation ${id} (${gen.sizeKB}KB)`);
+
+    pruneArchive();
+    return gen;
+  } catch (err) {
+    console.error('🗄️  Archive failed:', (err as Error).message);
+    return null;
+  }
+}
+
+/**
+ * Retention: keep every generation from the last ARCHIVE_KEEP_DAYS days, then only
+ * the newest generation of each calendar month for ARCHIVE_KEEP_MONTHS months.
+ * The newest generation is never removed.
+ */
+export function pruneArchive(now = Date.now()): string[] {
+  const gens = listSnapshots();
+  const keepAllAfter = now - ARCHIVE_KEEP_DAYS * 86400000;
+  const oldestMonth = new Date(now);
+  oldestMonth.setUTCMonth(oldestMonth.getUTCMonth() - ARCHIVE_KEEP_MONTHS);
+  const monthFloor = oldestMonth.toISOString().slice(0, 7);
+
+  const seenMonths = new Set<string>();
+  const removed: string[] = [];
+  gens.forEach((g, i) => {
+    const month = g.savedAt.slice(0, 7);
+    let keep = i === 0 || g.savedAtMs >= keepAllAfter;
+    if (!keep && month >= monthFloor && !seenMonths.has(month)) keep = true;
+    seenMonths.add(month);
+    if (!keep) {
+      rmSync(join(ARCHIVE_DIR, g.id), { recursive: true, force: true });
+      removed.push(g.id);
+    }
+  });
+  if (removed.length) console.log(`🗄️  Pruned ${removed.length} archived generation(s)`);
+  return removed;
+}
+
+/** All archived generations, newest first */
+export function listSnapshots(): ArchivedGeneration[] {
+  if (!existsSync(ARCHIVE_DIR)) return [];
+  return readdirSync(ARCHIVE_DIR)
+    .filter(id => /^\d{8}T\d{6}Z$/.test(id))
+    .sort((a, b) => b.localeCompare(a))
+    .map(readGenerationMeta)
+    .filter((g): g is ArchivedGeneration => !!g);
+}
+
+/**
+ * Newest generation built at or before `asOf`.
+ * A bare date (YYYY-MM-DD) means end of that day, Singapore time.
+ */
+export function findSnapshot(asOf: string): ArchivedGeneration | null {
+  const ms = /^\d{4}-\d{2}-\d{2}$/.test(asOf)
+    ? Date.parse(`${asOf}T23:59:59.999+08:00`)
+    : Date.parse(asOf);
+  if (Number.isNaN(ms)) return null;
+  return listSnapshots().find(g => g.savedAtMs <= ms) || null;
+}
+
+// Archived dashboards are immutable — keep the last few parsed ones around
+const archivedDashboards = new Map<string, any>();
+const ARCHIVE_MEMO_SIZE = 4;
+
+/** Dashboard payload of an archived generation */
+export function loadArchivedDashboard(id: string): any | null {
+  if (archivedDashboards.has(id)) return archivedDashboards.get(id);
+  const file = join(ARCHIVE_DIR, id, 'dashboard.json.gz');
+  if (!existsSync(file)) return null;
+  const data = readGz(file);
+  archivedDashboards.set(id, data);
+  if (archivedDashboards.size > ARCHIVE_MEMO_SIZE) archivedDashboards.delete(archivedDashboards.keys().next().value!);
+  return data;
+}
+
+/** Sales + rental records of an archived generation */
+export function loadArchivedStores(id: string): { salesStore: any[]; rentalStore: any[] } | null {
+  const dir = join(ARCHIVE_DIR, id);
+  if (!existsSync(join(dir, 'sales.json.gz'))) return null;
+  return {
+    salesStore: readGz(join(dir, 'sales.json.gz')),
+    rentalStore: existsSync(join(dir, 'rental.json.gz')) ? readGz(join(dir, 'rental.json.gz')) : [],
+  };
+}
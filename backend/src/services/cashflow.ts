@@ -0,0 +1,277 @@
+/**
+ * cashflow.ts — Holding cash flows, IRR and equity multiple for a portfolio
+ *
+ * Each holding is modelled a calendar year at a time, from its purchase year
+ * to an exit `horizon` years from now; a holding bought in or after the exit
+ * year is refused:
+ *
+ *   purchase   price, BSD + ABSD (acquisition.ts; ABSD by the order holdings
+ *              were bought in) and fees, less the loan
+ *   rent       the actual rent when given, else the market yield of the
+ *              holding's unit type (rental-yield.ts), falling back to the
+ *              project's, district's, segment's; less `vacancyMonths` a year,
+ *              and moving with the value in both cases
+ *   costs      property tax at non-owner-occupier rates on the gross rent as
+ *              annual value, maintenance per sqft, loan instalments
+ *   exit       value at the horizon less agent's commission, fees, SSD when
+ *              still inside the holding period, and the loan balance
+ *
+ * Value runs geometrically from the purchase price to today's project PSF,
+ * then grows at each scenario's rate: base is the district's CAGR (distPerf),
+ * bear and bull the lower and upper quartile of all districts' CAGR, unless
+ * the request sets them. Every holding is assumed let out.
+ */
+import { buildDashboardData } from './dashboard.ts';
+import { dashboardCache, computedYield } from './state.ts';
+import { getYield } from './helpers.ts';
+import { unitYield, type YieldSource } from './rental-yield.ts';
+import { bsd, absdRate, ssdRates, amortise, DEFAULT_FEES, type BuyerProfile } from './acquisition.ts';
+import { ApiError } from '../shared/api.ts';
+
+export const SCENARIOS = ['bear', 'base', 'bull'] as const;
+export type Scenario = typeof SCENARIOS[number];
+
+/** Non-owner-occupier property tax on annual value: [band width, rate], newest first */
+const PROPERTY_TAX: Array<{ from: number; bands: Array<[number, number]> }> = [
+  { from: 2024, bands: [[30_000, 0.12], [15_000, 0.2], [15_000, 0.28], [Infinity, 0.36]] },
+  { from: 2023, bands: [[30_000, 0.11], [15_000, 0.16], [15_000, 0.21], [Infinity, 0.27]] },
+  { from: 0, bands: [[Infinity, 0.1]] },
+];
+/** Agent's commission on sale, share of price */
+const EXIT_COMMISSION = 0.02;
+const DEFAULT_LOAN_RATE = 3;
+const DEFAULT_LOAN_YEARS = 25;
+const DEFAULT_HORIZON = 10;
+const DEFAULT_VACANCY_MONTHS = 1;
+/** Monthly condo maintenance, $ per sqft */
+const DEFAULT_MAINTENANCE_PSF = 0.35;
+
+export interface CashflowHolding {
+  id?: string | number;
+  project: string;
+  /** sqft */
+  size: number;
+  /** Purchase PSF */
+  psf: number;
+  /** Purchase year */
+  year: number;
+  loanAmount?: number;
+  /** % a year */
+  loanRate?: number;
+  loanYears?: number;
+  /** Actual monthly rent received */
+  rent?: number;
+}
+
+export interface CashflowOpts {
+  holdings: CashflowHolding[];
+  /** Exit this many years from now */
+  horizon?: number;
+  profile?: BuyerProfile;
+  vacancyMonths?: number;
+  /** Monthly maintenance, $ per sqft */
+  maintenancePsf?: number;
+  /** Growth % a year, overriding the district-derived rate for every holding */
+  growth?: Partial<Record<Scenario, number>>;
+}
+
+export interface ProjectionYear {
+  year: number;
+  value: number;
+  rent: number;
+  propertyTax: number;
+  maintenance: number;
+  interest: number;
+  principal: number;
+  balance: number;
+  /** Equity cash flow for the year: negative is money in */
+  cashFlow: number;
+}
+
+export interface ScenarioResult {
+  growth: number;
+  /** Annual, %; null when the flows never change sign */
+  irr: number | null;
+  /** Money out over money in */
+  equityMultiple: number | null;
+  profit: number;
+  exitValue: number;
+  projection: ProjectionYear[];
+}
+
+export interface HoldingCashflow {
+  id?: string | number;
+  project: string;
+  /** false when the project has no current PSF; the holding is left out of the totals */
+  found: boolean;
+  district: string;
+  purchase: { price: number; stampDuty: number; fees: number; loan: number; equity: number };
+  /** Rent source: actual (given) or market yield */
+  rentSource: 'actual' | 'market';
+  /** The market yield used for the holding's unit type, when rent isn't given */
+  market?: { beds: string; yield: number; source: YieldSource };
+  scenarios: Record<Scenario, ScenarioResult> | null;
+}
+
+export interface PortfolioCashflow {
+  asOf: number;
+  exitYear: number;
+  holdings: HoldingCashflow[];
+  total: Record<Scenario, { irr: number | null; equityMultiple: number | null; profit: number; flows: Array<{ year: number; cashFlow: number }> }>;
+}
+
+function propertyTax(av: number, year: number): number {
+  const s = PROPERTY_TAX.find(t => year >= t.from)!;
+  let left = av, tax = 0;
+  for (const [width, rate] of s.bands) {
+    const slice = Math.min(left, width);
+    tax += slice * rate;
+    left -= slice;
+    if (left <= 0) break;
+  }
+  return tax;
+}
+
+const npv = (flows: number[], r: number) => flows.reduce((s, f, t) => s + f / Math.pow(1 + r, t), 0);
+
+/**
+ * IRR of yearly flows (first flow at t = 0) by bisection, %; null when there is
+ * none: no flows, no money both in and out, or NPV doesn't change sign
+ */
+export function irr(flows: number[]): number | null {
+  if (!flows.some(f => f < 0) || !flows.some(f => f > 0)) return null;
+  let lo = -0.99, hi = 10;
+  let fLo = npv(flows, lo), fHi = npv(flows, hi);
+  if (!isFinite(fLo) || fLo * fHi >= 0) return null;
+  for (let i = 0; i < 200 && hi - lo > 1e-7; i++) {
+    const mid = (lo + hi) / 2, f = npv(flows, mid);
+    if (f * fLo > 0) { lo = mid; fLo = f; } else { hi = mid; fHi = f; }
+  }
+  return +(((lo + hi) / 2) * 100).toFixed(2);
+}
+
+function multiple(flows: number[]): number | null {
+  const out = flows.filter(f => f < 0).reduce((s, f) => s - f, 0);
+  const back = flows.filter(f => f > 0).reduce((s, f) => s + f, 0);
+  return out > 0 ? +(back / out).toFixed(2) : null;
+}
+
+function quartile(xs: number[], q: number): number {
+  const s = [...xs].sort((a, b) => a - b);
+  if (!s.length) return 0;
+  const i = (s.length - 1) * q, f = Math.floor(i);
+  return s[f]! + (s[Math.min(f + 1, s.length - 1)]! - s[f]!) * (i - f);
+}
+
+interface Settings {
+  profile: BuyerProfile;
+  vacancyMonths: number;
+  maintenancePsf: number;
+  /** Lower quartile, median and upper quartile of district CAGR, % */
+  growth: Record<Scenario, number>;
+  override: Partial<Record<Scenario, number>>;
+  now: number;
+  exitYear: number;
+}
+
+function project(h: CashflowHolding, nth: number, opts: Settings): HoldingCashflow {
+  const { now, exitYear } = opts;
+  const dash = dashboardCache as any;
+  const idx = dash?.projIndex?.[h.project] || dash?.cmpPool?.find((p: any) => p.name === h.project);
+  const district: string = idx?.dist || '';
+  const dp = dash?.distPerf?.find((d: any) => d.d === district);
+  const price = Math.round(h.psf * h.size);
+  const date = `${h.year}-07-01`;
+  const stampDuty = bsd(price, date) + Math.round(price * absdRate(opts.profile, nth, date));
+  const loan = Math.min(h.loanAmount || 0, price);
+  const purchase = { price, stampDuty, fees: DEFAULT_FEES, loan, equity: price - loan + stampDuty + DEFAULT_FEES };
+  const rentSource = h.rent ? 'actual' as const : 'market' as const;
+  if (!idx?.psf) return { id: h.id, project: h.project, found: false, district, purchase, rentSource, scenarios: null };
+
+  const valueNow = idx.psf * h.size;
+  const unit = h.rent ? null : unitYield(h.project, h.size);
+  const market = unit ? { beds: unit.beds, yield: unit.yield, source: unit.source } : undefined;
+  const marketYield = (unit?.yield || idx.yield || dp?.yield || getYield(idx.seg || idx.segment || '', computedYield) * 100) / 100;
+  const rentNow = h.rent ? h.rent * 12 : valueNow * marketYield;
+  const schedule = loan > 0 ? amortise(loan, h.loanRate ?? DEFAULT_LOAN_RATE, h.loanYears || DEFAULT_LOAN_YEARS) : [];
+  const ssd = ssdRates(date);
+  const held = Math.max(0, now - h.year);
+  // Purchase → today: the compound rate that joins the two values
+  const pastRate = held > 0 ? Math.pow(valueNow / price, 1 / held) - 1 : 0;
+
+  const run = (g: number): ScenarioResult => {
+    const valueAt = (y: number) => y <= now ? price * Math.pow(1 + pastRate, y - h.year) : valueNow * Math.pow(1 + g / 100, y - now);
+    const flows = [-purchase.equity];
+    const projection: ProjectionYear[] = [{ year: h.year, value: price, rent: 0, propertyTax: 0, maintenance: 0, interest: 0, principal: 0, balance: loan, cashFlow: -purchase.equity }];
+    for (let y = h.year + 1; y <= exitYear; y++) {
+      const value = valueAt(y);
+      const grossRent = rentNow * value / valueNow;
+      const rent = grossRent * (12 - opts.vacancyMonths) / 12;
+      const tax = propertyTax(grossRent, y);
+      const maintenance = opts.maintenancePsf * h.size * 12;
+      const ly = schedule[y - h.year - 1];
+      const balance = ly?.balance ?? 0;
+      let cashFlow = rent - tax - maintenance - (ly?.payment || 0);
+      if (y === exitYear) {
+        const heldYears = y - h.year;
+        const ssdRate = heldYears <= ssd.length ? ssd[Math.max(heldYears, 1) - 1]! : 0;
+        cashFlow += value * (1 - EXIT_COMMISSION - ssdRate) - DEFAULT_FEES - balance;
+      }
+      flows.push(cashFlow);
+      projection.push({
+        year: y, value: Math.round(value), rent: Math.round(rent), propertyTax: Math.round(tax), maintenance: Math.round(maintenance),
+        interest: ly?.interest || 0, principal: ly?.principal || 0, balance, cashFlow: Math.round(cashFlow),
+      });
+    }
+    return {
+      growth: g, irr: irr(flows), equityMultiple: multiple(flows),
+      profit: Math.round(flows.reduce((s, f) => s + f, 0)), exitValue: Math.round(valueAt(exitYear)), projection,
+    };
+  };
+
+  // Bear and bull bracket the district's own rate; a requested rate replaces it outright
+  const base = dp?.cagr ?? opts.growth.base;
+  const rate: Record<Scenario, number> = {
+    bear: opts.override.bear ?? Math.min(opts.growth.bear, base),
+    base: opts.override.base ?? base,
+    bull: opts.override.bull ?? Math.max(opts.growth.bull, base),
+  };
+  const scenarios = Object.fromEntries(SCENARIOS.map(s => [s, run(rate[s])])) as Record<Scenario, ScenarioResult>;
+  return { id: h.id, project: h.project, found: true, district, purchase, rentSource, market, scenarios };
+}
+
+/** Cash flows, IRR and equity multiple per holding and for the portfolio, under each growth scenario */
+export async function getPortfolioCashflow(opts: CashflowOpts): Promise<PortfolioCashflow> {
+  const now = new Date().getFullYear();
+  const exitYear = now + (opts.horizon ?? DEFAULT_HORIZON);
+  // Such a holding has no year to earn or sell in
+  const late = opts.holdings.find(h => h.year >= exitYear);
+  if (late) {
+    throw new ApiError(`${late.project} is bought in ${late.year}, not before the ${exitYear} exit`, 'BAD_REQUEST', 400);
+  }
+  if (!dashboardCache) await buildDashboardData();
+  const cagrs = ((dashboardCache as any)?.distPerf || []).map((d: any) => d.cagr as number);
+  const settings: Settings = {
+    profile: opts.profile || 'citizen', vacancyMonths: opts.vacancyMonths ?? DEFAULT_VACANCY_MONTHS, maintenancePsf: opts.maintenancePsf ?? DEFAULT_MAINTENANCE_PSF,
+    growth: { bear: +quartile(cagrs, 0.25).toFixed(1), base: +quartile(cagrs, 0.5).toFixed(1), bull: +quartile(cagrs, 0.75).toFixed(1) },
+    override: opts.growth || {}, now, exitYear,
+  };
+
+  // ABSD counts the holdings bought before this one, in purchase order
+  const order = opts.holdings.map((h, i) => ({ h, i })).sort((a, b) => a.h.year - b.h.year || a.i - b.i);
+  const results: HoldingCashflow[] = new Array(opts.holdings.length);
+  order.forEach(({ h, i }, k) => { results[i] = project(h, k + 1, settings); });
+
+  const total = Object.fromEntries(SCENARIOS.map(s => {
+    const byYear = new Map<number, number>();
+    for (const r of results) for (const p of r.scenarios?.[s].projection || []) byYear.set(p.year, (byYear.get(p.year) || 0) + p.cashFlow);
+    const years = [...byYear.keys()].sort((a, b) => a - b);
+    const flows = years.length ? Array.from({ length: years[years.length - 1]! - years[0]! + 1 }, (_, t) => byYear.get(years[0]! + t) || 0) : [];
+    return [s, {
+      irr: irr(flows), equityMultiple: multiple(flows), profit: Math.round(flows.reduce((a, f) => a + f, 0)),
+      flows: flows.map((cashFlow, t) => ({ year: years[0]! + t, cashFlow })),
+    }];
+  })) as PortfolioCashflow['total'];
+
+  return { asOf: now, exitYear, holdings: results, total };
+}
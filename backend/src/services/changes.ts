@@ -0,0 +1,188 @@
+/**
+ * changes.ts — What a refresh brought in
+ *
+ * Diffs two archived generations (see cache.ts SNAPSHOT ARCHIVE):
+ *   - new sales transactions and rental contracts (multiset diff on salesKey/rentalKey)
+ *   - projects that appear in `to` but not in `from`
+ *   - districts whose avg PSF moved more than a threshold
+ *
+ * District PSF is compared over the same trailing window (the 12 months up to the
+ * newest sale in `to`) on both sides, so it moves only because of new or revised
+ * records, not because the window itself slid forward.
+ */
+import { listSnapshots, findSnapshot, loadArchivedStores, type ArchivedGeneration } from './cache.ts';
+import { salesKey, rentalKey, keyCounts, consumeKey } from './helpers.ts';
+import type { SalesRecord, RentalRecord } from '../types.ts';
+
+export const DEFAULT_PSF_THRESHOLD_PCT = 3;
+const PSF_WINDOW_MONTHS = 12;
+const MIN_DISTRICT_TX = 5;
+
+export interface NewProject {
+  name: string;
+  street: string;
+  district: string;
+  segment: string;
+  tx: number;
+}
+
+export interface DistrictMove {
+  district: string;
+  fromPsf: number;
+  toPsf: number;
+  changePct: number;
+  fromTx: number;
+  toTx: number;
+}
+
+export interface StoreChanges {
+  thresholdPct: number;
+  psfWindow: { from: string; to: string } | null;
+  sales: { fromTotal: number; toTotal: number; newCount: number; droppedCount: number; recent: SalesRecord[] };
+  rentals: { fromTotal: number; toTotal: number; newCount: number; droppedCount: number; recent: RentalRecord[] };
+  newProjects: NewProject[];
+  districtMoves: DistrictMove[];
+}
+
+export interface ChangeReport extends StoreChanges {
+  from: ArchivedGeneration;
+  to: ArchivedGeneration;
+}
+
+/** Records in `b` not matched by a record in `a`, plus how many of `a` disappeared. */
+function multisetDiff<T>(a: T[], b: T[], key: (r: T) => string): { added: T[]; droppedCount: number } {
+  const seen = keyCounts(a, key);
+  const added = b.filter(r => !consumeKey(seen, key(r)));
+  let droppedCount = 0;
+  for (const n of seen.values()) droppedCount += n;
+  return { added, droppedCount };
+}
+
+/** "2026-09" minus n months */
+function monthsBefore(ym: string, n: number): string {
+  const [y, m] = ym.split('-').map(Number);
+  const idx = y! * 12 + (m! - 1) - n;
+  return `${Math.floor(idx / 12)}-${String((idx % 12) + 1).padStart(2, '0')}`;
+}
+
+function districtPsf(sales: SalesRecord[], fromYm: string, toYm: string): Map<string, { s: number; n: number }> {
+  const out = new Map<string, { s: number; n: number }>();
+  for (const r of sales) {
+    if (r.d < fromYm || r.d > toYm || !r.di || !(r.ps > 0)) continue;
+    const cur = out.get(r.di) || { s: 0, n: 0 };
+    cur.s += r.ps; cur.n++;
+    out.set(r.di, cur);
+  }
+  return out;
+}
+
+/**
+ * Compare two sets of stores. `limit` caps the sample of new records returned
+ * (counts are always exact).
+ */
+export function diffStores(
+  from: { salesStore: SalesRecord[]; rentalStore: RentalRecord[] },
+  to: { salesStore: SalesRecord[]; rentalStore: RentalRecord[] },
+  opts: { thresholdPct?: number; limit?: number } = {},
+): StoreChanges {
+  const thresholdPct = opts.thresholdPct ?? DEFAULT_PSF_THRESHOLD_PCT;
+  const limit = opts.limit ?? 50;
+
+  const sales = multisetDiff(from.salesStore, to.salesStore, salesKey);
+  const rentals = multisetDiff(from.rentalStore, to.rentalStore, rentalKey);
+  const byDate = (a: { d: string }, b: { d: string }) => b.d.localeCompare(a.d);
+
+  // ── New projects ──
+  const knownProjects = new Set(from.salesStore.map(r => r.p));
+  const fresh = new Map<string, NewProject>();
+  for (const r of sales.added) {
+    if (knownProjects.has(r.p)) continue;
+    const p = fresh.get(r.p) || { name: r.p, street: r.st, district: r.di, segment: r.sg, tx: 0 };
+    p.tx++;
+    fresh.set(r.p, p);
+  }
+
+  // ── District PSF moves ──
+  const latest = to.salesStore.reduce((m, r) => (r.d > m ? r.d : m), '');
+  const psfWindow = latest ? { from: monthsBefore(latest, PSF_WINDOW_MONTHS - 1), to: latest } : null;
+  const districtMoves: DistrictMove[] = [];
+  if (psfWindow) {
+    const before = districtPsf(from.salesStore, psfWindow.from, psfWindow.to);
+    const after = districtPsf(to.salesStore, psfWindow.from, psfWindow.to);
+    for (const [district, a] of after) {
+      const b = before.get(district);
+      if (!b || b.n < MIN_DISTRICT_TX || a.n < MIN_DISTRICT_TX) continue;
+      const fromPsf = b.s / b.n, toPsf = a.s / a.n;
+      const changePct = ((toPsf - fromPsf) / fromPsf) * 100;
+      if (Math.abs(changePct) < thresholdPct) continue;
+      districtMoves.push({
+        district, fromPsf: Math.round(fromPsf), toPsf: Math.round(toPsf),
+        changePct: +changePct.toFixed(2), fromTx: b.n, toTx: a.n,
+      });
+    }
+    districtMoves.sort((x, y) => Math.abs(y.changePct) - Math.abs(x.changePct));
+  }
+
+  return {
+    thresholdPct,
+    psfWindow,
+    sales: {
+      fromTotal: from.salesStore.length, toTotal: to.salesStore.length,
+      newCount: sales.added.length, droppedCount: sales.droppedCount,
+      recent: sales.added.sort(byDate).slice(0, limit),
+    },
+    rentals: {
+      fromTotal: from.rentalStore.length, toTotal: to.rentalStore.length,
+      newCount: rentals.added.length, droppedCount: rentals.droppedCount,
+      recent: rentals.added.sort(byDate).slice(0, limit),
+    },
+    newProjects: [...fresh.values()].sort((a, b) => b.tx - a.tx),
+    districtMoves,
+  };
+}
+
+/** Generation id (20260630T021500Z) or anything findSnapshot() accepts */
+export function resolveGeneration(ref: string): ArchivedGeneration | null {
+  if (/^\d{8}T\d{6}Z$/.test(ref)) return listSnapshots().find(g => g.id === ref) || null;
+  return findSnapshot(ref);
+}
+
+/**
+ * Diff two archived generations. `to` defaults to the newest generation,
+ * `from` to the one immediately before `to`.
+ * Returns null when either side can't be resolved.
+ */
+export function getChanges(
+  fromRef?: string, toRef?: string,
+  opts: { thresholdPct?: number; limit?: number } = {},
+): ChangeReport | null {
+  const gens = listSnapshots();
+  const to = toRef ? resolveGeneration(toRef) : gens[0];
+  if (!to) return null;
+  const from = fromRef ? resolveGeneration(fromRef) : gens.find(g => g.savedAtMs < to.savedAtMs);
+  if (!from || from.id === to.id) return null;
+
+  const a = loadArchivedStores(from.id);
+  const b = loadArchivedStores(to.id);
+  if (!a || !b) return null;
+  return { from, to, ...diffStores(a, b, opts) };
+}
+
+/** Human-readable summary lines (used by sync.js) */
+export function formatChanges(report: ChangeReport): string[] {
+  const lines = [
+    `Changes since ${report.from.savedAt}:`,
+    `   New sales:     +${report.sales.newCount.toLocaleString()} (${report.sales.droppedCount.toLocaleString()} dropped/revised)`,
+    `   New rentals:   +${report.rentals.newCount.toLocaleString()} (${report.rentals.droppedCount.toLocaleString()} dropped/revised)`,
+    `   New projects:  ${report.newProjects.length}${report.newProjects.length ? ' — ' + report.newProjects.slice(0, 5).map(p => `${p.name} (${p.district}, ${p.tx} tx)`).join(', ') : ''}`,
+  ];
+  if (report.districtMoves.length) {
+    lines.push(`   District avg PSF moved > ${report.thresholdPct}% (${report.psfWindow?.from} – ${report.psfWindow?.to}):`);
+    for (const m of report.districtMoves.slice(0, 10)) {
+      lines.push(`     ${m.district.padEnd(4)} $${m.fromPsf.toLocaleString()} → $${m.toPsf.toLocaleString()} (${m.changePct > 0 ? '+' : ''}${m.changePct}%)`);
+    }
+  } else {
+    lines.push(`   District avg PSF: no moves > ${report.thresholdPct}%`);
+  }
+  return lines;
+}
@@ -4,164 +4,415 @@
  * Provides a unified interface for reading transaction data.
  * Feature-flagged: ENABLE_DB=true uses PostgreSQL, false uses in-memory stores.
  *
- * This allows gradual migration:
+ * The dashboard aggregates and project pages need every record in memory, so
+ * they read a working set (state.ts) either way. With ENABLE_DB that working
+ * set is hydrated from PostgreSQL at startup (and again whenever the worker
+ * publishes), each sync writes back only the rows that changed, and the
+ * paginated transaction search and filter options query the tables directly —
+ * PostgreSQL is the source of truth and the gzip disk cache only a fallback.
+ * User data goes through userStore.ts.
+ *
  *   1. Deploy with ENABLE_DB=false (current behavior)
- *   2. Set up PostgreSQL, run seed migration
- *   3. Flip ENABLE_DB=true — all reads switch to DB
- *   4. Remove in-memory code when stable
+ *   2. Set up PostgreSQL: npm run db:migrate
+ *   3. Flip ENABLE_DB=true — the first start seeds the tables from the disk cache
  */
 import { env } from '../config/env.ts';
-import { getDb } from '../config/database.ts';
+import { getDb, getPool } from '../config/database.ts';
 import { getCache, hashFilters } from './cache-service.ts';
-import { salesTransactions, rentalTransactions, users, portfolioHoldings, savedSearches, clientReports } from '../db/schema.ts';
-import { eq, and, gte, lte, like, ilike, desc, asc, count, sql, type SQL } from 'drizzle-orm';
-import type { SalesRecord, RentalRecord, DashboardFilters, FilterOptions, UserData } from '../types.ts';
+import { salesTransactions, rentalTransactions, type NewSalesTransaction, type NewRentalTransaction, type SalesTransaction, type RentalTransaction } from '../db/schema.ts';
+import { eq, and, or, gte, lte, lt, inArray, ilike, desc, asc, count, sql, type SQL, type AnyColumn } from 'drizzle-orm';
+import type { SalesRecord, RentalRecord, DashboardFilters, FilterOptions, UserData, MarketSegment, SalesSearchOpts, RentalSearchOpts } from '../types.ts';
+import { getUser, saveUser } from './userStore.ts';
+import { SearchIndex, type IndexSpec } from './search-index.ts';
 
 // Import in-memory stores for fallback
-import { salesStore, rentalStore } from './state.ts';
+import { salesStore, rentalStore, bedroomModel } from './state.ts';
+import { inferBedrooms } from './bedroom.ts';
 
 // ══════════════════════════════════════════════════════
-// SALES QUERIES
+// WORKING SET (read by query.ts, project.ts)
 // ══════════════════════════════════════════════════════
 
-export interface SalesQueryOpts {
-  project?: string;
-  district?: string;
-  segment?: string;
-  propertyType?: string;
-  tenure?: string;
-  yearFrom?: number;
-  yearTo?: number;
-  q?: string;
-  page?: number;
-  limit?: number;
-  sort?: 'date_desc' | 'date_asc' | 'psf_desc' | 'psf_asc' | 'price_desc';
+/** All sales in the working set, newest first */
+export function allSales(): SalesRecord[] {
+  return salesStore;
 }
 
-export interface PaginatedResult<T> {
-  results: T[];
-  total: number;
-  page: number;
-  limit: number;
-  totalPages: number;
+/** All rental contracts in the working set, newest first */
+export function allRentals(): RentalRecord[] {
+  return rentalStore;
 }
 
-/**
- * Query sales transactions with filters, pagination, sorting.
- */
-export async function querySales(opts: SalesQueryOpts): Promise<PaginatedResult<any>> {
-  if (!env.ENABLE_DB) return querySalesInMemory(opts);
+// Per-project lists, built lazily once per published store. Keyed on the array
+// itself, so a sync (which swaps in new arrays) invalidates them for free.
+const projectIndex = new WeakMap<object, Map<string, any[]>>();
+
+function byProject<T extends { p: string }>(store: T[]): Map<string, T[]> {
+  let idx = projectIndex.get(store);
+  if (!idx) {
+    idx = new Map();
+    for (const r of store) {
+      const list = idx.get(r.p);
+      if (list) list.push(r); else idx.set(r.p, [r]);
+    }
+    projectIndex.set(store, idx);
+  }
+  return idx as Map<string, T[]>;
+}
 
-  const db = getDb();
-  const page = opts.page || 1;
-  const limit = Math.min(opts.limit || 50, 200);
-  const offset = (page - 1) * limit;
+/** Sales for one project (same order as the store) */
+export function salesForProject(name: string): SalesRecord[] {
+  return byProject(salesStore).get(name) || [];
+}
 
-  // Build WHERE conditions
-  const conditions: SQL[] = [];
-  if (opts.project) conditions.push(eq(salesTransactions.project, opts.project));
-  if (opts.district) conditions.push(eq(salesTransactions.district, opts.district));
-  if (opts.segment) conditions.push(eq(salesTransactions.marketSegment, opts.segment as any));
-  if (opts.propertyType) conditions.push(eq(salesTransactions.propertyType, opts.propertyType));
-  if (opts.tenure) conditions.push(eq(salesTransactions.tenure, opts.tenure as any));
-  if (opts.yearFrom) conditions.push(gte(salesTransactions.year, opts.yearFrom));
-  if (opts.yearTo) conditions.push(lte(salesTransactions.year, opts.yearTo));
-  if (opts.q) conditions.push(ilike(salesTransactions.project, `%${opts.q}%`));
+/** Rental contracts for one project */
+export function rentalsForProject(name: string): RentalRecord[] {
+  return byProject(rentalStore).get(name) || [];
+}
 
-  const where = conditions.length > 0 ? and(...conditions) : undefined;
+// Search indexes (search-index.ts), same WeakMap lifetime as the project lists.
+// warmSearchIndexes() builds them when a store is published so the first search
+// after a refresh doesn't pay for it. Sales bedrooms are inferred from the
+// rental-derived bedroom model, so the sales index is also rebuilt when that changes.
+const SALES_INDEX: IndexSpec<SalesRecord> = {
+  fields: {
+    district: r => r.di, segment: r => r.sg, project: r => r.p, tenure: r => r.tn, type: r => r.tp, propertyType: r => r.pt,
+    bedrooms: r => inferBedrooms(r.p, r.a).split('/'),
+  },
+  sorts: { date: r => r.d, price: r => r.pr, psf: r => r.ps, area: r => r.a, floor: r => r.fm || NaN },
+  text: [r => r.p, r => r.st],
+};
+
+const RENTAL_INDEX: IndexSpec<RentalRecord> = {
+  fields: { district: r => r.di, segment: r => r.sg, project: r => r.p, bedrooms: r => r.br },
+  sorts: { date: r => r.d, rent: r => r.rn, psf: r => r.rp, area: r => r.a },
+  text: [r => r.p, r => r.st],
+};
+
+const searchIndexes = new WeakMap<object, { index: SearchIndex<any>; dependsOn: unknown }>();
+
+function indexFor<T>(store: T[], spec: IndexSpec<T>, dependsOn: unknown = null): SearchIndex<T> {
+  let entry = searchIndexes.get(store);
+  if (!entry || entry.dependsOn !== dependsOn) {
+    entry = { index: new SearchIndex(store, spec), dependsOn };
+    searchIndexes.set(store, entry);
+  }
+  return entry.index;
+}
+
+export function salesIndex(): SearchIndex<SalesRecord> {
+  return indexFor(salesStore, SALES_INDEX, bedroomModel);
+}
+
+export function rentalIndex(): SearchIndex<RentalRecord> {
+  return indexFor(rentalStore, RENTAL_INDEX);
+}
+
+/** Build the search indexes for the current stores (called after each publish) */
+export function warmSearchIndexes(): void {
+  const t0 = Date.now();
+  salesIndex();
+  rentalIndex();
+  console.log(`🔎 Search indexes ready (${salesStore.length} sales, ${rentalStore.length} rentals, ${Date.now() - t0}ms)`);
+}
+
+// ══════════════════════════════════════════════════════
+// POSTGRESQL SYNC (ENABLE_DB)
+// ══════════════════════════════════════════════════════
+
+const INSERT_CHUNK = 1000;
+
+function quarterOf(d: string): string {
+  return `${d.slice(2, 4)}Q${Math.ceil((parseInt(d.slice(5, 7)) || 1) / 3)}`;
+}
 
-  // Sort
-  const orderMap = {
-    date_desc: desc(salesTransactions.contractDate),
-    date_asc: asc(salesTransactions.contractDate),
-    psf_desc: desc(salesTransactions.psf),
-    psf_asc: asc(salesTransactions.psf),
-    price_desc: desc(salesTransactions.price),
+/**
+ * Number identical rows 0, 1, 2… so the dedup index keeps URA's genuine repeats.
+ */
+function dupSeq<T>(keyOf: (r: T) => string): (r: T) => number {
+  const seen = new Map<string, number>();
+  return (r) => {
+    const k = keyOf(r);
+    const n = seen.get(k) || 0;
+    seen.set(k, n + 1);
+    return n;
   };
-  const orderBy = orderMap[opts.sort || 'date_desc'];
-
-  // Parallel: data + count
-  const [results, countResult] = await Promise.all([
-    db.select()
-      .from(salesTransactions)
-      .where(where)
-      .orderBy(orderBy)
-      .limit(limit)
-      .offset(offset),
-    db.select({ total: count() })
-      .from(salesTransactions)
-      .where(where),
-  ]);
+}
+
+export function toSalesRows(records: SalesRecord[]): NewSalesTransaction[] {
+  const seq = dupSeq<SalesRecord>(r => `${r.p}|${r.d}|${r.pr}|${r.a}|${r.fl}`);
+  return records.map(r => ({
+    project: r.p,
+    street: r.st,
+    district: r.di,
+    marketSegment: r.sg,
+    propertyType: r.pt,
+    tenure: r.tn,
+    leaseYears: r.ly ?? null,
+    leaseStart: r.ls ?? null,
+    areaSqft: String(r.a),
+    price: r.pr,
+    psf: String(r.ps),
+    floorRange: r.fl || null,
+    floorMid: String(r.fm || 0),
+    saleType: r.tp,
+    contractDate: r.d,
+    year: parseInt(r.d.slice(0, 4)),
+    quarter: quarterOf(r.d),
+    dupSeq: seq(r),
+  }));
+}
+
+export function toRentalRows(records: RentalRecord[]): NewRentalTransaction[] {
+  const seq = dupSeq<RentalRecord>(r => `${r.p}|${r.d}|${r.a}|${r.rn}|${r.br}`);
+  return records.map(r => ({
+    project: r.p,
+    street: r.st,
+    district: r.di,
+    marketSegment: (r.sg || null) as MarketSegment | null,
+    areaSqft: String(r.a),
+    rent: String(r.rn),
+    rentPsf: String(r.rp),
+    bedrooms: r.br || null,
+    areaBand: r.af || null,
+    leaseDate: r.d,
+    leaseCommencement: r.lc || null,
+    quarter: quarterOf(r.d),
+    noOfContracts: r.nc || 1,
+    dupSeq: seq(r),
+  }));
+}
 
-  const total = countResult[0]?.total ?? 0;
+/** Back to the compact in-memory shape (same fields toSalesRecord produces) */
+function fromSalesRow(r: SalesTransaction): SalesRecord {
+  return {
+    d: r.contractDate, p: r.project, st: r.street, di: r.district, sg: r.marketSegment,
+    a: Number(r.areaSqft), pr: r.price, ps: Number(r.psf), fl: r.floorRange || '-', fm: Number(r.floorMid) || 0,
+    tp: r.saleType!, pt: r.propertyType, tn: r.tenure,
+    ...(r.leaseYears != null && { ly: r.leaseYears }),
+    ...(r.leaseStart != null && { ls: r.leaseStart }),
+  } as SalesRecord;
+}
 
+function fromRentalRow(r: RentalTransaction): RentalRecord {
   return {
-    results: results.map(r => ({
-      date: r.contractDate,
-      project: r.project,
-      street: r.street,
-      district: r.district,
-      segment: r.marketSegment,
-      area: Number(r.areaSqft),
-      price: r.price,
-      psf: Number(r.psf),
-      floorRange: r.floorRange,
-      floorMid: r.floorMid,
-      saleType: r.saleType,
-      propertyType: r.propertyType,
-      tenure: r.tenure,
-      year: String(r.year),
-      quarter: r.quarter,
-      beds: r.bedrooms,
-    })),
-    total: Number(total),
-    page,
-    limit,
-    totalPages: Math.ceil(Number(total) / limit),
+    d: r.leaseDate, p: r.project, st: r.street, di: r.district, sg: r.marketSegment as MarketSegment,
+    a: Number(r.areaSqft), af: r.areaBand || '', br: r.bedrooms || '', rn: Number(r.rent), rp: Number(r.rentPsf),
+    nc: r.noOfContracts ?? 1, lc: r.leaseCommencement || '',
   };
 }
 
 /**
- * In-memory fallback for sales queries (existing behavior).
+ * Load the working set from PostgreSQL. Returns null when the tables are empty
+ * (fresh database) so the caller can fall back to the disk cache / URA.
  */
-function querySalesInMemory(opts: SalesQueryOpts): PaginatedResult<any> {
-  let txs = [...salesStore];
+export async function loadStoresFromDb(): Promise<{ sales: SalesRecord[]; rentals: RentalRecord[] } | null> {
+  const t0 = Date.now();
+  const stored = await readStores();
+  persisted = stored;
+  if (stored.sales.length === 0) return null;
+  console.log(`🐘 Loaded ${stored.sales.length} sales, ${stored.rentals.length} rentals from PostgreSQL (${Date.now() - t0}ms)`);
+  return stored;
+}
 
-  if (opts.q) {
-    const q = opts.q.toLowerCase();
-    txs = txs.filter(t => t.p.toLowerCase().includes(q));
-  }
-  if (opts.district) txs = txs.filter(t => t.di === opts.district);
-  if (opts.segment) txs = txs.filter(t => t.sg === opts.segment);
-  if (opts.propertyType) txs = txs.filter(t => t.pt === opts.propertyType);
-  if (opts.tenure) txs = txs.filter(t => t.tn === opts.tenure);
-
-  // Sort
-  switch (opts.sort) {
-    case 'psf_desc': txs.sort((a, b) => b.ps - a.ps); break;
-    case 'psf_asc': txs.sort((a, b) => a.ps - b.ps); break;
-    case 'price_desc': txs.sort((a, b) => b.pr - a.pr); break;
-    case 'date_asc': txs.sort((a, b) => a.d.localeCompare(b.d)); break;
-    default: txs.sort((a, b) => b.d.localeCompare(a.d));
+async function readStores(): Promise<{ sales: SalesRecord[]; rentals: RentalRecord[] }> {
+  const db = getDb();
+  const [sales, rentals] = await Promise.all([
+    db.select().from(salesTransactions).orderBy(desc(salesTransactions.contractDate), asc(salesTransactions.id)),
+    db.select().from(rentalTransactions).orderBy(desc(rentalTransactions.leaseDate), asc(rentalTransactions.id)),
+  ]);
+  return { sales: sales.map(fromSalesRow), rentals: rentals.map(fromRentalRow) };
+}
+
+/**
+ * Rows in `after` but not `before`, and the reverse. Rows compare on every
+ * column, so a record URA corrects shows up as one removed and one added.
+ */
+export function rowDelta<T>(before: T[], after: T[]): { added: T[]; removed: T[] } {
+  const sig = (r: T) => JSON.stringify(r);
+  const old = new Map(before.map(r => [sig(r), r]));
+  const added: T[] = [];
+  for (const r of after) {
+    if (!old.delete(sig(r))) added.push(r);
   }
+  return { added, removed: [...old.values()] };
+}
 
-  const page = opts.page || 1;
-  const limit = Math.min(opts.limit || 50, 200);
-  const total = txs.length;
-  const results = txs.slice((page - 1) * limit, page * limit);
+// The stores PostgreSQL holds, as of the last load or persist (null: not known
+// in this process yet, so the next persist reads them back first)
+let persisted: { sales: SalesRecord[]; rentals: RentalRecord[] } | null = null;
+let persistQueue: Promise<void> = Promise.resolve();
+
+const chunks = <T>(rows: T[]): T[][] =>
+  Array.from({ length: Math.ceil(rows.length / INSERT_CHUNK) }, (_, i) => rows.slice(i * INSERT_CHUNK, (i + 1) * INSERT_CHUNK));
+
+// Deletes match on the dedup index's columns
+function deleteSales(rows: NewSalesTransaction[]): SQL {
+  const keys = sql.join(rows.map(r => sql`(${r.project}, ${r.contractDate}, ${r.price}, ${r.areaSqft}, ${r.floorRange}, ${r.dupSeq})`), sql`, `);
+  return sql`
+    DELETE FROM sales_transactions t
+    USING (VALUES ${keys}) AS v(project, contract_date, price, area_sqft, floor_range, dup_seq)
+    WHERE t.project = v.project AND t.contract_date = v.contract_date AND t.price = v.price::bigint
+      AND t.area_sqft = v.area_sqft::numeric AND t.floor_range IS NOT DISTINCT FROM v.floor_range
+      AND t.dup_seq = v.dup_seq::smallint`;
+}
 
-  return {
-    results: results.map(t => ({
-      date: t.d, project: t.p, street: t.st, district: t.di,
-      segment: t.sg, area: t.a, price: t.pr, psf: t.ps,
-      floorRange: t.fl, floorMid: t.fm, saleType: t.tp,
-      propertyType: t.pt, tenure: t.tn, year: t.yr, quarter: t.q,
-    })),
-    total,
-    page,
-    limit,
-    totalPages: Math.ceil(total / limit),
+function deleteRentals(rows: NewRentalTransaction[]): SQL {
+  const keys = sql.join(rows.map(r => sql`(${r.project}, ${r.leaseDate}, ${r.areaSqft}, ${r.rent}, ${r.bedrooms}, ${r.dupSeq})`), sql`, `);
+  return sql`
+    DELETE FROM rental_transactions t
+    USING (VALUES ${keys}) AS v(project, lease_date, area_sqft, rent, bedrooms, dup_seq)
+    WHERE t.project = v.project AND t.lease_date = v.lease_date AND t.area_sqft = v.area_sqft::numeric
+      AND t.rent = v.rent::numeric AND t.bedrooms IS NOT DISTINCT FROM v.bedrooms
+      AND t.dup_seq = v.dup_seq::smallint`;
+}
+
+/**
+ * Write a freshly published working set to PostgreSQL: only the rows that
+ * changed since the last load or persist are deleted and inserted, and only
+ * their projects' `projects` rows are rebuilt. Runs in one transaction so
+ * readers never see a half-applied sync; overlapping calls are queued.
+ */
+export function persistStores(sales: SalesRecord[], rentals: RentalRecord[]): Promise<void> {
+  const run = async () => {
+    const t0 = Date.now();
+    const before = persisted ?? await readStores();
+    const salesDelta = rowDelta(toSalesRows(before.sales), toSalesRows(sales));
+    const rentalDelta = rowDelta(toRentalRows(before.rentals), toRentalRows(rentals));
+    const changed = [...new Set([salesDelta, rentalDelta].flatMap(d => [...d.added, ...d.removed].map(r => r.project)))];
+    if (changed.length) {
+      await getDb().transaction(async (tx) => {
+        for (const rows of chunks(salesDelta.removed)) await tx.execute(deleteSales(rows));
+        for (const rows of chunks(rentalDelta.removed)) await tx.execute(deleteRentals(rows));
+        for (const rows of chunks(salesDelta.added)) await tx.insert(salesTransactions).values(rows).onConflictDoNothing();
+        for (const rows of chunks(rentalDelta.added)) await tx.insert(rentalTransactions).values(rows).onConflictDoNothing();
+        for (const names of chunks(changed)) {
+          const inNames = sql.join(names.map(n => sql`${n}`), sql`, `);
+          await tx.execute(sql`DELETE FROM projects WHERE name IN (${inNames})`);
+          await tx.execute(sql`
+            INSERT INTO projects (name, street, district, market_segment, property_type, tenure,
+                                  tx_count, avg_psf, first_date, last_date, rental_count, updated_at)
+            SELECT s.project,
+                   MODE() WITHIN GROUP (ORDER BY s.street),
+                   MODE() WITHIN GROUP (ORDER BY s.district),
+                   MODE() WITHIN GROUP (ORDER BY s.market_segment),
+                   MODE() WITHIN GROUP (ORDER BY s.property_type),
+                   MODE() WITHIN GROUP (ORDER BY s.tenure),
+                   COUNT(*), ROUND(AVG(s.psf), 2), MIN(s.contract_date), MAX(s.contract_date),
+                   COALESCE(MAX(r.n), 0), NOW()
+            FROM sales_transactions s
+            LEFT JOIN (SELECT project, COUNT(*) AS n FROM rental_transactions
+                       WHERE project IN (${inNames}) GROUP BY project) r
+              ON r.project = s.project
+            WHERE s.project IN (${inNames})
+            GROUP BY s.project`);
+        }
+      });
+      await refreshViews();
+    }
+    persisted = { sales, rentals };
+    console.log(`🐘 Persisted +${salesDelta.added.length} / -${salesDelta.removed.length} sales, +${rentalDelta.added.length} / -${rentalDelta.removed.length} rentals to PostgreSQL (${Date.now() - t0}ms)`);
   };
+  persistQueue = persistQueue.catch(() => {}).then(run);
+  return persistQueue;
+}
+
+/** Resolves once every queued persistStores() call has finished (rejects if the last one failed) */
+export function persistSettled(): Promise<void> {
+  return persistQueue;
+}
+
+async function refreshViews(): Promise<void> {
+  const pool = getPool();
+  for (const view of ['mv_dashboard_by_year', 'mv_dashboard_by_district', 'mv_project_summary']) {
+    try {
+      await pool.query(`REFRESH MATERIALIZED VIEW CONCURRENTLY ${view}`);
+    } catch (err) {
+      console.warn(`🐘 ${view} refresh failed: ${(err as Error).message}`);
+    }
+  }
+}
+
+// ══════════════════════════════════════════════════════
+// SEARCH QUERIES (ENABLE_DB)
+// ══════════════════════════════════════════════════════
+
+// LIKE pattern for a case-insensitive substring, as the search index matches q
+const contains = (q: string) => `%${q.slice(0, 200).replace(/[\\%_]/g, c => `\\${c}`)}%`;
+
+// "<key>_<asc|desc>"; unknown keys sort newest first, like the search index.
+// Ties keep the working set's order (newest first, then load order).
+function orderOf(sort: string | undefined, cols: Record<string, AnyColumn>, date: AnyColumn, id: AnyColumn): SQL[] {
+  const [key, dir] = (sort || 'date_desc').split('_') as [string, string | undefined];
+  const col = cols[key];
+  const by = !col ? desc(date) : dir === 'asc' ? asc(col) : desc(col);
+  return col === date ? [by, asc(id)] : [by, desc(date), asc(id)];
+}
+
+/**
+ * One page of sales matching the search filters, read from sales_transactions.
+ * Takes the same options as query.ts filterSales except `bedrooms`, which is
+ * inferred from the working set's rental model and has no column to filter on.
+ */
+export async function querySales(opts: Partial<SalesSearchOpts>, offset: number, limit: number): Promise<{ total: number; records: SalesRecord[] }> {
+  const t = salesTransactions;
+  const {
+    q, project, district, segment, type, tenure, propertyType, from, to,
+    psfMin, psfMax, priceMin, priceMax, areaMin, areaMax, floorMin, floorMax,
+  } = opts;
+  const conditions: (SQL | undefined)[] = [
+    project ? eq(t.project, project) : undefined,
+    district ? inArray(t.district, district.split(',')) : undefined,
+    segment ? eq(t.marketSegment, segment as MarketSegment) : undefined,
+    type ? eq(t.saleType, type as any) : undefined,
+    tenure ? eq(t.tenure, tenure as any) : undefined,
+    propertyType ? inArray(t.propertyType, propertyType.split(',')) : undefined,
+    q ? or(ilike(t.project, contains(q)), ilike(t.street, contains(q))) : undefined,
+    from ? gte(t.contractDate, from) : undefined,
+    to ? lte(t.contractDate, to) : undefined,
+    psfMin != null ? gte(t.psf, String(psfMin)) : undefined,
+    psfMax != null ? lte(t.psf, String(psfMax)) : undefined,
+    priceMin != null ? gte(t.price, priceMin) : undefined,
+    priceMax != null ? lte(t.price, priceMax) : undefined,
+    areaMin != null ? gte(t.areaSqft, String(areaMin)) : undefined,
+    areaMax != null ? lte(t.areaSqft, String(areaMax)) : undefined,
+    // Sales without a floor band have floor_mid 0; a lone maximum must not pull them in
+    floorMin != null || floorMax != null ? gte(t.floorMid, String(floorMin ?? 1)) : undefined,
+    floorMax != null ? lte(t.floorMid, String(floorMax)) : undefined,
+  ];
+  const where = and(...conditions);
+  const order = orderOf(opts.sort, { date: t.contractDate, price: t.price, psf: t.psf, area: t.areaSqft, floor: t.floorMid }, t.contractDate, t.id);
+
+  const db = getDb();
+  const [rows, [counted]] = await Promise.all([
+    db.select().from(t).where(where).orderBy(...order).limit(limit).offset(offset),
+    db.select({ total: count() }).from(t).where(where),
+  ]);
+  return { total: Number(counted?.total ?? 0), records: rows.map(fromSalesRow) };
+}
+
+/** One page of rental contracts matching the search filters (see query.ts filterRental) */
+export async function queryRentals(opts: Partial<RentalSearchOpts>, offset: number, limit: number): Promise<{ total: number; records: RentalRecord[] }> {
+  const t = rentalTransactions;
+  const { q, project, district, segment, bedrooms, areaSqft = '' } = opts;
+  const [lo, hi] = areaSqft.split('-').map(Number);
+  const conditions: (SQL | undefined)[] = [
+    project ? eq(t.project, project) : undefined,
+    district ? inArray(t.district, district.split(',')) : undefined,
+    segment ? eq(t.marketSegment, segment as MarketSegment) : undefined,
+    bedrooms ? eq(t.bedrooms, bedrooms) : undefined,
+    q ? or(ilike(t.project, contains(q)), ilike(t.street, contains(q))) : undefined,
+    ...(lo! >= 0 && hi! > 0 ? [gte(t.areaSqft, String(lo)), lt(t.areaSqft, String(hi))] : []),
+  ];
+  const where = and(...conditions);
+  const order = orderOf(opts.sort, { date: t.leaseDate, rent: t.rent, psf: t.rentPsf, area: t.areaSqft }, t.leaseDate, t.id);
+
+  const db = getDb();
+  const [rows, [counted]] = await Promise.all([
+    db.select().from(t).where(where).orderBy(...order).limit(limit).offset(offset),
+    db.select({ total: count() }).from(t).where(where),
+  ]);
+  return { total: Number(counted?.total ?? 0), records: rows.map(fromRentalRow) };
 }
 
 // ══════════════════════════════════════════════════════
@@ -214,111 +465,17 @@ export async function getFilterOptions(): Promise<FilterOptions> {
 // ══════════════════════════════════════════════════════
 
 /**
- * Get all user data for a given user. DB or localStorage fallback.
+ * Get all user data for a given user (user_data table or JSON file, see userStore.ts).
  */
 export async function getUserData(userId: string): Promise<UserData> {
-  if (!env.ENABLE_DB) {
-    // Fallback to existing file-based userStore
-    const { getUser } = await import('./userStore.ts');
-    return getUser(userId);
-  }
-
-  const db = getDb();
-  const [holdings, searches, reports] = await Promise.all([
-    db.select().from(portfolioHoldings).where(eq(portfolioHoldings.userId, userId)),
-    db.select().from(savedSearches).where(eq(savedSearches.userId, userId)),
-    db.select().from(clientReports).where(eq(clientReports.userId, userId)),
-  ]);
-
-  return {
-    portfolio: holdings.map(h => ({
-      projectName: h.project,
-      purchaseDate: h.purchaseDate || '',
-      purchasePsf: Number(h.purchasePsf),
-      area: Number(h.unitSize),
-      floorRange: h.floor || undefined,
-      notes: h.notes || undefined,
-    })),
-    savedSearches: searches.map(s => ({
-      id: s.id,
-      name: s.name,
-      filters: s.filters as any,
-      createdAt: s.createdAt?.toISOString() || '',
-    })),
-    clientReports: reports.map(r => ({
-      id: r.id,
-      clientName: r.clientName,
-      projectName: r.project,
-      createdAt: r.createdAt?.toISOString() || '',
-      unitConfig: (r.unitConfig as any) || { area: 0 },
-      sections: (r.sections as any) || {},
-      notes: r.notes || undefined,
-      snapshot: (r.reportData as any) || {},
-    })),
-  };
+  return getUser(userId);
 }
 
 /**
- * Save user data (portfolio, searches, reports).
+ * Save user data (portfolio, searches, reports, watchlist).
  */
-export async function saveUserData(userId: string, data: Partial<UserData>): Promise<void> {
-  if (!env.ENABLE_DB) {
-    const { saveUser } = await import('./userStore.ts');
-    saveUser(userId, data);
-    return;
-  }
-
-  const db = getDb();
-
-  // Portfolio: delete all + re-insert (simpler than diff for small datasets)
-  if (data.portfolio) {
-    await db.delete(portfolioHoldings).where(eq(portfolioHoldings.userId, userId));
-    if (data.portfolio.length > 0) {
-      await db.insert(portfolioHoldings).values(
-        data.portfolio.map(p => ({
-          userId,
-          project: p.projectName,
-          unitSize: String(p.area),
-          purchasePsf: String(p.purchasePsf),
-          purchaseDate: p.purchaseDate,
-          floor: p.floorRange || null,
-          notes: p.notes || null,
-        }))
-      );
-    }
-  }
-
-  // Saved searches
-  if (data.savedSearches) {
-    await db.delete(savedSearches).where(eq(savedSearches.userId, userId));
-    if (data.savedSearches.length > 0) {
-      await db.insert(savedSearches).values(
-        data.savedSearches.map(s => ({
-          userId,
-          name: s.name,
-          filters: s.filters,
-        }))
-      );
-    }
-  }
-
-  // Client reports
-  if (data.clientReports) {
-    await db.delete(clientReports).where(eq(clientReports.userId, userId));
-    if (data.clientReports.length > 0) {
-      await db.insert(clientReports).values(
-        data.clientReports.map(r => ({
-          userId,
-          clientName: r.clientName,
-          project: r.projectName,
-          unitConfig: r.unitConfig,
-          sections: r.sections,
-          notes: r.notes || null,
-          reportData: r.snapshot,
-        }))
-      );
-    }
-  }
+export async function saveUserData(userId: string, data: Partial<UserData>): Promise<UserData> {
+  return saveUser(userId, data);
 }
 
 // ══════════════════════════════════════════════════════
@@ -330,8 +487,7 @@ export async function saveUserData(userId: string, data: Partial<UserData>): Pro
  */
 export async function getProjectSales(projectName: string): Promise<any[]> {
   if (!env.ENABLE_DB) {
-    return salesStore
-      .filter(t => t.p === projectName)
+    return salesForProject(projectName)
       .map(t => ({
         date: t.d, price: t.pr, psf: t.ps, area: t.a,
         floorRange: t.fl, floorMid: t.fm, saleType: t.tp,
@@ -351,7 +507,7 @@ export async function getProjectSales(projectName: string): Promise<any[]> {
     psf: Number(r.psf),
     area: Number(r.areaSqft),
     floorRange: r.floorRange,
-    floorMid: r.floorMid,
+    floorMid: Number(r.floorMid),
     saleType: r.saleType,
     tenure: r.tenure,
     type: r.propertyType,
@@ -365,8 +521,7 @@ export async function getProjectSales(projectName: string): Promise<any[]> {
  */
 export async function getProjectRentals(projectName: string): Promise<any[]> {
   if (!env.ENABLE_DB) {
-    return rentalStore
-      .filter(t => t.p === projectName)
+    return rentalsForProject(projectName)
       .map(t => ({
         date: t.d, rent: t.rn, rentPsf: t.rp, area: t.a,
         bedrooms: t.br, contracts: t.nc,
@@ -1,68 +1,99 @@
 /**
  * dashboard.js — Dashboard build, init, rental data fetch, cache management
  * Extracted from uraService.js lines 845-1130
+ *
+ * Two refresh modes:
+ *   full        — refetch all four sales batches + four rental quarters, rebuild stores
+ *   incremental — each sales batch that comes back replaces its projects' records
+ *                 (so corrections and withdrawals land); new transactions are folded
+ *                 into the existing aggregates, which are rebuilt only when a record
+ *                 was dropped. Rental quarters URA is still revising are refetched.
+ * Either way the live stores are swapped in only once the new data is ready,
+ * so search keeps serving the previous data while a refresh runs.
  */
-import { saveToDisk, loadFromDisk, getCacheStatus, writeSnapshot } from './cache.ts';
+import { saveToDisk, loadFromDisk, loadProjectLocations, getCacheStatus, writeSnapshot, archiveGeneration, listSnapshots } from './cache.ts';
 import { fetchBatch, fetchRental, getTokenInfo } from './ura-client.ts';
-import { parseDate, avg, med, safeDiv, sleep } from './helpers.ts';
-import { Agg } from './aggregator.ts';
+import { parseDate, avg, med, safeDiv, sleep, salesKey, rentalKey, keyCounts, consumeKey } from './helpers.ts';
+import { Agg, toSalesRecord } from './aggregator.ts';
+import { parseLocation } from './geo.ts';
 import { buildBedroomModel } from './bedroom.ts';
+import { evaluateAlerts } from './alerts.ts';
+import { loadStoresFromDb, persistStores, warmSearchIndexes } from './dal.ts';
+import { env } from '../config/env.ts';
+import { ApiError } from '../shared/api.ts';
 import {
-  dashboardCache, cacheTime, CACHE_TTL_MS, projectBatchMap, projectCache,
+  dashboardCache, cacheTime, CACHE_TTL_MS, projectBatchMap, projectLocations, projectCache,
   salesStore, rentalStore, projYearData,
   MAX_SALES_RECORDS, MAX_RENTAL_RECORDS,
-  setDashboardCache, setCacheTime, setProjectBatchMap,
+  setDashboardCache, setCacheTime, setProjectBatchMap, setProjectLocations,
   setSalesStore, setRentalStore, setProjYearData,
 } from './state.ts';
 
-import type { RentalAggData, DashboardData, CacheInfo, RentalRecord } from '../types.ts';
+import type { RentalAggData, DashboardData, CacheInfo, RentalRecord, SalesRecord, UraProject, ProjectLocation } from '../types.ts';
 
 // ═══ FETCH & AGGREGATE REAL RENTAL DATA ═══
 
-export async function fetchRentalData(): Promise<RentalAggData | null> {
-  console.log('🏠 Fetching rental data...');
-  const byProject = {};
-  const byDist = {};
-  const bySeg = {};
-  const byQtr = {};
-  let totalRent = 0, totalRentPsf = 0, totalCount = 0;
-  const allRents = [];
-
-  // Build project→segment lookup from sales data
-  const projSegLookup = {};
-  for (const s of salesStore) {
-    if (!projSegLookup[s.p]) projSegLookup[s.p] = s.sg;
-  }
+const RENTAL_QUARTERS = 4;
+// URA keeps revising the latest quarters as contracts are lodged — always refetch these
+const RENTAL_REVISION_QUARTERS = 2;
 
-  // Generate recent quarter keys (last 4 quarters)
+/** Last `n` rental reference periods, newest first (e.g. ["26q3", "26q2", ...]) */
+export function recentRentalQuarters(n: number = RENTAL_QUARTERS): string[] {
   const now = new Date();
   const curY = now.getFullYear() % 100;
   const curQ = Math.ceil((now.getMonth() + 1) / 3);
-  const quarters = [];
-  for (let i = 0; i < 4; i++) {
+  const quarters: string[] = [];
+  for (let i = 0; i < n; i++) {
     let qy = curY, qq = curQ - i;
     while (qq <= 0) { qq += 4; qy--; }
     quarters.push(`${String(qy).padStart(2, '0')}q${qq}`);
   }
+  return quarters;
+}
 
-  for (const refPeriod of quarters) {
+/** Rental reference period of a stored record ("2026-08" → "26q3") */
+function rentalQuarter(d: string): string {
+  return `${d.slice(2, 4)}q${Math.ceil(parseInt(d.slice(5, 7)) / 3)}`;
+}
+
+/**
+ * Fetch rental contracts for the given reference periods as flat RentalRecords.
+ * `sales` supplies the project → segment lookup (URA rental rows often omit it).
+ * A failed quarter is logged and skipped.
+ */
+export async function fetchRentalRecords(
+  quarters: string[], sales: SalesRecord[] = salesStore,
+  onQuarter?: (refPeriod: string, index: number) => void,
+): Promise<RentalRecord[]> {
+  console.log(`🏠 Fetching rental data (${quarters.join(', ')})...`);
+  const records: RentalRecord[] = [];
+
+  // Build project→segment lookup from sales data
+  const projSegLookup: Record<string, string> = {};
+  for (const s of sales) {
+    if (!projSegLookup[s.p]) projSegLookup[s.p] = s.sg;
+  }
+
+  for (const [i, refPeriod] of quarters.entries()) {
+    onQuarter?.(refPeriod, i);
     try {
-      const projects = await fetchRental(refPeriod);
+      const projects = await fetchRental(refPeriod) as any[];
       console.log(`  📥 Rental ${refPeriod}: ${projects.length} projects`);
       for (const p of projects) {
         const name = p.project || '';
         const seg = projSegLookup[name] || (p.marketSegment || 'RCR').toUpperCase();
-        const dist = `D${parseInt(p.district) || 0}`;
         const rentals = p.rental || [];
 
         for (const r of rentals) {
+          // URA puts the district on each contract, not on the project
+          const dist = `D${parseInt(r.district ?? p.district) || 0}`;
           const sqftStr = r.areaSqft || '';
-          const sqftParts = sqftStr.split('-').map(v => parseFloat(v) || 0);
+          const sqftParts = sqftStr.split('-').map((v: string) => parseFloat(v) || 0);
           let areaSqf = sqftParts.length === 2 && sqftParts[0] > 0
             ? Math.round((sqftParts[0] + sqftParts[1]) / 2) : 0;
           if (areaSqf <= 0) {
             const sqmParts = String(r.areaSqm || '').split('-').map(v => parseFloat(v) || 0);
-            const areaSqm = sqmParts.length === 2 ? (sqmParts[0] + sqmParts[1]) / 2 : sqmParts[0] || 0;
+            const areaSqm = sqmParts.length === 2 ? (sqmParts[0]! + sqmParts[1]!) / 2 : sqmParts[0] || 0;
             areaSqf = Math.round(areaSqm * 10.7639);
           }
           const monthlyRent = parseFloat(r.rent) || 0;
@@ -79,39 +110,54 @@ export async function fetchRentalData(): Promise<RentalAggData | null> {
             return `${fy}-${String(fm).padStart(2, '0')}`;
           })();
           const rentalDate = ld ? `${ld.year}-${String(ld.month).padStart(2, '0')}` : fallbackDate;
-          const rentalQtr = ld ? ld.quarter.replace('Q', 'q') : refPeriod;
           const rentPsf = +(monthlyRent / areaSqf).toFixed(2);
 
-          totalRent += monthlyRent; totalRentPsf += rentPsf; totalCount++;
-          if (allRents.length < 5000) allRents.push(monthlyRent);
-          else { const j = Math.floor(Math.random() * totalCount); if (j < 5000) allRents[j] = monthlyRent; }
-
-          if (!byProject[name]) byProject[name] = { totalRent: 0, totalPsf: 0, count: 0, seg, dist };
-          byProject[name].totalRent += monthlyRent; byProject[name].totalPsf += rentPsf; byProject[name].count++;
-
-          if (!byDist[dist]) byDist[dist] = { totalRent: 0, totalPsf: 0, count: 0, byQ: {} };
-          byDist[dist].totalRent += monthlyRent; byDist[dist].totalPsf += rentPsf; byDist[dist].count++;
-          if (!byDist[dist].byQ[rentalQtr]) byDist[dist].byQ[rentalQtr] = { totalPsf: 0, count: 0 };
-          byDist[dist].byQ[rentalQtr].totalPsf += rentPsf; byDist[dist].byQ[rentalQtr].count++;
-
-          if (!bySeg[seg]) bySeg[seg] = { totalRent: 0, totalPsf: 0, count: 0 };
-          bySeg[seg].totalRent += monthlyRent; bySeg[seg].totalPsf += rentPsf; bySeg[seg].count++;
-
-          if (!byQtr[rentalQtr]) byQtr[rentalQtr] = { totalRent: 0, totalMed: [], count: 0 };
-          byQtr[rentalQtr].totalRent += monthlyRent; byQtr[rentalQtr].totalMed.push(monthlyRent); byQtr[rentalQtr].count++;
-
-          const fmtRange = sqftStr ? sqftStr.split('-').map(v => parseInt(v).toLocaleString()).join(' - ') : `${areaSqf.toLocaleString()}`;
-          rentalStore.push({
-            d: rentalDate, p: name, st: p.street || '', di: dist, sg: seg,
+          const fmtRange = sqftStr ? sqftStr.split('-').map((v: string) => parseInt(v).toLocaleString()).join(' - ') : `${areaSqf.toLocaleString()}`;
+          records.push({
+            d: rentalDate, p: name, st: p.street || '', di: dist, sg: seg as RentalRecord['sg'],
             a: areaSqf, af: fmtRange, br: bedrooms, rn: monthlyRent, rp: rentPsf,
             nc: numContracts, lc: r.leaseDate || '',
           });
         }
       }
     } catch (err) {
-      console.warn(`  ⚠️ Rental ${refPeriod}: ${err.message}`);
+      console.warn(`  ⚠️ Rental ${refPeriod}: ${(err as Error).message}`);
     }
   }
+  return records;
+}
+
+/** Aggregate rental records by project, district, segment and quarter. Returns null when there are none. */
+export function aggregateRentals(records: RentalRecord[]): RentalAggData | null {
+  const byProject = {};
+  const byDist = {};
+  const bySeg = {};
+  const byQtr = {};
+  let totalRent = 0, totalRentPsf = 0, totalCount = 0;
+  const allRents = [];
+
+  for (const r of records) {
+    const { p: name, di: dist, sg: seg, rn: monthlyRent, rp: rentPsf } = r;
+    const rentalQtr = rentalQuarter(r.d);
+
+    totalRent += monthlyRent; totalRentPsf += rentPsf; totalCount++;
+    if (allRents.length < 5000) allRents.push(monthlyRent);
+    else { const j = Math.floor(Math.random() * totalCount); if (j < 5000) allRents[j] = monthlyRent; }
+
+    if (!byProject[name]) byProject[name] = { totalRent: 0, totalPsf: 0, count: 0, seg, dist };
+    byProject[name].totalRent += monthlyRent; byProject[name].totalPsf += rentPsf; byProject[name].count++;
+
+    if (!byDist[dist]) byDist[dist] = { totalRent: 0, totalPsf: 0, count: 0, byQ: {} };
+    byDist[dist].totalRent += monthlyRent; byDist[dist].totalPsf += rentPsf; byDist[dist].count++;
+    if (!byDist[dist].byQ[rentalQtr]) byDist[dist].byQ[rentalQtr] = { totalPsf: 0, count: 0 };
+    byDist[dist].byQ[rentalQtr].totalPsf += rentPsf; byDist[dist].byQ[rentalQtr].count++;
+
+    if (!bySeg[seg]) bySeg[seg] = { totalRent: 0, totalPsf: 0, count: 0 };
+    bySeg[seg].totalRent += monthlyRent; bySeg[seg].totalPsf += rentPsf; bySeg[seg].count++;
+
+    if (!byQtr[rentalQtr]) byQtr[rentalQtr] = { totalRent: 0, totalMed: [], count: 0 };
+    byQtr[rentalQtr].totalRent += monthlyRent; byQtr[rentalQtr].totalMed.push(monthlyRent); byQtr[rentalQtr].count++;
+  }
 
   if (totalCount === 0) {
     console.log('⚠️ No rental data fetched');
@@ -138,71 +184,248 @@ export async function fetchRentalData(): Promise<RentalAggData | null> {
 
 // ═══ BUILD ═══
 
+export interface BuildOptions {
+  /** Diff against the current stores instead of rebuilding (falls back to full when stores are empty) */
+  incremental?: boolean;
+  /** Called as each URA batch / rental quarter is fetched (ingestion job progress) */
+  onProgress?: (p: BuildProgress) => void;
+}
+
+/** Sales batches cover 0-60%, rental quarters 60-90%, publishing the rest ('done' comes from the job runner) */
+export interface BuildProgress {
+  step: 'sales' | 'rental' | 'publish' | 'done';
+  pct: number;
+  message: string;
+}
+
+const SALES_PCT = 60;
+const RENTAL_PCT = 30;
+const SALES_BATCHES = 4;
+
+function _salesProgress(onProgress: BuildOptions['onProgress']) {
+  return (batch: number) => onProgress?.({
+    step: 'sales', pct: Math.round(((batch - 1) / SALES_BATCHES) * SALES_PCT),
+    message: `Fetching sales batch ${batch}/${SALES_BATCHES}`,
+  });
+}
+
+function _rentalProgress(onProgress: BuildOptions['onProgress'], quarters: string[]) {
+  return (refPeriod: string, i: number) => onProgress?.({
+    step: 'rental', pct: SALES_PCT + Math.round((i / quarters.length) * RENTAL_PCT),
+    message: `Fetching rental ${refPeriod} (${i + 1}/${quarters.length})`,
+  });
+}
+
+export interface SyncSummary {
+  mode: 'full' | 'incremental';
+  completedAt: string;
+  durationMs: number;
+  salesTotal: number;
+  rentalTotal: number;
+  newSales: number;
+  /** Stored sales a refetched batch no longer has (withdrawn, or replaced by a correction) */
+  removedSales: number;
+  newRentals: number;
+  failedBatches: number[];
+  rentalQuarters: string[];
+  // Affected keys (incremental only — a full build touches everything)
+  projects: string[];
+  districts: string[];
+  quarters: string[];
+}
+
 let _refreshLock = null;
+let _lastSync: SyncSummary | null = null;
+// Aggregates matching the current salesStore; reused by incremental builds
+let _agg: Agg | null = null;
 
-export async function buildDashboardData(force: boolean = false): Promise<DashboardData> {
+/** Summary of the most recent successful build (null until one completes) */
+export function getLastSync(): SyncSummary | null {
+  return _lastSync;
+}
+
+export async function buildDashboardData(force: boolean = false, opts: BuildOptions = {}): Promise<DashboardData> {
   if (!force && dashboardCache && cacheTime && (Date.now() - cacheTime < CACHE_TTL_MS)) {
     return dashboardCache;
   }
+  // With a separate ingestion worker the API process never calls URA itself
+  if (!force && !dashboardCache && env.ENABLE_WORKER) {
+    throw new ApiError('Data is still loading — try again shortly', 'DATA_LOADING', 503);
+  }
   if (_refreshLock) {
     console.log('⏳ Refresh already in progress — waiting for it to complete...');
     return _refreshLock;
   }
-  _refreshLock = _doBuildDashboardData(force);
+  _refreshLock = opts.incremental && salesStore.length > 0
+    ? _doIncrementalBuild(opts.onProgress)
+    : _doBuildDashboardData(force, opts.onProgress);
   try { return await _refreshLock; }
   finally { _refreshLock = null; }
 }
 
-async function _doBuildDashboardData(force) {
-  console.log('🔄 Building dashboard from URA API...');
-  setSalesStore([]);
-  setRentalStore([]);
-  const agg = new Agg();
-
-  for (let batch = 1; batch <= 4; batch++) {
+/** Fetch all four sales batches with retry. Returns the batch numbers that failed. */
+async function _fetchSalesBatches(
+  onBatch: (projects: UraProject[], batch: number) => void,
+  onFetch?: (batch: number) => void,
+): Promise<number[]> {
+  const failed: number[] = [];
+  for (let batch = 1; batch <= SALES_BATCHES; batch++) {
+    onFetch?.(batch);
     let success = false;
     for (let attempt = 1; attempt <= 3 && !success; attempt++) {
       try {
         console.log(`📥 Batch ${batch}${attempt > 1 ? ` (retry ${attempt}/3)` : ''}...`);
         const projects = await fetchBatch('PMI_Resi_Transaction', batch);
         console.log(`✅ Batch ${batch}: ${projects.length} projects`);
-        for (const p of projects) agg.add(p, batch);
+        onBatch(projects, batch);
         success = true;
       } catch (err) {
-        console.error(`❌ Batch ${batch} attempt ${attempt}:`, err.message);
+        console.error(`❌ Batch ${batch} attempt ${attempt}:`, (err as Error).message);
         if (attempt < 3) {
           const delay = Math.min(2000 * Math.pow(2, attempt - 1), 16000);
           console.log(`   ⏳ Retrying batch ${batch} in ${delay}ms...`);
           await sleep(delay);
         } else {
           console.error(`   ❌ Batch ${batch} FAILED after 3 attempts — data will be incomplete`);
+          failed.push(batch);
         }
       }
     }
   }
+  return failed;
+}
+
+async function _doBuildDashboardData(force, onProgress?: BuildOptions['onProgress']) {
+  console.log('🔄 Building dashboard from URA API...');
+  const t0 = Date.now();
+  const agg = new Agg();
+  const failedBatches = await _fetchSalesBatches((projects, batch) => {
+    for (const p of projects) agg.add(p, batch);
+  }, _salesProgress(onProgress));
+
+  const rentalQuarters = recentRentalQuarters();
+  let rentals: RentalRecord[] = [];
+  try { rentals = await fetchRentalRecords(rentalQuarters, agg.records, _rentalProgress(onProgress, rentalQuarters)); }
+  catch (err) { console.error('❌ Rental fetch failed:', (err as Error).message); }
+
+  onProgress?.({ step: 'publish', pct: SALES_PCT + RENTAL_PCT, message: 'Aggregating and saving' });
+  return _publish(agg, agg.records, rentals, agg.locations, {
+    mode: 'full', t0, failedBatches, rentalQuarters,
+    newSales: agg.records.length, removedSales: 0, newRentals: rentals.length,
+    projects: [], districts: [], quarters: [],
+  });
+}
 
-  let rentalData = null;
-  try { rentalData = await fetchRentalData(); }
-  catch (err) { console.error('❌ Rental fetch failed:', err.message); }
+async function _doIncrementalBuild(onProgress?: BuildOptions['onProgress']): Promise<DashboardData> {
+  console.log('🔄 Incremental sync from URA API...');
+  const t0 = Date.now();
+
+  // ── Sales: every batch that came back replaces its projects' slice of the store ──
+  // (a corrected price or area comes back as a new record, a withdrawn one not at all)
+  const prevBatch: Record<string, unknown> = { ...projectBatchMap };
+  const fetched = new Map<number, SalesRecord[]>();
+  const fetchedProjects = new Set<string>();
+  const locations = { ...projectLocations };
+  const failedBatches = await _fetchSalesBatches((projects, batch) => {
+    const records: SalesRecord[] = [];
+    for (const p of projects) {
+      const name = p.project || 'Unknown';
+      projectBatchMap[name] = batch;
+      fetchedProjects.add(name);
+      const loc = parseLocation(p.x, p.y);
+      if (loc) locations[name] = loc;
+      for (const tx of p.transaction || []) {
+        const r = toSalesRecord(p, tx);
+        if (r) records.push(r);
+      }
+    }
+    fetched.set(batch, records);
+  }, _salesProgress(onProgress));
+
+  const replaced = (r: SalesRecord) => fetchedProjects.has(r.p) || fetched.has(prevBatch[r.p] as number);
+  const incoming = [...fetched.values()].flat();
+  const sales = salesStore.filter(r => !replaced(r)).concat(incoming);
+
+  // What changed: records in the new slices but not the old, and the other way round
+  const before = keyCounts(salesStore.filter(replaced), salesKey);
+  const fresh = incoming.filter(r => !consumeKey(before, salesKey(r)));
+  const after = keyCounts(incoming, salesKey);
+  const removed = salesStore.filter(replaced).filter(r => !consumeKey(after, salesKey(r)));
+
+  // Buckets only add up, so anything dropped means rebuilding them from the new store.
+  // Taken out of _agg while mutating so a failed build can't leave it half-updated.
+  let agg: Agg;
+  if (removed.length || !_agg) {
+    agg = _aggFromStore(sales);
+  } else {
+    agg = _agg;
+    for (const r of fresh) agg.addRecord(r);
+  }
+  _agg = null;
+
+  // ── Rental: refetch missing + still-revising quarters, drop quarters that aged out ──
+  const rentalQuarters = recentRentalQuarters();
+  const haveQ = new Set(rentalStore.map(r => rentalQuarter(r.d)));
+  const toFetch = rentalQuarters.filter((q, i) => i < RENTAL_REVISION_QUARTERS || !haveQ.has(q));
+  const kept = rentalStore.filter(r => rentalQuarters.includes(rentalQuarter(r.d)));
+  let newRentals: RentalRecord[] = [];
+  try {
+    const fetched = await fetchRentalRecords(toFetch, sales, _rentalProgress(onProgress, toFetch));
+    const seenR = keyCounts(kept, rentalKey);
+    newRentals = fetched.filter(r => !consumeKey(seenR, rentalKey(r)));
+  } catch (err) { console.error('❌ Rental fetch failed:', (err as Error).message); }
+  const rentals = kept.concat(newRentals);
+
+  const projects = new Set<string>(), districts = new Set<string>(), quarters = new Set<string>();
+  for (const r of [...fresh, ...removed]) { projects.add(r.p); districts.add(r.di); quarters.add(`${r.d.slice(2, 4)}Q${Math.ceil(parseInt(r.d.slice(5, 7)) / 3)}`); }
+  for (const r of newRentals) { projects.add(r.p); districts.add(r.di); }
+  console.log(`🧮 Incremental: +${fresh.length} / -${removed.length} sales, +${newRentals.length} rentals (${projects.size} projects, ${districts.size} districts affected)`);
+  onProgress?.({ step: 'publish', pct: SALES_PCT + RENTAL_PCT, message: 'Aggregating and saving' });
+
+  return _publish(agg, sales, rentals, locations, {
+    mode: 'incremental', t0, failedBatches, rentalQuarters: toFetch,
+    newSales: fresh.length, removedSales: removed.length, newRentals: newRentals.length,
+    projects: [...projects].sort(), districts: [...districts].sort(), quarters: [...quarters].sort(),
+  });
+}
 
+/** Rebuild aggregates from already-parsed records (e.g. after booting from disk cache). */
+function _aggFromStore(records: SalesRecord[]): Agg {
+  const agg = new Agg();
+  for (const r of records) agg.addRecord(r);
+  return agg;
+}
+
+/** Swap the new stores in, rebuild dashboard output, persist to disk (and PostgreSQL). */
+function _publish(
+  agg: Agg, sales: SalesRecord[], rentals: RentalRecord[], locations: Record<string, ProjectLocation>,
+  sync: Omit<SyncSummary, 'completedAt' | 'durationMs' | 'salesTotal' | 'rentalTotal'> & { t0: number },
+): DashboardData {
   // Sort transaction stores by date (newest first)
-  salesStore.sort((a, b) => b.d.localeCompare(a.d));
-  rentalStore.sort((a, b) => b.d.localeCompare(a.d));
+  sales.sort((a, b) => b.d.localeCompare(a.d));
+  rentals.sort((a, b) => b.d.localeCompare(a.d));
 
   // FIX #6: Enforce memory bounds
-  if (salesStore.length > MAX_SALES_RECORDS) {
-    console.warn(`⚠️ salesStore exceeds cap (${salesStore.length} > ${MAX_SALES_RECORDS}), trimming`);
-    setSalesStore(salesStore.slice(0, MAX_SALES_RECORDS));
+  if (sales.length > MAX_SALES_RECORDS) {
+    console.warn(`⚠️ salesStore exceeds cap (${sales.length} > ${MAX_SALES_RECORDS}), trimming`);
+    sales = sales.slice(0, MAX_SALES_RECORDS);
   }
-  if (rentalStore.length > MAX_RENTAL_RECORDS) {
-    console.warn(`⚠️ rentalStore exceeds cap (${rentalStore.length} > ${MAX_RENTAL_RECORDS}), trimming`);
-    setRentalStore(rentalStore.slice(0, MAX_RENTAL_RECORDS));
+  if (rentals.length > MAX_RENTAL_RECORDS) {
+    console.warn(`⚠️ rentalStore exceeds cap (${rentals.length} > ${MAX_RENTAL_RECORDS}), trimming`);
+    rentals = rentals.slice(0, MAX_RENTAL_RECORDS);
   }
 
+  const prevSales = salesStore;
+  setSalesStore(sales);
+  setRentalStore(rentals);
+  setProjectLocations(locations);
   if (rentalStore.length > 0) buildBedroomModel();
+  warmSearchIndexes();
 
   console.log(`📊 ${agg.total} sales, ${salesStore.length} stored, ${rentalStore.length} rental records`);
+  const rentalData = aggregateRentals(rentalStore);
   const result = agg.build(rentalData);
+  _agg = agg;
 
   // Extract internal projYearData and update state
   const { _projYearData, ...dashboardData } = result;
@@ -211,37 +434,115 @@ async function _doBuildDashboardData(force) {
   setDashboardCache(dashboardData);
   dashboardCache.lastUpdated = new Date().toISOString();
   setCacheTime(Date.now());
-  projectCache.clear();
+  if (sync.mode === 'incremental') {
+    for (const name of sync.projects) projectCache.delete(name);
+  } else {
+    projectCache.clear();
+  }
   console.log(`✅ Dashboard ready (${Math.round(JSON.stringify(dashboardCache).length / 1024)}KB, rental: ${dashboardCache.hasRealRental ? 'REAL' : 'ESTIMATED'})`);
 
+  const { t0, ...summary } = sync;
+  _lastSync = {
+    ...summary,
+    completedAt: dashboardCache.lastUpdated,
+    durationMs: Date.now() - t0,
+    salesTotal: salesStore.length,
+    rentalTotal: rentalStore.length,
+  };
+
   try {
-    saveToDisk(dashboardCache, salesStore, rentalStore, projectBatchMap);
+    saveToDisk(dashboardCache, salesStore, rentalStore, projectBatchMap, projectLocations);
     writeSnapshot(dashboardCache);
+    archiveGeneration({ mode: sync.mode, totalTx: dashboardCache?.totalTx });
   } catch (err) {
-    console.error('💾 Disk save failed:', err.message);
+    console.error('💾 Disk save failed:', (err as Error).message);
   }
 
+  if (env.ENABLE_DB) {
+    persistStores(salesStore, rentalStore)
+      .catch(err => console.error('🐘 PostgreSQL save failed:', (err as Error).message));
+  }
+
+  evaluateAlerts({ prevSales, sales: salesStore })
+    .catch(err => console.error('🔔 Alert evaluation failed:', (err as Error).message));
+
   return dashboardCache;
 }
 
-export async function initDashboard(): Promise<void> {
+/** Serve stores loaded from PostgreSQL: rebuild the dashboard without persisting or alerting. */
+function _serveStores(sales: SalesRecord[], rentals: RentalRecord[]): void {
+  const agg = _aggFromStore(sales);
+  setSalesStore(sales);
+  setRentalStore(rentals);
+  setProjectLocations(loadProjectLocations());
+  if (rentalStore.length > 0) buildBedroomModel();
+  warmSearchIndexes();
+  const { _projYearData, ...dashboardData } = agg.build(aggregateRentals(rentalStore));
+  if (_projYearData) setProjYearData(_projYearData);
+  _agg = agg;
+  setDashboardCache(dashboardData as DashboardData);
+  dashboardCache!.lastUpdated = new Date().toISOString();
+  setCacheTime(Date.now());
+  projectCache.clear();
+}
+
+/**
+ * Load the last published stores — PostgreSQL first when enabled, then the disk
+ * cache — without calling URA. Returns false when neither has any data.
+ */
+async function _loadStored(): Promise<boolean> {
+  if (env.ENABLE_DB) {
+    try {
+      const stored = await loadStoresFromDb();
+      if (stored) {
+        _serveStores(stored.sales, stored.rentals);
+        console.log(`🚀 Serving from PostgreSQL (${salesStore.length} sales, ${rentalStore.length} rentals)`);
+        writeSnapshot(dashboardCache);
+        return true;
+      }
+      console.log('🐘 PostgreSQL has no transactions yet — seeding it from this load');
+    } catch (err) {
+      console.error('🐘 PostgreSQL load failed, falling back to disk cache:', (err as Error).message);
+    }
+  }
+
   const cached = loadFromDisk();
-  if (cached) {
-    setDashboardCache(cached.dashboard);
-    setSalesStore(cached.salesStore);
-    setRentalStore(cached.rentalStore);
-    setProjectBatchMap(cached.batchMap);
-    setCacheTime(Date.now());
-    _rebuildProjYearData();
-    if (rentalStore.length > 0) buildBedroomModel();
-    console.log(`🚀 Serving from disk cache (${cached.ageMinutes}min old, ${cached.salesStore.length} sales, ${cached.rentalStore.length} rentals)`);
-    console.log(`   Refresh manually via POST /api/refresh when you want fresh URA data.`);
-    writeSnapshot(dashboardCache);
-    return true;
+  if (!cached) return false;
+  setDashboardCache(cached.dashboard);
+  setSalesStore(cached.salesStore);
+  setRentalStore(cached.rentalStore);
+  setProjectBatchMap(cached.batchMap);
+  setProjectLocations(cached.locations);
+  setCacheTime(Date.now());
+  _agg = null;
+  projectCache.clear();
+  _rebuildProjYearData();
+  if (rentalStore.length > 0) buildBedroomModel();
+  warmSearchIndexes();
+  console.log(`🚀 Serving from disk cache (${cached.ageMinutes}min old, ${cached.salesStore.length} sales, ${cached.rentalStore.length} rentals)`);
+  console.log(`   Refresh manually via POST /api/refresh when you want fresh URA data.`);
+  writeSnapshot(dashboardCache);
+  if (env.ENABLE_DB) {
+    persistStores(salesStore, rentalStore)
+      .catch(err => console.error('🐘 PostgreSQL seed failed:', (err as Error).message));
   }
+  return true;
+}
+
+export async function initDashboard(): Promise<void> {
+  if (await _loadStored()) return;
   console.log('❄️ First run — no disk cache, fetching from URA API...');
   await buildDashboardData(true);
-  return true;
+}
+
+/**
+ * Swap in stores another process (the ingestion worker) has just published.
+ * @param sync that build's summary, so getLastSync() reports it in this process too
+ */
+export async function reloadStores(sync?: SyncSummary | null): Promise<boolean> {
+  const loaded = await _loadStored();
+  if (loaded && sync) _lastSync = sync;
+  return loaded;
 }
 
 function _rebuildProjYearData() {
@@ -304,7 +605,12 @@ function _rebuildProjYearData() {
 }
 
 export function getFullCacheInfo(): Record<string, any> {
-  return { memory: getCacheInfo(), disk: getCacheStatus() };
+  const archive = listSnapshots();
+  return {
+    memory: getCacheInfo(),
+    disk: getCacheStatus(),
+    archive: { generations: archive.length, newest: archive[0]?.savedAt ?? null, oldest: archive.at(-1)?.savedAt ?? null },
+  };
 }
 
 export function getCacheInfo() {
@@ -313,6 +619,7 @@ export function getCacheInfo() {
   return {
     hasDashboard: !!dashboardCache, hasRealRental: dashboardCache?.hasRealRental || false,
     cacheAge: cacheTime ? Math.round((Date.now() - cacheTime) / 60000) + 'min' : null,
+    cacheAgeSec: cacheTime ? Math.round((Date.now() - cacheTime) / 1000) : null,
     totalTx: dashboardCache?.totalTx || 0,
     salesRecords: salesStore.length,
     rentalRecords: rentalStore.length,
@@ -321,5 +628,6 @@ export function getCacheInfo() {
     storeCapacity: `${salesStore.length}/${MAX_SALES_RECORDS} sales, ${rentalStore.length}/${MAX_RENTAL_RECORDS} rental`,
     tokenTTLHours: parseFloat(process.env.URA_TOKEN_TTL_HOURS) || 23,
     cacheTTL: process.env.CACHE_TTL_HOURS ? `${process.env.CACHE_TTL_HOURS}h` : 'manual',
+    lastSync: _lastSync,
   };
 }
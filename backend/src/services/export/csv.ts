@@ -0,0 +1,28 @@
+/**
+ * export/csv.ts — RFC 4180 CSV, emitted in batches of rows
+ *
+ * UTF-8 with a BOM and CRLF line endings so Excel opens it without an import
+ * wizard. Text cells that start with = + - @ are prefixed with ' so a project
+ * name can never be evaluated as a formula.
+ */
+import type { ExportColumn, ExportRow } from './index.ts';
+
+const BATCH_ROWS = 1000;
+
+function cell(value: unknown, type: ExportColumn['type']): string {
+  if (value == null) return '';
+  if (type !== 'string') return Number.isFinite(value) ? String(value) : '';
+  let s = String(value);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function* csvChunks(columns: ExportColumn[], rows: Iterable<ExportRow>): Generator<string> {
+  let batch = '\uFEFF' + columns.map(c => c.key).join(',') + '\r\n';
+  let n = 0;
+  for (const row of rows) {
+    batch += columns.map(c => cell(row[c.key], c.type)).join(',') + '\r\n';
+    if (++n % BATCH_ROWS === 0) { yield batch; batch = ''; }
+  }
+  if (batch) yield batch;
+}
@@ -0,0 +1,111 @@
+/**
+ * export/index.ts — Full-result exports of the sales / rental search
+ *
+ * Takes the same filters and sort as searchSales / searchRental but no paging.
+ * Matching records are read from the search index a batch at a time, and each
+ * row is mapped and encoded only when the response stream pulls it, so an
+ * export never builds the file in memory:
+ *
+ *   exportRows('sales', opts) → encodeExport('xlsx', ...) → Readable.from → res
+ */
+import { buildDashboardData } from '../dashboard.ts';
+import { dashboardCache } from '../state.ts';
+import { filterSales, filterRental, salesRow, rentalRow } from '../query.ts';
+import { csvChunks } from './csv.ts';
+import { xlsxChunks, XLSX_MAX_ROWS } from './xlsx.ts';
+import { parquetChunks } from './parquet.ts';
+import type { IndexResult } from '../search-index.ts';
+import type { SalesSearchOpts, RentalSearchOpts } from '../../types.ts';
+
+export type ExportFormat = 'csv' | 'xlsx' | 'parquet';
+export type ExportDataset = 'sales' | 'rental';
+export type ExportRow = Record<string, unknown>;
+
+export interface ExportColumn {
+  key: string;      // column name in CSV / Parquet (= search API field)
+  label: string;    // XLSX header
+  type: 'string' | 'number' | 'integer';
+}
+
+export const EXPORT_FORMATS: Record<ExportFormat, { contentType: string; ext: string }> = {
+  csv: { contentType: 'text/csv; charset=utf-8', ext: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ext: 'xlsx' },
+  parquet: { contentType: 'application/vnd.apache.parquet', ext: 'parquet' },
+};
+
+export const EXPORT_COLUMNS: Record<ExportDataset, ExportColumn[]> = {
+  sales: [
+    { key: 'date', label: 'Date', type: 'string' },
+    { key: 'project', label: 'Project', type: 'string' },
+    { key: 'street', label: 'Street', type: 'string' },
+    { key: 'district', label: 'District', type: 'string' },
+    { key: 'segment', label: 'Segment', type: 'string' },
+    { key: 'area', label: 'Area (sqft)', type: 'number' },
+    { key: 'price', label: 'Price ($)', type: 'number' },
+    { key: 'psf', label: 'PSF ($)', type: 'number' },
+    { key: 'floor', label: 'Floor', type: 'string' },
+    { key: 'type', label: 'Sale Type', type: 'string' },
+    { key: 'propertyType', label: 'Property Type', type: 'string' },
+    { key: 'tenure', label: 'Tenure', type: 'string' },
+  ],
+  rental: [
+    { key: 'period', label: 'Period', type: 'string' },
+    { key: 'project', label: 'Project', type: 'string' },
+    { key: 'street', label: 'Street', type: 'string' },
+    { key: 'district', label: 'District', type: 'string' },
+    { key: 'segment', label: 'Segment', type: 'string' },
+    { key: 'area', label: 'Area (sqft)', type: 'string' },
+    { key: 'bedrooms', label: 'Bedrooms', type: 'string' },
+    { key: 'rent', label: 'Rent ($/mo)', type: 'number' },
+    { key: 'rentPsf', label: 'Rent PSF ($/sf/mo)', type: 'number' },
+    { key: 'contracts', label: 'Contracts', type: 'integer' },
+    { key: 'leaseDate', label: 'Lease Commencement', type: 'string' },
+  ],
+};
+
+export interface ExportSource {
+  columns: ExportColumn[];
+  total: number;
+  rows: Iterable<ExportRow>;
+}
+
+const EXPORT_BATCH = 1000;
+
+function* mapped<T>(result: IndexResult<T>, toRow: (r: T) => ExportRow): Generator<ExportRow> {
+  for (let start = 0; start < result.total; start += EXPORT_BATCH) {
+    for (const r of result.slice(start, start + EXPORT_BATCH)) yield toRow(r);
+  }
+}
+
+/** Matching rows for an export, mapped lazily */
+export async function exportRows(dataset: ExportDataset, opts: Partial<SalesSearchOpts & RentalSearchOpts>): Promise<ExportSource> {
+  if (!dashboardCache) await buildDashboardData();
+  if (dataset === 'sales') {
+    const result = filterSales(opts);
+    return { columns: EXPORT_COLUMNS.sales, total: result.total, rows: mapped(result, salesRow) };
+  }
+  const result = filterRental(opts);
+  return { columns: EXPORT_COLUMNS.rental, total: result.total, rows: mapped(result, rentalRow) };
+}
+
+/** Row limit of a format (Excel's sheet size for XLSX), or null */
+export function exportRowLimit(format: ExportFormat): number | null {
+  return format === 'xlsx' ? XLSX_MAX_ROWS : null;
+}
+
+/** Encode rows as a lazily produced sequence of file chunks */
+export function encodeExport(format: ExportFormat, source: ExportSource, sheetName: string): Iterable<string | Buffer> {
+  switch (format) {
+    case 'xlsx': return xlsxChunks(source.columns, source.rows, sheetName);
+    case 'parquet': return parquetChunks(source.columns, source.rows);
+    default: return csvChunks(source.columns, source.rows);
+  }
+}
+
+/** "sales-d10-ccr-2026-10-19.xlsx" — filters that narrow the set end up in the name */
+export function exportFilename(dataset: ExportDataset, format: ExportFormat, opts: Record<string, unknown>): string {
+  const parts = [dataset, opts.project, opts.district, opts.segment, opts.type, opts.tenure, opts.bedrooms && `${opts.bedrooms}br`]
+    .filter(Boolean)
+    .map(p => String(p).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''));
+  return `${parts.join('-')}-${new Date().toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].ext}`;
+}
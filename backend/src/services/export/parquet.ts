@@ -0,0 +1,215 @@
+/**
+ * export/parquet.ts — Minimal Apache Parquet writer
+ *
+ * Flat schema, every column OPTIONAL, one PLAIN-encoded data page (v1) per column
+ * chunk, GZIP-compressed. Rows are buffered ROW_GROUP_ROWS at a time, so memory
+ * is bounded by one row group however large the export.
+ *
+ *   "PAR1" | row group 1 | ... | row group n | FileMetaData | footer length | "PAR1"
+ *
+ * Page headers and the footer are Thrift structs in the compact protocol; field
+ * ids below follow parquet.thrift.
+ */
+import { gzipSync } from 'zlib';
+import type { ExportColumn, ExportRow } from './index.ts';
+
+const ROW_GROUP_ROWS = 50_000;
+const MAGIC = Buffer.from('PAR1');
+
+// parquet.thrift enums
+const Type = { INT64: 2, DOUBLE: 5, BYTE_ARRAY: 6 } as const;
+const Encoding = { PLAIN: 0, RLE: 3 } as const;
+const Repetition = { OPTIONAL: 1 } as const;
+const ConvertedType = { UTF8: 0 } as const;
+const Codec = { GZIP: 2 } as const;
+const PageType = { DATA_PAGE: 0 } as const;
+
+// ═══ Thrift compact protocol (just the types the Parquet metadata uses) ═══
+
+const TType = { I32: 5, I64: 6, BINARY: 8, LIST: 9, STRUCT: 12 } as const;
+type TType = typeof TType[keyof typeof TType];
+
+type TValue = number | string | TStruct | TList;
+type TStruct = Array<[id: number, type: TType, value: TValue]>;
+interface TList { elem: TType; items: TValue[] }
+
+function varint(out: number[], n: bigint): void {
+  while (n >= 0x80n) { out.push(Number(n & 0x7Fn) | 0x80); n >>= 7n; }
+  out.push(Number(n));
+}
+
+const zigzag = (n: number): bigint => { const b = BigInt(n); return (b << 1n) ^ (b >> 63n); };
+
+function writeValue(out: number[], type: TType, value: TValue): void {
+  switch (type) {
+    case TType.I32:
+    case TType.I64:
+      varint(out, zigzag(value as number));
+      break;
+    case TType.BINARY: {
+      const bytes = Buffer.from(value as string, 'utf8');
+      varint(out, BigInt(bytes.length));
+      out.push(...bytes);
+      break;
+    }
+    case TType.LIST: {
+      const { elem, items } = value as TList;
+      if (items.length < 15) out.push((items.length << 4) | elem);
+      else { out.push(0xF0 | elem); varint(out, BigInt(items.length)); }
+      for (const item of items) writeValue(out, elem, item);
+      break;
+    }
+    case TType.STRUCT: {
+      let lastId = 0;
+      for (const [id, fieldType, fieldValue] of value as TStruct) {
+        const delta = id - lastId;
+        if (delta > 0 && delta <= 15) out.push((delta << 4) | fieldType);
+        else { out.push(fieldType); varint(out, zigzag(id)); }
+        writeValue(out, fieldType, fieldValue);
+        lastId = id;
+      }
+      out.push(0); // stop
+      break;
+    }
+  }
+}
+
+function thrift(struct: TStruct): Buffer {
+  const out: number[] = [];
+  writeValue(out, TType.STRUCT, struct);
+  return Buffer.from(out);
+}
+
+// ═══ Column encoding ═══
+
+function physicalType(col: ExportColumn): number {
+  return col.type === 'string' ? Type.BYTE_ARRAY : col.type === 'integer' ? Type.INT64 : Type.DOUBLE;
+}
+
+/** Definition levels (1 = present, 0 = null) as RLE runs, bit width 1, length-prefixed */
+function definitionLevels(present: boolean[]): Buffer {
+  const out: number[] = [];
+  for (let i = 0; i < present.length;) {
+    let run = 1;
+    while (i + run < present.length && present[i + run] === present[i]) run++;
+    varint(out, BigInt(run) << 1n);
+    out.push(present[i] ? 1 : 0);
+    i += run;
+  }
+  const prefix = Buffer.alloc(4);
+  prefix.writeUInt32LE(out.length);
+  return Buffer.concat([prefix, Buffer.from(out)]);
+}
+
+function plainValues(col: ExportColumn, values: unknown[]): Buffer {
+  if (col.type === 'string') {
+    const parts: Buffer[] = [];
+    for (const v of values) {
+      const bytes = Buffer.from(String(v), 'utf8');
+      const len = Buffer.alloc(4);
+      len.writeUInt32LE(bytes.length);
+      parts.push(len, bytes);
+    }
+    return Buffer.concat(parts);
+  }
+  const buf = Buffer.alloc(values.length * 8);
+  values.forEach((v, i) => {
+    if (col.type === 'integer') buf.writeBigInt64LE(BigInt(Math.round(v as number)), i * 8);
+    else buf.writeDoubleLE(v as number, i * 8);
+  });
+  return buf;
+}
+
+const isPresent = (col: ExportColumn, v: unknown): boolean =>
+  col.type === 'string' ? v != null : typeof v === 'number' && Number.isFinite(v);
+
+interface ChunkMeta { col: ExportColumn; offset: number; uncompressed: number; compressed: number; rows: number }
+
+/** One column chunk: page header + gzipped (levels + values) */
+function columnChunk(col: ExportColumn, values: unknown[]): { bytes: Buffer; uncompressed: number } {
+  const present = values.map(v => isPresent(col, v));
+  const page = Buffer.concat([definitionLevels(present), plainValues(col, values.filter((_, i) => present[i]))]);
+  const body = gzipSync(page);
+  const header = thrift([
+    [1, TType.I32, PageType.DATA_PAGE],
+    [2, TType.I32, page.length],
+    [3, TType.I32, body.length],
+    [5, TType.STRUCT, [
+      [1, TType.I32, values.length],
+      [2, TType.I32, Encoding.PLAIN],
+      [3, TType.I32, Encoding.RLE],
+      [4, TType.I32, Encoding.RLE],
+    ]],
+  ]);
+  return { bytes: Buffer.concat([header, body]), uncompressed: header.length + page.length };
+}
+
+function footer(columns: ExportColumn[], groups: ChunkMeta[][], totalRows: number): Buffer {
+  const schema: TStruct[] = [
+    [[4, TType.BINARY, 'schema'], [5, TType.I32, columns.length]],
+    ...columns.map((col): TStruct => [
+      [1, TType.I32, physicalType(col)],
+      [3, TType.I32, Repetition.OPTIONAL],
+      [4, TType.BINARY, col.key],
+      ...(col.type === 'string' ? [[6, TType.I32, ConvertedType.UTF8] as [number, TType, TValue]] : []),
+    ]),
+  ];
+  const rowGroups: TStruct[] = groups.map(chunks => [
+    [1, TType.LIST, {
+      elem: TType.STRUCT,
+      items: chunks.map((c): TStruct => [
+        [2, TType.I64, c.offset],
+        [3, TType.STRUCT, [
+          [1, TType.I32, physicalType(c.col)],
+          [2, TType.LIST, { elem: TType.I32, items: [Encoding.PLAIN, Encoding.RLE] }],
+          [3, TType.LIST, { elem: TType.BINARY, items: [c.col.key] }],
+          [4, TType.I32, Codec.GZIP],
+          [5, TType.I64, c.rows],
+          [6, TType.I64, c.uncompressed],
+          [7, TType.I64, c.compressed],
+          [9, TType.I64, c.offset],
+        ]],
+      ]),
+    }],
+    [2, TType.I64, chunks.reduce((s, c) => s + c.uncompressed, 0)],
+    [3, TType.I64, chunks[0]?.rows ?? 0],
+  ]);
+  const meta = thrift([
+    [1, TType.I32, 1],
+    [2, TType.LIST, { elem: TType.STRUCT, items: schema }],
+    [3, TType.I64, totalRows],
+    [4, TType.LIST, { elem: TType.STRUCT, items: rowGroups }],
+    [6, TType.BINARY, 'ura-property-analytics'],
+  ]);
+  const len = Buffer.alloc(4);
+  len.writeUInt32LE(meta.length);
+  return Buffer.concat([meta, len, MAGIC]);
+}
+
+export function* parquetChunks(columns: ExportColumn[], rows: Iterable<ExportRow>): Generator<Buffer> {
+  const groups: ChunkMeta[][] = [];
+  let offset = MAGIC.length;
+  let totalRows = 0;
+  let buffered: ExportRow[] = [];
+
+  function* flush(): Generator<Buffer> {
+    const chunks: ChunkMeta[] = [];
+    for (const col of columns) {
+      const { bytes, uncompressed } = columnChunk(col, buffered.map(r => r[col.key]));
+      chunks.push({ col, offset, uncompressed, compressed: bytes.length, rows: buffered.length });
+      offset += bytes.length;
+      yield bytes;
+    }
+    groups.push(chunks);
+    totalRows += buffered.length;
+    buffered = [];
+  }
+
+  yield MAGIC;
+  for (const row of rows) {
+    buffered.push(row);
+    if (buffered.length === ROW_GROUP_ROWS) yield* flush();
+  }
+  if (buffered.length) yield* flush();
+  yield footer(columns, groups, totalRows);
+}
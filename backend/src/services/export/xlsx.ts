@@ -0,0 +1,97 @@
+/**
+ * export/xlsx.ts — Single-sheet SpreadsheetML workbook, streamed through zipChunks
+ *
+ * Text uses inline strings rather than the shared-strings table, so the sheet
+ * XML can be written row by row without collecting every distinct value first.
+ * The header row is bold and frozen. Excel's limit is XLSX_MAX_ROWS data rows.
+ */
+import { zipChunks } from './zip.ts';
+import type { ExportColumn, ExportRow } from './index.ts';
+
+export const XLSX_MAX_ROWS = 1_048_575; // 1,048,576 rows minus the header
+
+const BATCH_ROWS = 1000;
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+const CONTENT_TYPES = XML_HEAD
+  + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+  + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+  + '<Default Extension="xml" ContentType="application/xml"/>'
+  + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+  + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+  + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+  + '</Types>';
+
+const ROOT_RELS = XML_HEAD
+  + `<Relationships xmlns="${NS_PKG_REL}">`
+  + `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>`
+  + '</Relationships>';
+
+const WORKBOOK_RELS = XML_HEAD
+  + `<Relationships xmlns="${NS_PKG_REL}">`
+  + `<Relationship Id="rId1" Type="${NS_REL}/worksheet" Target="worksheets/sheet1.xml"/>`
+  + `<Relationship Id="rId2" Type="${NS_REL}/styles" Target="styles.xml"/>`
+  + '</Relationships>';
+
+// Style 0: default, style 1: bold (header row)
+const STYLES = XML_HEAD
+  + `<styleSheet xmlns="${NS_MAIN}">`
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+  + '</styleSheet>';
+
+// Characters XML 1.0 can't carry at all, even escaped
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function escapeXml(s: string): string {
+  return s.replace(INVALID_XML, '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function textCell(value: string, style = ''): string {
+  return `<c t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function cell(value: unknown, type: ExportColumn['type']): string {
+  if (value == null || value === '') return '<c/>';
+  if (type !== 'string') return Number.isFinite(value) ? `<c><v>${value}</v></c>` : '<c/>';
+  return textCell(String(value));
+}
+
+function* sheetXml(columns: ExportColumn[], rows: Iterable<ExportRow>): Generator<string> {
+  const cols = columns.map((c, i) => `<col min="${i + 1}" max="${i + 1}" width="${c.type === 'string' ? 22 : 14}" customWidth="1"/>`).join('');
+  let batch = XML_HEAD
+    + `<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">`
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<cols>${cols}</cols><sheetData>`
+    + `<row>${columns.map(c => textCell(c.label, ' s="1"')).join('')}</row>`;
+  let n = 0;
+  for (const row of rows) {
+    if (n === XLSX_MAX_ROWS) throw new Error(`XLSX export exceeds ${XLSX_MAX_ROWS.toLocaleString()} rows`);
+    batch += `<row>${columns.map(c => cell(row[c.key], c.type)).join('')}</row>`;
+    if (++n % BATCH_ROWS === 0) { yield batch; batch = ''; }
+  }
+  yield batch + '</sheetData></worksheet>';
+}
+
+export function xlsxChunks(columns: ExportColumn[], rows: Iterable<ExportRow>, sheetName = 'Sheet1'): Generator<Buffer> {
+  const workbook = XML_HEAD
+    + `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">`
+    + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+    + '</workbook>';
+
+  return zipChunks([
+    { name: '[Content_Types].xml', content: [CONTENT_TYPES] },
+    { name: '_rels/.rels', content: [ROOT_RELS] },
+    { name: 'xl/workbook.xml', content: [workbook] },
+    { name: 'xl/_rels/workbook.xml.rels', content: [WORKBOOK_RELS] },
+    { name: 'xl/styles.xml', content: [STYLES] },
+    { name: 'xl/worksheets/sheet1.xml', content: sheetXml(columns, rows) },
+  ]);
+}
@@ -0,0 +1,102 @@
+/**
+ * export/zip.ts — Streaming ZIP writer (deflate, data descriptors)
+ *
+ * Entry sizes and CRCs aren't known until an entry's content has been produced,
+ * so each local header sets flag bit 3 and the real values follow the data in a
+ * data descriptor (and are repeated in the central directory at the end).
+ *
+ * Every chunk is deflated on its own with a sync flush, which leaves the stream
+ * byte-aligned without ending it; a final empty block closes the entry. That
+ * gives one valid deflate stream per entry without holding the entry in memory.
+ * No ZIP64: entries and the archive must stay under 4 GiB.
+ */
+import { deflateRawSync, crc32, constants } from 'zlib';
+
+export interface ZipEntry {
+  name: string;
+  content: Iterable<string | Buffer>;
+}
+
+const FLAGS = 0x0808;                           // bit 3: data descriptor, bit 11: UTF-8 names
+const DEFLATE = 8;
+const FINAL_BLOCK = Buffer.from([0x03, 0x00]);  // empty fixed-Huffman block with BFINAL set
+const MAX_32 = 0xFFFFFFFF;
+
+function dosDateTime(d: Date): { time: number; date: number } {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+export function* zipChunks(entries: Iterable<ZipEntry>, modified = new Date()): Generator<Buffer> {
+  const { time, date } = dosDateTime(modified);
+  const central: Buffer[] = [];
+  let offset = 0;
+  let count = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const headerOffset = offset;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(FLAGS, 6);
+    local.writeUInt16LE(DEFLATE, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt16LE(name.length, 26);
+    yield Buffer.concat([local, name]);
+    offset += local.length + name.length;
+
+    let crc = 0;
+    let size = 0;
+    let compressed = 0;
+    for (const chunk of entry.content) {
+      const buf = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk;
+      if (!buf.length) continue;
+      crc = crc32(buf, crc);
+      size += buf.length;
+      const out = deflateRawSync(buf, { finishFlush: constants.Z_SYNC_FLUSH });
+      compressed += out.length;
+      yield out;
+    }
+    yield FINAL_BLOCK;
+    compressed += FINAL_BLOCK.length;
+    if (size > MAX_32 || offset + compressed > MAX_32) throw new Error('ZIP entry exceeds 4 GiB (ZIP64 not supported)');
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(compressed, 8);
+    descriptor.writeUInt32LE(size, 12);
+    yield descriptor;
+    offset += compressed + descriptor.length;
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(FLAGS, 8);
+    header.writeUInt16LE(DEFLATE, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(compressed, 20);
+    header.writeUInt32LE(size, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt32LE(headerOffset, 42);
+    central.push(header, name);
+    count++;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  yield Buffer.concat([directory, end]);
+}
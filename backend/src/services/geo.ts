@@ -0,0 +1,232 @@
+// ═══════════════════════════════════════════════════════
+// geo.ts — Coordinates and district geometry (zero dependencies)
+// URA publishes project locations as SVY21 (EPSG:3414) easting `x` /
+// northing `y` in metres. Planar work (distances between projects, district
+// areas) stays in SVY21; only what is sent to clients is converted to WGS84.
+// ═══════════════════════════════════════════════════════
+import type { ProjectLocation } from '../types.ts';
+
+// ── SVY21 → WGS84 (inverse Transverse Mercator, SLA's published parameters) ──
+
+const A = 6378137;                  // WGS84 semi-major axis
+const F = 1 / 298.257223563;
+const ORIGIN_LAT = 1.366666;        // 1°22'N
+const ORIGIN_LNG = 103.833333;      // 103°50'E
+const FALSE_NORTHING = 38744.572;
+const FALSE_EASTING = 28001.642;
+const K = 1.0;                      // central meridian scale factor
+
+const B = A * (1 - F);
+const E2 = 2 * F - F * F;
+const E4 = E2 * E2;
+const E6 = E4 * E2;
+const A0 = 1 - E2 / 4 - 3 * E4 / 64 - 5 * E6 / 256;
+const A2 = (3 / 8) * (E2 + E4 / 4 + 15 * E6 / 128);
+const A4 = (15 / 256) * (E4 + 3 * E6 / 4);
+const A6 = 35 * E6 / 3072;
+const RAD = Math.PI / 180;
+
+/** Meridional arc length (m) from the equator to latitude `lat` (degrees) */
+function meridianArc(lat: number): number {
+  const r = lat * RAD;
+  return A * (A0 * r - A2 * Math.sin(2 * r) + A4 * Math.sin(4 * r) - A6 * Math.sin(6 * r));
+}
+
+const M0 = meridianArc(ORIGIN_LAT);
+
+/** SVY21 northing / easting (m) → WGS84 latitude / longitude (degrees), accurate to well under a metre */
+export function svy21ToWgs84(northing: number, easting: number): { lat: number; lng: number } {
+  const n = (A - B) / (A + B);
+  const n2 = n * n, n3 = n2 * n, n4 = n2 * n2;
+  const g = A * (1 - n) * (1 - n2) * (1 + 9 * n2 / 4 + 225 * n4 / 64) * RAD;
+  const sigma = (M0 + (northing - FALSE_NORTHING) / K) * RAD / g;
+  const latP = sigma
+    + (3 * n / 2 - 27 * n3 / 32) * Math.sin(2 * sigma)
+    + (21 * n2 / 16 - 55 * n4 / 32) * Math.sin(4 * sigma)
+    + (151 * n3 / 96) * Math.sin(6 * sigma)
+    + (1097 * n4 / 512) * Math.sin(8 * sigma);
+
+  const sin2 = Math.sin(latP) ** 2;
+  const rho = A * (1 - E2) / (1 - E2 * sin2) ** 1.5;
+  const nu = A / Math.sqrt(1 - E2 * sin2);
+  const psi = nu / rho, psi2 = psi * psi, psi3 = psi2 * psi, psi4 = psi3 * psi;
+  const t = Math.tan(latP), t2 = t * t, t4 = t2 * t2, t6 = t4 * t2;
+
+  const e = easting - FALSE_EASTING;
+  const x = e / (K * nu), x3 = x ** 3, x5 = x ** 5, x7 = x ** 7;
+
+  const latFactor = t / (K * rho);
+  const lat = latP
+    - latFactor * (e * x / 2)
+    + latFactor * (e * x3 / 24) * (-4 * psi2 + 9 * psi * (1 - t2) + 12 * t2)
+    - latFactor * (e * x5 / 720) * (8 * psi4 * (11 - 24 * t2) - 12 * psi3 * (21 - 71 * t2) + 15 * psi2 * (15 - 98 * t2 + 15 * t4) + 180 * psi * (5 * t2 - 3 * t4) + 360 * t4)
+    + latFactor * (e * x7 / 40320) * (1385 - 3633 * t2 + 4095 * t4 + 1575 * t6);
+
+  const sec = 1 / Math.cos(lat);
+  const lng = ORIGIN_LNG * RAD
+    + x * sec
+    - (x3 * sec / 6) * (psi + 2 * t2)
+    + (x5 * sec / 120) * (-4 * psi3 * (1 - 6 * t2) + psi2 * (9 - 68 * t2) + 72 * psi * t2 + 24 * t4)
+    - (x7 * sec / 5040) * (61 + 662 * t2 + 1320 * t4 + 720 * t6);
+
+  return { lat: lat / RAD, lng: lng / RAD };
+}
+
+// SVY21 extent of Singapore with some margin; anything outside is a bad payload
+const SG_BOUNDS = { minX: 0, maxX: 60000, minY: 15000, maxY: 55000 };
+
+/** Location of a URA project from its `x` / `y` strings, or null if missing or outside Singapore */
+export function parseLocation(x: string | undefined, y: string | undefined): ProjectLocation | null {
+  const e = parseFloat(x || ''), nth = parseFloat(y || '');
+  if (!Number.isFinite(e) || !Number.isFinite(nth)) return null;
+  if (e < SG_BOUNDS.minX || e > SG_BOUNDS.maxX || nth < SG_BOUNDS.minY || nth > SG_BOUNDS.maxY) return null;
+  const { lat, lng } = svy21ToWgs84(nth, e);
+  return { x: Math.round(e * 10) / 10, y: Math.round(nth * 10) / 10, lat: +lat.toFixed(6), lng: +lng.toFixed(6) };
+}
+
+/** Straight-line distance in metres (SVY21 is a conformal projection; at city scale this is exact enough) */
+export function distanceM(a: ProjectLocation, b: ProjectLocation): number {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// ── District areas ──
+// There are no official postal-district polygons to bundle, so areas are
+// derived from where the projects are: every grid cell within `reachM` of a
+// project belongs to the district of the nearest one. Cell edges between
+// different districts (or the empty surroundings) are chained into rings.
+
+export interface DistrictSite { x: number; y: number; district: string }
+
+export interface DistrictArea {
+  district: string;
+  /** Polygons of [x, y] SVY21 rings: the outer ring first (counter-clockwise), then holes */
+  polygons: Array<Array<Array<[number, number]>>>;
+}
+
+export function districtAreas(sites: DistrictSite[], cellM = 200, reachM = 900): DistrictArea[] {
+  if (!sites.length) return [];
+  const names = [...new Set(sites.map(s => s.district))].sort();
+  const labelOf = new Map(names.map((d, i) => [d, i]));
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const s of sites) { minX = Math.min(minX, s.x); maxX = Math.max(maxX, s.x); minY = Math.min(minY, s.y); maxY = Math.max(maxY, s.y); }
+  minX -= reachM + cellM; minY -= reachM + cellM;
+  const w = Math.ceil((maxX - minX + reachM + cellM) / cellM) + 1;
+  const h = Math.ceil((maxY - minY + reachM + cellM) / cellM) + 1;
+
+  // Sites bucketed at reachM, so a cell only looks at the 3×3 buckets around it
+  const buckets = new Map<string, DistrictSite[]>();
+  const bucketKey = (bx: number, by: number) => `${bx},${by}`;
+  for (const s of sites) {
+    const k = bucketKey(Math.floor(s.x / reachM), Math.floor(s.y / reachM));
+    const list = buckets.get(k);
+    if (list) list.push(s); else buckets.set(k, [s]);
+  }
+
+  const labels = new Int16Array(w * h).fill(-1);
+  for (let j = 0; j < h; j++) {
+    for (let i = 0; i < w; i++) {
+      const cx = minX + (i + 0.5) * cellM, cy = minY + (j + 0.5) * cellM;
+      const bx = Math.floor(cx / reachM), by = Math.floor(cy / reachM);
+      let best = reachM * reachM, label = -1;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          for (const s of buckets.get(bucketKey(bx + dx, by + dy)) || []) {
+            const d2 = (s.x - cx) ** 2 + (s.y - cy) ** 2;
+            if (d2 < best) { best = d2; label = labelOf.get(s.district)!; }
+          }
+        }
+      }
+      labels[j * w + i] = label;
+    }
+  }
+  const at = (i: number, j: number) => (i < 0 || j < 0 || i >= w || j >= h ? -1 : labels[j * w + i]!);
+
+  // Directed boundary edges per label, counter-clockwise around each cell so the
+  // district is always on the left; keyed by start vertex for chaining
+  const edges: Array<Map<number, number[]>> = names.map(() => new Map());
+  const vid = (i: number, j: number) => j * (w + 1) + i;
+  const addEdge = (label: number, from: number, to: number) => {
+    const m = edges[label]!;
+    const list = m.get(from);
+    if (list) list.push(to); else m.set(from, [to]);
+  };
+  for (let j = 0; j < h; j++) {
+    for (let i = 0; i < w; i++) {
+      const l = at(i, j);
+      if (l < 0) continue;
+      if (at(i, j - 1) !== l) addEdge(l, vid(i, j), vid(i + 1, j));
+      if (at(i + 1, j) !== l) addEdge(l, vid(i + 1, j), vid(i + 1, j + 1));
+      if (at(i, j + 1) !== l) addEdge(l, vid(i + 1, j + 1), vid(i, j + 1));
+      if (at(i - 1, j) !== l) addEdge(l, vid(i, j + 1), vid(i, j));
+    }
+  }
+
+  const col = (v: number) => v % (w + 1), row = (v: number) => Math.floor(v / (w + 1));
+  /** > 0 for a left turn a→b→c, 0 straight on, < 0 right */
+  const turn = (a: number, b: number, c: number) =>
+    (col(b) - col(a)) * (row(c) - row(b)) - (row(b) - row(a)) * (col(c) - col(b));
+  const toXY = (v: number): [number, number] => [minX + col(v) * cellM, minY + row(v) * cellM];
+
+  return names.map((district, label) => {
+    const m = edges[label]!;
+    const rings: Array<Array<[number, number]>> = [];
+    for (const start of [...m.keys()]) {
+      while (m.get(start)?.length) {
+        const ring: number[] = [start];
+        let prev = start;
+        let v = m.get(start)!.pop()!;
+        while (v !== start) {
+          ring.push(v);
+          const next = m.get(v);
+          if (!next?.length) break;   // cannot happen for a closed boundary; guards against a bad grid
+          // Where two cells of the district touch only at a corner, turn left so
+          // the ring keeps hugging the same cell instead of crossing over
+          let pick = next.length - 1;
+          if (next.length > 1) pick = next.reduce((bestK, n, k) => turn(prev, v, n) > turn(prev, v, next[bestK]!) ? k : bestK, 0);
+          prev = v;
+          v = next.splice(pick, 1)[0]!;
+        }
+        rings.push(dropCollinear(ring.map(toXY)));
+      }
+    }
+    return { district, polygons: nestRings(rings) };
+  });
+}
+
+function dropCollinear(ring: Array<[number, number]>): Array<[number, number]> {
+  const out = ring.filter((p, k) => {
+    const a = ring[(k - 1 + ring.length) % ring.length]!, b = ring[(k + 1) % ring.length]!;
+    return (p[0] - a[0]) * (b[1] - p[1]) !== (p[1] - a[1]) * (b[0] - p[0]);
+  });
+  out.push(out[0]!);   // closed, as GeoJSON expects
+  return out;
+}
+
+function signedArea(ring: Array<[number, number]>): number {
+  let s = 0;
+  for (let k = 0; k + 1 < ring.length; k++) s += ring[k]![0] * ring[k + 1]![1] - ring[k + 1]![0] * ring[k]![1];
+  return s / 2;
+}
+
+function contains(ring: Array<[number, number]>, [x, y]: [number, number]): boolean {
+  let inside = false;
+  for (let k = 0, l = ring.length - 1; k < ring.length; l = k++) {
+    const [xk, yk] = ring[k]!, [xl, yl] = ring[l]!;
+    if ((yk > y) !== (yl > y) && x < (xl - xk) * (y - yk) / (yl - yk) + xk) inside = !inside;
+  }
+  return inside;
+}
+
+/** Counter-clockwise rings are outlines, clockwise ones holes; each hole joins the smallest outline around it */
+function nestRings(rings: Array<Array<[number, number]>>): Array<Array<Array<[number, number]>>> {
+  const outers = rings.filter(r => signedArea(r) > 0).sort((a, b) => signedArea(a) - signedArea(b));
+  const polygons = outers.map(r => [r]);
+  for (const hole of rings.filter(r => signedArea(r) < 0)) {
+    // Test the midpoint of the hole's first edge: vertices can touch the outline at a pinch
+    const probe: [number, number] = [(hole[0]![0] + hole[1]![0]) / 2, (hole[0]![1] + hole[1]![1]) / 2];
+    const owner = polygons.find(p => contains(p[0]!, probe));
+    if (owner) owner.push(hole);
+  }
+  return polygons;
+}
@@ -1,7 +1,7 @@
 // ═══════════════════════════════════════════════════════
 // helpers.ts — Pure utility functions (zero dependencies)
 // ═══════════════════════════════════════════════════════
-import type { ParsedDate, ParsedFloor, YieldMap } from '../types.ts';
+import type { ParsedDate, ParsedFloor, ParsedTenure, TenureType, YieldMap, SalesRecord, RentalRecord } from '../types.ts';
 
 /** Parse URA MMYY contract date → { year, quarter, month } */
 export function parseDate(cd: string | null | undefined): ParsedDate | null {
@@ -32,6 +32,28 @@ export function parseFloor(fr: string | null | undefined): ParsedFloor {
   return { band: fr, mid: parseInt(fr) || 0 };
 }
 
+/** Parse URA tenure "99 yrs lease commencing from 2012" → { tenure: "Leasehold", leaseYears: 99, leaseStart: 2012 } */
+export function parseTenure(raw: string | null | undefined): ParsedTenure {
+  const t = (raw || '').toLowerCase();
+  if (t.includes('freehold')) return { tenure: 'Freehold', leaseYears: null, leaseStart: null };
+  const yrs = t.match(/(\d+)\s*(?:yrs?|years?)/);
+  const from = t.match(/from\s*(\d{4})/);
+  const leaseYears = yrs ? parseInt(yrs[1]!) : t.includes('999') ? 999 : null;
+  return {
+    tenure: leaseYears !== null && leaseYears >= 999 ? '999-yr' as TenureType : 'Leasehold',
+    leaseYears,
+    leaseStart: from ? parseInt(from[1]!) : null,
+  };
+}
+
+/**
+ * URA-style tenure string back from a record, so parseTenure round-trips it.
+ * Project tenure always comes from here, so a build from stored records labels
+ * a project the same as one from the raw payload.
+ */
+export const tenureLabel = (r: Pick<SalesRecord, 'tn' | 'ly' | 'ls'>): string =>
+  r.ly ? `${r.ly} yrs lease${r.ls ? ` commencing from ${r.ls}` : ''}` : r.tn;
+
 /** Sort district strings numerically: "D1" < "D10" */
 export function distSort(a: string, b: string): number {
   return (parseInt(a.replace('D', '')) || 0) - (parseInt(b.replace('D', '')) || 0);
@@ -106,3 +128,27 @@ export class TopN<T> {
 
 /** Promise-based delay */
 export const sleep = (ms: number): Promise<void> => new Promise(r => setTimeout(r, ms));
+
+// ═══ DIFF KEYS ═══
+// Same identity as the idx_sales_dedup / idx_rental_dedup unique indexes in db/schema.ts.
+
+export const salesKey = (r: SalesRecord): string => `${r.p}|${r.d}|${r.a}|${r.pr}|${r.fl}`;
+export const rentalKey = (r: RentalRecord): string => `${r.p}|${r.d}|${r.a}|${r.rn}|${r.br}`;
+
+/**
+ * Count key occurrences. Identical units (same stack, same month, same price)
+ * legitimately repeat in new launches, so diffing is multiset-based, not Set-based.
+ */
+export function keyCounts<T>(records: T[], key: (r: T) => string): Map<string, number> {
+  const counts = new Map<string, number>();
+  for (const r of records) { const k = key(r); counts.set(k, (counts.get(k) || 0) + 1); }
+  return counts;
+}
+
+/** Returns true if `k` was already present (and consumes one occurrence). */
+export function consumeKey(counts: Map<string, number>, k: string): boolean {
+  const n = counts.get(k) || 0;
+  if (n === 0) return false;
+  counts.set(k, n - 1);
+  return true;
+}
@@ -0,0 +1,252 @@
+/**
+ * services/ingestion.ts — Refresh jobs: enqueue, poll, schedule
+ *
+ * POST /api/refresh no longer holds the request open for the URA fetch; it
+ * creates a job and GET /api/refresh/:jobId reports its progress.
+ *
+ *   ENABLE_WORKER=true  — jobs go on the BullMQ 'ura-ingestion' queue and a separate
+ *                         `npm run worker` process (ingestion.worker.ts) runs them.
+ *                         When one completes, this process reloads the stores the
+ *                         worker published (PostgreSQL with ENABLE_DB, otherwise the
+ *                         shared disk cache).
+ *   ENABLE_WORKER=false — jobs run in this process in the background. Search keeps
+ *                         serving the previous stores until the new build swaps in.
+ *
+ * AUTO_REFRESH_HOURS schedules the same job on an interval: a BullMQ job
+ * scheduler in worker mode, a timer otherwise.
+ */
+import { randomUUID } from 'crypto';
+import { Queue, QueueEvents, type Job, type ConnectionOptions } from 'bullmq';
+import { env } from '../config/env.ts';
+import { ingestionDuration, ingestionRecords } from '../shared/metrics.ts';
+import { buildDashboardData, initDashboard, reloadStores, getLastSync, type BuildProgress, type SyncSummary } from './dashboard.ts';
+
+export const QUEUE_NAME = 'ura-ingestion';
+export const JOB_NAME = 'refresh';
+const SCHEDULER_ID = 'auto-refresh';
+const INLINE_HISTORY = 20;
+
+export type RefreshMode = 'full' | 'incremental';
+export type RefreshTrigger = 'manual' | 'schedule' | 'startup';
+export type RefreshState = 'queued' | 'running' | 'completed' | 'failed';
+
+export interface RefreshJobData {
+  mode: RefreshMode;
+  triggeredBy: RefreshTrigger;
+}
+
+export interface RefreshJobResult {
+  sync: SyncSummary | null;
+}
+
+/** What GET /api/refresh/:jobId returns, whichever mode ran the job */
+export interface RefreshJob {
+  id: string;
+  mode: RefreshMode;
+  triggeredBy: RefreshTrigger;
+  state: RefreshState;
+  progress: BuildProgress | null;
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  sync: SyncSummary | null;
+  error: string | null;
+}
+
+const DONE: BuildProgress = { step: 'done', pct: 100, message: 'Done' };
+
+// ── BullMQ plumbing (shared with the worker) ──
+
+/** BullMQ opens its own connections: no keyPrefix, no per-request retry cap */
+export function queueConnection(): ConnectionOptions {
+  return { url: env.REDIS_URL, maxRetriesPerRequest: null };
+}
+
+export const QUEUE_PREFIX = `${env.REDIS_KEY_PREFIX}bull`;
+
+let _queue: Queue<RefreshJobData, RefreshJobResult> | null = null;
+let _events: QueueEvents | null = null;
+
+export function getIngestionQueue(): Queue<RefreshJobData, RefreshJobResult> {
+  if (_queue) return _queue;
+  _queue = new Queue(QUEUE_NAME, {
+    connection: queueConnection(),
+    prefix: QUEUE_PREFIX,
+    defaultJobOptions: {
+      removeOnComplete: { count: 50 },
+      removeOnFail: { count: 20 },
+      attempts: 2,
+      backoff: { type: 'exponential', delay: 60_000 },
+    },
+  });
+  return _queue;
+}
+
+/** ura_ingestion_duration_seconds / ura_ingestion_records_total for a finished job */
+function recordJobMetrics(mode: RefreshMode, status: 'completed' | 'failed', seconds: number, sync?: SyncSummary | null): void {
+  ingestionDuration.observe({ job_type: mode, status }, seconds);
+  if (sync) {
+    ingestionRecords.inc({ type: 'sales' }, sync.newSales);
+    ingestionRecords.inc({ type: 'rental' }, sync.newRentals);
+  }
+}
+
+const iso = (ms?: number) => ms ? new Date(ms).toISOString() : null;
+
+async function fromBullJob(job: Job<RefreshJobData, RefreshJobResult>): Promise<RefreshJob | null> {
+  const state = await job.getState();
+  if (state === 'unknown') return null;
+  return {
+    id: String(job.id),
+    mode: job.data.mode,
+    triggeredBy: job.data.triggeredBy,
+    state: state === 'active' ? 'running' : state === 'completed' || state === 'failed' ? state : 'queued',
+    progress: typeof job.progress === 'object' ? job.progress as BuildProgress : null,
+    createdAt: iso(job.timestamp)!,
+    startedAt: iso(job.processedOn),
+    finishedAt: iso(job.finishedOn),
+    sync: job.returnvalue?.sync ?? null,
+    error: job.failedReason || null,
+  };
+}
+
+// ── In-process fallback ──
+
+const inlineJobs = new Map<string, RefreshJob>();
+
+function runInline(job: RefreshJob): void {
+  job.state = 'running';
+  job.startedAt = new Date().toISOString();
+  const t0 = Date.now();
+  buildDashboardData(true, { incremental: job.mode === 'incremental', onProgress: p => { job.progress = p; } })
+    .then(() => {
+      job.state = 'completed';
+      job.progress = DONE;
+      job.sync = getLastSync();
+      recordJobMetrics(job.mode, 'completed', (Date.now() - t0) / 1000, job.sync);
+    })
+    .catch(err => {
+      job.state = 'failed';
+      job.error = (err as Error).message;
+      recordJobMetrics(job.mode, 'failed', (Date.now() - t0) / 1000);
+      console.error(`❌ Refresh job ${job.id} failed:`, job.error);
+    })
+    .finally(() => { job.finishedAt = new Date().toISOString(); });
+}
+
+function trimInline(): void {
+  for (const [id, job] of inlineJobs) {
+    if (inlineJobs.size <= INLINE_HISTORY) break;
+    if (job.state === 'completed' || job.state === 'failed') inlineJobs.delete(id);
+  }
+}
+
+// ── Public API ──
+
+/** The queued or running refresh, if any */
+async function activeJob(): Promise<RefreshJob | null> {
+  if (!env.ENABLE_WORKER) {
+    return [...inlineJobs.values()].find(j => j.state === 'queued' || j.state === 'running') || null;
+  }
+  const jobs = await getIngestionQueue().getJobs(['active', 'waiting', 'prioritized']);
+  const job = jobs.find(j => j?.name === JOB_NAME);
+  return job ? fromBullJob(job) : null;
+}
+
+/**
+ * Start a refresh unless one is already queued or running.
+ * @returns the job, and whether this call created it
+ */
+export async function enqueueRefresh(mode: RefreshMode, triggeredBy: RefreshTrigger = 'manual'): Promise<{ job: RefreshJob; created: boolean }> {
+  const running = await activeJob();
+  if (running) return { job: running, created: false };
+
+  if (env.ENABLE_WORKER) {
+    const added = await getIngestionQueue().add(JOB_NAME, { mode, triggeredBy });
+    return { job: (await fromBullJob(added))!, created: true };
+  }
+
+  const job: RefreshJob = {
+    id: randomUUID(), mode, triggeredBy, state: 'queued', progress: null,
+    createdAt: new Date().toISOString(), startedAt: null, finishedAt: null, sync: null, error: null,
+  };
+  inlineJobs.set(job.id, job);
+  trimInline();
+  runInline(job);
+  return { job, created: true };
+}
+
+export async function getRefreshJob(id: string): Promise<RefreshJob | null> {
+  if (!env.ENABLE_WORKER) return inlineJobs.get(id) || null;
+  const job = await getIngestionQueue().getJob(id);
+  return job ? fromBullJob(job) : null;
+}
+
+// ── Lifecycle (API process) ──
+
+let _timer: ReturnType<typeof setInterval> | null = null;
+
+/**
+ * Load data at startup. In worker mode the API never calls URA itself: it serves
+ * whatever was last published and, on a cold start, asks the worker for a full build.
+ */
+export async function initData(): Promise<void> {
+  if (!env.ENABLE_WORKER) return initDashboard();
+  if (await reloadStores()) return;
+  console.log('❄️ No stored data — queued a full refresh for the ingestion worker');
+  await enqueueRefresh('full', 'startup');
+}
+
+/**
+ * Follow worker completions (worker mode) and set up AUTO_REFRESH_HOURS.
+ */
+export async function startRefreshJobs(): Promise<void> {
+  const everyMs = env.AUTO_REFRESH_HOURS * 3_600_000;
+
+  if (!env.ENABLE_WORKER) {
+    if (everyMs <= 0) return;
+    _timer = setInterval(() => {
+      enqueueRefresh(env.AUTO_REFRESH_MODE, 'schedule')
+        .catch(err => console.error('❌ Scheduled refresh failed to start:', (err as Error).message));
+    }, everyMs);
+    _timer.unref?.();
+    return;
+  }
+
+  _events = new QueueEvents(QUEUE_NAME, { connection: queueConnection(), prefix: QUEUE_PREFIX });
+  _events.on('completed', async ({ jobId, returnvalue }) => {
+    try {
+      const result = (typeof returnvalue === 'string' ? JSON.parse(returnvalue) : returnvalue) as RefreshJobResult | null;
+      if (result?.sync) recordJobMetrics(result.sync.mode, 'completed', result.sync.durationMs / 1000, result.sync);
+      if (await reloadStores(result?.sync)) console.log(`🔄 Reloaded stores after refresh job ${jobId}`);
+    } catch (err) {
+      console.error(`❌ Reload after refresh job ${jobId} failed:`, (err as Error).message);
+    }
+  });
+  // The worker isn't scraped, so failures are counted here from the job record
+  _events.on('failed', async ({ jobId }) => {
+    const job = await getIngestionQueue().getJob(jobId).catch(() => null);
+    if (!job) return;
+    const seconds = job.processedOn && job.finishedOn ? (job.finishedOn - job.processedOn) / 1000 : 0;
+    recordJobMetrics(job.data.mode, 'failed', seconds);
+  });
+
+  const queue = getIngestionQueue();
+  if (everyMs > 0) {
+    await queue.upsertJobScheduler(SCHEDULER_ID, { every: everyMs }, {
+      name: JOB_NAME,
+      data: { mode: env.AUTO_REFRESH_MODE, triggeredBy: 'schedule' },
+    });
+  } else {
+    await queue.removeJobScheduler(SCHEDULER_ID);
+  }
+}
+
+export async function stopRefreshJobs(): Promise<void> {
+  if (_timer) clearInterval(_timer);
+  _timer = null;
+  await _events?.close();
+  await _queue?.close();
+  _events = null;
+  _queue = null;
+}
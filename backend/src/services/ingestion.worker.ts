@@ -1,159 +1,95 @@
 /**
  * services/ingestion.worker.ts — BullMQ worker for URA data ingestion
  *
- * Handles scheduled and on-demand URA API data refresh.
- * Tracks ingestion batches in PostgreSQL for audit trail.
- * Invalidates caches after successful ingestion.
+ * Run as its own process (`npm run worker`) with ENABLE_WORKER=true on the API.
+ * Executes the refresh jobs queued by ingestion.ts: sales batches and rental
+ * quarters are fetched here, with per-step progress on the job, and the result
+ * is published to the disk cache and (ENABLE_DB) PostgreSQL. The API process
+ * reloads from there when it sees the job complete.
+ *
+ * Tracks each run in ingestion_batches (ENABLE_DB) for an audit trail, and serves
+ * its own Prometheus metrics on WORKER_METRICS_PORT (URA upstream calls, token expiry).
  *
  * Queue: 'ura-ingestion'
  * Jobs:
- *   - refresh-all: Full refresh of sales + rental data
- *   - refresh-sales: Sales data only
- *   - refresh-rental: Rental data only
+ *   - refresh: { mode: 'full' | 'incremental', triggeredBy }
  */
-import { Queue, Worker, type Job } from 'bullmq';
+import 'dotenv/config';
+import { pathToFileURL } from 'url';
+import { Worker, type Job } from 'bullmq';
+import { eq } from 'drizzle-orm';
 import { env } from '../config/env.ts';
-import { getRedis } from '../config/redis.ts';
-import { getDb } from '../config/database.ts';
-import { getPool } from '../config/database.ts';
+import { getDb, closeDb } from '../config/database.ts';
 import { getCache } from './cache-service.ts';
-import { ingestionBatches, salesTransactions, rentalTransactions } from '../db/schema.ts';
-import type { NewSalesTransaction, NewRentalTransaction } from '../db/schema.ts';
-import { eq } from 'drizzle-orm';
-
-const QUEUE_NAME = 'ura-ingestion';
-
-// ── Queue ──
-
-let _queue: Queue | null = null;
-
-export function getIngestionQueue(): Queue {
-  if (_queue) return _queue;
-  _queue = new Queue(QUEUE_NAME, {
-    connection: { url: env.REDIS_URL },
-    defaultJobOptions: {
-      removeOnComplete: { count: 50 },
-      removeOnFail: { count: 20 },
-      attempts: 3,
-      backoff: { type: 'exponential', delay: 30_000 },
-    },
-  });
-  return _queue;
-}
-
-/**
- * Schedule recurring ingestion via cron.
- */
-export async function scheduleIngestion(): Promise<void> {
-  const queue = getIngestionQueue();
-  // Remove existing repeat jobs
-  const repeatable = await queue.getRepeatableJobs();
-  for (const job of repeatable) {
-    await queue.removeRepeatableByKey(job.key);
-  }
-  // Add cron job
-  await queue.add('refresh-all', {}, {
-    repeat: { pattern: env.INGESTION_CRON },
-  });
-  console.log(`[Ingestion] Scheduled: ${env.INGESTION_CRON}`);
-}
-
-/**
- * Trigger an immediate ingestion.
- */
-export async function triggerIngestion(type: 'refresh-all' | 'refresh-sales' | 'refresh-rental' = 'refresh-all'): Promise<string> {
-  const queue = getIngestionQueue();
-  const job = await queue.add(type, { triggeredBy: 'manual', timestamp: new Date().toISOString() });
-  return job.id || 'unknown';
-}
-
-// ── Worker ──
-
-export interface IngestionResult {
-  batchId: string;
-  salesCount: number;
-  rentalCount: number;
-  durationMs: number;
-}
-
-/**
- * Start the BullMQ worker. Call once at server startup.
- */
-export function startIngestionWorker(): Worker {
-  const worker = new Worker(QUEUE_NAME, async (job: Job) => {
-    console.log(`[Ingestion] Starting job: ${job.name} (id: ${job.id})`);
-    const start = Date.now();
-    const db = getDb();
-    const cache = getCache();
-
-    // Create batch record
-    const result = await db.insert(ingestionBatches)
+import { ingestionBatches } from '../db/schema.ts';
+import { buildDashboardData, reloadStores, getLastSync, getFullCacheInfo } from './dashboard.ts';
+import { getTokenInfo } from './ura-client.ts';
+import { persistSettled } from './dal.ts';
+import { registerStateMetrics, serveMetrics } from '../shared/metrics.ts';
+import { QUEUE_NAME, QUEUE_PREFIX, queueConnection, type RefreshJobData, type RefreshJobResult } from './ingestion.ts';
+
+async function processRefresh(job: Job<RefreshJobData, RefreshJobResult>): Promise<RefreshJobResult> {
+  console.log(`[Ingestion] Starting ${job.data.mode} refresh (id: ${job.id}, by: ${job.data.triggeredBy})`);
+  const start = Date.now();
+
+  let batchId: string | null = null;
+  if (env.ENABLE_DB) {
+    const [batch] = await getDb().insert(ingestionBatches)
       .values({ startedAt: new Date() })
       .returning({ id: ingestionBatches.id });
+    batchId = batch?.id ?? null;
+  }
 
-    const batch = result[0];
-    if (!batch) throw new Error('Failed to create ingestion batch');
-    const batchId = batch.id;
-
-    try {
-      let salesCount = 0;
-      let rentalCount = 0;
-
-      if (job.name === 'refresh-all' || job.name === 'refresh-sales') {
-        salesCount = await ingestSales(batchId);
-        await job.updateProgress(50);
-      }
-
-      if (job.name === 'refresh-all' || job.name === 'refresh-rental') {
-        rentalCount = await ingestRental(batchId);
-        await job.updateProgress(90);
-      }
-
-      const durationMs = Date.now() - start;
-
-      // Update batch record
-      await db.update(ingestionBatches)
+  try {
+    await buildDashboardData(true, {
+      incremental: job.data.mode === 'incremental',
+      onProgress: (p) => {
+        job.updateProgress(p).catch(() => { /* progress is best-effort */ });
+      },
+    });
+    // The API reloads from PostgreSQL as soon as the job completes — make sure it's written
+    if (env.ENABLE_DB) await persistSettled();
+    await getCache().invalidateAll();
+
+    const sync = getLastSync();
+    if (batchId) {
+      await getDb().update(ingestionBatches)
         .set({
           completedAt: new Date(),
           status: 'completed',
-          salesCount,
-          rentalCount,
-          durationMs,
+          salesCount: sync?.salesTotal ?? 0,
+          rentalCount: sync?.rentalTotal ?? 0,
+          durationMs: Date.now() - start,
         })
         .where(eq(ingestionBatches.id, batchId));
-
-      // Invalidate all caches
-      await cache.invalidateAll();
-
-      // Refresh materialized views
-      try {
-        const pool = getPool();
-        await pool.query('REFRESH MATERIALIZED VIEW CONCURRENTLY mv_dashboard_by_year');
-        await pool.query('REFRESH MATERIALIZED VIEW CONCURRENTLY mv_dashboard_by_district');
-        await pool.query('REFRESH MATERIALIZED VIEW CONCURRENTLY mv_project_summary');
-      } catch (mvErr) {
-        console.warn('[Ingestion] Materialized view refresh failed (may not exist yet):', (mvErr as Error).message);
-      }
-
-      console.log(`[Ingestion] Complete: ${salesCount} sales, ${rentalCount} rentals in ${durationMs}ms`);
-
-      return { batchId: batchId, salesCount, rentalCount, durationMs } satisfies IngestionResult;
-
-    } catch (err) {
-      const durationMs = Date.now() - start;
-      await db.update(ingestionBatches)
+    }
+    await job.updateProgress({ step: 'done', pct: 100, message: 'Done' });
+    console.log(`[Ingestion] Complete: ${sync?.salesTotal ?? 0} sales, ${sync?.rentalTotal ?? 0} rentals in ${Date.now() - start}ms`);
+    return { sync };
+  } catch (err) {
+    if (batchId) {
+      await getDb().update(ingestionBatches)
         .set({
           completedAt: new Date(),
           status: 'failed',
           error: (err as Error).message,
-          durationMs,
+          durationMs: Date.now() - start,
         })
-        .where(eq(ingestionBatches.id, batchId));
-
-      throw err;
+        .where(eq(ingestionBatches.id, batchId))
+        .catch(() => { /* keep the original error */ });
     }
-  }, {
-    connection: { url: env.REDIS_URL },
+    throw err;
+  }
+}
+
+/**
+ * Start the BullMQ worker. Jobs run one at a time regardless of concurrency —
+ * buildDashboardData() joins an in-flight build rather than starting a second.
+ */
+export function startIngestionWorker(): Worker<RefreshJobData, RefreshJobResult> {
+  const worker = new Worker<RefreshJobData, RefreshJobResult>(QUEUE_NAME, processRefresh, {
+    connection: queueConnection(),
+    prefix: QUEUE_PREFIX,
     concurrency: env.INGESTION_CONCURRENCY,
   });
 
@@ -168,52 +104,33 @@ export function startIngestionWorker(): Worker {
   return worker;
 }
 
-// ── Ingest functions ──
-// These are stubs that demonstrate the DB write pattern.
-// In production, they call the URA API (ura-client.ts) and transform data.
-
-async function ingestSales(batchId: string): Promise<number> {
-  // TODO: Replace with actual URA API calls from ura-client.ts
-  // For now, this shows the Drizzle insert pattern:
-  //
-  // const projects = await uraGet('/salesMonth'); // from ura-client.ts
-  // const records: NewSalesTransaction[] = projects.flatMap(proj =>
-  //   proj.transaction.map(tx => ({
-  //     project: proj.project,
-  //     street: proj.street,
-  //     district: `D${tx.district}`,
-  //     marketSegment: proj.marketSegment as 'CCR' | 'RCR' | 'OCR',
-  //     propertyType: tx.propertyType,
-  //     tenure: tx.tenure.includes('Freehold') ? 'Freehold' : 'Leasehold',
-  //     areaSqft: String(parseFloat(tx.area) * 10.764),
-  //     price: parseInt(tx.price),
-  //     psf: String(parseInt(tx.price) / (parseFloat(tx.area) * 10.764)),
-  //     floorRange: tx.floorRange.replace(' to ', '-'),
-  //     floorMid: Math.round((lo + hi) / 2),
-  //     saleType: saleTypeMap[tx.typeOfSale],
-  //     contractDate: parsedDate,
-  //     year: parsedYear,
-  //     quarter: parsedQuarter,
-  //     bedrooms: inferredBedrooms,
-  //     batchId,
-  //   }))
-  // );
-  //
-  // // Upsert in batches of 500 (ON CONFLICT DO NOTHING for dedup)
-  // const db = getDb();
-  // for (let i = 0; i < records.length; i += 500) {
-  //   await db.insert(salesTransactions)
-  //     .values(records.slice(i, i + 500))
-  //     .onConflictDoNothing({ target: [salesTransactions.project, salesTransactions.contractDate, salesTransactions.price, salesTransactions.areaSqft, salesTransactions.floorRange] });
-  // }
-  // return records.length;
-
-  console.log(`[Ingestion] Sales ingest stub (batchId: ${batchId})`);
-  return 0;
+// ── Entry point ──
+
+async function main(): Promise<void> {
+  // Incremental jobs diff against the current stores, so start from what was last published
+  await reloadStores();
+  const worker = startIngestionWorker();
+  console.log(`[Ingestion] Worker listening on '${QUEUE_NAME}'`);
+
+  // URA is called from this process, so its upstream counters and token live here
+  registerStateMetrics({ cacheInfo: getFullCacheInfo, tokenInfo: getTokenInfo, lastSync: getLastSync });
+  const metrics = env.WORKER_METRICS_PORT ? serveMetrics(env.WORKER_METRICS_PORT) : null;
+  if (metrics) console.log(`[Ingestion] Metrics on :${env.WORKER_METRICS_PORT}/metrics`);
+
+  const shutdown = async (signal: string) => {
+    console.log(`[Ingestion] ${signal} — finishing current job...`);
+    metrics?.close();
+    await worker.close();
+    if (env.ENABLE_DB) await closeDb();
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
 }
 
-async function ingestRental(batchId: string): Promise<number> {
-  // TODO: Same pattern as ingestSales but for rental data
-  console.log(`[Ingestion] Rental ingest stub (batchId: ${batchId})`);
-  return 0;
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((err) => {
+    console.error('[Ingestion] Worker failed to start:', err);
+    process.exit(1);
+  });
 }
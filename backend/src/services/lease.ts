@@ -0,0 +1,27 @@
+/**
+ * lease.ts — Remaining lease and lease decay (Bala's curve)
+ *
+ * Years of lease left on a sale, and the curve (shared/lease-curve.ts) that
+ * turns them into a share of freehold value. The ratio of the curve at two
+ * points is the lease-decay adjustment: how much of a unit's value change
+ * between them is the lease running down rather than the market moving.
+ * Freehold and 999-year leases don't decay.
+ */
+import type { SalesRecord } from '../types.ts';
+
+export { BALA_CURVE, balaFactor, leaseDecay } from '../shared/lease-curve.ts';
+
+/** Leases this long are treated as freehold */
+const PERPETUAL_YEARS = 999;
+
+/** Years from the start of `ls` to the middle of month `d` (YYYY-MM) */
+const elapsed = (ls: number, d: string) => parseInt(d.slice(0, 4)) - ls + ((parseInt(d.slice(5, 7)) || 1) - 0.5) / 12;
+
+/**
+ * Years of lease left at `date` (YYYY-MM), or null when it doesn't run down:
+ * freehold, 999-year, or a lease whose length or start URA didn't give.
+ */
+export function leaseLeft(r: Pick<SalesRecord, 'tn' | 'ly' | 'ls'>, date: string): number | null {
+  if (r.tn === 'Freehold' || !r.ly || !r.ls || r.ly >= PERPETUAL_YEARS) return null;
+  return Math.max(0, r.ly - elapsed(r.ls, date));
+}
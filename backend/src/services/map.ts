@@ -0,0 +1,129 @@
+/**
+ * map.ts — Project locations for the map views and radius comparables
+ *
+ * Locations come from the x / y URA publishes per project (geo.ts converts them)
+ * and are published with the stores as `projectLocations`. Everything here is
+ * derived from that map, so the district geometry is rebuilt only when a new
+ * generation is published.
+ */
+import { buildDashboardData } from './dashboard.ts';
+import { dashboardCache, projectLocations, projYearData } from './state.ts';
+import { salesForProject } from './dal.ts';
+import { distanceM, districtAreas, svy21ToWgs84 } from './geo.ts';
+
+/** Per-project summary the aggregator publishes as projYearData (state.ts types it loosely) */
+interface ProjectSummary { street: string; dist: string; seg: string; type: string; n: number; psf: number; yield: number }
+const summaries = () => projYearData as unknown as Record<string, ProjectSummary>;
+
+/** Radius used for the "nearby" comparables on the project page */
+export const NEARBY_RADIUS_M = 1000;
+
+export interface NearbyProject {
+  name: string;
+  district: string;
+  street: string;
+  segment: string;
+  type: string;
+  psf: number;
+  yield: number;
+  n: number;
+  lat: number;
+  lng: number;
+  distanceM: number;
+  sameDistrict: boolean;
+}
+
+export interface NearbyResult {
+  project: string;
+  /** null when URA published no coordinates for the project */
+  location: { lat: number; lng: number } | null;
+  radiusM: number;
+  projects: NearbyProject[];
+}
+
+/** Names and distances of located projects within `radiusM` of `name`, nearest first */
+export function projectsWithin(name: string, radiusM: number): Array<{ name: string; distanceM: number }> {
+  const centre = projectLocations[name];
+  if (!centre) return [];
+  const out: Array<{ name: string; distanceM: number }> = [];
+  for (const [other, loc] of Object.entries(projectLocations)) {
+    if (other === name) continue;
+    const d = distanceM(centre, loc);
+    if (d <= radiusM) out.push({ name: other, distanceM: Math.round(d) });
+  }
+  return out.sort((a, b) => a.distanceM - b.distanceM);
+}
+
+/** Projects with enough sales to compare (projYearData) within `radiusM`, across district lines */
+export async function getNearbyProjects(name: string, radiusM = NEARBY_RADIUS_M, limit = 50): Promise<NearbyResult | null> {
+  if (!dashboardCache) await buildDashboardData();
+  const centre = projectLocations[name];
+  const byName = summaries();
+  if (!centre && !byName[name]) return null;
+
+  const dist = byName[name]?.dist ?? salesForProject(name)[0]?.di;
+  const projects: NearbyProject[] = [];
+  for (const { name: other, distanceM: d } of projectsWithin(name, radiusM)) {
+    const pd = byName[other];
+    if (!pd) continue;
+    const loc = projectLocations[other]!;
+    projects.push({
+      name: other, district: pd.dist, street: pd.street, segment: pd.seg, type: pd.type,
+      psf: pd.psf, yield: pd.yield, n: pd.n, lat: loc.lat, lng: loc.lng, distanceM: d, sameDistrict: pd.dist === dist,
+    });
+    if (projects.length >= limit) break;
+  }
+  return { project: name, location: centre ? { lat: centre.lat, lng: centre.lng } : null, radiusM, projects };
+}
+
+// ── Map data ──
+
+export interface MapData {
+  projects: Array<{ name: string; district: string; segment: string; psf: number | null; n: number; lat: number; lng: number }>;
+  /** GeoJSON FeatureCollection: one MultiPolygon per district, approximated from project locations */
+  districts: {
+    type: 'FeatureCollection';
+    features: Array<{
+      type: 'Feature';
+      properties: { district: string; projects: number };
+      geometry: { type: 'MultiPolygon'; coordinates: number[][][][] };
+    }>;
+  };
+}
+
+let mapCache: { locations: object; data: MapData } | null = null;
+
+/** [x, y] SVY21 → [lng, lat] at ~1 m precision */
+function toLngLat([x, y]: [number, number]): number[] {
+  const { lat, lng } = svy21ToWgs84(y, x);
+  return [+lng.toFixed(5), +lat.toFixed(5)];
+}
+
+/** Every located project plus district areas, for the map tab */
+export async function getMapData(): Promise<MapData> {
+  if (!dashboardCache) await buildDashboardData();
+  if (mapCache?.locations === projectLocations) return mapCache.data;
+
+  const byName = summaries();
+  const projects: MapData['projects'] = [];
+  for (const [name, loc] of Object.entries(projectLocations)) {
+    const pd = byName[name];
+    const first = pd ? null : salesForProject(name)[0];
+    const district = pd?.dist ?? first?.di;
+    if (!district) continue;
+    projects.push({ name, district, segment: pd?.seg ?? first!.sg, psf: pd?.psf ?? null, n: pd?.n ?? salesForProject(name).length, lat: loc.lat, lng: loc.lng });
+  }
+
+  const t0 = Date.now();
+  const areas = districtAreas(projects.map(p => ({ ...projectLocations[p.name]!, district: p.district })));
+  const features = areas.map(a => ({
+    type: 'Feature' as const,
+    properties: { district: a.district, projects: projects.filter(p => p.district === a.district).length },
+    geometry: { type: 'MultiPolygon' as const, coordinates: a.polygons.map(rings => rings.map(ring => ring.map(toLngLat))) },
+  }));
+  console.log(`🗺️  District areas built (${features.length} districts from ${projects.length} projects, ${Date.now() - t0}ms)`);
+
+  const data: MapData = { projects, districts: { type: 'FeatureCollection', features } };
+  mapCache = { locations: projectLocations, data };
+  return data;
+}
@@ -0,0 +1,251 @@
+/**
+ * price-index.ts — Repeat-sales price index per district and segment
+ *
+ * Average-PSF growth (distPerf, cagrData) moves with the mix of what sold: a
+ * year heavy with new launches looks like a price jump. A repeat-sales index
+ * only compares a unit with itself, so mix drops out.
+ *
+ *   unit     project + floor band + exact area. URA does not publish unit
+ *            numbers, so two units stacked in one band with the same layout
+ *            count as one; pairs whose price moved more than MAX_LOG_CHANGE are
+ *            dropped as almost certainly different units
+ *   pair     consecutive sales of a unit in different quarters
+ *   model    Case-Shiller three-stage weighted repeat sales: OLS of the log
+ *            price ratio on quarter dummies (-1 first sale, +1 second), then
+ *            the squared residuals regressed on the holding period, then WLS
+ *            with the inverse of that fitted variance, so long holds (noisier)
+ *            count for less
+ *
+ * Series are built once per published sales store (WeakMap, like dal.ts) and
+ * rebased per request.
+ */
+import { buildDashboardData } from './dashboard.ts';
+import { dashboardCache } from './state.ts';
+import { allSales } from './dal.ts';
+import { distSort } from './helpers.ts';
+import type { SalesRecord } from '../types.ts';
+
+const MAX_LOG_CHANGE = Math.log(3);
+const MIN_SERIES_PAIRS = 30;
+/** Quarters with fewer pairs than this are flagged thin */
+const THIN_QUARTER_PAIRS = 10;
+/** CAGR window in years, same as the average-PSF CAGR in the dashboard */
+export const INDEX_CAGR_YEARS = 5;
+
+export type IndexKind = 'market' | 'segment' | 'district';
+
+export interface IndexPoint {
+  q: string;        // "2024Q1"
+  index: number;    // 100 at the series base quarter
+  pairs: number;    // pairs with a sale in this quarter
+  thin?: boolean;
+}
+
+export interface IndexSeries {
+  key: string;      // "all", "CCR", "D10"
+  kind: IndexKind;
+  pairs: number;
+  base: string;
+  /** Annualised index growth over the last INDEX_CAGR_YEARS years, or null if the series is shorter */
+  cagr: number | null;
+  points: IndexPoint[];
+}
+
+export interface PriceIndex {
+  method: 'repeat-sales';
+  cagrYears: number;
+  pairs: number;
+  series: IndexSeries[];
+}
+
+interface Pair { t0: number; t1: number; y: number; di: string; sg: string }
+
+// Quarter ordinal: year * 4 + quarter - 1
+const ordinal = (d: string) => parseInt(d.slice(0, 4)) * 4 + Math.floor(((parseInt(d.slice(5, 7)) || 1) - 1) / 3);
+const label = (t: number) => `${Math.floor(t / 4)}Q${(t % 4) + 1}`;
+
+/** Consecutive sales of the same unit in different quarters */
+export function repeatPairs(sales: SalesRecord[]): Pair[] {
+  const units = new Map<string, SalesRecord[]>();
+  for (const r of sales) {
+    if (!r.fl || !r.a || !(r.pr > 0)) continue;
+    const k = `${r.p}|${r.fl}|${r.a}`;
+    const list = units.get(k);
+    if (list) list.push(r); else units.set(k, [r]);
+  }
+  const pairs: Pair[] = [];
+  for (const list of units.values()) {
+    if (list.length < 2) continue;
+    list.sort((a, b) => (a.d < b.d ? -1 : a.d > b.d ? 1 : 0));
+    for (let i = 1; i < list.length; i++) {
+      const a = list[i - 1]!, b = list[i]!;
+      const t0 = ordinal(a.d), t1 = ordinal(b.d);
+      const y = Math.log(b.pr / a.pr);
+      if (t1 <= t0 || Math.abs(y) > MAX_LOG_CHANGE) continue;
+      pairs.push({ t0, t1, y, di: b.di, sg: b.sg });
+    }
+  }
+  return pairs;
+}
+
+/** Solve A·x = b for symmetric positive-definite A (Cholesky, in place) */
+export function cholSolve(A: Float64Array[], b: Float64Array): Float64Array {
+  const n = b.length;
+  for (let j = 0; j < n; j++) {
+    const Aj = A[j]!;
+    let d = Aj[j]!;
+    for (let k = 0; k < j; k++) d -= Aj[k]! * Aj[k]!;
+    d = Math.sqrt(Math.max(d, 1e-12));
+    Aj[j] = d;
+    for (let i = j + 1; i < n; i++) {
+      const Ai = A[i]!;
+      let s = Ai[j]!;
+      for (let k = 0; k < j; k++) s -= Ai[k]! * Aj[k]!;
+      Ai[j] = s / d;
+    }
+  }
+  const x = new Float64Array(b);
+  for (let i = 0; i < n; i++) {
+    for (let k = 0; k < i; k++) x[i]! -= A[i]![k]! * x[k]!;
+    x[i]! /= A[i]![i]!;
+  }
+  for (let i = n - 1; i >= 0; i--) {
+    for (let k = i + 1; k < n; k++) x[i]! -= A[k]![i]! * x[k]!;
+    x[i]! /= A[i]![i]!;
+  }
+  return x;
+}
+
+/** Weighted least squares for the log index; quarter 0 of `col` is the base (fixed at 0) */
+function fitLogIndex(pairs: Pair[], col: Map<number, number>, weights: ArrayLike<number> | null): Float64Array {
+  const n = col.size - 1;
+  const A = Array.from({ length: n }, () => new Float64Array(n));
+  const b = new Float64Array(n);
+  pairs.forEach((p, k) => {
+    const w = weights ? weights[k]! : 1;
+    const i = col.get(p.t1)! - 1, j = col.get(p.t0)! - 1;
+    if (i >= 0) { A[i]![i]! += w; b[i]! += w * p.y; }
+    if (j >= 0) { A[j]![j]! += w; b[j]! -= w * p.y; }
+    if (i >= 0 && j >= 0) { A[i]![j]! -= w; A[j]![i]! -= w; }
+  });
+  // A quarter only linked to the rest through its own pairs can leave A singular; a tiny ridge keeps it solvable
+  for (let i = 0; i < n; i++) A[i]![i]! += 1e-6;
+  const x = cholSolve(A, b);
+  const out = new Float64Array(n + 1);
+  out.set(x, 1);
+  return out;
+}
+
+function buildSeries(key: string, kind: IndexKind, pairs: Pair[]): IndexSeries | null {
+  if (pairs.length < MIN_SERIES_PAIRS) return null;
+  const quarters = [...new Set(pairs.flatMap(p => [p.t0, p.t1]))].sort((a, b) => a - b);
+  const col = new Map(quarters.map((t, i) => [t, i]));
+
+  // Stage 1: OLS
+  const ols = fitLogIndex(pairs, col, null);
+  // Stage 2: squared residual ~ a + b·(holding period in quarters)
+  let sx = 0, sy = 0, sxx = 0, sxy = 0;
+  for (const p of pairs) {
+    const e = p.y - (ols[col.get(p.t1)!]! - ols[col.get(p.t0)!]!);
+    const x = p.t1 - p.t0, y = e * e;
+    sx += x; sy += y; sxx += x * x; sxy += x * y;
+  }
+  const m = pairs.length;
+  const slope = m * sxx - sx * sx > 0 ? (m * sxy - sx * sy) / (m * sxx - sx * sx) : 0;
+  const icpt = (sy - slope * sx) / m;
+  const floor = Math.max(sy / m / 10, 1e-6);
+  const weights = pairs.map(p => 1 / Math.max(icpt + slope * (p.t1 - p.t0), floor));
+  // Stage 3: WLS
+  const beta = fitLogIndex(pairs, col, weights);
+
+  const counts = new Map<number, number>();
+  for (const p of pairs) {
+    counts.set(p.t0, (counts.get(p.t0) || 0) + 1);
+    counts.set(p.t1, (counts.get(p.t1) || 0) + 1);
+  }
+  const points = quarters.map((t, i) => {
+    const n = counts.get(t) || 0;
+    const pt: IndexPoint = { q: label(t), index: 100 * Math.exp(beta[i]!), pairs: n };
+    if (n < THIN_QUARTER_PAIRS) pt.thin = true;
+    return pt;
+  });
+  return { key, kind, pairs: pairs.length, base: points[0]!.q, cagr: null, points };
+}
+
+/** Rebase to 100 at `base` (when the series has it), round, and work out the trailing CAGR */
+function finish(s: IndexSeries, base?: string): IndexSeries {
+  const at = base ? s.points.find(p => p.q === base) : undefined;
+  const ref = at ? at.index : s.points[0]!.index;
+  const points = s.points.map(p => ({ ...p, index: +(p.index / ref * 100).toFixed(1) }));
+  const last = points[points.length - 1]!;
+  const [y, q] = last.q.split('Q');
+  const start = points.find(p => p.q === `${parseInt(y!) - INDEX_CAGR_YEARS}Q${q}`);
+  const cagr = start ? +((Math.pow(last.index / start.index, 1 / INDEX_CAGR_YEARS) - 1) * 100).toFixed(1) : null;
+  return { ...s, base: at ? at.q : s.points[0]!.q, cagr, points };
+}
+
+const indexCache = new WeakMap<object, { pairs: number; series: IndexSeries[] }>();
+
+function allSeries(sales: SalesRecord[]): { pairs: number; series: IndexSeries[] } {
+  let entry = indexCache.get(sales);
+  if (entry) return entry;
+  const t0 = Date.now();
+  const pairs = repeatPairs(sales);
+  const bySeg = new Map<string, Pair[]>(), byDist = new Map<string, Pair[]>();
+  for (const p of pairs) {
+    (bySeg.get(p.sg) || bySeg.set(p.sg, []).get(p.sg)!).push(p);
+    (byDist.get(p.di) || byDist.set(p.di, []).get(p.di)!).push(p);
+  }
+  const series = [
+    buildSeries('all', 'market', pairs),
+    ...['CCR', 'RCR', 'OCR'].map(sg => buildSeries(sg, 'segment', bySeg.get(sg) || [])),
+    ...[...byDist.keys()].sort(distSort).map(di => buildSeries(di, 'district', byDist.get(di)!)),
+  ].filter((s): s is IndexSeries => s !== null);
+  entry = { pairs: pairs.length, series };
+  indexCache.set(sales, entry);
+  console.log(`📈 Repeat-sales index built (${pairs.length} pairs, ${series.length} series, ${Date.now() - t0}ms)`);
+  return entry;
+}
+
+/**
+ * Index level (base = 100) at a YYYY-MM date from the narrowest series with
+ * enough pairs: the district, then the segment, then the market. Dates outside
+ * the series take the nearest end; quarters with no pairs the one before.
+ */
+export function indexLevelFor(sales: SalesRecord[], district: string, segment: string): { key: string; at: (d: string) => number } | null {
+  const { series } = allSeries(sales);
+  const s = series.find(x => x.kind === 'district' && x.key === district)
+    || series.find(x => x.kind === 'segment' && x.key === segment)
+    || series.find(x => x.kind === 'market');
+  if (!s) return null;
+  const pts = s.points.map(p => [parseInt(p.q) * 4 + parseInt(p.q.slice(5)) - 1, p.index] as const);
+  return {
+    key: s.key,
+    at: (d: string) => {
+      const t = ordinal(d);
+      let level = pts[0]![1];
+      for (const [q, v] of pts) { if (q > t) break; level = v; }
+      return level;
+    },
+  };
+}
+
+export interface PriceIndexOpts {
+  /** Comma-separated districts; the market and segment series are always included */
+  district?: string;
+  segment?: string;
+  /** Quarter to rebase to 100, e.g. "2019Q1" */
+  base?: string;
+}
+
+/** Quarterly repeat-sales index: market, segments and districts (or the ones asked for) */
+export async function getPriceIndex(opts: PriceIndexOpts = {}): Promise<PriceIndex> {
+  if (!dashboardCache) await buildDashboardData();
+  const { pairs, series } = allSeries(allSales());
+  const districts = opts.district ? new Set(opts.district.split(',')) : null;
+  const picked = series.filter(s =>
+    s.kind === 'market' ||
+    (s.kind === 'segment' && (!opts.segment || s.key === opts.segment)) ||
+    (s.kind === 'district' && (!districts || districts.has(s.key))));
+  return { method: 'repeat-sales', cagrYears: INDEX_CAGR_YEARS, pairs, series: picked.map(s => finish(s, opts.base)) };
+}
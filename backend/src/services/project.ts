@@ -4,13 +4,17 @@
  * Handles individual project data, nearby comparisons, floor premium analysis.
  */
 import { fetchBatch } from './ura-client.ts';
-import { parseDate, parseFloor, avg, med, getYield } from './helpers.ts';
+import { parseDate, parseFloor, parseTenure, tenureLabel, avg, med, getYield } from './helpers.ts';
+import { leaseLeft, balaFactor } from './lease.ts';
 import { inferBedrooms } from './bedroom.ts';
+import { projectYield } from './rental-yield.ts';
 import { buildDashboardData } from './dashboard.ts';
 import {
   dashboardCache, projectBatchMap, projectCache, PROJECT_CACHE_MAX,
-  salesStore, rentalStore, projYearData, computedYield,
+  projYearData, computedYield,
 } from './state.ts';
+import { allSales, allRentals, salesForProject, rentalsForProject } from './dal.ts';
+import { projectsWithin, NEARBY_RADIUS_M } from './map.ts';
 
 import type { ProjectDetail } from '../types.ts';
 export async function getProjectData(projectName: string): Promise<ProjectDetail | null> {
@@ -25,9 +29,9 @@ export async function getProjectData(projectName: string): Promise<ProjectDetail
   const idx = !pool ? dashboardCache?.projIndex?.[projectName] : null;
   const meta = pool || (idx ? { dist: idx.dist, type: idx.type, segment: idx.seg, street: idx.street } : null);
 
-  // ── Fast path: build from in-memory salesStore ──
-  if (salesStore.length > 0) {
-    const projSales = salesStore.filter(r => r.p === projectName);
+  // ── Fast path: build from the in-memory working set ──
+  if (allSales().length > 0) {
+    const projSales = salesForProject(projectName);
     if (projSales.length > 0) {
       const first = projSales[0];
       const fakeProject = {
@@ -45,7 +49,7 @@ export async function getProjectData(projectName: string): Promise<ProjectDetail
           floorRange: r.fl || '-',
           district: r.di ? r.di.replace('D', '') : '',
           typeOfSale: r.tp === 'New Sale' ? '1' : r.tp === 'Sub Sale' ? '2' : '3',
-          tenure: r.tn || '',
+          tenure: tenureLabel(r),
         })),
       };
       const result = buildProjectResult(fakeProject, meta);
@@ -92,7 +96,7 @@ function buildProjectResult(p, pool) {
   const rawDist = p.transaction?.[0]?.district ? `D${parseInt(p.transaction[0].district)}` : '';
   const dist = pool?.dist || rawDist;
 
-  const realProjRentals = rentalStore.filter(r => r.p === projectName);
+  const realProjRentals = rentalsForProject(projectName);
 
   const txs = (p.transaction || []).map(tx => {
     const d = parseDate(tx.contractDate); if (!d) return null;
@@ -102,9 +106,10 @@ function buildProjectResult(p, pool) {
     const psf = Math.round(price / area);
     const fl = parseFloor(tx.floorRange);
     const beds = inferBedrooms(projectName, area);
-    let tenure = 'Leasehold';
-    if (tx.tenure) { const t = tx.tenure.toLowerCase(); if (t.includes('freehold')) tenure = 'Freehold'; else if (t.includes('999')) tenure = '999-yr'; }
-    return { year: String(d.year), quarter: d.quarter, month: d.month, date: `${d.year}-${String(d.month).padStart(2, '0')}`, area, price, psf, floorRange: fl.band, floorMid: fl.mid, saleType: tx.typeOfSale === '1' ? 'New Sale' : tx.typeOfSale === '2' ? 'Sub Sale' : 'Resale', size: area, floor: fl.band, beds, tenure };
+    const ten = parseTenure(tx.tenure);
+    const date = `${d.year}-${String(d.month).padStart(2, '0')}`;
+    const left = leaseLeft({ tn: ten.tenure, ly: ten.leaseYears ?? undefined, ls: ten.leaseStart ?? undefined }, date);
+    return { year: String(d.year), quarter: d.quarter, month: d.month, date, area, price, psf, floorRange: fl.band, floorMid: fl.mid, saleType: tx.typeOfSale === '1' ? 'New Sale' : tx.typeOfSale === '2' ? 'Sub Sale' : 'Resale', size: area, floor: fl.band, beds, tenure: ten.tenure, leaseLeft: left === null ? null : +left.toFixed(1) };
   }).filter(Boolean);
 
   txs.sort((a, b) => (parseInt(b.year) * 100 + b.month) - (parseInt(a.year) * 100 + a.month));
@@ -210,7 +215,7 @@ function buildProjectResult(p, pool) {
   const projTx = txs.map(t => ({
     date: `${t.year}-${String(t.month).padStart(2, '0')}`,
     address: t.floorRange || '-',
-    area: t.area, price: t.price, psf: t.psf, type: t.saleType, beds: t.beds, tenure: t.tenure || '', floorMid: t.floorMid || 0,
+    area: t.area, price: t.price, psf: t.psf, type: t.saleType, beds: t.beds, tenure: t.tenure || '', floorMid: t.floorMid || 0, leaseLeft: t.leaseLeft,
   }));
   const projRentTx = realProjRentals.length > 0
     ? [...realProjRentals].sort((a, b) => b.d.localeCompare(a.d)).map(r => ({
@@ -236,6 +241,10 @@ function buildProjectResult(p, pool) {
   const projStreet = p.street || '';
   const nearbyProjects = _buildNearbyProjects(projectName, dist, projStreet);
 
+  // ─── Lease: years left today and Bala's-curve value vs freehold ───
+  const ten = parseTenure(p.transaction?.[0]?.tenure);
+  const leaseNow = leaseLeft({ tn: ten.tenure, ly: ten.leaseYears ?? undefined, ls: ten.leaseStart ?? undefined }, new Date().toISOString().slice(0, 7));
+
   return {
     projInfo: {
       name: projectName, district: `${dist} (${p.street || ''})`.trim(),
@@ -245,9 +254,13 @@ function buildProjectResult(p, pool) {
       yield: realYield, distAvg,
       hasRealRental: realProjRentals.length > 0,
       rentalPeriod, rentalCount: realProjRentals.length,
+      leaseYears: ten.leaseYears, leaseStart: ten.leaseStart,
+      leaseLeft: leaseNow === null ? null : +leaseNow.toFixed(1), bala: +balaFactor(leaseNow).toFixed(3),
     },
     projPsfTrend, projRentTrend, projFloor, floorPeriod, thinBands, baselineSource,
     projScatter: txs.slice(0, 80).map(t => ({ area: t.area, psf: t.psf, floor: t.floorMid, price: t.price, beds: t.beds })),
+    // Yield per bedroom count from size-matched contracts (rental-yield.ts)
+    unitYield: projectYield(projectName),
     projTx, projRentTx, hmYears, hmFloors, hmMatrix,
     rawTx: txs, projSizes, sizeOptions: allSz, floorRanges: hmFloors, txs,
     nearbyProjects,
@@ -298,7 +311,7 @@ function _buildNearbyProjects(projectName, dist, projStreet) {
   if (!Object.keys(projYearData).length) return [];
 
   const rentalByProj = {};
-  for (const r of rentalStore) {
+  for (const r of allRentals()) {
     if (!rentalByProj[r.p]) rentalByProj[r.p] = { total: 0, n: 0 };
     rentalByProj[r.p].total += r.rn; rentalByProj[r.p].n++;
   }
@@ -306,7 +319,7 @@ function _buildNearbyProjects(projectName, dist, projStreet) {
   // Pre-build per-project per-bedroom per-year PSF and Price
   const projBedYearPsf = {};
   const projBedYearPrice = {};
-  for (const r of salesStore) {
+  for (const r of allSales()) {
     const beds = inferBedrooms(r.p, r.a);
     if (!beds) continue;
     const year = r.d.slice(0, 4);
@@ -323,7 +336,11 @@ function _buildNearbyProjects(projectName, dist, projStreet) {
     }
   }
 
+  // Within walking distance, whichever district — needs URA coordinates for the project
+  const radius = new Map(projectsWithin(projectName, NEARBY_RADIUS_M).map(p => [p.name, p.distanceM]));
+
   const sameStreet = [];
+  const withinRadius = [];
   const sameDist = [];
 
   for (const [name, pd] of Object.entries(projYearData)) {
@@ -346,15 +363,18 @@ function _buildNearbyProjects(projectName, dist, projStreet) {
         for (const [y, yData] of Object.entries(byYear)) { bedYearPrice[beds][y] = Math.round(yData.s / yData.n); }
       }
     }
-    const entry = { name, ...pd, rent, bedYearPsf, bedYearPrice, rel: projStreet && pd.street === projStreet ? 'street' : 'district' };
-    if (projStreet && pd.street === projStreet) {
+    const onStreet = projStreet && pd.street === projStreet;
+    const entry = { name, ...pd, rent, bedYearPsf, bedYearPrice, rel: onStreet ? 'street' : radius.has(name) ? 'radius' : 'district', distanceM: radius.get(name) ?? null };
+    if (onStreet) {
       sameStreet.push(entry);
+    } else if (radius.has(name)) {
+      withinRadius.push(entry);
     } else if (pd.dist === dist) {
       sameDist.push(entry);
     }
   }
   sameStreet.sort((a, b) => b.n - a.n);
+  withinRadius.sort((a, b) => (a.distanceM ?? 0) - (b.distanceM ?? 0));
   sameDist.sort((a, b) => b.n - a.n);
-  const result = [...sameStreet, ...sameDist.slice(0, Math.max(0, 15 - sameStreet.length))];
-  return result.slice(0, 15);
+  return [...sameStreet, ...withinRadius, ...sameDist].slice(0, 15);
 }
@@ -5,102 +5,111 @@
  */
 import { avg, med, distSort, getYield, domSeg } from './helpers.ts';
 import { buildDashboardData } from './dashboard.ts';
-import { dashboardCache, salesStore, rentalStore, computedYield } from './state.ts';
+import { dashboardCache, computedYield } from './state.ts';
+import { env } from '../config/env.ts';
+import { allSales, allRentals, salesIndex, rentalIndex, querySales, queryRentals } from './dal.ts';
+import type { IndexResult } from './search-index.ts';
 import type { SalesSearchOpts, RentalSearchOpts, DashboardFilters, FilterOptions } from '../types.ts';
 import type { SalesSearchOpts, RentalSearchOpts, DashboardFilters, FilterOptions, SearchResult, SalesRecord, RentalRecord } from '../types.ts';
 
 // ═══ PAGINATED SEARCH ═══
 
-export async function searchSales(opts: Partial<SalesSearchOpts> = {}): Promise<SearchResult<any>> {
-  if (!dashboardCache) await buildDashboardData();
-  const { q: rawQ = '', district = '', segment = '', type = '', tenure = '',
-          page = 1, limit = 50, sort = 'date_desc' } = opts;
-  const q = rawQ.slice(0, 200);
-
-  let results = salesStore;
-  if (q) { const ql = q.toLowerCase(); results = results.filter(r => r.p.toLowerCase().includes(ql) || r.st.toLowerCase().includes(ql)); }
-  if (district) results = results.filter(r => r.di === district);
-  if (segment) results = results.filter(r => r.sg === segment);
-  if (type) results = results.filter(r => r.tp === type);
-  if (tenure) results = results.filter(r => r.tn === tenure);
-
-  if (sort === 'price_desc') results = [...results].sort((a, b) => b.pr - a.pr);
-  else if (sort === 'price_asc') results = [...results].sort((a, b) => a.pr - b.pr);
-  else if (sort === 'psf_desc') results = [...results].sort((a, b) => b.ps - a.ps);
-  else if (sort === 'psf_asc') results = [...results].sort((a, b) => a.ps - b.ps);
-  else if (sort === 'area_desc') results = [...results].sort((a, b) => b.a - a.a);
-  else if (sort === 'area_asc') results = [...results].sort((a, b) => a.a - b.a);
-  else if (sort === 'date_asc') results = [...results].sort((a, b) => a.d.localeCompare(b.d));
-  else results = [...results].sort((a, b) => b.d.localeCompare(a.d));
-
-  const total = results.length;
-  const pages = Math.ceil(total / limit);
-  const start = (page - 1) * limit;
-  const slice = results.slice(start, start + limit);
+/**
+ * Sales matching the search filters, in `sort` order. Served from the store's
+ * search index (dal.ts / search-index.ts): `slice` only materialises the rows
+ * asked for, so a page costs the same whatever the store size. With ENABLE_DB
+ * searchSales reads its pages from PostgreSQL instead (dal.ts querySales).
+ */
+export function filterSales(opts: Partial<SalesSearchOpts> = {}): IndexResult<SalesRecord> {
+  const {
+    q = '', project, district, segment, type, tenure, propertyType, bedrooms, from, to,
+    psfMin, psfMax, priceMin, priceMax, areaMin, areaMax, floorMin, floorMax, sort = 'date_desc',
+  } = opts;
+  return salesIndex().query({
+    eq: { project, district: district?.split(','), segment, type, tenure, propertyType: propertyType?.split(','), bedrooms },
+    q: q.slice(0, 200),
+    range: [
+      { key: 'date', min: from, max: to },
+      { key: 'psf', min: psfMin, max: psfMax },
+      { key: 'price', min: priceMin, max: priceMax },
+      { key: 'area', min: areaMin, max: areaMax },
+      // Sales without a floor band sort below every floor; a lone maximum must not pull them in
+      { key: 'floor', min: floorMin ?? (floorMax != null ? 1 : undefined), max: floorMax },
+    ],
+    sort,
+  });
+}
 
+/** API row shape of a sale (search results and exports) */
+export function salesRow(r: SalesRecord) {
   return {
-    total, page, pages, limit,
-    results: slice.map(r => ({
-      date: r.d, project: r.p, street: r.st, district: r.di, segment: r.sg,
-      area: r.a, price: r.pr, psf: r.ps, floor: r.fl, type: r.tp,
-      propertyType: r.pt, tenure: r.tn,
-    })),
+    date: r.d, project: r.p, street: r.st, district: r.di, segment: r.sg,
+    area: r.a, price: r.pr, psf: r.ps, floor: r.fl, type: r.tp,
+    propertyType: r.pt, tenure: r.tn,
   };
 }
 
-export async function searchRental(opts: Partial<RentalSearchOpts> = {}): Promise<SearchResult<any>> {
-  if (!dashboardCache) await buildDashboardData();
-  const { q: rawQ = '', district = '', segment = '', bedrooms = '', areaSqft = '',
-          page = 1, limit = 50, sort = 'date_desc' } = opts;
-  const q = rawQ.slice(0, 200);
-
-  let results = rentalStore;
-  if (q) { const ql = q.toLowerCase(); results = results.filter(r => r.p.toLowerCase().includes(ql) || r.st.toLowerCase().includes(ql)); }
-  if (district) results = results.filter(r => r.di === district);
-  if (segment) results = results.filter(r => r.sg === segment);
-  if (bedrooms) results = results.filter(r => r.br === bedrooms);
-  if (areaSqft) {
-    const [lo, hi] = areaSqft.split('-').map(Number);
-    if (lo >= 0 && hi > 0) results = results.filter(r => r.a >= lo && r.a < hi);
+export async function searchSales(opts: Partial<SalesSearchOpts> = {}): Promise<SearchResult<any>> {
+  const { page = 1, limit = 50 } = opts;
+  const start = (page - 1) * limit;
+  // Sale bedrooms are inferred from the working set's rental model, so that filter stays on the index
+  if (env.ENABLE_DB && !opts.bedrooms) {
+    const { total, records } = await querySales(opts, start, limit);
+    return { total, page, pages: Math.ceil(total / limit), limit, results: records.map(salesRow) };
   }
+  if (!dashboardCache) await buildDashboardData();
+  const { total, slice } = filterSales(opts);
 
-  if (sort === 'rent_desc') results = [...results].sort((a, b) => b.rn - a.rn);
-  else if (sort === 'rent_asc') results = [...results].sort((a, b) => a.rn - b.rn);
-  else if (sort === 'psf_desc') results = [...results].sort((a, b) => b.rp - a.rp);
-  else if (sort === 'psf_asc') results = [...results].sort((a, b) => a.rp - b.rp);
-  else if (sort === 'area_desc') results = [...results].sort((a, b) => b.a - a.a);
-  else if (sort === 'area_asc') results = [...results].sort((a, b) => a.a - b.a);
-  else if (sort === 'date_asc') results = [...results].sort((a, b) => a.d.localeCompare(b.d));
-  else results = [...results].sort((a, b) => b.d.localeCompare(a.d));
-
-  const total = results.length;
-  const pages = Math.ceil(total / limit);
-  const start = (page - 1) * limit;
-  const slice = results.slice(start, start + limit);
+  return { total, page, pages: Math.ceil(total / limit), limit, results: slice(start, start + limit).map(salesRow) };
+}
+
+/** Rental contracts matching the search filters, in `sort` order (see filterSales) */
+export function filterRental(opts: Partial<RentalSearchOpts> = {}): IndexResult<RentalRecord> {
+  const { q = '', project, district, segment, bedrooms, areaSqft = '', sort = 'date_desc' } = opts;
+  const [lo, hi] = areaSqft.split('-').map(Number);
+  return rentalIndex().query({
+    eq: { project, district: district?.split(','), segment, bedrooms },
+    q: q.slice(0, 200),
+    range: lo! >= 0 && hi! > 0 ? [{ key: 'area', min: lo, max: hi, maxExclusive: true }] : [],
+    sort,
+  });
+}
 
+/** API row shape of a rental contract (search results and exports) */
+export function rentalRow(r: RentalRecord) {
   return {
-    total, page, pages, limit,
-    results: slice.map(r => ({
-      period: r.d, project: r.p, street: r.st, district: r.di, segment: r.sg,
-      area: r.af, bedrooms: r.br || '', rent: r.rn, rentPsf: r.rp,
-      contracts: r.nc, leaseDate: r.lc,
-    })),
+    period: r.d, project: r.p, street: r.st, district: r.di, segment: r.sg,
+    area: r.af, bedrooms: r.br || '', rent: r.rn, rentPsf: r.rp,
+    contracts: r.nc, leaseDate: r.lc,
   };
 }
 
+export async function searchRental(opts: Partial<RentalSearchOpts> = {}): Promise<SearchResult<any>> {
+  const { page = 1, limit = 50 } = opts;
+  const start = (page - 1) * limit;
+  if (env.ENABLE_DB) {
+    const { total, records } = await queryRentals(opts, start, limit);
+    return { total, page, pages: Math.ceil(total / limit), limit, results: records.map(rentalRow) };
+  }
+  if (!dashboardCache) await buildDashboardData();
+  const { total, slice } = filterRental(opts);
+
+  return { total, page, pages: Math.ceil(total / limit), limit, results: slice(start, start + limit).map(rentalRow) };
+}
+
 // ═══ FILTERED DASHBOARD ═══
 
 export function buildFilteredDashboard(filters: Partial<DashboardFilters> = {}): Record<string, any> | null {
   if (!dashboardCache) return null;
 
-  let sales = salesStore;
+  let sales = allSales();
   if (filters.district) sales = sales.filter(r => r.di === filters.district);
   if (filters.year)     sales = sales.filter(r => r.d.startsWith(filters.year));
   if (filters.segment)  sales = sales.filter(r => r.sg === filters.segment);
   if (filters.propertyType) sales = sales.filter(r => r.pt === filters.propertyType);
   if (filters.tenure)   sales = sales.filter(r => r.tn === filters.tenure);
 
-  let rentals = rentalStore;
+  let rentals = allRentals();
   if (filters.district) rentals = rentals.filter(r => r.di === filters.district);
   if (filters.year)     rentals = rentals.filter(r => r.d.startsWith(filters.year));
   if (filters.segment)  rentals = rentals.filter(r => r.sg === filters.segment);
@@ -395,6 +404,13 @@ export function buildFilteredDashboard(filters: Partial<DashboardFilters> = {}):
     return { d, cagr, y: yld, seg: domSeg(b.segCounts), bp: eA, total: +(cagr + yld).toFixed(2), cagrYears: CAGR_WINDOW, lowConf };
   }).filter(Boolean).sort((a, b) => b.total - a.total).slice(0, 8);
 
+  const distYoy = Object.entries(byDist as Record<string, { byY?: Record<string, { s: number; n: number }> }>).sort(([a], [b]) => distSort(a, b)).map(([d, b]) => {
+    const l = latY ? b.byY?.[latY] : null;
+    const p = prevY ? b.byY?.[prevY] : null;
+    if (!l || !p || !p.n) return null;
+    return { d, yoy: +((avg(l.s, l.n) / avg(p.s, p.n) - 1) * 100).toFixed(1), n: l.n };
+  }).filter(Boolean);
+
   const distPerf = dNames.map(d => {
     const b = byDist[d];
     const sA = b.byY?.[sY] ? avg(b.byY[sY].s, b.byY[sY].n) : null;
@@ -488,7 +504,7 @@ export function buildFilteredDashboard(filters: Partial<DashboardFilters> = {}):
     sDistLine, rDistLine, sDistBar, rDistBar,
     sType, rType, sTenure,
     sHist, rHist, sScat, rScat, sCum, rCum,
-    yd, cagrData, distPerf, projPerf,
+    yd, cagrData, distPerf, distYoy, projPerf,
     avgCagr: distPerf.length > 0 ? +(distPerf.reduce((s, d) => s + d.cagr, 0) / distPerf.length).toFixed(1) : 0,
     avgYield: yd.length > 0 ? +(yd.reduce((s, d) => s + d.y, 0) / yd.length).toFixed(2) : 0,
     mktSaleTx, mktRentTx, cmpPool, projList, projIndex, distTopPsf,
@@ -500,13 +516,15 @@ export function buildFilteredDashboard(filters: Partial<DashboardFilters> = {}):
 }
 
 export function getFilterOptions(): FilterOptions {
-  const districts = [...new Set(salesStore.map(r => r.di))].sort(distSort);
-  const segments = [...new Set(salesStore.map(r => r.sg))].sort();
-  const types = [...new Set(salesStore.map(r => r.tp))].sort();
-  const tenures = [...new Set(salesStore.map(r => r.tn))].sort();
-  const propertyTypes = [...new Set(salesStore.map(r => r.pt))].sort();
-  const years = [...new Set(salesStore.map(r => r.d.slice(0, 4)))].sort();
-  const bedrooms = [...new Set(rentalStore.map(r => r.br).filter(b => b && b !== ''))].sort((a, b) => parseInt(a) - parseInt(b));
+  const sales = allSales();
+  const rentals = allRentals();
+  const districts = [...new Set(sales.map(r => r.di))].sort(distSort);
+  const segments = [...new Set(sales.map(r => r.sg))].sort();
+  const types = [...new Set(sales.map(r => r.tp))].sort();
+  const tenures = [...new Set(sales.map(r => r.tn))].sort();
+  const propertyTypes = [...new Set(sales.map(r => r.pt))].sort();
+  const years = [...new Set(sales.map(r => r.d.slice(0, 4)))].sort();
+  const bedrooms = [...new Set(rentals.map(r => r.br).filter(b => b && b !== ''))].sort((a, b) => parseInt(a) - parseInt(b));
   const areaSqftRanges = [
     { label: 'Under 500 sf', value: '0-500' },
     { label: '500 - 1,000 sf', value: '500-1000' },
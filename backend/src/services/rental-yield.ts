@@ -0,0 +1,207 @@
+/**
+ * rental-yield.ts — Gross rental yield per unit type
+ *
+ * A project's blended yield (average rent over average PSF) mixes studios
+ * with four-bedders. Here each sale is typed by inferBedrooms() and matched
+ * to rental contracts with the same bedroom count whose URA area band takes
+ * in the type's sizes, so a 2-bedder's yield is 2-bedder rent over 2-bedder
+ * price.
+ *
+ * Rent comes from the project's own contracts when it has enough of them in
+ * the window; otherwise from the same bedroom count and size in the district,
+ * then in the market segment, and failing those the segment's average yield
+ * (getYield). Each type says which one it used in `source`.
+ *
+ * Windows count back from the latest month in the data, not from today, so a
+ * project whose last contracts are a year old still gets its own rents.
+ */
+import { salesForProject, rentalsForProject, allRentals } from './dal.ts';
+import { inferBedrooms } from './bedroom.ts';
+import { getYield } from './helpers.ts';
+import { computedYield } from './state.ts';
+import type { SalesRecord, RentalRecord } from '../types.ts';
+
+export const YIELD_SOURCES = ['project', 'district', 'segment'] as const;
+export type YieldSource = typeof YIELD_SOURCES[number];
+
+/** Contracts needed before a level's rents are used */
+const MIN_RENTALS = 3;
+/** Rental look-back, months; all contracts when every window is thin */
+const RENT_WINDOWS = [12, 24, 36];
+/** Sales look-back, months, for the types' prices, and the sales needed in it */
+const SALE_WINDOWS = [24, 60];
+const MIN_SALES = 5;
+/** Half-width of the band given to a contract without a parseable one */
+const BAND_HALF_SF = 50;
+
+export interface UnitTypeYield {
+  /** Bedrooms, "1".."5" */
+  beds: string;
+  /** Smallest and largest sale sizes of the type, sqft */
+  areaMin: number;
+  areaMax: number;
+  /** Median sale PSF of the type's size-matched sales */
+  salePsf: number;
+  /** Monthly rent for the type's median size, and per sqft */
+  rent: number;
+  rentPsf: number;
+  /** Gross yield, % */
+  yield: number;
+  sales: number;
+  /** Contracts behind the rent; 0 when it is the segment's average yield */
+  rentals: number;
+  source: YieldSource;
+  /** Months of contracts used (YYYY-MM–YYYY-MM), '' for the segment average */
+  rentalPeriod: string;
+}
+
+export interface ProjectYield {
+  project: string;
+  district: string;
+  segment: string;
+  types: UnitTypeYield[];
+  /** Types' yields weighted by their sales, % */
+  blended: number | null;
+  /** Some type's rent is a district or segment estimate */
+  fallback: boolean;
+  /** Sales whose size sits between two bedroom counts, left out */
+  ambiguous: number;
+}
+
+/** Median without med()'s rounding: rent PSF is a few dollars */
+function median(xs: number[]): number {
+  if (!xs.length) return 0;
+  const s = [...xs].sort((a, b) => a - b);
+  const m = Math.floor(s.length / 2);
+  return s.length % 2 ? s[m]! : (s[m - 1]! + s[m]!) / 2;
+}
+
+/** YYYY-MM `n` months before `d`, counting `d` as the first */
+function monthsBack(d: string, n: number): string {
+  const t = new Date(Date.UTC(parseInt(d.slice(0, 4)), parseInt(d.slice(5, 7)) - n, 1));
+  return `${t.getUTCFullYear()}-${String(t.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/** Records from the most recent window with at least `min` of them, else all */
+function recent<T extends { d: string }>(records: T[], windows: number[], min: number): T[] {
+  if (!records.length) return records;
+  const latest = records.reduce((m, r) => (r.d > m ? r.d : m), records[0]!.d);
+  for (const months of windows) {
+    const cutoff = monthsBack(latest, months);
+    const w = records.filter(r => r.d >= cutoff);
+    if (w.length >= min) return w;
+  }
+  return records;
+}
+
+/** A contract's area band [lo, hi] in sqft from "800 - 900", else its area ± 50 */
+function band(r: RentalRecord): [number, number] {
+  const [lo, hi] = r.af.replace(/,/g, '').split('-').map(v => parseFloat(v));
+  if (lo! > 0 && hi! >= lo!) return [lo!, hi!];
+  return [r.a - BAND_HALF_SF, r.a + BAND_HALF_SF];
+}
+
+const period = (rs: RentalRecord[]): string => {
+  const ds = rs.map(r => r.d).sort();
+  return ds.length ? (ds[0] === ds[ds.length - 1] ? ds[0]! : `${ds[0]}–${ds[ds.length - 1]}`) : '';
+};
+
+// District and segment contracts by bedroom count, built once per rental store
+const rentalGroups = new WeakMap<RentalRecord[], Map<string, RentalRecord[]>>();
+
+function groupRentals(): Map<string, RentalRecord[]> {
+  const store = allRentals();
+  let groups = rentalGroups.get(store);
+  if (!groups) {
+    groups = new Map();
+    for (const r of store) {
+      if (!/^\d+$/.test(r.br)) continue;
+      for (const k of [`${r.di}|${r.br}`, `${r.sg}|${r.br}`]) {
+        const list = groups.get(k);
+        if (list) list.push(r); else groups.set(k, [r]);
+      }
+    }
+    rentalGroups.set(store, groups);
+  }
+  return groups;
+}
+
+/** Contracts of `pool` whose band takes in any of `areas` */
+const sizeMatched = (pool: RentalRecord[], areas: number[]) =>
+  pool.filter(r => { const [lo, hi] = band(r); return areas.some(a => a >= lo && a <= hi); });
+
+function typeYield(beds: string, sales: SalesRecord[], project: string, di: string, sg: string): UnitTypeYield {
+  const areas = sales.map(s => s.a);
+  const groups = groupRentals();
+  const levels: Array<[YieldSource, RentalRecord[]]> = [
+    ['project', rentalsForProject(project).filter(r => r.br === beds)],
+    ['district', groups.get(`${di}|${beds}`) || []],
+    ['segment', groups.get(`${sg}|${beds}`) || []],
+  ];
+  let source: YieldSource = 'segment';
+  let matched: RentalRecord[] = [];
+  for (const [level, pool] of levels) {
+    const m = recent(sizeMatched(pool, areas), RENT_WINDOWS, MIN_RENTALS);
+    if (m.length >= MIN_RENTALS) { source = level; matched = m; break; }
+  }
+
+  // Price the sales that fall in the contracts' bands, so both sides are the same size
+  const bands = matched.map(band);
+  const inBand = sales.filter(s => bands.some(([lo, hi]) => s.a >= lo && s.a <= hi));
+  const priced = inBand.length ? inBand : sales;
+  const salePsf = Math.round(median(priced.map(s => s.ps)));
+  const area = median(priced.map(s => s.a));
+  const rentPsf = matched.length
+    ? median(matched.map(r => r.rp))
+    : salePsf * getYield(sg, computedYield) / 12;
+  return {
+    beds, areaMin: Math.min(...areas), areaMax: Math.max(...areas),
+    salePsf, rent: Math.round(rentPsf * area), rentPsf: +rentPsf.toFixed(2),
+    yield: salePsf > 0 ? +(rentPsf * 12 / salePsf * 100).toFixed(2) : 0,
+    sales: sales.length, rentals: matched.length, source, rentalPeriod: period(matched),
+  };
+}
+
+// Per project, kept while both the project's sales list and the rental store stand
+const cache = new WeakMap<SalesRecord[], { rentals: RentalRecord[]; result: ProjectYield }>();
+
+/** Yield per bedroom count for a project, or null when it has no sales */
+export function projectYield(project: string): ProjectYield | null {
+  const all = salesForProject(project);
+  if (!all.length) return null;
+  const hit = cache.get(all);
+  if (hit && hit.rentals === allRentals()) return hit.result;
+
+  const sales = recent(all, SALE_WINDOWS, MIN_SALES);
+  const byBeds = new Map<string, SalesRecord[]>();
+  let ambiguous = 0;
+  for (const s of sales) {
+    const beds = inferBedrooms(project, s.a);
+    if (!/^\d+$/.test(beds)) { if (beds) ambiguous++; continue; }
+    const list = byBeds.get(beds);
+    if (list) list.push(s); else byBeds.set(beds, [s]);
+  }
+  const { di, sg } = all[0]!;
+  const types = [...byBeds.entries()]
+    .sort(([a], [b]) => parseInt(a) - parseInt(b))
+    .map(([beds, ss]) => typeYield(beds, ss, project, di, sg));
+  const n = types.reduce((s, t) => s + t.sales, 0);
+  const result: ProjectYield = {
+    project, district: di, segment: sg, types,
+    blended: n > 0 ? +(types.reduce((s, t) => s + t.yield * t.sales, 0) / n).toFixed(2) : null,
+    fallback: types.some(t => t.source !== 'project'),
+    ambiguous,
+  };
+  cache.set(all, { rentals: allRentals(), result });
+  return result;
+}
+
+/** The yield of the unit type a unit of `area` sqft belongs to, or null when it can't be typed */
+export function unitYield(project: string, area: number): UnitTypeYield | null {
+  const py = projectYield(project);
+  if (!py?.types.length) return null;
+  const beds = inferBedrooms(project, area);
+  return py.types.find(t => t.beds === beds)
+    // Between two counts, or a count the recent sales don't have: the type nearest in size
+    ?? py.types.reduce((b, t) => (Math.abs(area - (t.areaMin + t.areaMax) / 2) < Math.abs(area - (b.areaMin + b.areaMax) / 2) ? t : b));
+}
@@ -0,0 +1,295 @@
+/**
+ * search-index.ts — In-memory indexes over a transaction store
+ *
+ * Built once per published store (dal.ts keys them on the array), then every
+ * search is a few typed-array operations instead of filter chains + a full sort:
+ *
+ *   equality fields   value → ascending store positions (posting list)
+ *   sort keys         asc / desc permutations of the store, plus each position's
+ *                     rank in them; ties keep store order, exactly like the
+ *                     stable Array#sort the search used to do
+ *   text (q)          distinct lower-cased project / street strings, a trigram →
+ *                     string-id index over them, and string → positions postings.
+ *                     Queries shorter than a trigram scan the string dictionary
+ *                     (a few thousand entries, not the store)
+ *
+ * A query intersects the posting lists (smallest first), then orders only as
+ * much of the result as the requested page needs.
+ */
+
+const EMPTY = new Uint32Array(0);
+
+export interface IndexSpec<T> {
+  /** Equality filters: name → field value (several when a record belongs under more than one, e.g. "2/3" bedrooms) */
+  fields: Record<string, (r: T) => string | string[]>;
+  /** Sort keys: name → comparable value (numbers, or strings compared lexically) */
+  sorts: Record<string, (r: T) => number | string>;
+  /** Fields searched by the `q` substring filter */
+  text: Array<(r: T) => string>;
+}
+
+export interface IndexQuery<T> {
+  /** field name → required value, or any of several values (empty / undefined = no filter) */
+  eq?: Record<string, string | string[] | undefined>;
+  /** Case-insensitive substring over the spec's text fields */
+  q?: string;
+  /** Range over a sort key, e.g. { key: 'date', min: '2024-01' }; bounds are inclusive unless maxExclusive */
+  range?: Array<{ key: string; min?: number | string; max?: number | string; maxExclusive?: boolean }>;
+  /** Residual predicate for anything not indexed */
+  where?: (r: T) => boolean;
+  /** "<sortKey>_<asc|desc>" */
+  sort?: string;
+}
+
+export interface IndexResult<T> {
+  total: number;
+  /** Records [start, end) in sort order */
+  slice(start: number, end: number): T[];
+}
+
+interface SortIndex {
+  keys: Float64Array;          // each record's key (strings → ordinal in `dictionary`)
+  asc: Uint32Array;            // positions by (key asc, position asc)
+  desc: Uint32Array;           // positions by (key desc, position asc)
+  ascRank: Uint32Array;        // position → index in asc
+  descRank: Uint32Array;       // position → index in desc
+  dictionary: string[] | null; // sorted distinct values of a string key
+}
+
+// ── Sorted Uint32Array helpers ──
+
+/** First index in `a` (from `lo`) whose value is >= x */
+function lowerBound(a: Uint32Array, x: number, lo = 0, hi = a.length): number {
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (a[mid]! < x) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+/** First index of a sort's asc permutation whose key is > x (or >= x when !inclusive) */
+function keyBound(s: SortIndex, x: number, inclusive: boolean): number {
+  let lo = 0, hi = s.asc.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    const k = s.keys[s.asc[mid]!]!;
+    if (inclusive ? k <= x : k < x) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+/** Intersection of two ascending lists: walk the shorter, gallop through the longer */
+function intersect(a: Uint32Array, b: Uint32Array): Uint32Array {
+  if (a.length > b.length) [a, b] = [b, a];
+  const out = new Uint32Array(a.length);
+  let n = 0;
+  let j = 0;
+  for (let i = 0; i < a.length && j < b.length; i++) {
+    const x = a[i]!;
+    if (b[j]! < x) {
+      let step = 1;
+      while (j + step < b.length && b[j + step]! < x) step *= 2;
+      j = lowerBound(b, x, j + (step >> 1), Math.min(j + step + 1, b.length));
+    }
+    if (b[j] === x) out[n++] = x;
+  }
+  return out.subarray(0, n);
+}
+
+/** Union of ascending lists, ascending and without duplicates */
+function union(lists: Uint32Array[], size: number): Uint32Array {
+  if (lists.length === 1) return lists[0]!;
+  const total = lists.reduce((s, l) => s + l.length, 0);
+  if (total < size / 8) {
+    const all = new Uint32Array(total);
+    let o = 0;
+    for (const l of lists) { all.set(l, o); o += l.length; }
+    all.sort();
+    let n = 0;
+    for (let i = 0; i < all.length; i++) if (i === 0 || all[i] !== all[i - 1]) all[n++] = all[i]!;
+    return all.subarray(0, n);
+  }
+  const mark = new Uint8Array(size);
+  for (const l of lists) for (let i = 0; i < l.length; i++) mark[l[i]!] = 1;
+  const out = new Uint32Array(total);
+  let n = 0;
+  for (let p = 0; p < size; p++) if (mark[p]) out[n++] = p;
+  return out.subarray(0, n);
+}
+
+function postings(values: Iterable<[string, number]>): Map<string, Uint32Array> {
+  const lists = new Map<string, number[]>();
+  for (const [v, pos] of values) {
+    const list = lists.get(v);
+    if (!list) lists.set(v, [pos]);
+    else if (list[list.length - 1] !== pos) list.push(pos);
+  }
+  return new Map([...lists].map(([v, l]) => [v, Uint32Array.from(l)]));
+}
+
+function trigrams(s: string): Set<string> {
+  const out = new Set<string>();
+  for (let i = 0; i + 3 <= s.length; i++) out.add(s.slice(i, i + 3));
+  return out;
+}
+
+export class SearchIndex<T> {
+  readonly records: T[];
+  private readonly fields = new Map<string, Map<string, Uint32Array>>();
+  private readonly sorts = new Map<string, SortIndex>();
+  private readonly strings: string[];                // distinct lower-cased text values
+  private readonly stringPostings: Uint32Array[];    // string id → positions
+  private readonly trigramIndex: Map<string, Uint32Array>; // trigram → string ids
+
+  constructor(records: T[], spec: IndexSpec<T>) {
+    this.records = records;
+    const n = records.length;
+
+    for (const [name, get] of Object.entries(spec.fields)) {
+      this.fields.set(name, postings(function* () {
+        for (let p = 0; p < n; p++) {
+          const v = get(records[p]!);
+          if (Array.isArray(v)) { for (const x of v) yield [x, p] as [string, number]; } else yield [v, p] as [string, number];
+        }
+      }()));
+    }
+
+    for (const [name, get] of Object.entries(spec.sorts)) this.sorts.set(name, buildSort(records, get));
+
+    const text = postings(function* () {
+      for (let p = 0; p < n; p++) for (const get of spec.text) yield [(get(records[p]!) || '').toLowerCase(), p] as [string, number];
+    }());
+    this.strings = [...text.keys()];
+    this.stringPostings = [...text.values()];
+    const grams = new Map<string, number[]>();
+    this.strings.forEach((s, id) => {
+      for (const g of trigrams(s)) {
+        const list = grams.get(g);
+        if (list) list.push(id); else grams.set(g, [id]);
+      }
+    });
+    this.trigramIndex = new Map([...grams].map(([g, ids]) => [g, Uint32Array.from(ids)]));
+  }
+
+  get size(): number { return this.records.length; }
+
+  /** Store positions whose text fields contain `q` (case-insensitive), ascending */
+  private textMatches(q: string): Uint32Array {
+    const ql = q.toLowerCase();
+    let ids: Iterable<number>;
+    if (ql.length >= 3) {
+      const lists = [...trigrams(ql)].map(g => this.trigramIndex.get(g) || EMPTY).sort((a, b) => a.length - b.length);
+      let cand = lists[0]!;
+      for (let i = 1; i < lists.length && cand.length; i++) cand = intersect(cand, lists[i]!);
+      ids = cand;
+    } else {
+      ids = this.strings.keys();
+    }
+    const lists: Uint32Array[] = [];
+    for (const id of ids) if (this.strings[id]!.includes(ql)) lists.push(this.stringPostings[id]!);
+    return lists.length ? union(lists, this.size) : EMPTY;
+  }
+
+  /** Positions whose sort key lies in [min, max] (or [min, max)), ascending */
+  private rangeMatches(key: string, min?: number | string, max?: number | string, maxExclusive = false): Uint32Array {
+    const s = this.sorts.get(key);
+    if (!s) throw new Error(`No sort index "${key}"`);
+    // String bounds become fractional ordinals: between the dictionary entries around them
+    const ordinal = (v: number | string): number => {
+      if (!s.dictionary) return Number(v);
+      const i = s.dictionary.findIndex(d => d >= String(v));
+      if (i === -1) return s.dictionary.length;
+      return s.dictionary[i] === String(v) ? i : i - 0.5;
+    };
+    const lo = min == null ? 0 : keyBound(s, ordinal(min), false);
+    const hi = max == null ? s.asc.length : keyBound(s, ordinal(max), !maxExclusive);
+    return s.asc.slice(lo, hi).sort();
+  }
+
+  query(query: IndexQuery<T>): IndexResult<T> {
+    const lists: Uint32Array[] = [];
+    for (const [name, value] of Object.entries(query.eq || {})) {
+      const values = (Array.isArray(value) ? value : [value]).filter(Boolean) as string[];
+      if (!values.length) continue;
+      const field = this.fields.get(name);
+      if (!field) throw new Error(`No field index "${name}"`);
+      const hits = values.map(v => field.get(v)).filter((l): l is Uint32Array => !!l);
+      lists.push(hits.length ? union(hits, this.size) : EMPTY);
+    }
+    if (query.q) lists.push(this.textMatches(query.q));
+    for (const r of query.range || []) {
+      if (r.min != null || r.max != null) lists.push(this.rangeMatches(r.key, r.min, r.max, r.maxExclusive));
+    }
+
+    let matches: Uint32Array | null = null;
+    if (lists.length) {
+      lists.sort((a, b) => a.length - b.length);
+      matches = lists[0]!;
+      for (let i = 1; i < lists.length && matches.length; i++) matches = intersect(matches, lists[i]!);
+    }
+    if (query.where) {
+      const where = query.where;
+      const base: Uint32Array = matches ?? Uint32Array.from(this.records.keys());
+      matches = base.filter(p => where(this.records[p]!));
+    }
+
+    const [key, dir] = (query.sort || 'date_desc').split('_') as [string, string];
+    const sort = this.sorts.get(key) || this.sorts.get('date')!;
+    const desc = this.sorts.has(key) ? dir !== 'asc' : true;
+    const perm = desc ? sort.desc : sort.asc;
+
+    if (!matches) {
+      return { total: this.size, slice: (start, end) => Array.from(perm.subarray(start, end), p => this.records[p]!) };
+    }
+
+    // Pages come from whichever is cheaper: walking the pre-sorted permutation
+    // until `end` matches have turned up (~end·size/total steps, resumable for
+    // the next page), or sorting the ranks of every match once (~total·log total)
+    const m = matches;
+    const rank = desc ? sort.descRank : sort.ascRank;
+    let ordered: Uint32Array | null = null;
+    let mark: Uint8Array | null = null;
+    const walked: number[] = [];
+    let cursor = 0;
+    const slice = (start: number, end: number): T[] => {
+      start = Math.max(0, start);
+      end = Math.min(end, m.length);
+      if (start >= end) return [];
+      if (!ordered && walked.length < end) {
+        const walkCost = (end - walked.length) * (this.size / m.length);
+        if (walkCost < m.length * Math.log2(m.length + 1)) {
+          if (!mark) { mark = new Uint8Array(this.size); for (let i = 0; i < m.length; i++) mark[m[i]!] = 1; }
+          while (walked.length < end) { const p = perm[cursor++]!; if (mark[p]) walked.push(p); }
+        } else {
+          ordered = Uint32Array.from(m, p => rank[p]!).sort().map(r => perm[r]!);
+        }
+      }
+      const out: T[] = [];
+      for (let i = start; i < end; i++) out.push(this.records[ordered ? ordered[i]! : walked[i]!]!);
+      return out;
+    };
+    return { total: m.length, slice };
+  }
+}
+
+function buildSort<T>(records: T[], get: (r: T) => number | string): SortIndex {
+  const n = records.length;
+  const raw = records.map(get);
+  let dictionary: string[] | null = null;
+  const keys = new Float64Array(n);
+  if (raw.some(v => typeof v === 'string')) {
+    dictionary = [...new Set(raw.map(String))].sort();
+    const ordinal = new Map(dictionary.map((v, i) => [v, i]));
+    raw.forEach((v, p) => { keys[p] = ordinal.get(String(v))!; });
+  } else {
+    raw.forEach((v, p) => { keys[p] = Number.isFinite(v) ? (v as number) : -Infinity; });
+  }
+
+  const positions = Uint32Array.from(records.keys());
+  const asc = positions.slice().sort((a, b) => keys[a]! - keys[b]! || a - b);
+  const desc = positions.slice().sort((a, b) => keys[b]! - keys[a]! || a - b);
+  const ascRank = new Uint32Array(n);
+  const descRank = new Uint32Array(n);
+  for (let i = 0; i < n; i++) { ascRank[asc[i]!] = i; descRank[desc[i]!] = i; }
+  return { keys, asc, desc, ascRank, descRank, dictionary };
+}
@@ -2,7 +2,7 @@
 // state.ts — All shared mutable state in one place
 // Future: replace with Redis / PostgreSQL
 // ═══════════════════════════════════════════════════════
-import type { SalesRecord, RentalRecord, DashboardData, YieldMap, BedroomModel } from '../types.ts';
+import type { SalesRecord, RentalRecord, DashboardData, YieldMap, BedroomModel, ProjectLocation } from '../types.ts';
 
 // ── Memory caps ──
 export const MAX_SALES_RECORDS = 150_000;
@@ -21,6 +21,7 @@ export let dashboardCache: DashboardData | null = null;
 export let cacheTime: number = 0;
 
 export let projectBatchMap: Record<string, number[]> = {};
+export let projectLocations: Record<string, ProjectLocation> = {};
 export let projectCache: Map<string, { data: unknown; ts: number }> = new Map();
 
 export let projYearData: Record<string, Record<string, { s: number; n: number }>> = {};
@@ -34,6 +35,7 @@ export function setRentalStore(v: RentalRecord[]): void { rentalStore = v; }
 export function setDashboardCache(v: DashboardData | null): void { dashboardCache = v; }
 export function setCacheTime(v: number): void { cacheTime = v; }
 export function setProjectBatchMap(v: Record<string, number[]>): void { projectBatchMap = v; }
+export function setProjectLocations(v: Record<string, ProjectLocation>): void { projectLocations = v; }
 export function setProjectCache(v: Map<string, { data: unknown; ts: number }>): void { projectCache = v; }
 export function setProjYearData(v: Record<string, Record<string, { s: number; n: number }>>): void { projYearData = v; }
 export function setBedroomModel(v: BedroomModel | null): void { bedroomModel = v; }
@@ -46,6 +48,7 @@ export function resetAll(): void {
   dashboardCache = null;
   cacheTime = 0;
   projectBatchMap = {};
+  projectLocations = {};
   projectCache = new Map();
   projYearData = {};
   bedroomModel = null;
@@ -1,11 +1,22 @@
 // ═══════════════════════════════════════════════════════
 // ura-client.ts — URA API token management + HTTP client
 // Handles token refresh, retry logic, URL failover.
+// fetchBatch/fetchRental go through a pluggable data source:
+//   URA_SOURCE=live     (default) HTTP calls to the URA API
+//   URA_SOURCE=fixture  replay recorded payloads from URA_FIXTURE_DIR
+//   URA_SOURCE=record   live calls, also saved to URA_FIXTURE_DIR
 // ═══════════════════════════════════════════════════════
 import axios, { type AxiosError } from 'axios';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
 import { sleep } from './helpers.ts';
+import { createFixtureSource, createRecordingSource } from './ura-fixtures.ts';
+import { upstreamRequests } from '../shared/metrics.ts';
 import type { TokenInfo, UraProject } from '../types.ts';
 
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = process.env.URA_FIXTURE_DIR || join(__dirname, '../../fixtures/ura');
+
 const URA_URLS = [
   'https://eservice.ura.gov.sg/uraDataService/invokeUraDS/v1',
   'https://www.ura.gov.sg/uraDataService/invokeUraDS',
@@ -94,12 +105,62 @@ export async function uraGet(params: Record<string, string | number>, retries =
   return []; // unreachable but satisfies TS
 }
 
+// ═══ DATA SOURCE ═══
+
+export interface UraDataSource {
+  name: string;
+  fetchBatch(service: string, batch: number): Promise<UraProject[]>;
+  fetchRental(refPeriod: string): Promise<unknown[]>;
+}
+
+export const liveSource: UraDataSource = {
+  name: 'live',
+  fetchBatch: (service, batch) => uraGet({ service, batch }),
+  fetchRental: (refPeriod) => uraGet({ service: 'PMI_Resi_Rental', refPeriod }),
+};
+
+let source: UraDataSource | null = null;
+
+function sourceFromEnv(): UraDataSource {
+  const mode = process.env.URA_SOURCE || 'live';
+  if (mode === 'fixture') return createFixtureSource(FIXTURE_DIR);
+  if (mode === 'record') return createRecordingSource(liveSource, FIXTURE_DIR);
+  if (mode !== 'live') console.warn(`  ⚠️ Unknown URA_SOURCE "${mode}" — using live`);
+  return liveSource;
+}
+
+/** Active data source (resolved from URA_SOURCE on first use) */
+export function getDataSource(): UraDataSource {
+  if (!source) {
+    source = sourceFromEnv();
+    if (source !== liveSource) console.log(`🎞️  URA data source: ${source.name} (${FIXTURE_DIR})`);
+  }
+  return source;
+}
+
+/** Override the data source (tests, scripts). Pass null to re-read URA_SOURCE. */
+export function setDataSource(s: UraDataSource | null): void {
+  source = s;
+}
+
+/** Count one upstream call (ura_upstream_requests_total) by outcome */
+async function counted<T>(service: string, batch: string, call: () => Promise<T>): Promise<T> {
+  try {
+    const result = await call();
+    upstreamRequests.inc({ service, batch, outcome: 'success' });
+    return result;
+  } catch (err) {
+    upstreamRequests.inc({ service, batch, outcome: 'failure' });
+    throw err;
+  }
+}
+
 export async function fetchBatch(service: string, batch: number): Promise<UraProject[]> {
-  return uraGet({ service, batch });
+  return counted(service, String(batch), () => getDataSource().fetchBatch(service, batch));
 }
 
 export async function fetchRental(refPeriod: string): Promise<unknown[]> {
-  return uraGet({ service: 'PMI_Resi_Rental', refPeriod });
+  return counted('PMI_Resi_Rental', refPeriod, () => getDataSource().fetchRental(refPeriod));
 }
 
 export function getTokenInfo(): TokenInfo & { hoursRemaining: number; isValid: boolean; tokenTTLHours: number; fetchedAt?: string } {
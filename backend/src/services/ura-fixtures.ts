@@ -0,0 +1,91 @@
+// ═══════════════════════════════════════════════════════
+// ura-fixtures.ts — Offline URA data sources
+// fixture: replays recorded gzip JSON payloads from disk (no URA key needed)
+// record:  wraps another source and captures every response in fixture format
+//
+// Layout of a fixture directory:
+//   PMI_Resi_Transaction-batch1.json.gz … -batch4.json.gz
+//   PMI_Resi_Rental-26q3.json.gz, PMI_Resi_Rental-26q2.json.gz, …
+// Each file holds { recordedAt, params, Result } — Result is the raw URA array.
+//
+// backend/fixtures/ura (the default directory) is a small committed set: six
+// projects across the four sales batches and one rental quarter, enough to
+// build the dashboard offline (test/fixture-build.test.ts). A full recording
+// runs to tens of MB — point URA_FIXTURE_DIR elsewhere when recording one.
+// ═══════════════════════════════════════════════════════
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { gzipSync, gunzipSync } from 'zlib';
+import type { UraDataSource } from './ura-client.ts';
+import type { UraProject } from '../types.ts';
+
+interface FixtureFile<T> {
+  recordedAt: string;
+  params: Record<string, string | number>;
+  Result: T[];
+}
+
+const RENTAL_SERVICE = 'PMI_Resi_Rental';
+
+const batchFile = (dir: string, service: string, batch: number): string => join(dir, `${service}-batch${batch}.json.gz`);
+const rentalFile = (dir: string, refPeriod: string): string => join(dir, `${RENTAL_SERVICE}-${refPeriod}.json.gz`);
+
+function readFixture<T>(file: string): T[] {
+  const data = JSON.parse(gunzipSync(readFileSync(file)).toString()) as FixtureFile<T>;
+  return data.Result || [];
+}
+
+function writeFixture<T>(file: string, params: Record<string, string | number>, result: T[]): void {
+  const data: FixtureFile<T> = { recordedAt: new Date().toISOString(), params, Result: result };
+  writeFileSync(file, gzipSync(JSON.stringify(data), { level: 6 }));
+}
+
+/**
+ * Replay recorded payloads from `dir`.
+ *
+ * Rental quarters replay by name only: a quarter with no file is empty, so each
+ * recorded quarter is replayed at most once and the same request always gets
+ * the same answer. Builds ask for the last four quarters from today, so an old
+ * recording's rentals only come back with the clock set to when it was made.
+ */
+export function createFixtureSource(dir: string): UraDataSource {
+  if (!existsSync(dir)) throw new Error(`URA fixture directory not found: ${dir}`);
+
+  return {
+    name: 'fixture',
+
+    async fetchBatch(service: string, batch: number): Promise<UraProject[]> {
+      const file = batchFile(dir, service, batch);
+      if (!existsSync(file)) throw new Error(`No fixture for ${service} batch ${batch} (${file})`);
+      return readFixture<UraProject>(file);
+    },
+
+    async fetchRental(refPeriod: string): Promise<unknown[]> {
+      const file = rentalFile(dir, refPeriod);
+      return existsSync(file) ? readFixture(file) : [];
+    },
+  };
+}
+
+/** Wrap `inner` and write every successful response to `dir` in fixture format. */
+export function createRecordingSource(inner: UraDataSource, dir: string): UraDataSource {
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+
+  return {
+    name: `record(${inner.name})`,
+
+    async fetchBatch(service: string, batch: number): Promise<UraProject[]> {
+      const result = await inner.fetchBatch(service, batch);
+      writeFixture(batchFile(dir, service, batch), { service, batch }, result);
+      console.log(`  🎞️  Recorded ${service} batch ${batch} (${result.length} projects)`);
+      return result;
+    },
+
+    async fetchRental(refPeriod: string): Promise<unknown[]> {
+      const result = await inner.fetchRental(refPeriod);
+      writeFixture(rentalFile(dir, refPeriod), { service: RENTAL_SERVICE, refPeriod }, result);
+      console.log(`  🎞️  Recorded rental ${refPeriod} (${result.length} projects)`);
+      return result;
+    },
+  };
+}
@@ -15,13 +15,38 @@
  */
 
 // Dashboard lifecycle
-export { buildDashboardData, initDashboard, getFullCacheInfo, getCacheInfo } from './dashboard.ts';
+export { buildDashboardData, initDashboard, reloadStores, getFullCacheInfo, getCacheInfo, getLastSync } from './dashboard.ts';
+export type { BuildProgress, SyncSummary } from './dashboard.ts';
 
 // Project detail
 export { getProjectData } from './project.ts';
 
+// Repeat-sales price index
+export { getPriceIndex } from './price-index.ts';
+
+// Hedonic valuation (AVM)
+export { getValuation } from './valuation.ts';
+export { getBacktest } from './backtest.ts';
+export type { BacktestReport } from './backtest.ts';
+// Purchase costs: stamp duties, loan, cost of ownership
+export { getAcquisitionCost } from './acquisition.ts';
+// Portfolio cash flows: IRR, equity multiple, projection
+export { getPortfolioCashflow } from './cashflow.ts';
+
+// Locations: radius comparables + map data
+export { getNearbyProjects, getMapData } from './map.ts';
+
 // Search + filtered dashboard
 export { searchSales, searchRental, buildFilteredDashboard, getFilterOptions } from './query.ts';
 
+// Snapshot archive (point-in-time dashboards)
+export { listSnapshots, findSnapshot, loadArchivedDashboard, loadArchivedStores } from './cache.ts';
+export type { ArchivedGeneration } from './cache.ts';
+
+// Generation diffs
+export { getChanges, formatChanges, DEFAULT_PSF_THRESHOLD_PCT } from './changes.ts';
+export type { ChangeReport } from './changes.ts';
+
 // Token management
-export { refreshToken, getTokenInfo } from './ura-client.ts';
+export { refreshToken, getTokenInfo, getDataSource, setDataSource } from './ura-client.ts';
+export type { UraDataSource } from './ura-client.ts';
@@ -1,42 +1,265 @@
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+/**
+ * userStore.ts — Per-user portfolio, saved searches, reports, watchlist, alerts
+ *
+ * One UserData document per id (anonymous browser id or account id).
+ * ENABLE_DB=false keeps each in CACHE_DIR/users/<id>.json; ENABLE_DB=true keeps
+ * them in the user_data table. Callers see the same async API either way.
+ */
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
 import { join, dirname } from 'path';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
 import { fileURLToPath } from 'url';
+import { eq } from 'drizzle-orm';
+import { env } from '../config/env.ts';
+import { getDb } from '../config/database.ts';
+import { userData, type UserDataRow } from '../db/schema.ts';
+import type { UserData, AlertRule } from '../types.ts';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const USER_DIR = join(process.env.CACHE_DIR || join(__dirname, '../../cache'), 'users');
 
+const empty = (): UserData => ({ portfolio: [], savedSearches: [], clientReports: [] });
+
+// ── File backend ──
+
 function ensureDir() {
   if (!existsSync(USER_DIR)) mkdirSync(USER_DIR, { recursive: true });
 }
 
-function userFile(userId) {
+function safeId(userId: string): string {
   // Sanitize: alphanumeric + hyphens only, max 64 chars
   const safe = String(userId).replace(/[^a-zA-Z0-9-]/g, '').slice(0, 64);
   if (!safe) throw new Error('Invalid user ID');
-  return join(USER_DIR, `${safe}.json`);
+  return safe;
 }
 
-import type { UserData } from '../types.ts';
-export function getUser(userId: string): UserData {
+function userFile(userId: string): string {
+  return join(USER_DIR, `${safeId(userId)}.json`);
+}
+
+function readFile(userId: string): UserData | null {
   ensureDir();
   const f = userFile(userId);
-  if (!existsSync(f)) return { portfolio: [], savedSearches: [], clientReports: [] };
+  if (!existsSync(f)) return null;
   try {
     return JSON.parse(readFileSync(f, 'utf-8'));
   } catch {
-    return { portfolio: [], savedSearches: [], clientReports: [] };
+    return empty();
   }
 }
 
-export function saveUser(userId: string, data: Partial<UserData>): UserData {
+function writeFile(userId: string, data: UserData): void {
   ensureDir();
-  const f = userFile(userId);
-  const safe = {
-    portfolio: Array.isArray(data.portfolio) ? data.portfolio.slice(0, 50) : [],
-    savedSearches: Array.isArray(data.savedSearches) ? data.savedSearches.slice(0, 20) : [],
-    clientReports: Array.isArray(data.clientReports) ? data.clientReports.slice(0, 100) : [],
-    updatedAt: new Date().toISOString(),
+  writeFileSync(userFile(userId), JSON.stringify(data, null, 2));
+}
+
+// ── PostgreSQL backend (user_data) ──
+
+type Db = ReturnType<typeof getDb>;
+type Tx = Parameters<Parameters<Db['transaction']>[0]>[0];
+
+function fromRow(r: UserDataRow): UserData {
+  return {
+    portfolio: r.portfolio as UserData['portfolio'],
+    savedSearches: r.savedSearches as UserData['savedSearches'],
+    clientReports: r.clientReports as UserData['clientReports'],
+    watchlist: r.watchlist as AlertRule[],
+    alerts: r.alerts as UserData['alerts'],
+    webhookUrl: r.webhookUrl || undefined,
+    updatedAt: r.updatedAt?.toISOString(),
+    claimHash: r.claimHash || undefined,
+  };
+}
+
+async function readRow(db: Db | Tx, userId: string, lock = false): Promise<UserData | null> {
+  const q = db.select().from(userData).where(eq(userData.userId, safeId(userId))).limit(1);
+  const [row] = lock ? await q.for('update') : await q;
+  return row ? fromRow(row) : null;
+}
+
+async function writeRow(db: Db | Tx, userId: string, data: UserData): Promise<void> {
+  const values = {
+    portfolio: data.portfolio,
+    savedSearches: data.savedSearches,
+    clientReports: data.clientReports,
+    watchlist: data.watchlist || [],
+    alerts: data.alerts || [],
+    webhookUrl: data.webhookUrl || null,
+    claimHash: data.claimHash || null,
+    updatedAt: data.updatedAt ? new Date(data.updatedAt) : new Date(),
+  };
+  await db.insert(userData)
+    .values({ userId: safeId(userId), ...values })
+    .onConflictDoUpdate({ target: userData.userId, set: values });
+}
+
+/**
+ * Read-modify-write one user. The DB path locks the row for the duration so
+ * concurrent alert evaluation and client saves don't lose each other's writes.
+ */
+async function modify(userId: string, fn: (prev: UserData | null) => UserData): Promise<UserData> {
+  if (!env.ENABLE_DB) {
+    const next = fn(readFile(userId));
+    writeFile(userId, next);
+    return next;
+  }
+  return getDb().transaction(async (tx) => {
+    const next = fn(await readRow(tx, userId, true));
+    await writeRow(tx, userId, next);
+    return next;
+  });
+}
+
+// ── Claim tokens ──
+// The first save under an id returns a random claim token, once; only its hash
+// is kept. Claiming the id into an account needs the token, so knowing an id
+// is not enough to take its data. Ids saved before tokens existed get theirs on
+// the next anonymous read (getUser with issueClaim), while the id alone still
+// opens its data — i.e. before ENABLE_AUTH is turned on.
+
+const hashClaim = (token: string): string => createHash('sha256').update(token).digest('hex');
+const newClaimToken = (): string => randomBytes(24).toString('base64url');
+
+function claimMatches(stored: UserData, token: string): boolean {
+  if (!stored.claimHash) return false;
+  const a = Buffer.from(stored.claimHash, 'hex');
+  const b = Buffer.from(hashClaim(token), 'hex');
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/** UserData as sent to clients: without the claim hash */
+function publicView(data: UserData): UserData {
+  const { claimHash: _hash, ...rest } = data;
+  return rest;
+}
+
+export class ClaimError extends Error {
+  code: string;
+  status: number;
+  constructor(message: string, code: string, status: number) {
+    super(message);
+    this.name = 'ClaimError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// ── Public API ──
+
+/**
+ * Load one user. With `issueClaim`, stored data that has no claim token yet gets
+ * one, returned once as `claimToken` like saveUser's.
+ */
+export async function getUser(userId: string, { issueClaim = false } = {}): Promise<UserData & { claimToken?: string }> {
+  const data = env.ENABLE_DB ? await readRow(getDb(), userId) : readFile(userId);
+  if (!data) return empty();
+  if (!issueClaim || data.claimHash) return publicView(data);
+
+  let claimToken: string | undefined;
+  const saved = await modify(userId, (stored) => {
+    // Another read may have issued it since
+    if (!stored || stored.claimHash) return stored || data;
+    claimToken = newClaimToken();
+    return { ...stored, claimHash: hashClaim(claimToken) };
+  });
+  return claimToken ? { ...publicView(saved), claimToken } : publicView(saved);
+}
+
+export const MAX_WATCHLIST = 50;
+export const MAX_ALERTS = 100;
+
+/**
+ * Save client-owned fields. Watchlist and webhook are kept when omitted;
+ * alerts are server-owned and only change through updateUser(). The save that
+ * first gives the id a claim token returns it as `claimToken`.
+ */
+export async function saveUser(userId: string, data: Partial<UserData>): Promise<UserData & { claimToken?: string }> {
+  let claimToken: string | undefined;
+  const saved = await modify(userId, (stored) => {
+    const prev = stored || empty();
+    if (!prev.claimHash) claimToken = newClaimToken();
+    return {
+      portfolio: Array.isArray(data.portfolio) ? data.portfolio.slice(0, 50) : [],
+      savedSearches: Array.isArray(data.savedSearches) ? data.savedSearches.slice(0, 20) : [],
+      clientReports: Array.isArray(data.clientReports) ? data.clientReports.slice(0, 100) : [],
+      watchlist: mergeWatchlist(prev.watchlist, data.watchlist),
+      alerts: prev.alerts || [],
+      webhookUrl: data.webhookUrl !== undefined ? data.webhookUrl || undefined : prev.webhookUrl,
+      updatedAt: new Date().toISOString(),
+      claimHash: claimToken ? hashClaim(claimToken) : prev.claimHash,
+    };
+  });
+  return claimToken ? { ...publicView(saved), claimToken } : publicView(saved);
+}
+
+/** Client sends rules without server bookkeeping — carry lastFiredKey over by rule id. */
+function mergeWatchlist(prev: AlertRule[] = [], next?: AlertRule[]): AlertRule[] {
+  if (!Array.isArray(next)) return prev;
+  const fired = new Map(prev.map(r => [r.id, r.lastFiredKey]));
+  return next.slice(0, MAX_WATCHLIST).map(r => ({ ...r, lastFiredKey: fired.get(r.id) }));
+}
+
+/** Read-modify-write for server-side updates (alert evaluation, marking alerts read). */
+export async function updateUser(userId: string, fn: (data: UserData) => UserData): Promise<UserData> {
+  const saved = await modify(userId, (prev) => {
+    const next = { ...fn(prev || empty()), claimHash: prev?.claimHash };
+    next.alerts = (next.alerts || []).slice(0, MAX_ALERTS);
+    next.updatedAt = new Date().toISOString();
+    return next;
+  });
+  return publicView(saved);
+}
+
+/** IDs of every user with saved data */
+export async function listUserIds(): Promise<string[]> {
+  if (env.ENABLE_DB) {
+    const rows = await getDb().select({ id: userData.userId }).from(userData);
+    return rows.map(r => r.id);
+  }
+  ensureDir();
+  return readdirSync(USER_DIR).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5));
+}
+
+/**
+ * Move an anonymous id's data into an account. The caller must hold the id's
+ * claim token (see saveUser); ids that belong to accounts are refused by the
+ * route before this. Lists are appended (account data first) and capped as in
+ * saveUser; the anonymous record is removed so the old id no longer resolves.
+ * Returns null if there was nothing to claim.
+ */
+export async function claimUser(anonymousId: string, claimToken: string, accountId: string): Promise<UserData | null> {
+  if (safeId(anonymousId) === safeId(accountId)) return null;
+  const refuse = () => new ClaimError('Claim token does not match that id', 'CLAIM_FORBIDDEN', 403);
+  if (!env.ENABLE_DB) {
+    const anon = readFile(anonymousId);
+    if (!anon) return null;
+    if (!claimMatches(anon, claimToken)) throw refuse();
+    const merged = await updateUser(accountId, acct => mergeClaim(acct, anon));
+    unlinkSync(userFile(anonymousId));
+    return merged;
+  }
+  // Both rows move in one transaction so a failed claim leaves the anonymous data in place
+  return getDb().transaction(async (tx) => {
+    const anon = await readRow(tx, anonymousId, true);
+    if (!anon) return null;
+    if (!claimMatches(anon, claimToken)) throw refuse();
+    const merged = mergeClaim((await readRow(tx, accountId, true)) || empty(), anon);
+    merged.alerts = (merged.alerts || []).slice(0, MAX_ALERTS);
+    merged.updatedAt = new Date().toISOString();
+    await writeRow(tx, accountId, merged);
+    await tx.delete(userData).where(eq(userData.userId, safeId(anonymousId)));
+    return publicView(merged);
+  });
+}
+
+function mergeClaim(acct: UserData, anon: UserData): UserData {
+  return {
+    ...acct,
+    portfolio: [...acct.portfolio, ...anon.portfolio].slice(0, 50),
+    savedSearches: [...acct.savedSearches, ...anon.savedSearches].slice(0, 20),
+    clientReports: [...acct.clientReports, ...anon.clientReports].slice(0, 100),
+    watchlist: [...(acct.watchlist || []), ...(anon.watchlist || [])].slice(0, MAX_WATCHLIST),
+    alerts: [...(acct.alerts || []), ...(anon.alerts || [])].sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    webhookUrl: acct.webhookUrl || anon.webhookUrl,
   };
-  writeFileSync(f, JSON.stringify(safe, null, 2));
-  return safe;
 }
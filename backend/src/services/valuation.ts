@@ -0,0 +1,389 @@
+/**
+ * valuation.ts — Hedonic automated valuation model (AVM)
+ *
+ * One regression of log PSF per district (segment, then market, when a district
+ * has too few sales), on:
+ *
+ *   area         log sqft
+ *   floor        floor band midpoint
+ *   tenure       freehold / 999-yr dummy
+ *   age          years since the project's first recorded sale
+ *   lease left   years of lease remaining less the lease length: 0 for a
+ *                fresh lease and for freehold, so `tenure` is the premium over
+ *                a new lease. Leases URA gives no commencement year for are
+ *                taken as 99 years from the project's first recorded sale
+ *   sale type    new sale and sub sale dummies (resale is the base)
+ *   time         the repeat-sales index (price-index.ts) as an offset, plus a
+ *                linear trend for whatever drift the index leaves
+ *
+ * Project location and quality are not in the regressors, so each project gets
+ * a random effect: its mean residual, shrunk toward 0 by PROJECT_SHRINK.
+ * Intervals are prediction intervals on the log scale, so they are asymmetric
+ * in dollars. Leasehold valuations also carry the Bala's-curve decay ahead
+ * (lease.ts): what the lease running down alone does to the value.
+ *
+ * Models are fitted lazily per scope and cached per published sales store
+ * (WeakMap, like price-index.ts).
+ */
+import { buildDashboardData } from './dashboard.ts';
+import { dashboardCache } from './state.ts';
+import { allSales, salesForProject } from './dal.ts';
+import { cholSolve, indexLevelFor } from './price-index.ts';
+import { leaseLeft, balaFactor, leaseDecay } from './lease.ts';
+import type { SalesRecord, SaleType } from '../types.ts';
+
+/** Fewest usable sales to fit a district on its own */
+const MIN_FIT_SALES = 50;
+/** Project effect shrinkage: a project with this many sales keeps half its mean residual */
+const PROJECT_SHRINK = 5;
+const LEASE_YEARS = 99;
+/** Two-sided 90% prediction interval */
+const Z_90 = 1.645;
+/** Interval half-width (as a share of the estimate) that scores 0 confidence */
+const ZERO_CONFIDENCE_HALF_WIDTH = 0.25;
+const MAX_COMPARABLES = 10;
+/** Horizons for the lease-decay outlook, years */
+const DECAY_HORIZONS = [5, 10, 20, 30];
+
+const TERMS = ['log area', 'floor', 'freehold', 'age', 'lease left', 'new sale', 'sub sale', 'trend'] as const;
+
+export type ValuationScope = 'district' | 'segment' | 'market';
+
+export interface ValuationInput {
+  project: string;
+  area: number;
+  /** Floor band "06-10" or a floor number; default the project's median floor */
+  floor?: string;
+  saleType?: SaleType;
+  /** YYYY-MM; default the latest month with sales */
+  date?: string;
+}
+
+export interface ValuationComparable {
+  date: string;
+  project: string;
+  floor: string;
+  area: number;
+  price: number;
+  psf: number;
+  /** This sale's PSF adjusted by the model to the subject unit and date */
+  adjPsf: number;
+  saleType: string;
+  /** 100 when the model needs no adjustment, falling with the size of it */
+  similarity: number;
+}
+
+export interface Valuation {
+  project: string;
+  district: string;
+  segment: string;
+  date: string;
+  subject: {
+    area: number; floorMid: number; tenure: string; saleType: string; age: number;
+    /** Lease commencement year, when URA gives it */
+    leaseStart: number | null;
+    leaseLeft: number | null;
+    /** Bala's-curve value vs freehold at leaseLeft (1 when the lease doesn't decay) */
+    bala: number;
+  };
+  psf: number;
+  price: number;
+  /** 90% prediction interval, PSF */
+  lo: number;
+  hi: number;
+  level: number;
+  /** 0–100, from the width of the interval */
+  confidence: number;
+  model: {
+    scope: ValuationScope;
+    key: string;
+    n: number;
+    r2: number;
+    rmse: number;
+    /** Repeat-sales series used for time, or null when only the trend is used */
+    index: string | null;
+    /** % change in PSF per unit of each term (per 10% more area for log area) */
+    effects: Array<{ term: string; pct: number }>;
+  };
+  /** Sales of the subject's project in the fit; its project effect rests on these */
+  projectSales: number;
+  comparables: ValuationComparable[];
+  /** Value after `years` from lease decay alone (market unchanged); empty when the lease doesn't decay */
+  leaseDecay: Array<{ years: number; leaseLeft: number; factor: number; psf: number }>;
+}
+
+interface Model {
+  scope: ValuationScope;
+  key: string;
+  n: number;
+  r2: number;
+  rmse: number;
+  mean: number[];
+  sd: number[];
+  beta: number[];
+  yMean: number;
+  /** (Z'Z)^-1 over the kept, standardised columns */
+  inv: number[][];
+  s2: number;
+  /** Residual variance once project effects are taken out */
+  s2Within: number;
+  projEffect: Map<string, { u: number; n: number }>;
+  index: { key: string; at: (d: string) => number } | null;
+  t0: number;
+}
+
+interface Context { launch: Map<string, string>; models: Map<string, Model | null>; quiet: boolean }
+
+const years = (from: string, to: string) =>
+  (parseInt(to.slice(0, 4)) - parseInt(from.slice(0, 4))) + ((parseInt(to.slice(5, 7)) || 1) - (parseInt(from.slice(5, 7)) || 1)) / 12;
+
+const cache = new WeakMap<object, Context>();
+
+function contextFor(sales: SalesRecord[], quiet = false): Context {
+  let ctx = cache.get(sales);
+  if (ctx) return ctx;
+  const launch = new Map<string, string>();
+  for (const r of sales) {
+    const d = launch.get(r.p);
+    if (!d || r.d < d) launch.set(r.p, r.d);
+  }
+  ctx = { launch, models: new Map(), quiet };
+  cache.set(sales, ctx);
+  return ctx;
+}
+
+interface Unit { p: string; d: string; a: number; fm: number; tn: string; tp: string; ly?: number; ls?: number }
+
+/** Years of lease left, falling back to 99 years from launch when URA gives no commencement */
+function unitLeaseLeft(u: Unit, age: number): number {
+  return leaseLeft(u as Pick<SalesRecord, 'tn' | 'ly' | 'ls'>, u.d) ?? Math.max(0, LEASE_YEARS - age);
+}
+
+function features(u: Unit, launch: string, t0: number): number[] {
+  const age = Math.max(0, years(launch, u.d));
+  const freehold = u.tn === 'Freehold' || u.tn === '999-yr' ? 1 : 0;
+  return [
+    Math.log(u.a),
+    u.fm,
+    freehold,
+    age,
+    freehold ? 0 : unitLeaseLeft(u, age) - (u.ls && u.ly ? u.ly : LEASE_YEARS),
+    u.tp === 'New Sale' ? 1 : 0,
+    u.tp === 'Sub Sale' ? 1 : 0,
+    years('0000-01', u.d) - t0,
+  ];
+}
+
+function fit(sales: SalesRecord[], rows: SalesRecord[], scope: ValuationScope, key: string, ctx: Context): Model | null {
+  const k = TERMS.length;
+  if (rows.length < k + 5) return null;
+  const segment = scope === 'segment' ? key : scope === 'district' ? rows[0]!.sg : '';
+  const index = indexLevelFor(sales, scope === 'district' ? key : '', segment);
+  const t0 = rows.reduce((t, r) => Math.min(t, years('0000-01', r.d)), Infinity);
+  const X = rows.map(r => features(r, ctx.launch.get(r.p) || r.d, t0));
+  const y = rows.map(r => Math.log(r.ps) - (index ? Math.log(index.at(r.d) / 100) : 0));
+  const n = rows.length;
+
+  const mean = Array.from({ length: k }, (_, j) => X.reduce((s, x) => s + x[j]!, 0) / n);
+  const sd = Array.from({ length: k }, (_, j) => Math.sqrt(X.reduce((s, x) => s + (x[j]! - mean[j]!) ** 2, 0) / n));
+  // Constant columns (one tenure, no sub sales...) carry no information here
+  const cols = [...Array(k).keys()].filter(j => sd[j]! > 1e-9);
+  const m = cols.length;
+  const yMean = y.reduce((s, v) => s + v, 0) / n;
+  const Z = X.map(x => cols.map(j => (x[j]! - mean[j]!) / sd[j]!));
+
+  const G = Array.from({ length: m }, () => new Float64Array(m));
+  for (const z of Z) for (let a = 0; a < m; a++) for (let c = 0; c < m; c++) G[a]![c]! += z[a]! * z[c]!;
+  // Lease left and age are near-collinear within a leasehold-only district; a small ridge keeps it solvable
+  for (let a = 0; a < m; a++) G[a]![a]! += 1e-3;
+  const gram = () => G.map(row => new Float64Array(row));
+  const rhs = new Float64Array(m);
+  Z.forEach((z, i) => { for (let a = 0; a < m; a++) rhs[a]! += z[a]! * (y[i]! - yMean); });
+  const b = cholSolve(gram(), rhs);
+  const inv = Array.from({ length: m }, (_, a) => {
+    const e = new Float64Array(m); e[a] = 1;
+    return [...cholSolve(gram(), e)];
+  });
+
+  const beta = new Array<number>(k).fill(0);
+  cols.forEach((j, a) => { beta[j] = b[a]!; });
+  const resid = Z.map((z, i) => y[i]! - yMean - z.reduce((s, v, a) => s + v * b[a]!, 0));
+  const sse = resid.reduce((s, e) => s + e * e, 0);
+  const sst = y.reduce((s, v) => s + (v - yMean) ** 2, 0);
+  const dof = Math.max(n - m - 1, 1);
+
+  const byProj = new Map<string, { s: number; n: number }>();
+  rows.forEach((r, i) => {
+    const e = byProj.get(r.p) || { s: 0, n: 0 };
+    e.s += resid[i]!; e.n++;
+    byProj.set(r.p, e);
+  });
+  const projEffect = new Map<string, { u: number; n: number }>();
+  for (const [p, e] of byProj) projEffect.set(p, { u: e.s / (e.n + PROJECT_SHRINK), n: e.n });
+  const sseWithin = rows.reduce((s, r, i) => s + (resid[i]! - projEffect.get(r.p)!.u) ** 2, 0);
+
+  // inv is over the kept columns; spread it back to term positions for prediction
+  const full = Array.from({ length: k }, () => new Array<number>(k).fill(0));
+  cols.forEach((j, a) => cols.forEach((l, c) => { full[j]![l] = inv[a]![c]!; }));
+
+  return {
+    scope, key, n, r2: sst > 0 ? 1 - sse / sst : 0, rmse: Math.sqrt(sse / n),
+    mean, sd: sd.map(v => v || 1), beta, yMean, inv: full,
+    s2: sse / dof, s2Within: sseWithin / dof, projEffect, index, t0,
+  };
+}
+
+/** The model for a sale in `district`: its own if it has enough sales, else its segment's, else the market's */
+function modelFor(sales: SalesRecord[], ctx: Context, district: string, segment: string): Model | null {
+  const usable = (r: SalesRecord) => r.a > 0 && r.ps > 0 && r.fm > 0;
+  const tryScope = (scope: ValuationScope, key: string, keep: (r: SalesRecord) => boolean) => {
+    const id = `${scope}:${key}`;
+    if (!ctx.models.has(id)) {
+      const rows = sales.filter(r => usable(r) && keep(r));
+      const t = Date.now();
+      const m = rows.length >= MIN_FIT_SALES ? fit(sales, rows, scope, key, ctx) : null;
+      if (m && !ctx.quiet) console.log(`🏷️  AVM fitted for ${id} (${m.n} sales, R² ${m.r2.toFixed(2)}, ${Date.now() - t}ms)`);
+      ctx.models.set(id, m);
+    }
+    return ctx.models.get(id) || null;
+  };
+  return tryScope('district', district, r => r.di === district)
+    || tryScope('segment', segment, r => r.sg === segment)
+    || tryScope('market', 'all', () => true);
+}
+
+/** Log PSF for a unit: the regression, the project effect and the index level at its date */
+function predict(m: Model, x: number[], project: string, date: string): { y: number; varMean: number } {
+  const z = x.map((v, j) => (v - m.mean[j]!) / m.sd[j]!);
+  let y = m.yMean, q = 0;
+  z.forEach((v, j) => { y += v * m.beta[j]!; });
+  for (let a = 0; a < z.length; a++) for (let c = 0; c < z.length; c++) q += z[a]! * m.inv[a]![c]! * z[c]!;
+  y += m.projEffect.get(project)?.u || 0;
+  if (m.index) y += Math.log(m.index.at(date) / 100);
+  return { y, varMean: m.s2 * (1 / m.n + q) };
+}
+
+function parseFloorMid(floor: string | undefined, own: SalesRecord[]): number {
+  if (floor) {
+    const [lo, hi] = floor.split('-').map(Number);
+    return hi ? (lo! + hi) / 2 : lo!;
+  }
+  const mids = own.map(r => r.fm).filter(v => v > 0).sort((a, b) => a - b);
+  return mids[Math.floor(mids.length / 2)] || 1;
+}
+
+const mode = (vals: string[]) => {
+  const counts = new Map<string, number>();
+  for (const v of vals) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] || '';
+};
+
+/** A unit to value, described only by what is known before it sells */
+export interface Subject {
+  project: string;
+  district: string;
+  segment: string;
+  tenure: string;
+  area: number;
+  floorMid: number;
+  saleType: string;
+  /** YYYY-MM */
+  date: string;
+  leaseYears?: number;
+  leaseStart?: number;
+}
+
+interface Estimate { m: Model; xs: number[]; y: number; launch: string; psf: number; lo: number; hi: number; confidence: number; projectSales: number }
+
+function estimate(sales: SalesRecord[], ctx: Context, s: Subject): Estimate | null {
+  const m = modelFor(sales, ctx, s.district, s.segment);
+  if (!m) return null;
+  const launch = ctx.launch.get(s.project) || s.date;
+  const xs = features({ p: s.project, d: s.date, a: s.area, fm: s.floorMid, tn: s.tenure, tp: s.saleType, ly: s.leaseYears, ls: s.leaseStart }, launch, m.t0);
+  const { y, varMean } = predict(m, xs, s.project, s.date);
+  const pe = m.projEffect.get(s.project);
+  const sdPred = Math.sqrt(m.s2Within * (1 + 1 / ((pe?.n || 0) + PROJECT_SHRINK)) + varMean);
+
+  const psf = Math.round(Math.exp(y));
+  const lo = Math.round(Math.exp(y - Z_90 * sdPred));
+  const hi = Math.round(Math.exp(y + Z_90 * sdPred));
+  const halfWidth = (hi - lo) / 2 / psf;
+  const confidence = Math.round(100 * Math.max(0, Math.min(1, 1 - halfWidth / ZERO_CONFIDENCE_HALF_WIDTH)));
+  return { m, xs, y, launch, psf, lo, hi, confidence, projectSales: pe?.n || 0 };
+}
+
+/**
+ * Model PSF for a unit using `sales` alone. The backtest passes only the sales
+ * before the unit's month; models are cached on that array like on the store.
+ */
+export function estimatePsf(sales: SalesRecord[], s: Subject): { psf: number; lo: number; hi: number } | null {
+  const e = estimate(sales, contextFor(sales, true), s);
+  return e && { psf: e.psf, lo: e.lo, hi: e.hi };
+}
+
+/** Value one unit; null when the project has no sales */
+export async function getValuation(input: ValuationInput): Promise<Valuation | null> {
+  if (!dashboardCache) await buildDashboardData();
+  const sales = allSales();
+  const own = salesForProject(input.project);
+  if (!own.length) return null;
+
+  const ctx = contextFor(sales);
+  const district = mode(own.map(r => r.di));
+  const segment = mode(own.map(r => r.sg));
+  const tenure = mode(own.map(r => r.tn));
+  // A project can have phases on different leases; value on the most common one
+  const lease = mode(own.filter(r => r.tn === tenure && r.ly && r.ls).map(r => `${r.ly}/${r.ls}`)).split('/').map(Number);
+  const subject: Subject = {
+    project: input.project, district, segment, tenure,
+    area: input.area, floorMid: parseFloorMid(input.floor, own), saleType: input.saleType || 'Resale',
+    date: input.date || sales.reduce((d, r) => (r.d > d ? r.d : d), ''),
+    leaseYears: lease[0] || undefined, leaseStart: lease[1] || undefined,
+  };
+  const e = estimate(sales, ctx, subject);
+  if (!e) return null;
+  const { m, xs, y, launch, psf, lo, hi, confidence } = e;
+  const date = subject.date;
+
+  // Comparables: the project's own sales first, topped up from the district, ranked by how little the model has to adjust them
+  const pool = own.length >= MAX_COMPARABLES ? own : own.concat(sales.filter(r => r.di === district && r.p !== subject.project));
+  const comparables = pool
+    .filter(r => r.a > 0 && r.ps > 0)
+    .map(r => {
+      const adj = y - predict(m, features(r, ctx.launch.get(r.p) || r.d, m.t0), r.p, r.d).y;
+      return { r, adj };
+    })
+    .sort((a, b) => Math.abs(a.adj) - Math.abs(b.adj) || (a.r.d < b.r.d ? 1 : -1))
+    .slice(0, MAX_COMPARABLES)
+    .map(({ r, adj }): ValuationComparable => ({
+      date: r.d, project: r.p, floor: r.fl, area: r.a, price: r.pr, psf: r.ps,
+      adjPsf: Math.round(r.ps * Math.exp(adj)), saleType: r.tp,
+      similarity: Math.round(100 * Math.exp(-5 * Math.abs(adj))),
+    }));
+
+  const age = Math.max(0, years(launch, date));
+  const left = xs[2] ? null : unitLeaseLeft({ p: subject.project, d: date, a: subject.area, fm: subject.floorMid, tn: subject.tenure, tp: subject.saleType, ly: subject.leaseYears, ls: subject.leaseStart }, age);
+  return {
+    project: subject.project, district, segment, date,
+    subject: {
+      area: subject.area, floorMid: subject.floorMid, tenure: subject.tenure, saleType: subject.saleType,
+      age: +age.toFixed(1), leaseStart: subject.leaseStart ?? null,
+      leaseLeft: left === null ? null : +left.toFixed(1), bala: +balaFactor(left).toFixed(3),
+    },
+    psf, price: Math.round(psf * subject.area), lo, hi, level: 0.9, confidence,
+    model: {
+      scope: m.scope, key: m.key, n: m.n, r2: +m.r2.toFixed(3), rmse: +m.rmse.toFixed(3),
+      index: m.index?.key ?? null,
+      effects: TERMS.map((term, j) => {
+        const per = m.beta[j]! / m.sd[j]! * (term === 'log area' ? Math.log(1.1) : 1);
+        return { term, pct: +((Math.exp(per) - 1) * 100).toFixed(2) };
+      }),
+    },
+    projectSales: e.projectSales,
+    comparables,
+    leaseDecay: left === null ? [] : DECAY_HORIZONS.map(h => {
+      const factor = leaseDecay(left, Math.max(0, left - h));
+      return { years: h, leaseLeft: +Math.max(0, left - h).toFixed(1), factor: +factor.toFixed(3), psf: Math.round(psf * factor) };
+    }),
+  };
+}
@@ -0,0 +1,383 @@
+/**
+ * workspaces.ts — Team workspaces (shared portfolio, saved searches, client reports)
+ *
+ * A workspace is a second place the same three lists can live: personal data stays
+ * in userStore, team data in CACHE_DIR/workspaces/<id>.json (ENABLE_DB=false) or
+ * the workspaces table (ENABLE_DB=true). Members are account ids with a role:
+ *   owner  — everything below + rename, manage members, delete
+ *   editor — change the shared lists
+ *   viewer — read only
+ *
+ * Clients send whole lists (same as PUT /user/:id); the server stamps who created
+ * and last edited each item by comparing against the stored copy on `id`. Saves
+ * carry the `updatedAt` they were based on so one agent can't silently overwrite
+ * another's edits. `updatedAt` only moves when the lists change — renames and
+ * member changes don't invalidate an open editor.
+ *
+ * Account ids stay on the server except for owners: everyone else sees members
+ * and item attribution by name and email only (viewOf).
+ */
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync, renameSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import { eq, sql } from 'drizzle-orm';
+import { env } from '../config/env.ts';
+import { getDb } from '../config/database.ts';
+import { workspaces, type WorkspaceRow } from '../db/schema.ts';
+import type { Workspace, WorkspaceMember, WorkspaceRole, SharedItem, Actor } from '../types.ts';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const WORKSPACE_DIR = join(process.env.CACHE_DIR || join(__dirname, '../../cache'), 'workspaces');
+
+export const MAX_MEMBERS = 50;
+const LIST_CAPS = { portfolio: 50, savedSearches: 20, clientReports: 100 } as const;
+type ListKey = keyof typeof LIST_CAPS;
+
+const ROLE_RANK: Record<WorkspaceRole, number> = { viewer: 0, editor: 1, owner: 2 };
+
+export class WorkspaceError extends Error {
+  code: string;
+  status: number;
+  constructor(message: string, code: string, status: number) {
+    super(message);
+    this.name = 'WorkspaceError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/** A member as a non-owner sees them; `self` marks the caller */
+export type MemberView = Omit<WorkspaceMember, 'userId'> & { userId?: string; self: boolean };
+
+export type WorkspaceView = Omit<Workspace, 'members'> & { members: MemberView[]; role: WorkspaceRole | null };
+
+export interface WorkspaceSummary {
+  id: string;
+  name: string;
+  role: WorkspaceRole;
+  memberCount: number;
+  updatedAt: string;
+}
+
+// ── File backend ──
+
+function ensureDir() {
+  if (!existsSync(WORKSPACE_DIR)) mkdirSync(WORKSPACE_DIR, { recursive: true });
+}
+
+function safeId(id: string): string {
+  const safe = String(id).replace(/[^a-zA-Z0-9-]/g, '').slice(0, 64);
+  if (!safe) throw new WorkspaceError('Invalid workspace ID', 'INVALID_WORKSPACE_ID', 400);
+  return safe;
+}
+
+function workspaceFile(id: string): string {
+  return join(WORKSPACE_DIR, `${safeId(id)}.json`);
+}
+
+function readFile(id: string): Workspace | null {
+  const f = workspaceFile(id);
+  if (!existsSync(f)) return null;
+  try {
+    return JSON.parse(readFileSync(f, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeFile(ws: Workspace): void {
+  ensureDir();
+  const f = workspaceFile(ws.id);
+  writeFileSync(`${f}.tmp`, JSON.stringify(ws, null, 2));
+  renameSync(`${f}.tmp`, f);
+}
+
+// ── PostgreSQL backend (workspaces) ──
+
+type Db = ReturnType<typeof getDb>;
+type Tx = Parameters<Parameters<Db['transaction']>[0]>[0];
+
+function fromRow(r: WorkspaceRow): Workspace {
+  return {
+    id: r.id,
+    name: r.name,
+    createdAt: r.createdAt.toISOString(),
+    updatedAt: r.updatedAt.toISOString(),
+    members: r.members as WorkspaceMember[],
+    portfolio: r.portfolio as SharedItem[],
+    savedSearches: r.savedSearches as SharedItem[],
+    clientReports: r.clientReports as SharedItem[],
+  };
+}
+
+async function readRow(db: Db | Tx, id: string, lock = false): Promise<Workspace | null> {
+  const q = db.select().from(workspaces).where(eq(workspaces.id, safeId(id))).limit(1);
+  const [row] = lock ? await q.for('update') : await q;
+  return row ? fromRow(row) : null;
+}
+
+async function writeRow(db: Db | Tx, ws: Workspace): Promise<void> {
+  const values = {
+    name: ws.name,
+    members: ws.members,
+    portfolio: ws.portfolio,
+    savedSearches: ws.savedSearches,
+    clientReports: ws.clientReports,
+    updatedAt: new Date(ws.updatedAt),
+  };
+  await db.insert(workspaces)
+    .values({ id: safeId(ws.id), createdAt: new Date(ws.createdAt), ...values })
+    .onConflictDoUpdate({ target: workspaces.id, set: values });
+}
+
+// ── Storage ──
+
+async function read(id: string): Promise<Workspace | null> {
+  return env.ENABLE_DB ? readRow(getDb(), id) : readFile(id);
+}
+
+async function write(ws: Workspace): Promise<Workspace> {
+  if (env.ENABLE_DB) await writeRow(getDb(), ws);
+  else writeFile(ws);
+  return ws;
+}
+
+/**
+ * Read-modify-write one workspace the user holds at least `min` role in. The DB
+ * path locks the row so two saves can't both pass the baseUpdatedAt check.
+ */
+async function modify(
+  id: string, userId: string, min: WorkspaceRole,
+  fn: (ws: Workspace) => Workspace,
+): Promise<Workspace> {
+  if (!env.ENABLE_DB) return write(fn(checkRole(readFile(id), userId, min)));
+  return getDb().transaction(async (tx) => {
+    const next = fn(checkRole(await readRow(tx, id, true), userId, min));
+    await writeRow(tx, next);
+    return next;
+  });
+}
+
+// ── Access ──
+
+export function roleOf(ws: Workspace, userId: string): WorkspaceRole | null {
+  return ws.members.find(m => m.userId === userId)?.role ?? null;
+}
+
+/** Non-members get 404 rather than 403 so workspace ids don't leak */
+function checkRole(ws: Workspace | null, userId: string, min: WorkspaceRole): Workspace {
+  const role = ws ? roleOf(ws, userId) : null;
+  if (!ws || !role) throw new WorkspaceError('Workspace not found', 'WORKSPACE_NOT_FOUND', 404);
+  if (ROLE_RANK[role] < ROLE_RANK[min]) {
+    throw new WorkspaceError(`Requires ${min} role`, 'INSUFFICIENT_ROLE', 403);
+  }
+  return ws;
+}
+
+/** Load a workspace the user may act on with at least `min` role */
+export async function requireRole(id: string, userId: string, min: WorkspaceRole): Promise<{ ws: Workspace; role: WorkspaceRole }> {
+  const ws = checkRole(await read(id), userId, min);
+  return { ws, role: roleOf(ws, userId)! };
+}
+
+/** Members as `userId` may see them: with account ids for owners, without for everyone else */
+export function membersOf(ws: Workspace, userId: string): MemberView[] {
+  const owner = roleOf(ws, userId) === 'owner';
+  return ws.members.map(({ userId: id, ...m }) => ({ ...m, ...(owner ? { userId: id } : {}), self: id === userId }));
+}
+
+const nameOnly = (a: Actor | undefined) => a && { name: a.name };
+
+/** The workspace as `userId` may see it (see membersOf); item attribution loses its ids the same way */
+export function viewOf(ws: Workspace, userId: string): WorkspaceView {
+  const role = roleOf(ws, userId);
+  if (role === 'owner') return { ...ws, members: membersOf(ws, userId), role };
+  const items = (list: SharedItem[]) => list.map(i => ({
+    ...i, createdBy: nameOnly(i.createdBy), updatedBy: nameOnly(i.updatedBy),
+  }) as SharedItem);
+  return {
+    ...ws, role, members: membersOf(ws, userId),
+    portfolio: items(ws.portfolio), savedSearches: items(ws.savedSearches), clientReports: items(ws.clientReports),
+  };
+}
+
+function actorOf(ws: Workspace, userId: string): Actor {
+  const m = ws.members.find(x => x.userId === userId);
+  return { id: userId, name: m?.displayName || m?.email || userId };
+}
+
+// ── Workspaces ──
+
+async function memberOf(userId: string): Promise<Workspace[]> {
+  if (env.ENABLE_DB) {
+    const rows = await getDb().select().from(workspaces)
+      .where(sql`${workspaces.members} @> ${JSON.stringify([{ userId }])}::jsonb`);
+    return rows.map(fromRow);
+  }
+  ensureDir();
+  return readdirSync(WORKSPACE_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => readFile(f.slice(0, -5)))
+    .filter((ws): ws is Workspace => !!ws);
+}
+
+export async function listWorkspaces(userId: string): Promise<WorkspaceSummary[]> {
+  const out: WorkspaceSummary[] = [];
+  for (const ws of await memberOf(userId)) {
+    const role = roleOf(ws, userId);
+    if (!role) continue;
+    out.push({ id: ws.id, name: ws.name, role, memberCount: ws.members.length, updatedAt: ws.updatedAt });
+  }
+  return out.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function createWorkspace(name: string, owner: { id: string; email: string; displayName: string | null }): Promise<Workspace> {
+  const now = new Date().toISOString();
+  return write({
+    id: randomUUID(),
+    name: name.trim(),
+    createdAt: now,
+    updatedAt: now,
+    members: [{ userId: owner.id, email: owner.email, displayName: owner.displayName, role: 'owner', addedAt: now }],
+    portfolio: [],
+    savedSearches: [],
+    clientReports: [],
+  });
+}
+
+export function renameWorkspace(id: string, userId: string, name: string): Promise<Workspace> {
+  return modify(id, userId, 'owner', ws => ({ ...ws, name: name.trim() }));
+}
+
+export async function deleteWorkspace(id: string, userId: string): Promise<void> {
+  if (!env.ENABLE_DB) {
+    checkRole(readFile(id), userId, 'owner');
+    unlinkSync(workspaceFile(id));
+    return;
+  }
+  await getDb().transaction(async (tx) => {
+    checkRole(await readRow(tx, id, true), userId, 'owner');
+    await tx.delete(workspaces).where(eq(workspaces.id, safeId(id)));
+  });
+}
+
+// ── Shared lists ──
+
+const META_KEYS = new Set(['createdBy', 'updatedBy', 'updatedAt']);
+
+/** Key-order-independent JSON so a re-serialised but unchanged item compares equal */
+function stableJson(v: unknown): string {
+  if (Array.isArray(v)) return `[${v.map(stableJson).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).filter(k => (v as any)[k] !== undefined).sort()
+      .map(k => `${JSON.stringify(k)}:${stableJson((v as any)[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v);
+}
+
+function content(item: Record<string, unknown>): Record<string, unknown> {
+  return Object.fromEntries(Object.entries(item).filter(([k]) => !META_KEYS.has(k)));
+}
+
+/**
+ * Carry attribution over from the stored list. New items are stamped createdBy;
+ * changed items get updatedBy/updatedAt; untouched items keep their stored copy.
+ * Client-sent attribution is ignored.
+ */
+function stampItems(prev: SharedItem[], next: Record<string, unknown>[], actor: Actor, now: string): SharedItem[] {
+  const byId = new Map(prev.map(i => [String(i.id), i]));
+  return next.map(raw => {
+    const body = content(raw);
+    const id = (body.id as string | number | undefined) ?? randomUUID();
+    const old = byId.get(String(id));
+    if (!old) return { ...body, id, createdAt: (body.createdAt as string) || now, createdBy: actor };
+    // createdAt is server-kept once set, so a client dropping it isn't an edit
+    if (stableJson({ ...content(old), createdAt: undefined }) === stableJson({ ...body, id, createdAt: undefined })) return old;
+    return {
+      ...body, id,
+      createdAt: old.createdAt, createdBy: old.createdBy,
+      updatedBy: actor, updatedAt: now,
+    };
+  });
+}
+
+/**
+ * Replace any of the shared lists (omitted lists are left alone).
+ * @param baseUpdatedAt the workspace `updatedAt` the client last loaded — 409 if it moved on
+ */
+export function saveWorkspaceData(
+  id: string, userId: string,
+  data: Partial<Record<ListKey, Record<string, unknown>[]>>,
+  baseUpdatedAt: string,
+): Promise<Workspace> {
+  return modify(id, userId, 'editor', (ws) => {
+    if (baseUpdatedAt !== ws.updatedAt) {
+      throw new WorkspaceError('Workspace was changed by someone else', 'WORKSPACE_CONFLICT', 409);
+    }
+    // Strictly after the base, so a second save within the same millisecond still conflicts
+    const now = new Date(Math.max(Date.now(), Date.parse(ws.updatedAt) + 1)).toISOString();
+    const actor = actorOf(ws, userId);
+    const next: Workspace = { ...ws, updatedAt: now };
+    for (const key of Object.keys(LIST_CAPS) as ListKey[]) {
+      const list = data[key];
+      if (Array.isArray(list)) next[key] = stampItems(ws[key], list.slice(0, LIST_CAPS[key]), actor, now);
+    }
+    return next;
+  });
+}
+
+// ── Members ──
+
+function ownerCount(ws: Workspace): number {
+  return ws.members.filter(m => m.role === 'owner').length;
+}
+
+export function addMember(
+  id: string, userId: string,
+  account: { id: string; email: string; displayName: string | null },
+  role: WorkspaceRole,
+): Promise<Workspace> {
+  return modify(id, userId, 'owner', (ws) => {
+    if (ws.members.some(m => m.userId === account.id)) {
+      throw new WorkspaceError('Already a member', 'ALREADY_MEMBER', 409);
+    }
+    if (ws.members.length >= MAX_MEMBERS) {
+      throw new WorkspaceError(`Workspaces are limited to ${MAX_MEMBERS} members`, 'TOO_MANY_MEMBERS', 400);
+    }
+    const member: WorkspaceMember = {
+      userId: account.id, email: account.email, displayName: account.displayName,
+      role, addedAt: new Date().toISOString(),
+    };
+    return { ...ws, members: [...ws.members, member] };
+  });
+}
+
+export function setMemberRole(id: string, userId: string, memberId: string, role: WorkspaceRole): Promise<Workspace> {
+  return modify(id, userId, 'owner', (ws) => {
+    const member = ws.members.find(m => m.userId === memberId);
+    if (!member) throw new WorkspaceError('Member not found', 'MEMBER_NOT_FOUND', 404);
+    if (member.role === 'owner' && role !== 'owner' && ownerCount(ws) === 1) {
+      throw new WorkspaceError('A workspace needs at least one owner', 'LAST_OWNER', 400);
+    }
+    return {
+      ...ws,
+      members: ws.members.map(m => m.userId === memberId ? { ...m, role } : m),
+    };
+  });
+}
+
+/** Owners can remove anyone; everyone else can only remove themselves (leave). */
+export function removeMember(id: string, userId: string, memberId: string): Promise<Workspace> {
+  return modify(id, userId, memberId === userId ? 'viewer' : 'owner', (ws) => {
+    const member = ws.members.find(m => m.userId === memberId);
+    if (!member) throw new WorkspaceError('Member not found', 'MEMBER_NOT_FOUND', 404);
+    if (member.role === 'owner' && ownerCount(ws) === 1) {
+      throw new WorkspaceError('A workspace needs at least one owner', 'LAST_OWNER', 400);
+    }
+    return {
+      ...ws,
+      members: ws.members.filter(m => m.userId !== memberId),
+    };
+  });
+}
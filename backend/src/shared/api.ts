@@ -0,0 +1,124 @@
+/**
+ * shared/api.ts — Versioned API plumbing: error codes, validation, response contracts
+ *
+ * Every error body has the same shape: { success: false, error, code, details?, requestId? }.
+ * `code` is a stable machine-readable string from ERROR_CODES; `error` is for humans.
+ *
+ * Versioning: routes live under /api/v1. The unversioned /api/* paths are kept
+ * as a deprecated alias (same handlers) that adds RFC 8594 / 9745 headers:
+ *   Deprecation: @<unix time>   Sunset: <http date>   Link: </api/v1/...>; rel="successor-version"
+ */
+import type { Request, Response, NextFunction, RequestHandler } from 'express';
+import { z } from 'zod';
+import { env } from '../config/env.ts';
+import { describeInput } from './openapi.ts';
+
+export const API_VERSION = 'v1';
+
+// ── Error codes ──
+
+export const ERROR_CODES = [
+  'VALIDATION_FAILED', 'BAD_REQUEST', 'UNAUTHORIZED', 'FORBIDDEN', 'NOT_FOUND',
+  'PROJECT_NOT_FOUND', 'NO_MATCHING_DATA', 'SNAPSHOT_NOT_FOUND', 'JOB_NOT_FOUND',
+  'EXPORT_TOO_LARGE', 'CONFLICT', 'REFRESH_IN_PROGRESS', 'RATE_LIMITED', 'NO_ADMIN_KEY',
+  'DATA_LOADING', 'SERVICE_UNAVAILABLE', 'RESPONSE_CONTRACT', 'INTERNAL_ERROR',
+] as const;
+
+export type ErrorCode = typeof ERROR_CODES[number] | (string & {});
+
+/** Fallback code when an error carries only a status */
+export function codeForStatus(status: number): ErrorCode {
+  switch (status) {
+    case 400: return 'BAD_REQUEST';
+    case 401: return 'UNAUTHORIZED';
+    case 403: return 'FORBIDDEN';
+    case 404: return 'NOT_FOUND';
+    case 409: return 'CONFLICT';
+    case 429: return 'RATE_LIMITED';
+    case 503: return 'SERVICE_UNAVAILABLE';
+    default: return status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST';
+  }
+}
+
+/**
+ * An error whose message is safe to show the client. Thrown from services or
+ * handlers and rendered by the app error handler as { success: false, error, code }.
+ */
+export class ApiError extends Error {
+  code: ErrorCode;
+  status: number;
+  details?: unknown;
+
+  constructor(message: string, code: ErrorCode, status = 400, details?: unknown) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// ── Request validation ──
+
+/** Readable one-line-per-issue list for the `details` field */
+export function zodDetails(err: z.ZodError): string[] {
+  return err.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`);
+}
+
+/**
+ * Validate req[source] against a zod schema; the parsed (coerced, defaulted)
+ * value is attached as req.validated. Responds 400 VALIDATION_FAILED otherwise.
+ */
+export function validate<T extends z.ZodTypeAny>(schema: T, source: 'query' | 'params' | 'body' = 'query'): RequestHandler {
+  return describeInput((req: Request, res: Response, next: NextFunction): void => {
+    const result = schema.safeParse(req[source]);
+    if (!result.success) {
+      res.status(400).json({ success: false, error: 'Validation failed', code: 'VALIDATION_FAILED', details: zodDetails(result.error) });
+      return;
+    }
+    (req as any).validated = result.data;
+    next();
+  }, { source, schema });
+}
+
+// ── Response contracts ──
+
+/**
+ * Send { success: true, data, ...extra } after checking `data` against its
+ * response schema. Outside production a mismatch is a 500 RESPONSE_CONTRACT so
+ * drift between a service and the contract (and frontend/src/types.ts) shows up
+ * in development; in production the check is skipped.
+ */
+export function sendData<T extends z.ZodType>(res: Response, schema: T, data: unknown, extra: Record<string, unknown> = {}): void {
+  if (env.NODE_ENV !== 'production') {
+    const result = schema.safeParse(data);
+    if (!result.success) {
+      console.error('❌ Response contract violation:', zodDetails(result.error).slice(0, 10));
+      res.status(500).json({ success: false, error: 'Response did not match its contract', code: 'RESPONSE_CONTRACT', details: zodDetails(result.error) });
+      return;
+    }
+  }
+  res.json({ success: true, data, ...extra });
+}
+
+// ── Versioning ──
+
+/**
+ * Marks responses from the unversioned /api/* alias as deprecated and points at
+ * the /api/v1 equivalent. Requests already under /api/v1 skip the alias router.
+ */
+export function deprecatedAlias(since: Date, sunset: Date): RequestHandler {
+  const deprecation = `@${Math.floor(since.getTime() / 1000)}`;
+  return (req: Request, res: Response, next: NextFunction): void => {
+    if (req.path === `/${API_VERSION}` || req.path.startsWith(`/${API_VERSION}/`)) return next('router');
+    res.setHeader('Deprecation', deprecation);
+    res.setHeader('Sunset', sunset.toUTCString());
+    res.setHeader('Link', `</api/${API_VERSION}${req.url}>; rel="successor-version"`);
+    next();
+  };
+}
+
+/** JSON 404 for unknown /api paths (instead of falling through to the SPA) */
+export function apiNotFound(req: Request, res: Response): void {
+  res.status(404).json({ success: false, error: `No route for ${req.method} ${req.baseUrl}${req.path}`, code: 'NOT_FOUND' });
+}
@@ -0,0 +1,47 @@
+/**
+ * shared/lease-curve.ts — Bala's curve and the lease decay it implies
+ *
+ * Bala's curve is the Singapore Land Authority's table of a leasehold's value
+ * as a share of the freehold value, by years of lease left. It is flat for a
+ * long lease and falls away steeply in the last 30 years: a 99-year lease is
+ * worth 96% of freehold, 60 years left 81%, 30 years 60%, 10 years 30%.
+ *
+ * The one copy of the curve: the valuation engine reads it through
+ * services/lease.ts and the frontend through constants.js (the @shared alias in
+ * vite.config.js). Imports nothing, so it bundles for the browser as is.
+ */
+
+/** Share of freehold value with 0..99 years of lease left (SLA, from 1 year) */
+export const BALA_CURVE: readonly number[] = [
+  0, 0.038, 0.075, 0.109, 0.141, 0.171, 0.199, 0.227, 0.252, 0.277,
+  0.300, 0.322, 0.343, 0.363, 0.382, 0.400, 0.418, 0.434, 0.450, 0.466,
+  0.480, 0.495, 0.508, 0.521, 0.534, 0.546, 0.558, 0.569, 0.580, 0.590,
+  0.600, 0.610, 0.619, 0.628, 0.637, 0.646, 0.654, 0.662, 0.670, 0.677,
+  0.685, 0.692, 0.699, 0.706, 0.712, 0.719, 0.726, 0.732, 0.739, 0.745,
+  0.751, 0.757, 0.763, 0.769, 0.775, 0.781, 0.787, 0.793, 0.798, 0.804,
+  0.809, 0.815, 0.820, 0.825, 0.830, 0.835, 0.840, 0.845, 0.850, 0.855,
+  0.860, 0.864, 0.869, 0.873, 0.877, 0.882, 0.886, 0.890, 0.894, 0.898,
+  0.902, 0.906, 0.909, 0.913, 0.916, 0.920, 0.923, 0.927, 0.930, 0.933,
+  0.936, 0.939, 0.942, 0.945, 0.947, 0.950, 0.953, 0.955, 0.958, 0.960,
+];
+
+/** Value as a share of freehold with `years` of lease left (null = doesn't decay), interpolated between whole years */
+export function balaFactor(years: number | null | undefined): number {
+  if (years == null) return 1;
+  const top = BALA_CURVE.length - 1;
+  if (years >= top) return BALA_CURVE[top]!;
+  if (years <= 0) return 0;
+  const i = Math.floor(years);
+  return BALA_CURVE[i]! + (BALA_CURVE[i + 1]! - BALA_CURVE[i]!) * (years - i);
+}
+
+/**
+ * Multiplier taking a value with `fromLeft` years of lease left to the same
+ * unit with `toLeft` years left, market unchanged. 1 when the lease doesn't
+ * decay (either end null).
+ */
+export function leaseDecay(fromLeft: number | null | undefined, toLeft: number | null | undefined): number {
+  if (fromLeft == null || toLeft == null) return 1;
+  const from = balaFactor(fromLeft);
+  return from > 0 ? balaFactor(toLeft) / from : 0;
+}
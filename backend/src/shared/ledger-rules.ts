@@ -0,0 +1,28 @@
+/**
+ * shared/ledger-rules.ts — What a holding's ledger must satisfy
+ *
+ * The one copy of these rules: the server validates saves with them
+ * (schemas.ts) and the portfolio page checks every edit with them
+ * (frontend portfolio/ledger.js, through the @shared alias in vite.config.js),
+ * so a ledger the page accepts always saves. Imports nothing, so it bundles
+ * for the browser as is.
+ */
+
+/** Holdings per user */
+export const MAX_HOLDINGS = 50;
+/** Events per holding */
+export const MAX_LEDGER_EVENTS = 120;
+/** Partial shares come in as percentages, so a sum this close to 1 is the whole unit */
+const WHOLE_UNIT = 1 - 1e-9;
+
+/** Why a ledger can't stand, or null */
+export function ledgerError(events: ReadonlyArray<{ type: string; date: string; share?: number }>): string | null {
+  if (events.length > MAX_LEDGER_EVENTS) return `Over ${MAX_LEDGER_EVENTS} events`;
+  if (!events.some(e => e.type === 'purchase')) return 'No purchase';
+  const sales = events.filter(e => e.type === 'sale');
+  if (sales.length > 1) return 'More than one final sale';
+  if (sales.length && events.some(e => e.date > sales[0]!.date)) return 'Events after the final sale';
+  const partial = events.reduce((s, e) => s + (e.type === 'partial_sale' ? e.share || 0 : 0), 0);
+  if (partial >= WHOLE_UNIT) return 'Partial sales add up to the whole unit: record the last one as a final sale';
+  return null;
+}
@@ -1,20 +1,27 @@
 /**
  * shared/metrics.ts — Prometheus metrics via prom-client
  *
- * Exposes: /api/metrics (protected by admin key in production)
+ * Exposes: /api/metrics (protected by admin key in production), and /metrics on
+ * WORKER_METRICS_PORT from the ingestion worker — URA is called from there, so the
+ * upstream counters and token expiry are only meaningful on the worker's scrape
  *
  * Metrics:
  *   http_requests_total          — Counter by method/route/status
  *   http_request_duration_seconds — Histogram by method/route/status
  *   cache_operations_total       — Counter by type (hit/miss/set/del)
  *   ura_ingestion_duration_seconds — Histogram for ingestion jobs
+ *   upstream_requests_total      — Counter of URA API calls by service/batch/outcome
+ *   rate_limit_rejections_total  — Counter of 429s by limiter
  *   active_connections           — Gauge for current connections
  *   data_store_size              — Gauge for in-memory store sizes
+ *   cache_age_seconds, token_expiry_seconds, last_refresh_* — read at scrape
+ *     time from the providers passed to registerStateMetrics()
  */
 import {
   Registry, Counter, Histogram, Gauge, Summary,
   collectDefaultMetrics,
 } from 'prom-client';
+import { createServer, type Server } from 'http';
 import type { Request, Response, NextFunction } from 'express';
 
 export const registry = new Registry();
@@ -72,6 +79,20 @@ export const ingestionRecords = new Counter({
   registers: [registry],
 });
 
+export const upstreamRequests = new Counter({
+  name: 'ura_upstream_requests_total',
+  help: 'URA API calls (sales batches, rental quarters) by outcome',
+  labelNames: ['service', 'batch', 'outcome'] as const, // outcome: success/failure
+  registers: [registry],
+});
+
+export const rateLimitRejections = new Counter({
+  name: 'ura_rate_limit_rejections_total',
+  help: 'Requests rejected with 429',
+  labelNames: ['limiter'] as const, // api, refresh, user_write
+  registers: [registry],
+});
+
 // ── Business Metrics ──
 
 export const activeConnections = new Gauge({
@@ -80,13 +101,6 @@ export const activeConnections = new Gauge({
   registers: [registry],
 });
 
-export const dataStoreSize = new Gauge({
-  name: 'ura_data_store_size',
-  help: 'Number of records in data stores',
-  labelNames: ['store'] as const, // sales, rental, projects
-  registers: [registry],
-});
-
 export const authOperations = new Counter({
   name: 'ura_auth_operations_total',
   help: 'Authentication operations',
@@ -94,20 +108,97 @@ export const authOperations = new Counter({
   registers: [registry],
 });
 
+// ── Scrape-time state ──
+
+/** Where the state gauges read from — passed in by server.ts so this module imports no services */
+export interface StateSources {
+  cacheInfo: () => Record<string, any>;
+  tokenInfo: () => { expiresAt: string | null; isValid: boolean };
+  lastSync: () => { completedAt: string; durationMs: number; failedBatches: number[] } | null;
+}
+
+const secondsUntil = (iso: string | null | undefined) => iso ? (Date.parse(iso) - Date.now()) / 1000 : 0;
+
+/**
+ * Register gauges that are computed on each scrape. The last_refresh_* values come
+ * from the published sync summary, so they are correct in the API process even when
+ * the refresh itself ran in the ingestion worker.
+ */
+export function registerStateMetrics(src: StateSources): void {
+  new Gauge({
+    name: 'ura_cache_age_seconds',
+    help: 'Seconds since the in-memory dashboard was built (-1 when not loaded)',
+    registers: [registry],
+    collect() {
+      const age = src.cacheInfo().memory?.cacheAgeSec;
+      this.set(typeof age === 'number' ? age : -1);
+    },
+  });
+
+  new Gauge({
+    name: 'ura_data_store_size',
+    help: 'Number of records in data stores',
+    labelNames: ['store'] as const,
+    registers: [registry],
+    collect() {
+      const { memory = {}, archive = {} } = src.cacheInfo();
+      this.set({ store: 'sales' }, memory.salesRecords || 0);
+      this.set({ store: 'rental' }, memory.rentalRecords || 0);
+      this.set({ store: 'projects' }, memory.projectCacheSize || 0);
+      this.set({ store: 'archive_generations' }, archive.generations || 0);
+    },
+  });
+
+  new Gauge({
+    name: 'ura_token_expiry_seconds',
+    help: 'Seconds until the URA token expires (0 when there is no valid token)',
+    registers: [registry],
+    collect() {
+      const t = src.tokenInfo();
+      this.set(t.isValid ? Math.max(0, secondsUntil(t.expiresAt)) : 0);
+    },
+  });
+
+  new Gauge({
+    name: 'ura_last_refresh_timestamp_seconds',
+    help: 'Unix time the last successful refresh completed (0 if none yet)',
+    registers: [registry],
+    collect() {
+      const sync = src.lastSync();
+      this.set(sync ? Date.parse(sync.completedAt) / 1000 : 0);
+    },
+  });
+
+  new Gauge({
+    name: 'ura_last_refresh_duration_seconds',
+    help: 'Duration of the last successful refresh',
+    registers: [registry],
+    collect() {
+      this.set((src.lastSync()?.durationMs || 0) / 1000);
+    },
+  });
+
+  new Gauge({
+    name: 'ura_last_refresh_failed_batches',
+    help: 'Sales batches that failed in the last refresh — non-zero means the data is incomplete',
+    registers: [registry],
+    collect() {
+      this.set(src.lastSync()?.failedBatches.length || 0);
+    },
+  });
+}
+
 // ── Express Middleware ──
 
 /**
  * Normalize route for metric labels.
- * Collapses path params: /api/project/THE%20LANDMARK → /api/project/:name
+ * Uses the matched Express pattern (/api/v1/project/:name), so path params never
+ * become label values. Requests no route matched (static files, 404s) are
+ * bucketed rather than labelled by URL.
  */
 function normalizeRoute(req: Request): string {
-  const url = req.route?.path || req.originalUrl || req.url;
-  // Collapse known dynamic segments
-  return url
-    .replace(/\/api\/project\/[^/?]+/, '/api/project/:name')
-    .replace(/\/api\/search\/[^/?]+/, '/api/search/:type')
-    .replace(/\/api\/user\/[^/?]+/, '/api/user/:id')
-    .split('?')[0]; // Strip query params
+  if (req.route?.path) return `${req.baseUrl}${req.route.path}`;
+  return req.originalUrl.startsWith('/api/') ? '/api/unmatched' : 'static';
 }
 
 /**
@@ -155,3 +246,24 @@ export async function metricsEndpoint(_req: Request, res: Response): Promise<voi
     res.status(500).end('Error collecting metrics');
   }
 }
+
+/**
+ * Serve the registry on its own port, for processes without an Express app
+ * (the ingestion worker). GET /metrics only; it should not be published outside
+ * the Prometheus network.
+ */
+export function serveMetrics(port: number): Server {
+  const server = createServer(async (req, res) => {
+    if (req.method !== 'GET' || req.url !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+    try {
+      const metrics = await registry.metrics();
+      res.writeHead(200, { 'Content-Type': registry.contentType }).end(metrics);
+    } catch {
+      res.writeHead(500).end('Error collecting metrics');
+    }
+  });
+  return server.listen(port);
+}
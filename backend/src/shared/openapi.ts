@@ -0,0 +1,273 @@
+/**
+ * shared/openapi.ts — OpenAPI 3.0 document generated from the Express routers
+ *
+ * Nothing is written by hand in YAML: the generator walks each router's stack and
+ * reads, per route,
+ *   - the path and method (":name" → "{name}")
+ *   - validate(schema, source) middlewares → query / path parameters / request body
+ *   - an apiDoc({...}) middleware → summary, tags, response schema, extra statuses
+ *   - requireAuth / requireAdminKey in the chain (or router.use) → security
+ * so a route's documentation changes when its validation does.
+ *
+ * Served at /api/openapi.json and browsed with the explorer at /api/docs.
+ */
+import type { Router, RequestHandler } from 'express';
+import { z } from 'zod';
+
+type JsonSchema = Record<string, any>;
+
+export interface RouteDoc {
+  summary: string;
+  description?: string;
+  tags?: string[];
+  /** Schema of `data` in the { success: true, data } envelope */
+  response?: z.ZodTypeAny;
+  /** Content types of a file download, instead of the JSON envelope */
+  produces?: string[];
+  /** Success status when not 200 (202 Accepted, 201 Created) */
+  status?: number;
+  /** Inputs the handler parses itself instead of using validate() */
+  params?: z.ZodTypeAny;
+  body?: z.ZodTypeAny;
+  /** Error statuses beyond the ones implied by validation / auth (404, 409...) */
+  errors?: Record<number, string>;
+  deprecated?: boolean;
+}
+
+export interface RouterMount {
+  prefix: string;
+  router: Router;
+}
+
+/** What validate() leaves on its middleware for the generator */
+export interface ValidatedInput {
+  source: 'query' | 'params' | 'body';
+  schema: z.ZodTypeAny;
+}
+
+const DOC = Symbol('openapi.doc');
+const INPUT = Symbol('openapi.input');
+
+/** No-op middleware that carries a route's documentation */
+export function apiDoc(doc: RouteDoc): RequestHandler {
+  const mw: RequestHandler = (_req, _res, next) => next();
+  return Object.assign(mw, { [DOC]: doc });
+}
+
+/** Tag a validation middleware with the schema it enforces */
+export function describeInput<T extends RequestHandler>(mw: T, input: ValidatedInput): T {
+  return Object.assign(mw, { [INPUT]: input });
+}
+
+// ═══ zod (v3) → JSON Schema (OpenAPI 3.0 dialect) ═══
+
+/**
+ * Convert a zod schema. `refs` maps schemas registered as components to their
+ * names so they're emitted as $ref instead of being inlined.
+ */
+export function zodToJsonSchema(schema: z.ZodTypeAny, refs: Map<z.ZodTypeAny, string> = new Map()): JsonSchema {
+  const ref = refs.get(schema);
+  if (ref) return { $ref: `#/components/schemas/${ref}` };
+
+  const def = (schema as any)._def;
+  const out = convert(schema, def, refs);
+  if (schema.description) out.description = schema.description;
+  return out;
+}
+
+function convert(schema: z.ZodTypeAny, def: any, refs: Map<z.ZodTypeAny, string>): JsonSchema {
+  switch (def.typeName) {
+    case 'ZodString': {
+      const out: JsonSchema = { type: 'string' };
+      for (const c of def.checks || []) {
+        if (c.kind === 'min') out.minLength = c.value;
+        else if (c.kind === 'max') out.maxLength = c.value;
+        else if (c.kind === 'regex') out.pattern = c.regex.source;
+        else if (c.kind === 'email') out.format = 'email';
+        else if (c.kind === 'url') out.format = 'uri';
+        else if (c.kind === 'uuid') out.format = 'uuid';
+      }
+      return out;
+    }
+    case 'ZodNumber': {
+      const out: JsonSchema = { type: 'number' };
+      for (const c of def.checks || []) {
+        if (c.kind === 'int') out.type = 'integer';
+        else if (c.kind === 'min') { out.minimum = c.value; if (!c.inclusive) out.exclusiveMinimum = true; }
+        else if (c.kind === 'max') { out.maximum = c.value; if (!c.inclusive) out.exclusiveMaximum = true; }
+      }
+      return out;
+    }
+    case 'ZodBoolean': return { type: 'boolean' };
+    case 'ZodDate': return { type: 'string', format: 'date-time' };
+    case 'ZodLiteral': return { type: typeof def.value, enum: [def.value] };
+    case 'ZodEnum': return { type: 'string', enum: [...def.values] };
+    case 'ZodOptional': return zodToJsonSchema(def.innerType, refs);
+    case 'ZodNullable': return { ...zodToJsonSchema(def.innerType, refs), nullable: true };
+    case 'ZodDefault': return { ...zodToJsonSchema(def.innerType, refs), default: def.defaultValue() };
+    case 'ZodCatch': return zodToJsonSchema(def.innerType, refs);
+    case 'ZodEffects': return zodToJsonSchema(def.schema, refs);
+    case 'ZodArray': {
+      const out: JsonSchema = { type: 'array', items: zodToJsonSchema(def.type, refs) };
+      if (def.minLength) out.minItems = def.minLength.value;
+      if (def.maxLength) out.maxItems = def.maxLength.value;
+      return out;
+    }
+    case 'ZodRecord': return { type: 'object', additionalProperties: zodToJsonSchema(def.valueType, refs) };
+    case 'ZodUnion': return { anyOf: def.options.map((o: z.ZodTypeAny) => zodToJsonSchema(o, refs)) };
+    case 'ZodObject': {
+      const shape = (schema as z.AnyZodObject).shape;
+      const properties: JsonSchema = {};
+      const required: string[] = [];
+      for (const [key, field] of Object.entries(shape) as Array<[string, z.ZodTypeAny]>) {
+        properties[key] = zodToJsonSchema(field, refs);
+        if (!field.isOptional()) required.push(key);
+      }
+      const out: JsonSchema = { type: 'object', properties };
+      if (required.length) out.required = required;
+      if (def.unknownKeys === 'passthrough') out.additionalProperties = true;
+      else if (def.unknownKeys === 'strict') out.additionalProperties = false;
+      return out;
+    }
+    default:
+      // ZodUnknown, ZodAny, lazies, etc. — anything goes
+      return {};
+  }
+}
+
+// ═══ Route walking ═══
+
+const AUTH_GUARDS: Record<string, string> = { requireAuth: 'bearerAuth', requireAdminKey: 'adminKey', ownUser: 'bearerAuth' };
+
+const toOpenApiPath = (p: string) => p.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+
+function operationId(method: string, path: string): string {
+  const words = path.split(/[/{}-]+/).filter(Boolean).map(w => w[0]!.toUpperCase() + w.slice(1));
+  return method + words.join('');
+}
+
+function envelope(data: JsonSchema): JsonSchema {
+  return {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: { success: { type: 'boolean', enum: [true] }, data },
+  };
+}
+
+function errorResponse(description: string): JsonSchema {
+  return { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/ApiError' } } } };
+}
+
+function parametersFrom(schema: z.ZodTypeAny, where: 'query' | 'path'): JsonSchema[] {
+  const json = zodToJsonSchema(schema); // parameters are always inlined
+  const required = new Set<string>(json.required || []);
+  return Object.entries(json.properties || {}).map(([name, prop]: [string, any]) => {
+    const { description, ...propSchema } = prop;
+    return {
+      name, in: where,
+      required: where === 'path' || required.has(name),
+      ...(description ? { description } : {}),
+      schema: propSchema,
+    };
+  });
+}
+
+export interface OpenApiInfo {
+  title: string;
+  version: string;
+  description?: string;
+  /** Base URL the mounted routers live under (e.g. /api/v1) */
+  serverUrl: string;
+  /** Named response schemas, emitted under components.schemas and referenced by $ref */
+  components?: Record<string, z.ZodTypeAny>;
+}
+
+/** Build the OpenAPI 3.0 document for a set of mounted routers */
+export function buildOpenApiSpec(info: OpenApiInfo, mounts: RouterMount[]): JsonSchema {
+  const refs = new Map<z.ZodTypeAny, string>();
+  for (const [name, schema] of Object.entries(info.components || {})) refs.set(schema, name);
+
+  const schemas: JsonSchema = {};
+  for (const [name, schema] of Object.entries(info.components || {})) {
+    refs.delete(schema); // a component's own body is never a $ref to itself
+    schemas[name] = zodToJsonSchema(schema, refs);
+    refs.set(schema, name);
+  }
+
+  const paths: JsonSchema = {};
+
+  for (const { prefix, router } of mounts) {
+    // router.use(requireAuth) guards every route mounted after it
+    let routerSecurity: string | null = null;
+
+    for (const layer of (router as any).stack) {
+      if (!layer.route) {
+        routerSecurity = AUTH_GUARDS[layer.handle?.name] || routerSecurity;
+        continue;
+      }
+      const path = toOpenApiPath(`${prefix}${layer.route.path === '/' && prefix ? '' : layer.route.path}`);
+      const handlers: any[] = layer.route.stack.map((l: any) => l.handle);
+      const doc: RouteDoc | undefined = handlers.find(h => h[DOC])?.[DOC];
+      const inputs: ValidatedInput[] = handlers.filter(h => h[INPUT]).map(h => h[INPUT]);
+      const security = handlers.map(h => AUTH_GUARDS[h.name]).find(Boolean) || routerSecurity;
+
+      for (const method of Object.keys(layer.route.methods)) {
+        const op: JsonSchema = {
+          operationId: operationId(method, path),
+          summary: doc?.summary || `${method.toUpperCase()} ${path}`,
+          ...(doc?.description ? { description: doc.description } : {}),
+          tags: doc?.tags || [prefix.split('/')[1] || 'market'],
+          ...(doc?.deprecated ? { deprecated: true } : {}),
+        };
+
+        const parameters: JsonSchema[] = doc?.params ? parametersFrom(doc.params, 'path') : [];
+        let body = doc?.body;
+        for (const { source, schema } of inputs) {
+          if (source === 'query') parameters.push(...parametersFrom(schema, 'query'));
+          else if (source === 'params') parameters.push(...parametersFrom(schema, 'path'));
+          else body = schema;
+        }
+        // Path params nobody validated still have to be declared
+        for (const [, name] of path.matchAll(/\{([^}]+)\}/g)) {
+          if (!parameters.some(p => p.in === 'path' && p.name === name)) {
+            parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+          }
+        }
+        if (parameters.length) op.parameters = parameters;
+        if (body) op.requestBody = { required: true, content: { 'application/json': { schema: zodToJsonSchema(body, refs) } } };
+
+        const okStatus = String(doc?.status || 200);
+        op.responses = {
+          [okStatus]: {
+            description: 'Success',
+            content: doc?.produces
+              ? Object.fromEntries(doc.produces.map(type => [type, { schema: { type: 'string', format: 'binary' } }]))
+              : { 'application/json': { schema: envelope(doc?.response ? zodToJsonSchema(doc.response, refs) : {}) } },
+          },
+          ...(inputs.length || body ? { 400: errorResponse('Validation failed (VALIDATION_FAILED)') } : {}),
+          ...(security === 'bearerAuth' ? { 401: errorResponse('Missing or invalid access token') } : {}),
+          ...(security === 'adminKey' ? { 403: errorResponse('Missing or invalid admin key') } : {}),
+          ...Object.fromEntries(Object.entries(doc?.errors || {}).map(([status, desc]) => [status, errorResponse(desc)])),
+          default: errorResponse('Unexpected error'),
+        };
+        if (security) op.security = [{ [security]: [] }];
+
+        paths[path] = { ...paths[path], [method]: op };
+      }
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: { title: info.title, version: info.version, ...(info.description ? { description: info.description } : {}) },
+    servers: [{ url: info.serverUrl }],
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        adminKey: { type: 'apiKey', in: 'query', name: 'key', description: 'ADMIN_KEY (also accepted as a Bearer token)' },
+      },
+    },
+  };
+}
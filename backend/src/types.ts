@@ -20,9 +20,19 @@ export interface UraProject {
   project: string;
   street: string;
   marketSegment: string;  // "CCR" | "RCR" | "OCR"
+  x?: string;             // SVY21 easting (m)
+  y?: string;             // SVY21 northing (m)
   transaction: UraTransaction[];
 }
 
+/** Where a project is: SVY21 metres as URA publishes them, plus WGS84 for maps */
+export interface ProjectLocation {
+  x: number;
+  y: number;
+  lat: number;
+  lng: number;
+}
+
 export interface UraRentalRecord {
   project: string;
   street: string;
@@ -55,6 +65,8 @@ export interface SalesRecord {
   tp: SaleType;
   pt: string;     // property type
   tn: TenureType;
+  ly?: number;    // lease length in years (leasehold / 999-yr, when URA gives it)
+  ls?: number;    // lease commencement year
   bn: number;     // batch number
   q: string;      // quarter "24Q1"
   yr: string;     // year "2024"
@@ -88,6 +100,14 @@ export interface ParsedFloor {
   mid: number;
 }
 
+export interface ParsedTenure {
+  tenure: TenureType;
+  /** Lease length in years; null for freehold or when URA omits it */
+  leaseYears: number | null;
+  /** Year the lease commenced; null for freehold or when URA omits it */
+  leaseStart: number | null;
+}
+
 export type YieldMap = Record<string, number>;
 
 // ── Aggregator buckets ──
@@ -238,6 +258,7 @@ export interface DashboardData {
   projIndex: Record<string, ProjIndexEntry>;
   cmpPool: string[];
   mktSaleTx: SalesRecord[];
+  lastUpdated?: string;
   _projYearData: Record<string, Record<string, { s: number; n: number }>>;
 }
 
@@ -301,15 +322,28 @@ export interface SearchResult<T> {
   total: number;
   page: number;
   limit: number;
-  totalPages: number;
+  pages: number;
 }
 
 export interface SalesSearchOpts {
   q?: string;
-  district?: string;
+  project?: string;
+  district?: string;       // one or several, comma-separated
   segment?: string;
   type?: string;
   tenure?: string;
+  propertyType?: string;   // comma-separated, like district
+  bedrooms?: string;
+  from?: string;           // YYYY-MM, inclusive
+  to?: string;
+  psfMin?: number;
+  psfMax?: number;
+  priceMin?: number;
+  priceMax?: number;
+  areaMin?: number;
+  areaMax?: number;
+  floorMin?: number;
+  floorMax?: number;
   page: number;
   limit: number;
   sort: string;
@@ -317,7 +351,8 @@ export interface SalesSearchOpts {
 
 export interface RentalSearchOpts {
   q?: string;
-  district?: string;
+  project?: string;
+  district?: string;       // one or several, comma-separated
   segment?: string;
   bedrooms?: string;
   areaSqft?: string;
@@ -346,13 +381,39 @@ export interface FilterOptions {
 
 // ── User data ──
 
+export type LedgerEventType = 'purchase' | 'capex' | 'rent' | 'refinance' | 'partial_sale' | 'sale';
+
+export interface LedgerEvent {
+  id: string;
+  type: LedgerEventType;
+  /** YYYY-MM-DD */
+  date: string;
+  /** Price paid or received, capex spent or rent received; the new loan on a refinance */
+  amount: number;
+  /** Share of the whole unit sold, 0–1 (partial_sale) */
+  share?: number;
+  /** Refinance rate (% a year) and tenure */
+  rate?: number;
+  years?: number;
+  note?: string;
+}
+
+/** A holding; psf and year are its first purchase, `events` its ledger when it has one */
 export interface PortfolioItem {
-  projectName: string;
-  purchaseDate: string;
-  purchasePsf: number;
-  area: number;
-  floorRange?: string;
-  notes?: string;
+  id: string | number;
+  project: string;
+  /** sqft */
+  size: number;
+  psf: number;
+  year: number;
+  floor?: string;
+  label?: string;
+  loanAmount?: number;
+  loanRate?: number;
+  loanYears?: number;
+  /** Actual monthly rent received */
+  rent?: number;
+  events?: LedgerEvent[];
 }
 
 export interface SavedSearch {
@@ -373,13 +434,86 @@ export interface ClientReport {
   snapshot: Record<string, unknown>;
 }
 
+// ── Watchlist + alerts ──
+
+/**
+ * district_psf: latest quarter avg PSF in `target` district moved more than thresholdPct vs the prior quarter
+ * project_tx:   new transaction in `target` project (at or above minPsf, if set)
+ */
+export type AlertRuleKind = 'district_psf' | 'project_tx';
+
+export interface AlertRule {
+  id: string;
+  kind: AlertRuleKind;
+  target: string;
+  thresholdPct?: number;
+  minPsf?: number;
+  createdAt: string;
+  lastFiredKey?: string;
+}
+
+export interface TriggeredAlert {
+  id: string;
+  ruleId: string;
+  kind: AlertRuleKind;
+  target: string;
+  message: string;
+  createdAt: string;
+  read: boolean;
+  data: Record<string, unknown>;
+}
+
 export interface UserData {
   portfolio: PortfolioItem[];
   savedSearches: SavedSearch[];
   clientReports: ClientReport[];
+  watchlist?: AlertRule[];
+  alerts?: TriggeredAlert[];
+  webhookUrl?: string;
+  updatedAt?: string;
+  /** sha256 of the claim token issued on the first save; server-only, never sent out */
+  claimHash?: string;
+}
+
+// ── Team workspaces ──
+
+/** owner: members + delete; editor: change shared lists; viewer: read only */
+export type WorkspaceRole = 'owner' | 'editor' | 'viewer';
+
+export interface WorkspaceMember {
+  userId: string;
+  email: string;
+  displayName: string | null;
+  role: WorkspaceRole;
+  addedAt: string;
+}
+
+export interface Actor {
+  id: string;
+  name: string;
+}
+
+/** Server-stamped on every shared item */
+export interface ItemAttribution {
+  createdBy?: Actor;
+  createdAt?: string;
+  updatedBy?: Actor;
   updatedAt?: string;
 }
 
+export type SharedItem = Record<string, unknown> & ItemAttribution & { id: string | number };
+
+export interface Workspace {
+  id: string;
+  name: string;
+  createdAt: string;
+  updatedAt: string;
+  members: WorkspaceMember[];
+  portfolio: SharedItem[];
+  savedSearches: SharedItem[];
+  clientReports: SharedItem[];
+}
+
 // ── Token ──
 
 export interface TokenInfo {
@@ -4,8 +4,13 @@
  * URA Data Sync — run this BEFORE deploying.
  * 
  * Usage:
- *   node sync.js                  # Fetch from URA API and write snapshot.json
- *   node sync.js --status         # Show current snapshot info
+ *   npm run sync                     # Fetch from URA API and write snapshot.json
+ *   npm run sync -- --incremental    # Append only new transactions to the disk cache
+ *   npm run sync:status              # Show current snapshot info
+ *
+ *   URA_SOURCE=record npm run sync   # Also save raw URA responses as fixtures
+ *   URA_SOURCE=fixture npm run sync  # Replay fixtures offline (no URA key needed)
+ *   (fixtures live in backend/fixtures/ura unless URA_FIXTURE_DIR is set)
  * 
  * This fetches all URA data, processes it, and writes snapshot.json
  * into frontend/public/ so it ships with every build.
@@ -14,7 +19,7 @@
  * Railway auto-deploys with the fresh data baked in.
  */
 
-import { buildDashboardData, getCacheInfo } from './src/services/uraService.js';
+import { buildDashboardData, initDashboard, getCacheInfo, getFullCacheInfo, getChanges, formatChanges } from './src/services/uraService.ts';
 import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
@@ -27,7 +32,7 @@ async function main() {
 
   if (args.includes('--status')) {
     if (!existsSync(SNAPSHOT_PATH)) {
-      console.log('❌ No snapshot.json found. Run: node sync.js');
+      console.log('❌ No snapshot.json found. Run: npm run sync');
       process.exit(1);
     }
     const snap = JSON.parse(readFileSync(SNAPSHOT_PATH, 'utf-8'));
@@ -48,10 +53,14 @@ async function main() {
   console.log('');
 
   const t0 = Date.now();
+  const incremental = args.includes('--incremental');
 
   try {
-    // Fetch all data from URA API
-    const data = await buildDashboardData(true);
+    // Incremental mode diffs against the disk cache, so load it first (if there is one)
+    if (incremental && getFullCacheInfo().disk.exists) await initDashboard();
+
+    // Fetch data from URA API
+    const data = await buildDashboardData(true, { incremental });
 
     if (!data || !data.totalTx) {
       console.error('❌ No data returned. Check your URA API key in .env');
@@ -73,6 +82,12 @@ async function main() {
     console.log('  ✅ SYNC COMPLETE');
     console.log('═══════════════════════════════════════');
     console.log(`  Time:          ${elapsed}s`);
+    console.log(`  Mode:          ${info.lastSync?.mode || 'full'}`);
+    if (info.lastSync?.mode === 'incremental') {
+      console.log(`  New sales:     ${info.lastSync.newSales.toLocaleString()}`);
+      console.log(`  New rentals:   ${info.lastSync.newRentals.toLocaleString()}`);
+      console.log(`  Affected:      ${info.lastSync.projects.length} projects, ${info.lastSync.districts.length} districts`);
+    }
     console.log(`  Transactions:  ${data.totalTx?.toLocaleString()}`);
     console.log(`  Sales stored:  ${info.salesRecords?.toLocaleString()}`);
     console.log(`  Rental stored: ${info.rentalRecords?.toLocaleString()}`);
@@ -80,6 +95,13 @@ async function main() {
     console.log(`  Rental data:   ${data.hasRealRental ? 'REAL' : 'ESTIMATED'}`);
     console.log(`  Snapshot:      ${SNAPSHOT_PATH} (${sizeKB}KB)`);
     console.log('');
+
+    // Diff against the previous archived generation (none on the very first sync)
+    const changes = getChanges();
+    if (changes) {
+      for (const line of formatChanges(changes)) console.log(`  ${line}`);
+      console.log('');
+    }
     console.log('  Next steps:');
     console.log('    git add frontend/public/snapshot.json');
     console.log('    git commit -m "Update URA data"');
@@ -0,0 +1,129 @@
+/**
+ * acquisition.ts: BSD, ABSD, SSD and LTV on either side of their bands and of
+ * the dates each schedule came into force, and getAcquisitionCost built on them.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bsd, absdRate, ssdRates, getAcquisitionCost, type BuyerProfile } from '../src/services/acquisition.ts';
+
+test('BSD by band and schedule', () => {
+  const cases: Array<[price: number, date: string, duty: number]> = [
+    // 2023-02-15 bands: 1%, 2%, 3%, 4% on 1M–1.5M, 5% on 1.5M–3M, 6% above
+    [180_000, '2023-02-15', 1_800],
+    [360_000, '2023-02-15', 5_400],
+    [1_000_000, '2023-02-15', 24_600],
+    [1_500_000, '2023-02-15', 44_600],
+    [3_000_000, '2023-02-15', 119_600],
+    [4_000_000, '2023-02-15', 179_600],
+    // The day before: 4% on everything over 1M
+    [4_000_000, '2023-02-14', 144_600],
+    [1_000_000, '2023-02-14', 24_600],
+    // Before 2018-02-20: 3% over 360k
+    [4_000_000, '2018-02-19', 114_600],
+    [4_000_000, '1998-02-26', 0],
+  ];
+  for (const [price, date, duty] of cases) assert.equal(bsd(price, date), duty, `${price} on ${date}`);
+});
+
+test('ABSD by profile, property count and schedule', () => {
+  const cases: Array<[profile: BuyerProfile, count: number, date: string, rate: number]> = [
+    ['citizen', 1, '2023-04-27', 0],
+    ['citizen', 2, '2023-04-27', 0.2],
+    ['citizen', 3, '2023-04-27', 0.3],
+    ['citizen', 5, '2023-04-27', 0.3],
+    ['citizen', 0, '2023-04-27', 0],
+    ['pr', 1, '2023-04-27', 0.05],
+    ['foreigner', 1, '2023-04-27', 0.6],
+    ['entity', 1, '2023-04-27', 0.65],
+    // The day before: the 2021-12-16 rates
+    ['citizen', 2, '2023-04-26', 0.17],
+    ['foreigner', 1, '2023-04-26', 0.3],
+    ['citizen', 3, '2011-12-08', 0.03],
+    ['foreigner', 1, '2011-12-07', 0],
+  ];
+  for (const [profile, count, date, rate] of cases) {
+    assert.equal(absdRate(profile, count, date), rate, `${profile} #${count} on ${date}`);
+  }
+});
+
+test('SSD by year of resale and schedule', () => {
+  const cases: Array<[date: string, rates: number[]]> = [
+    ['2025-07-04', [0.16, 0.12, 0.08, 0.04]],
+    ['2025-07-03', [0.12, 0.08, 0.04]],
+    ['2017-03-11', [0.12, 0.08, 0.04]],
+    ['2017-03-10', [0.16, 0.12, 0.08, 0.04]],
+    ['2011-01-13', []],
+  ];
+  for (const [date, rates] of cases) assert.deepEqual(ssdRates(date), rates, date);
+});
+
+test('LTV limit by outstanding loans, tenure, age and profile', () => {
+  const cases: Array<[input: Partial<Parameters<typeof getAcquisitionCost>[0]>, maxLtv: number]> = [
+    [{}, 0.75],
+    [{ years: 30 }, 0.75],
+    [{ years: 31 }, 0.55],
+    [{ age: 40, years: 25 }, 0.75],
+    [{ age: 41, years: 25 }, 0.55],
+    [{ existingLoans: 1 }, 0.45],
+    [{ existingLoans: 1, years: 31 }, 0.25],
+    [{ existingLoans: 2 }, 0.35],
+    [{ existingLoans: 3, years: 31 }, 0.15],
+    [{ propertyCount: 2 }, 0.45],
+    [{ propertyCount: 2, existingLoans: 0 }, 0.75],
+    [{ profile: 'entity' }, 0.15],
+  ];
+  for (const [input, maxLtv] of cases) {
+    const { loan } = getAcquisitionCost({ price: 1_000_000, date: '2026-01-01', rate: 3, years: 25, ...input });
+    assert.equal(loan.maxLtv, maxLtv, JSON.stringify(input));
+    assert.equal(loan.amount, 1_000_000 * maxLtv);
+    assert.equal(loan.limitedBy, 'ltv');
+  }
+});
+
+test('the loan is cut to TDSR or to the LTV asked for', () => {
+  const tdsr = getAcquisitionCost({ price: 2_000_000, date: '2026-01-01', rate: 3, years: 25, income: 8_000 });
+  assert.equal(tdsr.loan.limitedBy, 'tdsr');
+  assert.equal(tdsr.loan.tdsr!.stressRate, 4);
+  assert.equal(tdsr.loan.amount, tdsr.loan.tdsr!.maxLoan);
+  assert.ok(Math.abs(tdsr.loan.tdsr!.ratio - 0.55) < 0.001);
+
+  const cash = getAcquisitionCost({ price: 2_000_000, date: '2026-01-01', ltv: 0 });
+  assert.equal(cash.loan.limitedBy, 'requested');
+  assert.equal(cash.loan.amount, 0);
+  assert.equal(cash.cash.downpayment, 2_000_000);
+});
+
+test('getAcquisitionCost applies the schedules in force on the purchase date', () => {
+  const on = getAcquisitionCost({ price: 2_000_000, date: '2023-04-27', propertyCount: 2, rate: 0, years: 25, fees: 3_000 });
+  assert.deepEqual(on.stampDuty, { bsd: 69_600, absd: 400_000, absdRate: 0.2, total: 469_600 });
+  assert.equal(on.loan.amount, 900_000);
+  assert.deepEqual(on.cash, { downpayment: 1_100_000, minCash: 500_000, upfront: 1_572_600 });
+
+  const before = getAcquisitionCost({ price: 2_000_000, date: '2023-04-26', propertyCount: 2, rate: 0, years: 25, fees: 3_000 });
+  assert.equal(before.stampDuty.absd, 340_000);
+  // A month alone means its first day
+  assert.equal(getAcquisitionCost({ price: 2_000_000, date: '2023-02' }).date, '2023-02-01');
+  assert.equal(getAcquisitionCost({ price: 2_000_000, date: '2023-02' }).stampDuty.bsd, 64_600);
+});
+
+test('SSD on sale depends on the holding period and the purchase date', () => {
+  const cases: Array<[date: string, holdYears: number | undefined, ssd: number]> = [
+    ['2025-07-04', 1, 160_000],
+    ['2025-07-04', 4, 40_000],
+    ['2025-07-04', 5, 0],
+    ['2025-07-04', undefined, 0],
+    ['2025-07-03', 3, 40_000],
+    ['2025-07-03', 4, 0],
+  ];
+  for (const [date, holdYears, ssd] of cases) {
+    const { tco } = getAcquisitionCost({ price: 1_000_000, date, holdYears, rate: 0 });
+    assert.equal(tco.ssd, ssd, `${date}, held ${holdYears}`);
+    assert.equal(tco.years, holdYears ?? 5);
+  }
+});
+
+test('refuses a holding period that is not a whole number of years', () => {
+  for (const holdYears of [0, -1, 1.5]) {
+    assert.throws(() => getAcquisitionCost({ price: 1_000_000, holdYears }), { code: 'BAD_REQUEST', status: 400 });
+  }
+});
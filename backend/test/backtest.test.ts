@@ -0,0 +1,128 @@
+/**
+ * Valuation backtest (services/backtest.ts): the Price Estimator tiers and
+ * windows on a hand-worked store, the AVM scored on a market priced by a known
+ * formula, sampling and district filters, and the report cache.
+ */
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+process.env.CACHE_DIR = mkdtempSync(join(tmpdir(), 'backtest-'));
+after(() => rmSync(process.env.CACHE_DIR!, { recursive: true, force: true }));
+const { getBacktest } = await import('../src/services/backtest.ts');
+const { setSalesStore, setDashboardCache } = await import('../src/services/state.ts');
+
+const sale = (p: string, d: string, a: number, fl: string, ps: number, di = 'D10', sg = 'CCR') => ({
+  d, p, st: `${p} ROAD`, di, sg, a, pr: a * ps, ps, fl, fm: parseInt(fl) + 2,
+  tp: 'Resale', pt: 'Condominium', tn: 'Freehold', bn: 1, q: '', yr: d.slice(0, 4),
+});
+
+// Every month replayed rebuilds the repeat-sales index and logs it; under the
+// test runner that much stdout garbles its reports
+before(() => mock.method(console, 'log', () => {}));
+
+function useStore(sales: unknown[]) {
+  setSalesStore(sales as any);
+  setDashboardCache({} as any);
+}
+after(() => {
+  mock.restoreAll();
+  setSalesStore([]);
+  setDashboardCache(null);
+});
+
+// Small deterministic PRNG so a failure reproduces
+function rng(seed: number) {
+  return () => { seed = (seed * 1664525 + 1013904223) >>> 0; return seed / 2 ** 32; };
+}
+
+/** Three D10 projects, 4 sales a month each from 2023, at $2,000 psf with size, floor and 4% a year growth, ±1% */
+function market() {
+  const rand = rng(11);
+  const out = [];
+  let area = 500;
+  for (let t = 0; t < 36; t++) {
+    const d = `${2023 + Math.floor(t / 12)}-${String((t % 12) + 1).padStart(2, '0')}`;
+    for (const p of ['ALPHA', 'BETA', 'GAMMA']) {
+      for (let i = 0; i < 4; i++) {
+        const a = area++;
+        const band = Math.floor(rand() * 8) * 5 + 1;
+        const psf = 2000 * (a / 1000) ** -0.2 * Math.exp(0.01 * (band + 2) + 0.04 * t / 12) * (0.99 + rand() * 0.02);
+        out.push(sale(p, d, a, `${String(band).padStart(2, '0')}-${String(band + 4).padStart(2, '0')}`, Math.round(psf)));
+      }
+    }
+  }
+  return out;
+}
+
+test('tier estimates widen the window before they loosen the match', async () => {
+  useStore([
+    sale('ALPHA', '2026-01', 1000, '06-10', 2000),
+    sale('ALPHA', '2026-01', 1500, '11-15', 1800),
+    // Same size and floor, 2 months on: 2,000
+    sale('ALPHA', '2026-03', 1010, '06-10', 2100),
+    // No floor match, same size: 1,800
+    sale('ALPHA', '2026-03', 1500, '01-05', 1900),
+    // Nothing like it: the whole project over 3 months, (2,100 + 1,900) / 2
+    sale('ALPHA', '2026-06', 700, '16-20', 2200),
+    // A project's first sale has nothing to go on
+    sale('ZETA', '2026-06', 600, '01-05', 1500, 'D09', 'RCR'),
+    // Same size and floor within 12 months before any looser tier: (2,000 + 2,100) / 2
+    sale('ALPHA', '2026-12', 1000, '06-10', 2000),
+  ]);
+  const report = await getBacktest();
+  assert.deepEqual([report.from, report.to, report.months, report.sales], ['2026-01', '2026-12', 12, 7]);
+  // Too few sales anywhere for the AVM to fit
+  assert.deepEqual(report.skipped, { avm: 7, tier: 3 });
+  assert.equal(report.overall.avm, null);
+
+  const errs = [-100 / 2100, -100 / 1900, -200 / 2200, 50 / 2000];
+  const abs = errs.map(Math.abs);
+  assert.deepEqual(report.overall.tier, {
+    n: 4,
+    mape: +(abs.reduce((s, e) => s + e) / 4 * 100).toFixed(2),
+    medianApe: +((100 / 2100 + 100 / 1900) / 2 * 100).toFixed(2),
+    within5: 50,
+    within10: 100,
+    bias: +(-(100 / 2100 + 100 / 1900) / 2 * 100).toFixed(2),
+  });
+
+  const keys = (groups: Array<{ key: string; n: number }>) => groups.map(g => [g.key, g.n]);
+  assert.deepEqual(keys(report.byDistrict), [['D09', 1], ['D10', 6]]);
+  assert.deepEqual(keys(report.bySegment), [['CCR', 6], ['RCR', 1]]);
+  assert.deepEqual(keys(report.bySize), [['500-1000', 2], ['1000-1500', 3], ['1500-2000', 2]]);
+  assert.equal(report.byDistrict[0]!.tier, null);
+});
+
+test('the AVM, fitted only on earlier sales, lands within the noise and its interval', async () => {
+  useStore(market());
+  const report = await getBacktest({ months: 6, maxPerMonth: 5 });
+  assert.deepEqual([report.from, report.to], ['2025-07', '2025-12']);
+  // 12 sales a month, 5 of them scored
+  assert.equal(report.sales, 30);
+  assert.equal(report.skipped.avm, 0);
+  const avm = report.overall.avm!;
+  assert.ok(avm.mape < 1.5, `MAPE ${avm.mape}`);
+  assert.equal(avm.within5, 100);
+  assert.ok(avm.coverage! >= 80, `coverage ${avm.coverage}`);
+  // Tier averages don't know about growth, size or floor
+  assert.ok(report.overall.tier!.mape > avm.mape);
+
+  assert.equal((await getBacktest({ months: 6, district: 'D09' })).sales, 0);
+  assert.equal((await getBacktest({ months: 1, to: '2023-01' })).skipped.avm, 12);
+});
+
+test('reports are cached per store and options', async () => {
+  const sales = market().slice(0, 120);
+  useStore(sales);
+  const first = await getBacktest({ months: 2 });
+  assert.equal(await getBacktest({ months: 2 }), first);
+  assert.notEqual(await getBacktest({ months: 3 }), first);
+  // A new store is a new report
+  useStore([...sales]);
+  const next = await getBacktest({ months: 2 });
+  assert.notEqual(next, first);
+  assert.deepEqual({ ...next, elapsedMs: 0 }, { ...first, elapsedMs: 0 });
+});
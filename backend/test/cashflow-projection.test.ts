@@ -0,0 +1,80 @@
+/**
+ * getPortfolioCashflow: stamp duty by purchase order, property tax bands, and
+ * what comes off the sale at exit (SSD, the loan balance), against a fixed
+ * dashboard with the year pinned to 2026.
+ */
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+process.env.CACHE_DIR = mkdtempSync(join(tmpdir(), 'cashflow-'));
+after(() => rmSync(process.env.CACHE_DIR!, { recursive: true, force: true }));
+const { getPortfolioCashflow } = await import('../src/services/cashflow.ts');
+const { amortise } = await import('../src/services/acquisition.ts');
+const { setDashboardCache } = await import('../src/services/state.ts');
+
+before(() => {
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-06-30T00:00:00Z') });
+  // $1,000 psf today, so a 1,000 sqft unit bought at $1,000 psf is worth what was paid
+  setDashboardCache({
+    projIndex: { ALPHA: { psf: 1000, dist: 'D10', seg: 'CCR', yield: 3 } },
+    distPerf: [{ d: 'D10', cagr: 3, yield: 3 }],
+  } as any);
+});
+after(() => {
+  setDashboardCache(null);
+  mock.timers.reset();
+});
+
+const holding = (year: number, extra: Record<string, number> = {}) =>
+  ({ project: 'ALPHA', size: 1000, psf: 1000, year, rent: 3000, ...extra });
+const flat = { bear: 0, base: 0, bull: 0 };
+
+/** Sale proceeds in the exit year: the cash flow with the year's rent, costs and loan taken back out */
+const proceeds = (p: { cashFlow: number; rent: number; propertyTax: number; maintenance: number; interest: number; principal: number; balance: number }) =>
+  p.cashFlow - (p.rent - p.propertyTax - p.maintenance - p.interest - p.principal) + p.balance + 3_000;
+
+test('ABSD counts holdings in the order they were bought, not the order sent', async () => {
+  const { holdings } = await getPortfolioCashflow({ holdings: [holding(2020), holding(2018), holding(2018)], horizon: 2 });
+  // BSD on $1M is 24,600 on both dates; ABSD 7% (2018) for the 2nd, 15% (2020) for the 3rd
+  assert.deepEqual(holdings.map(h => h.purchase.stampDuty), [174_600, 24_600, 94_600]);
+});
+
+test('property tax runs through the non-owner-occupier bands of each year', async () => {
+  const { holdings } = await getPortfolioCashflow({ holdings: [holding(2020, { rent: 5_000 }), holding(2020, { rent: 7_000 })], horizon: 1, vacancyMonths: 0, growth: flat });
+  const tax = (i: number) => Object.fromEntries(holdings[i]!.scenarios!.base.projection.slice(1).map(p => [p.year, p.propertyTax]));
+  // $60,000 a year: 10% flat, then the 2023 and 2024 bands
+  assert.deepEqual(tax(0), { 2021: 6_000, 2022: 6_000, 2023: 8_850, 2024: 10_800, 2025: 10_800, 2026: 10_800, 2027: 10_800 });
+  // $84,000: the 36% top band on the last 24,000
+  assert.equal(tax(1)[2027], 19_440);
+});
+
+test('the loan balance left at exit comes off the sale', async () => {
+  const loan = { loanAmount: 500_000, loanRate: 3, loanYears: 25 };
+  const { holdings } = await getPortfolioCashflow({ holdings: [holding(2020, loan), holding(2020, { ...loan, loanYears: 5 })], horizon: 4, growth: flat });
+  const exit = holdings[0]!.scenarios!.base.projection.at(-1)!;
+  assert.equal(exit.year, 2030);
+  assert.equal(exit.balance, amortise(500_000, 3, 25)[9]!.balance);
+  assert.ok(exit.balance > 0);
+  assert.ok(Math.abs(proceeds(exit) - 980_000) <= 3);
+  // Paid off by then
+  assert.equal(holdings[1]!.scenarios!.base.projection.at(-1)!.balance, 0);
+});
+
+test('SSD comes off a sale inside the holding period, by years held', async () => {
+  // Bought 2026: the 2025-07-04 schedule, 16 / 12 / 8 / 4%
+  const cases: Array<[horizon: number, ssd: number]> = [[1, 0.16], [2, 0.12], [4, 0.04], [5, 0]];
+  for (const [horizon, ssd] of cases) {
+    const { holdings } = await getPortfolioCashflow({ holdings: [holding(2026)], horizon, growth: flat });
+    const exit = holdings[0]!.scenarios!.base.projection.at(-1)!;
+    assert.ok(Math.abs(proceeds(exit) - 1_000_000 * (1 - 0.02 - ssd)) <= 3, `held ${horizon}`);
+  }
+});
+
+test('refuses a holding bought in or after the exit year', async () => {
+  await assert.rejects(getPortfolioCashflow({ holdings: [holding(2020), holding(2027)], horizon: 1 }), { code: 'BAD_REQUEST', status: 400 });
+  await assert.rejects(getPortfolioCashflow({ holdings: [holding(2030)], horizon: 3 }), { code: 'BAD_REQUEST' });
+  assert.equal((await getPortfolioCashflow({ holdings: [holding(2026)], horizon: 1 })).exitYear, 2027);
+});
@@ -0,0 +1,23 @@
+/**
+ * cashflow.ts irr(): yearly flows to an annual rate, or null when there is none.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { irr } from '../src/services/cashflow.ts';
+
+test('finds a known rate', () => {
+  assert.equal(irr([-100, 110]), 10);
+  // -1000 then 5 years of 100 and 1000 back at the end: a 10% bond
+  assert.equal(irr([-1000, 100, 100, 100, 100, 1100]), 10);
+  assert.equal(irr([-100, 50]), -50);
+});
+
+test('is null without a sign change', () => {
+  assert.equal(irr([-100, -10, -5]), null);
+  assert.equal(irr([100, 10]), null);
+  assert.equal(irr([0, 0, 0]), null);
+});
+
+test('is null for no flows', () => {
+  assert.equal(irr([]), null);
+});
@@ -0,0 +1,102 @@
+/**
+ * changes.ts: what a refresh brought in — new and revised records as a multiset
+ * diff, new projects, district PSF moves over a fixed window — and the same
+ * diff between two archived generations.
+ */
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+process.env.CACHE_DIR = mkdtempSync(join(tmpdir(), 'changes-'));
+after(() => rmSync(process.env.CACHE_DIR!, { recursive: true, force: true }));
+const { diffStores, getChanges, formatChanges } = await import('../src/services/changes.ts');
+const { saveToDisk, archiveGeneration } = await import('../src/services/cache.ts');
+
+const sale = (p: string, d: string, ps: number, di = 'D10', a = 1000) => ({
+  d, p, st: 'ORCHARD ROAD', di, sg: 'CCR', a, pr: a * ps, ps, fl: '06-10', fm: 8,
+  tp: 'Resale', pt: 'Condominium', tn: 'Freehold', bn: 2, q: '26Q1', yr: d.slice(0, 4),
+});
+const rental = (p: string, d: string, rn: number) => ({ d, p, st: 'ORCHARD ROAD', di: 'D10', sg: 'CCR', a: 700, rn, br: '2' });
+const stores = (salesStore: unknown[], rentalStore: unknown[] = []) => ({ salesStore, rentalStore }) as any;
+
+test('repeats count as separate records, and a revised price is one new and one dropped', () => {
+  const twin = sale('ALPHA', '2026-03', 2000);
+  const { sales } = diffStores(
+    stores([twin, twin, sale('ALPHA', '2026-04', 2100)]),
+    stores([twin, twin, twin, sale('ALPHA', '2026-04', 2150)]),
+  );
+  assert.equal(sales.fromTotal, 3);
+  assert.equal(sales.toTotal, 4);
+  assert.equal(sales.newCount, 2);
+  assert.equal(sales.droppedCount, 1);
+  // Newest first
+  assert.deepEqual(sales.recent.map(r => [r.d, r.ps]), [['2026-04', 2150], ['2026-03', 2000]]);
+});
+
+test('new rentals are diffed the same way', () => {
+  const { rentals } = diffStores(
+    stores([], [rental('ALPHA', '2026-05', 4000)]),
+    stores([], [rental('ALPHA', '2026-05', 4000), rental('ALPHA', '2026-06', 4200)]),
+  );
+  assert.deepEqual([rentals.newCount, rentals.droppedCount], [1, 0]);
+  assert.equal(rentals.recent[0]!.rn, 4200);
+});
+
+test('a project is new only when `from` had no sale of it', () => {
+  const { newProjects } = diffStores(
+    stores([sale('ALPHA', '2026-01', 2000)]),
+    stores([sale('ALPHA', '2026-01', 2000), sale('ALPHA', '2026-02', 2000), sale('ZETA', '2026-02', 1500, 'D15'), sale('ZETA', '2026-03', 1500, 'D15')]),
+  );
+  assert.deepEqual(newProjects, [{ name: 'ZETA', street: 'ORCHARD ROAD', district: 'D15', segment: 'CCR', tx: 2 }]);
+});
+
+test('district PSF is compared over the same 12 months on both sides', () => {
+  const base = [
+    ...['2026-01', '2026-02', '2026-03', '2026-04', '2026-05'].map(d => sale('ALPHA', d, 2000)),
+    ...['2026-01', '2026-02', '2026-03', '2026-04', '2026-05'].map(d => sale('BETA', d, 1000, 'D09')),
+    ...['2026-01', '2026-02'].map(d => sale('GAMMA', d, 1000, 'D20')),
+    // Outside the window: no weight on either side
+    sale('ALPHA', '2024-01', 100),
+  ];
+  const next = [...base, sale('ALPHA', '2026-06', 2600), sale('BETA', '2026-06', 1060, 'D09'), sale('GAMMA', '2026-06', 3000, 'D20')];
+
+  const changes = diffStores(stores(base), stores(next));
+  assert.deepEqual(changes.psfWindow, { from: '2025-07', to: '2026-06' });
+  // D09 moved 1%, under the threshold; D20 has too few sales to compare
+  assert.deepEqual(changes.districtMoves, [{ district: 'D10', fromPsf: 2000, toPsf: 2100, changePct: 5, fromTx: 5, toTx: 6 }]);
+  assert.deepEqual(diffStores(stores(base), stores(next), { thresholdPct: 6 }).districtMoves, []);
+  assert.deepEqual(diffStores(stores(base), stores(next), { thresholdPct: 1 }).districtMoves.map(m => m.district), ['D10', 'D09']);
+});
+
+test('limit caps the sample, not the counts', () => {
+  const added = ['2026-01', '2026-02', '2026-03'].map(d => sale('ALPHA', d, 2000));
+  const { sales } = diffStores(stores([]), stores(added), { limit: 2 });
+  assert.equal(sales.newCount, 3);
+  assert.deepEqual(sales.recent.map(r => r.d), ['2026-03', '2026-02']);
+});
+
+test('getChanges diffs archived generations, the newest against the one before by default', () => {
+  const build = (at: string, salesStore: unknown[]) => {
+    mock.timers.enable({ apis: ['Date'], now: Date.parse(at) });
+    try {
+      saveToDisk({ totalTx: salesStore.length }, salesStore, [], {});
+      return archiveGeneration({ mode: 'full' })!.id;
+    } finally { mock.timers.reset(); }
+  };
+  const first = build('2026-07-01T02:15:00Z', [sale('ALPHA', '2026-05', 2000)]);
+  const second = build('2026-08-01T02:15:00Z', [sale('ALPHA', '2026-05', 2000), sale('ZETA', '2026-07', 1500)]);
+  assert.deepEqual([first, second], ['20260701T021500Z', '20260801T021500Z']);
+
+  const report = getChanges()!;
+  assert.deepEqual([report.from.id, report.to.id], [first, second]);
+  assert.equal(report.sales.newCount, 1);
+  assert.deepEqual(report.newProjects.map(p => p.name), ['ZETA']);
+  assert.ok(formatChanges(report).some(l => l.includes('New projects:  1 — ZETA (D10, 1 tx)')));
+
+  // A date means the newest generation built by the end of that day (SGT)
+  assert.equal(getChanges('2026-07-15', second)!.from.id, first);
+  assert.equal(getChanges(second, second), null);
+  assert.equal(getChanges('2026-06-30'), null);
+});
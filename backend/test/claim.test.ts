@@ -0,0 +1,89 @@
+/**
+ * Claiming an anonymous id into an account (POST /api/auth/claim):
+ * only with the claim token its first save (or, for older ids, read) returned,
+ * never an account's id.
+ */
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, mkdirSync, writeFileSync } from 'fs';
+import type { AddressInfo } from 'net';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// userStore and the account store read CACHE_DIR when first imported
+process.env.CACHE_DIR = mkdtempSync(join(tmpdir(), 'claim-'));
+after(() => rmSync(process.env.CACHE_DIR!, { recursive: true, force: true }));
+const { saveUser, getUser, claimUser, ClaimError } = await import('../src/services/userStore.ts');
+const { isAccountId } = await import('../src/services/auth/auth.service.ts');
+const { createAccount } = await import('../src/services/auth/account-store.ts');
+const { env } = await import('../src/config/env.ts');
+const { createV1Router } = await import('../src/routes/v1.ts');
+const express = (await import('express')).default;
+
+const holding = (project: string) => ({ id: project, project, size: 1000, psf: 1500, year: 2020 });
+
+test('the first save returns a claim token once, and no one sees its hash', async () => {
+  const first = await saveUser('anon-a', { portfolio: [holding('ALPHA')] });
+  assert.ok(first.claimToken);
+  const second = await saveUser('anon-a', { portfolio: [holding('ALPHA')] });
+  assert.equal(second.claimToken, undefined);
+  assert.equal('claimHash' in second, false);
+  assert.equal('claimHash' in (await getUser('anon-a')), false);
+});
+
+test('claiming needs the matching token and moves the data', async () => {
+  const { claimToken } = await saveUser('anon-b', { portfolio: [holding('BETA')] });
+  await assert.rejects(claimUser('anon-b', 'guessed', 'acct-1'), (err: unknown) => err instanceof ClaimError && err.status === 403);
+  assert.equal((await getUser('anon-b')).portfolio.length, 1);
+
+  const merged = await claimUser('anon-b', claimToken!, 'acct-1');
+  assert.deepEqual(merged!.portfolio.map(h => h.project), ['BETA']);
+  assert.equal((await getUser('anon-b')).portfolio.length, 0);
+  assert.equal(await claimUser('anon-b', claimToken!, 'acct-1'), null);
+});
+
+test("an account's id is recognised so the route can refuse it", async () => {
+  const account = createAccount('b@example.com', 'hash', null);
+  assert.equal(await isAccountId(account.id), true);
+  assert.equal(await isAccountId('anon-c'), false);
+});
+
+test('an id saved before claim tokens existed gets one on its next read, and can then be claimed', async () => {
+  // As written before claim tokens: no claimHash
+  mkdirSync(join(process.env.CACHE_DIR!, 'users'), { recursive: true });
+  writeFileSync(join(process.env.CACHE_DIR!, 'users', 'anon-legacy.json'),
+    JSON.stringify({ portfolio: [holding('LEGACY')], savedSearches: [], clientReports: [] }));
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1', createV1Router());
+  const server = app.listen(0);
+  after(() => { server.closeAllConnections(); server.close(); });
+  const base = `http://127.0.0.1:${(server.address() as AddressInfo).port}/api/v1`;
+  const call = async (method: string, path: string, body?: unknown, token?: string) => {
+    const res = await fetch(base + path, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+      body: body && JSON.stringify(body),
+    });
+    return { status: res.status, json: await res.json() as any };
+  };
+
+  // Before accounts are enforced: the read hands out the token, once
+  const first = await call('GET', '/user/anon-legacy');
+  assert.deepEqual(first.json.data.portfolio.map((h: any) => h.project), ['LEGACY']);
+  const claimToken = first.json.data.claimToken;
+  assert.ok(claimToken);
+  assert.equal((await call('GET', '/user/anon-legacy')).json.data.claimToken, undefined);
+  // ...and there is no account to claim into yet
+  assert.equal((await call('POST', '/auth/claim', { anonymousId: 'anon-legacy', claimToken })).json.code, 'AUTH_DISABLED');
+
+  env.ENABLE_AUTH = true;
+  after(() => { env.ENABLE_AUTH = false; });
+  const { accessToken } = (await call('POST', '/auth/register', { email: 'legacy@example.com', password: 'password123' })).json.data;
+  assert.equal((await call('POST', '/auth/claim', { anonymousId: 'anon-legacy', claimToken: 'guessed' }, accessToken)).status, 403);
+  const claimed = await call('POST', '/auth/claim', { anonymousId: 'anon-legacy', claimToken }, accessToken);
+  assert.equal(claimed.status, 200);
+  assert.deepEqual(claimed.json.data.portfolio.map((h: any) => h.project), ['LEGACY']);
+  assert.equal((await call('GET', '/user/anon-legacy')).status, 401);
+});
@@ -0,0 +1,198 @@
+/**
+ * Export writers (services/export): CSV cells, the streaming ZIP container and
+ * the XLSX inside it, and Parquet files read back through their own footer.
+ */
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateRawSync, gunzipSync, crc32 } from 'zlib';
+import { csvChunks } from '../src/services/export/csv.ts';
+import { zipChunks } from '../src/services/export/zip.ts';
+import { xlsxChunks } from '../src/services/export/xlsx.ts';
+import { parquetChunks } from '../src/services/export/parquet.ts';
+import { exportFilename, type ExportColumn } from '../src/services/export/index.ts';
+
+const COLUMNS: ExportColumn[] = [
+  { key: 'project', label: 'Project', type: 'string' },
+  { key: 'psf', label: 'PSF ($)', type: 'number' },
+  { key: 'contracts', label: 'Contracts', type: 'integer' },
+];
+const ROWS = [
+  { project: 'THE SAIL @ MARINA BAY', psf: 2150.5, contracts: 3 },
+  { project: '=SUM(A1)', psf: NaN, contracts: null },
+  { project: 'A "quoted", name\nover two lines', psf: 1800, contracts: 0 },
+  { project: null, psf: Infinity, contracts: 7 },
+];
+
+const bytes = (chunks: Iterable<string | Buffer>) => Buffer.concat([...chunks].map(c => (typeof c === 'string' ? Buffer.from(c) : c)));
+
+/** Entries of a ZIP file by name, checked against the central directory's sizes and CRCs */
+function unzip(buf: Buffer): Map<string, string> {
+  const end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buf.readUInt16LE(end + 10);
+  let p = buf.readUInt32LE(end + 16);
+  const out = new Map<string, string>();
+  for (let i = 0; i < count; i++) {
+    assert.equal(buf.readUInt32LE(p), 0x02014b50);
+    const crc = buf.readUInt32LE(p + 16), compressed = buf.readUInt32LE(p + 20), size = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28), local = buf.readUInt32LE(p + 42);
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLen);
+    assert.equal(buf.readUInt32LE(local), 0x04034b50);
+    const start = local + 30 + buf.readUInt16LE(local + 26);
+    const data = inflateRawSync(buf.subarray(start, start + compressed));
+    assert.equal(data.length, size, name);
+    assert.equal(crc32(data), crc, name);
+    out.set(name, data.toString('utf8'));
+    p += 46 + nameLen;
+  }
+  return out;
+}
+
+// ── Thrift compact protocol, enough to read a Parquet footer and page headers ──
+
+type Thrift = Record<number, any>;
+
+function reader(buf: Buffer, pos: number) {
+  const varint = (): bigint => {
+    let n = 0n, shift = 0n, b: number;
+    do { b = buf[pos++]!; n |= BigInt(b & 0x7f) << shift; shift += 7n; } while (b & 0x80);
+    return n;
+  };
+  const int = (): number => { const z = varint(); return Number((z >> 1n) ^ -(z & 1n)); };
+  const value = (type: number): any => {
+    switch (type) {
+      case 5: case 6: return int();
+      case 8: { const len = Number(varint()); const s = buf.toString('utf8', pos, pos + len); pos += len; return s; }
+      case 9: {
+        const head = buf[pos++]!;
+        const n = head >> 4 === 15 ? Number(varint()) : head >> 4;
+        return Array.from({ length: n }, () => value(head & 0x0f));
+      }
+      case 12: {
+        const out: Thrift = {};
+        let id = 0;
+        for (let head = buf[pos++]!; head !== 0; head = buf[pos++]!) {
+          id = head >> 4 ? id + (head >> 4) : int();
+          out[id] = value(head & 0x0f);
+        }
+        return out;
+      }
+      default: throw new Error(`Unexpected thrift type ${type}`);
+    }
+  };
+  return { struct: (): Thrift => value(12), get pos() { return pos; } };
+}
+
+/** Rows of a Parquet file as written by parquetChunks: OPTIONAL PLAIN columns, one gzipped v1 page per chunk */
+function readParquet(buf: Buffer): { names: string[]; rows: number; groups: number; columns: Record<string, unknown[]> } {
+  assert.equal(buf.toString('ascii', 0, 4), 'PAR1');
+  assert.equal(buf.toString('ascii', buf.length - 4), 'PAR1');
+  const metaLen = buf.readUInt32LE(buf.length - 8);
+  const meta = reader(buf, buf.length - 8 - metaLen).struct();
+  const schema = (meta[2] as Thrift[]).slice(1);
+  const columns: Record<string, unknown[]> = Object.fromEntries(schema.map(s => [s[4], []]));
+  for (const group of meta[4] as Thrift[]) {
+    for (const chunk of group[1] as Thrift[]) {
+      const cm = chunk[3] as Thrift;
+      const r = reader(buf, cm[9]);
+      const header = r.struct();
+      const page = gunzipSync(buf.subarray(r.pos, r.pos + header[3]));
+      assert.equal(page.length, header[2]);
+      // Definition levels: RLE runs of 1-bit values after a 4-byte length
+      const present: boolean[] = [];
+      const levelsEnd = 4 + page.readUInt32LE(0);
+      for (let q = 4; q < levelsEnd;) {
+        let run = 0, shift = 0, b: number;
+        do { b = page[q++]!; run |= (b & 0x7f) << shift; shift += 7; } while (b & 0x80);
+        const value = page[q++] === 1;
+        for (let i = 0; i < run >> 1; i++) present.push(value);
+      }
+      let p = levelsEnd;
+      const type = cm[1];
+      for (const has of present) {
+        if (!has) { columns[cm[3][0]]!.push(null); continue; }
+        if (type === 6) { const len = page.readUInt32LE(p); columns[cm[3][0]]!.push(page.toString('utf8', p + 4, p + 4 + len)); p += 4 + len; }
+        else if (type === 2) { columns[cm[3][0]]!.push(Number(page.readBigInt64LE(p))); p += 8; }
+        else { columns[cm[3][0]]!.push(page.readDoubleLE(p)); p += 8; }
+      }
+      assert.equal(present.length, header[5][1]);
+    }
+  }
+  return { names: schema.map(s => s[4]), rows: meta[3], groups: (meta[4] as Thrift[]).length, columns };
+}
+
+test('CSV: BOM, CRLF, quoting, formula guard, and empty cells for missing or non-finite numbers', () => {
+  const csv = bytes(csvChunks(COLUMNS, ROWS)).toString('utf8');
+  assert.equal(csv, '\uFEFFproject,psf,contracts\r\n'
+    + 'THE SAIL @ MARINA BAY,2150.5,3\r\n'
+    + "'=SUM(A1),,\r\n"
+    + '"A ""quoted"", name\nover two lines",1800,0\r\n'
+    + ',,7\r\n');
+});
+
+test('CSV comes out in batches of rows', () => {
+  const rows = Array.from({ length: 2500 }, (_, i) => ({ project: `P${i}`, psf: i, contracts: i }));
+  const chunks = [...csvChunks(COLUMNS, rows)];
+  assert.equal(chunks.length, 3);
+  assert.equal(chunks.join('').split('\r\n').length, 2502);
+});
+
+test('ZIP: each entry inflates to its content, with matching CRC and sizes', () => {
+  const big = 'x'.repeat(100_000);
+  const zip = bytes(zipChunks([
+    { name: 'a.txt', content: ['hello ', Buffer.from('world')] },
+    { name: 'empty.txt', content: [] },
+    { name: 'dir/big.txt', content: [big.slice(0, 50_000), '', big.slice(50_000)] },
+  ]));
+  const files = unzip(zip);
+  assert.deepEqual([...files.keys()], ['a.txt', 'empty.txt', 'dir/big.txt']);
+  assert.equal(files.get('a.txt'), 'hello world');
+  assert.equal(files.get('empty.txt'), '');
+  assert.equal(files.get('dir/big.txt'), big);
+});
+
+test('XLSX: a bold frozen header, inline strings escaped, numbers as values', () => {
+  const files = unzip(bytes(xlsxChunks(COLUMNS, ROWS, 'Sales & rentals in District 10 and beyond')));
+  assert.deepEqual([...files.keys()].sort(), [
+    '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml',
+  ]);
+  // Sheet names are capped at 31 characters
+  assert.match(files.get('xl/workbook.xml')!, /<sheet name="Sales &amp; rentals in District 10 " /);
+
+  const sheet = files.get('xl/worksheets/sheet1.xml')!;
+  assert.match(sheet, /<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"\/>/);
+  const rows = sheet.match(/<row>[\s\S]*?<\/row>/g)!;
+  assert.equal(rows.length, 5);
+  assert.match(rows[0]!, /^<row><c t="inlineStr" s="1"><is><t xml:space="preserve">Project<\/t>/);
+  assert.equal(rows[1], '<row><c t="inlineStr"><is><t xml:space="preserve">THE SAIL @ MARINA BAY</t></is></c><c><v>2150.5</v></c><c><v>3</v></c></row>');
+  assert.equal(rows[2], '<row><c t="inlineStr"><is><t xml:space="preserve">=SUM(A1)</t></is></c><c/><c/></row>');
+  assert.match(rows[3]!, /A &quot;quoted&quot;, name\nover two lines/);
+  assert.equal(rows[4], '<row><c/><c/><c><v>7</v></c></row>');
+});
+
+test('Parquet: the footer describes the columns, and pages read back with their nulls', () => {
+  const file = readParquet(bytes(parquetChunks(COLUMNS, ROWS)));
+  assert.deepEqual(file.names, ['project', 'psf', 'contracts']);
+  assert.equal(file.rows, 4);
+  assert.deepEqual(file.columns, {
+    project: ['THE SAIL @ MARINA BAY', '=SUM(A1)', 'A "quoted", name\nover two lines', null],
+    psf: [2150.5, null, 1800, null],
+    contracts: [3, null, 0, 7],
+  });
+});
+
+test('Parquet splits large exports into row groups', () => {
+  const rows = Array.from({ length: 50_001 }, (_, i) => ({ contracts: i % 3 ? i : null }));
+  const file = readParquet(bytes(parquetChunks([{ key: 'contracts', label: 'Contracts', type: 'integer' }], rows)));
+  assert.equal(file.rows, 50_001);
+  assert.equal(file.groups, 2);
+  assert.deepEqual(file.columns.contracts!.slice(0, 4), [null, 1, 2, null]);
+  assert.equal(file.columns.contracts!.at(-1), 50_000);
+});
+
+test('file names carry the filters that narrow the set', () => {
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T08:00:00Z') });
+  try {
+    assert.equal(exportFilename('sales', 'xlsx', { district: 'D10', segment: 'CCR', q: 'ignored' }), 'sales-d10-ccr-2026-10-19.xlsx');
+    assert.equal(exportFilename('rental', 'csv', { project: 'THE SAIL @ MARINA BAY', bedrooms: '3' }), 'rental-the-sail-marina-bay-3br-2026-10-19.csv');
+  } finally { mock.timers.reset(); }
+});
@@ -0,0 +1,44 @@
+/**
+ * The dashboard builds offline from the recorded URA payloads in fixtures/ura
+ * (URA_SOURCE=fixture), with no URA key or network.
+ */
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// The cache, snapshot and data source are read from the environment when first imported
+process.env.CACHE_DIR = mkdtempSync(join(tmpdir(), 'fixture-build-'));
+process.env.SNAPSHOT_DIR = join(process.env.CACHE_DIR, 'snapshot');
+process.env.URA_SOURCE = 'fixture';
+delete process.env.URA_FIXTURE_DIR;
+after(() => rmSync(process.env.CACHE_DIR!, { recursive: true, force: true }));
+const { buildDashboardData, getLastSync } = await import('../src/services/dashboard.ts');
+const state = await import('../src/services/state.ts');
+const { createFixtureSource } = await import('../src/services/ura-fixtures.ts');
+
+test('rental quarters replay by name only, whatever the date', async () => {
+  const source = createFixtureSource(join(import.meta.dirname, '../fixtures/ura'));
+  assert.equal((await source.fetchRental('26q3')).length, 6);
+  assert.deepEqual(await source.fetchRental('26q4'), []);
+  assert.deepEqual(await source.fetchRental('26q2'), []);
+});
+
+test('a full build from the committed fixtures publishes every batch and the rental quarter', async () => {
+  // The recording's rental quarter (26q3) is among the last four only from its own quarter on
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-09-30T00:00:00Z') });
+  after(() => mock.timers.reset());
+  const data = await buildDashboardData(true);
+  const sync = getLastSync()!;
+  assert.deepEqual(sync.failedBatches, []);
+  assert.equal(sync.mode, 'full');
+
+  assert.equal(data.totalTx, 84);
+  assert.equal(new Set(state.salesStore.map(s => s.p)).size, 6);
+  assert.deepEqual([...new Set(state.salesStore.map(s => s.sg))].sort(), ['CCR', 'OCR', 'RCR']);
+  // The one recorded quarter replays once; the three before it have no file
+  assert.equal(state.rentalStore.length, 60);
+  assert.equal(new Set(state.rentalStore.map(r => r.p)).size, 6);
+  assert.ok(data.lastUpdated);
+});
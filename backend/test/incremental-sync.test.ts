@@ -0,0 +1,80 @@
+/**
+ * Incremental sync (buildDashboardData with incremental: true): each refetched
+ * batch replaces its projects' records, so it ends where a full build would.
+ */
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+process.env.CACHE_DIR = mkdtempSync(join(tmpdir(), 'incremental-'));
+process.env.SNAPSHOT_DIR = join(process.env.CACHE_DIR, 'snapshot');
+after(() => rmSync(process.env.CACHE_DIR!, { recursive: true, force: true }));
+const { buildDashboardData, getLastSync } = await import('../src/services/dashboard.ts');
+const { setDataSource } = await import('../src/services/ura-client.ts');
+const state = await import('../src/services/state.ts');
+const { salesKey } = await import('../src/services/helpers.ts');
+after(() => setDataSource(null));
+
+const tx = (contractDate: string, area: string, price: string, tenure = '99 yrs lease commencing from 2015') => ({
+  area, floorRange: '06-10', noOfUnits: '1', contractDate, typeOfSale: '3', price,
+  propertyType: 'Condominium', district: '10', typeOfArea: 'Strata', tenure, nettPrice: '',
+});
+const project = (name: string, transaction: ReturnType<typeof tx>[]) =>
+  ({ project: name, street: 'ORCHARD ROAD', marketSegment: 'CCR', x: '28000', y: '31000', transaction });
+
+// Batch → projects; mutated between builds
+let batches: Record<number, ReturnType<typeof project>[]> = {};
+let failing = new Set<number>();
+setDataSource({
+  name: 'test',
+  fetchBatch: async (_service, batch) => {
+    if (failing.has(batch)) throw new Error('upstream down');
+    return structuredClone(batches[batch] || []);
+  },
+  fetchRental: async () => [],
+});
+
+const storeKeys = () => state.salesStore.map(salesKey).sort();
+
+test('a corrected price replaces the old record, a withdrawn one goes, and the result matches a full build', async () => {
+  batches = {
+    1: [project('ALPHA', [tx('0125', '80', '1600000'), tx('0225', '90', '1800000'), tx('0325', '100', '2000000')])],
+    2: [project('BETA', ['0125', '0225', '0325'].map(d => tx(d, '70', '1200000', '99 yrs lease')))],
+    3: [project('GAMMA', [tx('0425', '60', '900000', 'Freehold')])],
+  };
+  await buildDashboardData(true);
+  assert.equal(state.salesStore.length, 7);
+
+  // URA corrects ALPHA's February price, withdraws its March sale, and lodges a new one
+  batches[1] = [project('ALPHA', [tx('0125', '80', '1600000'), tx('0225', '90', '1850000'), tx('0425', '95', '1900000')])];
+  const incremental = await buildDashboardData(true, { incremental: true });
+  const sync = getLastSync()!;
+  assert.equal(sync.mode, 'incremental');
+  assert.equal(sync.newSales, 2);
+  assert.equal(sync.removedSales, 2);
+  assert.deepEqual(sync.projects, ['ALPHA']);
+  assert.equal(state.salesStore.length, 7);
+  assert.deepEqual(state.salesStore.filter(r => r.p === 'ALPHA').map(r => r.pr).sort(), [1600000, 1850000, 1900000]);
+  const keys = storeKeys();
+
+  const full = await buildDashboardData(true);
+  assert.deepEqual(storeKeys(), keys);
+  assert.equal(incremental.totalTx, full.totalTx);
+  assert.deepEqual(incremental.projIndex, full.projIndex);
+  // Tenure comes from the records on both paths, lease years and all
+  assert.equal(full.projIndex.BETA.tenure, '99 yrs lease');
+  assert.equal(full.projIndex.ALPHA.tenure, '99 yrs lease commencing from 2015');
+});
+
+test('a batch that fails keeps its records; one that comes back empty drops them', async () => {
+  batches[3] = [];
+  failing = new Set([2]);
+  await buildDashboardData(true, { incremental: true });
+  const sync = getLastSync()!;
+  assert.deepEqual(sync.failedBatches, [2]);
+  assert.equal(sync.removedSales, 1);
+  assert.deepEqual([...new Set(state.salesStore.map(r => r.p))].sort(), ['ALPHA', 'BETA']);
+  failing = new Set();
+});
@@ -0,0 +1,41 @@
+/**
+ * Saved holdings' ledgers (schemas.ts UserBodySchema) are refused by the shared
+ * rules in shared/ledger-rules.ts — the ones the portfolio page checks edits with.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UserBodySchema } from '../src/schemas.ts';
+import { ledgerError, MAX_LEDGER_EVENTS } from '../src/shared/ledger-rules.ts';
+
+const ev = (type: string, date: string, extra = {}) => ({ id: `${type}${date}`, type, date, amount: 1000, ...extra });
+const buy = ev('purchase', '2020-01-01');
+const holding = (events: object[]) => ({ id: 1, project: 'X', size: 1000, psf: 1000, year: 2020, events });
+const issues = (events: object[]) => {
+  const parsed = UserBodySchema.safeParse({ portfolio: [holding(events)] });
+  return parsed.success ? [] : parsed.error.issues.map(i => i.message);
+};
+
+test('a bad ledger is refused with exactly the shared message', () => {
+  const BAD: Array<[object[], string]> = [
+    [[ev('rent', '2020-01-01')], 'No purchase'],
+    [[buy, ev('sale', '2021-01-01'), ev('sale', '2022-01-01')], 'More than one final sale'],
+    [[buy, ev('sale', '2021-01-01'), ev('rent', '2021-06-01')], 'Events after the final sale'],
+    [[buy, ev('partial_sale', '2021-01-01', { share: 0.7 }), ev('partial_sale', '2022-01-01', { share: 0.3 - 1e-12 })],
+      'Partial sales add up to the whole unit: record the last one as a final sale'],
+  ];
+  for (const [events, message] of BAD) {
+    assert.equal(ledgerError(events as any), message);
+    assert.deepEqual(issues(events), [message]);
+  }
+});
+
+test('the events array is capped, once, with the same message', () => {
+  const long = [buy, ...Array.from({ length: MAX_LEDGER_EVENTS }, (_, i) => ev('rent', `2021-01-${String(i % 28 + 1).padStart(2, '0')}`, { id: `r${i}` }))];
+  assert.equal(ledgerError(long as any), `Over ${MAX_LEDGER_EVENTS} events`);
+  assert.deepEqual(issues(long), [`Over ${MAX_LEDGER_EVENTS} events`]);
+  assert.deepEqual(issues(long.slice(0, MAX_LEDGER_EVENTS)), []);
+});
+
+test('a good ledger, refinance terms included, saves', () => {
+  assert.deepEqual(issues([buy, ev('refinance', '2021-01-01', { rate: 3.1, years: 25 }), ev('partial_sale', '2022-01-01', { share: 0.4 })]), []);
+});
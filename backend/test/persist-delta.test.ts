@@ -0,0 +1,47 @@
+/**
+ * What a sync writes to PostgreSQL (dal.ts persistStores): only the rows that
+ * differ from what the tables already hold.
+ */
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+process.env.CACHE_DIR = mkdtempSync(join(tmpdir(), 'persist-delta-'));
+after(() => rmSync(process.env.CACHE_DIR!, { recursive: true, force: true }));
+const { rowDelta, toSalesRows, toRentalRows } = await import('../src/services/dal.ts');
+
+const sale = (m: number, pr: number, extra = {}) => ({
+  d: `2026-0${m}`, p: 'ALPHA', st: 'ORCHARD ROAD', di: 'D10', sg: 'CCR', a: 800, pr, ps: Math.round(pr / 800),
+  fl: '06-10', fm: 8, tp: 'Resale', pt: 'Condominium', tn: 'Freehold', ...extra,
+}) as any;
+const rental = (rn: number, br = '2') => ({
+  d: '2026-06', p: 'ALPHA', st: 'ORCHARD ROAD', di: 'D10', sg: 'CCR', a: 700, af: '650 - 750', br, rn, rp: +(rn / 700).toFixed(2), nc: 1, lc: '0626',
+}) as any;
+
+test('an unchanged store writes nothing', () => {
+  const sales = [sale(1, 1600000), sale(2, 1800000)];
+  const delta = rowDelta(toSalesRows(sales), toSalesRows(sales.map(r => ({ ...r }))));
+  assert.deepEqual(delta, { added: [], removed: [] });
+});
+
+test('a corrected sale is one delete and one insert; a new one only an insert', () => {
+  const before = toSalesRows([sale(1, 1600000), sale(2, 1800000)]);
+  const after = toSalesRows([sale(1, 1600000), sale(2, 1850000), sale(3, 1900000)]);
+  const { added, removed } = rowDelta(before, after);
+  assert.deepEqual(removed.map(r => r.price), [1800000]);
+  assert.deepEqual(added.map(r => r.price), [1850000, 1900000]);
+});
+
+test('a change outside the dedup key still rewrites the row', () => {
+  const { added, removed } = rowDelta(toSalesRows([sale(1, 1600000)]), toSalesRows([sale(1, 1600000, { tn: '99 yrs lease', ly: 99 })]));
+  assert.equal(removed.length, 1);
+  assert.equal(added[0]!.leaseYears, 99);
+});
+
+test('withdrawing one of two identical contracts deletes only the repeat', () => {
+  const { added, removed } = rowDelta(toRentalRows([rental(3500), rental(3500), rental(5000, '')]), toRentalRows([rental(3500), rental(5000, '')]));
+  assert.deepEqual(added, []);
+  assert.deepEqual(removed.map(r => [r.rent, r.dupSeq]), [['3500', 1]]);
+});
@@ -0,0 +1,112 @@
+/**
+ * Repeat-sales index (services/price-index.ts): which sales pair up, that a
+ * market moving at a known rate comes back out of the regression whatever else
+ * sold, and how series fall back, rebase and annualise.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+process.env.CACHE_DIR = mkdtempSync(join(tmpdir(), 'price-index-'));
+after(() => rmSync(process.env.CACHE_DIR!, { recursive: true, force: true }));
+const { repeatPairs, cholSolve, indexLevelFor, getPriceIndex } = await import('../src/services/price-index.ts');
+const { setSalesStore, setDashboardCache } = await import('../src/services/state.ts');
+
+const FIRST_YEAR = 2018;
+const QUARTERS = 28; // 2018Q1 – 2024Q4
+const GROWTH = 1.02; // a quarter
+
+/** "YYYY-MM" of quarter t, counted from FIRST_YEAR Q1 */
+const month = (t: number, m = 0) => `${FIRST_YEAR + Math.floor(t / 4)}-${String((t % 4) * 3 + 1 + m).padStart(2, '0')}`;
+
+const sale = (p: string, d: string, pr: number, extra: Record<string, unknown> = {}) => ({
+  d, p, st: '', di: 'D10', sg: 'CCR', a: 1000, pr, ps: pr / 1000, fl: '06-10', fm: 8,
+  tp: 'Resale', pt: 'Condominium', tn: 'Freehold', bn: 2, q: '', yr: d.slice(0, 4), ...extra,
+});
+
+/** Units bought in quarter k and sold 1, 4 and 9 quarters later, priced exactly on the market */
+function market(di: string, sg: string, prefix: string, gaps = [1, 4, 9]) {
+  const out = [];
+  for (const gap of gaps) {
+    for (let k = 0; k + gap < QUARTERS; k++) {
+      const unit = { di, sg, fl: `${String(gap).padStart(2, '0')}-${k}` };
+      out.push(sale(prefix, month(k, 1), 1e6 * GROWTH ** k, unit), sale(prefix, month(k + gap), 1e6 * GROWTH ** (k + gap), unit));
+    }
+  }
+  return out;
+}
+
+const SALES = [
+  ...market('D10', 'CCR', 'ALPHA'),
+  // Too few pairs for a district or segment series of its own
+  ...market('D15', 'RCR', 'BETA', [20]),
+  // New launches well above the going rate: single sales, so they pair with nothing
+  ...Array.from({ length: 200 }, (_, i) => sale(`LAUNCH ${i}`, month(QUARTERS - 1), 4e6)),
+];
+
+before(() => {
+  setSalesStore(SALES as any);
+  setDashboardCache({} as any);
+});
+after(() => {
+  setSalesStore([]);
+  setDashboardCache(null);
+});
+
+test('pairs consecutive sales of one unit in different quarters', () => {
+  const unit = { fl: '11-15', a: 850 };
+  const pairs = repeatPairs([
+    sale('A', '2020-05', 1_200_000, unit),
+    sale('A', '2019-01', 1_000_000, unit),
+    sale('A', '2019-02', 1_100_000, unit),          // same quarter as the one before: no pair
+    sale('A', '2024-01', 4_000_000, unit),          // more than 3x: a different unit
+    sale('A', '2021-01', 1_300_000, { ...unit, a: 851, di: 'D11' }),
+    sale('A', '2022-01', 1_500_000, { ...unit, a: 851, di: 'D12', sg: 'RCR' }),
+    sale('A', '2023-01', 1_600_000, { ...unit, fl: '' }),
+  ] as any);
+  assert.deepEqual(pairs.map(p => [p.t0, p.t1, +Math.exp(p.y).toFixed(4), p.di, p.sg]), [
+    [2019 * 4, 2020 * 4 + 1, 1.0909, 'D10', 'CCR'],
+    [2021 * 4, 2022 * 4, 1.1538, 'D12', 'RCR'],
+  ]);
+});
+
+test('cholSolve solves a symmetric positive-definite system', () => {
+  const A = [[4, 2, 0], [2, 5, 1], [0, 1, 3]].map(r => Float64Array.from(r));
+  const x = cholSolve(A, Float64Array.from([8, 15, 11]));
+  assert.deepEqual([...x].map(v => +v.toFixed(9)), [1, 2, 3]);
+});
+
+test('recovers the market rate, unmoved by what else sold', () => {
+  const level = indexLevelFor(SALES as any, 'D10', 'CCR')!;
+  assert.equal(level.key, 'D10');
+  for (const t of [0, 1, 7, 16, QUARTERS - 1]) {
+    assert.ok(Math.abs(level.at(month(t, 2)) / (100 * GROWTH ** t) - 1) < 1e-4, month(t));
+  }
+  // Outside the series: the nearest end
+  assert.equal(level.at('2010-01'), level.at(month(0)));
+  assert.equal(level.at('2030-01'), level.at(month(QUARTERS - 1)));
+});
+
+test('falls back from district to segment to market', () => {
+  assert.equal(indexLevelFor(SALES as any, 'D15', 'RCR')!.key, 'all');
+  assert.equal(indexLevelFor(SALES as any, 'D99', 'CCR')!.key, 'CCR');
+  assert.equal(indexLevelFor(SALES.slice(0, 10) as any, 'D10', 'CCR'), null);
+});
+
+test('getPriceIndex rebases to the quarter asked for and annualises the last five years', async () => {
+  const index = await getPriceIndex({ base: '2020Q1' });
+  assert.equal(index.method, 'repeat-sales');
+  assert.deepEqual(index.series.map(s => s.key), ['all', 'CCR', 'D10']);
+  const d10 = index.series.find(s => s.key === 'D10')!;
+  assert.equal(d10.base, '2020Q1');
+  assert.equal(d10.points.find(p => p.q === '2020Q1')!.index, 100);
+  assert.equal(d10.points[0]!.q, '2018Q1');
+  assert.equal(d10.points[0]!.index, +(100 / GROWTH ** 8).toFixed(1));
+  // From the rounded index levels, so within a tenth of the exact rate
+  assert.ok(Math.abs(d10.cagr! - (GROWTH ** 4 - 1) * 100) <= 0.1);
+  // A base the series doesn't have leaves it on its first quarter
+  assert.equal((await getPriceIndex({ base: '1999Q1' })).series[0]!.base, '2018Q1');
+  assert.deepEqual((await getPriceIndex({ district: 'D15' })).series.map(s => s.key), ['all', 'CCR']);
+});
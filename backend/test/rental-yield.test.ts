@@ -0,0 +1,100 @@
+/**
+ * Gross yield per unit type (services/rental-yield.ts): rent from the project's
+ * own contracts, else the district's, else the segment's, else the segment's
+ * average yield — with contracts read the way a build reads URA's payload.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+process.env.CACHE_DIR = mkdtempSync(join(tmpdir(), 'rental-yield-'));
+after(() => rmSync(process.env.CACHE_DIR!, { recursive: true, force: true }));
+const { fetchRentalRecords } = await import('../src/services/dashboard.ts');
+const { setDataSource } = await import('../src/services/ura-client.ts');
+const { setSalesStore, setRentalStore } = await import('../src/services/state.ts');
+const { buildBedroomModel } = await import('../src/services/bedroom.ts');
+const { projectYield, unitYield } = await import('../src/services/rental-yield.ts');
+
+const sale = (p: string, di: string, sg: string, m: number, ps = 2000, a = 700) => ({
+  d: `2026-0${m}`, p, st: '', di, sg, a, pr: a * ps, ps, fl: '06-10', fm: 8,
+  tp: 'Resale', pt: 'Condominium', tn: 'Freehold', bn: 1, q: '26Q1', yr: '2026',
+});
+const salesOf = (p: string, di: string, sg: string) => [1, 2, 3, 4, 5, 6].map(m => sale(p, di, sg, m));
+
+// As URA sends them: the district is on each contract, not on the project
+const contract = (district: string, rent: number, beds = '2') => ({
+  leaseDate: '0626', propertyType: 'Non-landed Properties', district,
+  areaSqm: beds === '2' ? '60-70' : '90-100', areaSqft: beds === '2' ? '650-750' : '1000-1100', noOfBedRoom: beds, rent,
+});
+// The 3-bedroom contracts give the bedroom model a second size band to tell 2-bedders from
+const PAYLOAD = [
+  { project: 'OWN', street: 'A', rental: [3500, 3500, 3500, 3500].map(r => contract('10', r)) },
+  { project: 'OTHER TEN', street: 'B', rental: [
+    ...[2800, 2800, 2800].map(r => contract('10', r)),
+    ...[5000, 5000, 5000].map(r => contract('10', r, '3')),
+  ] },
+];
+
+const SALES = [
+  ...salesOf('OWN', 'D10', 'CCR'),
+  ...salesOf('OTHER TEN', 'D10', 'CCR'),
+  ...salesOf('NEIGHBOUR', 'D10', 'CCR'),
+  ...salesOf('FAR', 'D20', 'CCR'),
+  ...salesOf('LONELY', 'D25', 'OCR'),
+];
+
+before(async () => {
+  setDataSource({ name: 'test', fetchBatch: async () => [], fetchRental: async () => PAYLOAD });
+  const rentals = await fetchRentalRecords(['26q2'], SALES as any);
+  setSalesStore(SALES as any);
+  setRentalStore(rentals);
+  buildBedroomModel();
+});
+after(() => setDataSource(null));
+
+test('contracts take their district from the contract row', async () => {
+  const { rentalStore } = await import('../src/services/state.ts');
+  assert.equal(rentalStore.length, 10);
+  assert.deepEqual([...new Set(rentalStore.map(r => r.di))], ['D10']);
+  assert.deepEqual([...new Set(rentalStore.map(r => r.sg))], ['CCR']);
+});
+
+test('a project with enough contracts of its own uses them', () => {
+  const y = projectYield('OWN')!;
+  assert.equal(y.fallback, false);
+  assert.deepEqual(y.types.map(t => [t.beds, t.source, t.rentals]), [['2', 'project', 4]]);
+  const t = y.types[0]!;
+  assert.equal(t.salePsf, 2000);
+  assert.equal(t.rentPsf, 5);
+  assert.equal(t.yield, 3);
+  assert.equal(t.rent, 3500);
+  assert.equal(t.rentalPeriod, '2026-06');
+});
+
+test('a project without contracts falls back to its district', () => {
+  const y = projectYield('NEIGHBOUR')!;
+  assert.equal(y.fallback, true);
+  const t = y.types[0]!;
+  assert.equal(t.source, 'district');
+  assert.equal(t.rentals, 7);
+  // Median of 4 × $5.00 and 3 × $4.00 psf
+  assert.equal(t.rentPsf, 5);
+});
+
+test('then to its segment, and to the segment average yield when the segment has none', () => {
+  assert.equal(projectYield('FAR')!.types[0]!.source, 'segment');
+  assert.equal(projectYield('FAR')!.types[0]!.rentals, 7);
+  const lonely = projectYield('LONELY')!.types[0]!;
+  assert.equal(lonely.source, 'segment');
+  assert.equal(lonely.rentals, 0);
+  assert.equal(lonely.rentalPeriod, '');
+  assert.ok(lonely.yield > 0);
+});
+
+test('blends types by sales and types a unit by its size', () => {
+  assert.equal(projectYield('OWN')!.blended, 3);
+  assert.equal(unitYield('OWN', 690)!.beds, '2');
+  assert.equal(projectYield('NOWHERE'), null);
+});
@@ -0,0 +1,112 @@
+/**
+ * SearchIndex (services/search-index.ts): every query answers exactly what a
+ * filter chain plus a stable sort over the store would, page by page.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchIndex, type IndexQuery } from '../src/services/search-index.ts';
+
+interface Rec { id: number; d: string; p: string; st: string; di: string; br: string; ps: number }
+
+// Small deterministic PRNG so a failure reproduces
+function rng(seed: number) {
+  return () => { seed = (seed * 1664525 + 1013904223) >>> 0; return seed / 2 ** 32; };
+}
+const rand = rng(42);
+const pick = <T>(xs: T[]): T => xs[Math.floor(rand() * xs.length)]!;
+
+const PROJECTS = ['MARINA ONE', 'THE SAIL', 'PARC CLEMATIS', 'RIVIERE', 'ONE PEARL BANK', 'NORMANTON PARK', 'AMBER 45'];
+const STREETS = ['MARINA WAY', 'MARINA BOULEVARD', 'JALAN LEMPENG', 'JIAK KIM STREET', 'PEARL BANK', 'NORMANTON PARK', 'AMBER ROAD'];
+const RECORDS: Rec[] = Array.from({ length: 3000 }, (_, id) => {
+  const i = Math.floor(rand() * PROJECTS.length);
+  return {
+    id,
+    d: `202${Math.floor(rand() * 6)}-${String(1 + Math.floor(rand() * 12)).padStart(2, '0')}`,
+    p: PROJECTS[i]!, st: STREETS[i]!,
+    di: pick(['D01', 'D03', 'D05', 'D09', 'D15']),
+    br: pick(['1', '2', '3', '2/3', '4']),
+    ps: Math.round(1000 + rand() * 2000),
+  };
+});
+
+const index = new SearchIndex(RECORDS, {
+  fields: { di: r => r.di, br: r => (r.br.includes('/') ? r.br.split('/') : r.br) },
+  sorts: { date: r => r.d, psf: r => r.ps, project: r => r.p },
+  text: [r => r.p, r => r.st],
+});
+
+/** What the index must return: filter, then a stable sort of the store */
+function reference(q: IndexQuery<Rec>): Rec[] {
+  const eq = (field: 'di' | 'br', want: string | string[] | undefined) => {
+    const values = (Array.isArray(want) ? want : [want]).filter(Boolean) as string[];
+    return (r: Rec) => !values.length || values.some(v => (field === 'br' ? r.br.split('/').includes(v) : r[field] === v));
+  };
+  const key = { date: (r: Rec) => r.d, psf: (r: Rec) => r.ps, project: (r: Rec) => r.p } as Record<string, (r: Rec) => string | number>;
+  let out = RECORDS.filter(r => eq('di', q.eq?.di)(r) && eq('br', q.eq?.br)(r));
+  if (q.q) out = out.filter(r => r.p.toLowerCase().includes(q.q!.toLowerCase()) || r.st.toLowerCase().includes(q.q!.toLowerCase()));
+  for (const { key: k, min, max, maxExclusive } of q.range || []) {
+    out = out.filter(r => {
+      const v = key[k]!(r);
+      return (min == null || v >= min) && (max == null || (maxExclusive ? v < max : v <= max));
+    });
+  }
+  if (q.where) out = out.filter(q.where);
+  const [k, dir] = (q.sort || 'date_desc').split('_') as [string, string];
+  const get = key[k] || key.date!;
+  const sign = key[k] && dir === 'asc' ? 1 : -1;
+  return out.map((r, i) => [r, i] as const)
+    .sort(([a, i], [b, j]) => {
+      const x = get(a), y = get(b);
+      return (x < y ? -1 : x > y ? 1 : 0) * sign || i - j;
+    })
+    .map(([r]) => r);
+}
+
+const ids = (rs: Rec[]) => rs.map(r => r.id);
+
+function check(q: IndexQuery<Rec>, label: string) {
+  const want = reference(q);
+  const got = index.query(q);
+  assert.equal(got.total, want.length, label);
+  // First page, a later page, then everything — the walk and the full sort both get exercised
+  assert.deepEqual(ids(got.slice(0, 20)), ids(want.slice(0, 20)), `${label} page 1`);
+  assert.deepEqual(ids(got.slice(40, 60)), ids(want.slice(40, 60)), `${label} page 3`);
+  assert.deepEqual(ids(got.slice(0, want.length)), ids(want), `${label} all`);
+}
+
+test('matches a filter-and-sort of the store for random queries', () => {
+  for (let i = 0; i < 300; i++) {
+    const q: IndexQuery<Rec> = {};
+    if (rand() < 0.5) q.eq = { di: rand() < 0.3 ? [pick(['D01', 'D03']), pick(['D09', 'D15'])] : pick(['D01', 'D05', 'D99']) };
+    if (rand() < 0.3) q.eq = { ...q.eq, br: pick(['2', '3', '4']) };
+    if (rand() < 0.3) q.q = pick(['ma', 'marina', 'PEARL', 'park', 'xyz', 'n', 'one p']);
+    if (rand() < 0.4) q.range = [{ key: 'psf', min: rand() < 0.7 ? 1500 : undefined, max: rand() < 0.7 ? 2200 : undefined }];
+    if (rand() < 0.3) q.range = [...(q.range || []), { key: 'date', min: '2022-03', max: pick(['2024-06', '2024-06-15', '2024']), maxExclusive: rand() < 0.5 }];
+    if (rand() < 0.2) q.where = r => r.id % 3 === 0;
+    q.sort = pick(['date_desc', 'date_asc', 'psf_asc', 'psf_desc', 'project_asc', 'nonsense_asc', undefined]);
+    check(q, JSON.stringify(q));
+  }
+});
+
+test('a split bedroom value is found under either count', () => {
+  const three = index.query({ eq: { br: '3' } });
+  const twoThree = RECORDS.filter(r => r.br === '2/3').length;
+  assert.equal(three.total, RECORDS.filter(r => r.br === '3').length + twoThree);
+  assert.equal(index.query({ eq: { br: ['2', '3'] } }).total, RECORDS.filter(r => /^(2|3|2\/3)$/.test(r.br)).length);
+});
+
+test('string range bounds between dictionary entries', () => {
+  check({ range: [{ key: 'date', min: '2021-06-15', max: '2021-07' }] }, 'between months');
+  check({ range: [{ key: 'date', min: '2030-01' }] }, 'after the last');
+  check({ range: [{ key: 'date', max: '2000-01' }] }, 'before the first');
+  check({ range: [{ key: 'date', min: '2022-01', max: '2022-01', maxExclusive: true }] }, 'empty half-open');
+});
+
+test('no filter pages straight off the permutation; unknown fields and ranges throw', () => {
+  const all = index.query({ sort: 'psf_asc' });
+  assert.equal(all.total, RECORDS.length);
+  assert.deepEqual(ids(all.slice(0, 50)), ids(reference({ sort: 'psf_asc' }).slice(0, 50)));
+  assert.deepEqual(index.query({ eq: { di: 'D01' } }).slice(10_000, 10_020), []);
+  assert.throws(() => index.query({ eq: { tenure: 'Freehold' } }), /No field index "tenure"/);
+  assert.throws(() => index.query({ range: [{ key: 'area', min: 1 }] }), /No sort index "area"/);
+});
@@ -0,0 +1,164 @@
+/**
+ * Hedonic AVM (services/valuation.ts): a district priced by a known formula
+ * comes back out as the model's effects and estimates, with comparables ranked
+ * by how little they need adjusting, falling back to the market for a thin
+ * district, and the lease outlook for leasehold.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+process.env.CACHE_DIR = mkdtempSync(join(tmpdir(), 'valuation-'));
+after(() => rmSync(process.env.CACHE_DIR!, { recursive: true, force: true }));
+const { getValuation, estimatePsf } = await import('../src/services/valuation.ts');
+const { balaFactor, leaseDecay } = await import('../src/services/lease.ts');
+const { setSalesStore, setDashboardCache } = await import('../src/services/state.ts');
+
+// Small deterministic PRNG so a failure reproduces
+function rng(seed: number) {
+  return () => { seed = (seed * 1664525 + 1013904223) >>> 0; return seed / 2 ** 32; };
+}
+const rand = rng(7);
+
+/** Months from 2000-01 */
+const ord = (d: string) => (parseInt(d.slice(0, 4)) - 2000) * 12 + parseInt(d.slice(5, 7)) - 1;
+const ym = (t: number) => `${2000 + Math.floor(t / 12)}-${String((t % 12) + 1).padStart(2, '0')}`;
+
+/** What a unit is worth: $2,000 psf at 1,000 sqft on a new lease in 2019-01, and these effects */
+const TRUTH = { area: -0.2, floor: 0.01, age: -0.01, newSale: 0.05, subSale: 0.02, trend: 0.04, leasehold: Math.log(0.9) };
+
+interface Project { p: string; di: string; sg: 'CCR' | 'OCR'; launch: string; tn: 'Freehold' | 'Leasehold'; ly?: number; ls?: number; perMonth: number }
+const PROJECTS: Project[] = [
+  { p: 'ALPHA', di: 'D10', sg: 'CCR', launch: '2019-01', tn: 'Freehold', perMonth: 2 },
+  { p: 'BETA', di: 'D10', sg: 'CCR', launch: '2020-07', tn: 'Freehold', perMonth: 2 },
+  { p: 'GAMMA', di: 'D10', sg: 'CCR', launch: '2021-01', tn: 'Freehold', perMonth: 2 },
+  { p: 'DELTA', di: 'D10', sg: 'CCR', launch: '2022-04', tn: 'Freehold', perMonth: 2 },
+  // Too few sales for D20 or OCR to have a model of their own
+  { p: 'OMEGA', di: 'D20', sg: 'OCR', launch: '2024-01', tn: 'Leasehold', ly: 99, ls: 1995, perMonth: 1 },
+  { p: 'KAPPA', di: 'D20', sg: 'OCR', launch: '2025-07', tn: 'Leasehold', perMonth: 1 },
+];
+const LAST = '2025-12';
+
+function truePsf(pr: Project, d: string, a: number, fm: number, tp: string): number {
+  const age = (ord(d) - ord(pr.launch)) / 12;
+  return 2000 * Math.exp(
+    TRUTH.area * Math.log(a / 1000) + TRUTH.floor * fm + TRUTH.age * age
+    + (tp === 'New Sale' ? TRUTH.newSale : tp === 'Sub Sale' ? TRUTH.subSale : 0)
+    + TRUTH.trend * (ord(d) - ord('2019-01')) / 12
+    + (pr.tn === 'Leasehold' ? TRUTH.leasehold : 0),
+  );
+}
+
+// Every unit a different size, so nothing pairs up for a repeat-sales index and time is the trend alone
+let nextArea = 500;
+const SALES = PROJECTS.flatMap(pr => {
+  const out = [];
+  for (let t = ord(pr.launch); t <= ord(LAST); t++) {
+    for (let i = 0; i < pr.perMonth; i++) {
+      const d = ym(t);
+      const a = nextArea++;
+      const band = Math.floor(rand() * 8);
+      const fl = `${String(band * 5 + 1).padStart(2, '0')}-${String(band * 5 + 5).padStart(2, '0')}`;
+      const fm = band * 5 + 3;
+      const tp = t - ord(pr.launch) < 12 ? 'New Sale' : rand() < 0.2 ? 'Sub Sale' : 'Resale';
+      // ±1% noise
+      const ps = Math.round(truePsf(pr, d, a, fm, tp) * (0.99 + rand() * 0.02));
+      out.push({
+        d, p: pr.p, st: `${pr.p} ROAD`, di: pr.di, sg: pr.sg, a, pr: ps * a, ps, fl, fm, tp, pt: 'Condominium',
+        tn: pr.tn, ly: pr.ly, ls: pr.ls, bn: 1, q: `${d.slice(2, 4)}Q${Math.floor((parseInt(d.slice(5, 7)) - 1) / 3) + 1}`, yr: d.slice(0, 4),
+      });
+    }
+  }
+  return out;
+}).sort((x, y) => (x.d < y.d ? 1 : x.d > y.d ? -1 : 0));
+
+const project = (p: string) => PROJECTS.find(pr => pr.p === p)!;
+
+before(() => {
+  setSalesStore(SALES as any);
+  setDashboardCache({} as any);
+});
+after(() => {
+  setSalesStore([]);
+  setDashboardCache(null);
+});
+
+test('recovers the effects the prices were built with', async () => {
+  const v = (await getValuation({ project: 'ALPHA', area: 1000, floor: '06-10' }))!;
+  assert.deepEqual([v.model.scope, v.model.key, v.model.index], ['district', 'D10', null]);
+  assert.ok(v.model.r2 > 0.95, `R² ${v.model.r2}`);
+  const effects = Object.fromEntries(v.model.effects.map(e => [e.term, e.pct]));
+  const want: Record<string, number> = {
+    'log area': (1.1 ** TRUTH.area - 1) * 100,
+    'floor': (Math.exp(TRUTH.floor) - 1) * 100,
+    'age': (Math.exp(TRUTH.age) - 1) * 100,
+    'new sale': (Math.exp(TRUTH.newSale) - 1) * 100,
+    'sub sale': (Math.exp(TRUTH.subSale) - 1) * 100,
+    'trend': (Math.exp(TRUTH.trend) - 1) * 100,
+    // One tenure in the district: nothing to estimate
+    'freehold': 0,
+    'lease left': 0,
+  };
+  for (const [term, pct] of Object.entries(want)) {
+    assert.ok(Math.abs(effects[term]! - pct) < 0.3, `${term}: ${effects[term]} vs ${pct.toFixed(2)}`);
+  }
+});
+
+test('values a unit close to its true worth, inside a 90% interval', async () => {
+  const v = (await getValuation({ project: 'BETA', area: 1200, floor: '11-15', saleType: 'Sub Sale', date: '2025-06' }))!;
+  const truth = truePsf(project('BETA'), '2025-06', 1200, 13, 'Sub Sale');
+  assert.ok(Math.abs(v.psf / truth - 1) < 0.015, `${v.psf} vs ${truth.toFixed(0)}`);
+  assert.ok(v.lo < truth && truth < v.hi);
+  assert.equal(v.price, v.psf * 1200);
+  assert.ok(v.confidence > 50 && v.confidence <= 100);
+  assert.equal(v.projectSales, SALES.filter(r => r.p === 'BETA').length);
+  assert.deepEqual(v.subject, { area: 1200, floorMid: 13, tenure: 'Freehold', saleType: 'Sub Sale', age: 4.9, leaseStart: null, leaseLeft: null, bala: 1 });
+  assert.deepEqual(v.leaseDecay, []);
+
+  // Defaults: the project's median floor, a resale, the latest month with sales
+  const d = (await getValuation({ project: 'BETA', area: 1200 }))!;
+  assert.deepEqual([d.subject.floorMid, d.subject.saleType, d.date], [18, 'Resale', LAST]);
+});
+
+test('comparables are the project\'s own sales, least adjusted first', async () => {
+  const v = (await getValuation({ project: 'GAMMA', area: 1000, floor: '06-10' }))!;
+  assert.equal(v.comparables.length, 10);
+  for (const [i, c] of v.comparables.entries()) {
+    assert.equal(c.project, 'GAMMA');
+    // Each one adjusted to the subject lands near the estimate, within the noise
+    assert.ok(Math.abs(c.adjPsf / v.psf - 1) < 0.03, `${c.date} ${c.adjPsf} vs ${v.psf}`);
+    if (i) assert.ok(c.similarity <= v.comparables[i - 1]!.similarity);
+  }
+});
+
+test('a thin district falls back to the market model, and leasehold carries its lease outlook', async () => {
+  const v = (await getValuation({ project: 'OMEGA', area: 900, floor: '01-05' }))!;
+  assert.deepEqual([v.district, v.segment, v.model.scope, v.model.key], ['D20', 'OCR', 'market', 'all']);
+  // 30 years and 11.5 months from the start of 1995 to mid-December 2025
+  const left = 99 - (30 + 11.5 / 12);
+  assert.deepEqual([v.subject.leaseStart, v.subject.leaseLeft, v.subject.bala], [1995, +left.toFixed(1), +balaFactor(left).toFixed(3)]);
+  assert.deepEqual(v.leaseDecay, [5, 10, 20, 30].map(h => {
+    const factor = leaseDecay(left, left - h);
+    return { years: h, leaseLeft: +(left - h).toFixed(1), factor: +factor.toFixed(3), psf: Math.round(v.psf * factor) };
+  }));
+  assert.ok(v.leaseDecay.every((s, i) => s.psf < (v.leaseDecay[i - 1]?.psf ?? v.psf)));
+
+  // No lease start from URA: 99 years from the project's first sale
+  const k = (await getValuation({ project: 'KAPPA', area: 900 }))!;
+  assert.deepEqual([k.subject.leaseStart, k.subject.age, k.subject.leaseLeft], [null, 0.4, 98.6]);
+
+  assert.equal(await getValuation({ project: 'NOWHERE', area: 900 }), null);
+});
+
+test('estimatePsf values from the sales it is given alone', () => {
+  const subject = { project: 'DELTA', district: 'D10', segment: 'CCR', tenure: 'Freehold', area: 800, floorMid: 23, saleType: 'Resale', date: '2024-01' };
+  const before2024 = SALES.filter(r => r.d < '2024-01');
+  const e = estimatePsf(before2024 as any, subject)!;
+  const truth = truePsf(project('DELTA'), '2024-01', 800, 23, 'Resale');
+  assert.ok(Math.abs(e.psf / truth - 1) < 0.02, `${e.psf} vs ${truth.toFixed(0)}`);
+  assert.ok(e.lo < e.psf && e.psf < e.hi);
+  // Too little history for any scope
+  assert.equal(estimatePsf(before2024.slice(-40) as any, subject), null);
+});
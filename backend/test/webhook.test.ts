@@ -0,0 +1,32 @@
+/**
+ * Alert webhooks only reach public addresses (alerts.ts deliverWebhook).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import type { AddressInfo } from 'net';
+import { isInternalAddress, deliverWebhook } from '../src/services/alerts.ts';
+
+test('internal ranges are refused, public addresses allowed', () => {
+  for (const ip of ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'not-an-ip']) {
+    assert.equal(isInternalAddress(ip), true, ip);
+  }
+  for (const ip of ['8.8.8.8', '203.0.113.9', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isInternalAddress(ip), false, ip);
+  }
+});
+
+test('a webhook pointed at this machine is never posted to', async () => {
+  let hits = 0;
+  const server = createServer((_req, res) => { hits++; res.end('ok'); });
+  await new Promise<void>(resolve => server.listen(0, resolve));
+  const { port } = server.address() as AddressInfo;
+  try {
+    for (const url of [`http://127.0.0.1:${port}/`, `http://localhost:${port}/`, `http://[::1]:${port}/`]) {
+      await deliverWebhook(url, 'user-1', []);
+    }
+    assert.equal(hits, 0);
+  } finally {
+    server.close();
+  }
+});
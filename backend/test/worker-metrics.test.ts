@@ -0,0 +1,28 @@
+/**
+ * The ingestion worker's own /metrics (shared/metrics.ts serveMetrics): URA is
+ * called from the worker, so its upstream counters are scraped from there.
+ */
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import type { AddressInfo } from 'net';
+
+const { serveMetrics, upstreamRequests } = await import('../src/shared/metrics.ts');
+
+const server = serveMetrics(0);
+await once(server, 'listening');
+after(() => server.close());
+const url = (path: string) => `http://127.0.0.1:${(server.address() as AddressInfo).port}${path}`;
+
+test('serves the registry, upstream counters included', async () => {
+  upstreamRequests.inc({ service: 'PMI_Resi_Transaction', batch: '2', outcome: 'failure' });
+  const res = await fetch(url('/metrics'));
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type')!, /text\/plain/);
+  assert.match(await res.text(), /ura_upstream_requests_total\{service="PMI_Resi_Transaction",batch="2",outcome="failure"\} 1/);
+});
+
+test('answers nothing else', async () => {
+  assert.equal((await fetch(url('/'))).status, 404);
+  assert.equal((await fetch(url('/metrics'), { method: 'POST' })).status, 404);
+});
@@ -0,0 +1,68 @@
+/**
+ * What workspace members see of each other (account ids only reach owners),
+ * and saves that must name the version they were edited from.
+ */
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// The workspace store reads CACHE_DIR when first imported
+process.env.CACHE_DIR = mkdtempSync(join(tmpdir(), 'workspaces-'));
+after(() => rmSync(process.env.CACHE_DIR!, { recursive: true, force: true }));
+const { createWorkspace, addMember, saveWorkspaceData, removeMember, viewOf, membersOf, listWorkspaces } = await import('../src/services/workspaces.ts');
+const { WorkspaceDataSchema } = await import('../src/schemas.ts');
+
+const owner = { id: 'acct-owner', email: 'owner@example.com', displayName: 'Olive' };
+const viewer = { id: 'acct-viewer', email: 'viewer@example.com', displayName: null };
+const editor = { id: 'acct-editor', email: 'editor@example.com', displayName: 'Ed' };
+
+async function team() {
+  const ws = await createWorkspace('Team', owner);
+  await addMember(ws.id, owner.id, viewer, 'viewer');
+  const { updatedAt } = await addMember(ws.id, owner.id, editor, 'editor');
+  return saveWorkspaceData(ws.id, editor.id, { portfolio: [{ id: 'h1', project: 'ALPHA' }] }, updatedAt);
+}
+
+test('owners see member account ids', async () => {
+  const view = viewOf(await team(), owner.id);
+  assert.deepEqual(view.members.map(m => m.userId), [owner.id, viewer.id, editor.id]);
+  assert.deepEqual(view.members.map(m => m.self), [true, false, false]);
+  assert.equal(view.portfolio[0]!.createdBy!.id, editor.id);
+});
+
+test('viewers and editors see emails, names and roles but no account ids', async () => {
+  const ws = await team();
+  for (const id of [viewer.id, editor.id]) {
+    const view = viewOf(ws, id);
+    assert.deepEqual(view.members.map(m => [m.email, m.role, m.self]), [
+      [owner.email, 'owner', false],
+      [viewer.email, 'viewer', id === viewer.id],
+      [editor.email, 'editor', id === editor.id],
+    ]);
+    assert.equal(view.members.some(m => 'userId' in m), false);
+    assert.deepEqual(view.portfolio[0]!.createdBy, { name: 'Ed' });
+    assert.equal(JSON.stringify(view).includes('acct-'), false);
+  }
+});
+
+test('leaving returns the remaining members without ids', async () => {
+  const ws = await team();
+  const members = membersOf(await removeMember(ws.id, viewer.id, viewer.id), viewer.id);
+  assert.deepEqual(members.map(m => m.email), [owner.email, editor.email]);
+  assert.equal(members.some(m => 'userId' in m), false);
+});
+
+test('a save must name its base version and is refused once that has moved on', async () => {
+  const ws = await team();
+  assert.equal(WorkspaceDataSchema.safeParse({ portfolio: [] }).success, false);
+  assert.equal(WorkspaceDataSchema.safeParse({ portfolio: [], baseUpdatedAt: ws.updatedAt }).success, true);
+
+  const saved = await saveWorkspaceData(ws.id, owner.id, { portfolio: [] }, ws.updatedAt);
+  await assert.rejects(
+    saveWorkspaceData(ws.id, editor.id, { portfolio: [{ id: 'h2', project: 'BETA' }] }, ws.updatedAt),
+    { code: 'WORKSPACE_CONFLICT', status: 409 },
+  );
+  assert.ok((await listWorkspaces(editor.id)).some(w => w.id === ws.id && w.updatedAt === saved.updatedAt));
+});
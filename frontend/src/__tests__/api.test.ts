@@ -47,6 +47,30 @@ describe('API service', () => {
     });
   });
 
+  describe('errors', () => {
+    it('surfaces the structured error code from /api/v1', async () => {
+      globalThis.fetch = vi.fn().mockResolvedValue({
+        ok: false,
+        status: 404,
+        json: () => Promise.resolve({ success: false, error: 'Project not found', code: 'PROJECT_NOT_FOUND' }),
+      });
+
+      const { fetchProject } = await import('../services/api');
+      await expect(fetchProject('NOWHERE')).rejects.toMatchObject({
+        message: 'Project not found', status: 404, code: 'PROJECT_NOT_FOUND',
+      });
+    });
+  });
+
+  describe('exportUrl', () => {
+    it('carries the non-empty filters and the format', async () => {
+      const { exportUrl } = await import('../services/api');
+      const url = new URL(exportUrl('sales', { district: 'D10', segment: '', q: undefined, sort: 'psf_desc' }, 'xlsx'), 'http://x');
+      expect(url.pathname).toBe('/api/v1/sales/export');
+      expect(Object.fromEntries(url.searchParams)).toEqual({ district: 'D10', sort: 'psf_desc', format: 'xlsx' });
+    });
+  });
+
   describe('getUserId', () => {
     it('creates and persists a user ID', async () => {
       const { getUserId } = await import('../services/api');
@@ -55,6 +79,82 @@ describe('API service', () => {
       const id2 = getUserId();
       expect(id2).toBe(id1); // Same ID on subsequent calls
     });
+
+    it('uses the account id when signed in', async () => {
+      localStorage.setItem('sg_auth', JSON.stringify({ accessToken: 'a', refreshToken: 'r', user: { id: 'acct-1', email: 'x@y.z' } }));
+      const { getUserId } = await import('../services/api');
+      expect(getUserId()).toBe('acct-1');
+    });
+  });
+
+  describe('login', () => {
+    it('stores the session and claims the anonymous id', async () => {
+      localStorage.setItem('sg_user_id', 'anon-123');
+      localStorage.setItem('sg_claim_token', 'claim-abc');
+      const calls: Array<{ url: string; init?: RequestInit }> = [];
+      globalThis.fetch = vi.fn().mockImplementation((url: string, init?: RequestInit) => {
+        calls.push({ url, init });
+        const data = url.endsWith('/auth/login') ? { accessToken: 'tok', refreshToken: 'ref', expiresIn: '7d' }
+          : url.endsWith('/auth/me') ? { id: 'acct-1', email: 'x@y.z', displayName: null, plan: 'free' }
+          : {};
+        return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ success: true, data }) });
+      });
+
+      const { login, getUserId } = await import('../services/api');
+      const user = await login('x@y.z', 'password1');
+      expect(user.id).toBe('acct-1');
+      expect(getUserId()).toBe('acct-1');
+
+      const claim = calls.find(c => c.url.endsWith('/auth/claim'));
+      expect(JSON.parse(claim!.init!.body as string)).toEqual({ anonymousId: 'anon-123', claimToken: 'claim-abc' });
+      expect((claim!.init!.headers as Record<string, string>).Authorization).toBe('Bearer tok');
+      expect(localStorage.getItem('sg_user_id')).toBeNull();
+      expect(localStorage.getItem('sg_claim_token')).toBeNull();
+    });
+
+    it("doesn't claim an anonymous id without its claim token", async () => {
+      localStorage.setItem('sg_user_id', 'anon-123');
+      const urls: string[] = [];
+      globalThis.fetch = vi.fn().mockImplementation((url: string) => {
+        urls.push(url);
+        const data = url.endsWith('/auth/login') ? { accessToken: 'tok', refreshToken: 'ref', expiresIn: '7d' }
+          : { id: 'acct-1', email: 'x@y.z', displayName: null, plan: 'free' };
+        return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ success: true, data }) });
+      });
+      const { login } = await import('../services/api');
+      await login('x@y.z', 'password1');
+      expect(urls.some(u => u.endsWith('/auth/claim'))).toBe(false);
+    });
+  });
+
+  describe('saveUserData', () => {
+    it('keeps the claim token the first save returns, and not in the data', async () => {
+      localStorage.setItem('sg_user_id', 'anon-123');
+      globalThis.fetch = vi.fn().mockResolvedValue({
+        ok: true, status: 200,
+        json: () => Promise.resolve({ success: true, data: { portfolio: [], savedSearches: [], clientReports: [], claimToken: 'claim-abc' } }),
+      });
+      const { saveUserData } = await import('../services/api');
+      const saved = await saveUserData({ portfolio: [] });
+      expect(saved).not.toHaveProperty('claimToken');
+      expect(localStorage.getItem('sg_claim_token')).toBe('claim-abc');
+    });
+  });
+
+  describe('loadUserData', () => {
+    it('keeps a claim token issued on read for an id saved before tokens existed', async () => {
+      localStorage.setItem('sg_user_id', 'anon-legacy');
+      localStorage.removeItem('sg_claim_token');
+      globalThis.fetch = vi.fn().mockResolvedValue({
+        ok: true, status: 200,
+        json: () => Promise.resolve({ success: true, data: { portfolio: [{ id: 'h1' }], savedSearches: [], clientReports: [], claimToken: 'claim-old' } }),
+      });
+      const { loadUserData } = await import('../services/api');
+      const data = await loadUserData();
+      expect(data).not.toHaveProperty('claimToken');
+      expect(data.portfolio).toHaveLength(1);
+      expect(localStorage.getItem('sg_claim_token')).toBe('claim-old');
+    });
   });
 });
 
@@ -1,7 +1,25 @@
 import { describe, it, expect, vi } from 'vitest';
 import { render, screen, fireEvent, within } from '@testing-library/react';
 import ProjectSearch from '../components/shared/ProjectSearch';
+import ExportButton from '../components/shared/ExportButton';
+import MultiSelect from '../components/shared/MultiSelect';
+import DistrictMap from '../components/shared/DistrictMap';
+import DistrictChoropleth, { districtValues } from '../components/market/DistrictChoropleth';
+import { indexRows } from '../components/market/PriceIndexChart';
+import ValuationModelCard from '../components/project/valuation/ValuationModelCard';
 import { StatCard, Card, SectionHeader, NoteText } from '../components/ui';
+import AcquisitionCalculator, { scheduleRows } from '../components/project/valuation/AcquisitionCalculator';
+import { parseLease, balaFactor, leaseDecay, leaseAdjustedCAGR, BALA_CURVE } from '../constants';
+import CashflowProjection from '../components/portfolio/CashflowProjection';
+import { cashflowHolding } from '../components/portfolio/usePortfolioCashflow';
+import HoldingLedger from '../components/portfolio/HoldingLedger';
+import { ledgerOf, ledgerReturns, ledgerError, parseLedgerCsv, importLedger, xirr } from '../components/portfolio/ledger';
+import UnitYieldTable from '../components/project/UnitYieldTable';
+import WorkspaceSwitcher from '../components/shared/WorkspaceSwitcher';
+import useAppStore from '../stores/useAppStore';
+import { fetchAcquisitionCost, fetchPortfolioCashflow } from '../services/api';
+
+vi.mock('../services/api', async (importOriginal) => ({ ...(await importOriginal()), fetchAcquisitionCost: vi.fn(), fetchPortfolioCashflow: vi.fn() }));
 
 const PROJ_LIST = ['RIVIERE', 'MARINA ONE', 'PARC CLEMATIS', 'THE SAIL', 'REFLECTIONS AT KEPPEL BAY'];
 const PROJ_INDEX = {
@@ -126,4 +144,447 @@ describe('UI Components', () => {
       expect(screen.getByText('Some helpful note')).toBeInTheDocument();
     });
   });
+
+  describe('ExportButton', () => {
+    it('links each format to the export endpoint with the current filters', () => {
+      render(<ExportButton dataset="rental" params={{ project: 'THE SAIL', bedrooms: '2' }} />);
+      const href = screen.getByText('Parquet').closest('a').getAttribute('href');
+      expect(href).toContain('/api/v1/rental/export?');
+      expect(href).toContain('project=THE+SAIL');
+      expect(href).toContain('format=parquet');
+    });
+
+    it('renders no links when there is nothing to export', () => {
+      render(<ExportButton dataset="sales" params={{}} disabled />);
+      expect(screen.queryAllByRole('link')).toHaveLength(0);
+    });
+  });
+
+  describe('MultiSelect', () => {
+    it('keeps the selection in option order and summarises it on the button', () => {
+      const onChange = vi.fn();
+      const { rerender } = render(<MultiSelect label="Districts" allLabel="All Districts" options={['D09', 'D10', 'D11']} value={[]} onChange={onChange} />);
+      fireEvent.click(screen.getByRole('button', { name: 'Districts: All Districts' }));
+      fireEvent.click(screen.getByLabelText('D10'));
+      expect(onChange).toHaveBeenLastCalledWith(['D10']);
+
+      rerender(<MultiSelect label="Districts" allLabel="All Districts" options={['D09', 'D10', 'D11']} value={['D10']} onChange={onChange} />);
+      fireEvent.click(screen.getByLabelText('D09'));
+      expect(onChange).toHaveBeenLastCalledWith(['D09', 'D10']);
+      fireEvent.click(screen.getByText('Clear'));
+      expect(onChange).toHaveBeenLastCalledWith([]);
+    });
+  });
+
+  describe('DistrictMap', () => {
+    const districts = {
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: { district: 'D10', projects: 2 }, geometry: { type: 'MultiPolygon', coordinates: [[[[103.80, 1.30], [103.82, 1.30], [103.82, 1.32], [103.80, 1.32], [103.80, 1.30]]]] } },
+        { type: 'Feature', properties: { district: 'D11', projects: 1 }, geometry: { type: 'MultiPolygon', coordinates: [[[[103.82, 1.30], [103.84, 1.30], [103.84, 1.32], [103.82, 1.32], [103.82, 1.30]]]] } },
+      ],
+    };
+
+    it('draws one area per district and reports clicks', () => {
+      const onDistrictClick = vi.fn();
+      const { container } = render(<DistrictMap districts={districts} fillFor={d => (d === 'D10' ? '#f00' : '#00f')} onDistrictClick={onDistrictClick} />);
+      const paths = container.querySelectorAll('path');
+      expect(paths).toHaveLength(2);
+      expect(paths[0].getAttribute('fill')).toBe('#f00');
+      fireEvent.click(paths[1]);
+      expect(onDistrictClick).toHaveBeenCalledWith('D11');
+    });
+
+    it('highlights the subject project', () => {
+      const points = [{ name: 'RIVIERE', lat: 1.31, lng: 103.81 }, { name: 'THE SAIL', lat: 1.31, lng: 103.83 }];
+      const { container } = render(<DistrictMap districts={districts} points={points} highlight="RIVIERE" />);
+      const dots = container.querySelectorAll('circle');
+      expect(dots).toHaveLength(2);
+      expect(dots[0].getAttribute('r')).toBe('6');
+      expect(dots[1].getAttribute('r')).toBe('3.5');
+    });
+  });
+
+  describe('DistrictChoropleth', () => {
+    const data = {
+      sDistBar: [{ d: 'D10', v: 2400 }],
+      distPerf: [{ d: 'D10', endPsf: 2300, cagr: 3.1, yield: 2.6, txTotal: 900 }, { d: 'D19', endPsf: 1500, cagr: -0.4, yield: 3.4, txTotal: 1200 }],
+      distYoy: [{ d: 'D19', yoy: -2.5, n: 140 }],
+      yd: [{ d: 'D19', y: 3.5 }],
+    };
+
+    it('prefers the top-N arrays and fills the rest from distPerf', () => {
+      expect(districtValues(data, 'psf')).toEqual({ D10: 2400, D19: 1500 });
+      expect(districtValues(data, 'yield')).toEqual({ D10: 2.6, D19: 3.5 });
+      expect(districtValues(data, 'yoy')).toEqual({ D19: -2.5 });
+      expect(districtValues(data, 'vol')).toEqual({ D10: 900, D19: 1200 });
+    });
+
+    it('filters by the clicked district and clears on a second click', () => {
+      const onSelect = vi.fn();
+      const { container, rerender } = render(<DistrictChoropleth data={data} selected="all" onSelect={onSelect} />);
+      const d10 = [...container.querySelectorAll('path')].find(p => p.textContent.startsWith('D10 '));
+      expect(d10.textContent).toBe('D10 · $2,400');
+      fireEvent.click(d10);
+      expect(onSelect).toHaveBeenLastCalledWith('D10');
+
+      rerender(<DistrictChoropleth data={data} selected="D10" onSelect={onSelect} />);
+      fireEvent.click(screen.getByRole('radio', { name: 'CAGR' }));
+      const again = [...container.querySelectorAll('path')].find(p => p.textContent.startsWith('D10 '));
+      expect(again.textContent).toBe('D10 · +3.1%');
+      fireEvent.click(again);
+      expect(onSelect).toHaveBeenLastCalledWith('all');
+    });
+  });
+
+  describe('PriceIndexChart', () => {
+    it('lines series up by quarter, leaving gaps where a series has no pairs', () => {
+      const rows = indexRows([
+        { key: 'all', points: [{ q: '2023Q4', index: 100 }, { q: '2024Q1', index: 102.5 }] },
+        { key: 'D10', points: [{ q: '2024Q1', index: 101 }, { q: '2023Q4', index: 100 }] },
+        { key: 'D19', points: [{ q: '2024Q2', index: 99 }] },
+      ]);
+      expect(rows).toEqual([
+        { q: '2023Q4', all: 100, D10: 100 },
+        { q: '2024Q1', all: 102.5, D10: 101 },
+        { q: '2024Q2', D19: 99 },
+      ]);
+    });
+  });
+
+  describe('ValuationModelCard', () => {
+    const VALUATION = {
+      project: 'RIVIERE', district: 'D03', segment: 'CCR', date: '2026-05',
+      subject: { area: 1000, floorMid: 8, tenure: 'Leasehold', saleType: 'Resale', age: 3.3, leaseStart: 2019, leaseLeft: 91.7, bala: 0.894 },
+      psf: 2200, price: 2200000, lo: 2050, hi: 2360, level: 0.9, confidence: 72,
+      model: { scope: 'district', key: 'D03', n: 1200, r2: 0.81, rmse: 0.06, index: 'D03', effects: [{ term: 'floor', pct: 0.6 }, { term: 'sub sale', pct: 0 }] },
+      projectSales: 150,
+      comparables: [
+        { date: '2026-02', project: 'RIVIERE', floor: '06-10', area: 969, price: 2100000, psf: 2167, adjPsf: 2190, saleType: 'Resale', similarity: 96 },
+        { date: '2025-11', project: 'MARTIN MODERN', floor: '11-15', area: 1001, price: 2300000, psf: 2298, adjPsf: 2230, saleType: 'Resale', similarity: 85 },
+      ],
+      leaseDecay: [{ years: 10, leaseLeft: 81.7, factor: 0.969, psf: 2132 }],
+    };
+
+    it('shows the estimate, its interval and the comparables from the AVM response', () => {
+      render(<ValuationModelCard valuation={VALUATION} />);
+      expect(screen.getByText('$2,200,000')).toBeInTheDocument();
+      expect(screen.getByText('90% range:')).toBeInTheDocument();
+      expect(screen.getByText('$2,050 — $2,360 PSF')).toBeInTheDocument();
+      expect(screen.getByText('72')).toBeInTheDocument();
+      expect(screen.getByText('same')).toBeInTheDocument();
+      expect(screen.getByText('MARTIN MODERN')).toBeInTheDocument();
+      expect(screen.queryByText(/sub sale/)).not.toBeInTheDocument();
+    });
+
+    it('shows the error instead when the request failed', () => {
+      render(<ValuationModelCard valuation={null} error="Project not found" />);
+      expect(screen.getByRole('alert')).toHaveTextContent('Project not found');
+    });
+
+    it('shows the lease decay outlook for a leasehold, and none for freehold', () => {
+      const { unmount } = render(<ValuationModelCard valuation={VALUATION} />);
+      expect(screen.getByText(/92 yrs left \(from 2019\), worth 89.4% of freehold/)).toBeInTheDocument();
+      expect(screen.getByText('$2,132')).toBeInTheDocument();
+      expect(screen.getByText('-3.1%')).toBeInTheDocument();
+      unmount();
+      render(<ValuationModelCard valuation={{ ...VALUATION, subject: { ...VALUATION.subject, tenure: 'Freehold', leaseStart: null, leaseLeft: null, bala: 1 }, leaseDecay: [] }} />);
+      expect(screen.queryByText(/LEASE DECAY/)).not.toBeInTheDocument();
+    });
+  });
+
+  describe('AcquisitionCalculator', () => {
+    const COST = {
+      price: 1500000, date: '2026-10-19', profile: 'pr', propertyCount: 2,
+      stampDuty: { bsd: 44600, absd: 450000, absdRate: 0.3, total: 494600 },
+      fees: 3000,
+      loan: {
+        amount: 675000, ltv: 0.45, maxLtv: 0.45, limitedBy: 'ltv', rate: 3, years: 25, monthly: 3201, totalInterest: 285278, tdsr: null,
+        schedule: Array.from({ length: 25 }, (_, i) => ({ year: i + 1, payment: 38411, interest: 19998, principal: 18413, balance: 675000 - (i + 1) * 27000 })),
+      },
+      cash: { downpayment: 825000, minCash: 375000, upfront: 1322600 },
+      ssd: [{ year: 1, rate: 0.16, amount: 240000 }, { year: 4, rate: 0.04, amount: 60000 }],
+      tco: { years: 5, stampDuty: 494600, fees: 3000, interest: 95000, maintenance: 0, ssd: 0, total: 592600 },
+    };
+
+    it('costs the estimate it is given and shows duties, loan and SSD', async () => {
+      fetchAcquisitionCost.mockResolvedValue(COST);
+      render(<AcquisitionCalculator estimate={1500000} />);
+      expect(screen.getByDisplayValue('1500000')).toBeInTheDocument();
+      expect(await screen.findByText('$494,600')).toBeInTheDocument();
+      expect(fetchAcquisitionCost).toHaveBeenCalledWith(expect.objectContaining({ price: 1500000, profile: 'citizen', propertyCount: 1 }));
+      expect(screen.getByText('$675,000')).toBeInTheDocument();
+      expect(screen.getByText(/45% LTV · set by LTV limit/)).toBeInTheDocument();
+      expect(screen.getByText(/16% · \$240,000/)).toBeInTheDocument();
+    });
+
+    it('shows the first, every fifth and the last year of the schedule', () => {
+      expect(scheduleRows(COST.loan.schedule).map(y => y.year)).toEqual([1, 5, 10, 15, 20, 25]);
+      expect(scheduleRows(COST.loan.schedule.slice(0, 7)).map(y => y.year)).toEqual([1, 5, 7]);
+    });
+  });
+
+  describe('CashflowProjection', () => {
+    const scenario = (growth, irr, profit) => ({
+      growth, irr, equityMultiple: 1.8, profit, exitValue: 2400000,
+      projection: [
+        { year: 2020, value: 1500000, rent: 0, propertyTax: 0, maintenance: 0, interest: 0, principal: 0, balance: 1000000, cashFlow: -560000 },
+        { year: 2021, value: 1560000, rent: 50000, propertyTax: 6500, maintenance: 3600, interest: 29000, principal: 27000, balance: 973000, cashFlow: -16100 },
+      ],
+    });
+    const CASHFLOW = {
+      asOf: 2026, exitYear: 2036,
+      holdings: [
+        { id: 1, project: 'RIVIERE', found: true, district: 'D03', purchase: { price: 1500000, stampDuty: 44600, fees: 3000, loan: 1000000, equity: 547600 }, rentSource: 'actual',
+          scenarios: { bear: scenario(0.5, 3.1, 300000), base: scenario(2.4, 6.2, 900000), bull: scenario(4, 8.7, 1400000) } },
+        { id: 2, project: 'TINY BLOCK', found: false, district: '', purchase: { price: 800000, stampDuty: 17600, fees: 3000, loan: 0, equity: 820600 }, rentSource: 'market', scenarios: null },
+        { id: 3, project: 'PARC CLEMATIS', found: true, district: 'D05', purchase: { price: 1200000, stampDuty: 32600, fees: 3000, loan: 0, equity: 1235600 }, rentSource: 'market',
+          market: { beds: '3', yield: 3.4, source: 'district' },
+          scenarios: { bear: scenario(0.5, 3.1, 300000), base: scenario(2.4, 5.1, 600000), bull: scenario(4, 7.2, 900000) } },
+      ],
+      total: {
+        bear: { irr: 3.1, equityMultiple: 1.3, profit: 300000, flows: [{ year: 2020, cashFlow: -560000 }, { year: 2021, cashFlow: -16100 }] },
+        base: { irr: 6.2, equityMultiple: 1.8, profit: 900000, flows: [{ year: 2020, cashFlow: -560000 }, { year: 2021, cashFlow: -16100 }] },
+        bull: { irr: 8.7, equityMultiple: 2.2, profit: 1400000, flows: [{ year: 2020, cashFlow: -560000 }, { year: 2021, cashFlow: -16100 }] },
+      },
+    };
+    const HOLDINGS = [
+      { id: 1, project: 'RIVIERE', size: 1000, psf: 1500, year: 2020, label: 'Rental', loanAmount: 1000000, rent: 4500 },
+      { id: 2, project: 'TINY BLOCK', size: 800, psf: 1000, year: '2022' },
+    ];
+
+    it('projects the holdings and switches between growth scenarios', async () => {
+      fetchPortfolioCashflow.mockResolvedValue(CASHFLOW);
+      render(<CashflowProjection holdings={HOLDINGS} />);
+      expect(await screen.findAllByText('+6.2%')).toHaveLength(2);
+      expect(fetchPortfolioCashflow).toHaveBeenCalledWith(expect.objectContaining({ horizon: 10, profile: 'citizen', vacancyMonths: 1 }));
+      expect(screen.getByText(/left out of the totals/)).toBeInTheDocument();
+      expect(screen.getByText('3 BR 3.4% (district)')).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: 'Bull' }));
+      expect(screen.getAllByText('+8.7%').length).toBeGreaterThan(0);
+      expect(screen.getAllByText('$1.40M').length).toBeGreaterThan(0);
+    });
+
+    it('sends only what the projection uses, dropping blank loan and rent fields', () => {
+      expect(cashflowHolding(HOLDINGS[0])).toEqual({ id: 1, project: 'RIVIERE', size: 1000, psf: 1500, year: 2020, loanAmount: 1000000, rent: 4500 });
+      expect(cashflowHolding(HOLDINGS[1])).toEqual({ id: 2, project: 'TINY BLOCK', size: 800, psf: 1000, year: 2022 });
+    });
+  });
+
+  describe('Portfolio ledger', () => {
+    const HOLDING = {
+      id: 7, project: 'RIVIERE', size: 1000, psf: 1500, year: 2018,
+      events: [
+        { id: 'a', type: 'purchase', date: '2018-03-01', amount: 1500000 },
+        { id: 'b', type: 'capex', date: '2018-06-01', amount: 100000 },
+        { id: 'c', type: 'rent', date: '2019-12-31', amount: 60000 },
+        { id: 'd', type: 'partial_sale', date: '2022-03-01', amount: 1000000, share: 0.5 },
+      ],
+    };
+
+    it('reads a pre-ledger holding as a single purchase', () => {
+      expect(ledgerOf({ project: 'X', size: 800, psf: 2000, year: 2020 })).toEqual([{ id: 'purchase', type: 'purchase', date: '2020-01-01', amount: 1600000 }]);
+    });
+
+    it('splits realised from unrealised and takes out the cost of the share sold', () => {
+      const r = ledgerReturns(HOLDING, 2200000, '2026-03-01');
+      expect(r.invested).toBe(1600000);
+      expect(r.held).toBe(0.5);
+      expect(r.basis).toBe(800000);
+      expect(r.realised).toBe(200000 + 60000);
+      expect(r.unrealised).toBe(1100000 - 800000);
+      expect(r.years).toBeCloseTo(8, 1);
+      expect(r.irr).toBeGreaterThan(5);
+      expect(r.irr).toBeLessThan(9);
+    });
+
+    it('closes a holding on the final sale', () => {
+      const sold = { ...HOLDING, events: [...HOLDING.events, { id: 'e', type: 'sale', date: '2024-03-01', amount: 1200000 }] };
+      const r = ledgerReturns(sold, 2200000, '2026-03-01');
+      expect(r.closed).toBe(true);
+      expect(r.marketValue).toBe(0);
+      expect(r.realised).toBe(200000 + 400000 + 60000);
+      expect(r.years).toBeCloseTo(6, 1);
+      expect(ledgerError([...sold.events, { id: 'f', type: 'rent', date: '2025-01-01', amount: 1 }])).toMatch(/after the final sale/);
+    });
+
+    it('takes the cost of each partial sale out before the final one', () => {
+      const r = ledgerReturns({ id: 1, project: 'X', size: 1000, psf: 1000, year: 2020, events: [
+        { id: 'a', type: 'purchase', date: '2020-01-01', amount: 1000000 },
+        { id: 'b', type: 'partial_sale', date: '2022-01-01', amount: 600000, share: 0.5 },
+        { id: 'c', type: 'sale', date: '2024-01-01', amount: 700000 },
+      ] }, 0, '2026-03-01');
+      expect(r.closed).toBe(true);
+      expect(r.proceeds).toBe(1300000);
+      expect(r.realised).toBe(100000 + 200000);
+      expect(r.basis).toBe(0);
+      expect(r.irr).toBeCloseTo(9.03, 2);
+    });
+
+    it('gives an open holding with no value today no IRR or unrealised gain', () => {
+      const r = ledgerReturns(HOLDING, 0, '2026-03-01');
+      expect(r.held).toBe(0.5);
+      expect(r.marketValue).toBe(0);
+      expect(r.unrealised).toBe(0);
+      expect(r.realised).toBe(200000 + 60000);
+      expect(r.irr).toBeNull();
+    });
+
+    it('solves XIRR only for flows with money both out and back', () => {
+      expect(xirr([{ date: '2020-01-01', amount: -100 }, { date: '2021-01-01', amount: 110 }])).toBeCloseTo(9.98, 2);
+      expect(xirr([{ date: '2020-01-01', amount: -100 }, { date: '2021-01-01', amount: -10 }])).toBeNull();
+      expect(xirr([{ date: '2020-01-01', amount: 0 }, { date: '2021-01-01', amount: 0 }])).toBeNull();
+      expect(xirr([])).toBeNull();
+    });
+
+    it('refuses bad ledgers with the messages the server gives (shared/ledger-rules.ts)', () => {
+      const ev = (type, date, extra = {}) => ({ id: `${type}${date}`, type, date, amount: 1000, ...extra });
+      const buy = ev('purchase', '2020-01-01');
+      const BAD = [
+        [[ev('rent', '2020-01-01')], 'No purchase'],
+        [[buy, ev('sale', '2021-01-01'), ev('sale', '2022-01-01')], 'More than one final sale'],
+        [[buy, ev('sale', '2021-01-01'), ev('rent', '2021-06-01')], 'Events after the final sale'],
+        [[buy, ev('partial_sale', '2021-01-01', { share: 0.5 }), ev('partial_sale', '2022-01-01', { share: 0.5 })], /^Partial sales add up to the whole unit/],
+        [[buy, ev('partial_sale', '2021-01-01', { share: 0.7 }), ev('partial_sale', '2022-01-01', { share: 0.3 - 1e-12 })], /^Partial sales add up to the whole unit/],
+        [[buy, ...Array.from({ length: 120 }, (_, i) => ev('rent', `2021-01-${String(i % 28 + 1).padStart(2, '0')}`, { id: `r${i}` }))], 'Over 120 events'],
+      ];
+      for (const [events, message] of BAD) expect(ledgerError(events)).toMatch(message);
+      const good = [buy, ev('partial_sale', '2021-01-01', { share: 0.4 }), ev('partial_sale', '2022-01-01', { share: 0.3 })];
+      expect(ledgerError(good)).toBeNull();
+    });
+
+    it('imports CSV rows onto the open holding or a new one, reporting bad rows', () => {
+      const csv = [
+        'date,project,type,amount,size,share,note',
+        '2023-01,riviere,rent,"48,000",,,2023 lease',
+        '2021-05-10,PARC CLEMATIS,purchase,1200000,1000,,',
+        '2021-07-01,PARC CLEMATIS,renovation,50000,,,"kitchen, floors"',
+        '2024-02-30,THE SAIL,purchase,1,1,,',
+        '2024-01-01,THE SAIL,gift,1,1,,',
+        '2024-01-01,MARINA ONE,purchase,2000000,,,',
+      ].join('\n');
+      const { rows, errors } = parseLedgerCsv(csv);
+      expect(errors.map(e => e.line)).toEqual([5, 6]);
+      expect(rows[0]).toEqual({ project: 'RIVIERE', type: 'rent', date: '2023-01-01', amount: 48000, note: '2023 lease' });
+      expect(rows[2].note).toBe('kitchen, floors');
+      const out = importLedger([{ id: 7, project: 'RIVIERE', size: 1000, psf: 1500, year: 2018 }], rows);
+      expect(out.added).toBe(1);
+      expect(out.events).toBe(3);
+      expect(out.errors).toEqual([{ project: 'MARINA ONE', error: expect.stringMatching(/unit size/) }]);
+      expect(out.holdings[0].events.map(e => e.type)).toEqual(['purchase', 'rent']);
+      expect(out.holdings[1]).toMatchObject({ project: 'PARC CLEMATIS', size: 1000, psf: 1200, year: 2021 });
+      expect(parseLedgerCsv('when,what\n1,2').errors[0].error).toMatch(/Missing columns: date, project, type, amount/);
+    });
+
+    it('adds an event and refuses one that would break the ledger', () => {
+      const onChange = vi.fn();
+      render(<HoldingLedger holding={{ id: 1, project: 'RIVIERE', size: 1000, psf: 1500, year: 2018 }} onChange={onChange} />);
+      expect(screen.getByText('2018-01-01')).toBeInTheDocument();
+      fireEvent.change(screen.getByLabelText('AMOUNT ($)'), { target: { value: '4500' } });
+      fireEvent.click(screen.getByText('+ Add event'));
+      expect(onChange).toHaveBeenCalledWith(expect.objectContaining({ psf: 1500, year: 2018, events: [expect.objectContaining({ type: 'purchase' }), expect.objectContaining({ type: 'rent', amount: 4500 })] }));
+      fireEvent.change(screen.getByLabelText('EVENT'), { target: { value: 'partial_sale' } });
+      fireEvent.change(screen.getByLabelText('AMOUNT ($)'), { target: { value: '900000' } });
+      fireEvent.change(screen.getByLabelText('SHARE SOLD (%)'), { target: { value: '100' } });
+      fireEvent.click(screen.getByText('+ Add event'));
+      expect(screen.getByRole('alert')).toHaveTextContent(/share sold/);
+      expect(onChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('says a refinance is recorded for reference only', () => {
+      render(<HoldingLedger holding={{ id: 1, project: 'RIVIERE', size: 1000, psf: 1500, year: 2018 }} onChange={vi.fn()} />);
+      expect(screen.queryByText(/for reference only/)).toBeNull();
+      fireEvent.change(screen.getByLabelText('EVENT'), { target: { value: 'refinance' } });
+      expect(screen.getByText(/for reference only/)).toBeInTheDocument();
+    });
+  });
+
+  describe('UnitYieldTable', () => {
+    const type = (beds, y, source, rentals) => ({
+      beds, areaMin: 700, areaMax: 850, salePsf: 1800, rent: 4200, rentPsf: 5.4, yield: y, sales: 12, rentals, source, rentalPeriod: rentals ? '2025-11–2026-09' : '',
+    });
+
+    it('lists yield per bedroom count and flags district and segment estimates', () => {
+      render(<UnitYieldTable unitYield={{
+        project: 'RIVIERE', district: 'D03', segment: 'CCR', blended: 3.2, fallback: true, ambiguous: 2,
+        types: [type('2', 3.6, 'project', 9), type('3', 3.1, 'district', 4), type('4', 2.5, 'segment', 0)],
+      }} />);
+      expect(screen.getByText(/3.2% across the unit mix/)).toBeInTheDocument();
+      const rows = screen.getAllByRole('row').slice(1);
+      expect(within(rows[0]).getByText('This project')).toBeInTheDocument();
+      expect(within(rows[0]).getByText('3.6%')).toBeInTheDocument();
+      expect(within(rows[1]).getByText('District estimate')).toBeInTheDocument();
+      expect(within(rows[2]).getByText('segment average yield')).toBeInTheDocument();
+      expect(screen.getByRole('note')).toHaveTextContent(/district or segment estimate/);
+      expect(screen.getByText(/2 sales sized between two bedroom counts are left out/)).toBeInTheDocument();
+    });
+
+    it("renders nothing without typed sales and doesn't flag an all-project table", () => {
+      const { container } = render(<UnitYieldTable unitYield={{ project: 'X', district: 'D01', segment: 'CCR', blended: null, fallback: false, ambiguous: 0, types: [] }} />);
+      expect(container).toBeEmptyDOMElement();
+      render(<UnitYieldTable unitYield={{ project: 'X', district: 'D01', segment: 'CCR', blended: 3.6, fallback: false, ambiguous: 0, types: [type('2', 3.6, 'project', 9)] }} />);
+      expect(screen.queryByRole('note')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('WorkspaceSwitcher', () => {
+    it("lists a viewer's team by email and leaves with their own account id", () => {
+      const removeWorkspaceMember = vi.fn().mockResolvedValue();
+      useAppStore.setState({
+        account: { id: 'acct-me', email: 'me@example.com' }, scope: 'w1',
+        workspaces: [{ id: 'w1', name: 'Team', role: 'viewer', memberCount: 2 }],
+        workspace: { id: 'w1', name: 'Team', role: 'viewer', members: [
+          { email: 'boss@example.com', displayName: 'Boss', role: 'owner', self: false },
+          { email: 'me@example.com', displayName: null, role: 'viewer', self: true },
+        ] },
+        removeWorkspaceMember,
+      });
+      render(<WorkspaceSwitcher />);
+      fireEvent.click(screen.getByRole('button', { name: /Workspace: Team/ }));
+      expect(screen.getByText('me@example.com (you)')).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: /Remove/ })).not.toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: 'Leave workspace' }));
+      expect(removeWorkspaceMember).toHaveBeenCalledWith('acct-me');
+    });
+  });
+
+  describe('Lease decay helpers', () => {
+    it("parses URA's tenure string and skips freehold and 999-year leases", () => {
+      expect(parseLease('99 yrs lease commencing from 2012')).toEqual({ years: 99, start: 2012 });
+      expect(parseLease('Freehold')).toBeNull();
+      expect(parseLease('999 yrs lease commencing from 1885')).toBeNull();
+      expect(parseLease('Leasehold')).toBeNull();
+    });
+
+    it("follows Bala's curve between whole years", () => {
+      expect(balaFactor(null)).toBe(1);
+      expect(balaFactor(60)).toBeCloseTo(0.809);
+      expect(balaFactor(30.5)).toBeCloseTo(0.605);
+      expect(balaFactor(120)).toBeCloseTo(0.96);
+      expect(balaFactor(0)).toBe(0);
+    });
+
+    it("decays nothing when either end of the lease doesn't run down", () => {
+      expect(leaseDecay(null, 50)).toBe(1);
+      expect(leaseDecay(60, null)).toBe(1);
+      expect(leaseDecay(60, 30)).toBeCloseTo(0.6 / 0.809, 3);
+    });
+
+    it("rises smoothly to 96% at 99 years", () => {
+      expect(BALA_CURVE).toHaveLength(100);
+      const steps = BALA_CURVE.slice(1).map((v, i) => v - BALA_CURVE[i]);
+      expect(Math.min(...steps)).toBeGreaterThan(0);
+      // No jump at the top: a year off a long lease costs less than a point
+      expect(Math.max(...steps.slice(60))).toBeLessThan(0.01);
+      expect(BALA_CURVE[99]).toBe(0.96);
+    });
+
+    it('takes lease decay out of CAGR', () => {
+      const lease = { years: 99, start: 1990 };
+      const raw = leaseAdjustedCAGR(1000, 1000, 2015, 2025, null);
+      expect(raw).toBe(0);
+      // Flat prices on a running-down lease mean the market rose
+      expect(leaseAdjustedCAGR(1000, 1000, 2015, 2025, lease)).toBeGreaterThan(0);
+    });
+  });
 });
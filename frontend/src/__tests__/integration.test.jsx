@@ -15,6 +15,26 @@ vi.mock('../services/api', () => ({
   searchSales: vi.fn(),
   searchRental: vi.fn(),
   getUserId: vi.fn().mockReturnValue('test-user'),
+  fetchAlerts: vi.fn().mockResolvedValue([]),
+  markAlertsRead: vi.fn().mockResolvedValue([]),
+  getAuth: vi.fn(() => null),
+  login: vi.fn(),
+  signup: vi.fn(),
+  logout: vi.fn(),
+  fetchWorkspaces: vi.fn().mockResolvedValue([]),
+  fetchWorkspace: vi.fn(),
+  createWorkspace: vi.fn(),
+  saveWorkspaceData: vi.fn(),
+  addWorkspaceMember: vi.fn(),
+  updateWorkspaceMember: vi.fn(),
+  removeWorkspaceMember: vi.fn(),
+  exportUrl: vi.fn(() => '#'),
+  fetchNearbyProjects: vi.fn().mockResolvedValue({ project: 'RIVIERE', location: null, radiusM: 1000, projects: [] }),
+  fetchMapData: vi.fn().mockResolvedValue({ projects: [], districts: { type: 'FeatureCollection', features: [] } }),
+  fetchPriceIndex: vi.fn().mockResolvedValue({ method: 'repeat-sales', cagrYears: 5, pairs: 0, series: [] }),
+  fetchValuation: vi.fn().mockResolvedValue(null),
+  fetchAcquisitionCost: vi.fn().mockResolvedValue(null),
+  fetchPortfolioCashflow: vi.fn().mockResolvedValue(null),
 }));
 
 // Must import AFTER mocks
@@ -50,6 +70,8 @@ describe('AppLayout', () => {
       loading: true, refreshing: false, error: null,
       proj: '', projData: null, projLoading: false, cmpSelected: [],
       portfolio: [], savedSearches: [], clientReports: [], syncStatus: 'idle',
+      watchlist: [], alerts: [], webhookUrl: '', account: null,
+      workspaces: [], scope: 'personal', workspace: null, _personal: null,
     });
   });
 
@@ -72,6 +94,14 @@ describe('AppLayout', () => {
       renderWithRouter();
       expect(await screen.findByLabelText('Refresh data')).toBeInTheDocument();
     });
+
+    it('shows unread alert count on the alerts button', async () => {
+      api.loadUserData.mockResolvedValueOnce({
+        alerts: [{ id: 'a1', ruleId: 'r1', kind: 'district_psf', target: 'D15', message: 'D15 up', createdAt: '2026-01-01', read: false, data: {} }],
+      });
+      renderWithRouter();
+      expect(await screen.findByLabelText('Alerts, 1 unread')).toBeInTheDocument();
+    });
   });
 
   describe('Accessibility', () => {
@@ -10,6 +10,26 @@ vi.mock('../services/api', () => ({
   fetchProject: vi.fn(),
   loadUserData: vi.fn(),
   saveUserData: vi.fn(),
+  fetchAlerts: vi.fn(),
+  markAlertsRead: vi.fn(),
+  getAuth: vi.fn(() => null),
+  login: vi.fn(),
+  signup: vi.fn(),
+  logout: vi.fn(),
+  fetchWorkspaces: vi.fn(),
+  fetchWorkspace: vi.fn(),
+  createWorkspace: vi.fn(),
+  saveWorkspaceData: vi.fn(),
+  addWorkspaceMember: vi.fn(),
+  updateWorkspaceMember: vi.fn(),
+  removeWorkspaceMember: vi.fn(),
+  exportUrl: vi.fn(() => '#'),
+  fetchNearbyProjects: vi.fn(),
+  fetchMapData: vi.fn(),
+  fetchPriceIndex: vi.fn(),
+  fetchValuation: vi.fn(),
+  fetchAcquisitionCost: vi.fn(),
+  fetchPortfolioCashflow: vi.fn(),
 }));
 
 import useAppStore from '../stores/useAppStore';
@@ -263,6 +283,8 @@ describe('useAppStore edge cases', () => {
       loading: true, refreshing: false, error: null,
       proj: '', projData: null, projLoading: false, cmpSelected: [],
       portfolio: [], savedSearches: [], clientReports: [], syncStatus: 'idle',
+      watchlist: [], alerts: [], webhookUrl: '', account: null,
+      workspaces: [], scope: 'personal', workspace: null, _personal: null,
     });
   });
 
@@ -306,6 +328,106 @@ describe('useAppStore edge cases', () => {
     });
   });
 
+  describe('watchlist + alerts', () => {
+    it('adds and removes alert rules and triggers sync', () => {
+      useAppStore.getState().addAlertRule({ kind: 'district_psf', target: 'D15', thresholdPct: 3 });
+      const [rule] = useAppStore.getState().watchlist;
+      expect(rule).toMatchObject({ kind: 'district_psf', target: 'D15', thresholdPct: 3 });
+      expect(rule.id).toBeTruthy();
+      expect(useAppStore.getState().syncStatus).toBe('saving');
+
+      useAppStore.getState().removeAlertRule(rule.id);
+      expect(useAppStore.getState().watchlist).toHaveLength(0);
+    });
+
+    it('marks alerts read optimistically', async () => {
+      const alerts = [
+        { id: 'a1', ruleId: 'r1', kind: 'project_tx', target: 'RIVIERE', message: 'x', createdAt: '2026-01-01', read: false, data: {} },
+        { id: 'a2', ruleId: 'r1', kind: 'project_tx', target: 'RIVIERE', message: 'y', createdAt: '2026-01-01', read: false, data: {} },
+      ];
+      useAppStore.setState({ alerts });
+      api.markAlertsRead.mockRejectedValue(new Error('offline'));
+      await useAppStore.getState().markAlertsRead(['a1']);
+      expect(useAppStore.getState().alerts.map(a => a.read)).toEqual([true, false]);
+      expect(api.markAlertsRead).toHaveBeenCalledWith(['a1']);
+    });
+  });
+
+  describe('account', () => {
+    it('clears user data on sign out', async () => {
+      useAppStore.setState({ account: { id: 'acct-1', email: 'x@y.z' }, portfolio: [{ name: 'RIVIERE', addedAt: '2025-01-01' }] });
+      api.logout.mockResolvedValue();
+      await useAppStore.getState().signOut();
+      expect(api.logout).toHaveBeenCalled();
+      expect(useAppStore.getState().account).toBeNull();
+      expect(useAppStore.getState().portfolio).toEqual([]);
+    });
+  });
+
+  describe('team workspaces', () => {
+    const TEAM = {
+      id: 'ws-1', name: 'Agency', role: 'editor', createdAt: '2026-01-01', updatedAt: '2026-01-02',
+      members: [], savedSearches: [], clientReports: [],
+      portfolio: [{ id: 1, project: 'RIVIERE', createdBy: { id: 'u2', name: 'Ben' } }],
+    };
+
+    it('swaps in team lists and restores personal ones', async () => {
+      const mine = [{ id: 9, project: 'MARINA ONE' }];
+      useAppStore.setState({ portfolio: mine });
+      api.fetchWorkspace.mockResolvedValue(TEAM);
+
+      await useAppStore.getState().setScope('ws-1');
+      expect(useAppStore.getState().portfolio).toEqual(TEAM.portfolio);
+      expect(useAppStore.getState().workspace.name).toBe('Agency');
+
+      await useAppStore.getState().setScope('personal');
+      expect(useAppStore.getState().portfolio).toBe(mine);
+      expect(useAppStore.getState().workspace).toBeNull();
+    });
+
+    it('saves team edits to the workspace with its base version', async () => {
+      vi.useFakeTimers();
+      try {
+        api.fetchWorkspace.mockResolvedValue(TEAM);
+        api.saveWorkspaceData.mockResolvedValue({ ...TEAM, updatedAt: '2026-01-03' });
+        api.saveUserData.mockClear();
+        await useAppStore.getState().setScope('ws-1');
+
+        useAppStore.getState().updatePortfolio([...TEAM.portfolio, { id: 2, project: 'PARC CLEMATIS' }]);
+        await vi.advanceTimersByTimeAsync(1000);
+
+        expect(api.saveWorkspaceData).toHaveBeenCalledWith('ws-1', expect.objectContaining({ portfolio: expect.any(Array) }), '2026-01-02');
+        expect(api.saveUserData).not.toHaveBeenCalled();
+        expect(useAppStore.getState().workspace.updatedAt).toBe('2026-01-03');
+      } finally { vi.useRealTimers(); }
+    });
+
+    it('reloads the server copy on a save conflict', async () => {
+      vi.useFakeTimers();
+      try {
+        const theirs = { ...TEAM, updatedAt: '2026-01-05', portfolio: [] };
+        api.fetchWorkspace.mockResolvedValue(TEAM);
+        api.saveWorkspaceData.mockRejectedValue(Object.assign(new Error('conflict'), { code: 'WORKSPACE_CONFLICT', data: theirs }));
+        await useAppStore.getState().setScope('ws-1');
+
+        useAppStore.getState().updatePortfolio([]);
+        await vi.advanceTimersByTimeAsync(1000);
+
+        expect(useAppStore.getState().workspace.updatedAt).toBe('2026-01-05');
+        expect(useAppStore.getState().syncStatus).toBe('error');
+      } finally { vi.useRealTimers(); }
+    });
+
+    it('ignores edits from viewers', async () => {
+      api.fetchWorkspace.mockResolvedValue({ ...TEAM, role: 'viewer' });
+      await useAppStore.getState().setScope('ws-1');
+      useAppStore.getState().updatePortfolio([]);
+      useAppStore.getState().saveSearch('x', { district: 'D03' }, 'overview');
+      expect(useAppStore.getState().portfolio).toEqual(TEAM.portfolio);
+      expect(useAppStore.getState().savedSearches).toEqual([]);
+    });
+  });
+
   describe('resetFilters', () => {
     it('restores unfiltered data', () => {
       const original = { totalTx: 5000, projList: ['A', 'B'], projIndex: {}, cmpPool: [] };
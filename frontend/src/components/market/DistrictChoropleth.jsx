@@ -0,0 +1,110 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { T } from '../../constants';
+import { Card, SectionHeader, NoteText } from '../ui';
+import DistrictMap from '../shared/DistrictMap';
+import DISTRICTS from '../../data/districts.geo.json';
+
+const NO_DATA = '#eef0f4';
+const SEQ = ['#dbeafe', '#1e3a8a'];
+const NEG = ['#f1f5f9', '#dc2626'];
+const POS = ['#f1f5f9', '#16a34a'];
+
+/** Metric layers, read from the dashboard arrays that back the district charts */
+export const CHOROPLETH_METRICS = [
+  { id: 'psf', label: 'Avg PSF', fmt: v => `$${Math.round(v).toLocaleString()}` },
+  { id: 'yoy', label: 'YoY %', fmt: v => `${v > 0 ? '+' : ''}${v}%`, diverging: true },
+  { id: 'cagr', label: 'CAGR', fmt: v => `${v > 0 ? '+' : ''}${v}%`, diverging: true },
+  { id: 'yield', label: 'Yield', fmt: v => `${v}%` },
+  { id: 'vol', label: 'Volume', fmt: v => `${v.toLocaleString()} tx` },
+];
+
+/** District → value for one metric. sDistBar and yd are top-N lists, so distPerf fills the gaps. */
+export function districtValues(data, metric) {
+  const out = {};
+  const perf = data?.distPerf || [];
+  switch (metric) {
+    case 'psf':
+      perf.forEach(r => { out[r.d] = r.endPsf; });
+      (data?.sDistBar || []).forEach(r => { if (r.v) out[r.d] = r.v; });
+      break;
+    case 'yoy':
+      (data?.distYoy || []).forEach(r => { out[r.d] = r.yoy; });
+      break;
+    case 'cagr':
+      perf.forEach(r => { out[r.d] = r.cagr; });
+      break;
+    case 'yield':
+      perf.forEach(r => { if (r.yield) out[r.d] = r.yield; });
+      (data?.yd || []).forEach(r => { out[r.d] = r.y; });
+      break;
+    case 'vol':
+      perf.forEach(r => { out[r.d] = r.txTotal; });
+      break;
+  }
+  return out;
+}
+
+function mix([a, b], t) {
+  const ch = (hex, i) => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16);
+  return '#' + [0, 1, 2].map(i => Math.round(ch(a, i) + (ch(b, i) - ch(a, i)) * t).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * DistrictChoropleth — postal districts shaded by a market metric. Clicking a
+ * district applies it as the market district filter; clicking it again clears it.
+ */
+export default function DistrictChoropleth({ data, selected, onSelect }) {
+  const [metric, setMetric] = useState('psf');
+  const m = CHOROPLETH_METRICS.find(x => x.id === metric);
+  const values = useMemo(() => districtValues(data, metric), [data, metric]);
+
+  const nums = Object.values(values);
+  const lo = nums.length ? Math.min(...nums) : 0;
+  const hi = nums.length ? Math.max(...nums) : 0;
+  const absMax = Math.max(Math.abs(lo), Math.abs(hi)) || 1;
+
+  const fillFor = (d) => {
+    const v = values[d];
+    if (v == null) return NO_DATA;
+    if (m.diverging) return mix(v < 0 ? NEG : POS, Math.min(Math.abs(v) / absMax, 1));
+    return mix(SEQ, hi > lo ? (v - lo) / (hi - lo) : 1);
+  };
+  const titleFor = (d) => `${d} · ${values[d] != null ? m.fmt(values[d]) : 'no data'}`;
+
+  return (
+    <Card>
+      <SectionHeader title="District Map" sub={`${m.label} by postal district. Click a district to filter the market view.`} />
+      <div role="radiogroup" aria-label="Map metric" style={{ display: 'flex', gap: 6, marginBottom: 12, flexWrap: 'wrap' }}>
+        {CHOROPLETH_METRICS.map(x => (
+          <button key={x.id} role="radio" aria-checked={metric === x.id} onClick={() => setMetric(x.id)}
+            style={{ background: metric === x.id ? T.blue : '#fff', color: metric === x.id ? '#fff' : T.text, border: `1px solid ${metric === x.id ? T.blue : '#cbd5e1'}`, borderRadius: T.r, padding: '4px 12px', fontSize: T.md, cursor: 'pointer' }}>
+            {x.label}
+          </button>
+        ))}
+      </div>
+      <DistrictMap districts={DISTRICTS} fillFor={fillFor} titleFor={titleFor} selected={selected !== 'all' ? selected : undefined}
+        onDistrictClick={d => onSelect(selected === d ? 'all' : d)} />
+      {nums.length > 0 && (
+        <div aria-label="Legend" style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 10, fontSize: T.sm, color: T.textMute, fontFamily: T.mono }}>
+          <span>{m.fmt(m.diverging ? -absMax : lo)}</span>
+          <div style={{ flex: '0 0 160px', height: 8, borderRadius: 4, background: m.diverging ? `linear-gradient(90deg, ${NEG[1]}, ${NEG[0]}, ${POS[1]})` : `linear-gradient(90deg, ${SEQ[0]}, ${SEQ[1]})` }} />
+          <span>{m.fmt(m.diverging ? absMax : hi)}</span>
+          <span style={{ display: 'inline-block', width: 10, height: 10, background: NO_DATA, border: `1px solid ${T.border}`, marginLeft: 12 }} /> no data
+        </div>
+      )}
+      <NoteText style={{ marginTop: 12 }}>District outlines are approximate and ship with the app, so the map works offline.</NoteText>
+    </Card>
+  );
+}
+
+DistrictChoropleth.propTypes = {
+  data: PropTypes.shape({
+    sDistBar: PropTypes.array,
+    distPerf: PropTypes.array,
+    distYoy: PropTypes.array,
+    yd: PropTypes.array,
+  }),
+  selected: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+};
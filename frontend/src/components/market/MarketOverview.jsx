@@ -6,8 +6,9 @@ import {
 import { COLORS as P, SEG_COLORS as SC, T } from '../../constants';
 import Tip from '../ui/Tip';
 import { Card, SectionHeader, InsightBar } from '../ui';
+import DistrictChoropleth from './DistrictChoropleth';
 
-export default function MarketOverview({ data }) {
+export default function MarketOverview({ data, district = 'all', onDistrictSelect }) {
   if (!data) return null;
   return (
     <div style={{ display: 'grid', gap: 16 }}>
@@ -39,6 +40,8 @@ export default function MarketOverview({ data }) {
         </Card>
       </div>
 
+      {onDistrictSelect && <DistrictChoropleth data={data} selected={district} onSelect={onDistrictSelect} />}
+
       {/* Segments + Top projects */}
       <div className="g2">
         <Card><SectionHeader title="Market Segments" sub="Volume and PSF by segment." />
@@ -67,4 +70,6 @@ SnapBox.propTypes = { label: PropTypes.string, value: PropTypes.string, color: P
 
 MarketOverview.propTypes = {
   data: PropTypes.object,
+  district: PropTypes.string,
+  onDistrictSelect: PropTypes.func,
 };
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip,
@@ -8,8 +8,12 @@ import {
 import { fetchFilterOptions, searchSales, searchRental } from '../../services/api';
 import { COLORS as P, SEG_COLORS as SC, T, yieldColor } from '../../constants';
 import Tip from '../ui/Tip';
+import ExportButton from '../shared/ExportButton';
+import MultiSelect from '../shared/MultiSelect';
 import { Card, SectionHeader, InsightBar, NoteText, Divider } from '../ui';
 
+const EMPTY_RANGE = { from: '', to: '', priceMin: '', priceMax: '', psfMin: '', psfMax: '', areaMin: '', areaMax: '', floorMin: '', floorMax: '' };
+
 export default function MarketTab({ mode, data }) {
   const s = mode === 'sales';
   const mainC = s ? T.sky : T.emerald;
@@ -24,16 +28,18 @@ export default function MarketTab({ mode, data }) {
 
   // ── Server-side transaction search ──
   const [txSearch, setTxSearch] = useState('');
-  const [txDistF, setTxDistF] = useState('');
+  const [txDistF, setTxDistF] = useState([]);
   const [txSegF, setTxSegF] = useState('');
   const [txTypeF, setTxTypeF] = useState('');
+  const [txPtF, setTxPtF] = useState([]);
   const [txBedF, setTxBedF] = useState('');
   const [txAreaF, setTxAreaF] = useState('');
+  const [txRange, setTxRange] = useState(EMPTY_RANGE);
   const [txSort, setTxSort] = useState('date_desc');
   const [txPage, setTxPage] = useState(1);
   const [txData, setTxData] = useState({ results: [], total: 0, pages: 0 });
   const [txLoading, setTxLoading] = useState(false);
-  const [txFilters, setTxFilters] = useState({ districts: [], segments: [], types: [], bedrooms: [], areaSqftRanges: [] });
+  const [txFilters, setTxFilters] = useState({ districts: [], segments: [], types: [], propertyTypes: [], bedrooms: [], areaSqftRanges: [] });
   const pgSize = 50;
   const debounceRef = useRef(null);
   const [expandedDist, setExpandedDist] = useState(null);
@@ -42,29 +48,35 @@ export default function MarketTab({ mode, data }) {
     fetchFilterOptions().then(f => setTxFilters(f)).catch(() => {});
   }, []);
 
+  // Active filters as search / export query params (empty values dropped)
+  const txParams = useMemo(() => {
+    const all = s
+      ? { q: txSearch, district: txDistF.join(','), segment: txSegF, type: txTypeF, propertyType: txPtF.join(','), bedrooms: txBedF, ...txRange, sort: txSort }
+      : { q: txSearch, district: txDistF.join(','), segment: txSegF, bedrooms: txBedF, areaSqft: txAreaF, sort: txSort };
+    return Object.fromEntries(Object.entries(all).filter(([, v]) => v !== ''));
+  }, [s, txSearch, txDistF, txSegF, txTypeF, txPtF, txBedF, txAreaF, txRange, txSort]);
+
   const doSearch = useCallback(async (pg) => {
     setTxLoading(true);
     try {
-      const opts = { page: pg || txPage, limit: pgSize, sort: txSort };
-      if (txSearch) opts.q = txSearch;
-      if (txDistF) opts.district = txDistF;
-      if (txSegF) opts.segment = txSegF;
-      const result = s
-        ? await searchSales({ ...opts, type: txTypeF || undefined })
-        : await searchRental({ ...opts, bedrooms: txBedF || undefined, areaSqft: txAreaF || undefined });
+      const opts = { ...txParams, page: pg || txPage, limit: pgSize };
+      const result = s ? await searchSales(opts) : await searchRental(opts);
       setTxData(result);
     } catch (err) {
       console.error('Search error:', err);
       setTxData({ results: [], total: 0, pages: 0 });
     }
     setTxLoading(false);
-  }, [s, txSearch, txDistF, txSegF, txTypeF, txBedF, txAreaF, txSort, txPage]);
+  }, [s, txParams, txPage]);
 
   useEffect(() => {
     if (debounceRef.current) clearTimeout(debounceRef.current);
     debounceRef.current = setTimeout(() => { setTxPage(1); doSearch(1); }, 300);
     return () => clearTimeout(debounceRef.current);
-  }, [txSearch, txDistF, txSegF, txTypeF, txBedF, txAreaF, txSort, s]);
+  }, [txParams]);
+
+  const setRange = (key, v) => setTxRange(prev => ({ ...prev, [key]: v }));
+  const rangeActive = Object.values(txRange).some(v => v !== '');
 
   const goPage = useCallback((pg) => { setTxPage(pg); doSearch(pg); }, [doSearch]);
   const toggleSort = (col) => setTxSort(prev => prev === `${col}_desc` ? `${col}_asc` : `${col}_desc`);
@@ -210,10 +222,7 @@ export default function MarketTab({ mode, data }) {
             <input value={txSearch} onChange={e => setTxSearch(e.target.value)} placeholder='Search project name or street...' style={{ background: '#fff', border: '1px solid #cbd5e1', borderRadius: T.r, padding: '8px 12px 8px 32px', color: T.text, fontSize: T.base, width: '100%', outline: 'none', fontFamily: T.mono }} />
             <svg style={{ position: 'absolute', left: 10, top: '50%', transform: 'translateY(-50%)', width: 14, height: 14, color: '#9ca3af' }} fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><circle cx="11" cy="11" r="8"/><path d="m21 21-4.35-4.35"/></svg>
           </div>
-          <select value={txDistF} onChange={e => setTxDistF(e.target.value)} style={{ background: '#fff', border: '1px solid #cbd5e1', borderRadius: T.r, padding: '8px 12px', color: T.text, fontSize: T.base, cursor: 'pointer', outline: 'none', fontFamily: T.mono }}>
-            <option value="">All Districts</option>
-            {(txFilters.districts || []).map(d => <option key={d} value={d}>{d}</option>)}
-          </select>
+          <MultiSelect label="Districts" allLabel="All Districts" options={txFilters.districts || []} value={txDistF} onChange={setTxDistF} />
           <select value={txSegF} onChange={e => setTxSegF(e.target.value)} style={{ background: '#fff', border: '1px solid #cbd5e1', borderRadius: T.r, padding: '8px 12px', color: T.text, fontSize: T.base, cursor: 'pointer', outline: 'none', fontFamily: T.mono }}>
             <option value="">All Segments</option>
             {(txFilters.segments || []).map(sg => <option key={sg} value={sg}>{sg}</option>)}
@@ -222,10 +231,11 @@ export default function MarketTab({ mode, data }) {
             <option value="">All Sale Types</option>
             {(txFilters.types || []).map(t => <option key={t} value={t}>{t}</option>)}
           </select>}
-          {!s && <select value={txBedF} onChange={e => setTxBedF(e.target.value)} style={{ background: '#fff', border: '1px solid #cbd5e1', borderRadius: T.r, padding: '8px 12px', color: T.text, fontSize: T.base, cursor: 'pointer', outline: 'none', fontFamily: T.mono }}>
+          {s && <MultiSelect label="Property types" allLabel="All Property Types" options={txFilters.propertyTypes || []} value={txPtF} onChange={setTxPtF} />}
+          <select value={txBedF} onChange={e => setTxBedF(e.target.value)} style={{ background: '#fff', border: '1px solid #cbd5e1', borderRadius: T.r, padding: '8px 12px', color: T.text, fontSize: T.base, cursor: 'pointer', outline: 'none', fontFamily: T.mono }}>
             <option value="">All Bedrooms</option>
             {(txFilters.bedrooms || []).map(b => <option key={b} value={b}>{b} Bed</option>)}
-          </select>}
+          </select>
           {!s && <select value={txAreaF} onChange={e => setTxAreaF(e.target.value)} style={{ background: '#fff', border: '1px solid #cbd5e1', borderRadius: T.r, padding: '8px 12px', color: T.text, fontSize: T.base, cursor: 'pointer', outline: 'none', fontFamily: T.mono }}>
             <option value="">All Sizes</option>
             {(txFilters.areaSqftRanges || []).map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
@@ -234,7 +244,16 @@ export default function MarketTab({ mode, data }) {
             {txLoading && <span style={{ display: 'inline-block', width: 12, height: 12, border: `2px solid ${T.border}`, borderTop: `2px solid ${T.blue}`, borderRadius: '50%', animation: 'spin 0.6s linear infinite' }} />}
             {txData.total.toLocaleString()} records
           </div>
+          <ExportButton dataset={s ? 'sales' : 'rental'} params={txParams} disabled={txData.total === 0} />
         </div>
+        {s && <div style={{ display: 'flex', gap: 12, marginBottom: 14, flexWrap: 'wrap', alignItems: 'center' }}>
+          <RangeField label="Month" type="month" lo={txRange.from} hi={txRange.to} onLo={v => setRange('from', v)} onHi={v => setRange('to', v)} />
+          <RangeField label="Price $" lo={txRange.priceMin} hi={txRange.priceMax} onLo={v => setRange('priceMin', v)} onHi={v => setRange('priceMax', v)} step={50000} />
+          <RangeField label="PSF $" lo={txRange.psfMin} hi={txRange.psfMax} onLo={v => setRange('psfMin', v)} onHi={v => setRange('psfMax', v)} step={50} />
+          <RangeField label="Area sf" lo={txRange.areaMin} hi={txRange.areaMax} onLo={v => setRange('areaMin', v)} onHi={v => setRange('areaMax', v)} step={50} />
+          <RangeField label="Floor" lo={txRange.floorMin} hi={txRange.floorMax} onLo={v => setRange('floorMin', v)} onHi={v => setRange('floorMax', v)} />
+          {rangeActive && <button onClick={() => setTxRange(EMPTY_RANGE)} style={{ background: 'none', border: 'none', color: T.blue, fontSize: T.md, cursor: 'pointer', fontWeight: 600 }}>Clear ranges</button>}
+        </div>}
         <div style={{ overflowX: 'auto', opacity: txLoading ? 0.6 : 1, transition: 'opacity 0.2s' }}>
           <table>
             <thead><tr>
@@ -293,6 +312,29 @@ export default function MarketTab({ mode, data }) {
   );
 }
 
+/** Min / max pair for the sales range filters; blank means unbounded */
+function RangeField({ label, type = 'number', lo, hi, onLo, onHi, step }) {
+  const input = { background: '#fff', border: '1px solid #cbd5e1', borderRadius: T.r, padding: '6px 8px', color: T.text, fontSize: T.md, outline: 'none', fontFamily: T.mono, width: type === 'month' ? 130 : 90 };
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+      <span style={{ color: T.textSub, fontSize: T.md, marginRight: 2 }}>{label}</span>
+      <input type={type} min={0} step={step} value={lo} onChange={e => onLo(e.target.value)} placeholder="min" aria-label={`${label} from`} style={input} />
+      <span style={{ color: T.textFaint }}>–</span>
+      <input type={type} min={0} step={step} value={hi} onChange={e => onHi(e.target.value)} placeholder="max" aria-label={`${label} to`} style={input} />
+    </div>
+  );
+}
+
+RangeField.propTypes = {
+  label: PropTypes.string.isRequired,
+  type: PropTypes.oneOf(['number', 'month']),
+  lo: PropTypes.string.isRequired,
+  hi: PropTypes.string.isRequired,
+  onLo: PropTypes.func.isRequired,
+  onHi: PropTypes.func.isRequired,
+  step: PropTypes.number,
+};
+
 MarketTab.propTypes = {
   mode: PropTypes.oneOf(['sales', 'rental']).isRequired,
   data: PropTypes.shape({
@@ -1,4 +1,4 @@
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip,
@@ -7,6 +7,8 @@ import {
 import { SEG_COLORS as SC, T } from '../../constants';
 import Tip from '../ui/Tip';
 import { Card, SectionHeader, InsightBar } from '../ui';
+import PriceIndexChart from './PriceIndexChart';
+import { fetchPriceIndex } from '../../services/api';
 
 const fmtDollar = v => `${v >= 0 ? '+' : '-'}$${Math.abs(v).toLocaleString()}`;
 const fmtPct = v => `${v >= 0 ? '+' : ''}${v}%`;
@@ -21,12 +23,13 @@ const COL_DEFS = [
   { key: 'absDiff',  label: 'Δ PSF',      w: 72,  align: 'right', fmt: fmtDollar, color: posNeg },
   { key: 'pctChg',   label: '% Chg',      w: 64,  align: 'right', fmt: fmtPct, color: posNeg },
   { key: 'cagr',     label: 'CAGR',       w: 64,  align: 'right', fmt: fmtPct, color: posNeg },
+  { key: 'rsCagr',   label: 'RS CAGR',    w: 72,  align: 'right', fmt: v => (v == null ? '—' : fmtPct(v)), color: v => (v == null ? T.textFaint : posNeg(v)) },
   { key: 'yield',    label: 'Yield',      w: 56,  align: 'right', fmt: v => `${v}%`, color: () => T.amber },
   { key: 'totalReturn', label: 'Total',   w: 64,  align: 'right', fmt: fmtPct, color: v => v >= 5 ? T.green : v >= 0 ? T.amber : T.red },
   { key: 'txTotal',  label: 'Tx',         w: 48,  align: 'right' },
 ];
 
-const SORTABLE = ['cagr', 'absDiff', 'pctChg', 'totalReturn', 'yield', 'endPsf', 'txTotal'];
+const SORTABLE = ['cagr', 'rsCagr', 'absDiff', 'pctChg', 'totalReturn', 'yield', 'endPsf', 'txTotal'];
 
 const PROJ_COLS = [
   { key: 'rank',     label: '#',          w: 32,  align: 'center', fmt: v => v },
@@ -51,12 +54,20 @@ export default function PerformanceTab({ data }) {
   const [projSortBy, setProjSortBy] = useState('cagr');
   const [projSortDir, setProjSortDir] = useState('desc');
   const [projFilter, setProjFilter] = useState('all'); // district filter
+  const [priceIndex, setPriceIndex] = useState(null);
 
+  useEffect(() => {
+    fetchPriceIndex().then(setPriceIndex).catch(err => console.warn('Price index unavailable:', err.message));
+  }, []);
+
+  // Repeat-sales CAGR next to the average-PSF one, so mix-driven moves stand out
   const rows = useMemo(() => {
-    const perf = data?.distPerf || [];
-    const sorted = [...perf].sort((a, b) => sortDir === 'desc' ? b[sortBy] - a[sortBy] : a[sortBy] - b[sortBy]);
+    const rsCagr = Object.fromEntries((priceIndex?.series || []).filter(s => s.kind === 'district').map(s => [s.key, s.cagr]));
+    const perf = (data?.distPerf || []).map(r => ({ ...r, rsCagr: rsCagr[r.d] ?? null }));
+    const val = (r) => r[sortBy] ?? -Infinity;
+    const sorted = [...perf].sort((a, b) => sortDir === 'desc' ? val(b) - val(a) : val(a) - val(b));
     return sorted.map((r, i) => ({ ...r, rank: i + 1 }));
-  }, [data, sortBy, sortDir]);
+  }, [data, priceIndex, sortBy, sortDir]);
 
   const projRows = useMemo(() => {
     let perf = data?.projPerf || [];
@@ -138,6 +149,8 @@ export default function PerformanceTab({ data }) {
         </Card>
       </div>
 
+      <PriceIndexChart index={priceIndex} />
+
       {/* ── District Performance Table ── */}
       <SectionHeader title="District Performance Table" sub={`All districts ranked by ${sortBy === 'cagr' ? 'CAGR' : sortBy}. Click column headers to sort. Click a row to filter projects below. ${sYear} → ${eYear} (${cagrYrs}yr).`} />
       <Card style={{ padding: 0, overflow: 'hidden' }}>
@@ -178,7 +191,7 @@ export default function PerformanceTab({ data }) {
                 >
                   {COL_DEFS.map(col => {
                     const val = row[col.key];
-                    const isMono = ['startPsf', 'endPsf', 'absDiff', 'pctChg', 'cagr', 'yield', 'totalReturn', 'txTotal'].includes(col.key);
+                    const isMono = ['startPsf', 'endPsf', 'absDiff', 'pctChg', 'cagr', 'rsCagr', 'yield', 'totalReturn', 'txTotal'].includes(col.key);
                     const color = col.color ? col.color(val) : col.key === 'seg' ? SC[val] : col.key === 'rank' ? T.textMute : T.text;
                     return (
                       <td key={col.key} style={{
@@ -203,6 +216,7 @@ export default function PerformanceTab({ data }) {
           {rows.length} districts · Click a row to filter projects below
           {projFilter !== 'all' && <span style={{ color: T.purple, fontWeight: 600 }}> · Showing D{projFilter}</span>}
           {rows.filter(r => r.lowConf).length > 0 && <span style={{ color: T.amber }}> · Faded = {'<'}3 tx in start/end year</span>}
+          {priceIndex && <span> · RS CAGR = repeat-sales index, last {priceIndex.cagrYears} years</span>}
         </div>
       </Card>
 
@@ -0,0 +1,72 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
+  ResponsiveContainer, ReferenceLine,
+} from 'recharts';
+import { COLORS as P, SEG_COLORS as SC, T } from '../../constants';
+import Tip from '../ui/Tip';
+import { Card, SectionHeader, NoteText } from '../ui';
+import MultiSelect from '../shared/MultiSelect';
+
+const MAX_DISTRICTS = 4;
+
+/** One row per quarter with a column per series key, for recharts */
+export function indexRows(series) {
+  const byQ = new Map();
+  series.forEach(s => s.points.forEach(p => {
+    if (!byQ.has(p.q)) byQ.set(p.q, { q: p.q });
+    byQ.get(p.q)[s.key] = p.index;
+  }));
+  return [...byQ.values()].sort((a, b) => (a.q < b.q ? -1 : 1));
+}
+
+/**
+ * PriceIndexChart — quarterly repeat-sales index (GET /api/v1/index) for the
+ * market and segments, with up to four districts overlaid.
+ */
+export default function PriceIndexChart({ index }) {
+  const [districts, setDistricts] = useState([]);
+  const all = useMemo(() => index?.series || [], [index]);
+  const districtKeys = all.filter(s => s.kind === 'district').map(s => s.key);
+  const shown = useMemo(() => all.filter(s => s.kind !== 'district' || districts.includes(s.key)), [all, districts]);
+  const rows = useMemo(() => indexRows(shown), [shown]);
+
+  if (!all.length) return null;
+
+  const colorOf = (s) => s.kind === 'market' ? T.text : s.kind === 'segment' ? SC[s.key] : P[districts.indexOf(s.key) % P.length];
+  const nameOf = (s) => s.kind === 'market' ? 'All' : s.key;
+  const market = all.find(s => s.kind === 'market');
+
+  return (
+    <Card>
+      <SectionHeader title="Repeat-Sales Price Index" sub={`Quarterly, ${market?.base || all[0].base} = 100. Built from ${index.pairs.toLocaleString()} pairs of sales of the same unit, so changes in what sold each quarter don't move it.`} />
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 12 }}>
+        <MultiSelect label="Districts" allLabel="Add districts" options={districtKeys} value={districts}
+          onChange={v => setDistricts(v.slice(0, MAX_DISTRICTS))} />
+        <span style={{ color: T.textMute, fontSize: T.sm }}>up to {MAX_DISTRICTS}</span>
+      </div>
+      <div style={{ height: 320 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={rows}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} stroke={T.border} />
+            <XAxis dataKey="q" tick={{ fill: T.textSub, fontSize: T.sm }} axisLine={false} minTickGap={24} />
+            <YAxis tick={{ fill: T.textSub, fontSize: T.sm }} axisLine={false} domain={['auto', 'auto']} />
+            <Tooltip content={<Tip fmt="none" />} />
+            <Legend wrapperStyle={{ fontSize: T.md }} />
+            <ReferenceLine y={100} stroke={T.textFaint} />
+            {shown.map(s => <Line key={s.key} type="monotone" dataKey={s.key} name={nameOf(s)} stroke={colorOf(s)} strokeWidth={s.kind === 'market' ? 2.5 : 1.5} dot={false} connectNulls />)}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <NoteText style={{ marginTop: 12 }}>A unit is a project, floor band and exact size, since URA does not publish unit numbers. Quarters with fewer than 10 pairs are noisy; district series need at least 30 pairs.</NoteText>
+    </Card>
+  );
+}
+
+PriceIndexChart.propTypes = {
+  index: PropTypes.shape({
+    pairs: PropTypes.number,
+    series: PropTypes.array,
+  }),
+};
@@ -0,0 +1,129 @@
+/**
+ * CashflowProjection.jsx — Holdings' cash flows to an exit year, with IRR and
+ * equity multiple under bear / base / bull growth (POST /api/v1/portfolio/cashflow).
+ */
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { T } from '../../constants';
+import { Card, SectionHeader, StatCard, NoteText } from '../ui';
+import usePortfolioCashflow from './usePortfolioCashflow';
+
+const SCENARIOS = [
+  { id: 'bear', l: 'Bear', c: T.red }, { id: 'base', l: 'Base', c: T.blue }, { id: 'bull', l: 'Bull', c: T.green },
+];
+const HORIZONS = [5, 10, 15, 20];
+const PROFILES = [
+  { id: 'citizen', l: 'Citizen' }, { id: 'pr', l: 'PR' },
+  { id: 'foreigner', l: 'Foreigner' }, { id: 'entity', l: 'Entity' },
+];
+
+const money = (v) => `${v < 0 ? '-' : ''}$${Math.abs(v) >= 1e6 ? (Math.abs(v) / 1e6).toFixed(2) + 'M' : Math.round(Math.abs(v)).toLocaleString()}`;
+const pct = (v) => (v === null ? '—' : `${v >= 0 ? '+' : ''}${v.toFixed(1)}%`);
+// The unit type's market yield, flagged when it isn't from the project's own rents
+const marketBasis = (m) => (m ? `${m.beds} BR ${m.yield}%${m.source !== 'project' ? ` (${m.source})` : ''}` : 'market');
+const times = (v) => (v === null ? '—' : `${v.toFixed(2)}×`);
+
+export default function CashflowProjection({ holdings }) {
+  const [scenario, setScenario] = useState('base');
+  const [horizon, setHorizon] = useState(10);
+  const [profile, setProfile] = useState('citizen');
+  const [vacancyMonths, setVacancyMonths] = useState(1);
+  // 'all' for the portfolio's combined flows, else a holding's id
+  const [detail, setDetail] = useState('all');
+  const { cashflow: cf, error } = usePortfolioCashflow(holdings, { horizon, profile, vacancyMonths });
+
+  const inputStyle = { background: T.card, border: `1px solid ${T.textFaint}`, borderRadius: 6, padding: '6px 10px', color: T.text, fontSize: T.base, fontFamily: T.mono, outline: 'none' };
+  const found = cf ? cf.holdings.filter(h => h.found) : [];
+  const total = cf?.total[scenario];
+  const one = detail !== 'all' ? found.find(h => String(h.id) === detail) : null;
+
+  return <>
+    <SectionHeader icon="💸" title="Cash Flow & IRR" sub={`Every holding let out and sold in ${cf?.exitYear || new Date().getFullYear() + horizon}: rent, property tax, maintenance, mortgage and exit costs.`} />
+    <Card>
+      <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', alignItems: 'center', marginBottom: 16 }}>
+        <div style={{ display: 'flex', gap: 4 }}>
+          {SCENARIOS.map(s => <button key={s.id} onClick={() => setScenario(s.id)} aria-pressed={scenario === s.id} style={{ background: scenario === s.id ? s.c : T.borderLt, border: `1px solid ${scenario === s.id ? s.c : T.textFaint}`, borderRadius: 6, padding: '6px 14px', fontSize: T.base, color: scenario === s.id ? '#fff' : T.textMute, cursor: 'pointer', fontWeight: scenario === s.id ? 700 : 400 }}>{s.l}</button>)}
+        </div>
+        <label style={{ color: T.textMute, fontSize: T.sm }}>HOLD FOR{' '}
+          <select value={horizon} onChange={e => setHorizon(+e.target.value)} style={inputStyle}>
+            {HORIZONS.map(y => <option key={y} value={y}>{y} more yrs</option>)}
+          </select>
+        </label>
+        <label style={{ color: T.textMute, fontSize: T.sm }}>BUYER{' '}
+          <select value={profile} onChange={e => setProfile(e.target.value)} style={inputStyle}>
+            {PROFILES.map(o => <option key={o.id} value={o.id}>{o.l}</option>)}
+          </select>
+        </label>
+        <label style={{ color: T.textMute, fontSize: T.sm }}>VACANCY{' '}
+          <select value={vacancyMonths} onChange={e => setVacancyMonths(+e.target.value)} style={inputStyle}>
+            {[0, 1, 2, 3].map(m => <option key={m} value={m}>{m} mo/yr</option>)}
+          </select>
+        </label>
+      </div>
+
+      {error && <div role="alert" style={{ color: T.red, fontSize: T.md, marginBottom: 12 }}>Projection unavailable: {error}</div>}
+
+      {total && <>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(160px, 1fr))', gap: 10, marginBottom: 16 }}>
+          <StatCard label="Portfolio IRR" value={pct(total.irr)} sub={`${scenario} case, to ${cf.exitYear}`} />
+          <StatCard label="Equity multiple" value={times(total.equityMultiple)} sub="cash back per $1 put in" />
+          <StatCard label="Net profit" value={money(total.profit)} sub="after costs, tax and loan repayment" />
+        </div>
+
+        <table style={{ margin: '0 0 16px' }}>
+          <thead><tr>{['Property', 'Growth', 'Equity in', 'Rent basis', 'Exit value', 'Profit', 'IRR', 'Multiple'].map(h => <th key={h} style={{ fontSize: T.sm, padding: '5px 8px' }}>{h}</th>)}</tr></thead>
+          <tbody>{cf.holdings.map((h, i) => {
+            const s = h.scenarios?.[scenario];
+            return <tr key={h.id ?? i}>
+              <td style={{ color: T.text, fontWeight: 600, fontSize: T.md }}>{h.project}</td>
+              {s ? <>
+                <td style={{ fontFamily: T.mono, fontSize: T.md }}>{pct(s.growth)}</td>
+                <td style={{ fontFamily: T.mono, fontSize: T.md }}>{money(h.purchase.equity)}</td>
+                <td style={{ color: h.market && h.market.source !== 'project' ? T.amber : T.textMute, fontSize: T.md }}>{h.rentSource === 'actual' ? 'actual' : marketBasis(h.market)}</td>
+                <td style={{ fontFamily: T.mono, fontSize: T.md }}>{money(s.exitValue)}</td>
+                <td style={{ fontFamily: T.mono, fontSize: T.md, color: s.profit < 0 ? T.red : T.green }}>{money(s.profit)}</td>
+                <td style={{ fontFamily: T.mono, fontSize: T.md, fontWeight: 700 }}>{pct(s.irr)}</td>
+                <td style={{ fontFamily: T.mono, fontSize: T.md }}>{times(s.equityMultiple)}</td>
+              </> : <td colSpan={7} style={{ color: T.amber, fontSize: T.md }}>No current market price — left out of the totals</td>}
+            </tr>;
+          })}</tbody>
+        </table>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+          <span style={{ color: T.textSub, fontSize: T.sm, fontWeight: 600 }}>YEAR BY YEAR</span>
+          <select value={detail} onChange={e => setDetail(e.target.value)} style={inputStyle}>
+            <option value="all">Whole portfolio</option>
+            {found.map((h, i) => <option key={h.id ?? i} value={String(h.id)}>{h.project}</option>)}
+          </select>
+        </div>
+        <div style={{ overflowX: 'auto' }}>
+          {one ? <table style={{ margin: 0 }}>
+            <thead><tr>{['Year', 'Value', 'Rent', 'Property tax', 'Maintenance', 'Interest', 'Principal', 'Loan left', 'Cash flow'].map(h => <th key={h} style={{ fontSize: T.sm, padding: '5px 8px' }}>{h}</th>)}</tr></thead>
+            <tbody>{one.scenarios[scenario].projection.map(y => <tr key={y.year}>
+              <td style={{ color: T.textMute, fontSize: T.md }}>{y.year}</td>
+              {[y.value, y.rent, -y.propertyTax, -y.maintenance, -y.interest, -y.principal, y.balance].map((v, k) =>
+                <td key={k} style={{ fontFamily: T.mono, fontSize: T.md, color: v < 0 ? T.red : T.text }}>{v ? money(v) : '—'}</td>)}
+              <td style={{ fontFamily: T.mono, fontSize: T.md, fontWeight: 700, color: y.cashFlow < 0 ? T.red : T.green }}>{money(y.cashFlow)}</td>
+            </tr>)}</tbody>
+          </table> : <table style={{ margin: 0 }}>
+            <thead><tr>{['Year', 'Cash flow', 'Cumulative'].map(h => <th key={h} style={{ fontSize: T.sm, padding: '5px 8px' }}>{h}</th>)}</tr></thead>
+            <tbody>{total.flows.map((f, i) => {
+              const cum = total.flows.slice(0, i + 1).reduce((s, x) => s + x.cashFlow, 0);
+              return <tr key={f.year}>
+                <td style={{ color: T.textMute, fontSize: T.md }}>{f.year}</td>
+                <td style={{ fontFamily: T.mono, fontSize: T.md, color: f.cashFlow < 0 ? T.red : T.green }}>{money(f.cashFlow)}</td>
+                <td style={{ fontFamily: T.mono, fontSize: T.md }}>{money(cum)}</td>
+              </tr>;
+            })}</tbody>
+          </table>}
+        </div>
+      </>}
+      <NoteText style={{ marginTop: 12 }}>Value runs from your purchase price to today's project PSF, then grows at the district's CAGR (base) or the lower / upper quartile across districts (bear / bull). Rent is the actual rent where you've entered it, else the market yield of the unit type your size falls in, from the district's or segment's rents where the project has too few, and moves with value. Purchase costs use the stamp duty rules of the purchase year; ABSD counts holdings in the order bought. Property tax is at non-owner-occupier rates. Exit costs are 2% commission, fees and any SSD; the loan balance is repaid from the sale.</NoteText>
+    </Card>
+  </>;
+}
+
+CashflowProjection.propTypes = {
+  /** Portfolio holdings: { id, project, size, psf, year, loanAmount?, loanRate?, loanYears?, rent? } */
+  holdings: PropTypes.array.isRequired,
+};
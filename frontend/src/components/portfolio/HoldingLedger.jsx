@@ -0,0 +1,106 @@
+/**
+ * HoldingLedger.jsx — A holding's dated events (ledger.js): list, add, remove.
+ * Every change goes through ledgerError() so the saved ledger always stands.
+ */
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { T } from '../../constants';
+import { LEDGER_TYPES, MAX_LEDGER_EVENTS, ledgerOf, ledgerError, syncHolding, eventId } from './ledger';
+
+const TYPE_LABEL = Object.fromEntries(LEDGER_TYPES.map(t => [t.id, t.l]));
+const INFLOW = new Set(['rent', 'partial_sale', 'sale']);
+
+export default function HoldingLedger({ holding, onChange, readOnly }) {
+  const events = ledgerOf(holding);
+  const [type, setType] = useState('rent');
+  const [date, setDate] = useState(new Date().toISOString().slice(0, 10));
+  const [amount, setAmount] = useState('');
+  const [share, setShare] = useState('');
+  const [rate, setRate] = useState('');
+  const [years, setYears] = useState('');
+  const [note, setNote] = useState('');
+  const [error, setError] = useState(null);
+
+  const commit = (next) => {
+    const bad = ledgerError(next);
+    if (bad) { setError(bad); return false; }
+    setError(null);
+    onChange(syncHolding(holding, next));
+    return true;
+  };
+
+  const add = () => {
+    if (!date || amount === '' || !(+amount >= 0)) return;
+    const e = { id: eventId(), type, date, amount: +amount };
+    if (type === 'partial_sale') {
+      if (!(+share > 0 && +share < 100)) { setError('Give the share sold, in % of the unit'); return; }
+      e.share = +share / 100;
+    }
+    if (type === 'refinance') {
+      if (+rate > 0) e.rate = +rate;
+      if (+years > 0) e.years = +years;
+    }
+    if (note.trim()) e.note = note.trim().slice(0, 200);
+    if (commit([...events, e])) { setAmount(''); setShare(''); setRate(''); setYears(''); setNote(''); }
+  };
+
+  const inputStyle = { background: T.card, border: `1px solid ${T.textFaint}`, borderRadius: 6, padding: '6px 10px', color: T.text, fontSize: T.md, fontFamily: T.mono, outline: 'none', width: '100%' };
+  const labelStyle = { color: T.textMute, fontSize: T.xs, fontWeight: 600, marginBottom: 4, display: 'block', letterSpacing: 0.5 };
+
+  return <div style={{ marginTop: 12, borderTop: `1px solid ${T.borderLt}`, paddingTop: 12 }}>
+    <table style={{ margin: 0 }}>
+      <thead><tr>{['Date', 'Event', 'Amount', 'Detail', ''].map(h => <th key={h} style={{ fontSize: T.sm, padding: '5px 8px' }}>{h}</th>)}</tr></thead>
+      <tbody>{events.map(e => <tr key={e.id}>
+        <td style={{ color: T.textMute, fontSize: T.md, fontFamily: T.mono }}>{e.date}</td>
+        <td style={{ fontSize: T.md }}>{TYPE_LABEL[e.type] || e.type}</td>
+        <td style={{ fontFamily: T.mono, fontSize: T.md, color: e.type === 'refinance' ? T.textSub : INFLOW.has(e.type) ? T.green : T.red }}>
+          {e.type === 'refinance' ? '' : INFLOW.has(e.type) ? '+' : '-'}${Math.round(e.amount).toLocaleString()}
+        </td>
+        <td style={{ color: T.textSub, fontSize: T.md }}>
+          {[e.share && `${+(e.share * 100).toFixed(2)}% of unit`, e.type === 'refinance' && 'new loan', e.rate && `${e.rate}%`, e.years && `${e.years} yrs`, e.note].filter(Boolean).join(' · ')}
+        </td>
+        <td>{!readOnly && events.length > 1 && <button aria-label={`Remove ${TYPE_LABEL[e.type]} on ${e.date}`} onClick={() => commit(events.filter(x => x.id !== e.id))} style={{ background: 'none', border: 'none', color: T.textMute, cursor: 'pointer' }}>✕</button>}</td>
+      </tr>)}</tbody>
+    </table>
+
+    {!readOnly && events.length < MAX_LEDGER_EVENTS && <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(130px, 1fr))', gap: 8, marginTop: 12, alignItems: 'end' }}>
+      <label><span style={labelStyle}>EVENT</span>
+        <select value={type} onChange={e => setType(e.target.value)} style={{ ...inputStyle, cursor: 'pointer' }}>
+          {LEDGER_TYPES.map(t => <option key={t.id} value={t.id}>{t.l}</option>)}
+        </select>
+      </label>
+      <label><span style={labelStyle}>DATE</span>
+        <input type="date" value={date} onChange={e => setDate(e.target.value)} style={inputStyle} />
+      </label>
+      <label><span style={labelStyle}>{type === 'refinance' ? 'NEW LOAN ($)' : 'AMOUNT ($)'}</span>
+        <input type="number" min={0} value={amount} onChange={e => setAmount(e.target.value)} style={inputStyle} />
+      </label>
+      {type === 'partial_sale' && <label><span style={labelStyle}>SHARE SOLD (%)</span>
+        <input type="number" min={0} max={100} value={share} onChange={e => setShare(e.target.value)} style={inputStyle} />
+      </label>}
+      {type === 'refinance' && <>
+        <label><span style={labelStyle}>RATE (% P.A.)</span>
+          <input type="number" min={0} step={0.1} value={rate} onChange={e => setRate(e.target.value)} style={inputStyle} />
+        </label>
+        <label><span style={labelStyle}>TENURE (YRS)</span>
+          <input type="number" min={1} max={35} value={years} onChange={e => setYears(e.target.value)} style={inputStyle} />
+        </label>
+        <p style={{ gridColumn: '1 / -1', margin: 0, color: T.textMute, fontSize: T.sm }}>
+          Recorded for reference only: returns here are unlevered, so a refinance's loan, rate and tenure don't change any figure.
+        </p>
+      </>}
+      <label><span style={labelStyle}>NOTE</span>
+        <input value={note} onChange={e => setNote(e.target.value)} maxLength={200} style={inputStyle} />
+      </label>
+      <button onClick={add} disabled={amount === ''} style={{ background: amount === '' ? T.textFaint : T.green, color: '#fff', border: 'none', borderRadius: 6, padding: '8px 14px', fontSize: T.md, fontWeight: 600, cursor: amount === '' ? 'not-allowed' : 'pointer' }}>+ Add event</button>
+    </div>}
+    {error && <div role="alert" style={{ color: T.red, fontSize: T.md, marginTop: 8 }}>{error}</div>}
+  </div>;
+}
+
+HoldingLedger.propTypes = {
+  holding: PropTypes.object.isRequired,
+  /** Called with the holding, its events and derived psf / year updated */
+  onChange: PropTypes.func.isRequired,
+  readOnly: PropTypes.bool,
+};
@@ -0,0 +1,37 @@
+/**
+ * LedgerImport.jsx — Load ledger events from a CSV file (parseLedgerCsv /
+ * importLedger in ledger.js) and report what was added and what was skipped.
+ */
+import { useState, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { T } from '../../constants';
+import { parseLedgerCsv, importLedger } from './ledger';
+
+export default function LedgerImport({ holdings, setHoldings }) {
+  const [result, setResult] = useState(null);
+  const input = useRef(null);
+
+  const load = async (file) => {
+    if (!file) return;
+    const { rows, errors } = parseLedgerCsv(await file.text());
+    const out = importLedger(holdings, rows);
+    if (out.events) setHoldings(out.holdings);
+    setResult({ events: out.events, added: out.added, errors: [...errors.map(e => `Line ${e.line}: ${e.error}`), ...out.errors.map(e => `${e.project}: ${e.error}`)] });
+    input.current.value = '';
+  };
+
+  return <>
+    <button onClick={() => input.current.click()} style={{ background: T.borderLt, border: `1px solid ${T.textFaint}`, borderRadius: T.r, padding: '8px 16px', fontSize: T.sm, color: T.textSub, cursor: 'pointer' }}>Import CSV</button>
+    <input ref={input} type="file" accept=".csv,text/csv" aria-label="Ledger CSV file" onChange={e => load(e.target.files[0])} style={{ display: 'none' }} />
+    {result && <div role="status" style={{ flexBasis: '100%', fontSize: T.md, color: T.textSub }}>
+      Imported {result.events} event{result.events === 1 ? '' : 's'}{result.added ? `, ${result.added} new holding${result.added === 1 ? '' : 's'}` : ''}.
+      {result.errors.length > 0 && <ul style={{ color: T.amber, margin: '4px 0 0', paddingLeft: 18 }}>{result.errors.slice(0, 10).map(e => <li key={e}>{e}</li>)}</ul>}
+      {result.errors.length > 10 && <div style={{ color: T.textMute }}>…and {result.errors.length - 10} more</div>}
+    </div>}
+  </>;
+}
+
+LedgerImport.propTypes = {
+  holdings: PropTypes.array.isRequired,
+  setHoldings: PropTypes.func.isRequired,
+};
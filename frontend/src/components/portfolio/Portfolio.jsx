@@ -1,11 +1,21 @@
 import { useState, useMemo } from 'react';
 import PropTypes from 'prop-types';
-import { T, computeCAGR, yieldColor, cagrColor } from '../../constants';
+import { T, computeCAGR, yieldColor, cagrColor, fmtAttribution, parseLease, leaseLeftAt, leaseDecay, leaseAdjustedCAGR } from '../../constants';
 import { Card, SectionHeader, InsightBar, NoteText } from '../ui';
+import CashflowProjection from './CashflowProjection';
+import HoldingLedger from './HoldingLedger';
+import LedgerImport from './LedgerImport';
+import { ledgerOf, ledgerReturns, syncHolding, MAX_HOLDINGS } from './ledger';
 
-export default function Portfolio({ cmpPool, projList, projIndex, onViewProject, holdings, setHoldings, syncStatus }) {
+const LEASE_OUTLOOK_YRS = 10;
+
+/**
+ * `teamName` is set when a team workspace is in scope; `readOnly` for its viewers.
+ */
+export default function Portfolio({ cmpPool, projList, projIndex, onViewProject, holdings, setHoldings, syncStatus, teamName, readOnly }) {
   const [showAdd, setShowAdd] = useState(false);
   const [editId, setEditId] = useState(null);
+  const [ledgerId, setLedgerId] = useState(null);
 
   // Form
   const [fProj, setFProj] = useState('');
@@ -14,6 +24,11 @@ export default function Portfolio({ cmpPool, projList, projIndex, onViewProject,
   const [fPsf, setFPsf] = useState('');
   const [fYear, setFYear] = useState(new Date().getFullYear());
   const [fLabel, setFLabel] = useState('');
+  // Financing and rent, optional: the cash-flow projection assumes a cash purchase at market rent without them
+  const [fLoan, setFLoan] = useState('');
+  const [fRate, setFRate] = useState('');
+  const [fTenure, setFTenure] = useState('');
+  const [fRent, setFRent] = useState('');
 
   // Enrich with live market data (cmpPool first, fallback to projIndex)
   const enriched = useMemo(() => holdings.map(h => {
@@ -22,54 +37,86 @@ export default function Portfolio({ cmpPool, projList, projIndex, onViewProject,
     const cp = m?.psf || idx?.psf || 0;
     const mYield = m?.yield || idx?.yield || 0;
     const pv = h.psf * h.size;
-    const cv = cp * h.size;
-    const gl = cv - pv;
-    const glPct = pv > 0 ? gl / pv * 100 : 0;
+    // Ledger: what is still held, at cost and at market, and what sales and rent have realised
+    const lr = ledgerReturns(h, cp * h.size);
+    const cv = lr.marketValue;
+    const gl = Math.round(lr.unrealised);
+    const glPct = lr.basis > 0 ? gl / lr.basis * 100 : 0;
     // yield on cost: current annual rent psf / purchase psf
     const annualRentPsf = cp > 0 && mYield > 0 ? (mYield / 100) * cp : 0;
     const yoc = h.psf > 0 && annualRentPsf > 0 ? (annualRentPsf / h.psf * 100) : 0;
-    const annualRent = annualRentPsf * h.size;
+    const annualRent = annualRentPsf * h.size * lr.held;
     const yrs = new Date().getFullYear() - h.year;
     const cagr = yrs > 0 && cp > 0 && h.psf > 0 ? computeCAGR(h.psf, cp, yrs) : null;
     const totalReturn = cagr !== null ? cagr + yoc : null;
-    return { ...h, m: m || idx, cp, pv, cv, gl, glPct, yoc, cagr, annualRent, totalReturn, yrs, found: !!(m || idx) };
+    // Leasehold: years left, the next 10 years' Bala's-curve decay, and CAGR net of the decay so far
+    const lease = parseLease(m?.tenure || idx?.tenure);
+    const leaseLeft = lease ? leaseLeftAt(lease, new Date().getFullYear()) : null;
+    const decay10 = leaseLeft !== null ? leaseDecay(leaseLeft, Math.max(0, leaseLeft - LEASE_OUTLOOK_YRS)) : null;
+    const exLeaseCagr = lease && cagr !== null ? leaseAdjustedCAGR(h.psf, cp, h.year, h.year + yrs, lease) : null;
+    return { ...h, m: m || idx, cp, pv, cv, gl, glPct, yoc, cagr, annualRent, totalReturn, yrs, leaseLeft, decay10, exLeaseCagr, lr, found: !!(m || idx) };
   }), [holdings, cmpPool, projIndex]);
 
   // Totals
   const totals = useMemo(() => {
     if (!enriched.length) return null;
-    const tv = enriched.reduce((s, h) => s + h.cv, 0);
-    const tp = enriched.reduce((s, h) => s + h.pv, 0);
-    const tr = enriched.reduce((s, h) => s + h.annualRent, 0);
+    const open = enriched.filter(h => h.found && !h.lr.closed);
+    const tv = open.reduce((s, h) => s + h.cv, 0);
+    const tp = open.reduce((s, h) => s + h.lr.basis, 0);
+    const tr = open.reduce((s, h) => s + h.annualRent, 0);
     const gl = tv - tp;
     return {
       value: tv, purchase: tp, gain: gl,
       gainPct: tp > 0 ? gl / tp * 100 : 0,
+      realised: enriched.reduce((s, h) => s + h.lr.realised, 0),
       rent: tr,
       yoc: tp > 0 ? tr / tp * 100 : 0,
     };
   }, [enriched]);
 
-  const resetForm = () => { setFProj(''); setFSize(''); setFFloor(''); setFPsf(''); setFYear(new Date().getFullYear()); setFLabel(''); };
+  const resetForm = () => {
+    setFProj(''); setFSize(''); setFFloor(''); setFPsf(''); setFYear(new Date().getFullYear()); setFLabel('');
+    setFLoan(''); setFRate(''); setFTenure(''); setFRent('');
+  };
 
   const addHolding = () => {
     if (!fProj || !fSize || !fPsf) return;
+    const fields = { project: fProj, size: +fSize, floor: fFloor, psf: +fPsf, year: +fYear, label: fLabel };
+    // Blank optional fields are dropped, so clearing one on edit removes it
+    const optional = { loanAmount: fLoan, loanRate: fRate, loanYears: fTenure, rent: fRent };
+    const strip = (h) => { const out = { ...h }; for (const k of Object.keys(optional)) delete out[k]; return out; };
+    for (const [k, v] of Object.entries(optional)) if (v !== '' && +v > 0) fields[k] = +v;
     if (editId) {
-      setHoldings(holdings.map(h => h.id === editId ? { ...h, project: fProj, size: +fSize, floor: fFloor, psf: +fPsf, year: +fYear, label: fLabel } : h));
+      setHoldings(holdings.map(h => h.id === editId ? withPurchase({ ...strip(h), ...fields }) : h));
       setEditId(null);
     } else {
-      setHoldings([...holdings, { id: Date.now(), project: fProj, size: +fSize, floor: fFloor, psf: +fPsf, year: +fYear, label: fLabel }]);
+      setHoldings([...holdings, withPurchase({ id: Date.now(), ...fields })]);
     }
     resetForm(); setShowAdd(false);
   };
 
+  // With a ledger, the form's PSF and year are its purchase event; with several purchases they're the ledger's to set
+  const withPurchase = (h) => {
+    if (!h.events?.length) return h;
+    const single = h.events.filter(e => e.type === 'purchase').length === 1;
+    return syncHolding(h, !single ? h.events : h.events.map(e => e.type !== 'purchase' ? e
+      : { ...e, amount: Math.round(h.psf * h.size), date: e.date.startsWith(String(h.year)) ? e.date : `${h.year}-01-01` }));
+  };
+  const ledgerLocked = !!editId && (holdings.find(h => h.id === editId)?.events || []).filter(e => e.type === 'purchase').length > 1;
+
+  const updateHolding = (next) => setHoldings(holdings.map(h => h.id === next.id ? next : h));
+
   const startEdit = (h) => {
     setFProj(h.project); setFSize(String(h.size)); setFFloor(h.floor || ''); setFPsf(String(h.psf)); setFYear(h.year); setFLabel(h.label || '');
+    setFLoan(h.loanAmount ? String(h.loanAmount) : ''); setFRate(h.loanRate ? String(h.loanRate) : '');
+    setFTenure(h.loanYears ? String(h.loanYears) : ''); setFRent(h.rent ? String(h.rent) : '');
     setEditId(h.id); setShowAdd(true);
   };
 
   const removeHolding = (id) => { if (confirm('Remove this holding?')) setHoldings(holdings.filter(h => h.id !== id)); };
 
+  const title = teamName ? `${teamName} Portfolio` : 'Your Portfolio';
+
   const years = Array.from({ length: 35 }, (_, i) => new Date().getFullYear() - i);
 
   const inputStyle = { background: T.card, border: `1px solid ${T.textFaint}`, borderRadius: 6, padding: '8px 12px', color: T.text, fontSize: T.base, fontFamily: T.mono, outline: 'none', width: '100%' };
@@ -102,11 +149,11 @@ export default function Portfolio({ cmpPool, projList, projIndex, onViewProject,
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 2fr', gap: 12, marginBottom: 16 }}>
         <div>
           <label style={labelStyle}>PURCHASE PSF ($)</label>
-          <input type="number" value={fPsf} onChange={e => setFPsf(e.target.value)} placeholder="e.g. 1650" style={inputStyle} />
+          <input type="number" value={fPsf} onChange={e => setFPsf(e.target.value)} placeholder="e.g. 1650" disabled={ledgerLocked} title={ledgerLocked ? 'Set by the purchases in the ledger' : undefined} style={inputStyle} />
         </div>
         <div>
           <label style={labelStyle}>PURCHASE YEAR</label>
-          <select value={fYear} onChange={e => setFYear(e.target.value)} style={{ ...inputStyle, cursor: 'pointer' }}>
+          <select value={fYear} onChange={e => setFYear(e.target.value)} disabled={ledgerLocked} style={{ ...inputStyle, cursor: 'pointer' }}>
             {years.map(y => <option key={y} value={y}>{y}</option>)}
           </select>
         </div>
@@ -115,6 +162,24 @@ export default function Portfolio({ cmpPool, projList, projIndex, onViewProject,
           <input value={fLabel} onChange={e => setFLabel(e.target.value)} placeholder="e.g. Investment unit, Main residence" style={inputStyle} />
         </div>
       </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr', gap: 12, marginBottom: 16 }}>
+        <div>
+          <label style={labelStyle}>LOAN AMOUNT ($, OPTIONAL)</label>
+          <input type="number" min={0} value={fLoan} onChange={e => setFLoan(e.target.value)} placeholder="none: cash purchase" style={inputStyle} />
+        </div>
+        <div>
+          <label style={labelStyle}>LOAN RATE (% P.A.)</label>
+          <input type="number" min={0} step={0.1} value={fRate} onChange={e => setFRate(e.target.value)} placeholder="3" style={inputStyle} />
+        </div>
+        <div>
+          <label style={labelStyle}>LOAN TENURE (YRS)</label>
+          <input type="number" min={1} max={35} value={fTenure} onChange={e => setFTenure(e.target.value)} placeholder="25" style={inputStyle} />
+        </div>
+        <div>
+          <label style={labelStyle}>MONTHLY RENT ($, OPTIONAL)</label>
+          <input type="number" min={0} value={fRent} onChange={e => setFRent(e.target.value)} placeholder="market rent" style={inputStyle} />
+        </div>
+      </div>
       {fProj && fSize && fPsf && (() => {
         const m = cmpPool.find(p => p.name === fProj);
         const pv = (+fPsf) * (+fSize);
@@ -135,13 +200,15 @@ export default function Portfolio({ cmpPool, projList, projIndex, onViewProject,
   // ── Empty state ──
   if (!holdings.length && !showAdd) return (
     <div style={{ display: 'grid', gap: 16 }}>
-      <SectionHeader icon="💼" title="Your Portfolio" sub="Track properties you own — monitor unrealized gains, yield on cost, and annualized returns against live market data." />
+      <SectionHeader icon="💼" title={title} sub={teamName ? `Holdings shared with everyone in ${teamName}.` : 'Track properties you own — monitor unrealized gains, yield on cost, and annualized returns against live market data.'} />
       <Card>
         <div style={{ textAlign: 'center', padding: '48px 20px' }}>
           <div style={{ fontSize: 52, marginBottom: 16 }}>🏠</div>
           <div style={{ color: T.text, fontSize: T['2xl'], fontWeight: 700, marginBottom: 8 }}>No properties yet</div>
           <div style={{ color: T.textSub, fontSize: T.base, marginBottom: 24, maxWidth: 420, margin: '0 auto 24px' }}>Add properties you own to track their current market value, unrealized gains, yield on cost, and annualized CAGR — all computed from live URA transaction data.</div>
-          <button onClick={() => setShowAdd(true)} style={{ background: T.green, color: '#fff', border: 'none', borderRadius: T.r, padding: '12px 28px', fontSize: T.lg, fontWeight: 600, cursor: 'pointer' }}>+ Add Your First Property</button>
+          {readOnly
+            ? <div style={{ color: T.textMute, fontSize: T.base }}>You have view-only access to this workspace.</div>
+            : <button onClick={() => setShowAdd(true)} style={{ background: T.green, color: '#fff', border: 'none', borderRadius: T.r, padding: '12px 28px', fontSize: T.lg, fontWeight: 600, cursor: 'pointer' }}>+ Add Your First Property</button>}
         </div>
       </Card>
       <NoteText>Data syncs to the server — accessible from any browser.</NoteText>
@@ -150,18 +217,20 @@ export default function Portfolio({ cmpPool, projList, projIndex, onViewProject,
 
   return (
     <div style={{ display: 'grid', gap: 16 }}>
-      <SectionHeader icon="💼" title="Your Portfolio" sub={`${holdings.length} propert${holdings.length === 1 ? 'y' : 'ies'} tracked · Synced to server`} />
+      <SectionHeader icon="💼" title={title} sub={`${holdings.length} propert${holdings.length === 1 ? 'y' : 'ies'} tracked · ${readOnly ? 'View only' : 'Synced to server'}`} />
 
       {/* Summary bar */}
       {totals && <InsightBar items={[
         <span key="v">Portfolio value: <span style={{ color: T.blue, fontWeight: 700, fontFamily: T.mono }}>${totals.value > 1e6 ? (totals.value / 1e6).toFixed(2) + 'M' : totals.value.toLocaleString()}</span> (cost ${totals.purchase > 1e6 ? (totals.purchase / 1e6).toFixed(2) + 'M' : totals.purchase.toLocaleString()})</span>,
         <span key="g">Unrealized: <span style={{ color: totals.gain >= 0 ? T.green : T.red, fontWeight: 700, fontFamily: T.mono }}>{totals.gain >= 0 ? '+$' : '-$'}{Math.abs(totals.gain) > 1e6 ? (Math.abs(totals.gain) / 1e6).toFixed(2) + 'M' : Math.abs(totals.gain).toLocaleString()} ({totals.gainPct >= 0 ? '+' : ''}{totals.gainPct.toFixed(1)}%)</span></span>,
+        ...(totals.realised ? [<span key="r">Realised: <span style={{ color: totals.realised >= 0 ? T.green : T.red, fontWeight: 700, fontFamily: T.mono }}>{fmtMoney(totals.realised, true)}</span> (sales + rent)</span>] : []),
         <span key="y">Yield on cost: <span style={{ color: T.amber, fontWeight: 700, fontFamily: T.mono }}>{totals.yoc.toFixed(2)}%</span> (${totals.rent > 1e3 ? (totals.rent / 1e3).toFixed(0) + 'K' : totals.rent.toLocaleString()}/yr)</span>,
       ]} />}
 
       {/* Add button */}
-      {!showAdd && <div style={{ display: 'flex', gap: 8 }}>
-        <button onClick={() => setShowAdd(true)} style={{ background: T.green, color: '#fff', border: 'none', borderRadius: T.r, padding: '8px 20px', fontSize: T.base, fontWeight: 600, cursor: 'pointer' }}>+ Add Property</button>
+      {!showAdd && !readOnly && <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+        <button onClick={() => setShowAdd(true)} disabled={holdings.length >= MAX_HOLDINGS} title={holdings.length >= MAX_HOLDINGS ? `Up to ${MAX_HOLDINGS} holdings` : undefined} style={{ background: holdings.length >= MAX_HOLDINGS ? T.textFaint : T.green, color: '#fff', border: 'none', borderRadius: T.r, padding: '8px 20px', fontSize: T.base, fontWeight: 600, cursor: holdings.length >= MAX_HOLDINGS ? 'not-allowed' : 'pointer' }}>+ Add Property</button>
+        <LedgerImport holdings={holdings} setHoldings={setHoldings} />
         <button onClick={() => { if (confirm('Remove all holdings? This cannot be undone.')) setHoldings([]); }} style={{ background: T.borderLt, border: `1px solid ${T.textFaint}`, borderRadius: T.r, padding: '8px 16px', fontSize: T.sm, color: T.textMute, cursor: 'pointer' }}>Clear All</button>
       </div>}
 
@@ -180,33 +249,50 @@ export default function Portfolio({ cmpPool, projList, projIndex, onViewProject,
                 {h.label && <span style={{ background: `${T.purple}18`, color: T.purple, padding: '2px 10px', borderRadius: 6, fontSize: T.sm, fontWeight: 600 }}>{h.label}</span>}
               </div>
               <div style={{ color: T.textSub, fontSize: T.md, marginTop: 2 }}>
-                {h.m?.dist || '—'} · {h.m?.segment || '—'} · {h.size.toLocaleString()} sqft{h.floor ? ` · Floor ${h.floor}` : ''} · Bought {h.year}
+                {h.m?.dist || '—'} · {h.m?.segment || '—'} · {h.size.toLocaleString()} sqft{h.floor ? ` · Floor ${h.floor}` : ''} · Bought {h.year}{h.lr.closed ? ` · Sold ${h.lr.years.toFixed(1)} yrs later` : h.lr.held < 1 ? ` · ${+(h.lr.held * 100).toFixed(1)}% still held` : ''}
               </div>
+              {h.createdBy && <div style={{ color: T.textMute, fontSize: T.xs, marginTop: 2 }}>{fmtAttribution(h)}</div>}
             </div>
             <div style={{ display: 'flex', gap: 6 }}>
+              <button onClick={() => setLedgerId(ledgerId === h.id ? null : h.id)} aria-expanded={ledgerId === h.id} style={{ background: T.borderLt, border: `1px solid ${T.textFaint}`, borderRadius: 6, padding: '4px 10px', fontSize: T.sm, color: T.textSub, cursor: 'pointer' }}>Ledger ({ledgerOf(h).length})</button>
               <button onClick={() => onViewProject(h.project)} style={{ background: `${T.purple}18`, border: `1px solid ${T.purple}4D`, borderRadius: 6, padding: '4px 12px', fontSize: T.sm, color: T.purple, cursor: 'pointer', fontWeight: 600 }}>View</button>
-              <button onClick={() => startEdit(h)} style={{ background: T.borderLt, border: `1px solid ${T.textFaint}`, borderRadius: 6, padding: '4px 10px', fontSize: T.sm, color: T.textSub, cursor: 'pointer' }}>✏️</button>
-              <button onClick={() => removeHolding(h.id)} style={{ background: `${T.red}10`, border: `1px solid ${T.red}30`, borderRadius: 6, padding: '4px 10px', fontSize: T.sm, color: T.red, cursor: 'pointer' }}>✕</button>
+              {!readOnly && <>
+                <button onClick={() => startEdit(h)} style={{ background: T.borderLt, border: `1px solid ${T.textFaint}`, borderRadius: 6, padding: '4px 10px', fontSize: T.sm, color: T.textSub, cursor: 'pointer' }}>✏️</button>
+                <button onClick={() => removeHolding(h.id)} style={{ background: `${T.red}10`, border: `1px solid ${T.red}30`, borderRadius: 6, padding: '4px 10px', fontSize: T.sm, color: T.red, cursor: 'pointer' }}>✕</button>
+              </>}
             </div>
           </div>
 
           {!h.found && <div style={{ background: `${T.amber}15`, border: `1px solid ${T.amber}40`, borderRadius: T.r, padding: '8px 14px', marginBottom: 12, color: T.amber, fontSize: T.md }}>This project has insufficient URA transaction data (fewer than 3 recorded transactions). Current market valuation unavailable.</div>}
 
-          {h.found && <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(140px, 1fr))', gap: 10 }}>
+          {h.lr.closed && <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(140px, 1fr))', gap: 10 }}>
+            <MetricBox label="INVESTED" value={fmtMoney(h.lr.invested)} color={T.textSub} sub="purchase + capex" />
+            <MetricBox label="SALE PROCEEDS" value={fmtMoney(h.lr.proceeds)} color={T.blue} />
+            <MetricBox label="RENT RECEIVED" value={fmtMoney(h.lr.rent)} color={T.amber} />
+            <MetricBox label="REALISED" value={fmtMoney(h.lr.realised, true)} color={h.lr.realised >= 0 ? T.green : T.red} sub={`over ${h.lr.years.toFixed(1)} yrs`} />
+            {h.lr.irr !== null && <MetricBox label="IRR" value={`${h.lr.irr >= 0 ? '+' : ''}${h.lr.irr.toFixed(1)}%`} color={h.lr.irr >= 0 ? T.green : T.red} sub="money-weighted, a year" highlight />}
+          </div>}
+
+          {h.found && !h.lr.closed && <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(140px, 1fr))', gap: 10 }}>
             <MetricBox label="PURCHASE PSF" value={`$${h.psf.toLocaleString()}`} color={T.textSub} />
             <MetricBox label="CURRENT PSF" value={`$${h.cp.toLocaleString()}`} color={T.blue} />
             <MetricBox label="PURCHASE VALUE" value={`$${h.pv > 1e6 ? (h.pv / 1e6).toFixed(2) + 'M' : h.pv.toLocaleString()}`} color={T.textSub} />
             <MetricBox label="CURRENT VALUE" value={`$${h.cv > 1e6 ? (h.cv / 1e6).toFixed(2) + 'M' : h.cv.toLocaleString()}`} color={T.blue} />
             <MetricBox label="GAIN / LOSS" value={`${h.gl >= 0 ? '+$' : '-$'}${Math.abs(h.gl) > 1e6 ? (Math.abs(h.gl) / 1e6).toFixed(2) + 'M' : Math.abs(h.gl).toLocaleString()}`} color={gc} sub={`${h.glPct >= 0 ? '+' : ''}${h.glPct.toFixed(1)}%`} />
             <MetricBox label="YIELD ON COST" value={`${h.yoc.toFixed(2)}%`} color={yieldColor(h.yoc)} sub={`$${Math.round(h.annualRent).toLocaleString()}/yr`} />
-            {h.cagr !== null && <MetricBox label={`${h.yrs}-YR CAGR`} value={`${h.cagr >= 0 ? '+' : ''}${h.cagr.toFixed(1)}%`} color={cagrColor(h.cagr)} />}
+            {h.cagr !== null && <MetricBox label={`${h.yrs}-YR CAGR`} value={`${h.cagr >= 0 ? '+' : ''}${h.cagr.toFixed(1)}%`} color={cagrColor(h.cagr)} sub={h.exLeaseCagr !== null ? `${h.exLeaseCagr >= 0 ? '+' : ''}${h.exLeaseCagr.toFixed(1)}% ex-lease` : undefined} />}
+            {h.leaseLeft !== null && <MetricBox label="LEASE LEFT" value={`${Math.round(h.leaseLeft)} yrs`} color={h.leaseLeft < 60 ? T.amber : T.textSub} sub={`${((h.decay10 - 1) * 100).toFixed(1)}% in ${LEASE_OUTLOOK_YRS} yrs (decay)`} />}
             {h.totalReturn !== null && <MetricBox label="TOTAL RETURN" value={`${h.totalReturn >= 0 ? '+' : ''}${h.totalReturn.toFixed(1)}%`} color={h.totalReturn >= 0 ? T.green : T.red} sub="CAGR + Yield" highlight />}
+            {h.lr.realised !== 0 && <MetricBox label="REALISED" value={fmtMoney(h.lr.realised, true)} color={h.lr.realised >= 0 ? T.green : T.red} sub="sales + rent received" />}
+            {h.lr.irr !== null && h.events?.length > 0 && <MetricBox label="IRR" value={`${h.lr.irr >= 0 ? '+' : ''}${h.lr.irr.toFixed(1)}%`} color={h.lr.irr >= 0 ? T.green : T.red} sub={`ledger, ${h.lr.years.toFixed(1)} yrs held`} />}
           </div>}
+
+          {ledgerId === h.id && <HoldingLedger holding={holdings.find(x => x.id === h.id)} onChange={updateHolding} readOnly={readOnly} />}
         </Card>;
       })}
 
       {/* Performance comparison table */}
-      {enriched.filter(h => h.found).length >= 2 && <>
+      {enriched.filter(h => h.found && !h.lr.closed).length >= 2 && <>
         <SectionHeader icon="📊" title="Portfolio Comparison" sub="Side-by-side performance of all holdings." />
         <Card>
           <div style={{ overflowX: 'auto' }}>
@@ -214,7 +300,7 @@ export default function Portfolio({ cmpPool, projList, projIndex, onViewProject,
               <thead><tr>
                 {['Property', 'Size', 'Bought', 'Buy PSF', 'Now PSF', 'Gain', 'CAGR', 'Yield', 'Total'].map(h => <th key={h}>{h}</th>)}
               </tr></thead>
-              <tbody>{enriched.filter(h => h.found).map(h => <tr key={h.id}>
+              <tbody>{enriched.filter(h => h.found && !h.lr.closed).map(h => <tr key={h.id}>
                 <td style={{ color: T.text, fontWeight: 600, maxWidth: 180, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{h.project}</td>
                 <td style={{ fontFamily: T.mono }}>{h.size.toLocaleString()}</td>
                 <td style={{ color: T.textMute }}>{h.year}</td>
@@ -230,6 +316,8 @@ export default function Portfolio({ cmpPool, projList, projIndex, onViewProject,
         </Card>
       </>}
 
+      {enriched.some(h => h.found && !h.lr.closed) && <CashflowProjection holdings={holdings} />}
+
       <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
         <NoteText>Portfolio data syncs to the server automatically. {syncStatus === 'saving' ? 'Saving...' : syncStatus === 'saved' ? 'Saved' : syncStatus === 'error' ? 'Sync failed — data saved locally' : ''}</NoteText>
         <div style={{ fontSize: T.sm, color: syncStatus === 'saved' ? T.green : syncStatus === 'saving' ? T.amber : syncStatus === 'error' ? T.red : T.textMute }}>
@@ -243,6 +331,11 @@ export default function Portfolio({ cmpPool, projList, projIndex, onViewProject,
   );
 }
 
+const fmtMoney = (v, signed = false) => {
+  const a = Math.abs(v);
+  return `${signed ? (v >= 0 ? '+' : '-') : v < 0 ? '-' : ''}$${a > 1e6 ? (a / 1e6).toFixed(2) + 'M' : Math.round(a).toLocaleString()}`;
+};
+
 function MetricBox({ label, value, color, sub, highlight }) {
   return (
     <div style={{ background: highlight ? `${color}08` : T.borderLt, borderRadius: T.r, padding: '10px 12px', border: highlight ? `1px solid ${color}30` : 'none' }}>
@@ -262,4 +355,6 @@ Portfolio.propTypes = {
   holdings: PropTypes.array.isRequired,
   setHoldings: PropTypes.func.isRequired,
   syncStatus: PropTypes.string,
+  teamName: PropTypes.string,
+  readOnly: PropTypes.bool,
 };
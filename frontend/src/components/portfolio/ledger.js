@@ -0,0 +1,203 @@
+/**
+ * ledger.js — A holding's dated events and the returns they add up to
+ *
+ * Each holding carries `events`: purchase, capex, rent, refinance, partial_sale
+ * and sale, each { id, type, date (YYYY-MM-DD), amount } plus `share` (of the
+ * whole unit) on a partial sale and `rate` / `years` on a refinance. Holdings
+ * saved before the ledger have none; ledgerOf() reads their psf / year as a
+ * single purchase. The holding's psf and year stay in step with its purchase
+ * events (syncHolding) so everything keyed on them keeps working.
+ *
+ * Returns are unlevered: refinances (new loan, rate, tenure) are recorded for
+ * reference only and change no figure. Cost is purchases plus capex; a sale
+ * takes out the cost of the share sold, in proportion to what was still held.
+ */
+
+// The caps and ledgerError are the server's own (backend/src/shared/ledger-rules.ts)
+import { MAX_HOLDINGS, MAX_LEDGER_EVENTS, ledgerError } from '@shared/ledger-rules.ts';
+export { MAX_HOLDINGS, MAX_LEDGER_EVENTS, ledgerError };
+
+export const LEDGER_TYPES = [
+  { id: 'purchase', l: 'Purchase' },
+  { id: 'capex', l: 'Renovation / capex' },
+  { id: 'rent', l: 'Rent received' },
+  { id: 'refinance', l: 'Refinance' },
+  { id: 'partial_sale', l: 'Partial sale' },
+  { id: 'sale', l: 'Final sale' },
+];
+const TYPE_IDS = new Set(LEDGER_TYPES.map(t => t.id));
+
+const DAY_MS = 86_400_000;
+const today = () => new Date().toISOString().slice(0, 10);
+const yearsBetween = (a, b) => (Date.parse(b) - Date.parse(a)) / DAY_MS / 365.25;
+let seq = 0;
+export const eventId = () => `${Date.now().toString(36)}${(seq++).toString(36)}`;
+
+/** The holding's events by date; a pre-ledger holding reads as one purchase at its psf and year */
+export function ledgerOf(h) {
+  if (h.events?.length) return [...h.events].sort((a, b) => a.date.localeCompare(b.date));
+  if (!(h.psf > 0 && h.size > 0 && h.year)) return [];
+  return [{ id: 'purchase', type: 'purchase', date: `${h.year}-01-01`, amount: Math.round(h.psf * h.size) }];
+}
+
+/** Holding with `events`, its psf and year re-derived from the purchases */
+export function syncHolding(h, events) {
+  const sorted = [...events].sort((a, b) => a.date.localeCompare(b.date));
+  const buys = sorted.filter(e => e.type === 'purchase');
+  if (!buys.length) return { ...h, events: sorted };
+  const paid = buys.reduce((s, e) => s + e.amount, 0);
+  return { ...h, events: sorted, psf: Math.round(paid / h.size), year: +buys[0].date.slice(0, 4) };
+}
+
+/** Share of the unit still held: 1 less partial sales, 0 once sold */
+export function shareHeld(events) {
+  if (events.some(e => e.type === 'sale')) return 0;
+  return Math.max(0, 1 - events.filter(e => e.type === 'partial_sale').reduce((s, e) => s + (e.share || 0), 0));
+}
+
+/** Annualised money-weighted return (%) of dated flows [{ date, amount }]; null without money both out and back, or no root */
+export function xirr(flows) {
+  if (!flows.some(f => f.amount < 0) || !flows.some(f => f.amount > 0)) return null;
+  const t0 = flows[0].date;
+  const npv = (r) => flows.reduce((s, f) => s + f.amount / Math.pow(1 + r, yearsBetween(t0, f.date)), 0);
+  let lo = -0.99, hi = 10, fLo = npv(lo);
+  if (!isFinite(fLo) || fLo * npv(hi) > 0) return null;
+  for (let i = 0; i < 200 && hi - lo > 1e-7; i++) {
+    const mid = (lo + hi) / 2, f = npv(mid);
+    if (f * fLo > 0) { lo = mid; fLo = f; } else hi = mid;
+  }
+  return (lo + hi) / 2 * 100;
+}
+
+/**
+ * Realised and unrealised returns from a holding's ledger, with `unitValue`
+ * the whole unit's market value today (0 when unknown). An open holding with
+ * no value has no IRR: the share still held would count as worthless.
+ */
+export function ledgerReturns(h, unitValue, asOf = today()) {
+  const events = ledgerOf(h);
+  let basis = 0, held = 1, invested = 0, rent = 0, proceeds = 0, realised = 0;
+  const flows = [];
+  for (const e of events) {
+    if (e.type === 'purchase' || e.type === 'capex') {
+      basis += e.amount; invested += e.amount;
+      flows.push({ date: e.date, amount: -e.amount });
+    } else if (e.type === 'rent') {
+      rent += e.amount;
+      flows.push({ date: e.date, amount: e.amount });
+    } else if (e.type === 'partial_sale' || e.type === 'sale') {
+      const sold = e.type === 'sale' ? held : Math.min(e.share || 0, held);
+      const cost = held > 0 ? basis * sold / held : 0;
+      basis -= cost; held -= sold; proceeds += e.amount;
+      realised += e.amount - cost;
+      flows.push({ date: e.date, amount: e.amount });
+    }
+  }
+  const closed = events.some(e => e.type === 'sale');
+  if (closed) held = 0;
+  const marketValue = held * unitValue;
+  const unrealised = held > 0 && unitValue > 0 ? marketValue - basis : 0;
+  // An open holding is valued as if sold today
+  if (!closed && marketValue > 0) flows.push({ date: asOf, amount: marketValue });
+  const first = events[0]?.date || asOf;
+  const last = closed ? events[events.length - 1].date : asOf;
+  return {
+    invested, basis, held, rent, proceeds, marketValue, closed,
+    realised: realised + rent, unrealised,
+    totalGain: realised + rent + unrealised,
+    years: Math.max(0, yearsBetween(first, last)),
+    irr: closed || unitValue > 0 ? xirr(flows) : null,
+  };
+}
+
+// ── CSV import ──
+
+/** Splits one CSV line, honouring double-quoted fields */
+function csvFields(line) {
+  const out = [];
+  let cur = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') { cur += '"'; i++; } else if (c === '"') quoted = false; else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { out.push(cur); cur = ''; } else cur += c;
+  }
+  out.push(cur);
+  return out.map(s => s.trim());
+}
+
+/** A real calendar day as YYYY-MM-DD (Date.parse rolls 02-30 over into March) */
+const isDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(d || '') && !isNaN(Date.parse(d)) && new Date(d).toISOString().slice(0, 10) === d;
+
+const TYPE_ALIASES = {
+  buy: 'purchase', renovation: 'capex', rental: 'rent', refi: 'refinance',
+  'partial sale': 'partial_sale', 'final sale': 'sale', sell: 'sale',
+};
+
+/**
+ * Parse ledger rows from CSV with a header row. Columns: date, project, type,
+ * amount (required); size, share, rate, years, note (optional). Dates may be
+ * YYYY-MM-DD or YYYY-MM. Bad rows come back in `errors` with their line number.
+ */
+export function parseLedgerCsv(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return { rows: [], errors: [{ line: 1, error: 'Empty file' }] };
+  const head = csvFields(lines[0]).map(h => h.toLowerCase());
+  const missing = ['date', 'project', 'type', 'amount'].filter(c => !head.includes(c));
+  if (missing.length) return { rows: [], errors: [{ line: 1, error: `Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}` }] };
+  const rows = [], errors = [];
+  lines.slice(1).forEach((l, i) => {
+    const f = Object.fromEntries(csvFields(l).map((v, k) => [head[k], v]));
+    const line = i + 2;
+    const raw = (f.type || '').toLowerCase();
+    const type = TYPE_IDS.has(raw) ? raw : TYPE_ALIASES[raw];
+    const date = /^\d{4}-\d{2}$/.test(f.date) ? `${f.date}-01` : f.date;
+    const amount = Number(String(f.amount).replace(/[$,\s]/g, ''));
+    if (!type) return errors.push({ line, error: `Unknown type "${f.type}"` });
+    if (!isDate(date)) return errors.push({ line, error: `Bad date "${f.date}"` });
+    if (!f.project) return errors.push({ line, error: 'No project' });
+    if (!(amount >= 0)) return errors.push({ line, error: `Bad amount "${f.amount}"` });
+    const row = { project: f.project.toUpperCase(), type, date, amount };
+    if (f.size) row.size = Number(f.size);
+    if (f.note) row.note = f.note.slice(0, 200);
+    if (type === 'partial_sale') {
+      const share = Number(String(f.share).replace('%', '')) / (String(f.share).includes('%') ? 100 : 1);
+      if (!(share > 0 && share < 1)) return errors.push({ line, error: 'Partial sale needs a share between 0 and 1' });
+      row.share = share;
+    }
+    if (type === 'refinance') {
+      if (f.rate) row.rate = Number(f.rate);
+      if (f.years) row.years = Number(f.years);
+    }
+    rows.push(row);
+  });
+  return { rows, errors };
+}
+
+/**
+ * Add parsed rows to the holdings: onto the open holding of the same project,
+ * else a new holding, which needs the unit size on one of its rows. A project
+ * whose rows would leave its ledger invalid (see ledgerError) is skipped whole.
+ */
+export function importLedger(holdings, rows) {
+  const next = holdings.map(h => ({ ...h }));
+  const errors = [];
+  let added = 0, events = 0;
+  const groups = new Map();
+  for (const r of rows) groups.set(r.project, [...(groups.get(r.project) || []), r]);
+  for (const [project, rs] of groups) {
+    const i = next.findIndex(h => h.project === project && shareHeld(ledgerOf(h)) > 0);
+    const size = i >= 0 ? next[i].size : rs.find(r => r.size > 0)?.size;
+    if (!size) { errors.push({ project, error: 'New holding: give the unit size (size column) on one row' }); continue; }
+    if (i < 0 && next.length >= MAX_HOLDINGS) { errors.push({ project, error: `Portfolio is full (${MAX_HOLDINGS} holdings)` }); continue; }
+    const h = i >= 0 ? next[i] : { id: Date.now() + next.length, project, size, psf: 0, year: +rs[0].date.slice(0, 4), floor: '', label: '' };
+    const merged = [...ledgerOf(h), ...rs.map(({ project: _p, size: _s, ...e }) => ({ id: eventId(), ...e }))];
+    const bad = ledgerError(merged);
+    if (bad) { errors.push({ project, error: bad }); continue; }
+    if (i >= 0) next[i] = syncHolding(h, merged);
+    else { next.push(syncHolding(h, merged)); added++; }
+    events += rs.length;
+  }
+  return { holdings: next, added, events, errors };
+}
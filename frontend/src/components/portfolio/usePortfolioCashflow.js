@@ -0,0 +1,37 @@
+/**
+ * usePortfolioCashflow.js — Holdings' cash-flow projection from
+ * POST /api/v1/portfolio/cashflow, refetched (debounced) when the holdings
+ * or the settings change.
+ */
+import { useState, useEffect } from 'react';
+import { fetchPortfolioCashflow } from '../../services/api';
+import { ledgerOf, shareHeld } from './ledger';
+
+/** The fields of a holding the projection uses; after a partial sale, only the share still held */
+export const cashflowHolding = (h) => {
+  const held = shareHeld(ledgerOf(h));
+  const out = { id: h.id, project: h.project, size: +(h.size * held).toFixed(1), psf: h.psf, year: +h.year };
+  for (const k of ['loanAmount', 'loanRate', 'loanYears', 'rent']) if (h[k] > 0) out[k] = h[k];
+  return out;
+};
+
+export default function usePortfolioCashflow(holdings, settings) {
+  const [cashflow, setCashflow] = useState(null);
+  const [error, setError] = useState(null);
+  // Sold holdings have nothing left to project
+  const valid = holdings.filter(h => h.project && h.size > 0 && h.psf > 0).map(cashflowHolding).filter(h => h.size > 0);
+  const key = JSON.stringify([valid, settings]);
+
+  useEffect(() => {
+    if (!valid.length) { setCashflow(null); return undefined; }
+    let live = true;
+    const t = setTimeout(() => {
+      fetchPortfolioCashflow({ holdings: valid, ...settings })
+        .then(c => { if (live) { setCashflow(c); setError(null); } })
+        .catch(err => { if (live) { setCashflow(null); setError(err.message); } });
+    }, 250);
+    return () => { live = false; clearTimeout(t); };
+  }, [key]);
+
+  return { cashflow, error };
+}
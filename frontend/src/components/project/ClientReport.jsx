@@ -1,7 +1,8 @@
 import { useState, useMemo, useCallback, useRef } from 'react';
 import PropTypes from 'prop-types';
-import { T, computeBucketCAGR } from '../../constants';
+import { T, computeBucketCAGR, fmtAttribution } from '../../constants';
 import { Card, SectionHeader } from '../ui';
+import { useValuation } from './valuation/useValuationData';
 
 // ── Helpers ──
 const fmtPsf = v => `$${(v || 0).toLocaleString()}`;
@@ -14,7 +15,8 @@ const fmtPrice = v => {
 const fmtDate = d => d || '—';
 const uid = () => `r-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
-export default function ClientReport({ projInfo, projData, clientReports, setClientReports }) {
+/** `teamName` when a team workspace is in scope; `readOnly` for its viewers (can build and print, not save) */
+export default function ClientReport({ projInfo, projData, clientReports, setClientReports, teamName, readOnly }) {
   const p = projInfo;
   const txs = projData?.txs || [];
   const floorRanges = projData?.floorRanges || [];
@@ -62,67 +64,12 @@ export default function ClientReport({ projInfo, projData, clientReports, setCli
     return { adjPsf, months, rate: projCagr };
   }, [projCagr]);
 
-  // ── CMA valuation (aligned with ValuationTab model) ──
-  const floorData = projData?.projFloor || [];
-  const cmaEstimate = useMemo(() => {
-    if (!txs.length || !unitArea) return null;
-    const now = new Date();
-    const targetFloorMid = unitFloor ? (() => { const [lo, hi] = unitFloor.split('-').map(Number); return (lo + hi) / 2; })() : null;
-
-    const scored = txs.map(tx => {
-      const [y, m] = (tx.date || '').split('-').map(Number);
-      const monthsAgo = (now.getFullYear() - (y || now.getFullYear())) * 12 + now.getMonth() - ((m || 1) - 1);
-      const recencyW = Math.exp(-0.5 * monthsAgo / 18);
-      const sizeDiff = Math.abs((tx.area || 0) - unitArea);
-      const sizeW = Math.exp(-0.5 * Math.pow(sizeDiff / 150, 2));
-      // Floor weight: 0.5 default (matches ValuationTab), Gaussian σ=8 when floor selected
-      let floorW = 0.5;
-      if (targetFloorMid && tx.floorMid) {
-        floorW = Math.exp(-0.5 * Math.pow((tx.floorMid - targetFloorMid) / 8, 2));
-      }
-      const w = recencyW * sizeW * floorW;
-
-      // Time-adjust PSF using CAGR
-      let adjPsf = tx.psf;
-      if (monthsAgo > 0 && projCagr) {
-        adjPsf = adjPsf * Math.pow(1 + projCagr / 100, monthsAgo / 12);
-      }
-      // Floor premium adjustment: shift PSF by differential between tx floor and target floor
-      if (targetFloorMid && tx.floorMid && floorData.length > 1) {
-        const findPremium = (mid) => {
-          const band = floorData.find(f => { const [lo, hi] = f.range.split('-').map(Number); return mid >= lo && mid <= hi; });
-          return band ? band.premium : 0;
-        };
-        const txPrem = findPremium(tx.floorMid);
-        const targetPrem = findPremium(targetFloorMid);
-        adjPsf = adjPsf * (1 + (targetPrem - txPrem) / 100);
-      }
-
-      return { ...tx, weight: w, adjPsf: Math.round(adjPsf), monthsAgo, sizeDiff };
-    });
-
-    if (!scored.length) return null;
-    const totalW = scored.reduce((s, t) => s + t.weight, 0);
-    if (totalW === 0) return null;
-    const wAvgPsf = Math.round(scored.reduce((s, t) => s + t.adjPsf * t.weight, 0) / totalW);
-    const wStd = Math.round(Math.sqrt(scored.reduce((s, t) => s + t.weight * Math.pow(t.adjPsf - wAvgPsf, 2), 0) / totalW));
-
-    // Confidence: 4-factor when floor selected, 3-factor otherwise (matches ValuationTab)
-    const recent12 = scored.filter(t => t.monthsAgo <= 12).length;
-    const sizeMatches = scored.filter(t => t.sizeDiff < 50).length;
-    const floorMatches = targetFloorMid ? scored.filter(t => t.floorMid && Math.abs(t.floorMid - targetFloorMid) <= 4).length : null;
-    const conf = Math.min(100, Math.round(
-      targetFloorMid
-        ? (Math.min(recent12, 10) / 10) * 30 +
-          (Math.min(sizeMatches, 5) / 5) * 25 +
-          (Math.min(floorMatches, 5) / 5) * 20 +
-          (Math.min(scored.length, 20) / 20) * 25
-        : (Math.min(recent12, 10) / 10) * 40 +
-          (Math.min(sizeMatches, 5) / 5) * 30 +
-          (Math.min(scored.length, 20) / 20) * 30
-    ));
-    return { wAvgPsf, lo: wAvgPsf - wStd, hi: wAvgPsf + wStd, confidence: conf, totalTx: scored.length };
-  }, [txs, unitArea, unitFloor, timeAdjust, projCagr, floorData]);
+  // ── Valuation (same AVM request as the Valuation tab) ──
+  const { valuation } = useValuation(p.name, unitArea, unitFloor);
+  const cmaEstimate = useMemo(() => valuation && {
+    wAvgPsf: valuation.psf, lo: valuation.lo, hi: valuation.hi, level: valuation.level,
+    confidence: valuation.confidence, totalTx: valuation.comparables.length, modelN: valuation.model.n,
+  }, [valuation]);
 
   // ── Reference transaction adjustment ──
   const refTx = refTxIdx !== null ? sortedTxs[refTxIdx] : null;
@@ -273,14 +220,14 @@ export default function ClientReport({ projInfo, projData, clientReports, setCli
         {sec.valuation && cma && <>
           <h2 style={rptH2}>Valuation Estimate</h2>
           <div style={{ background: '#f8fafc', borderRadius: 8, padding: '16px 20px', margin: '8px 0', border: '1px solid #e2e8f0' }}>
-            <div style={{ color: T.textMute, fontSize: T.xs, fontWeight: 600, letterSpacing: 0.5, marginBottom: 4 }}>CMA ESTIMATED VALUE</div>
+            <div style={{ color: T.textMute, fontSize: T.xs, fontWeight: 600, letterSpacing: 0.5, marginBottom: 4 }}>{cma.modelN ? 'MODEL' : 'CMA'} ESTIMATED VALUE</div>
             <div className="highlight" style={{ fontSize: 28, fontWeight: 800, fontFamily: T.mono, color: T.indigo }}>{fmtPrice(cma.wAvgPsf * uc.area)}</div>
             <div style={{ color: T.textSub, fontSize: T.base, marginTop: 4 }}>{fmtPsf(cma.wAvgPsf)} PSF × {(uc.area || 0).toLocaleString()} sqft</div>
             <div style={rptGrid}>
               <RptMetric label="Confidence" value={`${cma.confidence}/100`} color={cma.confidence >= 60 ? T.green : T.amber} />
-              <RptMetric label="Range" value={`${fmtPsf(cma.lo)} – ${fmtPsf(cma.hi)}`} />
+              <RptMetric label={cma.level ? `${Math.round(cma.level * 100)}% Range` : 'Range'} value={`${fmtPsf(cma.lo)} – ${fmtPsf(cma.hi)}`} />
               <RptMetric label="Price Range" value={`${fmtPrice(cma.lo * uc.area)} – ${fmtPrice(cma.hi * uc.area)}`} />
-              <RptMetric label="Comparables Used" value={`${cma.totalTx} transactions`} />
+              <RptMetric label="Comparables Used" value={`${cma.totalTx} transactions${cma.modelN ? ` · model fitted on ${cma.modelN.toLocaleString()} sales` : ''}`} />
             </div>
           </div>
         </>}
@@ -380,9 +327,10 @@ export default function ClientReport({ projInfo, projData, clientReports, setCli
         <button onClick={() => setViewingReport(null)} style={btnStyle(T.textMute)}>← Back to Builder</button>
         <div style={{ display: 'flex', gap: 8 }}>
           <button onClick={handlePrint} style={btnStyle(T.blue)}>Print / PDF</button>
-          <button onClick={() => handleDelete(viewingReport.id)} style={btnStyle(T.red)}>Delete</button>
+          {!readOnly && <button onClick={() => handleDelete(viewingReport.id)} style={btnStyle(T.red)}>Delete</button>}
         </div>
       </div>
+      {viewingReport.createdBy && <div style={{ color: T.textMute, fontSize: T.xs }}>{fmtAttribution(viewingReport)}</div>}
       <Card>
         <div ref={printRef} style={{ padding: '8px 4px' }}>
           {renderReport(viewingReport, true)}
@@ -506,7 +454,10 @@ export default function ClientReport({ projInfo, projData, clientReports, setCli
 
       {/* Actions */}
       <div style={{ display: 'flex', gap: 10, justifyContent: 'space-between', alignItems: 'center' }}>
-        <button onClick={handleSave} style={{ ...btnStyle(T.indigo), padding: '10px 28px', fontSize: T.lg, fontWeight: 700 }}>Save Report Snapshot</button>
+        <button onClick={handleSave} disabled={readOnly} title={readOnly ? 'View-only access to this workspace' : undefined}
+          style={{ ...btnStyle(readOnly ? T.textFaint : T.indigo), padding: '10px 28px', fontSize: T.lg, fontWeight: 700, cursor: readOnly ? 'not-allowed' : 'pointer' }}>
+          {teamName ? `Save to ${teamName}` : 'Save Report Snapshot'}
+        </button>
         <button onClick={handlePrint} style={{ ...btnStyle(T.blue), padding: '10px 20px' }}>Print / PDF</button>
         <button onClick={() => setShowSaved(!showSaved)} style={{ ...btnStyle(T.textSub), padding: '10px 20px' }}>
           Saved Reports ({(clientReports || []).filter(r => r.projectName === p.name).length})
@@ -515,7 +466,7 @@ export default function ClientReport({ projInfo, projData, clientReports, setCli
 
       {/* Saved Reports List */}
       {showSaved && <Card>
-        <div style={{ color: T.text, fontSize: T.md, fontWeight: 700, marginBottom: 10 }}>Saved Reports for {p.name}</div>
+        <div style={{ color: T.text, fontSize: T.md, fontWeight: 700, marginBottom: 10 }}>Saved Reports for {p.name}{teamName ? ` · ${teamName}` : ''}</div>
         {(clientReports || []).filter(r => r.projectName === p.name).length === 0
           ? <div style={{ color: T.textMute, fontSize: T.base, padding: '16px 0', textAlign: 'center' }}>No saved reports yet. Build one above and hit Save.</div>
           : <div style={{ display: 'grid', gap: 8 }}>
@@ -527,10 +478,11 @@ export default function ClientReport({ projInfo, projData, clientReports, setCli
                     {new Date(r.createdAt).toLocaleDateString('en-SG', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })}
                     {' · '}{(r.unitConfig?.area || 0).toLocaleString()} sqft{r.unitConfig?.floor ? ` · Floor ${r.unitConfig.floor}` : ''}
                   </div>
+                  {r.createdBy && <div style={{ color: T.textMute, fontSize: T.xs }}>{fmtAttribution(r)}</div>}
                 </div>
                 <div style={{ display: 'flex', gap: 6 }}>
                   <button onClick={() => handleView(r)} style={btnStyle(T.indigo)}>View</button>
-                  <button onClick={() => handleDelete(r.id)} style={btnStyle(T.red)}>Delete</button>
+                  {!readOnly && <button onClick={() => handleDelete(r.id)} style={btnStyle(T.red)}>Delete</button>}
                 </div>
               </div>
             ))}
@@ -572,4 +524,6 @@ ClientReport.propTypes = {
   projData: PropTypes.object,
   clientReports: PropTypes.array,
   setClientReports: PropTypes.func.isRequired,
+  teamName: PropTypes.string,
+  readOnly: PropTypes.bool,
 };
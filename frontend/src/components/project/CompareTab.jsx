@@ -132,7 +132,7 @@ export default function CompareTab({ proj, cmpPool, cmpSelected, setCmpSelected,
             const cmpP = allProjects[name];
             const isSelf = name === proj;
             const rel = classify(name);
-            const relLabel = rel === 'street' ? 'Same St' : rel === 'district' ? 'Same Dist' : '';
+            const relLabel = rel === 'street' ? 'Same St' : rel === 'radius' ? `${cmpP?.distanceM ?? ''}m` : rel === 'district' ? 'Same Dist' : '';
             return <div key={name} style={{ display: 'flex', alignItems: 'center', gap: 6, background: isSelf ? '#a78bfa12' : T.borderLt, border: isSelf ? '1px solid #a78bfa4D' : '1px solid #e2e8f0', borderRadius: T.r, padding: '6px 10px' }}>
               <div style={{ width: 10, height: 10, borderRadius: 3, background: isSelf ? T.purple : P[i % P.length] }} />
               <div>
@@ -147,7 +147,7 @@ export default function CompareTab({ proj, cmpPool, cmpSelected, setCmpSelected,
         <div style={{ display: 'flex', gap: 12, marginTop: 10 }}>
           <button onClick={() => {
             const street = nearbyProjects.filter(p => p.rel === 'street').slice(0, 4).map(p => p.name);
-            const dist = nearbyProjects.filter(p => p.rel === 'district' && !street.includes(p.name)).slice(0, 3).map(p => p.name);
+            const dist = nearbyProjects.filter(p => (p.rel === 'radius' || p.rel === 'district') && !street.includes(p.name)).slice(0, 3).map(p => p.name);
             setCmpSelected([proj, ...street, ...dist].slice(0, 6));
           }} style={presetBtn}>Nearby</button>
           <button onClick={() => {
@@ -290,7 +290,7 @@ export default function CompareTab({ proj, cmpPool, cmpSelected, setCmpSelected,
           <table><thead><tr>{['Project', 'District', 'Street', 'Txns', 'PSF', 'Yield'].map(h => <th key={h}>{h}</th>)}</tr></thead>
             <tbody>{sel.map((r, i) => {
               const rel = classify(r.name);
-              const relBadge = rel === 'street' ? '●' : rel === 'district' ? '○' : '';
+              const relBadge = rel === 'street' ? '●' : rel === 'radius' ? '◐' : rel === 'district' ? '○' : '';
               return <tr key={r.name}>
                 <td style={{ color: r.name === proj ? T.purple : T.text, fontWeight: r.name === proj ? 700 : 400 }}><div style={{ display: 'flex', alignItems: 'center', gap: 6 }}><div style={{ width: 8, height: 8, borderRadius: 2, background: r.name === proj ? T.purple : P[i % P.length] }} />{r.name}</div></td>
                 <td style={{ color: T.textMute }}>{r.dist}{relBadge ? ` ${relBadge}` : ''}</td>
@@ -301,7 +301,7 @@ export default function CompareTab({ proj, cmpPool, cmpSelected, setCmpSelected,
               </tr>;
             })}</tbody></table>
         </div>
-        <NoteText style={{ marginTop: 12 }}>● Same street · ○ Same district. Projects matched using URA transaction street data.</NoteText>
+        <NoteText style={{ marginTop: 12 }}>● Same street · ◐ Within 1 km (any district) · ○ Same district. Street matches use URA transaction data; distances use URA project coordinates.</NoteText>
       </Card>}
 
       {/* ══════ CHARTS ══════ */}
@@ -375,7 +375,7 @@ function ProjectSearchAdd({ projList, projIndex, nearbyProjects, cmpPool, exclud
   const renderItem = (name) => {
     const meta = projIndex[name];
     const nearbyP = (nearbyProjects || []).find(p => p.name === name);
-    const relLabel = nearbyP?.rel === 'street' ? 'St' : nearbyP?.rel === 'district' ? 'Dist' : '';
+    const relLabel = nearbyP?.rel === 'street' ? 'St' : nearbyP?.rel === 'radius' ? `${nearbyP.distanceM}m` : nearbyP?.rel === 'district' ? 'Dist' : '';
     return (
       <div key={name}
         onClick={() => handleSelect(name)}
@@ -3,11 +3,14 @@ import PropTypes from 'prop-types';
 import { T, computeBucketCAGR, cagrColor, yieldColor, DEFAULT_YIELD } from '../../constants';
 import { Card, SectionHeader, NoteText } from '../ui';
 import { useProjectFilters } from './useProjectFilters';
+import UnitYieldTable from './UnitYieldTable';
 
 export default function InvestmentProjectTab({ projInfo, projData, masterFilters = {} }) {
   const p = projInfo;
   const { filteredTxs, filteredFloorData } = useProjectFilters(projData, masterFilters);
   const [investorMode, setInvestorMode] = useState('overall');
+  // A size's yield is its unit type's, when the size falls in one
+  const sizeYield = (s) => projData?.unitYield?.types.find(t => s >= t.areaMin && s <= t.areaMax)?.yield;
 
   return (
     <div style={{ display: 'grid', gap: 16 }}>
@@ -30,7 +33,7 @@ export default function InvestmentProjectTab({ projInfo, projData, masterFilters
             rows = (projData?.projSizes || []).map(s => {
               const filtered = (filteredTxs || []).filter(tx => Math.abs(tx.size - s) < 50);
               const r = computeBucketCAGR(filtered);
-              return { label: `${s.toLocaleString()} sqft`, sub: `${filtered.length} transactions`, icon: '', ...r, yield: parseFloat(p.yield) || DEFAULT_YIELD };
+              return { label: `${s.toLocaleString()} sqft`, sub: `${filtered.length} transactions`, icon: '', ...r, yield: sizeYield(s) ?? (parseFloat(p.yield) || DEFAULT_YIELD) };
             });
           } else {
             rows = (projData?.floorRanges || []).map(f => {
@@ -95,8 +98,9 @@ export default function InvestmentProjectTab({ projInfo, projData, masterFilters
             {rows.some(r => r.lowConf) && <div style={{ marginTop: 10, display: 'flex', alignItems: 'center', gap: 6, color: T.amber, fontSize: T.sm }}><span style={{ fontWeight: 700 }}>!</span><span>* Dimmed rows have fewer than 3 transactions in start or end year — CAGR may be unreliable</span></div>}
           </div>;
         })()}
-        <NoteText style={{ marginTop: 12 }}>CAGR = (End PSF ÷ Start PSF)^(1/years) − 1. Total Return = CAGR + Gross Yield (simple additive).</NoteText>
+        <NoteText style={{ marginTop: 12 }}>CAGR = (End PSF ÷ Start PSF)^(1/years) − 1. Total Return = CAGR + Gross Yield (simple additive). By size, yield is the unit type&apos;s (below) where the size falls in one.</NoteText>
       </Card>
+      <UnitYieldTable unitYield={projData?.unitYield} />
     </div>
   );
 }
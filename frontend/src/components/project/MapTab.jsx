@@ -0,0 +1,89 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { useNavigate } from 'react-router-dom';
+import { SEG_COLORS as SC, T } from '../../constants';
+import { Card, SectionHeader, NoteText } from '../ui';
+import DistrictMap from '../shared/DistrictMap';
+import { fetchMapData, fetchNearbyProjects } from '../../services/api';
+
+const RADII = [500, 1000, 2000];
+
+export default function MapTab({ proj }) {
+  const navigate = useNavigate();
+  const [radiusM, setRadiusM] = useState(1000);
+  const [mapData, setMapData] = useState(null);
+  const [nearby, setNearby] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchMapData().then(setMapData).catch(err => setError(err.message));
+  }, []);
+
+  useEffect(() => {
+    let live = true;
+    fetchNearbyProjects(proj, radiusM).then(d => { if (live) setNearby(d); }).catch(err => { if (live) setError(err.message); });
+    return () => { live = false; };
+  }, [proj, radiusM]);
+
+  const loc = nearby?.location;
+  const points = useMemo(() => (mapData?.projects || []).map(p => ({
+    name: p.name, lat: p.lat, lng: p.lng, color: SC[p.segment] || T.blue,
+    label: `${p.name} · ${p.district}${p.psf ? ` · $${p.psf.toLocaleString()} psf` : ''}`,
+  })), [mapData]);
+  const focus = useMemo(() => loc && { lat: loc.lat, lng: loc.lng, radiusM: radiusM * 1.6 }, [loc, radiusM]);
+
+  const comps = nearby?.projects || [];
+  const crossDistrict = comps.filter(c => !c.sameDistrict).length;
+
+  return (
+    <Card>
+      <SectionHeader title="Location" sub={loc
+        ? `${comps.length} projects with recent sales within ${radiusM.toLocaleString()} m of ${proj}${crossDistrict ? `, ${crossDistrict} across a district line` : ''}.`
+        : 'URA has not published coordinates for this project.'} />
+      <div role="radiogroup" aria-label="Radius" style={{ display: 'flex', gap: 6, marginBottom: 12 }}>
+        {RADII.map(r => (
+          <button key={r} role="radio" aria-checked={radiusM === r} onClick={() => setRadiusM(r)}
+            style={{ background: radiusM === r ? T.blue : '#fff', color: radiusM === r ? '#fff' : T.text, border: `1px solid ${radiusM === r ? T.blue : '#cbd5e1'}`, borderRadius: T.r, padding: '4px 12px', fontSize: T.md, cursor: 'pointer', fontFamily: T.mono }}>
+            {r < 1000 ? `${r} m` : `${r / 1000} km`}
+          </button>
+        ))}
+      </div>
+      {error && <div role="alert" style={{ color: T.red, fontSize: T.md, marginBottom: 12 }}>Map data unavailable: {error}</div>}
+      {mapData && loc && (
+        <DistrictMap districts={mapData.districts} points={points} highlight={proj} focus={focus}
+          circle={{ lat: loc.lat, lng: loc.lng, radiusM }} onPointClick={name => name !== proj && navigate(`/project/${encodeURIComponent(name)}`)} />
+      )}
+      {comps.length > 0 && (
+        <div style={{ overflowX: 'auto', marginTop: 16 }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: T.md }}>
+            <thead>
+              <tr style={{ color: T.textMute, textAlign: 'left' }}>
+                <th style={{ padding: '6px 8px' }}>Project</th>
+                <th style={{ padding: '6px 8px' }}>District</th>
+                <th style={{ padding: '6px 8px', textAlign: 'right' }}>Distance</th>
+                <th style={{ padding: '6px 8px', textAlign: 'right' }}>Avg PSF</th>
+                <th style={{ padding: '6px 8px', textAlign: 'right' }}>Sales</th>
+              </tr>
+            </thead>
+            <tbody>
+              {comps.map(c => (
+                <tr key={c.name} onClick={() => navigate(`/project/${encodeURIComponent(c.name)}`)} style={{ borderTop: `1px solid ${T.borderLt}`, cursor: 'pointer' }}>
+                  <td style={{ padding: '6px 8px', color: T.text, fontWeight: 600 }}>{c.name}</td>
+                  <td style={{ padding: '6px 8px', color: c.sameDistrict ? T.textSub : T.purple }}>{c.district}{c.sameDistrict ? '' : ' ↗'}</td>
+                  <td style={{ padding: '6px 8px', textAlign: 'right', fontFamily: T.mono }}>{c.distanceM.toLocaleString()} m</td>
+                  <td style={{ padding: '6px 8px', textAlign: 'right', fontFamily: T.mono }}>${c.psf.toLocaleString()}</td>
+                  <td style={{ padding: '6px 8px', textAlign: 'right', fontFamily: T.mono }}>{c.n}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <NoteText style={{ marginTop: 12 }}>Distances are straight-line from URA project coordinates. District areas are approximated from where projects sit, not official boundaries. ↗ marks a different district.</NoteText>
+    </Card>
+  );
+}
+
+MapTab.propTypes = {
+  proj: PropTypes.string.isRequired,
+};
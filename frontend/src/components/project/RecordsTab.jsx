@@ -2,6 +2,7 @@ import { useState, useMemo, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { T } from '../../constants';
 import { Card, SectionHeader } from '../ui';
+import ExportButton from '../shared/ExportButton';
 
 export default function RecordsTab({ projInfo, projData, masterFilters = {} }) {
   const p = projInfo;
@@ -79,14 +80,24 @@ export default function RecordsTab({ projInfo, projData, masterFilters = {} }) {
     <div style={{ display: 'grid', gap: 16 }}>
       <SectionHeader title="Sale Transactions" sub={`${filteredTx.length} of ${(projData?.projTx || []).length} sales for ${p.name}.`} />
       <Card>
-        {sizeOptions.length > 1 && <div style={{ marginBottom: 12, display: 'flex', gap: 8, alignItems: 'center' }}>
-          <span style={{ color: T.textSub, fontSize: T.md }}>Filter by size:</span>
-          <select value={sizeFilter} onChange={e => setSizeFilter(e.target.value)} style={{ background: '#fff', border: '1px solid #cbd5e1', borderRadius: T.r, padding: '6px 10px', color: T.text, fontSize: T.base, cursor: 'pointer', outline: 'none', fontFamily: T.mono }}>
-            <option value="">All Sizes</option>
-            {sizeOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
-          </select>
-          {sizeFilter && <button onClick={() => setSizeFilter('')} style={{ background: 'none', border: 'none', color: T.textMute, cursor: 'pointer', fontSize: T.md }}>✕ Clear</button>}
-        </div>}
+        <div style={{ marginBottom: 12, display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+          {sizeOptions.length > 1 && <>
+            <span style={{ color: T.textSub, fontSize: T.md }}>Filter by size:</span>
+            <select value={sizeFilter} onChange={e => setSizeFilter(e.target.value)} style={{ background: '#fff', border: '1px solid #cbd5e1', borderRadius: T.r, padding: '6px 10px', color: T.text, fontSize: T.base, cursor: 'pointer', outline: 'none', fontFamily: T.mono }}>
+              <option value="">All Sizes</option>
+              {sizeOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+            {sizeFilter && <button onClick={() => setSizeFilter('')} style={{ background: 'none', border: 'none', color: T.textMute, cursor: 'pointer', fontSize: T.md }}>✕ Clear</button>}
+          </>}
+          {/* Server export covers the project's full history; only sale type and tenure carry over */}
+          <div style={{ marginLeft: 'auto' }}>
+            <ExportButton
+              dataset="sales"
+              params={{ project: p.name, type: saleType !== 'all' ? saleType : undefined, tenure: tenureFilter !== 'all' ? tenureFilter : undefined }}
+              disabled={(projData?.projTx || []).length === 0}
+            />
+          </div>
+        </div>
         <div style={{ overflowX: 'auto' }}>
           <table>
             <thead><tr>{['Date', 'Floor', 'Beds', 'Area (sf)', 'Price', 'PSF', 'Type'].map(h => <th key={h}>{h}</th>)}</tr></thead>
@@ -124,6 +135,9 @@ export default function RecordsTab({ projInfo, projData, masterFilters = {} }) {
             <option value="3000-99999">3,000+ sf</option>
           </select>
           {(rentBedFilter || rentAreaFilter) && <button onClick={() => { setRentBedFilter(''); setRentAreaFilter(''); }} style={{ background: 'none', border: 'none', color: T.textMute, cursor: 'pointer', fontSize: T.md }}>✕ Clear</button>}
+          <div style={{ marginLeft: 'auto' }}>
+            <ExportButton dataset="rental" params={{ project: p.name, bedrooms: rentBedFilter, areaSqft: rentAreaFilter }} />
+          </div>
         </div>}
         <div style={{ overflowX: 'auto' }}>
           <table>
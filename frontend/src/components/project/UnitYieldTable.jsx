@@ -0,0 +1,53 @@
+/**
+ * UnitYieldTable.jsx — Gross yield per bedroom count (projData.unitYield),
+ * with the types whose rent is a district or segment estimate flagged.
+ */
+import PropTypes from 'prop-types';
+import { T, yieldColor } from '../../constants';
+import { Card, SectionHeader, NoteText } from '../ui';
+
+const SOURCE = {
+  project: { l: 'This project', c: T.green },
+  district: { l: 'District estimate', c: T.amber },
+  segment: { l: 'Segment estimate', c: T.red },
+};
+
+export default function UnitYieldTable({ unitYield }) {
+  if (!unitYield?.types.length) return null;
+  const u = unitYield;
+
+  return <>
+    <SectionHeader title="Yield by Unit Type" sub={`Rents matched to sales by bedroom count and size${u.blended !== null ? ` · ${u.blended}% across the unit mix` : ''}`} />
+    <Card>
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ margin: 0 }}>
+          <thead><tr>{['Unit type', 'Sizes (sqft)', 'Sale PSF', 'Rent / mo', 'Rent PSF', 'Gross yield', 'Rent from'].map(h => <th key={h}>{h}</th>)}</tr></thead>
+          <tbody>{u.types.map(t => {
+            const s = SOURCE[t.source];
+            return <tr key={t.beds}>
+              <td style={{ color: T.text, fontWeight: 600 }}>{t.beds} BR<div style={{ color: T.textSub, fontSize: T.xs, fontWeight: 400 }}>{t.sales} sale{t.sales === 1 ? '' : 's'}</div></td>
+              <td style={{ color: T.textSub, fontFamily: T.mono, fontSize: T.md }}>{t.areaMin === t.areaMax ? t.areaMin.toLocaleString() : `${t.areaMin.toLocaleString()}–${t.areaMax.toLocaleString()}`}</td>
+              <td style={{ fontFamily: T.mono }}>${t.salePsf.toLocaleString()}</td>
+              <td style={{ fontFamily: T.mono }}>${t.rent.toLocaleString()}</td>
+              <td style={{ color: T.textSub, fontFamily: T.mono }}>${t.rentPsf.toFixed(2)}</td>
+              <td style={{ color: yieldColor(t.yield), fontFamily: T.mono, fontWeight: 700 }}>{t.yield}%</td>
+              <td style={{ fontSize: T.md }}>
+                <span style={{ color: s.c, fontWeight: 600 }}>{s.l}</span>
+                <div style={{ color: T.textSub, fontSize: T.xs }}>{t.rentals ? `${t.rentals} contract${t.rentals === 1 ? '' : 's'} · ${t.rentalPeriod}` : 'segment average yield'}</div>
+              </td>
+            </tr>;
+          })}</tbody>
+        </table>
+      </div>
+      {u.fallback && <div role="note" style={{ marginTop: 10, display: 'flex', alignItems: 'center', gap: 6, color: T.amber, fontSize: T.sm }}>
+        <span style={{ fontWeight: 700 }}>!</span><span>Too few of this project&apos;s own contracts for some unit types: their rent is a district or segment estimate, not this project&apos;s.</span>
+      </div>}
+      <NoteText style={{ marginTop: 12 }}>Each sale is typed by bedroom count from its size, then priced against rental contracts with the same bedroom count whose area band takes it in. Gross yield = rent PSF × 12 ÷ sale PSF, before vacancy, tax and costs.{u.ambiguous > 0 ? ` ${u.ambiguous} sale${u.ambiguous === 1 ? '' : 's'} sized between two bedroom counts ${u.ambiguous === 1 ? 'is' : 'are'} left out.` : ''}</NoteText>
+    </Card>
+  </>;
+}
+
+UnitYieldTable.propTypes = {
+  /** projData.unitYield: { types: [{ beds, areaMin, areaMax, salePsf, rent, rentPsf, yield, sales, rentals, source, rentalPeriod }], blended, fallback, ... } */
+  unitYield: PropTypes.object,
+};
@@ -1,12 +1,15 @@
 import { useState, useMemo, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import { T, computeBucketCAGR, DEFAULT_YIELD } from '../../constants';
-import { Card, SectionHeader, NoteText } from '../ui';
+import { Card, SectionHeader } from '../ui';
 import { useProjectFilters } from './useProjectFilters';
+import { useValuation } from './valuation/useValuationData';
+import ValuationModelCard from './valuation/ValuationModelCard';
+import AcquisitionCalculator from './valuation/AcquisitionCalculator';
 
 export default function ValuationTab({ projInfo, projData, masterFilters = {} }) {
   const p = projInfo;
-  const { filteredTxs, filteredFloorData, hasFilters } = useProjectFilters(projData, masterFilters);
+  const { filteredTxs } = useProjectFilters(projData, masterFilters);
 
   // ── Price Estimator state ──
   const [expandedTier, setExpandedTier] = useState(null);
@@ -128,91 +131,8 @@ export default function ValuationTab({ projInfo, projData, masterFilters = {} })
     return [...(projData?.txs || [])].sort((a, b) => b.date.localeCompare(a.date));
   }, [projData]);
 
-  // ── Valuation Model (CMA-based, SRX-style) ──
-  const valuationModel = useMemo(() => {
-    const txs = hasFilters ? filteredTxs : (projData?.txs || []);
-    if (txs.length < 3) return null;
-    const floorData = filteredFloorData.floors;
-    const now = new Date();
-    const targetSize = pArea;
-    const targetFloorMid = pFloor ? (() => { const [lo, hi] = pFloor.split('-').map(Number); return (lo + hi) / 2; })() : null;
-
-    // Score and adjust each transaction
-    const scored = txs.map(tx => {
-      // ── Recency weight: exponential decay (half-life ~25 months) ──
-      const [y, m] = tx.date.split('-').map(Number);
-      const txTime = new Date(y, (m || 1) - 1, 15);
-      const monthsAgo = Math.max(0, (now.getFullYear() - txTime.getFullYear()) * 12 + now.getMonth() - txTime.getMonth());
-      const recencyW = Math.exp(-0.5 * monthsAgo / 18);
-
-      // ── Size similarity weight: Gaussian, σ = 150 sqft ──
-      const sizeDiff = Math.abs(tx.area - targetSize);
-      const sizeW = Math.exp(-0.5 * Math.pow(sizeDiff / 150, 2));
-
-      // ── Floor similarity weight: Gaussian, σ = 8 floors ──
-      let floorW = 0.5; // default if no floor selected
-      if (targetFloorMid && tx.floorMid) {
-        const floorDiff = Math.abs(tx.floorMid - targetFloorMid);
-        floorW = Math.exp(-0.5 * Math.pow(floorDiff / 8, 2));
-      }
-
-      const weight = recencyW * sizeW * floorW;
-
-      // ── Adjustments ──
-      let adjPsf = tx.psf;
-
-      // Time adjustment: bring PSF forward to today using CAGR
-      if (monthsAgo > 0 && projCagr) {
-        adjPsf = adjPsf * Math.pow(1 + projCagr / 100, monthsAgo / 12);
-      }
-
-      // Floor adjustment: if user selected a floor, adjust PSF by floor premium differential
-      if (targetFloorMid && tx.floorMid && floorData.length > 1) {
-        const findPremium = (mid) => {
-          const band = floorData.find(f => { const [lo, hi] = f.range.split('-').map(Number); return mid >= lo && mid <= hi; });
-          return band ? band.premium : 0;
-        };
-        const txPrem = findPremium(tx.floorMid);
-        const targetPrem = findPremium(targetFloorMid);
-        const premDiff = (targetPrem - txPrem) / 100;
-        adjPsf = adjPsf * (1 + premDiff);
-      }
-
-      return { ...tx, adjPsf: Math.round(adjPsf), weight, monthsAgo, sizeDiff, recencyW, sizeW, floorW };
-    });
-
-    // Weighted average
-    const totalW = scored.reduce((s, t) => s + t.weight, 0);
-    if (totalW === 0) return null;
-    const wAvgPsf = Math.round(scored.reduce((s, t) => s + t.adjPsf * t.weight, 0) / totalW);
-
-    // Weighted standard deviation for confidence range
-    const variance = scored.reduce((s, t) => s + t.weight * Math.pow(t.adjPsf - wAvgPsf, 2), 0) / totalW;
-    const stdDev = Math.round(Math.sqrt(variance));
-    const lowPsf = wAvgPsf - stdDev;
-    const highPsf = wAvgPsf + stdDev;
-
-    // Top 5 comparables by weight
-    const topComps = [...scored].sort((a, b) => b.weight - a.weight).slice(0, 5);
-
-    // Confidence score (0-100): based on number of recent comparables, size matches, and floor matches
-    const recent6mo = scored.filter(t => t.monthsAgo <= 6).length;
-    const recent12mo = scored.filter(t => t.monthsAgo <= 12).length;
-    const sizeMatches = scored.filter(t => t.sizeDiff < 50).length;
-    const floorMatches = targetFloorMid ? scored.filter(t => t.floorMid && Math.abs(t.floorMid - targetFloorMid) <= 4).length : null;
-    const conf = Math.min(100, Math.round(
-      targetFloorMid
-        ? (Math.min(recent12mo, 10) / 10) * 30 +
-          (Math.min(sizeMatches, 5) / 5) * 25 +
-          (Math.min(floorMatches, 5) / 5) * 20 +
-          (Math.min(scored.length, 20) / 20) * 25
-        : (Math.min(recent12mo, 10) / 10) * 40 +
-          (Math.min(sizeMatches, 5) / 5) * 30 +
-          (Math.min(scored.length, 20) / 20) * 30
-    ));
-
-    return { wAvgPsf, lowPsf, highPsf, stdDev, topComps, totalTx: scored.length, recent6mo, recent12mo, sizeMatches, floorMatches, conf, cagr: projCagr };
-  }, [projData, pArea, pFloor, projCagr, filteredTxs, filteredFloorData, hasFilters]);
+  // ── Valuation Model (backend hedonic AVM, shared with ClientReport) ──
+  const { valuation, error: valuationError } = useValuation(p.name, pArea, pFloor, masterFilters.saleType);
 
   return (
     <div style={{ display: 'grid', gap: 16 }}>
@@ -423,78 +343,11 @@ export default function ValuationTab({ projInfo, projData, masterFilters = {} })
         })}
       </Card>
 
-      {/* ── VALUATION MODEL ── */}
-      {valuationModel && <><SectionHeader title="Valuation Model" sub={`Comparable Market Analysis — ${valuationModel.totalTx} transactions scored by recency, size & floor similarity${projCagr != null ? `, time-adjusted at ${projCagr > 0 ? '+' : ''}${Number(projCagr).toFixed(1)}% CAGR` : ''}.`} />
-      <Card>
-        <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 2fr) 1fr', gap: 12, marginBottom: 16 }}>
-          {/* Estimated Value */}
-          <div style={{ background: 'linear-gradient(135deg,#06b6d418,#8b5cf618)', borderRadius: T.rLg, padding: '18px 16px', border: '1px solid #06b6d426' }}>
-            <div style={{ color: T.textMute, fontSize: T.sm, fontWeight: 600, letterSpacing: 0.5, marginBottom: 6 }}>ESTIMATED VALUE</div>
-            <div style={{ color: T.text, fontSize: 32, fontWeight: 800, fontFamily: T.mono, lineHeight: 1 }}>${(valuationModel.wAvgPsf * pArea).toLocaleString()}</div>
-            <div style={{ color: T.textSub, fontSize: T.base, marginTop: 6 }}>${valuationModel.wAvgPsf.toLocaleString()} PSF × {pArea.toLocaleString()} sqft{pFloor ? ` · Floor ${pFloor}` : ''}</div>
-            <div style={{ display: 'flex', gap: 16, marginTop: 10 }}>
-              <div style={{ color: T.textMute, fontSize: T.sm }}>
-                <span style={{ color: T.textSub, fontWeight: 600 }}>Range: </span>
-                <span style={{ fontFamily: T.mono }}>${valuationModel.lowPsf.toLocaleString()} — ${valuationModel.highPsf.toLocaleString()} PSF</span>
-              </div>
-              <div style={{ color: T.textMute, fontSize: T.sm }}>
-                <span style={{ color: T.textSub, fontWeight: 600 }}>±</span>
-                <span style={{ fontFamily: T.mono }}> ${(valuationModel.stdDev * pArea).toLocaleString()}</span>
-              </div>
-            </div>
-          </div>
-          {/* Confidence */}
-          <div style={{ background: T.borderLt, borderRadius: T.rLg, padding: '18px 16px', border: `1px solid ${T.border}`, display: 'flex', flexDirection: 'column', justifyContent: 'center', alignItems: 'center' }}>
-            <div style={{ color: T.textMute, fontSize: T.sm, fontWeight: 600, marginBottom: 8 }}>CONFIDENCE</div>
-            <div style={{ fontSize: 40, fontWeight: 800, fontFamily: T.mono, color: valuationModel.conf >= 70 ? T.green : valuationModel.conf >= 40 ? T.amber : T.red }}>{valuationModel.conf}</div>
-            <div style={{ color: T.textMute, fontSize: T.sm, marginTop: 4 }}>/ 100</div>
-            <div style={{ width: '80%', height: 6, background: T.border, borderRadius: 3, marginTop: 8, overflow: 'hidden' }}>
-              <div style={{ width: `${valuationModel.conf}%`, height: '100%', background: valuationModel.conf >= 70 ? T.green : valuationModel.conf >= 40 ? T.amber : T.red, borderRadius: 3, transition: 'width 0.3s' }} />
-            </div>
-          </div>
-        </div>
-
-        {/* Model Inputs */}
-        <div style={{ display: 'grid', gridTemplateColumns: `repeat(${valuationModel.floorMatches != null ? 5 : 4}, 1fr)`, gap: 10, marginBottom: 16 }}>
-          {[
-            { label: 'Total Comparables', val: valuationModel.totalTx, ic: '' },
-            { label: 'Last 6 Months', val: valuationModel.recent6mo, ic: '' },
-            { label: 'Last 12 Months', val: valuationModel.recent12mo, ic: '' },
-            { label: 'Size Matches', val: `${valuationModel.sizeMatches} (±50sf)`, ic: '' },
-            ...(valuationModel.floorMatches != null ? [{ label: 'Floor Matches', val: `${valuationModel.floorMatches} (±4fl)`, ic: '' }] : []),
-          ].map(s => <div key={s.label} style={{ background: T.borderLt, borderRadius: T.r, padding: '10px 12px', textAlign: 'center' }}>
-            <div style={{ fontSize: 14, marginBottom: 4 }}>{s.ic}</div>
-            <div style={{ color: T.text, fontFamily: T.mono, fontWeight: 700, fontSize: T.lg }}>{s.val}</div>
-            <div style={{ color: T.textMute, fontSize: T.xs }}>{s.label}</div>
-          </div>)}
-        </div>
+      {/* ── ACQUISITION COST ── */}
+      <AcquisitionCalculator estimate={bestAdjPsf * pArea} />
 
-        {/* Top Comparables */}
-        <div style={{ color: T.textSub, fontSize: T.sm, fontWeight: 600, marginBottom: 8 }}>TOP COMPARABLES — highest similarity score</div>
-        <table style={{ margin: 0 }}>
-          <thead><tr>
-            {['Sim', 'Date', 'Floor', 'Area', 'Raw PSF', 'Adj PSF', 'Price', 'Type'].map(h => <th key={h} style={{ fontSize: T.sm, padding: '5px 8px' }}>{h}</th>)}
-          </tr></thead>
-          <tbody>
-            {valuationModel.topComps.map((tx, i) => <tr key={i}>
-              <td style={{ fontFamily: T.mono, fontSize: T.md }}>
-                <div style={{ width: 36, height: 18, background: T.border, borderRadius: 9, overflow: 'hidden', display: 'inline-block', verticalAlign: 'middle', marginRight: 6 }}>
-                  <div style={{ width: `${Math.round(tx.weight / valuationModel.topComps[0].weight * 100)}%`, height: '100%', background: T.blue, borderRadius: 9 }} />
-                </div>
-                <span style={{ color: T.textSub }}>{(tx.weight / valuationModel.topComps[0].weight * 100).toFixed(0)}</span>
-              </td>
-              <td style={{ color: T.textMute, fontSize: T.md, whiteSpace: 'nowrap' }}>{tx.date}</td>
-              <td style={{ fontFamily: T.mono, fontSize: T.md }}>{tx.floorRange || '—'}</td>
-              <td style={{ fontFamily: T.mono, fontSize: T.md }}>{tx.area.toLocaleString()} sf</td>
-              <td style={{ color: T.textMute, fontFamily: T.mono, fontSize: T.md }}>${tx.psf.toLocaleString()}</td>
-              <td style={{ color: T.blue, fontFamily: T.mono, fontWeight: 600, fontSize: T.md }}>${tx.adjPsf.toLocaleString()}</td>
-              <td style={{ fontFamily: T.mono, fontSize: T.md }}>${tx.price.toLocaleString()}</td>
-              <td style={{ color: T.textMute, fontSize: T.sm }}>{tx.saleType || '—'}</td>
-            </tr>)}
-          </tbody>
-        </table>
-        <NoteText>Model uses weighted Comparable Market Analysis. Each transaction scored by: recency (exponential decay, ~25mo half-life), size similarity (±150sf Gaussian), floor proximity (±8 floors Gaussian).{projCagr != null ? ` PSF adjusted forward to today using ${projCagr > 0 ? '+' : ''}${Number(projCagr).toFixed(1)}% project CAGR` : ''}{pFloor ? ' and floor premium differential' : ''}. Confidence based on recent comparable volume and size match density.</NoteText>
-      </Card></>}
+      {/* ── VALUATION MODEL ── */}
+      <ValuationModelCard valuation={valuation} error={valuationError} />
 
     </div>
   );
@@ -502,6 +355,7 @@ export default function ValuationTab({ projInfo, projData, masterFilters = {} })
 
 ValuationTab.propTypes = {
   projInfo: PropTypes.shape({
+    name: PropTypes.string,
     avgPsf: PropTypes.number.isRequired,
     yield: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
     rentPsf: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
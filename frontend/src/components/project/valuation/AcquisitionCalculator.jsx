@@ -0,0 +1,107 @@
+/**
+ * AcquisitionCalculator.jsx — Stamp duties, loan and cost of ownership
+ * (POST /api/v1/acquisition-cost), pre-filled from the Price Estimator.
+ */
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { T } from '../../../constants';
+import { Card, SectionHeader, StatCard, NoteText } from '../../ui';
+import { useAcquisitionCost } from './useValuationData';
+
+const PROFILES = [
+  { id: 'citizen', l: 'Citizen' }, { id: 'pr', l: 'PR' },
+  { id: 'foreigner', l: 'Foreigner' }, { id: 'entity', l: 'Entity' },
+];
+const LIMITED_BY = { ltv: 'LTV limit', tdsr: 'TDSR', requested: 'your LTV' };
+
+const money = (v) => `$${Math.round(v).toLocaleString()}`;
+const num = (s) => (s === '' ? undefined : Number(s));
+
+/** Years to show from the amortisation schedule: the first, every fifth and the last */
+export const scheduleRows = (schedule) =>
+  schedule.filter((y, i) => i === 0 || y.year % 5 === 0 || i === schedule.length - 1);
+
+export default function AcquisitionCalculator({ estimate }) {
+  // Price follows the estimate until it is typed over
+  const [price, setPrice] = useState(null);
+  const [profile, setProfile] = useState('citizen');
+  const [propertyCount, setPropertyCount] = useState(1);
+  const [ltvPct, setLtvPct] = useState('');
+  const [rate, setRate] = useState('3');
+  const [years, setYears] = useState('25');
+  const [income, setIncome] = useState('');
+  const [holdYears, setHoldYears] = useState('5');
+  const [maintenance, setMaintenance] = useState('');
+
+  const p = price === null ? Math.round(estimate || 0) : Number(price) || 0;
+  const req = { price: p, profile, propertyCount, rate: num(rate) ?? 0, years: num(years) || 25, holdYears: num(holdYears) || 5 };
+  if (ltvPct !== '') req.ltv = Math.min(75, Number(ltvPct)) / 100;
+  if (num(income)) req.income = num(income);
+  if (num(maintenance)) req.maintenance = num(maintenance);
+  const { cost: c, error } = useAcquisitionCost(req);
+
+  const inputStyle = { background: T.card, border: `1px solid ${T.textFaint}`, borderRadius: 6, padding: '8px 12px', color: T.text, fontSize: T.base, fontFamily: T.mono, outline: 'none', width: '100%' };
+  const field = (label, input) => <label style={{ display: 'block' }}>
+    <span style={{ color: T.textMute, fontSize: T.sm, fontWeight: 600, marginBottom: 6, display: 'block' }}>{label}</span>
+    {input}
+  </label>;
+
+  return <>
+    <SectionHeader title="Acquisition Cost" sub="Stamp duties, financing and cost of ownership at today's rules. The price starts at the best estimate above." />
+    <Card>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(150px, 1fr))', gap: 10, marginBottom: 16 }}>
+        {field('PRICE', <input type="number" value={price === null ? p || '' : price} onChange={e => setPrice(e.target.value)} style={inputStyle} />)}
+        {field('BUYER', <select value={profile} onChange={e => setProfile(e.target.value)} style={inputStyle}>
+          {PROFILES.map(o => <option key={o.id} value={o.id}>{o.l}</option>)}
+        </select>)}
+        {field('PROPERTY NO.', <select value={propertyCount} onChange={e => setPropertyCount(Number(e.target.value))} style={inputStyle}>
+          <option value={1}>1st</option><option value={2}>2nd</option><option value={3}>3rd or more</option>
+        </select>)}
+        {field('LOAN % (MAX 75)', <input type="number" min={0} max={75} placeholder="max" value={ltvPct} onChange={e => setLtvPct(e.target.value)} style={inputStyle} />)}
+        {field('RATE % P.A.', <input type="number" min={0} step={0.1} value={rate} onChange={e => setRate(e.target.value)} style={inputStyle} />)}
+        {field('TENURE (YRS)', <input type="number" min={1} max={35} value={years} onChange={e => setYears(e.target.value)} style={inputStyle} />)}
+        {field('MONTHLY INCOME', <input type="number" min={0} placeholder="for TDSR" value={income} onChange={e => setIncome(e.target.value)} style={inputStyle} />)}
+        {field('HOLD (YRS)', <input type="number" min={1} max={50} value={holdYears} onChange={e => setHoldYears(e.target.value)} style={inputStyle} />)}
+        {field('MAINTENANCE / MO', <input type="number" min={0} value={maintenance} onChange={e => setMaintenance(e.target.value)} style={inputStyle} />)}
+      </div>
+
+      {error && <div role="alert" style={{ color: T.red, fontSize: T.md, marginBottom: 12 }}>Cost unavailable: {error}</div>}
+
+      {c && <>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(160px, 1fr))', gap: 10, marginBottom: 16 }}>
+          <StatCard label="Stamp duty" value={money(c.stampDuty.total)} sub={`BSD ${money(c.stampDuty.bsd)} · ABSD ${Math.round(c.stampDuty.absdRate * 100)}% ${money(c.stampDuty.absd)}`} />
+          <StatCard label="Loan" value={money(c.loan.amount)} sub={`${(c.loan.ltv * 100).toFixed(0)}% LTV · set by ${LIMITED_BY[c.loan.limitedBy]}`} />
+          <StatCard label="Monthly instalment" value={money(c.loan.monthly)} sub={`${c.loan.years} yrs at ${c.loan.rate}% · interest ${money(c.loan.totalInterest)}`} />
+          <StatCard label="Cash up front" value={money(c.cash.upfront)} sub={`downpayment ${money(c.cash.downpayment)}, ${money(c.cash.minCash)} in cash`} />
+          <StatCard label={`Cost of ownership, ${c.tco.years} yrs`} value={money(c.tco.total)} sub={`${(c.tco.total / c.price * 100).toFixed(1)}% of price${c.tco.ssd ? ` · incl. SSD ${money(c.tco.ssd)}` : ''}`} />
+        </div>
+
+        {c.loan.tdsr && <div style={{ color: c.loan.tdsr.ratio > c.loan.tdsr.limit ? T.red : T.textSub, fontSize: T.sm, marginBottom: 12 }}>
+          TDSR {(c.loan.tdsr.ratio * 100).toFixed(1)}% of income at the {c.loan.tdsr.stressRate}% stress rate (limit {c.loan.tdsr.limit * 100}%) · largest loan the income supports {money(c.loan.tdsr.maxLoan)}
+        </div>}
+
+        {c.ssd.length > 0 && <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', color: T.textMute, fontSize: T.sm, marginBottom: 16 }}>
+          <span style={{ color: T.textSub, fontWeight: 600 }}>SSD if sold within:</span>
+          {c.ssd.map(s => <span key={s.year}>{s.year} yr{s.year > 1 ? 's' : ''} <span style={{ fontFamily: T.mono, color: T.amber }}>{Math.round(s.rate * 100)}% · {money(s.amount)}</span></span>)}
+        </div>}
+
+        {c.loan.schedule.length > 0 && <table style={{ margin: 0 }}>
+          <thead><tr>{['Year', 'Paid', 'Interest', 'Principal', 'Balance'].map(h => <th key={h} style={{ fontSize: T.sm, padding: '5px 8px' }}>{h}</th>)}</tr></thead>
+          <tbody>{scheduleRows(c.loan.schedule).map(y => <tr key={y.year}>
+            <td style={{ color: T.textMute, fontSize: T.md }}>{y.year}</td>
+            <td style={{ fontFamily: T.mono, fontSize: T.md }}>{money(y.payment)}</td>
+            <td style={{ fontFamily: T.mono, fontSize: T.md, color: T.red }}>{money(y.interest)}</td>
+            <td style={{ fontFamily: T.mono, fontSize: T.md, color: T.green }}>{money(y.principal)}</td>
+            <td style={{ fontFamily: T.mono, fontSize: T.md }}>{money(y.balance)}</td>
+          </tr>)}</tbody>
+        </table>}
+      </>}
+      <NoteText style={{ marginTop: 12 }}>BSD, ABSD and SSD at the IRAS rates in force today; loan capped at the MAS LTV limit for your outstanding housing loans and, with income given, by TDSR. Cost of ownership is stamp duty, fees, interest and maintenance over the holding period, plus SSD if sold within it. CPF, property tax and rent are not included.</NoteText>
+    </Card>
+  </>;
+}
+
+AcquisitionCalculator.propTypes = {
+  /** Starting price, e.g. the Price Estimator's best estimate */
+  estimate: PropTypes.number,
+};
@@ -3,12 +3,13 @@
  * Extracted from ValuationTab lines 608–695
  */
 import { useState } from 'react';
-import { T, computeBucketCAGR, cagrColor, yieldColor, DEFAULT_YIELD } from '../../../constants';
+import { T, computeBucketCAGR, cagrColor, yieldColor, DEFAULT_YIELD, parseLease, leaseAdjustedCAGR } from '../../../constants';
 import { Card, SectionHeader, NoteText } from '../../ui';
 
 export default function CagrAnalysis({ projInfo, projData, filteredTxs, filteredFloorData }) {
   const [investorMode, setInvestorMode] = useState('overall');
   const p = projInfo;
+  const lease = parseLease(p.tenure);
 
   const yrs = [...new Set((filteredTxs || []).map(t => t.year))].sort();
   const periodLabel = yrs.length > 1 ? `Period: ${yrs[0]} → ${yrs[yrs.length - 1]} (${parseInt(yrs[yrs.length - 1]) - parseInt(yrs[0])} years) · ${(filteredTxs || []).length} transactions` : `${(filteredTxs || []).length} transactions`;
@@ -33,6 +34,12 @@ export default function CagrAnalysis({ projInfo, projData, filteredTxs, filtered
     });
   }
 
+  // Lease-adjusted: the bucket's own start / end years, decay from Bala's curve
+  if (lease) rows = rows.map(r => {
+    const ys = r.annualAvg.map(a => a.year);
+    return { ...r, exLease: r.cagr !== null ? leaseAdjustedCAGR(r.startAvg, r.endAvg, parseInt(ys[0]), parseInt(ys[ys.length - 1]), lease) : null };
+  });
+
   const colHeader = investorMode === 'overall' ? 'Bucket' : investorMode === 'size' ? 'Unit Size' : 'Floor Band';
 
   return <>
@@ -50,7 +57,7 @@ export default function CagrAnalysis({ projInfo, projData, filteredTxs, filtered
       <div style={{ overflowX: 'auto' }}>
         <table>
           <thead><tr>
-            {[colHeader, `${yrs[0] || 'Start'} Avg`, `${yrs[yrs.length - 1] || 'End'} Avg`, 'n (Start)', 'n (End)', 'CAGR', 'Yield', 'Total Return'].map(h => <th key={h}>{h}</th>)}
+            {[colHeader, `${yrs[0] || 'Start'} Avg`, `${yrs[yrs.length - 1] || 'End'} Avg`, 'n (Start)', 'n (End)', 'CAGR', ...(lease ? ['Ex-Lease CAGR'] : []), 'Yield', 'Total Return'].map(h => <th key={h}>{h}</th>)}
           </tr></thead>
           <tbody>{rows.map((r, ri) => {
             const totalReturn = r.cagr !== null ? (r.cagr + r.yield).toFixed(1) : null;
@@ -69,6 +76,7 @@ export default function CagrAnalysis({ projInfo, projData, filteredTxs, filtered
               <td style={{ color: r.startN < 3 ? T.amber : T.textSub, fontFamily: T.mono, fontSize: T.md }}>{r.startN}</td>
               <td style={{ color: r.endN < 3 ? T.amber : T.textSub, fontFamily: T.mono, fontSize: T.md }}>{r.endN}</td>
               <td style={{ color: r.cagr !== null ? cagrColor(r.cagr) : T.textSub, fontFamily: T.mono, fontWeight: 700, fontSize: 14 }}>{r.cagr !== null ? `${r.cagr >= 0 ? '+' : ''}${r.cagr.toFixed(1)}%` : '—'}</td>
+              {lease && <td style={{ color: r.exLease != null ? cagrColor(r.exLease) : T.textSub, fontFamily: T.mono }} title="CAGR with Bala's-curve lease decay taken out">{r.exLease != null ? `${r.exLease >= 0 ? '+' : ''}${r.exLease.toFixed(1)}%` : '—'}</td>}
               <td style={{ color: yieldColor(r.yield), fontFamily: T.mono }}>{r.yield}%</td>
               <td style={{ color: totalReturn && Number(totalReturn) < 0 ? T.red : T.purple, fontWeight: 700, fontFamily: T.mono, fontSize: T.xl }}>{totalReturn ? `${Number(totalReturn) >= 0 ? '+' : ''}${totalReturn}%` : '—'}</td>
             </tr>;
@@ -97,7 +105,7 @@ export default function CagrAnalysis({ projInfo, projData, filteredTxs, filtered
         </div>)}
       </div>
       {rows.some(r => r.lowConf) && <div style={{ marginTop: 10, display: 'flex', alignItems: 'center', gap: 6, color: T.amber, fontSize: T.sm }}><span style={{ fontWeight: 700 }}>!</span><span>* Dimmed rows have fewer than 3 transactions in start or end year — CAGR may be unreliable</span></div>}
-      <NoteText style={{ marginTop: 12 }}>CAGR = (End PSF ÷ Start PSF)^(1/years) − 1. Total Return = CAGR + Gross Yield (simple additive).</NoteText>
+      <NoteText style={{ marginTop: 12 }}>CAGR = (End PSF ÷ Start PSF)^(1/years) − 1. Total Return = CAGR + Gross Yield (simple additive).{lease && ` Ex-Lease CAGR divides the end PSF by the lease decay over the period (Bala's curve, ${lease.years}-year lease from ${lease.start}), leaving the market's share of the growth.`}</NoteText>
     </Card>
   </>;
 }
@@ -1,76 +1,101 @@
 /**
- * ValuationModel.jsx — CMA valuation display
- * Extracted from ValuationTab lines 535–608
+ * ValuationModelCard.jsx — Hedonic AVM estimate (POST /api/v1/valuation)
+ * Same numbers as the client report's Valuation Estimate section.
  */
+import PropTypes from 'prop-types';
 import { T } from '../../../constants';
 import { Card, SectionHeader, NoteText } from '../../ui';
 
-export default function ValuationModel({ valuationModel, pArea, pFloor, projCagr }) {
-  if (!valuationModel) return null;
-  const vm = valuationModel;
+const SCOPE_LABEL = { district: 'district', segment: 'market segment', market: 'whole market' };
+
+export default function ValuationModelCard({ valuation, error }) {
+  if (error) return <Card><div role="alert" style={{ color: T.red, fontSize: T.md }}>Valuation unavailable: {error}</div></Card>;
+  if (!valuation) return null;
+  const v = valuation;
+  const { subject: u, model: m } = v;
+  const confColor = v.confidence >= 70 ? T.green : v.confidence >= 40 ? T.amber : T.red;
+  const pct = (x) => `${x > 0 ? '+' : ''}${x.toFixed(1)}%`;
 
   return <>
-    <SectionHeader title="Valuation Model" sub={`Comparable Market Analysis — ${vm.totalTx} transactions scored by recency, size & floor similarity${projCagr != null ? `, time-adjusted at ${projCagr > 0 ? '+' : ''}${Number(projCagr).toFixed(1)}% CAGR` : ''}.`} />
+    <SectionHeader title="Valuation Model" sub={`Hedonic regression on ${m.n.toLocaleString()} sales in the ${SCOPE_LABEL[m.scope]}${m.scope !== 'market' ? ` (${m.key})` : ''}, valued at ${v.date}.`} />
     <Card>
       <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 2fr) 1fr', gap: 12, marginBottom: 16 }}>
         {/* Estimated Value */}
         <div style={{ background: 'linear-gradient(135deg,#06b6d418,#8b5cf618)', borderRadius: T.rLg, padding: '18px 16px', border: '1px solid #06b6d426' }}>
           <div style={{ color: T.textMute, fontSize: T.sm, fontWeight: 600, letterSpacing: 0.5, marginBottom: 6 }}>ESTIMATED VALUE</div>
-          <div style={{ color: T.text, fontSize: 32, fontWeight: 800, fontFamily: T.mono, lineHeight: 1 }}>${(vm.wAvgPsf * pArea).toLocaleString()}</div>
-          <div style={{ color: T.textSub, fontSize: T.base, marginTop: 6 }}>${vm.wAvgPsf.toLocaleString()} PSF × {pArea.toLocaleString()} sqft{pFloor ? ` · Floor ${pFloor}` : ''}</div>
-          <div style={{ display: 'flex', gap: 16, marginTop: 10 }}>
+          <div style={{ color: T.text, fontSize: 32, fontWeight: 800, fontFamily: T.mono, lineHeight: 1 }}>${v.price.toLocaleString()}</div>
+          <div style={{ color: T.textSub, fontSize: T.base, marginTop: 6 }}>${v.psf.toLocaleString()} PSF × {u.area.toLocaleString()} sqft · Floor {u.floorMid} · {u.saleType}</div>
+          <div style={{ display: 'flex', gap: 16, marginTop: 10, flexWrap: 'wrap' }}>
             <div style={{ color: T.textMute, fontSize: T.sm }}>
-              <span style={{ color: T.textSub, fontWeight: 600 }}>Range: </span>
-              <span style={{ fontFamily: T.mono }}>${vm.lowPsf.toLocaleString()} — ${vm.highPsf.toLocaleString()} PSF</span>
+              <span style={{ color: T.textSub, fontWeight: 600 }}>{Math.round(v.level * 100)}% range: </span>
+              <span style={{ fontFamily: T.mono }}>${v.lo.toLocaleString()} — ${v.hi.toLocaleString()} PSF</span>
             </div>
             <div style={{ color: T.textMute, fontSize: T.sm }}>
-              <span style={{ color: T.textSub, fontWeight: 600 }}>±</span>
-              <span style={{ fontFamily: T.mono }}> ${(vm.stdDev * pArea).toLocaleString()}</span>
+              <span style={{ fontFamily: T.mono }}>${(v.lo * u.area).toLocaleString()} — ${(v.hi * u.area).toLocaleString()}</span>
             </div>
           </div>
         </div>
         {/* Confidence */}
         <div style={{ background: T.borderLt, borderRadius: T.rLg, padding: '18px 16px', border: `1px solid ${T.border}`, display: 'flex', flexDirection: 'column', justifyContent: 'center', alignItems: 'center' }}>
           <div style={{ color: T.textMute, fontSize: T.sm, fontWeight: 600, marginBottom: 8 }}>CONFIDENCE</div>
-          <div style={{ fontSize: 40, fontWeight: 800, fontFamily: T.mono, color: vm.conf >= 70 ? T.green : vm.conf >= 40 ? T.amber : T.red }}>{vm.conf}</div>
+          <div style={{ fontSize: 40, fontWeight: 800, fontFamily: T.mono, color: confColor }}>{v.confidence}</div>
           <div style={{ color: T.textMute, fontSize: T.sm, marginTop: 4 }}>/ 100</div>
           <div style={{ width: '80%', height: 6, background: T.border, borderRadius: 3, marginTop: 8, overflow: 'hidden' }}>
-            <div style={{ width: `${vm.conf}%`, height: '100%', background: vm.conf >= 70 ? T.green : vm.conf >= 40 ? T.amber : T.red, borderRadius: 3, transition: 'width 0.3s' }} />
+            <div style={{ width: `${v.confidence}%`, height: '100%', background: confColor, borderRadius: 3, transition: 'width 0.3s' }} />
           </div>
         </div>
       </div>
 
       {/* Model Inputs */}
-      <div style={{ display: 'grid', gridTemplateColumns: `repeat(${vm.floorMatches != null ? 5 : 4}, 1fr)`, gap: 10, marginBottom: 16 }}>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: 10, marginBottom: 16 }}>
         {[
-          { label: 'Total Comparables', val: vm.totalTx, ic: '' },
-          { label: 'Last 6 Months', val: vm.recent6mo, ic: '' },
-          { label: 'Last 12 Months', val: vm.recent12mo, ic: '' },
-          { label: 'Size Matches', val: `${vm.sizeMatches} (±50sf)`, ic: '' },
-          ...(vm.floorMatches != null ? [{ label: 'Floor Matches', val: `${vm.floorMatches} (±4fl)`, ic: '' }] : []),
+          { label: 'Sales in Model', val: m.n.toLocaleString() },
+          { label: 'Project Sales', val: v.projectSales },
+          { label: 'R²', val: m.r2.toFixed(2) },
+          { label: u.leaseLeft != null ? 'Lease Left' : 'Tenure', val: u.leaseLeft != null ? `${Math.round(u.leaseLeft)} yrs` : u.tenure },
+          { label: 'Time Index', val: m.index || 'trend only' },
         ].map(s => <div key={s.label} style={{ background: T.borderLt, borderRadius: T.r, padding: '10px 12px', textAlign: 'center' }}>
-          <div style={{ fontSize: 14, marginBottom: 4 }}>{s.ic}</div>
           <div style={{ color: T.text, fontFamily: T.mono, fontWeight: 700, fontSize: T.lg }}>{s.val}</div>
           <div style={{ color: T.textMute, fontSize: T.xs }}>{s.label}</div>
         </div>)}
       </div>
 
-      {/* Top Comparables */}
-      <div style={{ color: T.textSub, fontSize: T.sm, fontWeight: 600, marginBottom: 8 }}>TOP COMPARABLES — highest similarity score</div>
+      {/* Effects */}
+      <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', marginBottom: 16, fontSize: T.sm, color: T.textMute }}>
+        {m.effects.filter(e => e.pct !== 0).map(e => <span key={e.term}>
+          {e.term}{e.term === 'log area' ? ' (+10%)' : ''}: <span style={{ fontFamily: T.mono, color: e.pct >= 0 ? T.green : T.red }}>{pct(e.pct)}</span>
+        </span>)}
+      </div>
+
+      {/* Lease decay */}
+      {v.leaseDecay?.length > 0 && <div style={{ marginBottom: 16 }}>
+        <div style={{ color: T.textSub, fontSize: T.sm, fontWeight: 600, marginBottom: 8 }}>LEASE DECAY — {Math.round(u.leaseLeft)} yrs left{u.leaseStart ? ` (from ${u.leaseStart})` : ''}, worth {(u.bala * 100).toFixed(1)}% of freehold</div>
+        <div style={{ display: 'grid', gridTemplateColumns: `repeat(${v.leaseDecay.length}, 1fr)`, gap: 10 }}>
+          {v.leaseDecay.map(d => <div key={d.years} style={{ background: T.borderLt, borderRadius: T.r, padding: '10px 12px', textAlign: 'center' }}>
+            <div style={{ color: T.text, fontFamily: T.mono, fontWeight: 700, fontSize: T.lg }}>${d.psf.toLocaleString()}</div>
+            <div style={{ color: d.factor < 1 ? T.red : T.textMute, fontFamily: T.mono, fontSize: T.sm }}>{pct((d.factor - 1) * 100)}</div>
+            <div style={{ color: T.textMute, fontSize: T.xs }}>in {d.years} yrs · {Math.round(d.leaseLeft)} left</div>
+          </div>)}
+        </div>
+      </div>}
+
+      {/* Comparables */}
+      <div style={{ color: T.textSub, fontSize: T.sm, fontWeight: 600, marginBottom: 8 }}>COMPARABLES — adjusted by the model to this unit and date</div>
       <table style={{ margin: 0 }}>
         <thead><tr>
-          {['Sim', 'Date', 'Floor', 'Area', 'Raw PSF', 'Adj PSF', 'Price', 'Type'].map(h => <th key={h} style={{ fontSize: T.sm, padding: '5px 8px' }}>{h}</th>)}
+          {['Sim', 'Date', 'Project', 'Floor', 'Area', 'Raw PSF', 'Adj PSF', 'Price', 'Type'].map(h => <th key={h} style={{ fontSize: T.sm, padding: '5px 8px' }}>{h}</th>)}
         </tr></thead>
         <tbody>
-          {vm.topComps.map((tx, i) => <tr key={i}>
+          {v.comparables.map((tx, i) => <tr key={i}>
             <td style={{ fontFamily: T.mono, fontSize: T.md }}>
               <div style={{ width: 36, height: 18, background: T.border, borderRadius: 9, overflow: 'hidden', display: 'inline-block', verticalAlign: 'middle', marginRight: 6 }}>
-                <div style={{ width: `${Math.round(tx.weight / vm.topComps[0].weight * 100)}%`, height: '100%', background: T.blue, borderRadius: 9 }} />
+                <div style={{ width: `${tx.similarity}%`, height: '100%', background: T.blue, borderRadius: 9 }} />
               </div>
-              <span style={{ color: T.textSub }}>{(tx.weight / vm.topComps[0].weight * 100).toFixed(0)}</span>
+              <span style={{ color: T.textSub }}>{tx.similarity}</span>
             </td>
             <td style={{ color: T.textMute, fontSize: T.md, whiteSpace: 'nowrap' }}>{tx.date}</td>
-            <td style={{ fontFamily: T.mono, fontSize: T.md }}>{tx.floorRange || '—'}</td>
+            <td style={{ color: tx.project === v.project ? T.textSub : T.purple, fontSize: T.md }}>{tx.project === v.project ? 'same' : tx.project}</td>
+            <td style={{ fontFamily: T.mono, fontSize: T.md }}>{tx.floor || '—'}</td>
             <td style={{ fontFamily: T.mono, fontSize: T.md }}>{tx.area.toLocaleString()} sf</td>
             <td style={{ color: T.textMute, fontFamily: T.mono, fontSize: T.md }}>${tx.psf.toLocaleString()}</td>
             <td style={{ color: T.blue, fontFamily: T.mono, fontWeight: 600, fontSize: T.md }}>${tx.adjPsf.toLocaleString()}</td>
@@ -79,7 +104,19 @@ export default function ValuationModel({ valuationModel, pArea, pFloor, projCagr
           </tr>)}
         </tbody>
       </table>
-      <NoteText>Model uses weighted Comparable Market Analysis. Each transaction scored by: recency (exponential decay, ~25mo half-life), size similarity (±150sf Gaussian), floor proximity (±8 floors Gaussian).{projCagr != null ? ` PSF adjusted forward to today using ${projCagr > 0 ? '+' : ''}${Number(projCagr).toFixed(1)}% project CAGR` : ''}{pFloor ? ' and floor premium differential' : ''}. Confidence based on recent comparable volume and size match density.</NoteText>
+      <NoteText>Log PSF regressed on size, floor, tenure, age, lease left and sale type, with the repeat-sales index for time and a shrunk project effect for location and quality. The range is a {Math.round(v.level * 100)}% prediction interval; confidence falls as it widens. Lease decay is today&apos;s PSF run down Bala&apos;s curve with the market held flat.</NoteText>
     </Card>
   </>;
 }
+
+ValuationModelCard.propTypes = {
+  valuation: PropTypes.shape({
+    psf: PropTypes.number.isRequired,
+    price: PropTypes.number.isRequired,
+    lo: PropTypes.number.isRequired,
+    hi: PropTypes.number.isRequired,
+    confidence: PropTypes.number.isRequired,
+    comparables: PropTypes.array.isRequired,
+  }),
+  error: PropTypes.string,
+};
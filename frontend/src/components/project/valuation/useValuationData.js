@@ -3,8 +3,9 @@
  * Extracted from ValuationTab.jsx: all useMemo/useCallback logic lives here.
  * Sub-components import only the hooks they need → zero duplicated computation.
  */
-import { useState, useMemo, useCallback } from 'react';
-import { computeBucketCAGR, DEFAULT_YIELD } from '../../constants';
+import { useState, useMemo, useCallback, useEffect } from 'react';
+import { computeBucketCAGR, DEFAULT_YIELD } from '../../../constants';
+import { fetchValuation, fetchAcquisitionCost } from '../../../services/api';
 
 // ── Master filter: apply beds, year range, sale type, tenure, floor ──
 
@@ -151,58 +152,49 @@ export function useFilteredHeatmap(projData, filteredTxs, hasFilters) {
   }, [projData, filteredTxs, hasFilters]);
 }
 
-// ── Valuation model (CMA) ──
+// ── Valuation model (backend AVM) ──
 
-export function useValuationModel(projData, filteredTxs, hasFilters, pArea, pFloor, projCagr, floorData) {
-  return useMemo(() => {
-    const txs = hasFilters ? filteredTxs : (projData?.txs || []);
-    if (txs.length < 3) return null;
-    const now = new Date();
-    const targetSize = pArea;
-    const targetFloorMid = pFloor ? (() => { const [lo, hi] = pFloor.split('-').map(Number); return (lo + hi) / 2; })() : null;
-
-    const scored = txs.map(tx => {
-      const [y, m] = tx.date.split('-').map(Number);
-      const txTime = new Date(y, (m || 1) - 1, 15);
-      const monthsAgo = Math.max(0, (now.getFullYear() - txTime.getFullYear()) * 12 + now.getMonth() - txTime.getMonth());
-      const recencyW = Math.exp(-0.5 * monthsAgo / 18);
-      const sizeDiff = Math.abs(tx.area - targetSize);
-      const sizeW = Math.exp(-0.5 * Math.pow(sizeDiff / 150, 2));
-      let floorW = 0.5;
-      if (targetFloorMid && tx.floorMid) {
-        const floorDiff = Math.abs(tx.floorMid - targetFloorMid);
-        floorW = Math.exp(-0.5 * Math.pow(floorDiff / 8, 2));
-      }
-      const weight = recencyW * sizeW * floorW;
-      let adjPsf = tx.psf;
-      if (monthsAgo > 0 && projCagr) adjPsf = adjPsf * Math.pow(1 + projCagr / 100, monthsAgo / 12);
-      if (targetFloorMid && tx.floorMid && floorData.length > 1) {
-        const findPremium = (mid) => {
-          const band = floorData.find(f => { const [lo, hi] = f.range.split('-').map(Number); return mid >= lo && mid <= hi; });
-          return band ? band.premium : 0;
-        };
-        const premDiff = (findPremium(targetFloorMid) - findPremium(tx.floorMid)) / 100;
-        adjPsf = adjPsf * (1 + premDiff);
-      }
-      return { ...tx, adjPsf: Math.round(adjPsf), weight, monthsAgo, sizeDiff, recencyW, sizeW, floorW };
-    });
+/**
+ * POST /api/v1/valuation for the selected unit. The client report calls the same
+ * endpoint, so both show the same estimate. Debounced: area is typed.
+ */
+export function useValuation(project, area, floor, saleType) {
+  const [valuation, setValuation] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!project || !(area > 0)) { setValuation(null); return undefined; }
+    let live = true;
+    const t = setTimeout(() => {
+      const req = { project, area: Number(area) };
+      if (floor) req.floor = floor;
+      if (saleType && saleType !== 'all') req.saleType = saleType;
+      fetchValuation(req)
+        .then(v => { if (live) { setValuation(v); setError(null); } })
+        .catch(err => { if (live) { setValuation(null); setError(err.message); } });
+    }, 250);
+    return () => { live = false; clearTimeout(t); };
+  }, [project, area, floor, saleType]);
+
+  return { valuation, error };
+}
 
-    const totalW = scored.reduce((s, t) => s + t.weight, 0);
-    if (totalW === 0) return null;
-    const wAvgPsf = Math.round(scored.reduce((s, t) => s + t.adjPsf * t.weight, 0) / totalW);
-    const variance = scored.reduce((s, t) => s + t.weight * Math.pow(t.adjPsf - wAvgPsf, 2), 0) / totalW;
-    const stdDev = Math.round(Math.sqrt(variance));
-    const topComps = [...scored].sort((a, b) => b.weight - a.weight).slice(0, 5);
-    const recent6mo = scored.filter(t => t.monthsAgo <= 6).length;
-    const recent12mo = scored.filter(t => t.monthsAgo <= 12).length;
-    const sizeMatches = scored.filter(t => t.sizeDiff < 50).length;
-    const floorMatches = targetFloorMid ? scored.filter(t => t.floorMid && Math.abs(t.floorMid - targetFloorMid) <= 4).length : null;
-    const conf = Math.min(100, Math.round(
-      targetFloorMid
-        ? (Math.min(recent12mo, 10) / 10) * 30 + (Math.min(sizeMatches, 5) / 5) * 25 + (Math.min(floorMatches, 5) / 5) * 20 + (Math.min(scored.length, 20) / 20) * 25
-        : (Math.min(recent12mo, 10) / 10) * 40 + (Math.min(sizeMatches, 5) / 5) * 30 + (Math.min(scored.length, 20) / 20) * 30
-    ));
-
-    return { wAvgPsf, lowPsf: wAvgPsf - stdDev, highPsf: wAvgPsf + stdDev, stdDev, topComps, totalTx: scored.length, recent6mo, recent12mo, sizeMatches, floorMatches, conf, cagr: projCagr };
-  }, [projData, pArea, pFloor, projCagr, filteredTxs, floorData, hasFilters]);
+// ── Acquisition cost (POST /api/v1/acquisition-cost), debounced like useValuation ──
+export function useAcquisitionCost(req) {
+  const [cost, setCost] = useState(null);
+  const [error, setError] = useState(null);
+  const key = JSON.stringify(req);
+
+  useEffect(() => {
+    if (!(req?.price > 0)) { setCost(null); return undefined; }
+    let live = true;
+    const t = setTimeout(() => {
+      fetchAcquisitionCost(req)
+        .then(c => { if (live) { setCost(c); setError(null); } })
+        .catch(err => { if (live) { setCost(null); setError(err.message); } });
+    }, 250);
+    return () => { live = false; clearTimeout(t); };
+  }, [key]);
+
+  return { cost, error };
 }
@@ -0,0 +1,76 @@
+import { useState, useEffect, useRef } from 'react';
+import useAppStore from '../../stores/useAppStore';
+import { T } from '../../constants';
+
+/**
+ * AccountMenu — sign in / create account from the nav. Data saved before
+ * signing in is claimed into the account automatically (see api.startSession).
+ */
+export default function AccountMenu() {
+  const { account, signIn, signUp, signOut } = useAppStore();
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const handler = (e) => { if (ref.current && !ref.current.contains(e.target)) setOpen(false); };
+    document.addEventListener('mousedown', handler);
+    return () => document.removeEventListener('mousedown', handler);
+  }, []);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true); setError('');
+    try {
+      if (mode === 'login') await signIn(email, password);
+      else await signUp(email, password, name.trim() || undefined);
+      setOpen(false); setPassword('');
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  return (
+    <div ref={ref} style={{ position: 'relative' }}>
+      <button onClick={() => setOpen(o => !o)} aria-expanded={open} aria-label={account ? `Account: ${account.email}` : 'Sign in'}
+        style={{ background: 'none', border: '1px solid #e5e5ee', borderRadius: 6, padding: '5px 10px', color: T.textSub, fontSize: 12, cursor: 'pointer', maxWidth: 160, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+        {account ? (account.displayName || account.email) : 'Sign in'}
+      </button>
+
+      {open && <div role="dialog" aria-label="Account" style={{ position: 'absolute', right: 0, top: 36, width: 280, background: '#fff', border: '1px solid #e5e5ee', borderRadius: 10, boxShadow: '0 8px 24px rgba(0,0,0,0.08)', padding: 14, zIndex: 60 }}>
+        {account ? <>
+          <div style={{ fontSize: 13, fontWeight: 600, color: T.text }}>{account.displayName || account.email}</div>
+          {account.displayName && <div style={{ fontSize: 11, color: T.textMute }}>{account.email}</div>}
+          <div style={{ fontSize: 11, color: T.textMute, margin: '4px 0 12px' }}>Plan: {account.plan || 'free'}</div>
+          <button onClick={() => { signOut(); setOpen(false); }} style={{ ...primaryBtn, background: '#fff', color: T.textSub, border: '1px solid #e5e5ee' }}>Sign out</button>
+        </> : <form onSubmit={submit}>
+          <div style={{ fontSize: 13, fontWeight: 600, color: T.text, marginBottom: 4 }}>{mode === 'login' ? 'Sign in' : 'Create account'}</div>
+          <div style={{ fontSize: 11, color: T.textMute, marginBottom: 10 }}>Your portfolio, reports and alerts on this browser move into the account.</div>
+          {mode === 'signup' && <input value={name} onChange={e => setName(e.target.value)} placeholder="Name (optional)" aria-label="Name" style={field} />}
+          <input value={email} onChange={e => setEmail(e.target.value)} type="email" required placeholder="Email" aria-label="Email" autoComplete="email" style={field} />
+          <input value={password} onChange={e => setPassword(e.target.value)} type="password" required minLength={mode === 'signup' ? 8 : 1}
+            placeholder={mode === 'signup' ? 'Password (min 8 characters)' : 'Password'} aria-label="Password"
+            autoComplete={mode === 'login' ? 'current-password' : 'new-password'} style={field} />
+          {error && <div role="alert" style={{ fontSize: 11, color: T.red, marginBottom: 8 }}>{error}</div>}
+          <button type="submit" disabled={busy} style={{ ...primaryBtn, opacity: busy ? 0.6 : 1, cursor: busy ? 'wait' : 'pointer' }}>
+            {busy ? 'Please wait…' : mode === 'login' ? 'Sign in' : 'Create account'}
+          </button>
+          <button type="button" onClick={() => { setMode(m => m === 'login' ? 'signup' : 'login'); setError(''); }}
+            style={{ background: 'none', border: 'none', color: '#2563eb', fontSize: 11, cursor: 'pointer', marginTop: 8 }}>
+            {mode === 'login' ? 'No account? Create one' : 'Have an account? Sign in'}
+          </button>
+        </form>}
+      </div>}
+    </div>
+  );
+}
+
+// ── Style helpers ──
+const field = { display: 'block', width: '100%', border: '1px solid #d1d5db', borderRadius: 6, padding: '7px 10px', fontSize: 12, color: T.text, outline: 'none', background: '#fff', marginBottom: 8 };
+const primaryBtn = { width: '100%', background: '#2563eb', color: '#fff', border: 'none', borderRadius: 6, padding: '7px 12px', fontSize: 12, fontWeight: 600, cursor: 'pointer' };
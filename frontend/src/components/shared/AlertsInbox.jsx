@@ -0,0 +1,114 @@
+import { useState, useEffect, useRef } from 'react';
+import useAppStore from '../../stores/useAppStore';
+import { T } from '../../constants';
+
+const KIND_LABEL = { district_psf: 'District PSF move', project_tx: 'New transaction' };
+
+/**
+ * AlertsInbox — nav bell with unread count. The panel lists triggered alerts,
+ * the user's watchlist rules, and the webhook URL alerts are also POSTed to.
+ */
+export default function AlertsInbox() {
+  const { alerts, watchlist, webhookUrl, projList, filterOpts, loadAlerts, markAlertsRead, addAlertRule, removeAlertRule, setWebhookUrl } = useAppStore();
+  const [open, setOpen] = useState(false);
+  const [kind, setKind] = useState('district_psf');
+  const [target, setTarget] = useState('');
+  const [value, setValue] = useState('3');
+  const [hook, setHook] = useState(webhookUrl);
+  const ref = useRef(null);
+
+  const unread = alerts.filter(a => !a.read).length;
+  const districts = filterOpts.districts || [];
+
+  useEffect(() => { setHook(webhookUrl); }, [webhookUrl]);
+  useEffect(() => { if (open) loadAlerts(); }, [open, loadAlerts]);
+  useEffect(() => {
+    const handler = (e) => { if (ref.current && !ref.current.contains(e.target)) setOpen(false); };
+    document.addEventListener('mousedown', handler);
+    return () => document.removeEventListener('mousedown', handler);
+  }, []);
+
+  const changeKind = (k) => { setKind(k); setTarget(''); setValue(k === 'district_psf' ? '3' : ''); };
+
+  const addRule = (e) => {
+    e.preventDefault();
+    if (!target.trim()) return;
+    const n = parseFloat(value);
+    addAlertRule(kind === 'district_psf'
+      ? { kind, target: target.trim(), thresholdPct: n > 0 ? n : 3 }
+      : { kind, target: target.trim(), ...(n > 0 ? { minPsf: n } : {}) });
+    setTarget('');
+  };
+
+  const describe = (r) => r.kind === 'district_psf'
+    ? `${r.target} quarterly avg PSF moves > ${r.thresholdPct ?? 3}%`
+    : `New transaction in ${r.target}${r.minPsf ? ` ≥ $${r.minPsf.toLocaleString()} psf` : ''}`;
+
+  return (
+    <div ref={ref} style={{ position: 'relative' }}>
+      <button onClick={() => setOpen(o => !o)} aria-label={unread ? `Alerts, ${unread} unread` : 'Alerts'} aria-expanded={open}
+        style={{ position: 'relative', background: 'none', border: '1px solid #e5e5ee', borderRadius: 6, padding: '5px 10px', color: T.textSub, fontSize: 12, cursor: 'pointer' }}>
+        Alerts
+        {unread > 0 && <span style={{ marginLeft: 6, background: T.red, color: '#fff', borderRadius: 8, padding: '0 6px', fontSize: 10, fontWeight: 700 }}>{unread}</span>}
+      </button>
+
+      {open && <div role="dialog" aria-label="Alerts inbox" style={{ position: 'absolute', right: 0, top: 36, width: 380, maxHeight: '70vh', overflowY: 'auto', background: '#fff', border: '1px solid #e5e5ee', borderRadius: 10, boxShadow: '0 8px 24px rgba(0,0,0,0.08)', padding: 14, zIndex: 60 }}>
+        <div style={{ display: 'flex', alignItems: 'center', marginBottom: 8 }}>
+          <span style={{ fontSize: 13, fontWeight: 600, color: T.text }}>Inbox</span>
+          {unread > 0 && <button onClick={() => markAlertsRead()} style={linkBtn}>Mark all read</button>}
+        </div>
+        {alerts.length === 0
+          ? <div style={{ fontSize: 12, color: T.textMute, padding: '8px 0 12px' }}>No alerts yet — they appear here after the next data refresh.</div>
+          : <ul style={{ listStyle: 'none', marginBottom: 12 }}>
+            {alerts.slice(0, 30).map(a => (
+              <li key={a.id} onClick={() => !a.read && markAlertsRead([a.id])}
+                style={{ display: 'flex', gap: 8, padding: '7px 0', borderBottom: '1px solid #f5f6f8', cursor: a.read ? 'default' : 'pointer' }}>
+                <span aria-hidden style={{ width: 6, height: 6, marginTop: 5, borderRadius: '50%', flexShrink: 0, background: a.read ? 'transparent' : '#2563eb' }} />
+                <div>
+                  <div style={{ fontSize: 12, color: a.read ? T.textSub : T.text, fontWeight: a.read ? 400 : 500 }}>{a.message}</div>
+                  <div style={{ fontSize: 10, color: T.textMute }}>{KIND_LABEL[a.kind]} · {new Date(a.createdAt).toLocaleDateString('en-SG', { day: 'numeric', month: 'short' })}</div>
+                </div>
+              </li>
+            ))}
+          </ul>}
+
+        <div style={{ fontSize: 13, fontWeight: 600, color: T.text, margin: '4px 0 6px' }}>Watchlist</div>
+        {watchlist.map(r => (
+          <div key={r.id} style={{ display: 'flex', alignItems: 'center', fontSize: 12, color: T.textSub, padding: '4px 0' }}>
+            <span style={{ flex: 1 }}>{describe(r)}</span>
+            <button onClick={() => removeAlertRule(r.id)} aria-label={`Remove rule: ${describe(r)}`} style={linkBtn}>Remove</button>
+          </div>
+        ))}
+        <form onSubmit={addRule} style={{ display: 'flex', gap: 6, flexWrap: 'wrap', margin: '6px 0 12px' }}>
+          <select value={kind} onChange={e => changeKind(e.target.value)} aria-label="Rule type" style={{ ...field, padding: '5px 8px' }}>
+            <option value="district_psf">District PSF move</option>
+            <option value="project_tx">New transaction</option>
+          </select>
+          {kind === 'district_psf'
+            ? <select value={target} onChange={e => setTarget(e.target.value)} aria-label="District" style={{ ...field, padding: '5px 8px' }}>
+              <option value="">District…</option>
+              {districts.map(d => <option key={d} value={d}>{d}</option>)}
+            </select>
+            : <>
+              <input value={target} onChange={e => setTarget(e.target.value)} list="alert-projects" placeholder="Project" aria-label="Project" style={{ ...field, flex: 1 }} />
+              <datalist id="alert-projects">{projList.slice(0, 500).map(p => <option key={p} value={p} />)}</datalist>
+            </>}
+          <input value={value} onChange={e => setValue(e.target.value)} inputMode="decimal"
+            placeholder={kind === 'district_psf' ? '%' : 'Min psf'} aria-label={kind === 'district_psf' ? 'Threshold percent' : 'Minimum PSF'}
+            style={{ ...field, width: 70 }} />
+          <button type="submit" disabled={!target.trim()} style={{ background: '#2563eb', color: '#fff', border: 'none', borderRadius: 6, padding: '5px 12px', fontSize: 12, fontWeight: 600, cursor: target.trim() ? 'pointer' : 'not-allowed', opacity: target.trim() ? 1 : 0.5 }}>Watch</button>
+        </form>
+
+        <div style={{ fontSize: 13, fontWeight: 600, color: T.text, marginBottom: 6 }}>Webhook</div>
+        <form onSubmit={e => { e.preventDefault(); setWebhookUrl(hook); }} style={{ display: 'flex', gap: 6 }}>
+          <input value={hook} onChange={e => setHook(e.target.value)} type="url" placeholder="https://…" aria-label="Webhook URL" style={{ ...field, flex: 1 }} />
+          <button type="submit" disabled={hook === webhookUrl} style={{ ...linkBtn, marginLeft: 0, border: '1px solid #e5e5ee', borderRadius: 6, padding: '5px 10px' }}>Save</button>
+        </form>
+      </div>}
+    </div>
+  );
+}
+
+// ── Style helpers ──
+const field = { border: '1px solid #d1d5db', borderRadius: 6, padding: '5px 8px', fontSize: 12, color: T.text, outline: 'none', background: '#fff' };
+const linkBtn = { marginLeft: 'auto', background: 'none', border: 'none', color: '#2563eb', fontSize: 11, cursor: 'pointer' };
@@ -0,0 +1,97 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { T } from '../../constants';
+
+const M_PER_DEG_LAT = 111320;
+
+/** Lat/lng box around the features and points, or around `focus` when given */
+function boundsOf(features, points, focus) {
+  if (focus) {
+    const dLat = focus.radiusM / M_PER_DEG_LAT;
+    const dLng = dLat / Math.cos(focus.lat * Math.PI / 180);
+    return { minLat: focus.lat - dLat, maxLat: focus.lat + dLat, minLng: focus.lng - dLng, maxLng: focus.lng + dLng };
+  }
+  const b = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+  const add = (lng, lat) => {
+    if (lat < b.minLat) b.minLat = lat;
+    if (lat > b.maxLat) b.maxLat = lat;
+    if (lng < b.minLng) b.minLng = lng;
+    if (lng > b.maxLng) b.maxLng = lng;
+  };
+  features.forEach(f => f.geometry.coordinates.forEach(poly => poly.forEach(ring => ring.forEach(([lng, lat]) => add(lng, lat)))));
+  points.forEach(p => add(p.lng, p.lat));
+  return b;
+}
+
+/**
+ * DistrictMap — offline SVG map of district areas (GeoJSON MultiPolygons, either
+ * the bundled data/districts.geo.json or GET /api/v1/map) with optional project
+ * dots on top. Equirectangular, scaled by cos(latitude), which is exact enough
+ * at Singapore's size.
+ */
+export default function DistrictMap({ districts, points = [], fillFor, titleFor, selected, highlight, circle, focus, width = 800, onDistrictClick, onPointClick }) {
+  const features = districts?.features || [];
+
+  const { project, height, scale } = useMemo(() => {
+    const b = boundsOf(features, points, focus);
+    const kx = Math.cos(((b.minLat + b.maxLat) / 2) * Math.PI / 180);
+    const spanX = Math.max((b.maxLng - b.minLng) * kx, 1e-6);
+    const spanY = Math.max(b.maxLat - b.minLat, 1e-6);
+    const s = width / spanX;
+    return {
+      project: (lng, lat) => [(lng - b.minLng) * kx * s, (b.maxLat - lat) * s],
+      height: Math.round(spanY * s),
+      scale: s,
+    };
+  }, [features, points, focus, width]);
+
+  const paths = useMemo(() => features.map(f => ({
+    district: f.properties.district,
+    projects: f.properties.projects,
+    d: f.geometry.coordinates.map(poly => poly.map(ring =>
+      ring.map(([lng, lat], i) => { const [x, y] = project(lng, lat); return `${i ? 'L' : 'M'}${x.toFixed(1)},${y.toFixed(1)}`; }).join('') + 'Z',
+    ).join('')).join(''),
+  })), [features, project]);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} role="img" aria-label="District map" style={{ width: '100%', height: 'auto', display: 'block', background: '#f8fafc', borderRadius: T.r, overflow: 'hidden' }}>
+      {paths.map(p => (
+        <path key={p.district} d={p.d} fillRule="evenodd" fill={fillFor ? fillFor(p.district) : '#e2e8f0'} stroke="#fff" strokeWidth={1}
+          onClick={onDistrictClick ? () => onDistrictClick(p.district) : undefined} style={{ cursor: onDistrictClick ? 'pointer' : 'default' }}>
+          <title>{titleFor ? titleFor(p.district) : `${p.district} · ${p.projects} projects`}</title>
+        </path>
+      ))}
+      {selected && paths.filter(p => p.district === selected).map(p => (
+        <path key="selected" d={p.d} fillRule="evenodd" fill="none" stroke={T.text} strokeWidth={2} pointerEvents="none" />
+      ))}
+      {circle && (() => {
+        const [cx, cy] = project(circle.lng, circle.lat);
+        return <circle cx={cx} cy={cy} r={(circle.radiusM / M_PER_DEG_LAT) * scale} fill={`${T.blue}14`} stroke={T.blue} strokeDasharray="4 3" />;
+      })()}
+      {points.map(pt => {
+        const [x, y] = project(pt.lng, pt.lat);
+        const on = pt.name === highlight;
+        return (
+          <circle key={pt.name} cx={x} cy={y} r={on ? 6 : 3.5} fill={on ? T.red : pt.color || T.blue} stroke="#fff" strokeWidth={on ? 2 : 1}
+            onClick={onPointClick ? () => onPointClick(pt.name) : undefined} style={{ cursor: onPointClick ? 'pointer' : 'default' }}>
+            <title>{pt.label || pt.name}</title>
+          </circle>
+        );
+      })}
+    </svg>
+  );
+}
+
+DistrictMap.propTypes = {
+  districts: PropTypes.shape({ features: PropTypes.array }),
+  points: PropTypes.arrayOf(PropTypes.shape({ name: PropTypes.string.isRequired, lat: PropTypes.number.isRequired, lng: PropTypes.number.isRequired, color: PropTypes.string, label: PropTypes.string })),
+  fillFor: PropTypes.func,
+  titleFor: PropTypes.func,
+  selected: PropTypes.string,
+  highlight: PropTypes.string,
+  circle: PropTypes.shape({ lat: PropTypes.number, lng: PropTypes.number, radiusM: PropTypes.number }),
+  focus: PropTypes.shape({ lat: PropTypes.number, lng: PropTypes.number, radiusM: PropTypes.number }),
+  width: PropTypes.number,
+  onDistrictClick: PropTypes.func,
+  onPointClick: PropTypes.func,
+};
@@ -0,0 +1,33 @@
+import PropTypes from 'prop-types';
+import { exportUrl } from '../../services/api';
+import { T } from '../../constants';
+
+const FORMATS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'xlsx', label: 'Excel' },
+  { id: 'parquet', label: 'Parquet' },
+];
+
+/**
+ * ExportButton — download every row matching the current filters (not just the
+ * page on screen). Each format is a plain link: the server streams the file and
+ * the browser saves it, so large exports never pass through React state.
+ */
+export default function ExportButton({ dataset, params, disabled = false }) {
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 4 }} role="group" aria-label="Export">
+      <span style={{ color: T.textSub, fontSize: T.md, marginRight: 2 }}>Export</span>
+      {FORMATS.map(f => disabled
+        ? <span key={f.id} style={{ ...linkStyle, color: T.textFaint, cursor: 'default' }} aria-disabled="true">{f.label}</span>
+        : <a key={f.id} href={exportUrl(dataset, params, f.id)} download style={linkStyle} title={`Download all matching ${dataset === 'sales' ? 'sales' : 'rental contracts'} as ${f.label}`}>{f.label}</a>)}
+    </div>
+  );
+}
+
+const linkStyle = { background: '#fff', border: '1px solid #cbd5e1', borderRadius: 6, padding: '5px 10px', fontSize: T.md, color: T.blue, textDecoration: 'none', fontWeight: 600 };
+
+ExportButton.propTypes = {
+  dataset: PropTypes.oneOf(['sales', 'rental']).isRequired,
+  params: PropTypes.object,
+  disabled: PropTypes.bool,
+};
@@ -0,0 +1,48 @@
+import { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { T } from '../../constants';
+
+/**
+ * MultiSelect — dropdown of checkboxes styled like the filter <select>s it sits
+ * next to. An empty selection means "all", matching the search API.
+ */
+export default function MultiSelect({ label, options, value, onChange, allLabel }) {
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const handler = (e) => { if (ref.current && !ref.current.contains(e.target)) setOpen(false); };
+    document.addEventListener('mousedown', handler);
+    return () => document.removeEventListener('mousedown', handler);
+  }, []);
+
+  const toggle = (opt) => onChange(value.includes(opt) ? value.filter(v => v !== opt) : options.filter(o => o === opt || value.includes(o)));
+  const summary = value.length === 0 ? allLabel : value.length <= 2 ? value.join(', ') : `${value.length} ${label.toLowerCase()}`;
+
+  return (
+    <div ref={ref} style={{ position: 'relative' }}>
+      <button type="button" onClick={() => setOpen(o => !o)} aria-expanded={open} aria-label={`${label}: ${summary}`}
+        style={{ background: '#fff', border: '1px solid #cbd5e1', borderRadius: T.r, padding: '8px 12px', color: T.text, fontSize: T.base, cursor: 'pointer', fontFamily: T.mono, whiteSpace: 'nowrap' }}>
+        {summary} ▾
+      </button>
+      {open && <div role="group" aria-label={label} style={{ position: 'absolute', left: 0, top: 40, minWidth: 180, maxHeight: 280, overflowY: 'auto', background: '#fff', border: '1px solid #e5e5ee', borderRadius: 8, boxShadow: '0 8px 24px rgba(0,0,0,0.08)', padding: 6, zIndex: 40 }}>
+        {value.length > 0 && <button type="button" onClick={() => onChange([])}
+          style={{ display: 'block', width: '100%', background: 'none', border: 'none', padding: '4px 8px', fontSize: T.md, color: T.blue, cursor: 'pointer', textAlign: 'left' }}>Clear</button>}
+        {options.map(opt => (
+          <label key={opt} style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '4px 8px', fontSize: T.md, color: T.text, cursor: 'pointer', fontFamily: T.mono }}>
+            <input type="checkbox" checked={value.includes(opt)} onChange={() => toggle(opt)} style={{ accentColor: T.blue }} />
+            {opt}
+          </label>
+        ))}
+      </div>}
+    </div>
+  );
+}
+
+MultiSelect.propTypes = {
+  label: PropTypes.string.isRequired,
+  options: PropTypes.arrayOf(PropTypes.string).isRequired,
+  value: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired,
+  allLabel: PropTypes.string.isRequired,
+};
@@ -0,0 +1,101 @@
+import { useState, useEffect, useRef } from 'react';
+import useAppStore from '../../stores/useAppStore';
+import { T } from '../../constants';
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+/**
+ * WorkspaceSwitcher — choose whether portfolio, saved searches and client reports
+ * are personal or shared with a team. Owners manage members from the same panel.
+ * Only shown when signed in (workspaces belong to accounts).
+ */
+export default function WorkspaceSwitcher() {
+  const {
+    account, workspaces, scope, workspace, setScope, createWorkspace,
+    addWorkspaceMember, updateWorkspaceMember, removeWorkspaceMember,
+  } = useAppStore();
+  const [open, setOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+  const [error, setError] = useState('');
+  const ref = useRef(null);
+
+  useEffect(() => {
+    const handler = (e) => { if (ref.current && !ref.current.contains(e.target)) setOpen(false); };
+    document.addEventListener('mousedown', handler);
+    return () => document.removeEventListener('mousedown', handler);
+  }, []);
+
+  if (!account) return null;
+
+  const run = async (fn) => {
+    setError('');
+    try { await fn(); } catch (err) { setError(err.message); }
+  };
+
+  const isOwner = workspace?.role === 'owner';
+  const label = scope === 'personal' ? 'Personal' : workspace?.name || 'Team';
+
+  return (
+    <div ref={ref} style={{ position: 'relative' }}>
+      <button onClick={() => setOpen(o => !o)} aria-expanded={open} aria-label={`Workspace: ${label}`}
+        style={{ background: scope === 'personal' ? 'none' : `${T.indigo}10`, border: `1px solid ${scope === 'personal' ? '#e5e5ee' : `${T.indigo}40`}`, borderRadius: 6, padding: '5px 10px', color: scope === 'personal' ? T.textSub : T.indigo, fontSize: 12, cursor: 'pointer', maxWidth: 160, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+        {label}{workspace?.role === 'viewer' ? ' · view only' : ''}
+      </button>
+
+      {open && <div role="dialog" aria-label="Workspaces" style={{ position: 'absolute', right: 0, top: 36, width: 320, maxHeight: '70vh', overflowY: 'auto', background: '#fff', border: '1px solid #e5e5ee', borderRadius: 10, boxShadow: '0 8px 24px rgba(0,0,0,0.08)', padding: 14, zIndex: 60 }}>
+        <div style={{ fontSize: 13, fontWeight: 600, color: T.text, marginBottom: 4 }}>Workspace</div>
+        <div style={{ fontSize: 11, color: T.textMute, marginBottom: 8 }}>Portfolio, saved searches and client reports follow the workspace you pick.</div>
+        <div role="radiogroup" aria-label="Workspace" style={{ display: 'grid', gap: 4, marginBottom: 10 }}>
+          {[{ id: 'personal', name: 'Personal', role: null }, ...workspaces].map(w => (
+            <button key={w.id} role="radio" aria-checked={scope === w.id} onClick={() => run(() => setScope(w.id))}
+              style={{ display: 'flex', justifyContent: 'space-between', background: scope === w.id ? `${T.indigo}10` : 'none', border: `1px solid ${scope === w.id ? `${T.indigo}40` : '#eef0f3'}`, borderRadius: 6, padding: '6px 10px', fontSize: 12, color: T.text, cursor: 'pointer', textAlign: 'left' }}>
+              <span>{w.name}</span>
+              {w.role && <span style={{ color: T.textMute, fontSize: 11 }}>{w.role}</span>}
+            </button>
+          ))}
+        </div>
+        <form onSubmit={e => { e.preventDefault(); if (newName.trim()) run(async () => { await createWorkspace(newName.trim()); setNewName(''); }); }}
+          style={{ display: 'flex', gap: 6, marginBottom: 12 }}>
+          <input value={newName} onChange={e => setNewName(e.target.value)} maxLength={80} placeholder="New team name" aria-label="New team name" style={{ ...field, flex: 1 }} />
+          <button type="submit" disabled={!newName.trim()} style={smallBtn}>Create</button>
+        </form>
+
+        {workspace && <>
+          <div style={{ fontSize: 13, fontWeight: 600, color: T.text, margin: '4px 0 6px' }}>Members</div>
+          {workspace.members.map(m => (
+            <div key={m.email} style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: T.textSub, padding: '4px 0' }}>
+              <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={m.email}>
+                {m.displayName || m.email}{m.self ? ' (you)' : ''}
+              </span>
+              {isOwner
+                ? <select value={m.role} onChange={e => run(() => updateWorkspaceMember(m.userId, e.target.value))} aria-label={`Role for ${m.email}`} style={{ ...field, padding: '3px 6px' }}>
+                  {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+                </select>
+                : <span style={{ fontSize: 11, color: T.textMute }}>{m.role}</span>}
+              {(isOwner || m.self) &&
+                <button onClick={() => run(() => removeWorkspaceMember(m.self ? account.id : m.userId))} aria-label={m.self ? 'Leave workspace' : `Remove ${m.email}`} style={linkBtn}>
+                  {m.self ? 'Leave' : 'Remove'}
+                </button>}
+            </div>
+          ))}
+          {isOwner && <form onSubmit={e => { e.preventDefault(); run(async () => { await addWorkspaceMember(email.trim(), role); setEmail(''); }); }}
+            style={{ display: 'flex', gap: 6, marginTop: 8 }}>
+            <input value={email} onChange={e => setEmail(e.target.value)} type="email" required placeholder="Colleague's account email" aria-label="Member email" style={{ ...field, flex: 1, minWidth: 0 }} />
+            <select value={role} onChange={e => setRole(e.target.value)} aria-label="New member role" style={{ ...field, padding: '5px 6px' }}>
+              {ROLES.map(r => <option key={r} value={r}>{r}</option>)}
+            </select>
+            <button type="submit" style={smallBtn}>Add</button>
+          </form>}
+        </>}
+        {error && <div role="alert" style={{ fontSize: 11, color: T.red, marginTop: 8 }}>{error}</div>}
+      </div>}
+    </div>
+  );
+}
+
+// ── Style helpers ──
+const field = { border: '1px solid #d1d5db', borderRadius: 6, padding: '5px 8px', fontSize: 12, color: T.text, outline: 'none', background: '#fff' };
+const smallBtn = { background: '#2563eb', color: '#fff', border: 'none', borderRadius: 6, padding: '5px 12px', fontSize: 12, fontWeight: 600, cursor: 'pointer' };
+const linkBtn = { background: 'none', border: 'none', color: '#2563eb', fontSize: 11, cursor: 'pointer' };
@@ -12,6 +12,7 @@ import {
   growthColor as _growthColor, pctChgColor as _pctChgColor, totalPctColor as _totalPctColor,
   computeBucketCAGR as _computeBucketCAGR, DEFAULT_YIELD as _DEFAULT_YIELD,
 } from './theme.ts';
+import { leaseDecay } from '@shared/lease-curve.ts';
 
 // ── Design Tokens (derived from theme.ts) ──
 export const T = {
@@ -115,6 +116,7 @@ export const PROJECT_TABS = [
   { id: 'context',   label: 'Market Context' },
   { id: 'records',   label: 'Records' },
   { id: 'compare',   label: 'Compare' },
+  { id: 'map',       label: 'Map' },
   { id: 'report',    label: 'Report' },
 ];
 
@@ -165,6 +167,33 @@ export function computeBucketCAGR(txList, startYear, endYear) {
   return { startAvg, endAvg, startN, endN, totalN: txList.length, cagr, lowConf, annualAvg };
 }
 
+// ── Lease decay ──
+// Bala's curve, balaFactor and leaseDecay are the backend's own (backend/src/shared/lease-curve.ts)
+export { BALA_CURVE, balaFactor, leaseDecay } from '@shared/lease-curve.ts';
+
+/** "99 yrs lease commencing from 2012" → { years: 99, start: 2012 }; null for freehold, 999-yr or no start year */
+export function parseLease(tenure) {
+  const t = (tenure || '').toLowerCase();
+  const yrs = t.match(/(\d+)\s*(?:yrs?|years?)/);
+  const from = t.match(/from\s*(\d{4})/);
+  if (t.includes('freehold') || !yrs || !from || parseInt(yrs[1]) >= 999) return null;
+  return { years: parseInt(yrs[1]), start: parseInt(from[1]) };
+}
+
+/** Years of lease left in the middle of `year` */
+export const leaseLeftAt = (lease, year) => Math.max(0, lease.years - (year - lease.start + 0.5));
+
+/**
+ * CAGR with lease decay taken out: the growth of the equivalent freehold.
+ * Leasehold prices fall as the lease runs down even in a flat market, so
+ * this is the market's contribution to a lease's raw CAGR.
+ */
+export function leaseAdjustedCAGR(startAvg, endAvg, startYear, endYear, lease) {
+  if (!lease) return computeCAGR(startAvg, endAvg, endYear - startYear);
+  const decay = leaseDecay(leaseLeftAt(lease, startYear), leaseLeftAt(lease, endYear));
+  return decay > 0 ? computeCAGR(startAvg, endAvg / decay, endYear - startYear) : null;
+}
+
 // ── Formatters ──
 export const fmtDollar = (v) => '$' + (typeof v === 'number' ? v.toLocaleString() : v);
 export const fmtPct = (v) => `${v > 0 ? '+' : ''}${v}%`;
@@ -175,6 +204,15 @@ export const fmtVolAxis = (v) => `$${(v / 1e9).toFixed(1)}B`;
 export const fmtPctAxis = (v) => `${v > 0 ? '+' : ''}${v}%`;
 export const fmtTxAxis = (v) => v + ' tx';
 
+/** "Added by Alice · edited by Ben, 3 Oct" for team workspace items; '' when unattributed */
+export function fmtAttribution(item) {
+  if (!item?.createdBy) return '';
+  const added = `Added by ${item.createdBy.name}`;
+  if (!item.updatedBy) return added;
+  const when = item.updatedAt ? `, ${new Date(item.updatedAt).toLocaleDateString('en-SG', { day: 'numeric', month: 'short' })}` : '';
+  return `${added} · edited by ${item.updatedBy.name}${when}`;
+}
+
 // ── Color helpers (re-export from theme) ──
 export const cagrColor = _cagrColor;
 export const yieldColor = _yieldColor;
@@ -3,6 +3,9 @@ import { Outlet, NavLink, useNavigate, useLocation } from 'react-router-dom';
 import useAppStore from '../stores/useAppStore';
 import { T, S } from '../constants';
 import ProjectSearch from '../components/shared/ProjectSearch';
+import AlertsInbox from '../components/shared/AlertsInbox';
+import AccountMenu from '../components/shared/AccountMenu';
+import WorkspaceSwitcher from '../components/shared/WorkspaceSwitcher';
 
 export default function AppLayout() {
   const { loading, error, refresh, refreshing, mktData, projList, projIndex, cmpPool, proj, bootstrap } = useAppStore();
@@ -66,6 +69,9 @@ export default function AppLayout() {
         </div>}
 
         <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: 10 }}>
+          <WorkspaceSwitcher />
+          <AlertsInbox />
+          <AccountMenu />
           <button onClick={refresh} disabled={refreshing} aria-label={refreshing ? 'Refreshing data' : 'Refresh data'}
             style={{ background: 'none', border: '1px solid #e5e5ee', borderRadius: 6, padding: '5px 10px', color: refreshing ? T.textFaint : T.textSub, fontSize: 12, cursor: refreshing ? 'wait' : 'pointer' }}>
             {refreshing ? 'Refreshing...' : 'Refresh'}
@@ -1,7 +1,7 @@
 import { useState, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import useAppStore from '../stores/useAppStore';
-import { T, MARKET_TABS } from '../constants';
+import useAppStore, { canEditScope } from '../stores/useAppStore';
+import { T, MARKET_TABS, fmtAttribution } from '../constants';
 import { StatCard } from '../components/ui';
 import { SectionBoundary } from '../components/ErrorBoundary';
 import ProjectSearch from '../components/shared/ProjectSearch';
@@ -26,8 +26,9 @@ export default function MarketPage() {
   const {
     mktData, filterOpts, filters, filtering,
     projList, projIndex, cmpPool, proj,
-    savedSearches, updateFilter, resetFilters, saveSearch, applySavedSearch, deleteSavedSearch,
+    savedSearches, updateFilter, resetFilters, saveSearch, applySavedSearch, deleteSavedSearch, scope, workspace,
   } = useAppStore();
+  const canEdit = canEditScope({ scope, workspace });
   const hasActiveFilters = Object.values(filters).some(v => v !== 'all');
 
   const [tab, setTab] = useState('overview');
@@ -51,7 +52,7 @@ export default function MarketPage() {
   }, [applySavedSearch]);
 
   const accent = '#2563eb';
-  const mktProps = { overview: { data: mktData }, sales: { mode: 'sales', data: mktData }, rental: { mode: 'rental', data: mktData }, invest: { data: mktData }, perform: { data: mktData } };
+  const mktProps = { overview: { data: mktData, district: filters.district, onDistrictSelect: d => updateFilter('district', d) }, sales: { mode: 'sales', data: mktData }, rental: { mode: 'rental', data: mktData }, invest: { data: mktData }, perform: { data: mktData } };
 
   return (
     <>
@@ -73,7 +74,7 @@ export default function MarketPage() {
               </FilterChip>
             ))}
             {hasActiveFilters && <button onClick={resetFilters} aria-label="Clear all filters" style={{ background: '#fef2f2', border: '1px solid #fecaca', borderRadius: 20, padding: '6px 14px', color: '#dc2626', fontSize: 12, cursor: 'pointer', fontWeight: 500 }}>Clear filters</button>}
-            {hasActiveFilters && !showSaveInput && <button onClick={() => setShowSaveInput(true)} style={{ background: 'none', border: '1px solid #d1d5db', borderRadius: 20, padding: '6px 14px', color: T.textSub, fontSize: 12, cursor: 'pointer', fontWeight: 500 }}>Save search</button>}
+            {hasActiveFilters && canEdit && !showSaveInput && <button onClick={() => setShowSaveInput(true)} style={{ background: 'none', border: '1px solid #d1d5db', borderRadius: 20, padding: '6px 14px', color: T.textSub, fontSize: 12, cursor: 'pointer', fontWeight: 500 }}>Save search</button>}
             {showSaveInput && <div style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
               <input value={savingName} onChange={e => setSavingName(e.target.value)} onKeyDown={e => e.key === 'Enter' && saveCurrentSearch()} placeholder="Search name..." autoFocus aria-label="Name for saved search" style={{ background: '#fff', border: '1px solid #d1d5db', borderRadius: 6, padding: '5px 10px', fontSize: 12, color: T.text, outline: 'none', width: 130, fontFamily: T.mono }} />
               <button onClick={saveCurrentSearch} disabled={!savingName.trim()} style={{ background: accent, color: '#fff', border: 'none', borderRadius: 6, padding: '5px 10px', fontSize: 12, cursor: 'pointer', fontWeight: 600 }}>Save</button>
@@ -88,10 +89,10 @@ export default function MarketPage() {
             <span style={{ color: T.textMute, fontSize: 10, fontWeight: 600, textTransform: 'uppercase', letterSpacing: '0.05em' }}>Saved:</span>
             {savedSearches.map((ss, i) => {
               const af = Object.entries(ss.filters).filter(([, v]) => v !== 'all').map(([, v]) => v);
-              return <div key={i} role="listitem" style={{ display: 'flex', alignItems: 'center', gap: 4, background: '#eff6ff', border: '1px solid #bfdbfe', borderRadius: 20, padding: '3px 10px' }}>
+              return <div key={i} role="listitem" title={fmtAttribution(ss) || undefined} style={{ display: 'flex', alignItems: 'center', gap: 4, background: '#eff6ff', border: '1px solid #bfdbfe', borderRadius: 20, padding: '3px 10px' }}>
                 <button onClick={() => handleApplySaved(ss)} style={{ background: 'none', border: 'none', color: accent, cursor: 'pointer', fontSize: 11, fontWeight: 600, padding: 0 }}>{ss.name}</button>
                 <span style={{ color: T.textMute, fontSize: 9 }}>({af.join(', ')})</span>
-                <button onClick={() => deleteSavedSearch(i)} aria-label={`Remove saved search: ${ss.name}`} style={{ background: 'none', border: 'none', color: T.textMute, cursor: 'pointer', fontSize: 10, padding: 0, lineHeight: 1 }}>×</button>
+                {canEdit && <button onClick={() => deleteSavedSearch(i)} aria-label={`Remove saved search: ${ss.name}`} style={{ background: 'none', border: 'none', color: T.textMute, cursor: 'pointer', fontSize: 10, padding: 0, lineHeight: 1 }}>×</button>}
               </div>;
             })}
           </div>}
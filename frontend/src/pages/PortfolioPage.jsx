@@ -1,12 +1,12 @@
 import { useNavigate } from 'react-router-dom';
 import { useCallback } from 'react';
-import useAppStore from '../stores/useAppStore';
+import useAppStore, { canEditScope } from '../stores/useAppStore';
 import { SectionBoundary } from '../components/ErrorBoundary';
 import Portfolio from '../components/portfolio/Portfolio';
 
 export default function PortfolioPage() {
   const navigate = useNavigate();
-  const { cmpPool, projList, projIndex, portfolio, updatePortfolio, syncStatus } = useAppStore();
+  const { cmpPool, projList, projIndex, portfolio, updatePortfolio, syncStatus, scope, workspace } = useAppStore();
 
   const handleViewProject = useCallback((name) => {
     useAppStore.getState().selectProject(name);
@@ -21,6 +21,7 @@ export default function PortfolioPage() {
           onViewProject={handleViewProject}
           holdings={portfolio} setHoldings={updatePortfolio}
           syncStatus={syncStatus}
+          teamName={workspace?.name} readOnly={!canEditScope({ scope, workspace })}
         />
       </section>
     </SectionBoundary>
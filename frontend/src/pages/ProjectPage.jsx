@@ -1,6 +1,6 @@
 import { useState, useMemo, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import useAppStore from '../stores/useAppStore';
+import useAppStore, { canEditScope } from '../stores/useAppStore';
 import { T, PROJECT_TABS } from '../constants';
 import { Card } from '../components/ui';
 import { SectionBoundary } from '../components/ErrorBoundary';
@@ -12,16 +12,17 @@ import PropertyAnalysisTab from '../components/project/PropertyAnalysisTab';
 import InvestmentProjectTab from '../components/project/InvestmentProjectTab';
 import CompareTab from '../components/project/CompareTab';
 import RecordsTab from '../components/project/RecordsTab';
+import MapTab from '../components/project/MapTab';
 import ClientReport from '../components/project/ClientReport';
 
-const PROJECT_COMPONENTS = { valuation: ValuationTab, analysis: PropertyAnalysisTab, investment: InvestmentProjectTab, context: ProjectOverview, compare: CompareTab, records: RecordsTab, report: ClientReport };
+const PROJECT_COMPONENTS = { valuation: ValuationTab, analysis: PropertyAnalysisTab, investment: InvestmentProjectTab, context: ProjectOverview, compare: CompareTab, map: MapTab, records: RecordsTab, report: ClientReport };
 
 export default function ProjectPage() {
   const { name } = useParams();
   const navigate = useNavigate();
   const {
     proj, projData, projLoading, cmpPool, cmpSelected, setCmpSelected,
-    projList, projIndex, mktData, clientReports, updateClientReports, selectProject,
+    projList, projIndex, mktData, clientReports, updateClientReports, selectProject, scope, workspace,
   } = useAppStore();
 
   const [aTab, setATab] = useState('valuation');
@@ -110,7 +111,8 @@ export default function ProjectPage() {
     context: { projInfo: p, projData, masterFilters },
     compare: { proj, cmpPool, cmpSelected, setCmpSelected, mktData, nearbyProjects: projData?.nearbyProjects || [], selfYearPsf: projData?.yearPsf || {}, selfBedYearPsf: projData?.bedYearPsf || {}, selfYearPrice: projData?.yearPrice || {}, selfBedYearPrice: projData?.bedYearPrice || {}, bedOptions: rawBedOptions, masterFilters, projList, projIndex },
     records: { projInfo: p, projData, masterFilters },
-    report: { projInfo: p, projData, clientReports, setClientReports: updateClientReports },
+    map: { proj },
+    report: { projInfo: p, projData, clientReports, setClientReports: updateClientReports, teamName: workspace?.name, readOnly: !canEditScope({ scope, workspace }) },
   };
 
   const filterSel = (active) => ({
@@ -1,12 +1,13 @@
-import type { MarketData, FilterOptions, ProjectData, Filters, UserData, SearchResults, Transaction, RentalTransaction } from '../types';
+import type { MarketData, FilterOptions, ProjectData, NearbyProjects, MapData, PriceIndex, Valuation, ValuationRequest, AcquisitionCost, AcquisitionCostRequest, PortfolioCashflow, PortfolioCashflowRequest, Filters, UserData, SearchResults, SalesSearchRow, RentalSearchRow, ExportFormat, TriggeredAlert, AuthUser, Workspace, WorkspaceSummary, WorkspaceMember, WorkspaceRole } from '../types';
 
 const API = import.meta.env.VITE_API_URL || '';
 
 async function get<T>(path: string): Promise<T> {
-  const res = await fetch(`${API}${path}`);
-  if (!res.ok) throw new Error(`API ${res.status}`);
-  const json = await res.json();
-  if (!json.success) throw new Error(json.error || 'API error');
+  const res = await authFetch(path);
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || !json.success) {
+    throw Object.assign(new Error(json.error || `API ${res.status}`), { status: res.status, code: json.code });
+  }
   return json.data as T;
 }
 
@@ -57,32 +58,189 @@ export async function fetchFilterOptions(): Promise<FilterOptions> {
   return await get<FilterOptions>('/api/v1/filters');
 }
 
+export async function fetchPriceIndex(params: { district?: string; segment?: string; base?: string } = {}): Promise<PriceIndex> {
+  const sp = new URLSearchParams();
+  Object.entries(params).forEach(([k, v]) => { if (v) sp.set(k, v); });
+  const qs = sp.toString();
+  return await get<PriceIndex>(`/api/v1/index${qs ? `?${qs}` : ''}`);
+}
+
 export async function fetchProject(name: string): Promise<ProjectData> {
   return await get<ProjectData>(`/api/v1/project/${encodeURIComponent(name)}`);
 }
 
-// Paginated search (always live)
+export async function fetchNearbyProjects(name: string, radiusM = 1000): Promise<NearbyProjects> {
+  return await get<NearbyProjects>(`/api/v1/project/${encodeURIComponent(name)}/nearby?radiusM=${radiusM}`);
+}
+
+export async function fetchMapData(): Promise<MapData> {
+  return await get<MapData>('/api/v1/map');
+}
+
+/** Hedonic model estimate for one unit; the valuation tab and client reports both use it */
+export function fetchValuation(req: ValuationRequest): Promise<Valuation> {
+  return send<Valuation>('POST', '/api/v1/valuation', req);
+}
+
+/** Stamp duties, loan and cost of ownership for a purchase (the valuation tab's calculator) */
+export function fetchAcquisitionCost(req: AcquisitionCostRequest): Promise<AcquisitionCost> {
+  return send<AcquisitionCost>('POST', '/api/v1/acquisition-cost', req);
+}
+
+/** Cash flows, IRR and equity multiple for portfolio holdings under bear / base / bull growth */
+export function fetchPortfolioCashflow(req: PortfolioCashflowRequest): Promise<PortfolioCashflow> {
+  return send<PortfolioCashflow>('POST', '/api/v1/portfolio/cashflow', req);
+}
+
+// Paginated search (always live). district and propertyType take comma-separated lists.
 export function searchSales(params: {
   q?: string; district?: string; segment?: string; type?: string; tenure?: string;
+  propertyType?: string; bedrooms?: string; from?: string; to?: string;
+  psfMin?: number; psfMax?: number; priceMin?: number; priceMax?: number;
+  areaMin?: number; areaMax?: number; floorMin?: number; floorMax?: number;
   page?: number; limit?: number; sort?: string;
-} = {}): Promise<SearchResults<Transaction>> {
+} = {}): Promise<SearchResults<SalesSearchRow>> {
   const sp = new URLSearchParams();
   Object.entries(params).forEach(([k, v]) => { if (v != null) sp.set(k, String(v)); });
-  return get<SearchResults<Transaction>>(`/api/v1/sales/search?${sp}`);
+  return get<SearchResults<SalesSearchRow>>(`/api/v1/sales/search?${sp}`);
 }
 
 export function searchRental(params: {
   q?: string; district?: string; segment?: string; bedrooms?: string; areaSqft?: string;
   page?: number; limit?: number; sort?: string;
-} = {}): Promise<SearchResults<RentalTransaction>> {
+} = {}): Promise<SearchResults<RentalSearchRow>> {
   const sp = new URLSearchParams();
   Object.entries(params).forEach(([k, v]) => { if (v != null) sp.set(k, String(v)); });
-  return get<SearchResults<RentalTransaction>>(`/api/v1/rental/search?${sp}`);
+  return get<SearchResults<RentalSearchRow>>(`/api/v1/rental/search?${sp}`);
+}
+
+/**
+ * Download URL for every row matching a search (same filters, no paging).
+ * Used as a plain link so the browser streams the file to disk.
+ */
+export function exportUrl(dataset: 'sales' | 'rental', params: Record<string, string | undefined> = {}, format: ExportFormat = 'csv'): string {
+  const sp = new URLSearchParams();
+  Object.entries(params).forEach(([k, v]) => { if (v) sp.set(k, v); });
+  sp.set('format', format);
+  return `${API}/api/v1/${dataset}/export?${sp}`;
+}
+
+// ═══ Accounts ═══
+// Access + refresh tokens live in localStorage under sg_auth. Signed-in users are
+// keyed by their account id; everyone else keeps the anonymous sg_user_id.
+
+interface StoredAuth {
+  accessToken: string;
+  refreshToken: string;
+  user: AuthUser;
+}
+
+const AUTH_KEY = 'sg_auth';
+/** Token the anonymous id's first save (or first read, for older ids) returned; proves the id is ours when claiming it */
+const CLAIM_KEY = 'sg_claim_token';
+
+export function getAuth(): StoredAuth | null {
+  try {
+    const raw = localStorage.getItem(AUTH_KEY);
+    return raw ? JSON.parse(raw) as StoredAuth : null;
+  } catch { return null; }
+}
+
+function setAuth(auth: StoredAuth | null): void {
+  if (auth) localStorage.setItem(AUTH_KEY, JSON.stringify(auth));
+  else localStorage.removeItem(AUTH_KEY);
+}
+
+function withAuth(init: RequestInit = {}): RequestInit {
+  const auth = getAuth();
+  if (!auth) return init;
+  return { ...init, headers: { ...(init.headers as Record<string, string>), Authorization: `Bearer ${auth.accessToken}` } };
+}
+
+/** fetch with the access token attached; on 401 rotates the refresh token once and retries */
+async function authFetch(path: string, init: RequestInit = {}): Promise<Response> {
+  const res = await fetch(`${API}${path}`, withAuth(init));
+  if (res.status !== 401 || !getAuth()) return res;
+  if (!(await refreshSession())) return res;
+  return fetch(`${API}${path}`, withAuth(init));
+}
+
+async function refreshSession(): Promise<boolean> {
+  const auth = getAuth();
+  if (!auth) return false;
+  try {
+    const res = await fetch(`${API}/api/v1/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: auth.refreshToken }),
+    });
+    const json = await res.json();
+    if (!res.ok || !json.success) throw new Error(json.error);
+    setAuth({ ...auth, accessToken: json.data.accessToken, refreshToken: json.data.refreshToken });
+    return true;
+  } catch {
+    setAuth(null); // refresh token expired or revoked — back to anonymous
+    return false;
+  }
+}
+
+async function postAuth(path: string, body: Record<string, unknown>): Promise<{ accessToken: string; refreshToken: string }> {
+  const res = await fetch(`${API}/api/v1/auth/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || !json.success) throw new Error(json.error || `Auth failed: ${res.status}`);
+  return json.data;
+}
+
+/**
+ * Store tokens, load the profile, then claim the anonymous id (if any) so
+ * portfolio / reports created before signing in move into the account.
+ */
+async function startSession(tokens: { accessToken: string; refreshToken: string }): Promise<AuthUser> {
+  const me = await fetch(`${API}/api/v1/auth/me`, { headers: { Authorization: `Bearer ${tokens.accessToken}` } });
+  const json = await me.json();
+  if (!me.ok || !json.success) throw new Error(json.error || 'Failed to load profile');
+  setAuth({ ...tokens, user: json.data });
+
+  // Without a claim token nothing was saved under the anonymous id, or it was never read back since tokens were issued
+  const anonymousId = localStorage.getItem('sg_user_id');
+  const claimToken = localStorage.getItem(CLAIM_KEY);
+  if (anonymousId && claimToken && anonymousId !== json.data.id) {
+    const res = await authFetch('/api/v1/auth/claim', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ anonymousId, claimToken }),
+    }).catch(() => null);
+    // 404 = nothing saved under the anonymous id, 403 = not ours to claim; either way it's done with
+    if (res && (res.ok || res.status === 404 || res.status === 403)) {
+      localStorage.removeItem('sg_user_id');
+      localStorage.removeItem(CLAIM_KEY);
+    }
+  }
+  return json.data as AuthUser;
+}
+
+export async function signup(email: string, password: string, displayName?: string): Promise<AuthUser> {
+  return startSession(await postAuth('register', { email, password, ...(displayName ? { displayName } : {}) }));
+}
+
+export async function login(email: string, password: string): Promise<AuthUser> {
+  return startSession(await postAuth('login', { email, password }));
+}
+
+export async function logout(): Promise<void> {
+  await authFetch('/api/v1/auth/logout', { method: 'POST' }).catch(() => {});
+  setAuth(null);
 }
 
 // ═══ User data (portfolio + saved searches) ═══
 
 export function getUserId(): string {
+  const auth = getAuth();
+  if (auth) return auth.user.id;
   let id = localStorage.getItem('sg_user_id');
   if (!id) {
     id = crypto.randomUUID ? crypto.randomUUID() : `u-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
@@ -91,21 +249,100 @@ export function getUserId(): string {
   return id;
 }
 
+/** Keep a claim token the server hands out, unless we're already signed in */
+function keepClaimToken<T extends UserData>(data: T & { claimToken?: string }): T {
+  const { claimToken, ...rest } = data;
+  if (claimToken && !getAuth()) localStorage.setItem(CLAIM_KEY, claimToken);
+  return rest as T;
+}
+
 export async function loadUserData(): Promise<UserData> {
   try {
-    return await get<UserData>(`/api/v1/user/${getUserId()}`);
+    return keepClaimToken(await get<UserData>(`/api/v1/user/${getUserId()}`));
   } catch {
     return { portfolio: [], savedSearches: [], clientReports: [] };
   }
 }
 
 export async function saveUserData(data: Partial<UserData>): Promise<UserData> {
-  const res = await fetch(`${API}/api/v1/user/${getUserId()}`, {
+  const res = await authFetch(`/api/v1/user/${getUserId()}`, {
     method: 'PUT',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(data),
   });
   if (!res.ok) throw new Error(`Save failed: ${res.status}`);
   const json = await res.json();
-  return json.data as UserData;
+  return keepClaimToken(json.data as UserData);
+}
+
+// ═══ Alerts inbox ═══
+
+export async function fetchAlerts(): Promise<TriggeredAlert[]> {
+  return await get<TriggeredAlert[]>(`/api/v1/user/${getUserId()}/alerts`);
+}
+
+/** Mark alerts read — all of them when `ids` is omitted */
+export async function markAlertsRead(ids?: string[]): Promise<TriggeredAlert[]> {
+  const res = await authFetch(`/api/v1/user/${getUserId()}/alerts/read`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(ids ? { ids } : {}),
+  });
+  if (!res.ok) throw new Error(`Mark read failed: ${res.status}`);
+  const json = await res.json();
+  return json.data as TriggeredAlert[];
+}
+
+// ═══ Team workspaces ═══
+// Shared portfolio / saved searches / client reports. Requires a signed-in account.
+
+/** JSON request that throws with the server's error code (and payload, e.g. on 409) attached */
+async function send<T>(method: string, path: string, body?: unknown): Promise<T> {
+  const res = await authFetch(path, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok || !json.success) {
+    throw Object.assign(new Error(json.error || `API ${res.status}`), { status: res.status, code: json.code, data: json.data });
+  }
+  return json.data as T;
+}
+
+export async function fetchWorkspaces(): Promise<WorkspaceSummary[]> {
+  return await get<WorkspaceSummary[]>('/api/v1/workspaces');
+}
+
+export async function fetchWorkspace(id: string): Promise<Workspace> {
+  return await get<Workspace>(`/api/v1/workspaces/${id}`);
+}
+
+export function createWorkspace(name: string): Promise<Workspace> {
+  return send<Workspace>('POST', '/api/v1/workspaces', { name });
+}
+
+/**
+ * Save shared lists. `baseUpdatedAt` (required) is the version they were edited
+ * from; a 409 error (code WORKSPACE_CONFLICT) carries the current workspace in `err.data`.
+ */
+export function saveWorkspaceData(
+  id: string,
+  data: Partial<Pick<Workspace, 'portfolio' | 'savedSearches' | 'clientReports'>>,
+  baseUpdatedAt: string,
+): Promise<Workspace> {
+  return send<Workspace>('PUT', `/api/v1/workspaces/${id}/data`, { ...data, baseUpdatedAt });
+}
+
+export function addWorkspaceMember(id: string, email: string, role: WorkspaceRole): Promise<WorkspaceMember[]> {
+  return send<WorkspaceMember[]>('POST', `/api/v1/workspaces/${id}/members`, { email, role });
+}
+
+export function updateWorkspaceMember(id: string, userId: string, role: WorkspaceRole): Promise<WorkspaceMember[]> {
+  return send<WorkspaceMember[]>('PATCH', `/api/v1/workspaces/${id}/members/${userId}`, { role });
+}
+
+/** Remove a member, or leave when `userId` is your own */
+export function removeWorkspaceMember(id: string, userId: string): Promise<WorkspaceMember[]> {
+  return send<WorkspaceMember[]>('DELETE', `/api/v1/workspaces/${id}/members/${userId}`);
 }
@@ -3,13 +3,24 @@
  * Replaces 30+ useState calls and eliminates prop-drilling
  */
 import { create } from 'zustand';
-import type { AppState, MarketData, Filters, ProjectData, CompProject, SavedSearch } from '../types';
+import type { AppState, MarketData, Filters, ProjectData, CompProject, SavedSearch, AlertRule, Workspace, WorkspaceRole } from '../types';
 import {
   fetchDashboard, refreshDashboard, fetchFilteredDashboard,
   fetchFilterOptions, fetchProject, loadUserData, saveUserData,
+  fetchAlerts, markAlertsRead, getAuth, login, signup, logout,
+  fetchWorkspaces, fetchWorkspace, createWorkspace, saveWorkspaceData,
+  addWorkspaceMember, updateWorkspaceMember, removeWorkspaceMember,
 } from '../services/api';
 
 const INIT_FILTERS: Filters = { district: 'all', year: 'all', segment: 'all', propertyType: 'all', tenure: 'all' };
+const EMPTY_USER_DATA = { portfolio: [], savedSearches: [], clientReports: [], watchlist: [], alerts: [], webhookUrl: '' };
+const NO_WORKSPACE = { workspaces: [], scope: 'personal', workspace: null, _personal: null };
+
+type SharedLists = Pick<AppState, 'portfolio' | 'savedSearches' | 'clientReports'>;
+
+/** Viewers of a team workspace can't change its lists */
+export const canEditScope = (s: Pick<AppState, 'scope' | 'workspace'>): boolean =>
+  s.scope === 'personal' || (!!s.workspace && s.workspace.role !== 'viewer');
 
 interface AppActions {
   bootstrap: () => Promise<void>;
@@ -23,10 +34,29 @@ interface AppActions {
   saveSearch: (name: string, filters: Filters, tab: string) => void;
   applySavedSearch: (saved: SavedSearch) => Promise<string>;
   deleteSavedSearch: (idx: number) => void;
+  addAlertRule: (rule: Omit<AlertRule, 'id' | 'createdAt'>) => void;
+  removeAlertRule: (id: string) => void;
+  setWebhookUrl: (url: string) => void;
+  loadAlerts: () => Promise<void>;
+  markAlertsRead: (ids?: string[]) => Promise<void>;
+  signIn: (email: string, password: string) => Promise<void>;
+  signUp: (email: string, password: string, displayName?: string) => Promise<void>;
+  signOut: () => Promise<void>;
+  loadWorkspaces: () => Promise<void>;
+  setScope: (scope: string) => Promise<void>;
+  createWorkspace: (name: string) => Promise<void>;
+  addWorkspaceMember: (email: string, role: WorkspaceRole) => Promise<void>;
+  updateWorkspaceMember: (userId: string, role: WorkspaceRole) => Promise<void>;
+  removeWorkspaceMember: (userId: string) => Promise<void>;
   _autoSelectComps: (name: string, data: ProjectData | null, cmpPool: CompProject[]) => void;
   _loadUserData: () => Promise<void>;
   _syncToServer: () => void;
+  _syncLists: () => void;
+  _syncWorkspace: () => void;
   _syncTimer: ReturnType<typeof setTimeout> | null;
+  _wsSyncTimer: ReturnType<typeof setTimeout> | null;
+  /** Personal lists parked while a team workspace is in scope */
+  _personal: SharedLists | null;
 }
 
 type Store = AppState & AppActions;
@@ -58,7 +88,15 @@ const useAppStore = create<Store>((set, get) => ({
   portfolio: [],
   savedSearches: [],
   clientReports: [],
+  watchlist: [],
+  alerts: [],
+  webhookUrl: '',
   syncStatus: 'idle',
+  account: null,
+  workspaces: [],
+  scope: 'personal',
+  workspace: null,
+  _personal: null,
 
   // ═══ ACTIONS: MARKET ═══
 
@@ -165,7 +203,7 @@ const useAppStore = create<Store>((set, get) => ({
   _autoSelectComps: (name, data, cmpPool) => {
     if (data?.nearbyProjects?.length) {
       const street = data.nearbyProjects.filter(p => p.rel === 'street').slice(0, 3).map(p => p.name);
-      const dist = data.nearbyProjects.filter(p => p.rel === 'district').slice(0, 4 - street.length).map(p => p.name);
+      const dist = data.nearbyProjects.filter(p => p.rel === 'radius' || p.rel === 'district').slice(0, 4 - street.length).map(p => p.name);
       set({ cmpSelected: [name, ...street, ...dist].slice(0, 5) });
     } else if (cmpPool?.length) {
       const self = cmpPool.find(p => p.name === name);
@@ -184,16 +222,23 @@ const useAppStore = create<Store>((set, get) => ({
 
   _loadUserData: async () => {
     try {
+      set({ account: getAuth()?.user ?? null });
       const data = await loadUserData();
       if (data?.portfolio?.length) set({ portfolio: data.portfolio });
       if (data?.savedSearches?.length) set({ savedSearches: data.savedSearches });
       if (data?.clientReports?.length) set({ clientReports: data.clientReports });
+      if (data?.watchlist?.length) set({ watchlist: data.watchlist });
+      if (data?.alerts?.length) set({ alerts: data.alerts });
+      if (data?.webhookUrl) set({ webhookUrl: data.webhookUrl });
     } catch { /* ignore */ }
+    if (get().account) await get().loadWorkspaces();
   },
 
   _syncTimer: null,
   _syncToServer: () => {
-    const { portfolio, savedSearches, clientReports, _syncTimer } = get();
+    const { scope, _personal, watchlist, webhookUrl, _syncTimer } = get();
+    // Team lists never go to the personal record
+    const { portfolio, savedSearches, clientReports } = scope === 'personal' || !_personal ? get() : _personal;
     try {
       localStorage.setItem('sg_portfolio', JSON.stringify(portfolio));
       localStorage.setItem('sg_saved_searches', JSON.stringify(savedSearches));
@@ -203,7 +248,7 @@ const useAppStore = create<Store>((set, get) => ({
     set({ syncStatus: 'saving' });
     const timer = setTimeout(async () => {
       try {
-        await saveUserData({ portfolio, savedSearches, clientReports });
+        await saveUserData({ portfolio, savedSearches, clientReports, watchlist, webhookUrl });
         set({ syncStatus: 'saved' });
         setTimeout(() => { if (get().syncStatus === 'saved') set({ syncStatus: 'idle' }); }, 2000);
       } catch { set({ syncStatus: 'error' }); }
@@ -211,12 +256,54 @@ const useAppStore = create<Store>((set, get) => ({
     set({ _syncTimer: timer });
   },
 
-  updatePortfolio: (p) => { set({ portfolio: p }); get()._syncToServer(); },
-  updateClientReports: (r) => { set({ clientReports: r }); get()._syncToServer(); },
+  _syncLists: () => (get().scope === 'personal' ? get()._syncToServer() : get()._syncWorkspace()),
+
+  _wsSyncTimer: null,
+  _syncWorkspace: () => {
+    const { scope, workspace, portfolio, savedSearches, clientReports, _wsSyncTimer } = get();
+    if (_wsSyncTimer) clearTimeout(_wsSyncTimer);
+    set({ syncStatus: 'saving' });
+    const timer = setTimeout(async () => {
+      // Base version is read at send time so back-to-back saves chain correctly
+      const current = get().workspace;
+      const base = (current?.id === scope ? current : workspace)?.updatedAt;
+      // Nothing loaded to edit from — the server would refuse a blind overwrite
+      if (!base) { set({ syncStatus: 'error' }); return; }
+      try {
+        const ws = await saveWorkspaceData(scope, { portfolio, savedSearches, clientReports }, base);
+        if (get().scope !== scope) return;
+        const s = get();
+        // Take the server's copy (with attribution) unless the user kept editing meanwhile
+        const untouched = s.portfolio === portfolio && s.savedSearches === savedSearches && s.clientReports === clientReports;
+        set(untouched
+          ? { workspace: ws, portfolio: ws.portfolio, savedSearches: ws.savedSearches, clientReports: ws.clientReports, syncStatus: 'saved' }
+          : { workspace: ws, syncStatus: 'saved' });
+        setTimeout(() => { if (get().syncStatus === 'saved') set({ syncStatus: 'idle' }); }, 2000);
+      } catch (err) {
+        const { code, data } = err as { code?: string; data?: Workspace };
+        // Someone else saved first — show their version rather than overwrite it
+        if (code === 'WORKSPACE_CONFLICT' && data && get().scope === scope) {
+          set({ workspace: data, portfolio: data.portfolio, savedSearches: data.savedSearches, clientReports: data.clientReports });
+        }
+        set({ syncStatus: 'error' });
+      }
+    }, 1000);
+    set({ _wsSyncTimer: timer });
+  },
+
+  updatePortfolio: (p) => {
+    if (!canEditScope(get())) return;
+    set({ portfolio: p }); get()._syncLists();
+  },
+  updateClientReports: (r) => {
+    if (!canEditScope(get())) return;
+    set({ clientReports: r }); get()._syncLists();
+  },
 
   saveSearch: (name, filters, tab) => {
+    if (!canEditScope(get())) return;
     const next = [...get().savedSearches, { name: name.trim(), filters: { ...filters }, tab, createdAt: new Date().toISOString() }];
-    set({ savedSearches: next }); get()._syncToServer();
+    set({ savedSearches: next }); get()._syncLists();
   },
 
   applySavedSearch: async (saved) => {
@@ -236,8 +323,115 @@ const useAppStore = create<Store>((set, get) => ({
   },
 
   deleteSavedSearch: (idx) => {
+    if (!canEditScope(get())) return;
     const next = get().savedSearches.filter((_, i) => i !== idx);
-    set({ savedSearches: next }); get()._syncToServer();
+    set({ savedSearches: next }); get()._syncLists();
+  },
+
+  // ═══ ACTIONS: ACCOUNT ═══
+  // Signing in claims the anonymous id server-side, so reloading user data
+  // picks up the merged portfolio / reports.
+
+  signIn: async (email, password) => {
+    await login(email, password);
+    await get().setScope('personal');
+    await get()._loadUserData();
+  },
+
+  signUp: async (email, password, displayName) => {
+    await signup(email, password, displayName);
+    await get().setScope('personal');
+    await get()._loadUserData();
+  },
+
+  signOut: async () => {
+    await logout();
+    set({ account: null, ...EMPTY_USER_DATA, ...NO_WORKSPACE });
+    try {
+      ['sg_portfolio', 'sg_saved_searches', 'sg_client_reports', 'sg_scope'].forEach(k => localStorage.removeItem(k));
+    } catch { /* ignore */ }
+  },
+
+  // ═══ ACTIONS: TEAM WORKSPACES ═══
+  // The active scope's lists live in portfolio / savedSearches / clientReports so
+  // every page works unchanged; personal lists are parked in _personal meanwhile.
+
+  loadWorkspaces: async () => {
+    try {
+      const workspaces = await fetchWorkspaces();
+      set({ workspaces });
+      const saved = localStorage.getItem('sg_scope');
+      if (saved && get().scope === 'personal' && workspaces.some(w => w.id === saved)) await get().setScope(saved);
+    } catch { /* ignore */ }
+  },
+
+  setScope: async (scope) => {
+    const s = get();
+    if (scope === s.scope) return;
+    const personal = s.scope === 'personal'
+      ? { portfolio: s.portfolio, savedSearches: s.savedSearches, clientReports: s.clientReports }
+      : s._personal;
+    if (scope === 'personal') {
+      set({ scope, workspace: null, _personal: null, ...(personal || {}) });
+    } else {
+      const ws = await fetchWorkspace(scope);
+      set({ scope, workspace: ws, _personal: personal, portfolio: ws.portfolio, savedSearches: ws.savedSearches, clientReports: ws.clientReports });
+    }
+    try { localStorage.setItem('sg_scope', scope); } catch { /* ignore */ }
+  },
+
+  createWorkspace: async (name) => {
+    const ws = await createWorkspace(name);
+    set({ workspaces: [...get().workspaces, { id: ws.id, name: ws.name, role: ws.role, memberCount: ws.members.length, updatedAt: ws.updatedAt }] });
+    await get().setScope(ws.id);
+  },
+
+  addWorkspaceMember: async (email, role) => {
+    const { workspace } = get();
+    if (!workspace) return;
+    const members = await addWorkspaceMember(workspace.id, email, role);
+    set({ workspace: { ...workspace, members } });
+  },
+
+  updateWorkspaceMember: async (userId, role) => {
+    const { workspace } = get();
+    if (!workspace) return;
+    const members = await updateWorkspaceMember(workspace.id, userId, role);
+    set({ workspace: { ...workspace, members } });
+  },
+
+  removeWorkspaceMember: async (userId) => {
+    const { workspace, account } = get();
+    if (!workspace) return;
+    const members = await removeWorkspaceMember(workspace.id, userId);
+    if (userId !== account?.id) { set({ workspace: { ...workspace, members } }); return; }
+    // Left the team
+    await get().setScope('personal');
+    set({ workspaces: get().workspaces.filter(w => w.id !== workspace.id) });
+  },
+
+  // ═══ ACTIONS: WATCHLIST + ALERTS ═══
+
+  addAlertRule: (rule) => {
+    const id = crypto.randomUUID ? crypto.randomUUID().slice(0, 8) : `r-${Date.now().toString(36)}`;
+    set({ watchlist: [...get().watchlist, { ...rule, id, createdAt: new Date().toISOString() }] });
+    get()._syncToServer();
+  },
+
+  removeAlertRule: (id) => {
+    set({ watchlist: get().watchlist.filter(r => r.id !== id) }); get()._syncToServer();
+  },
+
+  setWebhookUrl: (url) => { set({ webhookUrl: url.trim() }); get()._syncToServer(); },
+
+  loadAlerts: async () => {
+    try { set({ alerts: await fetchAlerts() }); } catch { /* ignore */ }
+  },
+
+  markAlertsRead: async (ids) => {
+    const wanted = ids ? new Set(ids) : null;
+    set({ alerts: get().alerts.map(a => (!wanted || wanted.has(a.id)) ? { ...a, read: true } : a) });
+    try { set({ alerts: await markAlertsRead(ids) }); } catch { /* keep optimistic state */ }
   },
 }));
 
@@ -6,10 +6,23 @@
  */
 
 // ── API Response wrapper ──
+// Response contracts are defined (and checked) in backend/src/schemas.ts;
+// MarketData, ProjectData, SearchResults and ApiErrorBody mirror them.
 export interface ApiResponse<T> {
   success: boolean;
   data: T;
   error?: string;
+  code?: string;
+}
+
+/** Every non-2xx body from /api/v1 */
+export interface ApiErrorBody {
+  success: false;
+  error: string;
+  /** Stable machine-readable code, e.g. VALIDATION_FAILED, PROJECT_NOT_FOUND, DATA_LOADING */
+  code: string;
+  details?: unknown;
+  requestId?: string;
 }
 
 // ── Market Dashboard ──
@@ -42,6 +55,8 @@ export interface MarketData {
   // Performance
   cagrData?: CagrEntry[];
   distPerf?: DistrictPerf[];
+  /** Latest year's avg PSF vs the year before, per district */
+  distYoy?: Array<{ d: string; yoy: number; n: number }>;
 
   // Yield
   bestYield?: { d: string; y: string; seg: string };
@@ -155,9 +170,207 @@ export interface DistrictPerf {
   endPsf: number;
   absDiff: number;
   vol: number;
+  yield?: number;
+  txTotal?: number;
   lowConf?: boolean;
 }
 
+/** GET /api/v1/index — quarterly repeat-sales index, 100 at each series' base quarter */
+export interface PriceIndexSeries {
+  key: string;
+  kind: 'market' | 'segment' | 'district';
+  pairs: number;
+  base: string;
+  cagr: number | null;
+  points: Array<{ q: string; index: number; pairs: number; thin?: boolean }>;
+}
+
+export interface PriceIndex {
+  method: 'repeat-sales';
+  cagrYears: number;
+  pairs: number;
+  series: PriceIndexSeries[];
+}
+
+/** POST /api/v1/valuation */
+export interface ValuationRequest {
+  project: string;
+  area: number;
+  /** Floor band "06-10" or a floor number */
+  floor?: string;
+  saleType?: 'New Sale' | 'Sub Sale' | 'Resale';
+  /** YYYY-MM */
+  date?: string;
+}
+
+export interface ValuationComparable {
+  date: string;
+  project: string;
+  floor: string;
+  area: number;
+  price: number;
+  psf: number;
+  /** PSF adjusted by the model to the subject unit and date */
+  adjPsf: number;
+  saleType: string;
+  similarity: number;
+}
+
+export interface Valuation {
+  project: string;
+  district: string;
+  segment: string;
+  date: string;
+  subject: {
+    area: number; floorMid: number; tenure: string; saleType: string; age: number;
+    leaseStart: number | null;
+    leaseLeft: number | null;
+    /** Bala's-curve value vs freehold at leaseLeft */
+    bala: number;
+  };
+  psf: number;
+  price: number;
+  /** Prediction interval (PSF) at `level` coverage */
+  lo: number;
+  hi: number;
+  level: number;
+  confidence: number;
+  model: {
+    scope: 'district' | 'segment' | 'market';
+    key: string;
+    n: number;
+    r2: number;
+    rmse: number;
+    index: string | null;
+    effects: Array<{ term: string; pct: number }>;
+  };
+  projectSales: number;
+  comparables: ValuationComparable[];
+  /** PSF after `years` of lease decay alone; empty for freehold */
+  leaseDecay: Array<{ years: number; leaseLeft: number; factor: number; psf: number }>;
+}
+
+export type BuyerProfile = 'citizen' | 'pr' | 'foreigner' | 'entity';
+
+export interface AcquisitionCostRequest {
+  price: number;
+  /** YYYY-MM-DD or YYYY-MM; default today */
+  date?: string;
+  profile?: BuyerProfile;
+  /** Residential properties owned after this purchase */
+  propertyCount?: number;
+  existingLoans?: number;
+  /** Loan as a share of price; default the LTV limit */
+  ltv?: number;
+  /** % a year */
+  rate?: number;
+  years?: number;
+  age?: number;
+  /** Gross monthly income, for TDSR */
+  income?: number;
+  otherDebt?: number;
+  holdYears?: number;
+  /** Monthly */
+  maintenance?: number;
+  fees?: number;
+}
+
+export interface AcquisitionCost {
+  price: number;
+  date: string;
+  profile: BuyerProfile;
+  propertyCount: number;
+  stampDuty: { bsd: number; absd: number; absdRate: number; total: number };
+  fees: number;
+  loan: {
+    amount: number;
+    ltv: number;
+    maxLtv: number;
+    limitedBy: 'ltv' | 'tdsr' | 'requested';
+    rate: number;
+    years: number;
+    monthly: number;
+    totalInterest: number;
+    tdsr: { income: number; stressRate: number; ratio: number; limit: number; maxLoan: number } | null;
+    schedule: Array<{ year: number; payment: number; interest: number; principal: number; balance: number }>;
+  };
+  cash: { downpayment: number; minCash: number; upfront: number };
+  /** SSD if resold at the purchase price within `year` years */
+  ssd: Array<{ year: number; rate: number; amount: number }>;
+  tco: { years: number; stampDuty: number; fees: number; interest: number; maintenance: number; ssd: number; total: number };
+}
+
+export type CashflowScenario = 'bear' | 'base' | 'bull';
+
+export interface CashflowHolding {
+  id?: string | number;
+  project: string;
+  /** sqft */
+  size: number;
+  /** Purchase PSF */
+  psf: number;
+  /** Purchase year */
+  year: number;
+  loanAmount?: number;
+  /** % a year */
+  loanRate?: number;
+  loanYears?: number;
+  /** Actual monthly rent */
+  rent?: number;
+}
+
+export interface PortfolioCashflowRequest {
+  holdings: CashflowHolding[];
+  /** Exit this many years from now (default 10) */
+  horizon?: number;
+  profile?: BuyerProfile;
+  vacancyMonths?: number;
+  /** Monthly maintenance, $ per sqft */
+  maintenancePsf?: number;
+  /** Growth % a year for every holding; default from district CAGR */
+  growth?: Partial<Record<CashflowScenario, number>>;
+}
+
+export interface CashflowProjectionYear {
+  year: number;
+  value: number;
+  /** Net of vacancy */
+  rent: number;
+  propertyTax: number;
+  maintenance: number;
+  interest: number;
+  principal: number;
+  balance: number;
+  /** Equity cash flow; negative is money in */
+  cashFlow: number;
+}
+
+export interface CashflowScenarioResult {
+  growth: number;
+  irr: number | null;
+  equityMultiple: number | null;
+  profit: number;
+  exitValue: number;
+  projection: CashflowProjectionYear[];
+}
+
+export interface PortfolioCashflow {
+  asOf: number;
+  exitYear: number;
+  holdings: Array<{
+    id?: string | number;
+    project: string;
+    found: boolean;
+    district: string;
+    purchase: { price: number; stampDuty: number; fees: number; loan: number; equity: number };
+    rentSource: 'actual' | 'market';
+    /** Market yield of the holding's unit type, when rent isn't given */
+    market?: { beds: string; yield: number; source: YieldSource };
+    scenarios: Record<CashflowScenario, CashflowScenarioResult> | null;
+  }>;
+  total: Record<CashflowScenario, { irr: number | null; equityMultiple: number | null; profit: number; flows: Array<{ year: number; cashFlow: number }> }>;
+}
+
 export interface ProjectPerf extends DistrictPerf {
   name: string;
   dist: string;
@@ -181,6 +394,12 @@ export interface ProjectSummary {
   distAvg?: number;
   rentPsf?: string;
   avgRent?: number;
+  leaseYears?: number | null;
+  leaseStart?: number | null;
+  /** Years of lease left today; null for freehold and 999-year leases */
+  leaseLeft?: number | null;
+  /** Bala's-curve value vs freehold at leaseLeft */
+  bala?: number;
 }
 
 export interface CompProject {
@@ -192,11 +411,46 @@ export interface CompProject {
   yield?: string;
   n?: number;
   rent?: number;
+  tenure?: string;
+}
+
+/** Where a unit type's rent came from: the project's own contracts, the district's or the segment's */
+export type YieldSource = 'project' | 'district' | 'segment';
+
+export interface UnitTypeYield {
+  beds: string;
+  areaMin: number;
+  areaMax: number;
+  salePsf: number;
+  /** Monthly rent at the median size */
+  rent: number;
+  rentPsf: number;
+  /** Gross yield, % */
+  yield: number;
+  sales: number;
+  /** Size-matched contracts; 0 when it is the segment average yield */
+  rentals: number;
+  source: YieldSource;
+  rentalPeriod: string;
+}
+
+export interface UnitYield {
+  project: string;
+  district: string;
+  segment: string;
+  types: UnitTypeYield[];
+  /** Types' yields weighted by sales, % */
+  blended: number | null;
+  /** Some type fell back to district or segment rents */
+  fallback: boolean;
+  /** Sales between two bedroom counts, left out */
+  ambiguous: number;
 }
 
 export interface ProjectData {
   projInfo: ProjectSummary;
   txs: Transaction[];
+  unitYield?: UnitYield | null;
   projTx?: Transaction[];
   projRentTx?: RentalTransaction[];
   nearbyProjects?: NearbyProject[];
@@ -234,11 +488,59 @@ export interface RentalTransaction {
 
 export interface NearbyProject {
   name: string;
-  rel: 'street' | 'district';
+  /** Same street, within walking distance (any district), or elsewhere in the district */
+  rel: 'street' | 'radius' | 'district';
   psf?: number;
   dist?: string;
   seg?: string;
   n?: number;
+  distanceM?: number | null;
+}
+
+// ── Locations ──
+
+/** GET /api/v1/project/:name/nearby */
+export interface NearbyProjects {
+  project: string;
+  location: { lat: number; lng: number } | null;
+  radiusM: number;
+  projects: Array<{
+    name: string;
+    district: string;
+    street: string;
+    segment: string;
+    type: string;
+    psf: number;
+    yield: number;
+    n: number;
+    lat: number;
+    lng: number;
+    distanceM: number;
+    sameDistrict: boolean;
+  }>;
+}
+
+export interface MapProject {
+  name: string;
+  district: string;
+  segment: string;
+  psf: number | null;
+  n: number;
+  lat: number;
+  lng: number;
+}
+
+/** GET /api/v1/map — district areas are GeoJSON MultiPolygons ([lng, lat]) */
+export interface MapData {
+  projects: MapProject[];
+  districts: {
+    type: 'FeatureCollection';
+    features: Array<{
+      type: 'Feature';
+      properties: { district: string; projects: number };
+      geometry: { type: 'MultiPolygon'; coordinates: number[][][][] };
+    }>;
+  };
 }
 
 export interface FloorBand {
@@ -283,24 +585,61 @@ export interface MasterFilters {
 }
 
 // ── User Data ──
-export interface SavedSearch {
+/** Set by the server on items saved in a team workspace */
+export interface ItemAttribution {
+  createdBy?: Actor;
+  updatedBy?: Actor;
+  updatedAt?: string;
+}
+
+export interface SavedSearch extends ItemAttribution {
+  id?: string;
   name: string;
   filters: Filters;
   tab: string;
   createdAt: string;
 }
 
-export interface PortfolioEntry {
-  name: string;
-  addedAt: string;
-  area?: number;
+export type LedgerEventType = 'purchase' | 'capex' | 'rent' | 'refinance' | 'partial_sale' | 'sale';
+
+/** One dated event in a holding's ledger */
+export interface LedgerEvent {
+  id: string;
+  type: LedgerEventType;
+  /** YYYY-MM-DD */
+  date: string;
+  /** Price paid or received, capex spent or rent received; the new loan on a refinance */
+  amount: number;
+  /** Share of the whole unit sold, 0–1 (partial_sale) */
+  share?: number;
+  /** Refinance rate, % a year */
+  rate?: number;
+  /** Refinance tenure */
+  years?: number;
+  note?: string;
+}
+
+export interface PortfolioEntry extends ItemAttribution {
+  id: string | number;
+  project: string;
+  /** sqft */
+  size: number;
+  /** Purchase PSF and year; with a ledger, derived from its purchase events */
+  psf: number;
+  year: number;
   floor?: string;
-  purchasePrice?: number;
-  purchasePsf?: number;
-  purchaseDate?: string;
+  label?: string;
+  loanAmount?: number;
+  /** % a year */
+  loanRate?: number;
+  loanYears?: number;
+  /** Actual monthly rent received */
+  rent?: number;
+  /** Dated events, oldest first; absent on holdings saved before the ledger */
+  events?: LedgerEvent[];
 }
 
-export interface ClientReport {
+export interface ClientReport extends ItemAttribution {
   id: string;
   projectName: string;
   clientName?: string;
@@ -311,12 +650,88 @@ export interface ClientReport {
   sections?: Record<string, boolean>;
 }
 
+/** district_psf: quarter-on-quarter avg PSF move > thresholdPct; project_tx: new sale (≥ minPsf) */
+export type AlertRuleKind = 'district_psf' | 'project_tx';
+
+export interface AlertRule {
+  id: string;
+  kind: AlertRuleKind;
+  target: string;
+  thresholdPct?: number;
+  minPsf?: number;
+  createdAt: string;
+}
+
+export interface TriggeredAlert {
+  id: string;
+  ruleId: string;
+  kind: AlertRuleKind;
+  target: string;
+  message: string;
+  createdAt: string;
+  read: boolean;
+  data: Record<string, unknown>;
+}
+
 export interface UserData {
   portfolio: PortfolioEntry[];
   savedSearches: SavedSearch[];
   clientReports: ClientReport[];
+  watchlist?: AlertRule[];
+  alerts?: TriggeredAlert[];
+  webhookUrl?: string;
+}
+
+export interface AuthUser {
+  id: string;
+  email: string;
+  displayName: string | null;
+  plan: string | null;
 }
 
+// ── Team workspaces ──
+export type WorkspaceRole = 'owner' | 'editor' | 'viewer';
+
+/** `id` only reaches owners */
+export interface Actor {
+  id?: string;
+  name: string;
+}
+
+/** `userId` only reaches owners; `self` marks you */
+export interface WorkspaceMember {
+  userId?: string;
+  self: boolean;
+  email: string;
+  displayName: string | null;
+  role: WorkspaceRole;
+  addedAt: string;
+}
+
+export interface WorkspaceSummary {
+  id: string;
+  name: string;
+  role: WorkspaceRole;
+  memberCount: number;
+  updatedAt: string;
+}
+
+/** `updatedAt` is the save version — it only moves when the shared lists change */
+export interface Workspace {
+  id: string;
+  name: string;
+  role: WorkspaceRole;
+  createdAt: string;
+  updatedAt: string;
+  members: WorkspaceMember[];
+  portfolio: PortfolioEntry[];
+  savedSearches: SavedSearch[];
+  clientReports: ClientReport[];
+}
+
+/** 'personal' or a workspace id */
+export type Scope = string;
+
 // ── Store ──
 export type SyncStatus = 'idle' | 'saving' | 'saved' | 'error';
 
@@ -347,7 +762,14 @@ export interface AppState {
   portfolio: PortfolioEntry[];
   savedSearches: SavedSearch[];
   clientReports: ClientReport[];
+  watchlist: AlertRule[];
+  alerts: TriggeredAlert[];
+  webhookUrl: string;
   syncStatus: SyncStatus;
+  account: AuthUser | null;
+  workspaces: WorkspaceSummary[];
+  scope: Scope;
+  workspace: Workspace | null;
 }
 
 // ── Paginated Search Results ──
@@ -356,8 +778,43 @@ export interface SearchResults<T> {
   total: number;
   page: number;
   pages: number;
+  limit: number;
+}
+
+/** Row from GET /api/v1/sales/search */
+export interface SalesSearchRow {
+  date: string;
+  project: string;
+  street: string;
+  district: string;
+  segment: string;
+  area: number;
+  price: number;
+  psf: number;
+  floor: string;
+  type: string;
+  propertyType: string;
+  tenure: string;
+}
+
+/** Row from GET /api/v1/rental/search */
+export interface RentalSearchRow {
+  period: string;
+  project: string;
+  street: string;
+  district: string;
+  segment: string;
+  area: string;
+  bedrooms: string;
+  rent: number;
+  rentPsf: number;
+  contracts?: number;
+  leaseDate?: string;
 }
 
+/** File formats of GET /api/v1/{sales,rental}/export */
+export type ExportFormat = 'csv' | 'xlsx' | 'parquet';
+
 // ── Valuation ──
 export interface ValuationModel {
   wAvgPsf: number;
@@ -1,8 +1,15 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'url'
+
+// Rules the server enforces too, kept once in the backend (dependency-free modules only)
+const shared = fileURLToPath(new URL('../backend/src/shared', import.meta.url))
 
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: { '@shared': shared },
+  },
   test: {
     globals: true,
     environment: 'jsdom',
@@ -23,6 +30,7 @@ export default defineConfig({
   },
   server: {
     port: 5173,
+    fs: { allow: ['.', shared] },
     proxy: {
       '/api': 'http://localhost:3001',
       '/snapshot.json': 'http://localhost:3001',